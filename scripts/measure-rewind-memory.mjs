@@ -0,0 +1,83 @@
+import { createSimulation } from "../src/main.js";
+import { REWIND_MEMORY_MAX_MIB } from "../src/config.js";
+
+const ROWS = Number.parseInt(process.env.MEASURE_ROWS ?? "60", 10);
+const COLS = Number.parseInt(process.env.MEASURE_COLS ?? "60", 10);
+const TICKS = Number.parseInt(process.env.MEASURE_TICKS ?? "300", 10);
+const INTERVAL = Number.parseInt(process.env.MEASURE_INTERVAL ?? "10", 10);
+const SEED = Number.parseInt(process.env.MEASURE_SEED ?? "1337", 10);
+
+function bytesToMiB(bytes) {
+  return (bytes / (1024 * 1024)).toFixed(2);
+}
+
+function collectGarbage() {
+  if (typeof global.gc === "function") {
+    global.gc();
+  }
+}
+
+const simulation = createSimulation({
+  headless: true,
+  autoStart: false,
+  seed: SEED,
+  performanceNow: () => 0,
+  config: {
+    rows: ROWS,
+    cols: COLS,
+    cellSize: 4,
+    rewindMemoryMiB: REWIND_MEMORY_MAX_MIB,
+    rewindInterval: INTERVAL,
+  },
+});
+const { engine } = simulation;
+
+// Warm up with recording paused so only the buffer's growth is measured.
+engine.updateSetting("rewindMemoryMiB", 0);
+for (let tick = 0; tick < INTERVAL; tick += 1) simulation.step();
+engine.updateSetting("rewindMemoryMiB", REWIND_MEMORY_MAX_MIB);
+
+collectGarbage();
+
+const heapBefore = process.memoryUsage().heapUsed;
+
+for (let tick = 0; tick < TICKS; tick += 1) simulation.step();
+
+const status = engine.getRewindStatus();
+// Size of an uncompressed frame, for comparison with the average stored one.
+const fullFrameBytes = JSON.stringify(
+  engine.rewind.materialize(status.frames - 1),
+).length;
+
+collectGarbage();
+
+const heapWithHistory = process.memoryUsage().heapUsed;
+
+engine.updateSetting("rewindMemoryMiB", 0);
+collectGarbage();
+
+const heapAfterClear = process.memoryUsage().heapUsed;
+
+simulation.destroy();
+
+console.log(
+  JSON.stringify(
+    {
+      rows: ROWS,
+      cols: COLS,
+      ticks: TICKS,
+      interval: INTERVAL,
+      frames: status.frames,
+      estimatedBytes: status.bytes,
+      estimatedMiB: bytesToMiB(status.bytes),
+      heapGrowthBytes: heapWithHistory - heapBefore,
+      heapGrowthMiB: bytesToMiB(heapWithHistory - heapBefore),
+      reclaimedBytes: heapWithHistory - heapAfterClear,
+      reclaimedMiB: bytesToMiB(heapWithHistory - heapAfterClear),
+      averageFrameBytes: Math.round(status.bytes / Math.max(1, status.frames)),
+      fullFrameBytes,
+    },
+    null,
+    2,
+  ),
+);
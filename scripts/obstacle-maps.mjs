@@ -0,0 +1,129 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+import { inflateSync } from "node:zlib";
+
+import {
+  createObstacleMapPreset,
+  obstacleMapFromPixels,
+  parseAsciiObstacleMap,
+  sampleObstacleMap,
+} from "../src/grid/obstacleMaps.js";
+import { decodePng } from "../src/utils/png.js";
+
+const USAGE = `Usage: node scripts/obstacle-maps.mjs <map.png|map.txt> [options]
+
+Prints the map scaled to the grid as ASCII (# = wall) so you can check a
+layout before using it in a headless run.
+
+Options:
+  --rows <n>        Grid rows (default: 60)
+  --cols <n>        Grid columns (default: 60)
+  --threshold <x>   Luminance (0-1) below which image pixels are walls (default: 0.5)
+  --help            Show this message`;
+
+/**
+ * Reads a PNG or ASCII map file into an obstacle preset for
+ * `config.obstaclePresets`. Files ending in `.png` are decoded as images;
+ * everything else is parsed as an ASCII map.
+ *
+ * @param {string} filePath
+ * @param {{id?: string, label?: string, description?: string, threshold?: number}} [options]
+ * @returns {Promise<Object>} Preset descriptor from `createObstacleMapPreset`.
+ */
+export async function loadObstacleMapPreset(filePath, options = {}) {
+  const { threshold, ...descriptor } = options;
+  const map = /\.png$/i.test(filePath)
+    ? obstacleMapFromPixels(
+        decodePng(new Uint8Array(await readFile(filePath)), { inflate: inflateSync }),
+        { threshold },
+      )
+    : parseAsciiObstacleMap(await readFile(filePath, "utf8"));
+
+  return createObstacleMapPreset({ ...descriptor, name: path.basename(filePath), map });
+}
+
+/**
+ * Renders a map scaled to `rows`×`cols` as ASCII, one line per row.
+ *
+ * @param {Object} map
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {string}
+ */
+export function formatObstacleMapPreview(map, rows, cols) {
+  const mask = sampleObstacleMap(map, rows, cols);
+  const lines = [];
+
+  for (let row = 0; row < rows; row += 1) {
+    lines.push(
+      Array.from(mask.subarray(row * cols, (row + 1) * cols), (wall) =>
+        wall ? "#" : ".",
+      ).join(""),
+    );
+  }
+
+  return lines.join("\n");
+}
+
+async function cli() {
+  const argv = process.argv.slice(2);
+  const options = { rows: 60, cols: 60 };
+  let filePath = null;
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const [flag, inlineValue] = argv[index].split("=", 2);
+    const takeValue = () => Number(inlineValue ?? argv[(index += 1)]);
+
+    switch (flag) {
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      case "--rows":
+        options.rows = takeValue();
+        break;
+      case "--cols":
+        options.cols = takeValue();
+        break;
+      case "--threshold":
+        options.threshold = takeValue();
+        break;
+      default:
+        if (flag.startsWith("--")) {
+          throw new Error(`Unknown option "${flag}".\n\n${USAGE}`);
+        }
+        filePath = argv[index];
+    }
+  }
+
+  if (options.help || !filePath) {
+    console.log(USAGE);
+    process.exitCode = options.help ? 0 : 1;
+
+    return;
+  }
+
+  const preset = await loadObstacleMapPreset(filePath, {
+    threshold: options.threshold,
+  });
+
+  console.log(`${preset.id}: ${preset.description}`);
+  console.log(formatObstacleMapPreview(preset.map, options.rows, options.cols));
+}
+
+const isExecutedDirectly = (() => {
+  try {
+    return import.meta.url === pathToFileURL(process.argv[1]).href;
+  } catch (error) {
+    return false;
+  }
+})();
+
+if (isExecutedDirectly) {
+  cli().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
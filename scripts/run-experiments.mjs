@@ -0,0 +1,478 @@
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import process from "node:process";
+import { deflateSync } from "node:zlib";
+import { performance } from "node:perf_hooks";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { Worker, isMainThread, parentPort, workerData } from "node:worker_threads";
+import { parse as parseYaml } from "yaml";
+
+import { loadObstacleMapPreset } from "./obstacle-maps.mjs";
+
+const WORKER_ROLE = "colourful-life-experiment";
+const DEFAULT_OUTPUT_DIR = "experiments";
+const DEFAULT_SPEC = Object.freeze({
+  name: "experiment",
+  rows: 60,
+  cols: 60,
+  cellSize: 5,
+  ticks: 300,
+  seeds: [1],
+  overrides: {},
+  matrix: {},
+  series: null,
+  obstacleMap: null,
+  format: "both",
+  frameEvery: 0,
+});
+const OUTPUT_FORMATS = new Set(["csv", "json", "both"]);
+
+const USAGE = `Usage: node scripts/run-experiments.mjs <spec.json|spec.yaml> [options]
+
+Options:
+  --out <dir>       Output directory (default: spec.output or "${DEFAULT_OUTPUT_DIR}")
+  --workers <n>     Parallel worker threads (default: spec.workers or CPU count)
+  --format <kind>   csv, json, or both (default: spec.format or "both")
+  --frames <n>      Write a PNG frame every n ticks (default: spec.frameEvery or off)
+  --help            Show this message`;
+
+function toPositiveInteger(value, fallback) {
+  const parsed = Number(value);
+
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function toNonNegativeInteger(value, fallback) {
+  const parsed = Number(value);
+
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Parses CLI arguments into a spec path and option overrides.
+ *
+ * @param {string[]} argv
+ * @returns {{specPath: string|null, out?: string, workers?: number, format?: string, frameEvery?: number, help: boolean}}
+ */
+export function parseExperimentArgs(argv = []) {
+  const options = { specPath: null, help: false };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    const [flag, inlineValue] = arg.startsWith("--") ? arg.split("=", 2) : [arg];
+    const takeValue = () => inlineValue ?? argv[(index += 1)];
+
+    switch (flag) {
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      case "--out":
+        options.out = takeValue();
+        break;
+      case "--workers":
+        options.workers = toPositiveInteger(takeValue(), undefined);
+        break;
+      case "--format":
+        options.format = takeValue();
+        break;
+      case "--frames":
+        options.frameEvery = toNonNegativeInteger(takeValue(), undefined);
+        break;
+      default:
+        if (flag.startsWith("--")) {
+          throw new Error(`Unknown option "${flag}".\n\n${USAGE}`);
+        }
+        options.specPath = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Reads an experiment spec, parsing `.yaml`/`.yml` files as YAML and anything
+ * else as JSON. A relative `obstacleMap` is resolved against the spec's
+ * directory so the spec works from any working directory.
+ *
+ * @param {string} specPath
+ * @returns {Promise<Object>}
+ */
+export async function loadExperimentSpec(specPath) {
+  const source = await readFile(specPath, "utf8");
+  const spec = /\.ya?ml$/i.test(specPath) ? parseYaml(source) : JSON.parse(source);
+
+  if (typeof spec?.obstacleMap === "string") {
+    spec.obstacleMap = path.resolve(path.dirname(specPath), spec.obstacleMap);
+  }
+
+  return spec;
+}
+
+/**
+ * Validates a spec and expands its override matrix and seeds into individual
+ * runs. Matrix keys must name `SIMULATION_DEFAULTS` entries.
+ *
+ * @param {Object} spec
+ * @param {Record<string, any>} simulationDefaults - `SIMULATION_DEFAULTS`.
+ * @returns {{spec: Object, runs: Array<{id: string, index: number, seed: number|string, rows: number, cols: number, cellSize: number, ticks: number, overrides: Object, series: string[]|null, obstacleMap: string|null, frameEvery: number}>}}
+ */
+export function expandExperimentRuns(spec, simulationDefaults) {
+  const resolved = { ...DEFAULT_SPEC, ...(spec ?? {}) };
+  const matrix =
+    resolved.matrix && typeof resolved.matrix === "object" ? resolved.matrix : {};
+  const overrides =
+    resolved.overrides && typeof resolved.overrides === "object"
+      ? resolved.overrides
+      : {};
+  const seeds = Array.isArray(resolved.seeds) ? resolved.seeds : [resolved.seeds];
+
+  for (const key of [...Object.keys(overrides), ...Object.keys(matrix)]) {
+    if (!Object.hasOwn(simulationDefaults, key)) {
+      throw new Error(`"${key}" is not a SIMULATION_DEFAULTS setting.`);
+    }
+  }
+
+  for (const [key, values] of Object.entries(matrix)) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`Matrix entry "${key}" must be a non-empty array.`);
+    }
+  }
+
+  if (!OUTPUT_FORMATS.has(resolved.format)) {
+    throw new Error(`Unknown output format "${resolved.format}".`);
+  }
+
+  const combinations = Object.entries(matrix).reduce(
+    (combos, [key, values]) =>
+      combos.flatMap((combo) => values.map((value) => ({ ...combo, [key]: value }))),
+    [{}],
+  );
+  const runs = [];
+  const width = String(combinations.length * seeds.length).length;
+
+  for (const combination of combinations) {
+    for (const seed of seeds) {
+      const index = runs.length;
+
+      runs.push({
+        id: `run-${String(index + 1).padStart(width, "0")}`,
+        index,
+        seed,
+        rows: toPositiveInteger(resolved.rows, DEFAULT_SPEC.rows),
+        cols: toPositiveInteger(resolved.cols, DEFAULT_SPEC.cols),
+        cellSize: toPositiveInteger(resolved.cellSize, DEFAULT_SPEC.cellSize),
+        ticks: toPositiveInteger(resolved.ticks, DEFAULT_SPEC.ticks),
+        parameters: combination,
+        overrides: { ...overrides, ...combination },
+        series: Array.isArray(resolved.series) ? resolved.series : null,
+        obstacleMap:
+          typeof resolved.obstacleMap === "string"
+            ? path.resolve(resolved.obstacleMap)
+            : null,
+        frameEvery: toNonNegativeInteger(resolved.frameEvery, DEFAULT_SPEC.frameEvery),
+      });
+    }
+  }
+
+  return { spec: resolved, runs };
+}
+
+const mean = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+/**
+ * Runs one experiment headlessly and returns its time series and summary.
+ * When the run has a `framesDir` and a positive `frameEvery`, the world is
+ * rasterised in software and saved as `frame-000123.png` every `frameEvery`
+ * ticks; overlays follow the run's `show*` overrides.
+ *
+ * @param {ReturnType<typeof expandExperimentRuns>["runs"][number] & {framesDir?: string}} run
+ * @returns {Promise<{run: Object, series: Record<string, number[]>, summary: Object}>}
+ */
+export async function runExperiment(run) {
+  const { createSimulation, createSoftwareCanvas } = await import("../src/main.js");
+  const obstacleMap = run.obstacleMap
+    ? await loadObstacleMapPreset(run.obstacleMap)
+    : null;
+  const config = {
+    ...run.overrides,
+    ...(obstacleMap
+      ? { obstaclePresets: [obstacleMap], initialObstaclePreset: obstacleMap.id }
+      : {}),
+    rows: run.rows,
+    cols: run.cols,
+    cellSize: run.cellSize,
+  };
+  const frameEvery = run.framesDir ? (run.frameEvery ?? 0) : 0;
+  const canvas = frameEvery > 0 ? createSoftwareCanvas(config) : undefined;
+  const simulation = createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    seed: run.seed,
+    canvas,
+    config,
+  });
+  const startedAt = performance.now();
+  let frames = 0;
+
+  try {
+    if (canvas) await mkdir(run.framesDir, { recursive: true });
+
+    for (let tick = 1; tick <= run.ticks; tick += 1) {
+      simulation.step();
+
+      if (canvas && tick % frameEvery === 0) {
+        await writeFile(
+          path.join(run.framesDir, `frame-${String(tick).padStart(6, "0")}.png`),
+          canvas.toPng({ deflate: deflateSync }),
+        );
+        frames += 1;
+      }
+    }
+
+    const { stats } = simulation;
+    const keys = run.series ?? Object.keys(stats.exportState().history);
+    const series = Object.fromEntries(
+      keys.map((key) => [key, stats.getHistorySeries(key)]),
+    );
+    const population = stats.getHistorySeries("population");
+    const diversity = stats.getHistorySeries("diversity");
+
+    return {
+      run,
+      series,
+      summary: {
+        id: run.id,
+        seed: run.seed,
+        ...run.parameters,
+        ticks: stats.totals.ticks,
+        finalPopulation: population.at(-1) ?? 0,
+        meanPopulation: mean(population),
+        finalDiversity: diversity.at(-1) ?? 0,
+        meanDiversity: mean(diversity),
+        births: stats.totals.births,
+        deaths: stats.totals.deaths,
+        frames,
+        durationMs: performance.now() - startedAt,
+      },
+    };
+  } finally {
+    simulation.destroy();
+  }
+}
+
+function formatCsvValue(value) {
+  if (value == null) return "";
+
+  const text = String(value);
+
+  return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Serialises an array of flat records as CSV with a header row.
+ *
+ * @param {Array<Record<string, any>>} records
+ * @returns {string}
+ */
+export function toCsv(records) {
+  const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+  const lines = [columns.map(formatCsvValue).join(",")];
+
+  for (const record of records) {
+    lines.push(columns.map((column) => formatCsvValue(record[column])).join(","));
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+function seriesToRecords(series) {
+  const length = Math.max(0, ...Object.values(series).map((values) => values.length));
+
+  return Array.from({ length }, (_, index) => ({
+    sample: index,
+    ...Object.fromEntries(
+      Object.entries(series).map(([key, values]) => [key, values[index]]),
+    ),
+  }));
+}
+
+function runInWorkers(runs, workerCount) {
+  const results = new Array(runs.length);
+  const workers = new Set();
+  let next = 0;
+  let failure = null;
+
+  const drain = () =>
+    new Promise((resolve, reject) => {
+      const worker = new Worker(fileURLToPath(import.meta.url), {
+        workerData: { role: WORKER_ROLE },
+      });
+      let current = null;
+      // One failed run fails the batch, so stop every worker; otherwise the
+      // others keep computing and the process stays alive.
+      const fail = (error) => {
+        failure ??= error;
+        current = null;
+        workers.forEach((entry) => entry.terminate());
+        reject(failure);
+      };
+      const dispatch = () => {
+        if (failure || next >= runs.length) {
+          current = null;
+          worker.terminate().then(resolve, reject);
+
+          return;
+        }
+
+        current = runs[next];
+        worker.postMessage(current);
+        next += 1;
+      };
+
+      workers.add(worker);
+      worker.on("message", (message) => {
+        if (message.error) {
+          fail(new Error(`${message.id} failed: ${message.error}`));
+
+          return;
+        }
+
+        results[message.result.run.index] = message.result;
+        dispatch();
+      });
+      worker.on("error", fail);
+      // A worker that dies mid-run (out of memory, `process.exit`) emits no
+      // message, so without this the batch would wait forever.
+      worker.on("exit", (code) => {
+        workers.delete(worker);
+
+        if (current) {
+          fail(new Error(`${current.id} failed: worker exited with code ${code}.`));
+        } else if (failure) {
+          reject(failure);
+        }
+      });
+      dispatch();
+    });
+
+  return Promise.all(
+    Array.from({ length: Math.min(workerCount, runs.length) }, drain),
+  ).then(() => results);
+}
+
+/**
+ * Expands a spec, runs every combination across worker threads, and writes
+ * per-run series plus `summary.csv`/`summary.json` to `outDir`. Runs with a
+ * positive `frameEvery` also write PNG frames to `<outDir>/<run id>-frames/`.
+ *
+ * @param {Object} spec
+ * @param {{outDir?: string, workers?: number, format?: string, frameEvery?: number, log?: (line: string) => void}} [options]
+ * @returns {Promise<Array<Object>>} Summary rows, one per run.
+ */
+export async function runExperiments(spec, options = {}) {
+  const { SIMULATION_DEFAULTS } = await import("../src/config.js");
+  const { spec: resolved, runs: expanded } = expandExperimentRuns(
+    {
+      ...spec,
+      ...(options.format ? { format: options.format } : {}),
+      ...(options.frameEvery != null ? { frameEvery: options.frameEvery } : {}),
+    },
+    SIMULATION_DEFAULTS,
+  );
+  const outDir = path.resolve(options.outDir ?? resolved.output ?? DEFAULT_OUTPUT_DIR);
+  const runs = expanded.map((run) =>
+    run.frameEvery > 0
+      ? { ...run, framesDir: path.join(outDir, `${run.id}-frames`) }
+      : run,
+  );
+  const workers = toPositiveInteger(
+    options.workers ?? resolved.workers,
+    Math.max(1, os.availableParallelism?.() ?? os.cpus().length),
+  );
+  const log = options.log ?? (() => {});
+  const writeCsv = resolved.format !== "json";
+  const writeJson = resolved.format !== "csv";
+
+  log(`Running ${runs.length} run(s) of "${resolved.name}" on ${workers} worker(s).`);
+
+  const results = await runInWorkers(runs, workers);
+
+  await mkdir(outDir, { recursive: true });
+
+  for (const { run, series, summary } of results) {
+    if (writeCsv) {
+      await writeFile(
+        path.join(outDir, `${run.id}.csv`),
+        toCsv(seriesToRecords(series)),
+      );
+    }
+    if (writeJson) {
+      await writeFile(
+        path.join(outDir, `${run.id}.json`),
+        `${JSON.stringify({ run, summary, series }, null, 2)}\n`,
+      );
+    }
+  }
+
+  const summaries = results.map((result) => result.summary);
+
+  await writeFile(path.join(outDir, "summary.csv"), toCsv(summaries));
+  await writeFile(
+    path.join(outDir, "summary.json"),
+    `${JSON.stringify({ name: resolved.name, spec: resolved, runs: summaries }, null, 2)}\n`,
+  );
+  log(`Wrote ${results.length} run(s) to ${outDir}.`);
+
+  return summaries;
+}
+
+async function cli() {
+  const args = parseExperimentArgs(process.argv.slice(2));
+
+  if (args.help || !args.specPath) {
+    console.log(USAGE);
+    process.exitCode = args.help ? 0 : 1;
+
+    return;
+  }
+
+  const spec = await loadExperimentSpec(args.specPath);
+  const summaries = await runExperiments(spec, {
+    outDir: args.out,
+    workers: args.workers,
+    format: args.format,
+    frameEvery: args.frameEvery,
+    log: (line) => console.log(line),
+  });
+
+  console.table(summaries);
+}
+
+if (!isMainThread && workerData?.role === WORKER_ROLE) {
+  parentPort.on("message", async (run) => {
+    try {
+      parentPort.postMessage({ id: run.id, result: await runExperiment(run) });
+    } catch (error) {
+      parentPort.postMessage({ id: run.id, error: error?.stack ?? String(error) });
+    }
+  });
+}
+
+const isExecutedDirectly = (() => {
+  try {
+    return isMainThread && import.meta.url === pathToFileURL(process.argv[1]).href;
+  } catch (error) {
+    return false;
+  }
+})();
+
+if (isExecutedDirectly) {
+  cli().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -1,12 +1,41 @@
 import { createSimulation } from "./main.js";
 import { resolveBootstrapOptions } from "./bootstrapConfig.js";
+import { attachSettingsPersistence, isSettingsHash } from "./engine/savedSettings.js";
 
 const GLOBAL = typeof globalThis !== "undefined" ? globalThis : {};
 const DOCUMENT = typeof document !== "undefined" ? document : null;
+const LOCATION = GLOBAL.location ?? null;
 
+// Reading `localStorage` throws when the page's storage is blocked.
+function resolveStorage() {
+  try {
+    return GLOBAL.localStorage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+const storage = resolveStorage();
 const options = resolveBootstrapOptions({
   globalOptions: GLOBAL.COLOURFUL_LIFE_BOOT_OPTIONS,
   documentRef: DOCUMENT,
+  location: LOCATION,
+  storage,
 });
 
-createSimulation(options);
+const simulation = createSimulation(options);
+
+attachSettingsPersistence(simulation.engine, { storage, window: GLOBAL });
+
+// The linked settings now live in storage; drop them from the address bar so a
+// reload keeps later changes instead of reapplying the link.
+if (
+  isSettingsHash(LOCATION?.hash) &&
+  typeof GLOBAL.history?.replaceState === "function"
+) {
+  GLOBAL.history.replaceState(
+    GLOBAL.history.state,
+    "",
+    `${LOCATION.pathname}${LOCATION.search}`,
+  );
+}
@@ -1,3 +1,9 @@
+import {
+  loadStoredSettings,
+  parseSettingsHash,
+  settingsToConfig,
+} from "./engine/savedSettings.js";
+import { warnOnce } from "./utils/error.js";
 import { toPlainObject } from "./utils/object.js";
 import { resolveNonEmptyString } from "./utils/primitives.js";
 
@@ -62,24 +68,54 @@ function mergeConfig(defaults, overrides) {
   return base;
 }
 
+function readSettingsHash(location) {
+  try {
+    return parseSettingsHash(location?.hash ?? "");
+  } catch (error) {
+    warnOnce("Ignoring settings link that could not be read.", error);
+
+    return null;
+  }
+}
+
 /**
  * Normalizes the options forwarded to {@link createSimulation} during browser
  * bootstrapping. Consumers can populate `globalThis.COLOURFUL_LIFE_BOOT_OPTIONS`
  * with overrides such as `{ canvasId: "custom", config: { cellSize: 8 } }`
  * before loading the bundle to tweak the startup behaviour without editing the
- * entry script.
+ * entry script. Settings saved in `storage` by the previous visit override the
+ * page's config, and a settings link in `location.hash` (see
+ * `encodeSettingsHash`) overrides both, including the seed when it carries
+ * one. Sessions without a `seed` or `rng` override get a random seed so their
+ * runs can be recorded and replayed.
  *
- * @param {{ globalOptions?: object|null, documentRef?: Document|null }} [options]
+ * @param {{ globalOptions?: object|null, documentRef?: Document|null,
+ *   location?: {hash?: string}|null, storage?: Storage|null }} [options]
  *   Raw bootstrap context.
  * @returns {object} Sanitized options ready for {@link createSimulation}.
  */
-export function resolveBootstrapOptions({ globalOptions, documentRef } = {}) {
+export function resolveBootstrapOptions({
+  globalOptions,
+  documentRef,
+  location,
+  storage,
+} = {}) {
   const overrides = toPlainObject(globalOptions);
   const canvasId = resolveNonEmptyString(overrides.canvasId, "");
   const canvas = resolveCanvas({ canvas: overrides.canvas, canvasId }, documentRef);
-  const config = mergeConfig(DEFAULT_BOOT_CONFIG, overrides.config);
+  const stored = loadStoredSettings(storage);
+  const link = readSettingsHash(location);
+  let config = mergeConfig(DEFAULT_BOOT_CONFIG, overrides.config);
+
+  if (stored) config = mergeConfig(config, settingsToConfig(stored));
+  if (link) config = mergeConfig(config, settingsToConfig(link.settings));
+
   const result = { ...overrides, canvas, config };
 
+  if (link?.seed != null) {
+    result.seed = link.seed;
+  }
+
   if (Object.hasOwn(result, "canvasId")) {
     delete result.canvasId;
   }
@@ -88,6 +124,12 @@ export function resolveBootstrapOptions({ globalOptions, documentRef } = {}) {
     result.defaultCanvasId = canvasId || DEFAULT_CANVAS_ID;
   }
 
+  // Run recordings replay from the seed, so browser sessions get one unless
+  // the page supplies its own seed or random source.
+  if (result.seed == null && typeof result.rng !== "function") {
+    result.seed = Math.floor(Math.random() * 2 ** 32);
+  }
+
   return result;
 }
 
@@ -39,6 +39,7 @@ export const SENSOR_KEYS = Object.freeze([
   "reproductionReachMax",
   "reproductionEnergyShortfall",
   "reproductionEnergySurplus",
+  "climatePhase",
 ]);
 
 const SENSOR_LOOKUP = new Map(SENSOR_KEYS.map((key, index) => [key, index]));
@@ -608,6 +609,76 @@ export default class Brain {
     };
   }
 
+  /**
+   * Captures the lifetime-adapted sensor state (gains and targets) that is not
+   * recoverable from DNA alone, plus the activation count of the last
+   * evaluation, which stats keep reading until the brain runs again. `NaN`
+   * placeholders are encoded as `null` so the payload survives JSON round-trips.
+   *
+   * @returns {{
+   *   sensorGains: Array<number|null>|null,
+   *   sensorTargets: Array<number|null>|null,
+   *   sensorExperienceTargets: Array<number|null>|null,
+   *   lastActivationCount: number,
+   * }}
+   */
+  exportAdaptiveState() {
+    const encode = (source) =>
+      source
+        ? Array.from(source, (value) => (Number.isFinite(value) ? value : null))
+        : null;
+
+    return {
+      sensorGains: encode(this.sensorGains),
+      sensorTargets: encode(this.sensorTargets),
+      sensorExperienceTargets: encode(this.sensorExperienceTargets),
+      lastActivationCount: this.lastActivationCount,
+    };
+  }
+
+  /**
+   * Restores sensor adaptation captured by {@link Brain#exportAdaptiveState}.
+   * Arrays shorter than the current sensor set leave trailing sensors at their
+   * DNA-derived defaults so snapshots from older sensor layouts still load.
+   *
+   * @param {ReturnType<Brain["exportAdaptiveState"]>} state
+   */
+  restoreAdaptiveState(state) {
+    if (!state || typeof state !== "object") return;
+
+    const decodeInto = (target, source) => {
+      if (!target || !Array.isArray(source)) return;
+
+      const limit = Math.min(target.length, source.length);
+
+      for (let i = 0; i < limit; i += 1) {
+        const value = source[i];
+
+        target[i] = Number.isFinite(value) ? value : Number.NaN;
+      }
+    };
+
+    if (Array.isArray(state.sensorGains)) {
+      this.#ensureSensorModulationScaffolding();
+      decodeInto(this.sensorGains, state.sensorGains);
+      this.#enforceGainBounds();
+    }
+
+    if (Array.isArray(state.sensorTargets)) {
+      this.#ensureSensorModulationScaffolding();
+      decodeInto(this.sensorTargets, state.sensorTargets);
+    }
+
+    if (Array.isArray(state.sensorExperienceTargets)) {
+      this.#ensureSensorExperienceCapacity();
+      decodeInto(this.sensorExperienceTargets, state.sensorExperienceTargets);
+    }
+
+    if (Number.isFinite(state.lastActivationCount)) {
+      this.lastActivationCount = state.lastActivationCount;
+    }
+  }
+
   #isSensor(nodeId) {
     return Number.isFinite(nodeId) && nodeId >= 0 && nodeId < SENSOR_COUNT;
   }
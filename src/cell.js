@@ -5,6 +5,7 @@ import { cloneTracePayload } from "./utils/object.js";
 import { warnOnce } from "./utils/error.js";
 import { accumulateEventModifiers } from "./events/eventModifiers.js";
 import { createEventContext, defaultEventContext } from "./events/eventContext.js";
+import { resolveEventResistance } from "./events/eventEffects.js";
 import {
   MAX_TILE_ENERGY,
   MUTATION_CHANCE_BASELINE,
@@ -15,6 +16,97 @@ import {
 
 const EPSILON = 1e-9;
 const EMPTY_MATE_SCORE_RESULTS = Object.freeze([]);
+// Default step set; hex grids pass their six neighbours as `moveDirections`.
+const CARDINAL_MOVE_DIRECTIONS = Object.freeze([
+  Object.freeze({ dr: -1, dc: 0 }),
+  Object.freeze({ dr: 1, dc: 0 }),
+  Object.freeze({ dr: 0, dc: -1 }),
+  Object.freeze({ dr: 0, dc: 1 }),
+]);
+
+// Runtime fields that drift away from their DNA-derived defaults over a
+// lifetime. Anything not listed is rebuilt from the genome on restore.
+const SNAPSHOT_SCALAR_FIELDS = Object.freeze([
+  "id",
+  "generation",
+  "cladeId",
+  "age",
+  "energy",
+  "lifespan",
+  "strategy",
+  "offspring",
+  "fightsWon",
+  "fightsLost",
+  "matingAttempts",
+  "matingSuccesses",
+  "diverseMateScore",
+  "complementaryMateScore",
+  "diversityOpportunitySamples",
+  "diversityOpportunityAlignmentScore",
+  "diversityOpportunityNeglectScore",
+  "similarityPenalty",
+  "strategyPenalty",
+  "lastEventPressure",
+  "_crowdingTolerance",
+  "_reproductionCooldown",
+  "_senescenceDebt",
+  "_opportunitySignal",
+  "_resourceBaseline",
+  "_resourceDelta",
+  "_resourceSignal",
+  "_neuralFatigue",
+  "_neuralEnergyReserve",
+  "_pendingRestRecovery",
+  "_mateDiversityMemory",
+  "_mateNoveltyPressure",
+  "_mateDiversitySamples",
+  "_mateSimilarityMomentum",
+  "_mateOpportunityMomentum",
+  "_mateDiversitySuppression",
+  "_interactionMomentum",
+  "_lastInteractionDecayAge",
+  "_neuralLoad",
+]);
+const SNAPSHOT_MEMORY_FIELDS = Object.freeze([
+  "_riskMemory",
+  "_forageMemory",
+  "_reproductionEnergyMemory",
+  "_resourceSignalLastInput",
+]);
+
+// Decision contexts still waiting for their outcome to be scored, as plain
+// data. The brain learns from them at the start of the next tick.
+function snapshotDecisionContext(context) {
+  const { outcome } = context;
+
+  return {
+    tick: context.tick,
+    group: context.group,
+    sensors: context.sensors ? { ...context.sensors } : null,
+    sensorVector: Array.isArray(context.sensorVector)
+      ? [...context.sensorVector]
+      : null,
+    outputs: context.outputs ? { ...context.outputs } : null,
+    activationCount: context.activationCount,
+    trace: cloneTracePayload(context.trace),
+    outcome:
+      outcome && typeof outcome === "object" && !Array.isArray(outcome)
+        ? { ...outcome }
+        : (outcome ?? null),
+  };
+}
+
+function copyFiniteEntries(source) {
+  const copy = {};
+
+  if (!source || typeof source !== "object") return copy;
+
+  for (const [key, value] of Object.entries(source)) {
+    if (Number.isFinite(value)) copy[key] = value;
+  }
+
+  return copy;
+}
 
 function softmax(logits = []) {
   if (!Array.isArray(logits) || logits.length === 0) return [];
@@ -196,6 +288,12 @@ export default class Cell {
   static geneMutationRange = 0.2;
 
   constructor(row, col, dna, energy) {
+    // Lineage identity: the grid assigns `id` (and `cladeId` for founders) when
+    // the cell is first placed; `Cell.breed` fills parent links and depth.
+    this.id = null;
+    this.parentIds = [];
+    this.generation = 0;
+    this.cladeId = null;
     this.row = row;
     this.col = col;
     this.dna = dna || DNA.random();
@@ -282,6 +380,8 @@ export default class Cell {
     this._mateSelectionNoiseRng = this.resolveRng("mateSelectionNoise");
     this._neuralLoad = 0;
     this.lastEventPressure = 0;
+    // Seasonal warmth from the climate clock (see `events/climate.js`), -1..1.
+    this.climatePhase = 0;
     this._usedNeuralMovement = false;
     this.decisionHistory = [];
     this._pendingDecisionContexts = [];
@@ -420,7 +520,7 @@ export default class Cell {
   }
 
   static breed(parentA, parentB, mutationMultiplier = 1, options = {}) {
-    const { maxTileEnergy } = options || {};
+    const { maxTileEnergy, rng: breedingRng } = options || {};
     const row = parentA.row;
     const col = parentA.col;
     const avgChance = (parentA.dna.mutationChance() + parentB.dna.mutationChance()) / 2;
@@ -429,8 +529,11 @@ export default class Cell {
     const effectiveMultiplier = Math.max(0, safeMultiplier);
     const chance = Math.max(0, avgChance * effectiveMultiplier);
     const range = Math.max(0, Math.round(avgRange * effectiveMultiplier));
+    // An injected breeding stream (seeded runs) supplies crossover entropy so
+    // offspring vary per seed; otherwise the pair's shared stream decides.
+    const hasBreedingRng = typeof breedingRng === "function";
     const crossoverRng =
-      typeof parentA.resolveSharedRng === "function"
+      !hasBreedingRng && typeof parentA.resolveSharedRng === "function"
         ? parentA.resolveSharedRng(parentB, "offspringGenome")
         : null;
     const childDNA = parentA.dna.reproduceWith(
@@ -438,6 +541,7 @@ export default class Cell {
       chance,
       range,
       crossoverRng,
+      hasBreedingRng ? breedingRng : undefined,
     );
     const resolvedMaxTileEnergy =
       typeof maxTileEnergy === "number"
@@ -593,6 +697,12 @@ export default class Cell {
     const energyAfterB = parentB.energy;
     const offspring = new Cell(row, col, childDNA, offspringEnergy);
 
+    offspring.parentIds = [parentA.id, parentB.id].filter(Number.isInteger);
+    offspring.generation =
+      Math.max(parentA.generation || 0, parentB.generation || 0) + 1;
+    // Clades follow the first parent so every organism maps to one founder.
+    offspring.cladeId = parentA.cladeId ?? parentB.cladeId ?? null;
+
     parentA.#recordReproductionEnergyOutcome({
       success: true,
       totalInvestment,
@@ -663,6 +773,148 @@ export default class Cell {
     return offspring;
   }
 
+  /**
+   * Serialises the organism into a JSON-safe record: genome bytes, lifetime
+   * counters, learned memories, adapted brain sensor gains, and the positions
+   * of its DNA-derived RNG streams, including the shared (pairwise) streams
+   * keyed by partner ID.
+   *
+   * @returns {Object} Record accepted by {@link Cell.fromSnapshot}.
+   */
+  toSnapshot() {
+    const record = {
+      row: this.row,
+      col: this.col,
+      genes: Array.from(this.dna?.genes ?? []),
+      parentIds: Array.isArray(this.parentIds) ? [...this.parentIds] : [],
+    };
+
+    for (const field of SNAPSHOT_SCALAR_FIELDS) {
+      const value = this[field];
+
+      if (Number.isFinite(value)) record[field] = value;
+    }
+
+    for (const field of SNAPSHOT_MEMORY_FIELDS) {
+      record[field] = copyFiniteEntries(this[field]);
+    }
+
+    if (typeof this.brain?.exportAdaptiveState === "function") {
+      record.brain = this.brain.exportAdaptiveState();
+    }
+
+    const pendingDecisions = Array.isArray(this._pendingDecisionContexts)
+      ? this._pendingDecisionContexts
+      : [];
+
+    record.decisionContexts = pendingDecisions.map(snapshotDecisionContext);
+    // Groups whose context is still open, as indexes into `decisionContexts`.
+    record.openDecisionGroups = {};
+    this._decisionContextIndex?.forEach((context, group) => {
+      const index = pendingDecisions.indexOf(context);
+
+      if (index >= 0) record.openDecisionGroups[group] = index;
+    });
+
+    const rngStates = {};
+
+    this._rngCache?.forEach((rng, key) => {
+      const state = typeof rng?.getState === "function" ? rng.getState() : null;
+
+      if (Number.isFinite(state)) rngStates[key] = state;
+    });
+    record.rngStates = rngStates;
+
+    const sharedRngStates = {};
+    const sharedTags = new Set([
+      ...Object.keys(this._pendingSharedRngStates ?? {}),
+      ...(this._sharedRngCache?.keys() ?? []),
+    ]);
+
+    for (const tag of [...sharedTags].sort()) {
+      const states = copyFiniteEntries(this._pendingSharedRngStates?.[tag]);
+
+      this._sharedRngCache?.get(tag)?.forEach((rng, partnerId) => {
+        const state = typeof rng?.getState === "function" ? rng.getState() : null;
+
+        if (Number.isInteger(partnerId) && Number.isFinite(state)) {
+          states[partnerId] = state;
+        }
+      });
+
+      if (Object.keys(states).length > 0) sharedRngStates[tag] = states;
+    }
+    record.sharedRngStates = sharedRngStates;
+
+    return record;
+  }
+
+  /**
+   * Rebuilds an organism from a {@link Cell#toSnapshot} record. Unknown or
+   * non-finite fields fall back to the values derived from the genome so
+   * records written by older builds still load.
+   *
+   * @param {Object} record - Serialised cell record.
+   * @returns {Cell|null} Restored cell or `null` when the record has no genome.
+   */
+  static fromSnapshot(record) {
+    if (!record || typeof record !== "object" || !record.genes) return null;
+
+    const genes = Array.from(record.genes);
+    const dna = new DNA({ genes, geneCount: genes.length });
+    const cell = new Cell(record.row, record.col, dna, record.energy ?? 0);
+
+    for (const field of SNAPSHOT_SCALAR_FIELDS) {
+      if (Number.isFinite(record[field])) cell[field] = record[field];
+    }
+
+    if (Array.isArray(record.parentIds)) {
+      cell.parentIds = record.parentIds.filter(Number.isInteger);
+    }
+
+    for (const field of SNAPSHOT_MEMORY_FIELDS) {
+      if (record[field] && typeof record[field] === "object") {
+        Object.assign(cell[field], copyFiniteEntries(record[field]));
+      }
+    }
+
+    if (record.brain && typeof cell.brain?.restoreAdaptiveState === "function") {
+      cell.brain.restoreAdaptiveState(record.brain);
+    }
+
+    if (Array.isArray(record.decisionContexts)) {
+      cell._pendingDecisionContexts = record.decisionContexts
+        .filter((context) => context && typeof context === "object")
+        .map(snapshotDecisionContext);
+
+      for (const [group, index] of Object.entries(record.openDecisionGroups ?? {})) {
+        const context = cell._pendingDecisionContexts[index];
+
+        if (context) cell._decisionContextIndex.set(group, context);
+      }
+    }
+
+    if (record.rngStates && typeof record.rngStates === "object") {
+      for (const [key, state] of Object.entries(record.rngStates)) {
+        const rng = cell.resolveRng(key);
+
+        if (typeof rng?.setState === "function") rng.setState(state);
+      }
+    }
+
+    // Partner cells may not be restored yet, so shared streams resume lazily
+    // in `resolveSharedRng`.
+    if (record.sharedRngStates && typeof record.sharedRngStates === "object") {
+      cell._pendingSharedRngStates = {};
+
+      for (const [tag, states] of Object.entries(record.sharedRngStates)) {
+        cell._pendingSharedRngStates[tag] = copyFiniteEntries(states);
+      }
+    }
+
+    return cell;
+  }
+
   similarityTo(other, options = undefined) {
     if (!other?.dna) return 0;
 
@@ -4868,6 +5120,7 @@ export default class Cell {
       riskTolerance,
       interactionMomentum,
       eventPressure,
+      climatePhase: this.climatePhase,
       resourceTrend,
       neuralFatigue,
       scarcityMemory,
@@ -5189,6 +5442,7 @@ export default class Cell {
       riskTolerance,
       interactionMomentum,
       eventPressure,
+      climatePhase: this.climatePhase,
       resourceTrend,
       neuralFatigue,
       opportunitySignal: this.#currentOpportunitySignal(),
@@ -5264,6 +5518,7 @@ export default class Cell {
       partnerSenescence: senPartner,
       interactionMomentum,
       eventPressure,
+      climatePhase: this.climatePhase,
       resourceTrend,
       neuralFatigue,
       scarcityMemory,
@@ -5328,6 +5583,7 @@ export default class Cell {
       riskTolerance: this.#resolveRiskTolerance(),
       interactionMomentum: this.#resolveInteractionMomentum(),
       eventPressure: clamp(this.lastEventPressure || 0, 0, 1),
+      climatePhase: this.climatePhase,
       resourceTrend: clamp(this._resourceSignal ?? 0, -1, 1),
       neuralFatigue: this.#currentNeuralFatigue(),
       scarcityMemory,
@@ -5740,6 +5996,7 @@ export default class Cell {
       enemySimilarity: averageSimilarity,
       interactionMomentum,
       eventPressure,
+      climatePhase: this.climatePhase,
       ageFraction: this.getAgeFraction(),
       riskTolerance,
       resourceTrend,
@@ -5955,12 +6212,15 @@ export default class Cell {
     let map = this._sharedRngCache.get(key);
 
     if (!map) {
-      map = new WeakMap();
+      map = new Map();
       this._sharedRngCache.set(key, map);
     }
 
-    if (map.has(other)) {
-      return map.get(other);
+    // Streams are keyed by partner ID so `toSnapshot` can record them.
+    const partnerKey = Number.isInteger(other.id) ? other.id : other;
+
+    if (map.has(partnerKey)) {
+      return map.get(partnerKey);
     }
 
     const otherDNA = other?.dna ?? other ?? null;
@@ -5974,7 +6234,14 @@ export default class Cell {
       rng = this.resolveRng(`${key}:${otherDNA?.seed?.() ?? "none"}`, fallback);
     }
 
-    map.set(other, rng);
+    const pendingState = this._pendingSharedRngStates?.[key]?.[partnerKey];
+
+    if (Number.isFinite(pendingState) && typeof rng?.setState === "function") {
+      rng.setState(pendingState);
+      delete this._pendingSharedRngStates[key][partnerKey];
+    }
+
+    map.set(partnerKey, rng);
 
     return rng;
   }
@@ -6279,17 +6546,14 @@ export default class Cell {
       }
     }
 
-    // Otherwise pick one of 4 directions uniformly
-    switch ((directionRoll * 4) | 0) {
-      case 0:
-        return { dr: -1, dc: 0 };
-      case 1:
-        return { dr: 1, dc: 0 };
-      case 2:
-        return { dr: 0, dc: -1 };
-      default:
-        return { dr: 0, dc: 1 };
-    }
+    // Otherwise pick one of the available directions uniformly
+    const directions = context?.directions ?? CARDINAL_MOVE_DIRECTIONS;
+    const { dr, dc } =
+      directions[
+        Math.min(directions.length - 1, (directionRoll * directions.length) | 0)
+      ];
+
+    return { dr, dc };
   }
 
   #scoreFallbackMovementDirections({
@@ -6407,6 +6671,7 @@ export default class Cell {
     getEnergyAt,
     getEnergyDeltaAt,
     isTileBlocked,
+    directions = CARDINAL_MOVE_DIRECTIONS,
   } = {}) {
     const context = {
       localDensity,
@@ -6414,19 +6679,13 @@ export default class Cell {
       tileEnergy,
       tileEnergyDelta,
       maxTileEnergy,
+      directions,
     };
 
     if (!Array.isArray(gridArr) || rows == null || cols == null) {
       return context;
     }
 
-    const directions = [
-      { dr: -1, dc: 0 },
-      { dr: 1, dc: 0 },
-      { dr: 0, dc: -1 },
-      { dr: 0, dc: 1 },
-    ];
-
     const neighbors = directions.map(({ dr, dc }) => {
       const rr = Number.isFinite(row) ? row + dr : null;
       const cc = Number.isFinite(col) ? col + dc : null;
@@ -6671,7 +6930,13 @@ export default class Cell {
   manageEnergy(
     row,
     col,
-    { localDensity, densityEffectMultiplier, maxTileEnergy, scarcityRelief = 1 },
+    {
+      localDensity,
+      densityEffectMultiplier,
+      maxTileEnergy,
+      scarcityRelief = 1,
+      climatePhase = 0,
+    },
   ) {
     const effectiveDensity = clamp(localDensity * densityEffectMultiplier, 0, 1);
     const energyLoss = this.#calculateMetabolicEnergyLoss(
@@ -6687,6 +6952,7 @@ export default class Cell {
 
     this.energy -= adjustedEnergyLoss + cognitiveLoss;
     this.lastEventPressure = Math.max(0, (this.lastEventPressure || 0) * 0.9);
+    this.climatePhase = Number.isFinite(climatePhase) ? clamp(climatePhase, -1, 1) : 0;
 
     const fatigueSnapshot = this.#updateNeuralFatigueState({
       dynamicLoad,
@@ -6928,6 +7194,7 @@ export default class Cell {
       tileEnergy = null,
       tileEnergyDelta = 0,
       maxTileEnergy = MAX_TILE_ENERGY,
+      moveDirections = CARDINAL_MOVE_DIRECTIONS,
     } = {},
   ) {
     const strategy = this.#legacyChooseMovementStrategy(
@@ -6948,6 +7215,7 @@ export default class Cell {
       getEnergyAt,
       getEnergyDeltaAt,
       isTileBlocked,
+      directions: moveDirections,
     });
 
     if (strategy === "pursuit") {
@@ -7012,16 +7280,10 @@ export default class Cell {
     }
     // then bias toward best energy neighbor if provided
     if (typeof getEnergyAt === "function") {
-      const dirs = [
-        { dr: -1, dc: 0 },
-        { dr: 1, dc: 0 },
-        { dr: 0, dc: -1 },
-        { dr: 0, dc: 1 },
-      ];
       let best = null;
       let bestE = -Infinity;
 
-      for (const d of dirs) {
+      for (const d of moveDirections) {
         const rr = row + d.dr;
         const cc = col + d.dc;
 
@@ -7602,6 +7864,7 @@ export default class Cell {
       maxTileEnergy = MAX_TILE_ENERGY,
       tileEnergy = null,
       tileEnergyDelta = 0,
+      moveDirections = CARDINAL_MOVE_DIRECTIONS,
     } = context;
     const strategyContext = {
       localDensity,
@@ -7627,6 +7890,7 @@ export default class Cell {
       getEnergyAt,
       getEnergyDeltaAt,
       isTileBlocked,
+      directions: moveDirections,
     });
     const decision = this.#decideMovementAction(strategyContext);
 
@@ -7654,16 +7918,10 @@ export default class Cell {
     const attemptEnergyExploit = () => {
       if (!exploitPlan?.shouldAttempt) return false;
       if (typeof getEnergyAt !== "function") return false;
-      const dirs = [
-        { dr: -1, dc: 0 },
-        { dr: 1, dc: 0 },
-        { dr: 0, dc: -1 },
-        { dr: 0, dc: 1 },
-      ];
       let bestDir = null;
       let bestValue = -Infinity;
 
-      for (const d of dirs) {
+      for (const d of moveDirections) {
         const rr = row + d.dr;
         const cc = col + d.dc;
 
@@ -9498,15 +9756,8 @@ export default class Cell {
 
       const effectiveStrength = clamp(strength * vigilance, 0, 1.5);
       const cellStrength = clamp(effectiveStrength * strengthScale, 0, 1.2);
-      const { energyLoss = 0, resistanceGene } = effect.cell;
-      const resistance = clamp(
-        typeof resistanceGene === "string" &&
-          typeof this.dna?.[resistanceGene] === "function"
-          ? this.dna[resistanceGene]()
-          : 0,
-        0,
-        1,
-      );
+      const { energyLoss = 0 } = effect.cell;
+      const resistance = resolveEventResistance(effect, this.dna);
       let susceptibility = 1;
 
       if (typeof this.dna?.eventEnergyLossMultiplier === "function") {
@@ -87,6 +87,53 @@ const DEFAULT_LEADERBOARD_SIZE = 5;
 
 export const LEADERBOARD_SIZE_DEFAULT = DEFAULT_LEADERBOARD_SIZE;
 export const LEADERBOARD_INTERVAL_MIN_MS = 100;
+// Fast-forward spends at most this many milliseconds per frame on ticks; the
+// ceiling keeps the page responsive even when the budget is misconfigured.
+export const FAST_FORWARD_BUDGET_MIN_MS = 1;
+export const FAST_FORWARD_BUDGET_MAX_MS = 250;
+// Memory cap for the rewind history, in MiB of stored snapshot JSON.
+export const REWIND_MEMORY_MAX_MIB = 512;
+// Ranges of the grid geometry controls. Saved settings and settings links are
+// clamped to them; engine config passed directly is not.
+export const GRID_GEOMETRY_BOUNDS = Object.freeze({
+  cellSize: Object.freeze({ min: 2, max: 20, step: 1 }),
+  rows: Object.freeze({ min: 40, max: 240, step: 1 }),
+  cols: Object.freeze({ min: 40, max: 240, step: 1 }),
+});
+// Ranges of the numeric settings controls. `floor` is the lowest value a
+// setting may take, which for a few settings sits below the slider minimum.
+// Saved settings and settings links are clamped to these ranges.
+export const SETTING_RANGES = Object.freeze({
+  societySimilarity: Object.freeze({ min: 0, max: 1, step: 0.01, floor: 0 }),
+  enemySimilarity: Object.freeze({ min: 0, max: 1, step: 0.01, floor: 0 }),
+  eventStrengthMultiplier: Object.freeze({ min: 0, max: 3, step: 0.05, floor: 0 }),
+  eventFrequencyMultiplier: Object.freeze({ min: 0, max: 3, step: 0.1, floor: 0 }),
+  speedMultiplier: Object.freeze({ min: 0.5, max: 100, step: 0.5, floor: 0.1 }),
+  densityEffectMultiplier: Object.freeze({ min: 0, max: 2, step: 0.05, floor: 0 }),
+  initialTileEnergyFraction: Object.freeze({ min: 0, max: 1, step: 0.05, floor: 0 }),
+  mutationMultiplier: Object.freeze({ min: 0, max: 3, step: 0.05, floor: 0 }),
+  matingDiversityThreshold: Object.freeze({ min: 0, max: 1, step: 0.01, floor: 0 }),
+  lowDiversityReproMultiplier: Object.freeze({ min: 0, max: 1, step: 0.05, floor: 0 }),
+  combatEdgeSharpness: Object.freeze({ min: 0.5, max: 6, step: 0.1, floor: 0.1 }),
+  combatTerritoryEdgeFactor: Object.freeze({ min: 0, max: 1, step: 0.05, floor: 0 }),
+  lifeEventFadeTicks: Object.freeze({ min: 1, max: 180, step: 1, floor: 1 }),
+  lifeEventLimit: Object.freeze({ min: 0, max: 60, step: 1, floor: 0 }),
+  energyRegenRate: Object.freeze({ min: 0, max: 0.2, step: 0.005, floor: 0 }),
+  energyDiffusionRate: Object.freeze({ min: 0, max: 0.5, step: 0.01, floor: 0 }),
+  leaderboardIntervalMs: Object.freeze({
+    min: LEADERBOARD_INTERVAL_MIN_MS,
+    max: 3000,
+    step: 50,
+    floor: 0,
+  }),
+  fastForwardBudgetMs: Object.freeze({
+    min: FAST_FORWARD_BUDGET_MIN_MS,
+    max: 100,
+    step: 1,
+    floor: FAST_FORWARD_BUDGET_MIN_MS,
+  }),
+  rewindMemoryMiB: Object.freeze({ min: 0, max: 256, step: 4, floor: 0 }),
+});
 const RUNTIME_ENV =
   typeof process !== "undefined" && typeof process.env === "object"
     ? process.env
@@ -614,6 +661,8 @@ export const SIMULATION_DEFAULTS = Object.freeze({
   combatEdgeSharpness: COMBAT_EDGE_SHARPNESS_DEFAULT,
   combatTerritoryEdgeFactor: COMBAT_TERRITORY_EDGE_FACTOR,
   initialTileEnergyFraction: INITIAL_TILE_ENERGY_FRACTION_DEFAULT,
+  // Predator–prey dynamics stay opt-in so the single-niche baseline is unchanged.
+  trophicMode: false,
   showObstacles: true,
   showEnergy: false,
   showDensity: false,
@@ -622,6 +671,8 @@ export const SIMULATION_DEFAULTS = Object.freeze({
   showLifeEventMarkers: false,
   showSelectionZones: false,
   showGridLines: false,
+  showTerrain: false,
+  showTrophicRoles: false,
   lifeEventFadeTicks: 36,
   lifeEventLimit: 24,
   leaderboardIntervalMs: 750,
@@ -640,11 +691,19 @@ export const SIMULATION_DEFAULTS = Object.freeze({
   // stabilise.
   lowDiversityReproMultiplier: 0.57,
   speedMultiplier: 1,
+  // Fast-forward runs as many ticks as fit in the budget and draws once.
+  fastForward: false,
+  fastForwardBudgetMs: 12,
+  // Rewind keeps a world frame every `rewindInterval` ticks until the history
+  // reaches `rewindMemoryMiB`; 0 MiB disables it.
+  rewindMemoryMiB: 16,
+  rewindInterval: 10,
   autoPauseOnBlur: false,
 });
 
 const BOOLEAN_DEFAULT_KEYS = Object.freeze([
   "paused",
+  "trophicMode",
   "showObstacles",
   "showEnergy",
   "showDensity",
@@ -653,6 +712,9 @@ const BOOLEAN_DEFAULT_KEYS = Object.freeze([
   "showLifeEventMarkers",
   "showSelectionZones",
   "showGridLines",
+  "showTerrain",
+  "showTrophicRoles",
+  "fastForward",
   "autoPauseOnBlur",
 ]);
 
@@ -799,6 +861,12 @@ export function resolveSimulationDefaults(overrides = {}) {
   sanitizeNumeric("leaderboardSize", { min: 0, round: Math.floor });
   sanitizeNumeric("matingDiversityThreshold", { min: 0, max: 1 });
   sanitizeNumeric("lowDiversityReproMultiplier", { min: 0, max: 1 });
+  sanitizeNumeric("fastForwardBudgetMs", {
+    min: FAST_FORWARD_BUDGET_MIN_MS,
+    max: FAST_FORWARD_BUDGET_MAX_MS,
+  });
+  sanitizeNumeric("rewindMemoryMiB", { min: 0, max: REWIND_MEMORY_MAX_MIB });
+  sanitizeNumeric("rewindInterval", { min: 1, max: 1000, round: Math.floor });
 
   return merged;
 }
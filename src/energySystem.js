@@ -51,6 +51,8 @@ function resolveNeighborAverage({ neighborSum, neighborCount, neighborEnergies }
  * @param {number} [options.neighborSum] - Sum of neighbouring tile energies when precomputed.
  * @param {number} [options.neighborCount] - Count of neighbours included in neighborSum.
  * @param {Array} [options.events=[]] - List of active events.
+ * @param {{regen:number, energyCap:number, diffusion:number}|null} [options.terrain]
+ *   Biome multipliers for the tile (see `TERRAIN_BIOMES`); omit for neutral ground.
  * @param {number} options.row - Tile row coordinate.
  * @param {number} options.col - Tile column coordinate.
  * @param {Object} options.config - Configuration values.
@@ -76,6 +78,7 @@ export function computeTileEnergyUpdate(
     neighborSum,
     neighborCount,
     events = [],
+    terrain = null,
     row,
     col,
     config,
@@ -99,10 +102,12 @@ export function computeTileEnergyUpdate(
   }
 
   const energy = Number.isFinite(currentEnergy) ? currentEnergy : 0;
+  const tileCap = maxTileEnergy * (terrain?.energyCap ?? 1);
   const effectiveDensity = clamp((density ?? 0) * densityEffectMultiplier, 0, 1);
-  let regen = (regenRate ?? 0) * (1 - energy / maxTileEnergy);
+  let regen = tileCap > 0 ? (regenRate ?? 0) * (1 - energy / tileCap) : 0;
 
   regen *= Math.max(0, 1 - (regenDensityPenalty ?? 0) * effectiveDensity);
+  regen *= terrain?.regen ?? 1;
 
   const eventModifiers =
     Array.isArray(events) && events.length > 0
@@ -131,12 +136,13 @@ export function computeTileEnergyUpdate(
   let diffusion = 0;
 
   if (neighborAverage != null) {
-    diffusion = (diffusionRate ?? 0) * (neighborAverage - energy);
+    diffusion =
+      (diffusionRate ?? 0) * (terrain?.diffusion ?? 1) * (neighborAverage - energy);
   }
 
   let nextEnergy = energy + regen - drain + diffusion;
 
-  nextEnergy = clamp(nextEnergy, 0, maxTileEnergy);
+  nextEnergy = clamp(nextEnergy, 0, tileCap);
 
   if (out && typeof out === "object") {
     out.nextEnergy = nextEnergy;
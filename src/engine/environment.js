@@ -1,5 +1,6 @@
 import { pickFirstFinitePositive, toFiniteOrNull } from "../utils/math.js";
 import { toPlainObject } from "../utils/object.js";
+import SoftwareCanvas from "../utils/softwareCanvas.js";
 
 const GLOBAL = typeof globalThis !== "undefined" ? globalThis : {};
 
@@ -117,6 +118,21 @@ export function createHeadlessCanvas(config = {}) {
   return canvas;
 }
 
+/**
+ * Builds a headless canvas that actually rasterises what the renderer draws,
+ * for scripted runs that export frames. Unlike {@link createHeadlessCanvas}
+ * every draw call costs time, so only use it when the pixels are needed.
+ *
+ * @param {Object} [config] - Sized like {@link createHeadlessCanvas}.
+ * @returns {import("../utils/softwareCanvas.js").default} Canvas whose `toPng()`
+ *   encodes the current frame.
+ */
+export function createSoftwareCanvas(config = {}) {
+  const { width, height } = resolveHeadlessCanvasSize(config);
+
+  return new SoftwareCanvas(Math.ceil(width), Math.ceil(height));
+}
+
 /**
  * Derives width/height overrides for headless canvases so both the generated
  * canvas and simulation config stay in sync. Returns `null` when no positive
@@ -286,6 +302,27 @@ export function ensureCanvasDimensions(canvas, config) {
   throw new Error("SimulationEngine requires canvas dimensions to be specified.");
 }
 
+/**
+ * Derives the grid geometry for an engine bound to `canvas`: explicit
+ * `config.rows`/`config.cols` win, otherwise the canvas dimensions divided by
+ * the cell size decide how many tiles fit.
+ *
+ * @param {HTMLCanvasElement|OffscreenCanvas|{width:number,height:number}} canvas
+ * @param {Object} [config] - Engine configuration (`cellSize`, `rows`, `cols`,
+ *   and the dimension overrides accepted by {@link ensureCanvasDimensions}).
+ * @returns {{width:number,height:number,cellSize:number,rows:number,cols:number}}
+ */
+export function resolveGridGeometry(canvas, config) {
+  const { width, height } = ensureCanvasDimensions(canvas, config);
+  const cellSize = pickFirstFinitePositive([config?.cellSize], 5);
+  const rows = Math.floor(
+    pickFirstFinitePositive([config?.rows, height / cellSize], 1),
+  );
+  const cols = Math.floor(pickFirstFinitePositive([config?.cols, width / cellSize], 1));
+
+  return { width, height, cellSize, rows, cols };
+}
+
 /**
  * Resolves the timing primitives used by {@link SimulationEngine}. Callers can
  * inject custom implementations (e.g. for tests or headless environments).
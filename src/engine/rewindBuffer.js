@@ -0,0 +1,380 @@
+/**
+ * Bounded history of world snapshots backing the engine's step-back and scrub
+ * controls. Frames are stored as JSON strings: every
+ * {@link REWIND_KEYFRAME_INTERVAL}th frame is a full keyframe and the frames in
+ * between are deltas against their predecessor. Deltas exploit the shape of
+ * world snapshots — residents are diffed by `id`, tile energy by changed
+ * index, and history rings by how far they shifted — so most of a delta is
+ * the residents that actually changed.
+ *
+ * Memory is bounded by string length rather than a frame count. V8 stores the
+ * ASCII JSON one byte per character, which `scripts/measure-rewind-memory.mjs`
+ * checks against real heap growth. When the cap is exceeded the oldest frames
+ * are dropped, promoting the next delta to a keyframe when needed.
+ */
+
+/** Frames between full keyframes; bounds the deltas replayed per restore. */
+export const REWIND_KEYFRAME_INTERVAL = 16;
+
+// Ring-like series (stats history, life event logs) shift by at most the
+// samples appended between captures; larger shifts fall back to full copies.
+const MAX_SERIES_SHIFT = 256;
+
+const UNCHANGED = Symbol("unchanged");
+
+const isRecord = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== "object" || typeof b !== "object") {
+    return false;
+  }
+
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function collectIds(records) {
+  const ids = [];
+  const seen = new Set();
+
+  for (const record of records) {
+    const id = record?.id;
+
+    if (!Number.isInteger(id) || seen.has(id)) return null;
+
+    seen.add(id);
+    ids.push(id);
+  }
+
+  return ids;
+}
+
+function diffKeyedRecords(prev, next, nextIds) {
+  const prevById = new Map(prev.map((record) => [record.id, record]));
+  const changed = {};
+  let changes = 0;
+
+  next.forEach((record) => {
+    const base = prevById.get(record.id);
+    const patch = base ? diffValue(base, record) : { $: record };
+
+    if (patch !== UNCHANGED) {
+      changed[record.id] = patch;
+      changes += 1;
+    }
+  });
+
+  const sameOrder =
+    prev.length === next.length && prev.every((record, i) => record.id === nextIds[i]);
+
+  if (sameOrder && changes === 0) return UNCHANGED;
+
+  return sameOrder ? { k: changed } : { k: changed, i: nextIds };
+}
+
+function findSeriesShift(prev, next) {
+  const maxShift = Math.min(prev.length, MAX_SERIES_SHIFT);
+
+  for (let shift = 0; shift <= maxShift; shift++) {
+    const overlap = prev.length - shift;
+
+    if (overlap > next.length) continue;
+
+    let matches = true;
+
+    for (let i = 0; i < overlap; i++) {
+      if (!isEqual(prev[shift + i], next[i])) {
+        matches = false;
+        break;
+      }
+    }
+
+    if (matches) return shift;
+  }
+
+  return -1;
+}
+
+function diffArray(prev, next) {
+  if (prev.length === 0 && next.length === 0) return UNCHANGED;
+
+  const nextIds = next.length > 0 ? collectIds(next) : null;
+
+  if (nextIds && collectIds(prev)) {
+    return diffKeyedRecords(prev, next, nextIds);
+  }
+
+  const shift = findSeriesShift(prev, next);
+  const appended = shift >= 0 ? next.slice(prev.length - shift) : null;
+
+  if (shift === 0 && appended.length === 0) return UNCHANGED;
+
+  let patches = null;
+
+  if (prev.length === next.length) {
+    patches = [];
+
+    for (let i = 0; i < next.length; i++) {
+      if (!isEqual(prev[i], next[i])) patches.push([i, next[i]]);
+    }
+  }
+
+  // Index patches cost roughly two entries per change; use whichever is smaller.
+  if (patches && (!appended || patches.length * 2 < appended.length)) {
+    if (patches.length * 2 <= next.length) return { p: patches };
+  }
+
+  if (appended) return { s: shift, a: appended };
+
+  return { $: next };
+}
+
+function diffObject(prev, next) {
+  const changed = {};
+  const removed = Object.keys(prev).filter((key) => !(key in next));
+  let changes = removed.length;
+
+  for (const [key, value] of Object.entries(next)) {
+    const patch = key in prev ? diffValue(prev[key], value) : { $: value };
+
+    if (patch !== UNCHANGED) {
+      changed[key] = patch;
+      changes += 1;
+    }
+  }
+
+  if (changes === 0) return UNCHANGED;
+
+  return removed.length > 0 ? { o: changed, r: removed } : { o: changed };
+}
+
+function diffValue(prev, next) {
+  if (prev === next) return UNCHANGED;
+  if (Array.isArray(prev) && Array.isArray(next)) return diffArray(prev, next);
+  if (isRecord(prev) && isRecord(next)) return diffObject(prev, next);
+
+  return { $: next };
+}
+
+function applyPatch(base, patch) {
+  if ("$" in patch) return patch.$;
+
+  if (patch.o) {
+    const result = { ...base };
+
+    for (const [key, change] of Object.entries(patch.o)) {
+      result[key] = applyPatch(base?.[key], change);
+    }
+
+    (patch.r ?? []).forEach((key) => delete result[key]);
+
+    return result;
+  }
+
+  if (patch.k) {
+    const byId = new Map(base.map((record) => [record.id, record]));
+    const order = patch.i ?? base.map((record) => record.id);
+
+    return order.map((id) => {
+      const change = patch.k[id];
+
+      return change ? applyPatch(byId.get(id), change) : byId.get(id);
+    });
+  }
+
+  if (patch.p) {
+    const result = base.slice();
+
+    patch.p.forEach(([index, value]) => {
+      result[index] = value;
+    });
+
+    return result;
+  }
+
+  return base.slice(patch.s).concat(patch.a);
+}
+
+/**
+ * Ring buffer of compact world snapshots keyed by tick. Snapshots must be
+ * JSON-safe (see `captureWorldSnapshot`); restored frames are fresh objects
+ * equal to the JSON round-trip of what was recorded.
+ */
+export default class RewindBuffer {
+  #frames = [];
+  #bytes = 0;
+  #capacityBytes;
+  #keyframeInterval;
+  // JSON round-trip of the newest frame, kept as the base for the next delta.
+  #latest = null;
+
+  /**
+   * @param {{capacityBytes?: number, keyframeInterval?: number}} [options]
+   */
+  constructor({ capacityBytes = 0, keyframeInterval = REWIND_KEYFRAME_INTERVAL } = {}) {
+    this.#capacityBytes = Math.max(0, Number(capacityBytes) || 0);
+    this.#keyframeInterval = Math.max(1, Math.floor(keyframeInterval) || 1);
+  }
+
+  get size() {
+    return this.#frames.length;
+  }
+
+  get bytes() {
+    return this.#bytes;
+  }
+
+  get capacityBytes() {
+    return this.#capacityBytes;
+  }
+
+  /**
+   * Updates the memory cap, dropping the oldest frames that no longer fit.
+   *
+   * @param {number} capacityBytes - Cap in bytes; `0` disables recording.
+   */
+  setCapacity(capacityBytes) {
+    this.#capacityBytes = Math.max(0, Number(capacityBytes) || 0);
+    this.#evict();
+  }
+
+  /**
+   * Records the world at `tick`. Frames at or after `tick` belong to a future
+   * that was abandoned by a restore and are discarded first.
+   *
+   * @param {number} tick
+   * @param {Object} snapshot - JSON-safe world snapshot.
+   */
+  record(tick, snapshot) {
+    if (this.#capacityBytes <= 0) return;
+
+    this.discardAfter(tick - 1);
+
+    const normalized = JSON.parse(JSON.stringify(snapshot));
+    const newest = this.#frames.at(-1);
+    const sinceKeyframe = newest ? newest.sinceKeyframe + 1 : 0;
+    let frame;
+
+    if (!newest || !this.#latest || sinceKeyframe >= this.#keyframeInterval) {
+      frame = { tick, sinceKeyframe: 0, payload: JSON.stringify(normalized) };
+    } else {
+      const patch = diffValue(this.#latest, normalized);
+
+      frame = {
+        tick,
+        sinceKeyframe,
+        payload: JSON.stringify(patch === UNCHANGED ? { o: {} } : patch),
+      };
+    }
+
+    this.#frames.push(frame);
+    this.#bytes += frame.payload.length;
+    this.#latest = normalized;
+    this.#evict();
+  }
+
+  /**
+   * Drops every frame recorded after `tick`.
+   *
+   * @param {number} tick
+   */
+  discardAfter(tick) {
+    let dropped = false;
+
+    while (this.#frames.length > 0 && this.#frames.at(-1).tick > tick) {
+      this.#bytes -= this.#frames.pop().payload.length;
+      dropped = true;
+    }
+
+    if (dropped) {
+      this.#latest =
+        this.#frames.length > 0 ? this.materialize(this.#frames.length - 1) : null;
+    }
+  }
+
+  clear() {
+    this.#frames = [];
+    this.#bytes = 0;
+    this.#latest = null;
+  }
+
+  /**
+   * @param {number} tick
+   * @returns {number} Index of the newest frame at or before `tick`, or `-1`.
+   */
+  findFrame(tick) {
+    for (let index = this.#frames.length - 1; index >= 0; index--) {
+      if (this.#frames[index].tick <= tick) return index;
+    }
+
+    return -1;
+  }
+
+  tickAt(index) {
+    return this.#frames[index]?.tick ?? null;
+  }
+
+  /**
+   * Rebuilds the snapshot stored at `index` from its keyframe and deltas.
+   *
+   * @param {number} index
+   * @returns {Object} Fresh snapshot object.
+   * @throws {RangeError} When `index` is outside the buffer.
+   */
+  materialize(index) {
+    const frame = this.#frames[index];
+
+    if (!Number.isInteger(index) || !frame) {
+      throw new RangeError(`Rewind frame ${index} is not in the buffer.`);
+    }
+
+    const keyIndex = index - frame.sinceKeyframe;
+    let snapshot = JSON.parse(this.#frames[keyIndex].payload);
+
+    for (let i = keyIndex + 1; i <= index; i++) {
+      snapshot = applyPatch(snapshot, JSON.parse(this.#frames[i].payload));
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * @returns {{frames: number, oldestTick: number|null, newestTick: number|null,
+   *   bytes: number, capacityBytes: number}}
+   */
+  getStatus() {
+    return {
+      frames: this.#frames.length,
+      oldestTick: this.#frames[0]?.tick ?? null,
+      newestTick: this.#frames.at(-1)?.tick ?? null,
+      bytes: this.#bytes,
+      capacityBytes: this.#capacityBytes,
+    };
+  }
+
+  #evict() {
+    while (this.#frames.length > 0 && this.#bytes > this.#capacityBytes) {
+      const next = this.#frames[1];
+
+      // The next frame is a delta against the one being dropped; rewrite it as
+      // a keyframe so it stays restorable.
+      if (next && next.sinceKeyframe > 0) {
+        const payload = JSON.stringify(this.materialize(1));
+        const offset = next.sinceKeyframe;
+
+        this.#bytes += payload.length - next.payload.length;
+        next.payload = payload;
+
+        for (let i = 1; i < this.#frames.length; i++) {
+          if (this.#frames[i].sinceKeyframe < offset) break;
+          this.#frames[i].sinceKeyframe -= offset;
+        }
+      }
+
+      this.#bytes -= this.#frames.shift().payload.length;
+    }
+
+    if (this.#frames.length === 0) this.#latest = null;
+  }
+}
@@ -0,0 +1,212 @@
+import { parseScenario } from "./scenario.js";
+import { migrateWorldSnapshot } from "./worldSnapshot.js";
+
+/**
+ * Run recordings. A recording is the world snapshot taken when recording
+ * started, the settings that shape the simulation, and a log of the user's
+ * interventions written as scenario entries (see `./scenario.js`). Replaying
+ * restores the snapshot and runs the log as a scenario, so a seeded run
+ * re-simulates tick for tick without storing any frames.
+ */
+
+/** Schema version written by {@link RunRecorder#finish}. */
+export const RUN_RECORDING_VERSION = 1;
+
+/** Format tag stored on every recording so foreign JSON is rejected early. */
+export const RUN_RECORDING_FORMAT = "colourful-life/recording";
+
+/**
+ * Engine settings that change what the simulation computes. Recordings store
+ * their starting values and log every change; playback-only settings such as
+ * speed, overlays, or fast-forward are left to whoever watches the replay.
+ */
+export const RECORDED_SETTING_KEYS = Object.freeze([
+  "societySimilarity",
+  "enemySimilarity",
+  "eventStrengthMultiplier",
+  "eventFrequencyMultiplier",
+  "maxConcurrentEvents",
+  "combatEdgeSharpness",
+  "combatTerritoryEdgeFactor",
+  "densityEffectMultiplier",
+  "energyRegenRate",
+  "energyDiffusionRate",
+  "initialTileEnergyFraction",
+  "mutationMultiplier",
+  "matingDiversityThreshold",
+  "lowDiversityReproMultiplier",
+  "trophicMode",
+]);
+
+// Custom zone definitions without their active flags, which `toggleZone`
+// entries already cover.
+function describeCustomZones(customZones) {
+  return JSON.stringify(
+    (customZones?.zones ?? []).map(({ id, name, color, runs }) => [
+      id,
+      name,
+      color,
+      runs,
+    ]),
+  );
+}
+
+/**
+ * Collects interventions while a run is recorded. Zone toggles and custom
+ * zone edits are detected by comparing the selection between ticks because
+ * the UI edits zones on the selection manager directly.
+ */
+export class RunRecorder {
+  #entries = [];
+  #zones;
+  #customZones;
+
+  /**
+   * @param {{seed: number|string, world: Object, settings: Object,
+   *   activeZones?: string[], customZones?: Object|null}} options - `world`
+   *   must already be JSON-safe; `customZones` is the selection manager's
+   *   `exportCustomZones()` document.
+   */
+  constructor({ seed, world, settings, activeZones = [], customZones = null }) {
+    this.seed = seed;
+    this.world = world;
+    this.settings = { ...settings };
+    this.startTick = world?.grid?.tickCount ?? 0;
+    this.#zones = new Set(activeZones);
+    this.#customZones = describeCustomZones(customZones);
+  }
+
+  get actionCount() {
+    return this.#entries.length;
+  }
+
+  /**
+   * Logs a scenario action to run before the grid computes tick `atTick + 1`.
+   *
+   * @param {number} atTick
+   * @param {string} action - One of `SCENARIO_ACTIONS`.
+   * @param {Object} [params]
+   */
+  log(atTick, action, params = {}) {
+    this.#entries.push({ atTick, action, params: JSON.parse(JSON.stringify(params)) });
+  }
+
+  /**
+   * Logs a `setCustomZones` entry when custom zones were drawn, painted,
+   * renamed, or deleted since the last call, then adopts `customZones` as the
+   * new baseline.
+   *
+   * @param {number} atTick
+   * @param {Object|null} customZones - `exportCustomZones()` document.
+   * @param {{log?: boolean}} [options] - Pass `log: false` to only rebaseline.
+   */
+  syncCustomZones(atTick, customZones, { log = true } = {}) {
+    const next = describeCustomZones(customZones);
+
+    if (log && next !== this.#customZones) {
+      this.log(atTick, "setCustomZones", { zones: customZones });
+    }
+
+    this.#customZones = next;
+  }
+
+  /**
+   * Logs `toggleZone` entries for zones whose state changed since the last
+   * call, then adopts `activeZones` as the new baseline.
+   *
+   * @param {number} atTick
+   * @param {string[]} activeZones
+   * @param {{log?: boolean}} [options] - Pass `log: false` to only rebaseline,
+   *   e.g. after scenario entries toggled zones themselves.
+   */
+  syncZones(atTick, activeZones, { log = true } = {}) {
+    const next = new Set(activeZones);
+
+    if (log) {
+      for (const id of this.#zones) {
+        if (!next.has(id)) this.log(atTick, "toggleZone", { id, active: false });
+      }
+      for (const id of next) {
+        if (!this.#zones.has(id)) this.log(atTick, "toggleZone", { id, active: true });
+      }
+    }
+
+    this.#zones = next;
+  }
+
+  /**
+   * @param {number} endTick - Tick count when recording stopped.
+   * @returns {Object} JSON-safe recording accepted by {@link parseRunRecording}.
+   */
+  finish(endTick) {
+    return {
+      format: RUN_RECORDING_FORMAT,
+      version: RUN_RECORDING_VERSION,
+      seed: this.seed,
+      startTick: this.startTick,
+      endTick: Math.max(this.startTick, endTick),
+      settings: { ...this.settings },
+      world: this.world,
+      actions: this.#entries.map((entry) => ({ ...entry })),
+    };
+  }
+}
+
+/**
+ * Validates a recording and upgrades its world snapshot to the current schema.
+ *
+ * @param {Object|string} input - Recording or its JSON encoding.
+ * @returns {{seed: number|string, startTick: number, endTick: number,
+ *   settings: Object, world: Object, actions: ReadonlyArray<Object>}}
+ * @throws {TypeError} When the input is not a run recording.
+ * @throws {RangeError} When the recording is newer than this build or its
+ *   tick range is invalid.
+ */
+export function parseRunRecording(input) {
+  const parsed = typeof input === "string" ? JSON.parse(input) : input;
+
+  if (!parsed || typeof parsed !== "object" || parsed.format !== RUN_RECORDING_FORMAT) {
+    throw new TypeError("Expected a Colourful Life run recording.");
+  }
+
+  if (!Number.isInteger(parsed.version) || parsed.version > RUN_RECORDING_VERSION) {
+    throw new RangeError(
+      `Run recording version ${parsed.version} is not supported by this build.`,
+    );
+  }
+
+  const world = migrateWorldSnapshot(parsed.world);
+  const startTick = world.grid?.tickCount ?? 0;
+  const { endTick } = parsed;
+
+  if (!Number.isInteger(endTick) || endTick < startTick) {
+    throw new RangeError("Run recording needs an endTick at or after its start.");
+  }
+
+  const settings = {};
+
+  for (const key of RECORDED_SETTING_KEYS) {
+    if (parsed.settings?.[key] !== undefined) settings[key] = parsed.settings[key];
+  }
+
+  return {
+    seed: parsed.seed ?? null,
+    startTick,
+    endTick,
+    settings,
+    world,
+    actions: parseScenario(parsed.actions ?? []),
+  };
+}
+
+/**
+ * Scenario that replays a parsed recording: the logged interventions followed
+ * by the scenario the world was already running. Recorded entries come first
+ * because they happened between ticks, before that tick's scripted entries.
+ *
+ * @param {ReturnType<typeof parseRunRecording>} recording
+ * @returns {Object[]} Entries accepted by `parseScenario`.
+ */
+export function buildReplayScript(recording) {
+  return [...recording.actions, ...(recording.world.scenario ?? [])];
+}
@@ -0,0 +1,364 @@
+import {
+  GRID_GEOMETRY_BOUNDS,
+  SETTING_RANGES,
+  SIMULATION_DEFAULTS,
+} from "../config.js";
+import { warnOnce } from "../utils/error.js";
+import { clamp } from "../utils/math.js";
+import { coerceBoolean } from "../utils/primitives.js";
+import { captureSelectionState } from "./worldSnapshot.js";
+
+/**
+ * Saved settings: the slider and toggle values, grid geometry, obstacle
+ * preset, and reproductive zones of a session, without any world state. The
+ * browser bootstrap keeps them in `localStorage` between visits and encodes
+ * them in the URL hash for "Copy link"; {@link settingsToConfig} turns either
+ * back into `createSimulation` config.
+ */
+
+/** Schema version written by {@link captureSettings}. */
+export const SAVED_SETTINGS_VERSION = 1;
+
+/** `localStorage` key used by {@link attachSettingsPersistence}. */
+export const SETTINGS_STORAGE_KEY = "colourful-life/settings";
+
+// Pause state is per session and `speedMultiplier` is derived from
+// `updatesPerSecond`, so neither is saved.
+const UNSAVED_SETTING_KEYS = new Set(["paused", "speedMultiplier"]);
+
+/** `SIMULATION_DEFAULTS` keys stored with saved settings. */
+export const SAVED_SETTING_KEYS = Object.freeze(
+  Object.keys(SIMULATION_DEFAULTS).filter((key) => !UNSAVED_SETTING_KEYS.has(key)),
+);
+
+const GEOMETRY_KEYS = Object.freeze(["rows", "cols", "cellSize"]);
+
+const isRecord = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+function coerceSetting(key, value) {
+  const fallback = SIMULATION_DEFAULTS[key];
+
+  if (typeof fallback === "boolean") {
+    return typeof value === "boolean" || typeof value === "string"
+      ? coerceBoolean(value, fallback)
+      : undefined;
+  }
+
+  if (typeof fallback === "number") {
+    const numeric =
+      typeof value === "string" && value.trim() === "" ? NaN : Number(value);
+
+    if (!Number.isFinite(numeric)) return undefined;
+
+    // Links are hand-editable, so values stay within what the controls allow.
+    if (key === "updatesPerSecond") {
+      const { min, max } = SETTING_RANGES.speedMultiplier;
+
+      return clamp(numeric, min * fallback, max * fallback);
+    }
+
+    const range = SETTING_RANGES[key];
+
+    return range ? clamp(numeric, range.floor ?? range.min, range.max) : numeric;
+  }
+
+  return typeof value === typeof fallback ? value : undefined;
+}
+
+/**
+ * Captures the restorable settings of a {@link SimulationEngine} or
+ * `WorkerSimulationEngine`.
+ *
+ * @param {Object} engine
+ * @returns {{version: number, settings: Object, geometry: {rows: number,
+ *   cols: number, cellSize: number, lattice: string, topology: string},
+ *   obstaclePreset: string, selection: {activePatterns: string[],
+ *   customZones: Object|null}}} JSON-safe settings; `customZones` is a
+ *   custom zone document as written by `SelectionManager#exportCustomZones`.
+ */
+export function captureSettings(engine) {
+  const state = engine.getStateSnapshot?.() ?? engine.state ?? {};
+  const settings = {};
+
+  for (const key of SAVED_SETTING_KEYS) {
+    if (state[key] !== undefined) settings[key] = state[key];
+  }
+
+  return {
+    version: SAVED_SETTINGS_VERSION,
+    settings,
+    geometry: {
+      rows: engine.rows,
+      cols: engine.cols,
+      cellSize: engine.cellSize,
+      lattice: engine.getLattice?.() ?? "square",
+      topology: engine.getTopology?.() ?? "bounded",
+    },
+    obstaclePreset: engine.getCurrentObstaclePreset?.() ?? "none",
+    selection: captureSelectionState(engine.selectionManager),
+  };
+}
+
+/**
+ * Validates saved settings, coercing string values (as read from a URL) to the
+ * types of `SIMULATION_DEFAULTS` and clamping slider values and geometry to
+ * the ranges of their controls. Unknown keys and unusable values are dropped
+ * so a stale save never blocks startup.
+ *
+ * @param {Object|string} input - Saved settings or their JSON encoding.
+ * @returns {ReturnType<typeof captureSettings>} Normalized settings; fields
+ *   the input lacked are omitted.
+ * @throws {TypeError} When the input is not a settings object.
+ * @throws {RangeError} When the settings are newer than this build.
+ */
+export function parseSavedSettings(input) {
+  const parsed = typeof input === "string" ? JSON.parse(input) : input;
+
+  if (!isRecord(parsed)) {
+    throw new TypeError("Expected saved Colourful Life settings.");
+  }
+
+  const version = Number(parsed.version);
+
+  if (!Number.isInteger(version) || version > SAVED_SETTINGS_VERSION) {
+    throw new RangeError(`Saved settings version ${parsed.version} is not supported.`);
+  }
+
+  const result = { version: SAVED_SETTINGS_VERSION, settings: {} };
+
+  for (const key of SAVED_SETTING_KEYS) {
+    const value = coerceSetting(key, parsed.settings?.[key]);
+
+    if (value !== undefined) result.settings[key] = value;
+  }
+
+  if (isRecord(parsed.geometry)) {
+    const geometry = {};
+
+    for (const key of GEOMETRY_KEYS) {
+      const value = Number(parsed.geometry[key]);
+      const { min, max } = GRID_GEOMETRY_BOUNDS[key];
+
+      if (Number.isInteger(value) && value > 0) geometry[key] = clamp(value, min, max);
+    }
+    for (const key of ["lattice", "topology"]) {
+      if (typeof parsed.geometry[key] === "string")
+        geometry[key] = parsed.geometry[key];
+    }
+
+    result.geometry = geometry;
+  }
+
+  if (typeof parsed.obstaclePreset === "string" && parsed.obstaclePreset.length > 0) {
+    result.obstaclePreset = parsed.obstaclePreset;
+  }
+
+  if (isRecord(parsed.selection)) {
+    const { activePatterns, customZones } = parsed.selection;
+
+    result.selection = {
+      activePatterns: Array.isArray(activePatterns)
+        ? activePatterns.filter((id) => typeof id === "string" && id.length > 0)
+        : [],
+      customZones:
+        isRecord(customZones) && Array.isArray(customZones.zones) ? customZones : null,
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Converts saved settings into `createSimulation` config overrides.
+ *
+ * @param {ReturnType<typeof parseSavedSettings>} saved
+ * @returns {Object}
+ */
+export function settingsToConfig(saved) {
+  const config = { ...saved.settings };
+  const { rows, cols, cellSize, lattice, topology } = saved.geometry ?? {};
+
+  if (cellSize) config.cellSize = cellSize;
+  if (rows) config.rows = rows;
+  if (cols) config.cols = cols;
+  // Size the canvas to the grid; otherwise the page's canvas size wins.
+  if (rows && cols && cellSize) {
+    config.width = cols * cellSize;
+    config.height = rows * cellSize;
+  }
+  if (lattice) config.lattice = lattice;
+  if (topology) config.topology = topology;
+  if (saved.obstaclePreset) config.initialObstaclePreset = saved.obstaclePreset;
+  if (saved.selection) config.selection = saved.selection;
+
+  return config;
+}
+
+/**
+ * Encodes settings, and optionally a seed, as a URL hash such as
+ * `#v=1&societySimilarity=0.7&rows=60&…&seed=42`. Every setting is written so
+ * the link reproduces the configuration even if a later build changes its
+ * defaults.
+ *
+ * @param {ReturnType<typeof captureSettings>} saved
+ * @param {{seed?: number|string|null}} [options]
+ * @returns {string} Hash including the leading `#`.
+ */
+export function encodeSettingsHash(saved, { seed } = {}) {
+  const params = new URLSearchParams({ v: String(SAVED_SETTINGS_VERSION) });
+
+  for (const [key, value] of Object.entries(saved.settings ?? {})) {
+    params.set(key, String(value));
+  }
+  for (const [key, value] of Object.entries(saved.geometry ?? {})) {
+    if (value != null) params.set(key, String(value));
+  }
+  if (saved.obstaclePreset) params.set("obstaclePreset", saved.obstaclePreset);
+  if (saved.selection) {
+    params.set("zones", saved.selection.activePatterns.join(","));
+
+    if (saved.selection.customZones?.zones?.length > 0) {
+      params.set("customZones", JSON.stringify(saved.selection.customZones));
+    }
+  }
+  // JSON keeps numeric and string seeds apart; they seed different streams.
+  if (seed != null) params.set("seed", JSON.stringify(seed));
+
+  return `#${params}`;
+}
+
+const hashParams = (hash) => new URLSearchParams(String(hash ?? "").replace(/^#/, ""));
+
+/**
+ * @param {string} hash - `location.hash`, with or without the leading `#`.
+ * @returns {boolean} Whether `hash` looks like an {@link encodeSettingsHash} link.
+ */
+export function isSettingsHash(hash) {
+  return hashParams(hash).has("v");
+}
+
+/**
+ * Parses a hash written by {@link encodeSettingsHash}. Hashes without the
+ * `v` marker are left alone so pages can use the fragment for other things.
+ *
+ * @param {string} hash - `location.hash`, with or without the leading `#`.
+ * @returns {{settings: ReturnType<typeof parseSavedSettings>,
+ *   seed?: number|string}|null}
+ * @throws {TypeError|RangeError} Like {@link parseSavedSettings}.
+ */
+export function parseSettingsHash(hash) {
+  const params = hashParams(hash);
+
+  if (!params.has("v")) return null;
+
+  const raw = {
+    version: params.get("v"),
+    settings: {},
+    geometry: {},
+    obstaclePreset: params.get("obstaclePreset") ?? undefined,
+  };
+
+  for (const key of SAVED_SETTING_KEYS) {
+    if (params.has(key)) raw.settings[key] = params.get(key);
+  }
+  for (const key of [...GEOMETRY_KEYS, "lattice", "topology"]) {
+    if (params.has(key)) raw.geometry[key] = params.get(key);
+  }
+  if (params.has("zones")) {
+    raw.selection = {
+      activePatterns: params.get("zones").split(",").filter(Boolean),
+      customZones: params.has("customZones")
+        ? JSON.parse(params.get("customZones"))
+        : null,
+    };
+  }
+
+  const result = { settings: parseSavedSettings(raw) };
+
+  if (params.has("seed")) {
+    const text = params.get("seed");
+    let seed = text;
+
+    try {
+      seed = JSON.parse(text);
+    } catch {
+      // Hand-written links may carry a bare string seed.
+    }
+
+    if (
+      (typeof seed === "number" && Number.isFinite(seed)) ||
+      typeof seed === "string"
+    ) {
+      result.seed = seed;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Reads saved settings from `storage`.
+ *
+ * @param {Storage|null|undefined} storage
+ * @returns {ReturnType<typeof parseSavedSettings>|null} `null` when nothing
+ *   usable is stored.
+ */
+export function loadStoredSettings(storage) {
+  try {
+    const raw = storage?.getItem?.(SETTINGS_STORAGE_KEY);
+
+    return raw ? parseSavedSettings(raw) : null;
+  } catch (error) {
+    warnOnce("Ignoring unreadable saved settings.", error);
+
+    return null;
+  }
+}
+
+/**
+ * Saves the engine's settings to `storage` whenever its state changes, after
+ * `delayMs` of quiet, and when the page is hidden. Zone toggles do not change
+ * engine state, so they are picked up by the next save.
+ *
+ * @param {Object} engine - Engine exposing `on` and the surface read by
+ *   {@link captureSettings}.
+ * @param {{storage?: Storage|null, window?: Window|null, delayMs?: number}} [options]
+ * @returns {() => void} Detaches the listeners after a final save.
+ */
+export function attachSettingsPersistence(
+  engine,
+  { storage, window: win, delayMs = 250 } = {},
+) {
+  if (typeof storage?.setItem !== "function") return () => {};
+
+  let timer = null;
+  const save = () => {
+    clearTimeout(timer);
+    timer = null;
+
+    try {
+      storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(captureSettings(engine)));
+    } catch (error) {
+      warnOnce("Could not save settings; they will not be restored.", error);
+    }
+  };
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(save, delayMs);
+  };
+  const onVisibilityChange = () => {
+    if (win?.document?.visibilityState === "hidden") save();
+  };
+  const unsubscribe = engine.on?.("state", schedule) ?? (() => {});
+
+  win?.addEventListener?.("pagehide", save);
+  win?.document?.addEventListener?.("visibilitychange", onVisibilityChange);
+
+  return () => {
+    unsubscribe();
+    win?.removeEventListener?.("pagehide", save);
+    win?.document?.removeEventListener?.("visibilitychange", onVisibilityChange);
+    save();
+  };
+}
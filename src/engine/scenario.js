@@ -0,0 +1,145 @@
+/**
+ * Scenario scripts. A scenario is a JSON list of `{ atTick, action, params }`
+ * entries that {@link SimulationEngine} runs once `atTick` ticks have elapsed,
+ * just before the grid computes the next one. Entries sharing a tick run in
+ * file order, and actions that need randomness (random bursts, unnamed event
+ * types) draw on the engine's own streams, so a seeded run with a scenario
+ * replays exactly.
+ *
+ * Actions and their `params`:
+ *
+ * - `spawnEvent`: an `EventManager.spawnEvent` descriptor, e.g.
+ *   `{ eventType: "flood", affectedArea: { x: 0, y: 0, width: 20, height: 10 } }`.
+ * - `updateSetting`: `{ key, value }` forwarded to `engine.updateSetting`.
+ * - `applyObstaclePreset`: `{ id, options }` forwarded to
+ *   `GridManager.applyObstaclePreset`.
+ * - `burst`: `{ count, radius }` seeds a random burst; add `row` and `col` to
+ *   place it.
+ * - `toggleZone`: `{ id, active }` toggles a reproductive zone; omit `active`
+ *   to flip it.
+ * - `paintObstacles`: `{ tiles, blocked, evict }` forwarded to
+ *   `ObstacleEditor.paint`.
+ * - `cancelEvent`: `{ index }` ends the active event at that position in
+ *   `EventManager.activeEvents`.
+ * - `setCustomZones`: `{ zones }` replaces the custom zones with a
+ *   `SelectionManager.exportCustomZones` document.
+ * - `pause`: pauses the engine once the tick finishes.
+ */
+export const SCENARIO_ACTIONS = Object.freeze([
+  "spawnEvent",
+  "updateSetting",
+  "applyObstaclePreset",
+  "burst",
+  "toggleZone",
+  "paintObstacles",
+  "cancelEvent",
+  "setCustomZones",
+  "pause",
+]);
+
+const REQUIRED_STRING_PARAMS = Object.freeze({
+  updateSetting: "key",
+  applyObstaclePreset: "id",
+  toggleZone: "id",
+});
+
+function normalizeEntry(entry, index) {
+  if (!entry || typeof entry !== "object") {
+    throw new TypeError(`Scenario entry ${index} must be an object.`);
+  }
+
+  const { atTick, action } = entry;
+
+  if (!Number.isInteger(atTick) || atTick < 0) {
+    throw new RangeError(
+      `Scenario entry ${index} needs a non-negative integer atTick (got ${atTick}).`,
+    );
+  }
+  if (!SCENARIO_ACTIONS.includes(action)) {
+    throw new TypeError(`Scenario entry ${index} has unknown action "${action}".`);
+  }
+
+  const params =
+    entry.params && typeof entry.params === "object"
+      ? JSON.parse(JSON.stringify(entry.params))
+      : {};
+  const requiredKey = REQUIRED_STRING_PARAMS[action];
+
+  if (
+    requiredKey &&
+    (typeof params[requiredKey] !== "string" || !params[requiredKey])
+  ) {
+    throw new TypeError(
+      `Scenario entry ${index} (${action}) needs a "${requiredKey}" string param.`,
+    );
+  }
+
+  return Object.freeze({ atTick, action, params: Object.freeze(params) });
+}
+
+/**
+ * Validates a scenario and returns its entries sorted by `atTick`.
+ *
+ * @param {Array|{entries: Array}|string} input - Entry list, an object with
+ *   an `entries` list, or the JSON encoding of either.
+ * @returns {ReadonlyArray<{atTick: number, action: string, params: Object}>}
+ * @throws {TypeError|RangeError} When the script or one of its entries is
+ *   malformed.
+ */
+export function parseScenario(input) {
+  const parsed = typeof input === "string" ? JSON.parse(input) : input;
+  const entries = Array.isArray(parsed) ? parsed : parsed?.entries;
+
+  if (!Array.isArray(entries)) {
+    throw new TypeError(
+      "A scenario must be a list of { atTick, action, params } entries.",
+    );
+  }
+
+  // Array#sort is stable, so entries sharing a tick keep their file order.
+  return Object.freeze(entries.map(normalizeEntry).sort((a, b) => a.atTick - b.atTick));
+}
+
+/**
+ * Index of the first entry still due once `tick` ticks have elapsed.
+ *
+ * @param {ReadonlyArray<{atTick: number}>} entries - Sorted entries.
+ * @param {number} tick
+ * @returns {number}
+ */
+export function findNextScenarioIndex(entries, tick) {
+  const index = entries.findIndex((entry) => entry.atTick >= tick);
+
+  return index === -1 ? entries.length : index;
+}
+
+/**
+ * Short human-readable summary of an entry for timelines and logs.
+ *
+ * @param {{action: string, params: Object}} entry
+ * @returns {string}
+ */
+export function describeScenarioEntry({ action, params = {} }) {
+  switch (action) {
+    case "spawnEvent":
+      return `Spawn ${params.eventType ?? "random"} event`;
+    case "updateSetting":
+      return `Set ${params.key} to ${JSON.stringify(params.value)}`;
+    case "applyObstaclePreset":
+      return `Apply ${params.id} layout`;
+    case "burst":
+      return `Burst ${params.count ?? 200} cells`;
+    case "toggleZone":
+      return `${params.active === undefined ? "Toggle" : params.active ? "Enable" : "Disable"} ${params.id} zone`;
+    case "paintObstacles":
+      return `${params.blocked === false ? "Clear" : "Paint"} ${params.tiles?.length ?? 0} obstacle tiles`;
+    case "cancelEvent":
+      return `Cancel event ${params.index ?? 0}`;
+    case "setCustomZones":
+      return `Redraw ${params.zones?.zones?.length ?? 0} custom zones`;
+    case "pause":
+      return "Pause";
+    default:
+      return action;
+  }
+}
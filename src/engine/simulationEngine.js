@@ -1,8 +1,25 @@
 import EventManager from "../events/eventManager.js";
 import GridManager from "../grid/gridManager.js";
 import InteractionSystem from "../grid/interactionSystem.js";
+import ObstacleEditor from "../grid/obstacleEditor.js";
 import createSelectionManagerStub from "../grid/selectionManagerStub.js";
 import createSimulationRuntimeServices from "./simulationRuntimeServices.js";
+import RewindBuffer from "./rewindBuffer.js";
+import { captureSettings } from "./savedSettings.js";
+import {
+  RECORDED_SETTING_KEYS,
+  RunRecorder,
+  buildReplayScript,
+  parseRunRecording,
+} from "./runRecording.js";
+import {
+  captureWorldSnapshot,
+  migrateWorldSnapshot,
+  restoreSelectionState,
+  restoreWorldRng,
+  restoreWorldSnapshot,
+  restoreWorldStats,
+} from "./worldSnapshot.js";
 import {
   ENERGY_DIFFUSION_RATE_DEFAULT,
   ENERGY_REGEN_RATE_DEFAULT,
@@ -11,11 +28,22 @@ import {
   SIMULATION_DEFAULTS,
   resolveSimulationDefaults,
   LEADERBOARD_INTERVAL_MIN_MS,
+  FAST_FORWARD_BUDGET_MAX_MS,
+  FAST_FORWARD_BUDGET_MIN_MS,
+  REWIND_MEMORY_MAX_MIB,
 } from "../config.js";
 import { resolveObstaclePresetCatalog } from "../grid/obstaclePresets.js";
+import { resolveWorldTopology } from "../grid/topology.js";
+import { resolveGridLattice } from "../grid/lattice.js";
+import {
+  exportClimateConfig,
+  resolveClimateConfig,
+  sampleClimate,
+} from "../events/climate.js";
+import { findNextScenarioIndex, parseScenario } from "./scenario.js";
 import {
   clamp,
-  pickFirstFinitePositive,
+  createRngStreams,
   sanitizeNumber,
   sanitizePositiveInteger,
   sanitizeUnitInterval,
@@ -26,6 +54,7 @@ import { invokeWithErrorBoundary } from "../utils/error.js";
 import {
   ensureCanvasDimensions,
   resolveCanvas,
+  resolveGridGeometry,
   resolveTimingProviders,
 } from "./environment.js";
 
@@ -38,6 +67,12 @@ const MAX_CONCURRENT_EVENTS_FALLBACK = Math.max(
 
 const noop = () => {};
 
+// Frozen clocks (tests, hosts without `performance.now`) never exhaust the
+// fast-forward budget, so a single frame or skip-ahead chunk also stops here.
+const FAST_FORWARD_MAX_TICKS_PER_FRAME = 1000;
+
+const BYTES_PER_MIB = 1024 * 1024;
+
 function sanitizeMaxConcurrentEvents(value, fallback = MAX_CONCURRENT_EVENTS_FALLBACK) {
   return sanitizeNumber(value, {
     fallback,
@@ -46,6 +81,14 @@ function sanitizeMaxConcurrentEvents(value, fallback = MAX_CONCURRENT_EVENTS_FAL
   });
 }
 
+// Parses a scenario script; `null` and empty scripts both mean "no scenario",
+// so snapshots and replays always carry an empty scenario as `null`.
+function loadScenarioEntries(script) {
+  const entries = script == null ? null : parseScenario(script);
+
+  return entries?.length > 0 ? entries : null;
+}
+
 /**
  * Coordinates the main simulation loop, rendering pipeline, and UI-facing events.
  *
@@ -67,6 +110,9 @@ function sanitizeMaxConcurrentEvents(value, fallback = MAX_CONCURRENT_EVENTS_FAL
  *   resolving a fallback canvas from the provided document.
  * @param {Object} [options.config] - Initial configuration (cell size, UI slider defaults, etc.).
  * @param {() => number} [options.rng=Math.random] - PRNG used by the grid and events.
+ * @param {number|string} [options.seed] - Simulation seed. When provided, named streams
+ *   (`grid`, `events`, `stats`, `breeding`) are derived via {@link createRngStreams} and
+ *   take precedence over `rng`, so identical seeds and settings replay identically.
  * @param {(cb: FrameRequestCallback) => number} [options.requestAnimationFrame] - Injected
  *   frame scheduler. Defaults to `window.requestAnimationFrame` or a setTimeout shim.
  * @param {(handle: number) => void} [options.cancelAnimationFrame] - Injected cancellation hook,
@@ -93,6 +139,7 @@ export default class SimulationEngine {
     config = {},
     defaultCanvasId,
     rng = Math.random,
+    seed,
     requestAnimationFrame: injectedRaf,
     cancelAnimationFrame: injectedCaf,
     performanceNow: injectedNow,
@@ -129,12 +176,10 @@ export default class SimulationEngine {
       throw new Error("SimulationEngine requires a 2D canvas context.");
     }
 
-    const { width, height } = ensureCanvasDimensions(resolvedCanvas, config);
-    const cellSize = pickFirstFinitePositive([config.cellSize], 5);
-    const baseRows = height / cellSize;
-    const baseCols = width / cellSize;
-    const rows = Math.floor(pickFirstFinitePositive([config.rows, baseRows], 1));
-    const cols = Math.floor(pickFirstFinitePositive([config.cols, baseCols], 1));
+    const { width, height, cellSize, rows, cols } = resolveGridGeometry(
+      resolvedCanvas,
+      config,
+    );
 
     this.window = win;
     this.document = doc;
@@ -159,8 +204,15 @@ export default class SimulationEngine {
     this.now = now;
     this.raf = raf;
     this.caf = caf;
-    this.rng = rng;
+    const hasSeed =
+      (typeof seed === "number" && Number.isFinite(seed)) ||
+      (typeof seed === "string" && seed.length > 0);
+
+    this.seed = hasSeed ? seed : null;
+    this.rngStreams = hasSeed ? createRngStreams(seed) : null;
+    this.rng = this.rngStreams?.grid ?? rng;
     this.drawOverlays = typeof drawOverlays === "function" ? drawOverlays : noop;
+    this.highlightedCladeId = null;
 
     const defaults = resolveSimulationDefaults(config);
     const maxConcurrentEvents = sanitizeMaxConcurrentEvents(
@@ -192,12 +244,20 @@ export default class SimulationEngine {
           return Number.isFinite(ratio) && ratio > 0 ? ratio : 1;
         })();
 
-    this.eventManager = new EventManager(rows, cols, rng, {
+    const topology = resolveWorldTopology(config.topology);
+    const lattice = resolveGridLattice(config.lattice);
+
+    this.eventManager = new EventManager(rows, cols, this.rngStreams?.events ?? rng, {
+      topology,
       startWithEvent:
         (defaults.eventFrequencyMultiplier ?? 1) > 0 && maxConcurrentEvents > 0,
+      randomEventConfig:
+        config && typeof config.randomEventConfig === "object"
+          ? config.randomEventConfig
+          : undefined,
     });
     const runtimeServices = createSimulationRuntimeServices({
-      rng,
+      rng: this.rngStreams?.stats ?? rng,
       leaderboardSize: defaults.leaderboardSize,
       now: this.now,
       statsOptions:
@@ -226,6 +286,8 @@ export default class SimulationEngine {
     };
 
     this.selectionManager = resolveSelectionManager();
+    this.selectionManager.setTopology?.(topology);
+    restoreSelectionState(this.selectionManager, config.selection);
     const hasInitialPreset = typeof config.initialObstaclePreset === "string";
     const randomizeInitialObstacles =
       config.randomizeInitialObstacles ??
@@ -254,9 +316,20 @@ export default class SimulationEngine {
       randomizeInitialObstacles,
       randomObstaclePresetPool: config.randomObstaclePresetPool,
       obstaclePresets: this._obstaclePresets,
-      rng,
+      rng: this.rng,
+      breedingRng: this.rngStreams?.breeding,
       performanceNow: this.now,
+      topology,
+      lattice,
+      terrain: config.terrain ?? null,
     });
+    this.obstacleEditor = new ObstacleEditor(this.grid);
+    this.climate = null;
+    this.climateState = null;
+    this.setClimate(config.climate ?? null);
+    this.scenario = null;
+    this.scenarioIndex = 0;
+    this.loadScenario(config.scenario ?? null);
 
     if (win) {
       win.grid = this.grid;
@@ -299,6 +372,7 @@ export default class SimulationEngine {
       energyDiffusionRate: defaults.energyDiffusionRate,
       combatEdgeSharpness: defaults.combatEdgeSharpness,
       combatTerritoryEdgeFactor: defaults.combatTerritoryEdgeFactor,
+      trophicMode: Boolean(defaults.trophicMode),
       showObstacles: defaults.showObstacles,
       showEnergy: defaults.showEnergy,
       showDensity: defaults.showDensity,
@@ -307,6 +381,8 @@ export default class SimulationEngine {
       showLifeEventMarkers: defaults.showLifeEventMarkers,
       showSelectionZones: defaults.showSelectionZones,
       showGridLines: defaults.showGridLines,
+      showTerrain: defaults.showTerrain,
+      showTrophicRoles: defaults.showTrophicRoles,
       lifeEventFadeTicks: initialLifeEventFadeTicks,
       lifeEventLimit: initialLifeEventLimit,
       leaderboardIntervalMs: defaults.leaderboardIntervalMs,
@@ -314,11 +390,17 @@ export default class SimulationEngine {
       matingDiversityThreshold: defaults.matingDiversityThreshold,
       lowDiversityReproMultiplier: defaults.lowDiversityReproMultiplier,
       initialTileEnergyFraction: defaults.initialTileEnergyFraction,
+      fastForward: Boolean(defaults.fastForward),
+      fastForwardBudgetMs: defaults.fastForwardBudgetMs,
+      rewindMemoryMiB: defaults.rewindMemoryMiB,
+      rewindInterval: defaults.rewindInterval,
       autoPauseOnBlur: this.autoPauseOnBlur,
       autoPausePending: false,
       gridRows: rows,
       gridCols: cols,
       cellSize,
+      topology,
+      lattice,
     };
 
     const initialThreshold = this.state.matingDiversityThreshold;
@@ -345,6 +427,14 @@ export default class SimulationEngine {
     this.lastUpdateTime = 0;
     this.running = false;
     this.frameHandle = null;
+    this.skipAheadJob = null;
+    this.rewind = new RewindBuffer({
+      capacityBytes: defaults.rewindMemoryMiB * BYTES_PER_MIB,
+    });
+    this.recorder = null;
+    this.finishedRecording = null;
+    this.replay = null;
+    this._suppressRecording = false;
 
     this.listeners = new Map();
 
@@ -683,7 +773,9 @@ export default class SimulationEngine {
         normalizedStrength == null ? null : normalizedStrength * strengthMultiplier;
 
       return {
-        id: `${event?.eventType ?? "event"}-${index}-${width}x${height}-${remainingTicks}`,
+        id:
+          this.eventManager.getEventId?.(event) ??
+          `${event?.eventType ?? "event"}-${index}-${width}x${height}-${remainingTicks}`,
         type:
           typeof event?.eventType === "string" && event.eventType.length > 0
             ? event.eventType
@@ -812,12 +904,47 @@ export default class SimulationEngine {
       allowPausedTick,
     });
 
-    if (!shouldAdvance || renderOnly) {
+    // A running skip-ahead owns the world; frames only redraw until it ends.
+    if (!shouldAdvance || renderOnly || this.skipAheadJob) {
       return false;
     }
 
+    const startedAt = this.now();
+
+    this.#advanceTick(effectiveTimestamp);
+
+    // Fast-forward keeps ticking until the frame budget is spent. Manual ticks
+    // stay single so `tick()` and `step()` remain one update each.
+    if (this.state.fastForward && !force) {
+      this.#runTicksWithinBudget(effectiveTimestamp, {
+        startedAt,
+        budgetMs: this.state.fastForwardBudgetMs,
+        limit: FAST_FORWARD_MAX_TICKS_PER_FRAME - 1,
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Runs one world update and feeds its snapshot through Stats and telemetry.
+   * Drawing is left to the caller so batched ticks can share a single redraw.
+   *
+   * @private
+   */
+  #advanceTick(effectiveTimestamp) {
     this.lastUpdateTime = effectiveTimestamp;
+    // Ticking after a step back abandons the frames recorded past it.
+    this.rewind.discardAfter(this.grid.tickCount);
+    // Zones toggled or drawn since the last tick are logged before scenario
+    // entries run, matching the order a replay applies them in.
+    this.#syncRecordedZones();
+    // Scenario entries run before the per-tick stats reset, like the
+    // between-tick interventions a replay re-applies through them.
+    this.#advanceScenario();
+    this.#syncRecordedZones({ log: false });
     this.stats.resetTick();
+    this.#advanceClimate();
     this.#updateEventManagerForFrame();
     const snapshot = this.grid.update(this.#buildGridUpdateOptions());
 
@@ -832,14 +959,34 @@ export default class SimulationEngine {
     // refreshes altogether, regressing both the browser UI and headless
     // automation flows documented in docs/architecture-overview.md.
     this.telemetry.markPending();
+    this.#recordRewindFrame();
+    this.#advanceReplay();
 
     this.emit("tick", {
       snapshot,
       metrics,
       timestamp: effectiveTimestamp,
     });
+  }
 
-    return true;
+  // Ticks until `limit` is reached, the budget measured from `startedAt` runs
+  // out, or something (a scenario action, the auto-pause) pauses the world.
+  #runTicksWithinBudget(
+    timestamp,
+    { startedAt = this.now(), budgetMs, limit, ignorePause = false },
+  ) {
+    let completed = 0;
+
+    while (
+      completed < limit &&
+      (ignorePause || !this.state.paused) &&
+      this.now() - startedAt < budgetMs
+    ) {
+      this.#advanceTick(timestamp);
+      completed += 1;
+    }
+
+    return completed;
   }
 
   #shouldAdvanceSimulation({
@@ -858,6 +1005,11 @@ export default class SimulationEngine {
   }
 
   #buildGridUpdateOptions() {
+    const climate = this.climateState;
+    const energyRegenRate = this.state.energyRegenRate ?? ENERGY_REGEN_RATE_DEFAULT;
+    const energyDiffusionRate =
+      this.state.energyDiffusionRate ?? ENERGY_DIFFUSION_RATE_DEFAULT;
+
     return {
       densityEffectMultiplier: this.state.densityEffectMultiplier ?? 1,
       societySimilarity:
@@ -865,9 +1017,9 @@ export default class SimulationEngine {
       enemySimilarity:
         this.state.enemySimilarity ?? SIMULATION_DEFAULTS.enemySimilarity,
       eventStrengthMultiplier: this.state.eventStrengthMultiplier ?? 1,
-      energyRegenRate: this.state.energyRegenRate ?? ENERGY_REGEN_RATE_DEFAULT,
-      energyDiffusionRate:
-        this.state.energyDiffusionRate ?? ENERGY_DIFFUSION_RATE_DEFAULT,
+      energyRegenRate: energyRegenRate * (climate?.regenMultiplier ?? 1),
+      energyDiffusionRate: energyDiffusionRate * (climate?.diffusionMultiplier ?? 1),
+      climatePhase: climate?.phase ?? 0,
       mutationMultiplier: this.state.mutationMultiplier ?? 1,
       matingDiversityThreshold:
         this.state.matingDiversityThreshold ??
@@ -879,9 +1031,97 @@ export default class SimulationEngine {
         this.state.combatEdgeSharpness ?? COMBAT_EDGE_SHARPNESS_DEFAULT,
       combatTerritoryEdgeFactor:
         this.state.combatTerritoryEdgeFactor ?? COMBAT_TERRITORY_EDGE_FACTOR,
+      trophicMode: Boolean(this.state.trophicMode),
     };
   }
 
+  // Runs the scenario entries due before the grid computes the next tick.
+  #advanceScenario() {
+    const entries = this.scenario;
+
+    if (!entries) return;
+
+    const elapsed = this.grid?.tickCount ?? 0;
+
+    while (
+      this.scenarioIndex < entries.length &&
+      entries[this.scenarioIndex].atTick <= elapsed
+    ) {
+      const entry = entries[this.scenarioIndex];
+
+      this.scenarioIndex += 1;
+      // Scripted actions are part of the world, not interventions to record.
+      this._suppressRecording = true;
+      invokeWithErrorBoundary(this.#runScenarioEntry, [entry], {
+        thisArg: this,
+        once: true,
+        message: () =>
+          `Scenario action "${entry.action}" at tick ${entry.atTick} threw; continuing with the next entry.`,
+      });
+      this._suppressRecording = false;
+    }
+  }
+
+  #runScenarioEntry({ action, params }) {
+    switch (action) {
+      case "spawnEvent":
+        this.eventManager.spawnEvent(params);
+        break;
+      case "updateSetting":
+        this.updateSetting(params.key, params.value);
+        break;
+      case "applyObstaclePreset":
+        this.grid.applyObstaclePreset(params.id, params.options);
+        this.obstacleEditor?.clearHistory();
+        break;
+      case "burst": {
+        const { row, col, count, radius } = params;
+        const options = {
+          ...(count !== undefined && { count }),
+          ...(radius !== undefined && { radius }),
+        };
+
+        if (Number.isInteger(row) && Number.isInteger(col)) {
+          this.grid.burstAt(row, col, options);
+        } else {
+          this.grid.burstRandomCells(options);
+        }
+        break;
+      }
+      case "toggleZone":
+        this.selectionManager?.togglePattern?.(params.id, params.active);
+        break;
+      case "setCustomZones":
+        this.selectionManager?.importCustomZones?.(params.zones);
+        break;
+      case "paintObstacles":
+        this.paintObstacles(params.tiles ?? [], {
+          blocked: params.blocked,
+          evict: params.evict,
+        });
+        break;
+      case "cancelEvent": {
+        const event = this.eventManager.activeEvents?.[params.index];
+
+        if (event) this.cancelEvent(this.eventManager.getEventId(event));
+        break;
+      }
+      case "pause":
+        this.pause();
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Samples the climate for the tick about to run and biases event picks.
+  #advanceClimate() {
+    if (!this.climate) return;
+
+    this.climateState = sampleClimate((this.grid?.tickCount ?? 0) + 1, this.climate);
+    this.eventManager.setEventWeights?.(this.climateState.eventWeights);
+  }
+
   #updateEventManagerForFrame() {
     this.eventManager.updateEvent?.(
       this.state.eventFrequencyMultiplier ?? 1,
@@ -949,6 +1189,8 @@ export default class SimulationEngine {
       showLifeEventMarkers: includeLifeEventMarkers,
       showSelectionZones: includeSelectionZones,
       showGridLines: this.state.showGridLines ?? false,
+      showTerrain: this.state.showTerrain ?? false,
+      showTrophicRoles: this.state.showTrophicRoles ?? false,
       maxTileEnergy: Number.isFinite(this.grid?.maxTileEnergy)
         ? this.grid.maxTileEnergy
         : GridManager.maxTileEnergy,
@@ -961,6 +1203,7 @@ export default class SimulationEngine {
       lifeEventFadeTicks: this.stats?.lifeEventFadeTicks,
       lifeEventLimit: this.state.lifeEventLimit,
       selectionZones: selectionZoneRenderData,
+      highlightedCladeId: this.highlightedCladeId,
     };
   }
 
@@ -980,6 +1223,8 @@ export default class SimulationEngine {
           : 1,
         combatTerritoryEdgeFactor:
           this.state.combatTerritoryEdgeFactor ?? COMBAT_TERRITORY_EDGE_FACTOR,
+        climate: this.getClimateState(),
+        scenario: this.getScenarioStatus(),
       }),
       emitMetrics: (payload) => this.emit("metrics", payload),
       emitLeaderboard: (payload) => this.emit("leaderboard", payload),
@@ -1079,6 +1324,8 @@ export default class SimulationEngine {
       return { cellSize: this.cellSize, rows: this.rows, cols: this.cols };
     }
 
+    this.#interruptRecording("setWorldGeometry");
+
     const wasRunning = this.running;
     const wasPaused = this.isPaused();
 
@@ -1111,6 +1358,9 @@ export default class SimulationEngine {
       presetOptions,
       reseed,
     });
+    this.obstacleEditor?.clearHistory();
+    this.#clearRewind();
+    this.#seekScenario();
 
     const shouldStartWithEvent =
       (this.state.eventFrequencyMultiplier ?? 1) > 0 &&
@@ -1194,6 +1444,7 @@ export default class SimulationEngine {
     const reseed = coerceBoolean(opts.reseed, false);
     const clearCustomZones = coerceBoolean(opts.clearCustomZones, false);
 
+    this.#interruptRecording("resetWorld");
     this.stop();
     this.#setAutoPausePending(false);
 
@@ -1218,6 +1469,9 @@ export default class SimulationEngine {
         clearCustomZones,
       });
     }
+    this.obstacleEditor?.clearHistory();
+    this.#clearRewind();
+    this.#seekScenario();
 
     const diversityThreshold =
       this.state.matingDiversityThreshold ??
@@ -1256,6 +1510,8 @@ export default class SimulationEngine {
           : 1,
         combatTerritoryEdgeFactor:
           this.state.combatTerritoryEdgeFactor ?? COMBAT_TERRITORY_EDGE_FACTOR,
+        climate: this.getClimateState(),
+        scenario: this.getScenarioStatus(),
       }),
       emitMetrics: (payload) => this.emit("metrics", payload),
       emitLeaderboard: (payload) => this.emit("leaderboard", payload),
@@ -1282,6 +1538,8 @@ export default class SimulationEngine {
       showObstacles,
       showLifeEventMarkers: includeLifeEventMarkers,
       showGridLines: this.state.showGridLines ?? false,
+      showTerrain: this.state.showTerrain ?? false,
+      showTrophicRoles: this.state.showTrophicRoles ?? false,
       maxTileEnergy: Number.isFinite(this.grid?.maxTileEnergy)
         ? this.grid.maxTileEnergy
         : GridManager.maxTileEnergy,
@@ -1311,6 +1569,492 @@ export default class SimulationEngine {
     this.lastUpdateTime = this.now();
   }
 
+  /**
+   * Outlines the living members of a founding clade on the canvas, or clears
+   * the highlight when `cladeId` is not an integer.
+   *
+   * @param {number|null} cladeId - Clade to highlight.
+   * @returns {number|null} The active highlight.
+   */
+  setHighlightedClade(cladeId) {
+    const next = Number.isInteger(cladeId) ? cladeId : null;
+
+    if (next !== this.highlightedCladeId) {
+      this.highlightedCladeId = next;
+      this.requestFrame();
+    }
+
+    return this.highlightedCladeId;
+  }
+
+  /**
+   * Serialises the current world (residents, tile energy, obstacles, events,
+   * reproductive zones, stats history, and RNG position) into a versioned JSON
+   * snapshot. See `src/engine/worldSnapshot.js` for the schema.
+   *
+   * @returns {Object} JSON-safe world snapshot.
+   */
+  exportWorld() {
+    return captureWorldSnapshot(this);
+  }
+
+  /**
+   * Captures the settings a session can be restored from without its world:
+   * slider and toggle values, geometry, obstacle preset, and reproductive
+   * zones. See `src/engine/savedSettings.js`.
+   *
+   * @returns {Object} JSON-safe saved settings.
+   */
+  exportSettings() {
+    return captureSettings(this);
+  }
+
+  /**
+   * Replaces the running world with a snapshot produced by
+   * {@link SimulationEngine#exportWorld}. Older schema versions are upgraded
+   * through the registered migrations and the grid is resized to the recorded
+   * geometry before residents are restored. Running state and pause state are
+   * preserved.
+   *
+   * @param {Object|string} snapshot - Snapshot object or its JSON encoding.
+   * @returns {{rows: number, cols: number, cellSize: number, population: number}}
+   */
+  importWorld(snapshot) {
+    const migrated = migrateWorldSnapshot(snapshot);
+    const wasRunning = this.running;
+    const wasPaused = this.isPaused();
+    const geometry = migrated.geometry ?? {};
+
+    this.#interruptRecording("importWorld");
+    this.stop();
+    this.#setAutoPausePending(false);
+
+    this.setWorldGeometry({
+      rows: geometry.rows ?? migrated.grid?.rows,
+      cols: geometry.cols ?? migrated.grid?.cols,
+      cellSize: geometry.cellSize,
+    });
+    this.#applyTopology(geometry.topology);
+    this.#applyLattice(geometry.lattice);
+    this.#clearRewind();
+
+    const gridSnapshot = this.#applyWorldSnapshot(migrated);
+
+    if (wasRunning) {
+      this.start();
+      if (wasPaused) {
+        this.pause();
+      }
+    } else {
+      this.setPaused(wasPaused);
+      this.requestFrame();
+    }
+
+    this.lastUpdateTime = this.now();
+
+    return {
+      rows: this.rows,
+      cols: this.cols,
+      cellSize: this.cellSize,
+      population: gridSnapshot?.population ?? this.grid?.activeCells?.size ?? 0,
+    };
+  }
+
+  // Restores a current-version snapshot into the existing geometry and
+  // refreshes telemetry and stats from it. Returns the rebuilt grid snapshot.
+  #applyWorldSnapshot(snapshot) {
+    this._suppressRecording = true;
+    try {
+      restoreWorldSnapshot(this, snapshot);
+    } finally {
+      this._suppressRecording = false;
+    }
+    this.obstacleEditor?.clearHistory();
+    this.#seekScenario();
+
+    const gridSnapshot =
+      typeof this.grid?.buildSnapshot === "function" ? this.grid.buildSnapshot() : null;
+
+    this.telemetry.ingestSnapshot(gridSnapshot);
+    restoreWorldStats(this, snapshot);
+    restoreWorldRng(this, snapshot);
+    this.telemetry.markPending();
+    this.telemetry.resetThrottle(Number.NEGATIVE_INFINITY);
+
+    return gridSnapshot;
+  }
+
+  #clearRewind() {
+    this.rewind.clear();
+    this.emit("rewind", this.getRewindStatus());
+  }
+
+  #recordRewindFrame() {
+    const interval = this.state.rewindInterval;
+    const tick = this.grid?.tickCount;
+
+    if (
+      !(this.state.rewindMemoryMiB > 0) ||
+      !Number.isInteger(tick) ||
+      tick % interval
+    ) {
+      return;
+    }
+
+    this.rewind.record(tick, captureWorldSnapshot(this));
+    this.emit("rewind", this.getRewindStatus());
+  }
+
+  #restoreRewindFrame(index) {
+    if (index < 0) return null;
+
+    if (this.skipAheadJob) {
+      throw new Error("Cannot rewind while a skip-ahead is running.");
+    }
+
+    // Replays stay active so rewinding scrubs them; recordings cannot skip
+    // back over logged interventions and end here.
+    if (this.recorder) this.#interruptRecording("rewind");
+    this.#setAutoPausePending(false);
+    this.#applyWorldSnapshot(this.rewind.materialize(index));
+    this.lastUpdateTime = this.now();
+    this.requestFrame();
+    this.emit("rewind", this.getRewindStatus());
+
+    return this.grid.tickCount;
+  }
+
+  /**
+   * Restores the newest rewind frame recorded before the current tick. Frames
+   * after it stay available to {@link SimulationEngine#scrubTo} until the
+   * world ticks again, at which point the abandoned future is discarded.
+   * Replaying from a restored frame is deterministic: restoring the same
+   * frame and running the same number of ticks always yields the same world.
+   *
+   * @returns {number|null} Restored tick, or `null` when no earlier frame exists.
+   */
+  stepBack() {
+    return this.#restoreRewindFrame(this.rewind.findFrame(this.grid.tickCount - 1));
+  }
+
+  /**
+   * Restores the newest rewind frame at or before `tick`.
+   *
+   * @param {number} tick
+   * @returns {number|null} Restored tick, or `null` when no frame is that old.
+   * @throws {RangeError} When `tick` is not a finite number.
+   */
+  scrubTo(tick) {
+    if (!Number.isFinite(tick)) {
+      throw new RangeError("scrubTo expects a finite tick.");
+    }
+
+    return this.#restoreRewindFrame(this.rewind.findFrame(tick));
+  }
+
+  /**
+   * @returns {{frames: number, oldestTick: number|null, newestTick: number|null,
+   *   bytes: number, capacityBytes: number, tick: number}}
+   */
+  getRewindStatus() {
+    return { ...this.rewind.getStatus(), tick: this.grid?.tickCount ?? 0 };
+  }
+
+  setRewindMemory(value) {
+    const sanitized = this.#sanitizeAndSetState("rewindMemoryMiB", value, {
+      min: 0,
+      max: REWIND_MEMORY_MAX_MIB,
+    });
+
+    this.rewind.setCapacity(sanitized * BYTES_PER_MIB);
+    this.emit("rewind", this.getRewindStatus());
+
+    return sanitized;
+  }
+
+  setRewindInterval(value) {
+    return this.#sanitizeAndSetState("rewindInterval", value, {
+      min: 1,
+      max: 1000,
+      round: Math.floor,
+    });
+  }
+
+  #activeZoneIds() {
+    return (this.selectionManager?.getActiveZones?.() ?? []).map((zone) => zone.id);
+  }
+
+  #customZoneDocument() {
+    return this.selectionManager?.exportCustomZones?.() ?? null;
+  }
+
+  // Custom zone definitions are logged ahead of toggles so a replay has the
+  // zone before it is switched on. `log: false` only rebaselines, e.g. after
+  // scenario entries edited zones themselves.
+  #syncRecordedZones({ log = true } = {}) {
+    if (!this.recorder) return;
+
+    const logged = this.recorder.actionCount;
+    const tick = this.grid.tickCount;
+
+    this.recorder.syncCustomZones(tick, this.#customZoneDocument(), { log });
+    this.recorder.syncZones(tick, this.#activeZoneIds(), { log });
+    if (this.recorder.actionCount !== logged) {
+      this.emit("recording", this.getRecordingStatus());
+    }
+  }
+
+  // Logs a user intervention to the active recording. Interventions during a
+  // replay fork it first so the replay script stops steering the world.
+  #noteIntervention(action, params) {
+    if (this._suppressRecording) return;
+    if (this.replay) this.forkReplay();
+
+    if (!this.recorder) return;
+
+    this.recorder.log(this.grid?.tickCount ?? 0, action, params);
+    this.emit("recording", this.getRecordingStatus());
+  }
+
+  // Ends the recording (and forks any replay) when a change cannot be logged
+  // as a scenario entry, e.g. a reset or a geometry change.
+  #interruptRecording(reason) {
+    if (this._suppressRecording) return;
+    if (this.replay) this.forkReplay();
+    if (!this.recorder) return;
+
+    this.finishedRecording = this.recorder.finish(this.grid?.tickCount ?? 0);
+    this.recorder = null;
+    this.emit("recording", { ...this.getRecordingStatus(), reason });
+  }
+
+  /**
+   * Starts recording the run: the world as it is now, the seed, the settings
+   * listed in `RECORDED_SETTING_KEYS`, and every later setting change, burst,
+   * event, obstacle edit, zone toggle, and custom zone edit. Resets, geometry, terrain,
+   * climate, or scenario changes, imports, and rewinds end the recording.
+   * The world is re-applied from its own snapshot first so the live run
+   * continues from exactly the state a replay will start from.
+   *
+   * @throws {Error} When the engine is unseeded, a skip-ahead is running, or
+   *   a recording is already in progress.
+   */
+  startRecording() {
+    if (this.seed === null) {
+      throw new Error(
+        "Recording needs a seeded simulation to replay deterministically.",
+      );
+    }
+
+    if (this.skipAheadJob) {
+      throw new Error("Cannot start recording while a skip-ahead is running.");
+    }
+
+    if (this.recorder) {
+      throw new Error("A recording is already in progress.");
+    }
+
+    if (this.replay) this.forkReplay();
+
+    const world = JSON.parse(JSON.stringify(captureWorldSnapshot(this)));
+
+    this.#applyWorldSnapshot(world);
+
+    const settings = {};
+
+    for (const key of RECORDED_SETTING_KEYS) {
+      if (this.state[key] !== undefined) settings[key] = this.state[key];
+    }
+
+    this.recorder = new RunRecorder({
+      seed: this.seed,
+      world,
+      settings,
+      activeZones: this.#activeZoneIds(),
+      customZones: this.#customZoneDocument(),
+    });
+    this.finishedRecording = null;
+    this.requestFrame();
+    this.emit("recording", this.getRecordingStatus());
+
+    return this.getRecordingStatus();
+  }
+
+  /**
+   * Stops the active recording, or collects one that an interruption ended.
+   *
+   * @returns {Object|null} JSON-safe recording accepted by
+   *   {@link SimulationEngine#loadReplay}, or `null` when nothing was recorded.
+   */
+  stopRecording() {
+    const recording = this.recorder
+      ? this.recorder.finish(this.grid?.tickCount ?? 0)
+      : this.finishedRecording;
+
+    this.recorder = null;
+    this.finishedRecording = null;
+    this.emit("recording", this.getRecordingStatus());
+
+    return recording ?? null;
+  }
+
+  /**
+   * @returns {{recording: boolean, startTick: number|null, actions: number,
+   *   tick: number, seeded: boolean, pending: boolean}} `pending` is set while
+   *   an interrupted recording waits to be collected by `stopRecording`.
+   */
+  getRecordingStatus() {
+    return {
+      recording: Boolean(this.recorder),
+      startTick: this.recorder?.startTick ?? null,
+      actions: this.recorder?.actionCount ?? 0,
+      tick: this.grid?.tickCount ?? 0,
+      seeded: this.seed !== null,
+      pending: Boolean(this.finishedRecording),
+    };
+  }
+
+  /**
+   * Loads a recording and pauses at its first tick. Playing, stepping, or
+   * skipping ahead re-simulates it through the engine; the replay pauses
+   * itself at the recording's last tick. Any intervention forks the replay
+   * into a live run from the current tick.
+   *
+   * @param {Object|string} recording - Output of `stopRecording` or its JSON.
+   * @returns {{startTick: number, endTick: number, tick: number,
+   *   seed: number|string|null, finished: boolean}}
+   * @throws {TypeError|RangeError} When the recording is invalid.
+   * @throws {Error} When a skip-ahead is running.
+   */
+  loadReplay(recording) {
+    const parsed = parseRunRecording(recording);
+
+    if (this.skipAheadJob) {
+      throw new Error("Cannot load a replay while a skip-ahead is running.");
+    }
+
+    this.#interruptRecording("loadReplay");
+    this.#startReplay(parsed);
+    this.setPaused(true);
+
+    return this.getReplayStatus();
+  }
+
+  #startReplay(recording) {
+    this.replay = null;
+
+    // Settings go first: some, like the initial tile energy, touch the world
+    // as they apply, and the import must overwrite that.
+    for (const [key, value] of Object.entries(recording.settings)) {
+      this.updateSetting(key, value);
+    }
+
+    this.importWorld(recording.world);
+    this.loadScenario(buildReplayScript(recording));
+    this.replay = {
+      recording,
+      scenario: loadScenarioEntries(recording.world.scenario),
+    };
+    this.emit("replay", this.getReplayStatus());
+  }
+
+  // Pauses a replay at its last recorded tick and forks it once the world
+  // runs past the end.
+  #advanceReplay() {
+    if (!this.replay) return;
+
+    const tick = this.grid.tickCount;
+    const { endTick } = this.replay.recording;
+
+    if (tick > endTick) {
+      this.forkReplay();
+
+      return;
+    }
+
+    if (tick === endTick && !this.skipAheadJob) this.pause();
+
+    this.emit("replay", this.getReplayStatus());
+  }
+
+  /**
+   * Moves the replay to `tick`. Seeking backwards restarts the replay from
+   * its first tick; either way the remaining ticks are re-simulated through
+   * {@link SimulationEngine#skipAhead}.
+   *
+   * @param {number} tick
+   * @returns {Promise<number>} The tick reached.
+   * @throws {Error} When no replay is loaded or a skip-ahead is running.
+   * @throws {RangeError} When `tick` is outside the recording.
+   */
+  async seekReplay(tick) {
+    if (!this.replay) {
+      throw new Error("No replay is loaded.");
+    }
+
+    if (this.skipAheadJob) {
+      throw new Error("Cannot seek while a skip-ahead is running.");
+    }
+
+    const { recording } = this.replay;
+
+    if (
+      !Number.isInteger(tick) ||
+      tick < recording.startTick ||
+      tick > recording.endTick
+    ) {
+      throw new RangeError(
+        `seekReplay expects a tick between ${recording.startTick} and ${recording.endTick}.`,
+      );
+    }
+
+    if (tick < this.grid.tickCount) {
+      const wasPaused = this.isPaused();
+
+      this.#startReplay(recording);
+      this.setPaused(wasPaused);
+    }
+
+    const remaining = tick - this.grid.tickCount;
+
+    if (remaining > 0) await this.skipAhead(remaining);
+
+    this.emit("replay", this.getReplayStatus());
+
+    return this.grid.tickCount;
+  }
+
+  /**
+   * Ends the replay and keeps the world running live from the current tick,
+   * with the scenario the recorded world was running.
+   *
+   * @returns {number|null} Tick the fork happened at, or `null` without a replay.
+   */
+  forkReplay() {
+    if (!this.replay) return null;
+
+    const { scenario } = this.replay;
+
+    this.replay = null;
+    this.loadScenario(scenario);
+    this.emit("replay", null);
+
+    return this.grid.tickCount;
+  }
+
+  /**
+   * @returns {{startTick: number, endTick: number, tick: number,
+   *   seed: number|string|null, finished: boolean}|null}
+   */
+  getReplayStatus() {
+    if (!this.replay) return null;
+
+    const { startTick, endTick, seed } = this.replay.recording;
+    const tick = this.grid?.tickCount ?? 0;
+
+    return { startTick, endTick, tick, seed, finished: tick >= endTick };
+  }
+
   stop() {
     this.running = false;
     if (this.frameHandle != null) {
@@ -1322,6 +2066,8 @@ export default class SimulationEngine {
   }
 
   destroy() {
+    this.cancelSkipAhead();
+
     if (typeof this._autoPauseCleanup === "function") {
       this._autoPauseCleanup();
       this._autoPauseCleanup = null;
@@ -1369,6 +2115,108 @@ export default class SimulationEngine {
     });
   }
 
+  /**
+   * Runs as many ticks per frame as fit in `state.fastForwardBudgetMs` and
+   * draws once per frame instead of once per tick.
+   *
+   * @param {boolean} value
+   */
+  setFastForward(value) {
+    this.#updateStateAndFlag({
+      fastForward: coerceBoolean(value, Boolean(this.state.fastForward)),
+    });
+  }
+
+  setFastForwardBudget(value) {
+    return this.#sanitizeAndSetState("fastForwardBudgetMs", value, {
+      min: FAST_FORWARD_BUDGET_MIN_MS,
+      max: FAST_FORWARD_BUDGET_MAX_MS,
+    });
+  }
+
+  /**
+   * Advances the world by `ticks` updates without drawing each one. Work is
+   * split into chunks that each fit the fast-forward budget; the canvas
+   * redraws and the browser gets a frame between chunks, and a `skipAhead`
+   * event reports `{ completed, total, done, cancelled }` after each chunk.
+   * The regular loop holds its own ticks until the skip ends. Runs even
+   * while paused, like {@link SimulationEngine#step}.
+   *
+   * @param {number} ticks - Positive number of updates to run.
+   * @param {{budgetMs?: number}} [options] - Per-chunk budget override.
+   * @returns {Promise<number>} Ticks completed before the skip ended.
+   * @throws {RangeError} When `ticks` is not a positive integer.
+   */
+  async skipAhead(ticks, { budgetMs } = {}) {
+    if (!Number.isInteger(ticks) || ticks < 1) {
+      throw new RangeError("skipAhead expects a positive integer tick count.");
+    }
+
+    if (this.skipAheadJob) {
+      throw new Error("A skip-ahead is already running.");
+    }
+
+    const chunkBudget = sanitizeNumber(budgetMs, {
+      fallback: this.state.fastForwardBudgetMs,
+      min: FAST_FORWARD_BUDGET_MIN_MS,
+      max: FAST_FORWARD_BUDGET_MAX_MS,
+    });
+    const job = { total: ticks, completed: 0, cancelled: false };
+    const report = (done) => {
+      this.emit("skipAhead", {
+        completed: job.completed,
+        total: job.total,
+        done,
+        cancelled: job.cancelled,
+      });
+    };
+
+    this.skipAheadJob = job;
+    report(false);
+
+    try {
+      while (!job.cancelled && job.completed < job.total) {
+        job.completed += this.#runTicksWithinBudget(this.now(), {
+          budgetMs: chunkBudget,
+          limit: Math.min(FAST_FORWARD_MAX_TICKS_PER_FRAME, job.total - job.completed),
+          ignorePause: true,
+        });
+
+        if (job.completed >= job.total) break;
+
+        report(false);
+        this.requestFrame();
+        await new Promise((resolve) => this.raf(() => resolve()));
+      }
+    } finally {
+      if (this.skipAheadJob === job) this.skipAheadJob = null;
+    }
+
+    this.requestFrame();
+    report(true);
+
+    return job.completed;
+  }
+
+  /**
+   * Stops a running {@link SimulationEngine#skipAhead} after its current chunk.
+   *
+   * @returns {boolean} Whether a skip was running.
+   */
+  cancelSkipAhead() {
+    if (!this.skipAheadJob) return false;
+
+    this.skipAheadJob.cancelled = true;
+
+    return true;
+  }
+
+  getSkipAheadStatus() {
+    const job = this.skipAheadJob;
+
+    return job ? { completed: job.completed, total: job.total } : null;
+  }
+
   setUpdatesPerSecond(value) {
     const sanitized = sanitizeNumber(value, {
       fallback: this.state.updatesPerSecond,
@@ -1431,6 +2279,18 @@ export default class SimulationEngine {
     });
   }
 
+  /**
+   * Switches predator–prey dynamics on or off. While on, grazing scales with
+   * each cell's carnivory gene and fight winners feed on the cells they kill.
+   *
+   * @param {boolean} value
+   */
+  setTrophicMode(value) {
+    this.#updateStateAndFlag({
+      trophicMode: coerceBoolean(value, Boolean(this.state.trophicMode)),
+    });
+  }
+
   setDensityEffectMultiplier(value) {
     this.#sanitizeAndSetState("densityEffectMultiplier", value, {
       min: 0,
@@ -1632,6 +2492,8 @@ export default class SimulationEngine {
     showLifeEventMarkers,
     showSelectionZones,
     showGridLines,
+    showTerrain,
+    showTrophicRoles,
   }) {
     const entries = Object.entries({
       showObstacles,
@@ -1642,6 +2504,8 @@ export default class SimulationEngine {
       showLifeEventMarkers,
       showSelectionZones,
       showGridLines,
+      showTerrain,
+      showTrophicRoles,
     })
       .filter(([, value]) => value !== undefined)
       .map(([key, value]) => [key, coerceBoolean(value, Boolean(this.state?.[key]))]);
@@ -1754,14 +2618,35 @@ export default class SimulationEngine {
       case "showLifeEventMarkers":
       case "showSelectionZones":
       case "showGridLines":
+      case "showTerrain":
+      case "showTrophicRoles":
         this.setOverlayVisibility({ [key]: value });
         break;
+      case "trophicMode":
+        this.setTrophicMode(value);
+        break;
+      case "fastForward":
+        this.setFastForward(value);
+        break;
+      case "fastForwardBudgetMs":
+        this.setFastForwardBudget(value);
+        break;
+      case "rewindMemoryMiB":
+        this.setRewindMemory(value);
+        break;
+      case "rewindInterval":
+        this.setRewindInterval(value);
+        break;
       case "autoPauseOnBlur":
         this.setAutoPauseOnBlur(value);
         break;
       default:
         break;
     }
+
+    if (RECORDED_SETTING_KEYS.includes(key)) {
+      this.#noteIntervention("updateSetting", { key, value: this.state[key] ?? value });
+    }
   }
 
   setMatingDiversityThreshold(value) {
@@ -1808,11 +2693,372 @@ export default class SimulationEngine {
   }
 
   burstRandomCells(options = {}) {
+    const { count, radius } = options ?? {};
+
+    this.#noteIntervention("burst", { count, radius });
+
     return this.grid.burstRandomCells(options);
   }
 
+  /**
+   * Injects an event through `EventManager.spawnEvent`, e.g. a heatwave the
+   * user dragged out on the canvas. The event counts towards
+   * `maxConcurrentEvents` unless `bypassLimit` is set.
+   *
+   * @param {Object} descriptor - See `EventManager#spawnEvent`.
+   * @param {{bypassLimit?: boolean}} [options]
+   * @returns {Object|null} The added event, or `null` when the cap is reached
+   *   or the event covers no tile.
+   */
+  spawnEvent(descriptor, { bypassLimit = false } = {}) {
+    const limit = this.state.maxConcurrentEvents ?? MAX_CONCURRENT_EVENTS_FALLBACK;
+
+    if (!bypassLimit && this.eventManager.activeEvents.length >= limit) return null;
+
+    const event = this.eventManager.spawnEvent(descriptor);
+
+    if (event) {
+      this.#noteIntervention("spawnEvent", descriptor);
+      this.telemetry.markPending();
+      this.requestFrame();
+    }
+
+    return event;
+  }
+
+  /**
+   * Ends an active event early.
+   *
+   * @param {number} id - The event's id, as listed in the metrics
+   *   environment's `activeEvents`.
+   * @returns {boolean} Whether an event was removed.
+   */
+  cancelEvent(id) {
+    const index = (this.eventManager.activeEvents ?? []).findIndex(
+      (event) => this.eventManager.getEventId(event) === id,
+    );
+    const cancelled = this.eventManager.cancelEvent(id);
+
+    if (cancelled) {
+      this.#noteIntervention("cancelEvent", { index });
+      this.telemetry.markPending();
+      this.requestFrame();
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Switches the world between `"bounded"`, `"torus"` (both axes wrap) and
+   * `"cylinder"` (east and west edges meet). The population is kept; only
+   * movement, neighbourhoods, diffusion, events and zone checks change.
+   *
+   * @param {string} topology
+   * @returns {string} The topology now in effect.
+   */
+  setTopology(topology) {
+    this.#interruptRecording("setTopology");
+    const resolved = this.#applyTopology(topology);
+
+    this.requestFrame();
+
+    return resolved;
+  }
+
+  #applyTopology(topology) {
+    const resolved =
+      this.grid?.setTopology?.(topology) ?? resolveWorldTopology(topology);
+
+    this.eventManager?.setTopology?.(resolved);
+    this.selectionManager?.setTopology?.(resolved);
+    this.#updateState({ topology: resolved });
+
+    return resolved;
+  }
+
+  getTopology() {
+    return this.state.topology;
+  }
+
+  /**
+   * Switches between square and hexagonal tiles. Cells keep their row and
+   * column; only neighbourhoods, movement, diffusion and drawing change.
+   *
+   * @param {string} lattice - `"square"` or `"hex"`.
+   * @returns {string} The lattice now in effect.
+   */
+  setLattice(lattice) {
+    this.#interruptRecording("setLattice");
+    const resolved = this.#applyLattice(lattice);
+
+    this.requestFrame();
+
+    return resolved;
+  }
+
+  #applyLattice(lattice) {
+    const resolved = this.grid?.setLattice?.(lattice) ?? resolveGridLattice(lattice);
+
+    this.#updateState({ lattice: resolved });
+
+    return resolved;
+  }
+
+  getLattice() {
+    return this.state.lattice;
+  }
+
+  /**
+   * Replaces the terrain layer: `"noise"` (or `{ type: "noise", seed, scale }`)
+   * generates biomes, a terrain map loads them, and `null` clears the layer.
+   *
+   * @param {unknown} spec
+   * @returns {Object|null} The terrain descriptor now in effect.
+   */
+  setTerrain(spec) {
+    this.#interruptRecording("setTerrain");
+    this.grid.setTerrain(spec);
+    this.requestFrame();
+
+    return this.getTerrain();
+  }
+
+  getTerrain() {
+    return this.grid?.exportTerrain?.() ?? null;
+  }
+
+  /**
+   * Enables, reconfigures, or (with `null`) disables the climate clock. See
+   * `resolveClimateConfig` in `events/climate.js` for the accepted options.
+   * The clock follows the grid's tick count, so it keeps its place across
+   * reconfiguration and snapshot imports.
+   *
+   * @param {boolean|Object|null} config
+   * @returns {Object|null} The climate options now in effect.
+   */
+  setClimate(config) {
+    this.#interruptRecording("setClimate");
+    this.climate = resolveClimateConfig(config);
+    this.climateState = this.climate
+      ? sampleClimate(this.grid?.tickCount ?? 0, this.climate)
+      : null;
+    this.eventManager?.setEventWeights?.(this.climateState?.eventWeights ?? null);
+
+    return this.getClimate();
+  }
+
+  getClimate() {
+    return exportClimateConfig(this.climate);
+  }
+
+  /**
+   * Climate sampled for the latest tick (season, daylight, phase, and the
+   * multipliers applied to regeneration, diffusion, and event odds), or
+   * `null` while the clock is off.
+   *
+   * @returns {Object|null}
+   */
+  getClimateState() {
+    return this.climateState ? { ...this.climateState } : null;
+  }
+
+  /**
+   * Loads (or with `null` clears) a scenario script. See
+   * `src/engine/scenario.js` for the entry format. Entries whose `atTick` has
+   * already passed are skipped, so loading mid-run only schedules what is
+   * still ahead.
+   *
+   * @param {Array|Object|string|null} script
+   * @returns {Object|null} Result of {@link SimulationEngine#getScenarioStatus}.
+   * @throws {TypeError|RangeError} When the script is malformed.
+   */
+  loadScenario(script) {
+    this.#interruptRecording("loadScenario");
+    this.scenario = loadScenarioEntries(script);
+    this.#seekScenario();
+
+    return this.getScenarioStatus();
+  }
+
+  /**
+   * @returns {Object[]|null} The scenario entries, or `null` without a
+   *   scenario. During a replay this is the scenario of the recorded world,
+   *   not the replayed actions, so snapshots match the recorded run's.
+   */
+  getScenario() {
+    const scenario = this.replay ? this.replay.scenario : this.scenario;
+
+    return scenario ? scenario.map((entry) => structuredClone(entry)) : null;
+  }
+
+  /**
+   * Scenario progress for timelines: the elapsed tick count, how many entries
+   * have run, and the next `limit` entries still due.
+   *
+   * @param {{limit?: number}} [options]
+   * @returns {{tick: number, total: number, completed: number, upcoming: Object[]}|null}
+   */
+  getScenarioStatus({ limit = 8 } = {}) {
+    if (!this.scenario) return null;
+
+    return {
+      tick: this.grid?.tickCount ?? 0,
+      total: this.scenario.length,
+      completed: this.scenarioIndex,
+      upcoming: this.scenario
+        .slice(this.scenarioIndex, this.scenarioIndex + Math.max(0, limit))
+        .map((entry) => structuredClone(entry)),
+    };
+  }
+
+  #seekScenario() {
+    this.scenarioIndex = this.scenario
+      ? findNextScenarioIndex(this.scenario, this.grid?.tickCount ?? 0)
+      : 0;
+  }
+
+  /**
+   * Adds an obstacle preset (for example one built by
+   * `createObstacleMapPreset`) to the catalog at runtime.
+   *
+   * @param {Object|string} preset
+   * @returns {Object|null} The registered preset, or `null` when invalid.
+   */
+  registerObstaclePreset(preset) {
+    const normalized = this.grid?.registerObstaclePreset(preset) ?? null;
+
+    if (normalized) {
+      this._obstaclePresets = [
+        ...this._obstaclePresets.filter((entry) => entry?.id !== normalized.id),
+        normalized,
+      ];
+    }
+
+    return normalized;
+  }
+
   applyObstaclePreset(id, options) {
+    this.#noteIntervention("applyObstaclePreset", { id, options });
     this.grid.applyObstaclePreset(id, options);
+    this.obstacleEditor?.clearHistory();
+    this.#redrawObstacles();
+  }
+
+  /**
+   * Paints or erases obstacle tiles through the undoable {@link ObstacleEditor}.
+   *
+   * @param {Array<[number, number]|{row: number, col: number}>} tiles
+   * @param {{blocked?: boolean, evict?: boolean, strokeId?: string|number|null}} [options]
+   * @returns {number} Tiles whose obstacle state changed.
+   */
+  paintObstacles(tiles, options) {
+    const changed = this.obstacleEditor?.paint(tiles, options) ?? 0;
+
+    if (changed > 0) {
+      this.#noteIntervention("paintObstacles", {
+        tiles,
+        blocked: options?.blocked,
+        evict: options?.evict,
+      });
+      this.#redrawObstacles();
+    }
+
+    return changed;
+  }
+
+  undoObstacleEdit() {
+    const undone = this.obstacleEditor?.undo() ?? false;
+
+    if (undone) {
+      this.#interruptRecording("undoObstacleEdit");
+      this.#redrawObstacles();
+    }
+
+    return undone;
+  }
+
+  redoObstacleEdit() {
+    const redone = this.obstacleEditor?.redo() ?? false;
+
+    if (redone) {
+      this.#interruptRecording("redoObstacleEdit");
+      this.#redrawObstacles();
+    }
+
+    return redone;
+  }
+
+  getObstacleEditStatus() {
+    return (
+      this.obstacleEditor?.getStatus() ?? {
+        canUndo: false,
+        canRedo: false,
+        undoDepth: 0,
+        redoDepth: 0,
+      }
+    );
+  }
+
+  /**
+   * Reproductive-zone edits, forwarded to `selectionManager`. They mirror the
+   * {@link SelectionManager} methods of the same names so the worker host can
+   * replay edits made on the main thread by `WorkerSimulationEngine`.
+   *
+   * @returns {boolean} Whether the pattern is now active.
+   */
+  togglePattern(id, active) {
+    const next = this.selectionManager?.togglePattern?.(id, active) ?? false;
+
+    this.requestFrame();
+
+    return next;
+  }
+
+  clearActiveZones() {
+    this.selectionManager?.clearActiveZones?.();
+    this.requestFrame();
+  }
+
+  /** @returns {string|null} The new zone id. */
+  createCustomZone(options) {
+    const id = this.selectionManager?.createCustomZone?.(options) ?? null;
+
+    this.requestFrame();
+
+    return id;
+  }
+
+  /** @returns {number} Tiles whose membership changed. */
+  paintCustomZone(id, tilesOrShape, options) {
+    const changed = this.selectionManager?.paintCustomZone?.(id, tilesOrShape, options);
+
+    this.requestFrame();
+
+    return changed ?? 0;
+  }
+
+  updateCustomZone(id, changes) {
+    return this.selectionManager?.updateCustomZone?.(id, changes) ?? false;
+  }
+
+  removeCustomZone(id) {
+    const removed = this.selectionManager?.removeCustomZone?.(id) ?? false;
+
+    this.requestFrame();
+
+    return removed;
+  }
+
+  /** @returns {string[]} Ids of the imported zones. */
+  importCustomZones(source, options) {
+    const ids = this.selectionManager?.importCustomZones?.(source, options) ?? [];
+
+    this.requestFrame();
+
+    return ids;
+  }
+
+  #redrawObstacles() {
     this.grid?.draw?.({ showObstacles: this.state.showObstacles ?? true });
     this.requestFrame();
   }
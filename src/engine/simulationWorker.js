@@ -0,0 +1,4 @@
+import { attachSimulationWorkerHost } from "./simulationWorkerHost.js";
+
+// Module worker entry spawned by `createSimulation({ worker: true })`.
+attachSimulationWorkerHost(globalThis);
@@ -0,0 +1,256 @@
+import SimulationEngine from "./simulationEngine.js";
+import { createHeadlessCanvas } from "./environment.js";
+import SelectionManager from "../grid/selectionManager.js";
+import {
+  WORKER_ENGINE_COMMANDS,
+  WORKER_MESSAGES,
+  listenToPort,
+} from "./workerProtocol.js";
+import { warnOnce } from "../utils/error.js";
+
+// Frame buffers in flight at once; further frames wait for one to come back.
+const FRAME_BUFFER_POOL_SIZE = 2;
+
+const WARNINGS = Object.freeze({
+  post: "Simulation worker failed to post a message; dropping it.",
+});
+
+function createHostedEngine({ config, seed }) {
+  return new SimulationEngine({
+    canvas: createHeadlessCanvas(config),
+    config,
+    seed,
+    autoStart: false,
+    // Zones decide where cells may breed, so the worker needs real ones; the
+    // main thread replays its zone edits here through engine commands.
+    selectionManagerFactory: (rows, cols) => new SelectionManager(rows, cols),
+  });
+}
+
+function describeError(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Runs a {@link SimulationEngine} (and with it `GridManager`, `EventManager`,
+ * `InteractionSystem`, and `Stats`) behind a message port. The host answers
+ * the protocol in `workerProtocol.js`: it mirrors engine `state`, `tick`,
+ * `metrics` (with the stats changes since the previous one), and `leaderboard`
+ * events as messages and transfers a per-tile RGBA buffer after every tick or
+ * command. At most two buffers are in flight; the main thread hands each one
+ * back with a `releaseFrame` message.
+ *
+ * `src/engine/simulationWorker.js` attaches the host to the worker global
+ * scope. Tests attach it to one end of a `MessageChannel` instead.
+ *
+ * @param {{postMessage: Function, close?: Function}} port - Worker scope or
+ *   message port.
+ * @param {{createEngine?: (init: {config: Object, seed?: number|string}) => SimulationEngine}} [options]
+ * @returns {() => void} Detaches the host and destroys its engine.
+ */
+export function attachSimulationWorkerHost(
+  port,
+  { createEngine = createHostedEngine } = {},
+) {
+  let engine = null;
+  let engineUnsubscribers = [];
+  let statsCursor = null;
+  let buffersInFlight = 0;
+  let framePending = false;
+  const freeBuffers = [];
+
+  const post = (message, transfer = []) => {
+    try {
+      port.postMessage(message, transfer);
+
+      return true;
+    } catch (error) {
+      warnOnce(WARNINGS.post, error);
+
+      return false;
+    }
+  };
+
+  const postFrame = () => {
+    if (!engine?.grid?.writeRgbaFrame) return;
+
+    if (buffersInFlight >= FRAME_BUFFER_POOL_SIZE) {
+      framePending = true;
+
+      return;
+    }
+
+    const reusable = freeBuffers.pop();
+    const pixels = engine.grid.writeRgbaFrame(
+      reusable ? new Uint8ClampedArray(reusable) : undefined,
+      { showObstacles: engine.state.showObstacles ?? true },
+    );
+
+    framePending = false;
+    buffersInFlight += 1;
+    post(
+      {
+        type: WORKER_MESSAGES.FRAME,
+        rows: engine.rows,
+        cols: engine.cols,
+        buffer: pixels.buffer,
+      },
+      [pixels.buffer],
+    );
+  };
+
+  const subscribe = () => [
+    engine.on("state", ({ changes }) => post({ type: WORKER_MESSAGES.STATE, changes })),
+    engine.on("tick", ({ snapshot, timestamp }) => {
+      post({
+        type: WORKER_MESSAGES.TICK,
+        tick: engine.stats?.totals?.ticks ?? 0,
+        population: snapshot?.population ?? engine.grid?.activeCells?.size ?? 0,
+        timestamp,
+      });
+      postFrame();
+    }),
+    engine.on("metrics", ({ metrics, environment }) => {
+      // Only what changed since the previous message; full stats go out first
+      // and again whenever the worker's stats are reset or replaced.
+      const { cursor, ...stats } = engine.stats.exportChanges(statsCursor);
+
+      if (post({ type: WORKER_MESSAGES.METRICS, metrics, environment, stats })) {
+        statsCursor = cursor;
+      }
+    }),
+    engine.on("leaderboard", ({ entries }) =>
+      post({ type: WORKER_MESSAGES.LEADERBOARD, entries }),
+    ),
+    engine.on("skipAhead", (progress) => {
+      post({ type: WORKER_MESSAGES.SKIP_AHEAD, ...progress });
+      postFrame();
+    }),
+    engine.on("rewind", (status) => post({ type: WORKER_MESSAGES.REWIND, status })),
+    engine.on("recording", (status) =>
+      post({ type: WORKER_MESSAGES.RECORDING, status }),
+    ),
+    engine.on("replay", (status) => post({ type: WORKER_MESSAGES.REPLAY, status })),
+  ];
+
+  const disposeEngine = () => {
+    engineUnsubscribers.forEach((unsubscribe) => unsubscribe());
+    engineUnsubscribers = [];
+    engine?.destroy();
+    engine = null;
+    statsCursor = null;
+  };
+
+  const handleInit = ({ config, seed }) => {
+    disposeEngine();
+
+    try {
+      engine = createEngine({ config: config ?? {}, seed });
+    } catch (error) {
+      post({
+        type: WORKER_MESSAGES.ERROR,
+        method: "init",
+        message: describeError(error),
+      });
+
+      return;
+    }
+
+    engineUnsubscribers = subscribe();
+    post({
+      type: WORKER_MESSAGES.READY,
+      state: engine.getStateSnapshot(),
+      rows: engine.rows,
+      cols: engine.cols,
+      cellSize: engine.cellSize,
+      obstaclePreset: engine.getCurrentObstaclePreset(),
+    });
+    postFrame();
+  };
+
+  const handleCommand = ({ id = null, method, args }) => {
+    const tracked = id !== null;
+    const fail = (error) => {
+      post(
+        tracked
+          ? { type: WORKER_MESSAGES.RESULT, id, error: describeError(error) }
+          : { type: WORKER_MESSAGES.ERROR, method, message: describeError(error) },
+      );
+    };
+    const respond = (value) => {
+      if (tracked && !post({ type: WORKER_MESSAGES.RESULT, id, value })) {
+        post({
+          type: WORKER_MESSAGES.RESULT,
+          id,
+          error: `Result of "${method}" could not be cloned.`,
+        });
+      }
+      postFrame();
+    };
+    let value;
+
+    try {
+      if (!engine) {
+        throw new Error("Simulation worker received a command before init.");
+      }
+      if (!WORKER_ENGINE_COMMANDS.includes(method)) {
+        throw new Error(`Unknown simulation worker command "${method}".`);
+      }
+
+      value = engine[method](...(Array.isArray(args) ? args : []));
+    } catch (error) {
+      fail(error);
+
+      return;
+    }
+
+    // Long-running commands such as `skipAhead` answer once they settle.
+    if (typeof value?.then === "function") {
+      value.then(respond, fail);
+
+      return;
+    }
+
+    respond(value);
+  };
+
+  const handleReleaseFrame = ({ buffer }) => {
+    buffersInFlight = Math.max(0, buffersInFlight - 1);
+
+    if (buffer instanceof ArrayBuffer) freeBuffers.push(buffer);
+    if (framePending) postFrame();
+  };
+
+  let detachPort = null;
+
+  const detach = () => {
+    detachPort?.();
+    detachPort = null;
+    disposeEngine();
+    freeBuffers.length = 0;
+  };
+
+  detachPort = listenToPort(port, (message) => {
+    switch (message?.type) {
+      case WORKER_MESSAGES.INIT:
+        handleInit(message);
+        break;
+      case WORKER_MESSAGES.COMMAND:
+        handleCommand(message);
+        break;
+      case WORKER_MESSAGES.RELEASE_FRAME:
+        handleReleaseFrame(message);
+        break;
+      case WORKER_MESSAGES.DISPOSE:
+        detach();
+        port.close?.();
+        break;
+      default:
+        break;
+    }
+  });
+
+  return detach;
+}
+
+export default attachSimulationWorkerHost;
@@ -0,0 +1,145 @@
+/**
+ * Message types exchanged between {@link WorkerSimulationEngine} on the main
+ * thread and the simulation worker host. Every message is a plain object with
+ * a `type` field so it survives structured cloning in browsers, Node
+ * `worker_threads`, and `MessageChannel` stand-ins alike.
+ *
+ * Main → worker: `init`, `command`, `releaseFrame`, `dispose`.
+ * Worker → main: `ready`, `state`, `tick`, `frame`, `metrics`, `leaderboard`,
+ * `skipAhead`, `rewind`, `recording`, `replay`, `result`, `error`.
+ */
+export const WORKER_MESSAGES = Object.freeze({
+  INIT: "init",
+  COMMAND: "command",
+  RELEASE_FRAME: "releaseFrame",
+  DISPOSE: "dispose",
+  READY: "ready",
+  STATE: "state",
+  TICK: "tick",
+  FRAME: "frame",
+  METRICS: "metrics",
+  LEADERBOARD: "leaderboard",
+  SKIP_AHEAD: "skipAhead",
+  REWIND: "rewind",
+  RECORDING: "recording",
+  REPLAY: "replay",
+  RESULT: "result",
+  ERROR: "error",
+});
+
+/**
+ * Engine methods the worker host is allowed to invoke on behalf of the main
+ * thread. Anything else is rejected so the protocol cannot reach into private
+ * engine state.
+ */
+export const WORKER_ENGINE_COMMANDS = Object.freeze([
+  "start",
+  "stop",
+  "pause",
+  "resume",
+  "togglePause",
+  "setPaused",
+  "step",
+  "tick",
+  "skipAhead",
+  "cancelSkipAhead",
+  "stepBack",
+  "scrubTo",
+  "getRewindStatus",
+  "startRecording",
+  "stopRecording",
+  "getRecordingStatus",
+  "loadReplay",
+  "seekReplay",
+  "forkReplay",
+  "getReplayStatus",
+  "updateSetting",
+  "setUpdatesPerSecond",
+  "burstRandomCells",
+  "spawnEvent",
+  "cancelEvent",
+  "resetWorld",
+  "setWorldGeometry",
+  "applyObstaclePreset",
+  "getCurrentObstaclePreset",
+  "registerObstaclePreset",
+  "setTopology",
+  "setLattice",
+  "setTerrain",
+  "setClimate",
+  "loadScenario",
+  "getScenarioStatus",
+  "paintObstacles",
+  "undoObstacleEdit",
+  "redoObstacleEdit",
+  "getObstacleEditStatus",
+  "togglePattern",
+  "clearActiveZones",
+  "createCustomZone",
+  "paintCustomZone",
+  "updateCustomZone",
+  "removeCustomZone",
+  "importCustomZones",
+  "getStateSnapshot",
+  "setHighlightedClade",
+  "exportWorld",
+  "importWorld",
+]);
+
+// Top-level config entries that only make sense on the main thread.
+const MAIN_THREAD_CONFIG_KEYS = Object.freeze([
+  "ui",
+  "selectionManager",
+  "selectionManagerFactory",
+  "drawOverlays",
+]);
+
+/**
+ * Reduces an engine config to the JSON-safe subset that can be posted to a
+ * worker. Functions (custom overlay renderers, selection factories, trait
+ * compute callbacks) and UI-only options are dropped.
+ *
+ * @param {Object} [config]
+ * @returns {Object} Cloneable configuration.
+ */
+export function toWorkerConfig(config) {
+  const source = config && typeof config === "object" ? { ...config } : {};
+
+  for (const key of MAIN_THREAD_CONFIG_KEYS) {
+    delete source[key];
+  }
+
+  return JSON.parse(
+    JSON.stringify(source, (key, value) =>
+      typeof value === "function" ? undefined : value,
+    ),
+  );
+}
+
+/**
+ * Subscribes to messages on a `Worker`, `MessagePort`, or worker global scope.
+ *
+ * @param {{addEventListener?: Function, removeEventListener?: Function, start?: Function, onmessage?: Function}} port
+ * @param {(data: any) => void} handler - Receives each message's `data`.
+ * @returns {() => void} Unsubscribe callback.
+ */
+export function listenToPort(port, handler) {
+  const listener = (event) => handler(event?.data);
+
+  if (typeof port?.addEventListener === "function") {
+    port.addEventListener("message", listener);
+    port.start?.();
+
+    return () => port.removeEventListener?.("message", listener);
+  }
+
+  if (port && typeof port === "object") {
+    port.onmessage = listener;
+
+    return () => {
+      if (port.onmessage === listener) port.onmessage = null;
+    };
+  }
+
+  return () => {};
+}
@@ -0,0 +1,943 @@
+import createSelectionManagerStub from "../grid/selectionManagerStub.js";
+import createSimulationRuntimeServices from "./simulationRuntimeServices.js";
+import { resolveSimulationDefaults } from "../config.js";
+import { resolveWorldTopology } from "../grid/topology.js";
+import { resolveGridLattice, traceHexTile } from "../grid/lattice.js";
+import {
+  normalizeObstaclePreset,
+  resolveObstaclePresetCatalog,
+} from "../grid/obstaclePresets.js";
+import { sanitizePositiveInteger } from "../utils/math.js";
+import { coerceBoolean } from "../utils/primitives.js";
+import { invokeWithErrorBoundary, warnOnce } from "../utils/error.js";
+import {
+  resolveCanvas,
+  resolveGridGeometry,
+  resolveTimingProviders,
+} from "./environment.js";
+import { captureSettings } from "./savedSettings.js";
+import { WORKER_MESSAGES, listenToPort, toWorkerConfig } from "./workerProtocol.js";
+import { restoreSelectionState } from "./worldSnapshot.js";
+
+// Selection manager methods whose edits are replayed in the worker, so the
+// worker's breeding rules see the zones drawn on the main thread.
+const MIRRORED_SELECTION_METHODS = Object.freeze([
+  "togglePattern",
+  "clearActiveZones",
+  "createCustomZone",
+  "paintCustomZone",
+  "updateCustomZone",
+  "removeCustomZone",
+  "importCustomZones",
+]);
+
+function resolveSelectionManager(selectionManager, factory, rows, cols) {
+  if (selectionManager && typeof selectionManager === "object") {
+    return selectionManager;
+  }
+
+  const created = typeof factory === "function" ? factory(rows, cols) : null;
+
+  return created && typeof created === "object"
+    ? created
+    : createSelectionManagerStub(rows, cols);
+}
+
+/**
+ * Main-thread stand-in for {@link SimulationEngine} whose grid, events,
+ * interactions, and stats run in a worker (see `simulationWorkerHost.js`).
+ * It exposes the engine surface that `createSimulation`, `UIManager`, and
+ * `simulationUiBridge` rely on — `on`, `state`, `updateSetting`, `pause`,
+ * `resume`, `step`, `burstRandomCells`, `setWorldGeometry`, and friends — and
+ * forwards each call as a `command` message.
+ *
+ * Differences from the in-thread engine:
+ * - `grid` and `eventManager` are `null`; `stats` is a local mirror updated
+ *   with the changes carried by each throttled `metrics` message.
+ * - Pause state and geometry update optimistically; everything else arrives
+ *   through the worker's `state` messages.
+ * - `selectionManager` lives on the main thread for the UI. Zone toggles and
+ *   custom-zone edits made through it are replayed in the worker's own
+ *   selection manager.
+ * - `exportWorld`, `importWorld`, `skipAhead`, `stepBack`, `scrubTo`, the
+ *   recording and replay commands, and `call` return Promises;
+ *   `getRewindStatus`, `getRecordingStatus`, and `getReplayStatus` report the
+ *   latest `rewind`, `recording`, and `replay` messages.
+ * - The canvas shows the transferred per-tile RGBA frame; canvas overlays and
+ *   cell inspection need the in-thread engine.
+ */
+export default class WorkerSimulationEngine {
+  #port;
+  #detachPort;
+  #pendingCalls = new Map();
+  #nextCallId = 1;
+  #obstaclePreset = "none";
+  #frame = null;
+  #frameSurface = null;
+  #drawHandle = null;
+  #destroyed = false;
+  #selectionReplayDepth = 0;
+
+  /**
+   * @param {Object} options
+   * @param {{postMessage: Function}} options.worker - `Worker` or
+   *   `MessagePort` connected to a simulation worker host.
+   * @param {HTMLCanvasElement|OffscreenCanvas|string} [options.canvas]
+   * @param {Object} [options.config={}] - Engine configuration. Functions and
+   *   UI options stay on the main thread.
+   * @param {number|string} [options.seed]
+   * @param {boolean} [options.autoStart=true]
+   * @param {Object} [options.selectionManager] - Selection manager to reuse.
+   * @param {(rows:number, cols:number) => Object} [options.selectionManagerFactory]
+   *   Factory invoked to create a selection manager when one is not supplied.
+   */
+  constructor({
+    worker,
+    canvas,
+    config = {},
+    defaultCanvasId,
+    seed,
+    requestAnimationFrame: injectedRaf,
+    cancelAnimationFrame: injectedCaf,
+    performanceNow: injectedNow,
+    window: injectedWindow,
+    document: injectedDocument,
+    autoStart = true,
+    selectionManager,
+    selectionManagerFactory,
+  } = {}) {
+    if (!worker || typeof worker.postMessage !== "function") {
+      throw new Error("WorkerSimulationEngine requires a Worker or MessagePort.");
+    }
+
+    const win = injectedWindow ?? (typeof window !== "undefined" ? window : undefined);
+    const doc =
+      injectedDocument ?? (typeof document !== "undefined" ? document : undefined);
+    const resolvedCanvas = resolveCanvas(canvas, doc, { fallbackId: defaultCanvasId });
+
+    if (!resolvedCanvas) {
+      throw new Error("SimulationEngine requires a canvas element.");
+    }
+
+    const ctx =
+      typeof resolvedCanvas.getContext === "function"
+        ? resolvedCanvas.getContext("2d")
+        : null;
+
+    if (!ctx) {
+      throw new Error("SimulationEngine requires a 2D canvas context.");
+    }
+
+    const { cellSize, rows, cols } = resolveGridGeometry(resolvedCanvas, config);
+    const { now, raf, caf } = resolveTimingProviders({
+      window: win,
+      requestAnimationFrame: injectedRaf,
+      cancelAnimationFrame: injectedCaf,
+      performanceNow: injectedNow,
+    });
+    const defaults = resolveSimulationDefaults(config);
+
+    this.window = win;
+    this.document = doc;
+    this.canvas = resolvedCanvas;
+    this.ctx = ctx;
+    this.cellSize = cellSize;
+    this.rows = rows;
+    this.cols = cols;
+    this.now = now;
+    this.raf = raf;
+    this.caf = caf;
+    this.seed = seed ?? null;
+    this.grid = null;
+    this.eventManager = null;
+    this.stats = createSimulationRuntimeServices({
+      leaderboardSize: defaults.leaderboardSize,
+      now,
+      statsOptions:
+        config && typeof config.statsOptions === "object"
+          ? config.statsOptions
+          : undefined,
+    }).stats;
+    this.selectionManager = resolveSelectionManager(
+      selectionManager,
+      selectionManagerFactory,
+      rows,
+      cols,
+    );
+    this._obstaclePresets = resolveObstaclePresetCatalog(config.obstaclePresets);
+    this.highlightedCladeId = null;
+    this.lastTick = 0;
+    this.rewindStatus = null;
+    this.recordingStatus = null;
+    this.replayStatus = null;
+    this.running = false;
+    this.listeners = new Map();
+    this.state = {
+      ...defaults,
+      updatesPerSecond: Math.max(1, Math.round(defaults.updatesPerSecond)),
+      paused: Boolean(defaults.paused),
+      autoPausePending: false,
+      gridRows: rows,
+      gridCols: cols,
+      cellSize,
+      topology: resolveWorldTopology(config.topology),
+      lattice: resolveGridLattice(config.lattice),
+    };
+
+    this.selectionManager.setTopology?.(this.state.topology);
+    restoreSelectionState(this.selectionManager, config.selection);
+    this.#port = worker;
+    this.#detachPort = listenToPort(worker, (message) => this.#handleMessage(message));
+    this.#mirrorSelectionEdits();
+    this.#port.postMessage({
+      type: WORKER_MESSAGES.INIT,
+      config: toWorkerConfig({ ...config, rows, cols, cellSize }),
+      seed,
+    });
+
+    if (autoStart) this.start();
+  }
+
+  get obstaclePresets() {
+    return this._obstaclePresets;
+  }
+
+  getCurrentObstaclePreset() {
+    return this.#obstaclePreset;
+  }
+
+  get isRunning() {
+    return this.running;
+  }
+
+  isPaused() {
+    return Boolean(this.state.paused);
+  }
+
+  getStateSnapshot() {
+    return { ...this.state };
+  }
+
+  on(event, handler) {
+    if (typeof handler !== "function") return () => {};
+
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+
+    const bucket = this.listeners.get(event);
+
+    bucket.add(handler);
+
+    return () => {
+      bucket.delete(handler);
+      if (bucket.size === 0) this.listeners.delete(event);
+    };
+  }
+
+  emit(event, payload) {
+    const bucket = this.listeners.get(event);
+
+    if (!bucket) return;
+
+    bucket.forEach((handler) => {
+      invokeWithErrorBoundary(handler, [payload], {
+        message: () =>
+          `WorkerSimulationEngine listener for "${event}" threw; continuing without interruption.`,
+        once: true,
+      });
+    });
+  }
+
+  /**
+   * Invokes an allow-listed engine method in the worker and resolves with its
+   * return value.
+   *
+   * @param {string} method - One of `WORKER_ENGINE_COMMANDS`.
+   * @param {...any} args - Structured-cloneable arguments.
+   * @returns {Promise<any>}
+   */
+  call(method, ...args) {
+    if (this.#destroyed) {
+      return Promise.reject(new Error("Simulation worker has been destroyed."));
+    }
+
+    const id = this.#nextCallId++;
+
+    return new Promise((resolve, reject) => {
+      this.#pendingCalls.set(id, { resolve, reject });
+      this.#port.postMessage({ type: WORKER_MESSAGES.COMMAND, id, method, args });
+    });
+  }
+
+  #send(method, args = []) {
+    if (this.#destroyed) return;
+
+    this.#port.postMessage({ type: WORKER_MESSAGES.COMMAND, method, args });
+  }
+
+  // Wraps the mutating selection methods so each top-level edit is sent to the
+  // worker once; the nested calls an edit makes (`createCustomZone` paints and
+  // toggles) are not sent again.
+  #mirrorSelectionEdits() {
+    const selection = this.selectionManager;
+
+    for (const method of MIRRORED_SELECTION_METHODS) {
+      const original = selection[method];
+
+      if (typeof original !== "function") continue;
+
+      selection[method] = (...args) => {
+        this.#selectionReplayDepth += 1;
+
+        let result;
+
+        try {
+          result = original.apply(selection, args);
+        } finally {
+          this.#selectionReplayDepth -= 1;
+        }
+
+        if (this.#selectionReplayDepth === 0) {
+          // Send generated zone ids so both managers agree on them.
+          this.#send(
+            method,
+            method === "createCustomZone" ? [{ ...args[0], id: result }] : args,
+          );
+        }
+
+        return result;
+      };
+    }
+  }
+
+  // Applies selection state the worker already has (after an import) without
+  // sending it back.
+  #restoreLocalSelection(selection) {
+    this.#selectionReplayDepth += 1;
+
+    try {
+      restoreSelectionState(this.selectionManager, selection);
+    } finally {
+      this.#selectionReplayDepth -= 1;
+    }
+  }
+
+  #handleMessage(message) {
+    switch (message?.type) {
+      case WORKER_MESSAGES.READY:
+        this.#obstaclePreset = message.obstaclePreset ?? "none";
+        this.#applyGeometry(message);
+        this.#applyState(message.state);
+        break;
+      case WORKER_MESSAGES.STATE:
+        this.#applyGeometry({
+          rows: message.changes?.gridRows,
+          cols: message.changes?.gridCols,
+          cellSize: message.changes?.cellSize,
+        });
+        this.#applyState(message.changes);
+        break;
+      case WORKER_MESSAGES.TICK:
+        this.lastTick = message.tick;
+        this.emit("tick", {
+          tick: message.tick,
+          population: message.population,
+          timestamp: message.timestamp,
+        });
+        break;
+      case WORKER_MESSAGES.FRAME:
+        this.#receiveFrame(message);
+        break;
+      case WORKER_MESSAGES.METRICS:
+        this.stats.applyChanges(message.stats);
+        this.emit("metrics", {
+          stats: this.stats,
+          metrics: message.metrics,
+          environment: message.environment,
+        });
+        break;
+      case WORKER_MESSAGES.LEADERBOARD:
+        this.emit("leaderboard", { entries: message.entries ?? [] });
+        break;
+      case WORKER_MESSAGES.SKIP_AHEAD:
+        this.emit("skipAhead", {
+          completed: message.completed,
+          total: message.total,
+          done: message.done,
+          cancelled: message.cancelled,
+        });
+        break;
+      case WORKER_MESSAGES.REWIND:
+        this.rewindStatus = message.status ?? null;
+        this.emit("rewind", this.getRewindStatus());
+        break;
+      case WORKER_MESSAGES.RECORDING:
+        this.recordingStatus = message.status ?? null;
+        this.emit("recording", this.getRecordingStatus());
+        break;
+      case WORKER_MESSAGES.REPLAY:
+        this.replayStatus = message.status ?? null;
+        this.emit("replay", this.getReplayStatus());
+        break;
+      case WORKER_MESSAGES.RESULT:
+        this.#settleCall(message);
+        break;
+      case WORKER_MESSAGES.ERROR:
+        warnOnce(`Simulation worker "${message.method}" failed: ${message.message}`);
+        break;
+      default:
+        break;
+    }
+  }
+
+  #settleCall({ id, value, error }) {
+    const pending = this.#pendingCalls.get(id);
+
+    if (!pending) return;
+
+    this.#pendingCalls.delete(id);
+
+    if (error) pending.reject(new Error(error));
+    else pending.resolve(value);
+  }
+
+  #applyState(partial) {
+    if (!partial || typeof partial !== "object") return false;
+
+    const changes = {};
+    let changed = false;
+
+    for (const [key, value] of Object.entries(partial)) {
+      if (this.state[key] === value) continue;
+
+      this.state[key] = value;
+      changes[key] = value;
+      changed = true;
+    }
+
+    if (changed) this.emit("state", { state: this.getStateSnapshot(), changes });
+
+    return changed;
+  }
+
+  #applyGeometry({ rows, cols, cellSize }) {
+    const nextRows = Number.isInteger(rows) && rows > 0 ? rows : this.rows;
+    const nextCols = Number.isInteger(cols) && cols > 0 ? cols : this.cols;
+    const nextCellSize =
+      Number.isFinite(cellSize) && cellSize > 0 ? cellSize : this.cellSize;
+
+    if (
+      nextRows === this.rows &&
+      nextCols === this.cols &&
+      nextCellSize === this.cellSize
+    ) {
+      return;
+    }
+
+    this.rows = nextRows;
+    this.cols = nextCols;
+    this.cellSize = nextCellSize;
+    this.canvas.width = nextCols * nextCellSize;
+    this.canvas.height = nextRows * nextCellSize;
+    this.selectionManager?.setDimensions?.(nextRows, nextCols);
+  }
+
+  #receiveFrame({ rows, cols, buffer }) {
+    if (!(buffer instanceof ArrayBuffer)) return;
+
+    const incoming = new Uint8ClampedArray(buffer);
+
+    if (!this.#frame || this.#frame.data.length !== incoming.length) {
+      this.#frame = { rows, cols, data: new Uint8ClampedArray(incoming.length) };
+    }
+
+    this.#frame.rows = rows;
+    this.#frame.cols = cols;
+    this.#frame.data.set(incoming);
+
+    if (!this.#destroyed) {
+      this.#port.postMessage({ type: WORKER_MESSAGES.RELEASE_FRAME, buffer }, [buffer]);
+    }
+
+    this.requestFrame();
+  }
+
+  /**
+   * Latest per-tile RGBA frame received from the worker (row-major, four
+   * bytes per tile). The buffer is reused between frames; copy it to keep it.
+   *
+   * @returns {{rows: number, cols: number, data: Uint8ClampedArray}|null}
+   */
+  getLastFrame() {
+    return this.#frame;
+  }
+
+  #ensureFrameSurface(rows, cols) {
+    const surface = this.#frameSurface;
+
+    if (surface && surface.canvas.width === cols && surface.canvas.height === rows) {
+      return surface;
+    }
+
+    let canvas = null;
+
+    if (typeof OffscreenCanvas === "function") {
+      canvas = new OffscreenCanvas(cols, rows);
+    } else if (typeof this.document?.createElement === "function") {
+      canvas = this.document.createElement("canvas");
+      canvas.width = cols;
+      canvas.height = rows;
+    }
+
+    const ctx =
+      typeof canvas?.getContext === "function" ? canvas.getContext("2d") : null;
+
+    this.#frameSurface =
+      ctx && typeof ctx.createImageData === "function"
+        ? { canvas, ctx, imageData: ctx.createImageData(cols, rows) }
+        : null;
+
+    return this.#frameSurface;
+  }
+
+  #drawFrame() {
+    const frame = this.#frame;
+
+    if (!frame || frame.data.length !== frame.rows * frame.cols * 4) return;
+
+    if (this.state.lattice === "hex") {
+      this.#drawHexFrame(frame);
+
+      return;
+    }
+
+    const surface = this.#ensureFrameSurface(frame.rows, frame.cols);
+
+    if (!surface) return;
+
+    surface.imageData.data.set(frame.data);
+    surface.ctx.putImageData(surface.imageData, 0, 0);
+
+    const previousSmoothing = this.ctx.imageSmoothingEnabled;
+
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.imageSmoothingEnabled = false;
+    this.ctx.drawImage(
+      surface.canvas,
+      0,
+      0,
+      frame.cols,
+      frame.rows,
+      0,
+      0,
+      frame.cols * this.cellSize,
+      frame.rows * this.cellSize,
+    );
+    this.ctx.imageSmoothingEnabled = previousSmoothing;
+  }
+
+  // Hex tiles cannot be scaled up from one pixel each, so tiles are batched by
+  // colour and filled as hexagon paths.
+  #drawHexFrame({ rows, cols, data }) {
+    const batches = new Map();
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const offset = (row * cols + col) * 4;
+        const alpha = data[offset + 3];
+
+        if (alpha === 0) continue;
+
+        const key = `rgba(${data[offset]},${data[offset + 1]},${data[offset + 2]},${alpha / 255})`;
+        let tiles = batches.get(key);
+
+        if (!tiles) {
+          tiles = [];
+          batches.set(key, tiles);
+        }
+
+        tiles.push(row, col);
+      }
+    }
+
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    for (const [fillStyle, tiles] of batches) {
+      this.ctx.fillStyle = fillStyle;
+      this.ctx.beginPath();
+
+      for (let i = 0; i < tiles.length; i += 2) {
+        traceHexTile(this.ctx, tiles[i], tiles[i + 1], this.cellSize);
+      }
+
+      this.ctx.fill();
+    }
+  }
+
+  requestFrame() {
+    if (this.#drawHandle != null || this.#destroyed) return;
+
+    this.#drawHandle = this.raf(() => {
+      this.#drawHandle = null;
+      this.#drawFrame();
+    });
+  }
+
+  start() {
+    this.running = true;
+    this.#applyState({ paused: false });
+    this.#send("start");
+  }
+
+  stop() {
+    this.running = false;
+    this.#send("stop");
+  }
+
+  setPaused(value) {
+    const paused = coerceBoolean(value, this.state.paused);
+    const changed = this.#applyState({ paused });
+
+    this.#send("setPaused", [paused]);
+
+    return changed;
+  }
+
+  pause() {
+    this.setPaused(true);
+
+    return this.isPaused();
+  }
+
+  resume() {
+    this.setPaused(false);
+    if (!this.running) this.start();
+
+    return this.isPaused();
+  }
+
+  togglePause() {
+    const next = !this.isPaused();
+
+    this.setPaused(next);
+    if (!next && !this.running) this.start();
+
+    return next;
+  }
+
+  /**
+   * Advances the worker simulation by one update. Results arrive through the
+   * `tick` event.
+   */
+  step() {
+    this.#send("step");
+  }
+
+  tick() {
+    this.#send("tick");
+  }
+
+  /**
+   * @param {number} ticks
+   * @param {{budgetMs?: number}} [options]
+   * @returns {Promise<number>} Ticks completed in the worker.
+   */
+  skipAhead(ticks, options) {
+    return this.call("skipAhead", ticks, options);
+  }
+
+  cancelSkipAhead() {
+    this.#send("cancelSkipAhead");
+  }
+
+  /** @returns {Promise<number|null>} Restored tick. */
+  stepBack() {
+    return this.call("stepBack");
+  }
+
+  /**
+   * @param {number} tick
+   * @returns {Promise<number|null>} Restored tick.
+   */
+  scrubTo(tick) {
+    return this.call("scrubTo", tick);
+  }
+
+  getRewindStatus() {
+    return this.rewindStatus ? { ...this.rewindStatus } : null;
+  }
+
+  /** @returns {Promise<Object>} Recording status once recording started. */
+  startRecording() {
+    return this.call("startRecording");
+  }
+
+  /** @returns {Promise<Object|null>} The finished recording. */
+  stopRecording() {
+    return this.call("stopRecording");
+  }
+
+  getRecordingStatus() {
+    return this.recordingStatus ? { ...this.recordingStatus } : null;
+  }
+
+  /**
+   * @param {Object|string} recording
+   * @returns {Promise<Object>} Replay status at the first recorded tick.
+   */
+  loadReplay(recording) {
+    return this.call("loadReplay", recording);
+  }
+
+  /**
+   * @param {number} tick
+   * @returns {Promise<number>} Tick reached.
+   */
+  seekReplay(tick) {
+    return this.call("seekReplay", tick);
+  }
+
+  /** @returns {Promise<number|null>} Tick the replay forked at. */
+  forkReplay() {
+    return this.call("forkReplay");
+  }
+
+  getReplayStatus() {
+    return this.replayStatus ? { ...this.replayStatus } : null;
+  }
+
+  updateSetting(key, value) {
+    this.#send("updateSetting", [key, value]);
+  }
+
+  setUpdatesPerSecond(value) {
+    this.#send("setUpdatesPerSecond", [value]);
+  }
+
+  burstRandomCells(options = {}) {
+    this.#send("burstRandomCells", [options]);
+  }
+
+  spawnEvent(descriptor, options) {
+    return this.call("spawnEvent", descriptor, options);
+  }
+
+  cancelEvent(id) {
+    return this.call("cancelEvent", id);
+  }
+
+  resetWorld(options = {}) {
+    this.#send("resetWorld", [options]);
+  }
+
+  /**
+   * Registers the preset locally so the UI can list it straight away and
+   * forwards it to the worker, which receives it before any later
+   * `applyObstaclePreset` message.
+   *
+   * @param {Object|string} preset
+   * @returns {Object|null}
+   */
+  registerObstaclePreset(preset) {
+    const normalized = normalizeObstaclePreset(preset);
+
+    if (!normalized) return null;
+
+    this._obstaclePresets = [
+      ...this._obstaclePresets.filter((entry) => entry?.id !== normalized.id),
+      normalized,
+    ];
+    this.#send("registerObstaclePreset", [normalized]);
+
+    return normalized;
+  }
+
+  /**
+   * Mirrors the topology locally (for the UI and selection zones) and forwards
+   * it to the worker engine.
+   *
+   * @param {string} topology
+   * @returns {string}
+   */
+  setTopology(topology) {
+    const resolved = resolveWorldTopology(topology);
+
+    this.selectionManager.setTopology?.(resolved);
+    this.#applyState({ topology: resolved });
+    this.#send("setTopology", [resolved]);
+
+    return resolved;
+  }
+
+  getTopology() {
+    return this.state.topology;
+  }
+
+  /**
+   * Mirrors the lattice locally (the frame is drawn as hexagons here) and
+   * forwards it to the worker engine.
+   *
+   * @param {string} lattice
+   * @returns {string}
+   */
+  setLattice(lattice) {
+    const resolved = resolveGridLattice(lattice);
+
+    this.#applyState({ lattice: resolved });
+    this.#send("setLattice", [resolved]);
+    this.requestFrame();
+
+    return resolved;
+  }
+
+  getLattice() {
+    return this.state.lattice;
+  }
+
+  /**
+   * Forwards a terrain descriptor to the worker engine.
+   *
+   * @param {unknown} spec
+   * @returns {Promise<Object|null>} The resolved descriptor.
+   */
+  setTerrain(spec) {
+    return this.call("setTerrain", spec);
+  }
+
+  /**
+   * Forwards climate options to the worker engine.
+   *
+   * @param {boolean|Object|null} config
+   * @returns {Promise<Object|null>} The climate options now in effect.
+   */
+  setClimate(config) {
+    return this.call("setClimate", config);
+  }
+
+  /**
+   * Forwards a scenario script to the worker engine. Malformed scripts reject.
+   *
+   * @param {Array|Object|string|null} script
+   * @returns {Promise<Object|null>} The worker's scenario status.
+   */
+  loadScenario(script) {
+    return this.call("loadScenario", script);
+  }
+
+  getScenarioStatus(options) {
+    return this.call("getScenarioStatus", options);
+  }
+
+  applyObstaclePreset(id, options) {
+    if (typeof id === "string") this.#obstaclePreset = id;
+
+    this.#send("applyObstaclePreset", [id, options]);
+  }
+
+  /**
+   * Worker counterparts of the obstacle brush API. Each resolves with the
+   * worker engine's return value.
+   *
+   * @returns {Promise<number>}
+   */
+  paintObstacles(tiles, options) {
+    return this.call("paintObstacles", tiles, options);
+  }
+
+  /** @returns {Promise<boolean>} */
+  undoObstacleEdit() {
+    return this.call("undoObstacleEdit");
+  }
+
+  /** @returns {Promise<boolean>} */
+  redoObstacleEdit() {
+    return this.call("redoObstacleEdit");
+  }
+
+  /** @returns {Promise<{canUndo: boolean, canRedo: boolean, undoDepth: number, redoDepth: number}>} */
+  getObstacleEditStatus() {
+    return this.call("getObstacleEditStatus");
+  }
+
+  setHighlightedClade(cladeId) {
+    this.highlightedCladeId = Number.isInteger(cladeId) ? cladeId : null;
+    this.#send("setHighlightedClade", [this.highlightedCladeId]);
+
+    return this.highlightedCladeId;
+  }
+
+  /**
+   * Resizes the worker grid. The canvas and selection manager resize right away
+   * so the UI can keep its geometry inputs in sync.
+   *
+   * @param {Object} [options] - Same options as {@link SimulationEngine#setWorldGeometry}.
+   * @returns {{cellSize: number, rows: number, cols: number}}
+   */
+  setWorldGeometry(options = {}) {
+    const opts = options && typeof options === "object" ? options : {};
+    const geometry = {
+      cellSize: sanitizePositiveInteger(opts.cellSize, { fallback: this.cellSize }),
+      rows: sanitizePositiveInteger(opts.rows, { fallback: this.rows }),
+      cols: sanitizePositiveInteger(opts.cols, { fallback: this.cols }),
+    };
+
+    this.#applyGeometry(geometry);
+    this.#send("setWorldGeometry", [{ ...opts, ...geometry }]);
+
+    return geometry;
+  }
+
+  /**
+   * Captures saved settings from the mirrored state, so unlike
+   * {@link WorkerSimulationEngine#exportWorld} this returns synchronously.
+   *
+   * @returns {Object} JSON-safe saved settings.
+   */
+  exportSettings() {
+    return captureSettings(this);
+  }
+
+  /** @returns {Promise<Object>} World snapshot taken inside the worker. */
+  exportWorld() {
+    return this.call("exportWorld");
+  }
+
+  /**
+   * Imports a world in the worker, then restores the snapshot's zones into the
+   * main-thread selection manager.
+   *
+   * @param {Object|string} snapshot
+   * @returns {Promise<{rows: number, cols: number, cellSize: number, population: number}>}
+   */
+  async importWorld(snapshot) {
+    const result = await this.call("importWorld", snapshot);
+    const parsed = typeof snapshot === "string" ? JSON.parse(snapshot) : snapshot;
+
+    this.#applyGeometry(result ?? {});
+    this.#restoreLocalSelection(parsed?.selection);
+
+    return result;
+  }
+
+  destroy() {
+    if (this.#destroyed) return;
+
+    this.running = false;
+
+    if (this.#drawHandle != null) {
+      this.caf(this.#drawHandle);
+      this.#drawHandle = null;
+    }
+
+    this.#port.postMessage({ type: WORKER_MESSAGES.DISPOSE });
+    this.#destroyed = true;
+    this.#detachPort();
+    this.#port.close?.();
+
+    const error = new Error("Simulation worker has been destroyed.");
+
+    this.#pendingCalls.forEach(({ reject }) => reject(error));
+    this.#pendingCalls.clear();
+  }
+}
@@ -0,0 +1,270 @@
+import { insertCarnivoryLocus } from "../genome.js";
+
+/**
+ * Current schema version written by {@link captureWorldSnapshot}. Bump it
+ * whenever the snapshot layout changes and register a migration that upgrades
+ * the previous version so saved experiments keep loading.
+ */
+export const WORLD_SNAPSHOT_VERSION = 3;
+
+/** Format tag stored on every snapshot so foreign JSON is rejected early. */
+export const WORLD_SNAPSHOT_FORMAT = "colourful-life/world";
+
+const worldSnapshotMigrations = new Map();
+
+/**
+ * Registers a migration that upgrades snapshots written at `fromVersion` to
+ * `fromVersion + 1`. Migrations receive a structured clone of the snapshot and
+ * must return the upgraded record; they run in sequence until the snapshot
+ * reaches {@link WORLD_SNAPSHOT_VERSION}. Each version has one migration, so
+ * a built-in step cannot be replaced.
+ *
+ * @param {number} fromVersion - Schema version the migration upgrades from.
+ * @param {(snapshot: Object) => Object} migrate - Upgrade step.
+ * @returns {() => void} Callback that unregisters the migration.
+ * @throws {Error} When `fromVersion` already has a migration.
+ */
+export function registerWorldSnapshotMigration(fromVersion, migrate) {
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw new RangeError("World snapshot migrations require a non-negative version.");
+  }
+
+  if (typeof migrate !== "function") {
+    throw new TypeError("World snapshot migrations must be functions.");
+  }
+
+  if (worldSnapshotMigrations.has(fromVersion)) {
+    throw new Error(
+      `A world snapshot migration is already registered for version ${fromVersion}.`,
+    );
+  }
+
+  worldSnapshotMigrations.set(fromVersion, migrate);
+
+  return () => {
+    if (worldSnapshotMigrations.get(fromVersion) === migrate) {
+      worldSnapshotMigrations.delete(fromVersion);
+    }
+  };
+}
+
+// Version 2 inserted the carnivory gene, shifting later loci up by one.
+registerWorldSnapshotMigration(1, (snapshot) => {
+  for (const record of snapshot.grid?.cells ?? []) {
+    if (Array.isArray(record?.genes)) {
+      record.genes = Array.from(insertCarnivoryLocus(record.genes));
+    }
+  }
+
+  return snapshot;
+});
+
+// Version 3 added the state a run needs to resume exactly: pending corpse
+// decay, the energy back buffer, stats pressure signals, and per-cell pairwise
+// RNG streams and open decisions. Older snapshots rebuild those as before.
+registerWorldSnapshotMigration(2, (snapshot) => snapshot);
+
+/**
+ * Upgrades a snapshot to {@link WORLD_SNAPSHOT_VERSION}, applying registered
+ * migrations in order. Accepts either a parsed object or a JSON string.
+ *
+ * @param {Object|string} snapshot - Snapshot record or its JSON encoding.
+ * @returns {Object} Snapshot at the current schema version.
+ * @throws {TypeError} When the input is not a world snapshot.
+ * @throws {RangeError} When the snapshot is newer than this build or a
+ *   migration step is missing.
+ */
+export function migrateWorldSnapshot(snapshot) {
+  const parsed = typeof snapshot === "string" ? JSON.parse(snapshot) : snapshot;
+
+  if (
+    !parsed ||
+    typeof parsed !== "object" ||
+    parsed.format !== WORLD_SNAPSHOT_FORMAT
+  ) {
+    throw new TypeError("Expected a Colourful Life world snapshot.");
+  }
+
+  let current = structuredClone(parsed);
+  let version = Number(current.version);
+
+  if (!Number.isInteger(version) || version < 0) {
+    throw new TypeError("World snapshot is missing a schema version.");
+  }
+
+  if (version > WORLD_SNAPSHOT_VERSION) {
+    throw new RangeError(
+      `World snapshot version ${version} is newer than supported version ${WORLD_SNAPSHOT_VERSION}.`,
+    );
+  }
+
+  while (version < WORLD_SNAPSHOT_VERSION) {
+    const migrate = worldSnapshotMigrations.get(version);
+
+    if (!migrate) {
+      throw new RangeError(
+        `No world snapshot migration registered for version ${version}.`,
+      );
+    }
+
+    current = migrate(current) ?? current;
+    version += 1;
+    current.version = version;
+  }
+
+  return current;
+}
+
+/**
+ * Serialises the engine's world into a versioned, JSON-safe snapshot covering
+ * grid residents, tile energy, obstacles, active events, climate settings,
+ * the scenario script, reproductive zones, stats history, and the RNG
+ * position (when the injected RNG exposes `getState`, plus every named stream
+ * of seeded engines).
+ *
+ * @param {import('./simulationEngine.js').default} engine
+ * @returns {Object} Snapshot accepted by {@link restoreWorldSnapshot}.
+ */
+export function captureWorldSnapshot(engine) {
+  const rngState =
+    typeof engine?.rng?.getState === "function" ? engine.rng.getState() : null;
+  const rngStreams = {};
+
+  for (const [name, stream] of Object.entries(engine?.rngStreams ?? {})) {
+    const state = typeof stream?.getState === "function" ? stream.getState() : null;
+
+    if (Number.isFinite(state)) rngStreams[name] = state;
+  }
+
+  return {
+    format: WORLD_SNAPSHOT_FORMAT,
+    version: WORLD_SNAPSHOT_VERSION,
+    geometry: {
+      rows: engine.rows,
+      cols: engine.cols,
+      cellSize: engine.cellSize,
+      topology: engine.grid.topology ?? "bounded",
+      lattice: engine.grid.lattice ?? "square",
+    },
+    rngState: Number.isFinite(rngState) ? rngState : null,
+    rngStreams,
+    grid: engine.grid.exportWorldState(),
+    events: engine.eventManager?.exportState?.() ?? null,
+    climate: engine.getClimate?.() ?? null,
+    scenario: engine.getScenario?.() ?? null,
+    selection: captureSelectionState(engine?.selectionManager),
+    stats: engine.stats?.exportState?.() ?? null,
+  };
+}
+
+/**
+ * Captures the active reproductive zones and the custom zone definitions.
+ * Shared by world snapshots and saved settings.
+ *
+ * @param {Object} selectionManager
+ * @returns {{activePatterns: string[], customZones: Object|null}}
+ */
+export function captureSelectionState(selectionManager) {
+  const activeZones =
+    typeof selectionManager?.getActiveZones === "function"
+      ? selectionManager.getActiveZones()
+      : [];
+
+  return {
+    activePatterns: activeZones
+      .map((zone) => zone?.id)
+      .filter((id) => typeof id === "string" && id.length > 0),
+    customZones:
+      typeof selectionManager?.exportCustomZones === "function"
+        ? selectionManager.exportCustomZones()
+        : null,
+  };
+}
+
+/**
+ * Imports custom zones, then makes exactly `activePatterns` active. Missing
+ * fields leave that part of the selection untouched.
+ *
+ * @param {Object} selectionManager
+ * @param {ReturnType<typeof captureSelectionState>|null|undefined} selection
+ */
+export function restoreSelectionState(selectionManager, selection) {
+  const activePatterns = selection?.activePatterns;
+  const customZones = selection?.customZones;
+
+  if (customZones && typeof selectionManager?.importCustomZones === "function") {
+    selectionManager.importCustomZones(customZones);
+  }
+
+  if (
+    Array.isArray(activePatterns) &&
+    typeof selectionManager?.togglePattern === "function"
+  ) {
+    selectionManager.clearActiveZones?.();
+    activePatterns.forEach((id) => selectionManager.togglePattern(id, true));
+  }
+}
+
+/**
+ * Restores a snapshot into an engine whose geometry already matches the
+ * snapshot. Subsystems missing from the snapshot are left untouched. Stats
+ * history and RNG positions are restored separately via
+ * {@link restoreWorldStats} and {@link restoreWorldRng} so callers can refresh
+ * telemetry from the restored grid (which samples the stats RNG) without
+ * appending a history sample or advancing the seeded streams.
+ *
+ * @param {import('./simulationEngine.js').default} engine
+ * @param {Object} snapshot - Snapshot at {@link WORLD_SNAPSHOT_VERSION}.
+ */
+export function restoreWorldSnapshot(engine, snapshot) {
+  if (snapshot.events && typeof engine.eventManager?.importState === "function") {
+    engine.eventManager.importState(snapshot.events);
+  }
+
+  restoreSelectionState(engine.selectionManager, snapshot.selection);
+  engine.grid.importWorldState(snapshot.grid);
+
+  if (snapshot.climate !== undefined && typeof engine.setClimate === "function") {
+    engine.setClimate(snapshot.climate);
+  }
+
+  if (snapshot.scenario !== undefined && typeof engine.loadScenario === "function") {
+    engine.loadScenario(snapshot.scenario);
+  }
+}
+
+/**
+ * Restores the stats totals and history captured in a snapshot.
+ *
+ * @param {import('./simulationEngine.js').default} engine
+ * @param {Object} snapshot - Snapshot at {@link WORLD_SNAPSHOT_VERSION}.
+ */
+export function restoreWorldStats(engine, snapshot) {
+  if (snapshot.stats && typeof engine.stats?.importState === "function") {
+    engine.stats.importState(snapshot.stats);
+  }
+}
+
+/**
+ * Rewinds the engine RNG streams to the positions captured in a snapshot. Call
+ * it last so nothing run while restoring advances them.
+ *
+ * @param {import('./simulationEngine.js').default} engine
+ * @param {Object} snapshot - Snapshot at {@link WORLD_SNAPSHOT_VERSION}.
+ */
+export function restoreWorldRng(engine, snapshot) {
+  if (
+    Number.isFinite(snapshot.rngState) &&
+    typeof engine.rng?.setState === "function"
+  ) {
+    engine.rng.setState(snapshot.rngState);
+  }
+
+  for (const [name, state] of Object.entries(snapshot.rngStreams ?? {})) {
+    const stream = engine.rngStreams?.[name];
+
+    if (Number.isFinite(state) && typeof stream?.setState === "function") {
+      stream.setState(state);
+    }
+  }
+}
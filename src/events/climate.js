@@ -0,0 +1,203 @@
+import { clamp, lerp } from "../utils/math.js";
+
+/**
+ * Climate clock. A day/night sinusoid scales tile regeneration within each
+ * day, and four seasons shift regeneration, diffusion and the odds of each
+ * random event type across the year. The clock is a pure function of the
+ * tick count, so snapshots and seeded replays stay in step without extra
+ * state.
+ *
+ * Seasons blend into each other: the multipliers listed here apply at the
+ * middle of each season and are eased towards the next season's values in
+ * between.
+ */
+export const CLIMATE_SEASONS = Object.freeze(
+  [
+    {
+      id: "spring",
+      label: "Spring",
+      regen: 1.1,
+      diffusion: 1,
+      eventWeights: { flood: 2, drought: 0.6, heatwave: 0.6, coldwave: 0.6 },
+    },
+    {
+      id: "summer",
+      label: "Summer",
+      regen: 1.2,
+      diffusion: 1.15,
+      eventWeights: { flood: 0.5, drought: 2, heatwave: 3, coldwave: 0.1 },
+    },
+    {
+      id: "autumn",
+      label: "Autumn",
+      regen: 0.9,
+      diffusion: 1,
+      eventWeights: { flood: 1.5, drought: 0.8, heatwave: 0.5, coldwave: 1 },
+    },
+    {
+      id: "winter",
+      label: "Winter",
+      regen: 0.6,
+      diffusion: 0.8,
+      eventWeights: { flood: 0.7, drought: 0.4, heatwave: 0.1, coldwave: 3 },
+    },
+  ].map((season) =>
+    Object.freeze({ ...season, eventWeights: Object.freeze(season.eventWeights) }),
+  ),
+);
+
+/**
+ * Defaults for {@link resolveClimateConfig}. Lengths are in ticks;
+ * `dayAmplitude` is the fraction regeneration swings above (noon) and below
+ * (midnight) its seasonal value.
+ */
+export const CLIMATE_DEFAULTS = Object.freeze({
+  dayLength: 120,
+  dayAmplitude: 0.25,
+  yearLength: 2400,
+});
+
+const TAU = Math.PI * 2;
+
+const positiveOr = (value, fallback) =>
+  Number.isFinite(value) && value > 0 ? value : fallback;
+
+function resolveSeason(base, override) {
+  if (!override || typeof override !== "object") return base;
+
+  const eventWeights = { ...base.eventWeights };
+
+  for (const [type, weight] of Object.entries(override.eventWeights ?? {})) {
+    if (Number.isFinite(weight) && weight >= 0) eventWeights[type] = weight;
+  }
+
+  return Object.freeze({
+    ...base,
+    regen: Number.isFinite(override.regen) ? Math.max(0, override.regen) : base.regen,
+    diffusion: Number.isFinite(override.diffusion)
+      ? Math.max(0, override.diffusion)
+      : base.diffusion,
+    eventWeights: Object.freeze(eventWeights),
+  });
+}
+
+/**
+ * Normalizes a climate option. `null`/`false` disables the clock, `true`
+ * enables it with {@link CLIMATE_DEFAULTS}, and an object overrides any of
+ * `dayLength`, `dayAmplitude`, `yearLength`, and per-season `regen`,
+ * `diffusion` and `eventWeights` under `seasons.<id>`. Invalid numbers fall
+ * back to the defaults.
+ *
+ * @param {unknown} input
+ * @returns {{dayLength: number, dayAmplitude: number, yearLength: number, seasons: Object[]}|null}
+ */
+export function resolveClimateConfig(input) {
+  if (input == null || input === false) return null;
+
+  const options = input && typeof input === "object" ? input : {};
+
+  return {
+    dayLength: Math.round(positiveOr(options.dayLength, CLIMATE_DEFAULTS.dayLength)),
+    dayAmplitude: Number.isFinite(options.dayAmplitude)
+      ? clamp(options.dayAmplitude, 0, 1)
+      : CLIMATE_DEFAULTS.dayAmplitude,
+    yearLength: Math.round(positiveOr(options.yearLength, CLIMATE_DEFAULTS.yearLength)),
+    seasons: CLIMATE_SEASONS.map((season) =>
+      resolveSeason(season, options.seasons?.[season.id]),
+    ),
+  };
+}
+
+/**
+ * Reduces a resolved config to the JSON-safe options that recreate it.
+ *
+ * @param {Object|null} config - Result of {@link resolveClimateConfig}.
+ * @returns {Object|null}
+ */
+export function exportClimateConfig(config) {
+  if (!config) return null;
+
+  return {
+    dayLength: config.dayLength,
+    dayAmplitude: config.dayAmplitude,
+    yearLength: config.yearLength,
+    seasons: Object.fromEntries(
+      config.seasons.map(({ id, regen, diffusion, eventWeights }) => [
+        id,
+        { regen, diffusion, eventWeights: { ...eventWeights } },
+      ]),
+    ),
+  };
+}
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Climate at a tick.
+ *
+ * - `daylight` runs from `0` at midnight (the start of each day) to `1` at
+ *   noon.
+ * - `season` is the season the tick falls in; `seasonProgress` is how far
+ *   through it the tick is.
+ * - `phase` is the seasonal warmth signal fed to the `climatePhase` sensor:
+ *   `1` at midsummer, `-1` at midwinter.
+ * - `regenMultiplier` combines the day/night swing with the blended seasonal
+ *   regeneration; `diffusionMultiplier` and `eventWeights` are blended the
+ *   same way.
+ *
+ * @param {number} tick
+ * @param {Object} config - Result of {@link resolveClimateConfig}.
+ * @returns {{
+ *   tick: number,
+ *   daylight: number,
+ *   season: string,
+ *   seasonLabel: string,
+ *   seasonProgress: number,
+ *   phase: number,
+ *   regenMultiplier: number,
+ *   diffusionMultiplier: number,
+ *   eventWeights: Record<string, number>,
+ * }}
+ */
+export function sampleClimate(tick, config) {
+  const { dayLength, dayAmplitude, yearLength, seasons } = config;
+  const safeTick = Number.isFinite(tick) ? Math.max(0, tick) : 0;
+  const dayPhase = (safeTick % dayLength) / dayLength;
+  const yearPhase = (safeTick % yearLength) / yearLength;
+  const daylight = 0.5 - 0.5 * Math.cos(TAU * dayPhase);
+  const seasonPosition = yearPhase * seasons.length;
+  const seasonIndex = Math.floor(seasonPosition);
+  const season = seasons[seasonIndex];
+  // Blend between the two season midpoints the tick sits between.
+  const blendPosition = seasonPosition - 0.5 + seasons.length;
+  const fromSeason = seasons[Math.floor(blendPosition) % seasons.length];
+  const toSeason = seasons[(Math.floor(blendPosition) + 1) % seasons.length];
+  const blend = smoothstep(blendPosition - Math.floor(blendPosition));
+  const eventWeights = {};
+
+  for (const type of new Set([
+    ...Object.keys(fromSeason.eventWeights),
+    ...Object.keys(toSeason.eventWeights),
+  ])) {
+    eventWeights[type] = lerp(
+      fromSeason.eventWeights[type] ?? 1,
+      toSeason.eventWeights[type] ?? 1,
+      blend,
+    );
+  }
+
+  return {
+    tick: safeTick,
+    daylight,
+    season: season.id,
+    seasonLabel: season.label,
+    seasonProgress: seasonPosition - seasonIndex,
+    // Midsummer sits at 3/8 of the year and midwinter at 7/8.
+    phase: Math.sin(TAU * (yearPhase - 0.125)),
+    regenMultiplier:
+      (1 + dayAmplitude * (2 * daylight - 1)) *
+      lerp(fromSeason.regen, toSeason.regen, blend),
+    diffusionMultiplier: lerp(fromSeason.diffusion, toSeason.diffusion, blend),
+    eventWeights,
+  };
+}
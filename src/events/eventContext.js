@@ -1,10 +1,12 @@
 import { getEventEffect } from "./eventEffects.js";
+import { isTileInFootprint } from "./eventFootprint.js";
 import { toPlainObject } from "../utils/object.js";
 
 /**
  * Determines whether the supplied event overlaps the provided grid
- * coordinates. Events operate on rectangular regions described by their
- * `affectedArea` bounds.
+ * coordinates. The rectangular `affectedArea` bounds reject distant tiles;
+ * circular and polygonal `footprint`s then refine the test per tile (see
+ * `eventFootprint.js`).
  *
  * @param {Object} event - Event definition.
  * @param {number} row - Tile row to test.
@@ -15,7 +17,13 @@ export function defaultIsEventAffecting(event, row, col) {
   if (!event || !event.affectedArea) return false;
   const { x, y, width, height } = event.affectedArea;
 
-  return row >= y && row < y + height && col >= x && col < x + width;
+  if (row < y || row >= y + height || col < x || col >= x + width) return false;
+
+  const footprint = event.footprint;
+
+  return !footprint || footprint.shape === "rect"
+    ? true
+    : isTileInFootprint(footprint, row, col);
 }
 
 function toFunction(candidate, fallback) {
@@ -1,7 +1,10 @@
+import { invokeWithErrorBoundary, warnOnce } from "../utils/error.js";
+
 /**
- * Lookup table describing how each environmental event alters tile energy and
- * per-cell behaviour. Grid logic consumes these values to scale regeneration,
- * apply drains, and determine which DNA resistance gene mitigates the effect.
+ * Lookup table describing how each built-in environmental event alters tile
+ * energy and per-cell behaviour. Grid logic consumes these values to scale
+ * regeneration, apply drains, and determine which DNA resistance gene
+ * mitigates the effect. {@link registerEventType} adds further types.
  */
 export const EVENT_EFFECTS = {
   flood: {
@@ -44,6 +47,107 @@ export const EVENT_EFFECTS = {
 
 export const EVENT_TYPES = Object.freeze(Object.keys(EVENT_EFFECTS));
 
+const customEventEffects = new Map();
+
+const WARNINGS = Object.freeze({
+  resistance: "Custom event resistance callback threw; treating resistance as 0.",
+});
+
+function toFiniteNumber(value, fallback) {
+  const numeric = Number(value);
+
+  return Number.isFinite(numeric) ? numeric : fallback;
+}
+
+function normalizeRegenScale(regenScale) {
+  if (!regenScale || typeof regenScale !== "object") return null;
+
+  return Object.freeze({
+    base: toFiniteNumber(regenScale.base, 1),
+    change: toFiniteNumber(regenScale.change, 0),
+    min: toFiniteNumber(regenScale.min, 0),
+  });
+}
+
+/**
+ * Registers a custom environmental event type so experiments can add hazards
+ * or boons (a "toxic bloom", a "nutrient pulse") without editing
+ * {@link EVENT_EFFECTS}. Registered types join the default random pool of
+ * `EventManager`, feed `accumulateEventModifiers` through
+ * {@link getEventEffect}, tint event overlays with `color`, and let
+ * `resistance(dna)` mitigate per-cell energy loss the way resistance genes do
+ * for built-in events.
+ *
+ * Register types before events of that type spawn; grids cache effect lookups
+ * per event type.
+ *
+ * @param {string} id - Event type identifier used as `event.eventType`.
+ * @param {Object} descriptor
+ * @param {number} [descriptor.regenAdd=0] - Regeneration added per unit strength.
+ * @param {{base?: number, change?: number, min?: number}|null} [descriptor.regenScale]
+ *   Regeneration multiplier `max(min, base + change * strength)`.
+ * @param {number} [descriptor.drainAdd=0] - Tile drain added per unit strength.
+ * @param {{energyLoss?: number, resistanceGene?: string}} [descriptor.cell]
+ *   Per-cell energy loss per unit strength.
+ * @param {string} [descriptor.color] - Overlay fill colour.
+ * @param {(dna: Object) => number} [descriptor.resistance] - Returns the
+ *   0..1 share of the per-cell loss a genome shrugs off.
+ * @returns {() => void} Callback that unregisters the event type.
+ * @throws {TypeError} When the id or descriptor is malformed.
+ * @throws {RangeError} When the id is already registered.
+ */
+export function registerEventType(id, descriptor = {}) {
+  if (typeof id !== "string" || id.length === 0) {
+    throw new TypeError("Event types require a non-empty string id.");
+  }
+
+  if (Object.hasOwn(EVENT_EFFECTS, id) || customEventEffects.has(id)) {
+    throw new RangeError(`Event type "${id}" is already registered.`);
+  }
+
+  if (!descriptor || typeof descriptor !== "object") {
+    throw new TypeError(`Event type "${id}" needs an effect descriptor.`);
+  }
+
+  const { regenAdd, regenScale, drainAdd, cell, color, resistance } = descriptor;
+
+  if (resistance != null && typeof resistance !== "function") {
+    throw new TypeError(`Event type "${id}" resistance must be a function.`);
+  }
+
+  const effect = Object.freeze({
+    regenAdd: toFiniteNumber(regenAdd, 0),
+    regenScale: normalizeRegenScale(regenScale),
+    drainAdd: toFiniteNumber(drainAdd, 0),
+    cell: Object.freeze({
+      energyLoss: toFiniteNumber(cell?.energyLoss, 0),
+      resistanceGene:
+        typeof cell?.resistanceGene === "string" ? cell.resistanceGene : null,
+    }),
+    color: typeof color === "string" && color.length > 0 ? color : null,
+    resistance: resistance ?? null,
+  });
+
+  customEventEffects.set(id, effect);
+
+  return () => {
+    if (customEventEffects.get(id) === effect) {
+      customEventEffects.delete(id);
+    }
+  };
+}
+
+/**
+ * Lists the built-in event types followed by any registered custom types.
+ *
+ * @returns {ReadonlyArray<string>} Event identifiers.
+ */
+export function getEventTypes() {
+  if (customEventEffects.size === 0) return EVENT_TYPES;
+
+  return Object.freeze([...EVENT_TYPES, ...customEventEffects.keys()]);
+}
+
 /**
  * Retrieves the effect descriptor for a given event type.
  *
@@ -52,5 +156,49 @@ export const EVENT_TYPES = Object.freeze(Object.keys(EVENT_EFFECTS));
  *   the event is unknown.
  */
 export function getEventEffect(eventType) {
-  return EVENT_EFFECTS[eventType] || null;
+  if (Object.hasOwn(EVENT_EFFECTS, eventType)) return EVENT_EFFECTS[eventType];
+
+  return customEventEffects.get(eventType) ?? null;
+}
+
+/**
+ * Resolves the overlay colour a registered custom event type declared.
+ *
+ * @param {string} eventType - Event identifier.
+ * @returns {string|null} Colour string or `null` when none was registered.
+ */
+export function getEventColor(eventType) {
+  return customEventEffects.get(eventType)?.color ?? null;
+}
+
+/**
+ * Measures how strongly a genome resists an event effect. Custom types use
+ * their `resistance(dna)` callback; built-in types read the DNA accessor named
+ * by `cell.resistanceGene`.
+ *
+ * @param {Object|null} effect - Descriptor from {@link getEventEffect}.
+ * @param {Object|null} dna - Genome exposing resistance accessors.
+ * @returns {number} Resistance in the 0..1 range.
+ */
+export function resolveEventResistance(effect, dna) {
+  if (!effect || !dna) return 0;
+
+  let value = 0;
+
+  if (typeof effect.resistance === "function") {
+    value = Number(
+      invokeWithErrorBoundary(effect.resistance, [dna], {
+        message: WARNINGS.resistance,
+        reporter: warnOnce,
+        once: true,
+      }),
+    );
+  } else {
+    const gene = effect.cell?.resistanceGene;
+
+    value =
+      typeof gene === "string" && typeof dna[gene] === "function" ? dna[gene]() : 0;
+  }
+
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
 }
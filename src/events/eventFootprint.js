@@ -0,0 +1,519 @@
+import { clamp } from "../utils/math.js";
+
+/**
+ * Footprint geometry for environmental events. Footprints live in continuous
+ * grid units where tile `(row, col)` is centred on `(col + 0.5, row + 0.5)`;
+ * a tile is covered when its centre lies inside the shape. Every event keeps
+ * an integer `affectedArea` bounding box alongside its footprint so overlays,
+ * summaries, and row bucketing can stay rectangle-based.
+ *
+ * - `{ shape: "rect", x, y, width, height }` — axis-aligned box.
+ * - `{ shape: "circle", x, y, radius }` — disc centred on `(x, y)`.
+ * - `{ shape: "polygon", points: [{ x, y }, ...] }` — simple polygon using the
+ *   even-odd rule.
+ */
+export const EVENT_FOOTPRINT_SHAPES = Object.freeze(["rect", "circle", "polygon"]);
+
+const MIN_EXTENT = 0.5;
+
+function finite(value, fallback = 0) {
+  const numeric = Number(value);
+
+  return Number.isFinite(numeric) ? numeric : fallback;
+}
+
+function normalizePoint(point) {
+  if (Array.isArray(point)) {
+    return { x: finite(point[0], NaN), y: finite(point[1], NaN) };
+  }
+
+  return { x: finite(point?.x, NaN), y: finite(point?.y, NaN) };
+}
+
+/**
+ * Validates a footprint descriptor, returning a fresh mutable copy or `null`
+ * when the shape is unknown or degenerate. Polygon points may be `{x, y}`
+ * objects or `[x, y]` pairs.
+ *
+ * @param {Object} candidate
+ * @returns {Object|null}
+ */
+export function normalizeEventFootprint(candidate) {
+  if (!candidate || typeof candidate !== "object") return null;
+
+  switch (candidate.shape) {
+    case "rect": {
+      const width = finite(candidate.width);
+      const height = finite(candidate.height);
+
+      if (!(width > 0) || !(height > 0)) return null;
+
+      return {
+        shape: "rect",
+        x: finite(candidate.x),
+        y: finite(candidate.y),
+        width,
+        height,
+      };
+    }
+    case "circle": {
+      const radius = finite(candidate.radius);
+
+      if (!(radius > 0)) return null;
+
+      return {
+        shape: "circle",
+        x: finite(candidate.x),
+        y: finite(candidate.y),
+        radius,
+      };
+    }
+    case "polygon": {
+      const points = Array.isArray(candidate.points)
+        ? candidate.points
+            .map(normalizePoint)
+            .filter((point) => Number.isFinite(point.x) && Number.isFinite(point.y))
+        : [];
+
+      return points.length >= 3 ? { shape: "polygon", points } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Builds a rectangular footprint matching an integer `affectedArea`.
+ *
+ * @param {{x:number, y:number, width:number, height:number}} area
+ * @returns {Object|null}
+ */
+export function footprintFromArea(area) {
+  if (!area) return null;
+
+  return normalizeEventFootprint({ shape: "rect", ...area });
+}
+
+/**
+ * Continuous bounding box of a footprint.
+ *
+ * @param {Object} footprint
+ * @returns {{minX:number, minY:number, maxX:number, maxY:number}}
+ */
+export function getFootprintBounds(footprint) {
+  switch (footprint?.shape) {
+    case "rect":
+      return {
+        minX: footprint.x,
+        minY: footprint.y,
+        maxX: footprint.x + footprint.width,
+        maxY: footprint.y + footprint.height,
+      };
+    case "circle":
+      return {
+        minX: footprint.x - footprint.radius,
+        minY: footprint.y - footprint.radius,
+        maxX: footprint.x + footprint.radius,
+        maxY: footprint.y + footprint.radius,
+      };
+    case "polygon": {
+      let minX = Infinity;
+      let minY = Infinity;
+      let maxX = -Infinity;
+      let maxY = -Infinity;
+
+      for (const { x, y } of footprint.points) {
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+      }
+
+      return { minX, minY, maxX, maxY };
+    }
+    default:
+      return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  }
+}
+
+function footprintCentre(footprint) {
+  if (footprint.shape === "circle") return { x: footprint.x, y: footprint.y };
+
+  const { minX, minY, maxX, maxY } = getFootprintBounds(footprint);
+
+  return { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+}
+
+/**
+ * Appends the half-open column spans `[start, end)` a footprint covers on
+ * `row` to `target` as flat pairs, clipped to `[0, cols)`. Spans agree with
+ * {@link isTileInFootprint} tile by tile.
+ *
+ * @param {Object} footprint
+ * @param {number} row
+ * @param {number} cols
+ * @param {number[]} [target=[]]
+ * @returns {number[]} `target`.
+ */
+export function collectFootprintRowSpans(footprint, row, cols, target = []) {
+  const y = row + 0.5;
+  const pushSpan = (start, end) => {
+    const clippedStart = Math.max(0, start);
+    const clippedEnd = Math.min(cols, end);
+
+    if (clippedStart < clippedEnd) target.push(clippedStart, clippedEnd);
+  };
+
+  switch (footprint?.shape) {
+    case "rect":
+      if (y >= footprint.y && y < footprint.y + footprint.height) {
+        pushSpan(
+          Math.ceil(footprint.x - 0.5),
+          Math.ceil(footprint.x + footprint.width - 0.5),
+        );
+      }
+      break;
+    case "circle": {
+      const dy = y - footprint.y;
+      const squared = footprint.radius * footprint.radius - dy * dy;
+
+      if (squared >= 0) {
+        const half = Math.sqrt(squared);
+
+        pushSpan(
+          Math.ceil(footprint.x - half - 0.5),
+          Math.floor(footprint.x + half - 0.5) + 1,
+        );
+      }
+      break;
+    }
+    case "polygon": {
+      const crossings = [];
+      const { points } = footprint;
+
+      for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+        const a = points[i];
+        const b = points[j];
+
+        if (a.y > y !== b.y > y) {
+          crossings.push(a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y));
+        }
+      }
+
+      crossings.sort((left, right) => left - right);
+
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        pushSpan(Math.ceil(crossings[i] - 0.5), Math.ceil(crossings[i + 1] - 0.5));
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  return target;
+}
+
+/**
+ * Whether the tile at `(row, col)` lies inside a footprint.
+ *
+ * @param {Object} footprint
+ * @param {number} row
+ * @param {number} col
+ * @returns {boolean}
+ */
+export function isTileInFootprint(footprint, row, col) {
+  const y = row + 0.5;
+
+  switch (footprint?.shape) {
+    case "rect":
+      return (
+        col >= Math.ceil(footprint.x - 0.5) &&
+        col < Math.ceil(footprint.x + footprint.width - 0.5) &&
+        y >= footprint.y &&
+        y < footprint.y + footprint.height
+      );
+    case "circle": {
+      const dy = y - footprint.y;
+      const squared = footprint.radius * footprint.radius - dy * dy;
+
+      if (squared < 0) return false;
+
+      // Compare against the span edges so spans and point tests agree exactly.
+      const half = Math.sqrt(squared);
+
+      return (
+        col >= Math.ceil(footprint.x - half - 0.5) &&
+        col <= Math.floor(footprint.x + half - 0.5)
+      );
+    }
+    case "polygon": {
+      let inside = false;
+      const { points } = footprint;
+
+      for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+        const a = points[i];
+        const b = points[j];
+
+        if (a.y > y !== b.y > y) {
+          const crossing = a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y);
+
+          if (Math.ceil(crossing - 0.5) > col) inside = !inside;
+        }
+      }
+
+      return inside;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Recomputes `event.affectedArea` as the integer bounding box of the tiles the
+ * event's footprint covers inside a `rows`×`cols` grid.
+ *
+ * @param {{footprint?: Object, affectedArea?: Object}} event
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {boolean} `false` when the footprint no longer covers any tile.
+ */
+export function syncEventArea(event, rows, cols) {
+  const footprint = event?.footprint;
+
+  if (!footprint) return Boolean(event?.affectedArea);
+
+  const bounds = getFootprintBounds(footprint);
+  const startRow = clamp(Math.floor(bounds.minY), 0, rows);
+  const endRow = clamp(Math.ceil(bounds.maxY), 0, rows);
+  const spans = [];
+  let minRow = Infinity;
+  let maxRow = -Infinity;
+  let minCol = Infinity;
+  let maxCol = -Infinity;
+
+  for (let row = startRow; row < endRow; row += 1) {
+    spans.length = 0;
+    collectFootprintRowSpans(footprint, row, cols, spans);
+
+    if (spans.length === 0) continue;
+
+    minRow = Math.min(minRow, row);
+    maxRow = row;
+    minCol = Math.min(minCol, spans[0]);
+    maxCol = Math.max(maxCol, spans[spans.length - 1]);
+  }
+
+  if (minRow === Infinity) {
+    event.affectedArea = { x: 0, y: 0, width: 0, height: 0 };
+
+    return false;
+  }
+
+  event.affectedArea = {
+    x: minCol,
+    y: minRow,
+    width: maxCol - minCol,
+    height: maxRow - minRow + 1,
+  };
+
+  return true;
+}
+
+/**
+ * Sanitizes a motion descriptor. `speed` is in tiles per tick along
+ * `heading` (radians, `0` pointing east and `Math.PI / 2` south), `growth`
+ * scales the footprint by `1 + growth` each tick (negative values shrink it),
+ * and `turn` rotates the heading by that many radians per tick.
+ *
+ * @param {Object} candidate
+ * @returns {{speed:number, heading:number, growth:number, turn:number}|null}
+ *   `null` when the descriptor would leave the event static.
+ */
+export function normalizeEventMotion(candidate) {
+  if (!candidate || typeof candidate !== "object") return null;
+
+  const motion = {
+    speed: Math.max(0, finite(candidate.speed)),
+    heading: finite(candidate.heading),
+    growth: clamp(finite(candidate.growth), -0.5, 0.5),
+    turn: finite(candidate.turn),
+  };
+
+  return motion.speed > 0 || motion.growth !== 0 || motion.turn !== 0 ? motion : null;
+}
+
+function scaleAbout(value, origin, factor) {
+  return origin + (value - origin) * factor;
+}
+
+/**
+ * Moves, turns, and grows an event footprint by one tick of its `motion`.
+ * Footprints shrink no smaller than half a tile across.
+ *
+ * @param {{footprint: Object, motion: Object}} event
+ * @returns {boolean} Whether the footprint changed.
+ */
+export function advanceEventFootprint(event) {
+  const { footprint, motion } = event ?? {};
+
+  if (!footprint || !motion) return false;
+
+  const dx = Math.cos(motion.heading) * motion.speed;
+  const dy = Math.sin(motion.heading) * motion.speed;
+  const factor = 1 + motion.growth;
+  const centre = footprintCentre(footprint);
+
+  switch (footprint.shape) {
+    case "rect": {
+      const width = Math.max(MIN_EXTENT, footprint.width * factor);
+      const height = Math.max(MIN_EXTENT, footprint.height * factor);
+
+      footprint.x = centre.x - width / 2 + dx;
+      footprint.y = centre.y - height / 2 + dy;
+      footprint.width = width;
+      footprint.height = height;
+      break;
+    }
+    case "circle":
+      footprint.x += dx;
+      footprint.y += dy;
+      footprint.radius = Math.max(MIN_EXTENT / 2, footprint.radius * factor);
+      break;
+    case "polygon": {
+      const { minX, minY, maxX, maxY } = getFootprintBounds(footprint);
+      const span = Math.max(maxX - minX, maxY - minY);
+      const scale = span * factor < MIN_EXTENT ? 1 : factor;
+
+      for (const point of footprint.points) {
+        point.x = scaleAbout(point.x, centre.x, scale) + dx;
+        point.y = scaleAbout(point.y, centre.y, scale) + dy;
+      }
+      break;
+    }
+    default:
+      return false;
+  }
+
+  motion.heading += motion.turn;
+
+  return true;
+}
+
+function shiftFootprint(footprint, dx, dy) {
+  if (footprint.shape === "polygon") {
+    for (const point of footprint.points) {
+      point.x += dx;
+      point.y += dy;
+    }
+  } else {
+    footprint.x += dx;
+    footprint.y += dy;
+  }
+}
+
+/**
+ * Returns a copy of `footprint` shifted by `(dx, dy)` grid units.
+ *
+ * @param {Object} footprint
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {Object|null}
+ */
+export function translateEventFootprint(footprint, dx, dy) {
+  const copy = normalizeEventFootprint(footprint);
+
+  if (copy) shiftFootprint(copy, dx, dy);
+
+  return copy;
+}
+
+function forEachWrapShift(rows, cols, { wrapRows, wrapCols }, visit) {
+  const rowShifts = wrapRows ? [-rows, rows] : [];
+  const colShifts = wrapCols ? [-cols, cols] : [];
+
+  for (const dy of [0, ...rowShifts]) {
+    for (const dx of [0, ...colShifts]) {
+      if ((dx !== 0 || dy !== 0) && visit(dx, dy)) return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Shifted copies of a footprint that reach back onto a grid whose edges wrap,
+ * so the part hanging past one edge can be applied at the opposite one. The
+ * unshifted footprint is not included.
+ *
+ * @param {Object} footprint
+ * @param {number} rows
+ * @param {number} cols
+ * @param {{wrapRows: boolean, wrapCols: boolean}} wrap
+ * @returns {Object[]}
+ */
+export function collectWrappedFootprintCopies(footprint, rows, cols, wrap) {
+  const copies = [];
+
+  if (!footprint) return copies;
+
+  const { minX, minY, maxX, maxY } = getFootprintBounds(footprint);
+
+  forEachWrapShift(rows, cols, wrap, (dx, dy) => {
+    if (maxX + dx > 0 && minX + dx < cols && maxY + dy > 0 && minY + dy < rows) {
+      const copy = translateEventFootprint(footprint, dx, dy);
+
+      if (copy) copies.push(copy);
+    }
+
+    return false;
+  });
+
+  return copies;
+}
+
+/**
+ * {@link isTileInFootprint} for grids whose edges wrap: also matches tiles
+ * covered by the part of the footprint hanging past a wrapping edge.
+ *
+ * @param {Object} footprint
+ * @param {number} row
+ * @param {number} col
+ * @param {number} rows
+ * @param {number} cols
+ * @param {{wrapRows: boolean, wrapCols: boolean}} wrap
+ * @returns {boolean}
+ */
+export function isTileInWrappedFootprint(footprint, row, col, rows, cols, wrap) {
+  if (!footprint) return false;
+  if (isTileInFootprint(footprint, row, col)) return true;
+
+  return forEachWrapShift(rows, cols, wrap, (dx, dy) =>
+    isTileInFootprint(footprint, row - dy, col - dx),
+  );
+}
+
+/**
+ * Moves a footprint by whole grid widths/heights so its centre lies inside the
+ * grid on wrapping axes. Drifting events therefore re-enter from the opposite
+ * edge instead of leaving the world.
+ *
+ * @param {Object} footprint
+ * @param {number} rows
+ * @param {number} cols
+ * @param {{wrapRows: boolean, wrapCols: boolean}} wrap
+ * @returns {boolean} Whether the footprint moved.
+ */
+export function wrapEventFootprint(footprint, rows, cols, { wrapRows, wrapCols }) {
+  if (!footprint || !(rows > 0) || !(cols > 0)) return false;
+
+  const centre = footprintCentre(footprint);
+  const dx = wrapCols ? -Math.floor(centre.x / cols) * cols : 0;
+  const dy = wrapRows ? -Math.floor(centre.y / rows) * rows : 0;
+
+  if (dx === 0 && dy === 0) return false;
+
+  shiftFootprint(footprint, dx, dy);
+
+  return true;
+}
@@ -1,4 +1,4 @@
-import { EVENT_TYPES } from "./eventEffects.js";
+import { getEventColor, getEventTypes } from "./eventEffects.js";
 import {
   clamp,
   randomRange,
@@ -7,6 +7,16 @@ import {
 } from "../utils/math.js";
 import { warnOnce, invokeWithErrorBoundary } from "../utils/error.js";
 import { defaultIsEventAffecting } from "./eventContext.js";
+import {
+  advanceEventFootprint,
+  footprintFromArea,
+  normalizeEventFootprint,
+  normalizeEventMotion,
+  collectWrappedFootprintCopies,
+  syncEventArea,
+  wrapEventFootprint,
+} from "./eventFootprint.js";
+import { resolveTopologyWrap, resolveWorldTopology } from "../grid/topology.js";
 
 export { defaultIsEventAffecting as isEventAffecting };
 
@@ -34,8 +44,18 @@ export const DEFAULT_RANDOM_EVENT_CONFIG = Object.freeze({
   durationRange: Object.freeze({ min: 300, max: 900 }),
   strengthRange: Object.freeze({ min: 0.25, max: 1 }),
   span: Object.freeze({ min: 10, ratio: 1 / 3 }),
+  // Share of random events that drift, turn, and grow. Zero keeps every
+  // event a static rectangle and leaves the RNG sequence untouched.
+  motion: Object.freeze({
+    chance: 0,
+    speedRange: Object.freeze({ min: 0.05, max: 0.3 }),
+    growthRange: Object.freeze({ min: -0.002, max: 0.004 }),
+  }),
+  shapes: Object.freeze(["rect"]),
 });
 
+const RANDOM_EVENT_SHAPES = new Set(["rect", "circle"]);
+
 function sanitizeNumericRange(range, fallback, { min: minBound, max: maxBound } = {}) {
   const candidate = range ?? {};
   const rawMin = Number.isFinite(candidate.min)
@@ -97,12 +117,49 @@ function sanitizeSpanConfig(candidate, fallback) {
   return { min, ratio };
 }
 
+function sanitizeMotionConfig(candidate) {
+  const fallback = DEFAULT_RANDOM_EVENT_CONFIG.motion;
+
+  if (!candidate || typeof candidate !== "object") {
+    return {
+      chance: fallback.chance,
+      speedRange: { ...fallback.speedRange },
+      growthRange: { ...fallback.growthRange },
+    };
+  }
+
+  return {
+    chance: sanitizeNumber(candidate.chance, {
+      fallback: fallback.chance,
+      min: 0,
+      max: 1,
+    }),
+    speedRange: sanitizeNumericRange(candidate.speedRange, fallback.speedRange, {
+      min: 0,
+    }),
+    growthRange: sanitizeNumericRange(candidate.growthRange, fallback.growthRange, {
+      min: -0.5,
+      max: 0.5,
+    }),
+  };
+}
+
+function sanitizeShapes(candidate) {
+  const shapes = Array.isArray(candidate)
+    ? Array.from(new Set(candidate.filter((shape) => RANDOM_EVENT_SHAPES.has(shape))))
+    : [];
+
+  return shapes.length > 0 ? shapes : [...DEFAULT_RANDOM_EVENT_CONFIG.shapes];
+}
+
 export function sanitizeRandomEventConfig(candidate) {
   if (!candidate || typeof candidate !== "object") {
     return {
       durationRange: { ...DEFAULT_RANDOM_EVENT_CONFIG.durationRange },
       strengthRange: { ...DEFAULT_RANDOM_EVENT_CONFIG.strengthRange },
       span: { ...DEFAULT_RANDOM_EVENT_CONFIG.span },
+      motion: sanitizeMotionConfig(null),
+      shapes: sanitizeShapes(null),
     };
   }
 
@@ -119,8 +176,10 @@ export function sanitizeRandomEventConfig(candidate) {
     { min: 0 },
   );
   const span = sanitizeSpanConfig(candidate.span, DEFAULT_RANDOM_EVENT_CONFIG.span);
+  const motion = sanitizeMotionConfig(candidate.motion);
+  const shapes = sanitizeShapes(candidate.shapes);
 
-  return { durationRange, strengthRange, span };
+  return { durationRange, strengthRange, span, motion, shapes };
 }
 
 /**
@@ -178,6 +237,39 @@ export function clampEventStart(rawStart, span, limit) {
   return clamp(rawStart, 0, maxStart);
 }
 
+/**
+ * Clamps an event footprint in place so it fits inside a `rows`×`cols` grid.
+ * Missing or non-numeric extents expand to cover the full axis. Events with a
+ * continuous `footprint` keep their geometry and only refresh the bounding
+ * box, so drifting fronts may hang partly off the map.
+ *
+ * @param {{affectedArea?: {x:number, y:number, width:number, height:number}}} event
+ * @param {number} rows
+ * @param {number} cols
+ */
+function clampEventArea(event, rows, cols) {
+  if (event?.footprint) {
+    syncEventArea(event, rows, cols);
+
+    return;
+  }
+
+  if (!event || !event.affectedArea) return;
+
+  const area = event.affectedArea;
+  const width = clamp(Math.max(1, Math.floor(Number(area.width) || cols)), 1, cols);
+  const height = clamp(Math.max(1, Math.floor(Number(area.height) || rows)), 1, rows);
+  const maxX = Math.max(0, cols - width);
+  const maxY = Math.max(0, rows - height);
+  const x = clamp(Math.floor(Number(area.x) || 0), 0, maxX);
+  const y = clamp(Math.floor(Number(area.y) || 0), 0, maxY);
+
+  area.x = x;
+  area.y = y;
+  area.width = width;
+  area.height = height;
+}
+
 /**
  * Ensures the manager maintains an array for `activeEvents`, replacing invalid
  * values with an empty array. Returning the internal reference keeps the
@@ -196,15 +288,34 @@ function ensureActiveEvents(manager) {
   return manager.activeEvents;
 }
 
+// A footprint straddling a wrapping seam may only cover tiles through its
+// shifted copy; adopt that copy so the event keeps a non-empty area.
+function syncWrappedEventArea(event, rows, cols, wrap) {
+  if (syncEventArea(event, rows, cols)) return true;
+
+  for (const copy of collectWrappedFootprintCopies(event.footprint, rows, cols, wrap)) {
+    event.footprint = copy;
+
+    if (syncEventArea(event, rows, cols)) return true;
+  }
+
+  return false;
+}
+
 /**
  * Advances the lifecycle timer for all active events, compacting the list to
- * remove entries that have expired. The in-place rewrite avoids new
- * allocations, mirroring the original behaviour while hiding the bookkeeping
- * from the orchestrator.
+ * remove entries that have expired. Moving events step their footprint along
+ * their `motion` and expire early once they leave the grid; across wrapping
+ * edges they re-enter from the opposite side instead. The in-place rewrite
+ * avoids new allocations, mirroring the original behaviour while hiding the
+ * bookkeeping from the orchestrator.
  *
  * @param {Array} events
+ * @param {number} rows
+ * @param {number} cols
+ * @param {{wrapRows: boolean, wrapCols: boolean}} wrap
  */
-function advanceEventLifecycle(events) {
+function advanceEventLifecycle(events, rows, cols, wrap) {
   if (!Array.isArray(events) || events.length === 0) {
     return;
   }
@@ -220,6 +331,12 @@ function advanceEventLifecycle(events) {
 
     if (ev.remaining <= 0) continue;
 
+    if (advanceEventFootprint(ev)) {
+      wrapEventFootprint(ev.footprint, rows, cols, wrap);
+
+      if (!syncWrappedEventArea(ev, rows, cols, wrap)) continue;
+    }
+
     events[writeIndex] = ev;
     writeIndex += 1;
   }
@@ -280,6 +397,9 @@ function maybeSpawnEvent({
  * and analytics.
  */
 export default class EventManager {
+  #eventIds = new WeakMap();
+  #nextEventId = 1;
+
   static EVENT_COLORS = {
     flood: "rgba(0, 0, 255, 0.5)",
     drought: "rgba(210, 180, 140, 0.5)",
@@ -288,7 +408,11 @@ export default class EventManager {
   };
 
   static DEFAULT_EVENT_COLOR = "rgba(0,0,0,0)";
-  static DEFAULT_EVENT_TYPES = EVENT_TYPES;
+
+  /** Built-in event types plus any added through `registerEventType`. */
+  static get DEFAULT_EVENT_TYPES() {
+    return getEventTypes();
+  }
 
   /**
    * @param {number} rows
@@ -299,12 +423,14 @@ export default class EventManager {
    * @param {Record<string, string>} [options.eventColors]
    * @param {boolean} [options.startWithEvent=false]
    * @param {string[]} [options.eventTypes] Custom pool used when picking random events.
-   * @param {(context: {rng: () => number, eventTypes: string[], defaultPick: () => string}) => string} [options.pickEventType]
+   * @param {(context: {rng: () => number, eventTypes: string[], eventWeights: Record<string, number>|null, defaultPick: () => string}) => string} [options.pickEventType]
    * @param {{
    *   durationRange?: {min:number,max:number}|number[],
    *   strengthRange?: {min:number,max:number}|number[],
    *   span?: {min:number,ratio?:number,fraction?:number,maxFraction?:number},
    * }} [options.randomEventConfig] Tunable ranges used when generating random events.
+   * @param {string} [options.topology] World topology; moving events wrap on
+   *   `"torus"` and `"cylinder"` grids.
    */
   constructor(rows, cols, rng = Math.random, options = {}) {
     this.rows = rows;
@@ -313,6 +439,7 @@ export default class EventManager {
     this.cooldown = 0;
     this.activeEvents = [];
     this.currentEvent = null;
+    this.eventWeights = null;
     const {
       resolveEventColor,
       eventColors,
@@ -320,12 +447,17 @@ export default class EventManager {
       eventTypes: injectedEventTypes,
       pickEventType,
       randomEventConfig,
+      topology,
     } = options || {};
 
+    this.setTopology(topology);
+
     this.randomEventConfig = sanitizeRandomEventConfig(randomEventConfig);
     // Allow callers to override the event color palette without changing defaults.
     const defaultResolver = (eventType) =>
-      EventManager.EVENT_COLORS[eventType] ?? EventManager.DEFAULT_EVENT_COLOR;
+      EventManager.EVENT_COLORS[eventType] ??
+      getEventColor(eventType) ??
+      EventManager.DEFAULT_EVENT_COLOR;
 
     if (typeof resolveEventColor === "function") {
       this.eventColorResolver = (eventType) => {
@@ -349,7 +481,7 @@ export default class EventManager {
         typeof mergedColors[eventType] === "string" &&
         mergedColors[eventType].length > 0
           ? mergedColors[eventType]
-          : EventManager.DEFAULT_EVENT_COLOR;
+          : (getEventColor(eventType) ?? EventManager.DEFAULT_EVENT_COLOR);
     }
 
     const normalizedTypes = normalizeEventTypes(injectedEventTypes);
@@ -358,9 +490,25 @@ export default class EventManager {
       : EventManager.DEFAULT_EVENT_TYPES;
     const fallbackPool = pool.length ? pool : EventManager.DEFAULT_EVENT_TYPES;
     const defaultPicker = () => {
-      const index = Math.floor(randomRange(0, fallbackPool.length, this.rng));
+      const weights = this.eventWeights;
+
+      if (!weights) {
+        const index = Math.floor(randomRange(0, fallbackPool.length, this.rng));
+
+        return fallbackPool[index];
+      }
+
+      const weightOf = (type) => weights[type] ?? 1;
+      const total = fallbackPool.reduce((sum, type) => sum + weightOf(type), 0);
+      let roll = randomRange(0, total, this.rng);
+
+      for (const type of fallbackPool) {
+        roll -= weightOf(type);
+
+        if (roll < 0) return type;
+      }
 
-      return fallbackPool[index];
+      return fallbackPool[fallbackPool.length - 1];
     };
 
     if (typeof pickEventType === "function") {
@@ -371,6 +519,7 @@ export default class EventManager {
             {
               rng: this.rng,
               eventTypes: [...fallbackPool],
+              eventWeights: this.eventWeights,
               defaultPick: defaultPicker,
             },
           ],
@@ -411,30 +560,7 @@ export default class EventManager {
     this.rows = nextRows;
     this.cols = nextCols;
 
-    const clampArea = (event) => {
-      if (!event || !event.affectedArea) return;
-
-      const area = event.affectedArea;
-      const width = clamp(
-        Math.max(1, Math.floor(Number(area.width) || this.cols)),
-        1,
-        this.cols,
-      );
-      const height = clamp(
-        Math.max(1, Math.floor(Number(area.height) || this.rows)),
-        1,
-        this.rows,
-      );
-      const maxX = Math.max(0, this.cols - width);
-      const maxY = Math.max(0, this.rows - height);
-      const x = clamp(Math.floor(Number(area.x) || 0), 0, maxX);
-      const y = clamp(Math.floor(Number(area.y) || 0), 0, maxY);
-
-      area.x = x;
-      area.y = y;
-      area.width = width;
-      area.height = height;
-    };
+    const clampArea = (event) => clampEventArea(event, this.rows, this.cols);
 
     if (Array.isArray(this.activeEvents)) {
       this.activeEvents.forEach(clampArea);
@@ -447,6 +573,41 @@ export default class EventManager {
     return { rows: this.rows, cols: this.cols };
   }
 
+  /**
+   * Lets moving events drift across wrapping edges (see `grid/topology.js`).
+   *
+   * @param {string} topology
+   * @returns {string} The topology now in effect.
+   */
+  setTopology(topology) {
+    this.topology = resolveWorldTopology(topology);
+    this.topologyWrap = resolveTopologyWrap(this.topology);
+
+    return this.topology;
+  }
+
+  /**
+   * Biases random event types, e.g. towards heatwaves in summer. Types missing
+   * from `weights` keep weight `1`; pass `null` to pick uniformly again.
+   *
+   * @param {Record<string, number>|null} weights
+   */
+  setEventWeights(weights) {
+    if (!weights || typeof weights !== "object") {
+      this.eventWeights = null;
+
+      return;
+    }
+
+    const sanitized = {};
+
+    for (const [type, weight] of Object.entries(weights)) {
+      if (Number.isFinite(weight) && weight >= 0) sanitized[type] = weight;
+    }
+
+    this.eventWeights = sanitized;
+  }
+
   getColor(ev) {
     if (!ev) return EventManager.DEFAULT_EVENT_COLOR;
 
@@ -473,8 +634,112 @@ export default class EventManager {
       width,
       height,
     };
+    const event = { eventType, duration, affectedArea, strength, remaining: duration };
+
+    return this.#applyRandomShapeAndMotion(event);
+  }
+
+  #applyRandomShapeAndMotion(event) {
+    const { shapes, motion } = this.randomEventConfig;
+    const shape =
+      shapes.length > 1
+        ? shapes[Math.floor(randomRange(0, shapes.length, this.rng))]
+        : shapes[0];
+    const moving = motion.chance > 0 && this.rng() < motion.chance;
+
+    if (shape === "rect" && !moving) return event;
+
+    const { x, y, width, height } = event.affectedArea;
+
+    event.footprint =
+      shape === "circle"
+        ? {
+            shape: "circle",
+            x: x + width / 2,
+            y: y + height / 2,
+            radius: Math.min(width, height) / 2,
+          }
+        : footprintFromArea(event.affectedArea);
+
+    if (moving) {
+      event.motion = normalizeEventMotion({
+        speed: randomRange(motion.speedRange.min, motion.speedRange.max, this.rng),
+        heading: randomRange(0, Math.PI * 2, this.rng),
+        growth: randomRange(motion.growthRange.min, motion.growthRange.max, this.rng),
+      });
+    }
+
+    syncEventArea(event, this.rows, this.cols);
+
+    return event;
+  }
+
+  /**
+   * Adds an event with an explicit type, strength, footprint, and optional
+   * motion, e.g. a drought front sweeping east or a flood spreading out from
+   * a river line:
+   *
+   * ```js
+   * manager.spawnEvent({
+   *   eventType: "flood",
+   *   footprint: { shape: "polygon", points: [[10, 0], [12, 0], [12, 40], [10, 40]] },
+   *   motion: { growth: 0.01 },
+   * });
+   * ```
+   *
+   * Without a `footprint` the `affectedArea` rectangle is used (defaulting to
+   * the whole grid).
+   *
+   * @param {Object} descriptor
+   * @param {string} [descriptor.eventType] - Defaults to a random pick.
+   * @param {number} [descriptor.strength=1]
+   * @param {number} [descriptor.duration=600] - Lifetime in ticks.
+   * @param {{x:number, y:number, width:number, height:number}} [descriptor.affectedArea]
+   * @param {Object} [descriptor.footprint] - See `eventFootprint.js`.
+   * @param {{speed?: number, heading?: number, growth?: number, turn?: number}} [descriptor.motion]
+   * @returns {Object|null} The added event, or `null` when it covers no tile.
+   */
+  spawnEvent(descriptor = {}) {
+    const source = descriptor && typeof descriptor === "object" ? descriptor : {};
+    const eventType =
+      typeof source.eventType === "string" && source.eventType
+        ? source.eventType
+        : this.pickEventType();
+    const duration = sanitizePositiveInteger(source.duration, { fallback: 600 });
+    const strength = sanitizeNumber(source.strength, { fallback: 1, min: 0 });
+    const motion = normalizeEventMotion(source.motion);
+    const footprint =
+      normalizeEventFootprint(source.footprint) ??
+      (motion
+        ? footprintFromArea(
+            source.affectedArea ?? { x: 0, y: 0, width: this.cols, height: this.rows },
+          )
+        : null);
+    const event = {
+      eventType,
+      duration,
+      affectedArea: source.affectedArea
+        ? { ...source.affectedArea }
+        : { x: 0, y: 0, width: this.cols, height: this.rows },
+      strength,
+      remaining: duration,
+    };
+
+    if (footprint) event.footprint = footprint;
+    if (motion) event.motion = motion;
+
+    if (footprint) {
+      if (!syncEventArea(event, this.rows, this.cols)) return null;
+    } else {
+      clampEventArea(event, this.rows, this.cols);
+    }
+
+    const events = ensureActiveEvents(this);
+
+    events.push(event);
+    this.currentEvent = events[0];
 
-    return { eventType, duration, affectedArea, strength, remaining: duration };
+    return event;
   }
 
   reset({ startWithEvent = false } = {}) {
@@ -492,10 +757,119 @@ export default class EventManager {
     }
   }
 
+  /**
+   * Captures the spawn cooldown and a deep copy of every active event so world
+   * snapshots can resume storms mid-flight.
+   *
+   * @returns {{cooldown: number, activeEvents: Object[]}}
+   */
+  exportState() {
+    const events = ensureActiveEvents(this);
+
+    return {
+      cooldown: this.cooldown,
+      activeEvents: events.map((event) => ({
+        ...event,
+        affectedArea: event?.affectedArea ? { ...event.affectedArea } : null,
+        ...(event?.footprint
+          ? { footprint: normalizeEventFootprint(event.footprint) }
+          : {}),
+        ...(event?.motion ? { motion: { ...event.motion } } : {}),
+      })),
+    };
+  }
+
+  /**
+   * Restores state captured by {@link EventManager#exportState}. Events without
+   * a usable footprint or remaining duration are dropped, and surviving areas
+   * are clamped to the current grid dimensions.
+   *
+   * @param {{cooldown?: number, activeEvents?: Object[]}} state
+   */
+  importState(state) {
+    const source = state && typeof state === "object" ? state : {};
+    const restored = [];
+
+    for (const candidate of Array.isArray(source.activeEvents)
+      ? source.activeEvents
+      : []) {
+      if (!candidate || typeof candidate !== "object") continue;
+
+      const area = candidate.affectedArea;
+      const remaining = Math.floor(Number(candidate.remaining));
+
+      if (!area || typeof area !== "object" || !(remaining > 0)) continue;
+
+      const event = { ...candidate, remaining, affectedArea: { ...area } };
+      const footprint = normalizeEventFootprint(candidate.footprint);
+      const motion = normalizeEventMotion(candidate.motion);
+
+      delete event.footprint;
+      delete event.motion;
+      if (footprint) event.footprint = footprint;
+      if (motion && footprint) event.motion = motion;
+
+      if (footprint) {
+        if (!syncEventArea(event, this.rows, this.cols)) continue;
+      } else {
+        clampEventArea(event, this.rows, this.cols);
+      }
+
+      restored.push(event);
+    }
+
+    this.activeEvents = restored;
+    this.cooldown = sanitizeNumber(source.cooldown, {
+      fallback: 0,
+      min: 0,
+      round: Math.floor,
+    });
+    this.currentEvent = restored.length > 0 ? restored[0] : null;
+  }
+
+  /**
+   * Stable id for an event object, assigned on first request. Ids live beside
+   * the events rather than on them so event records keep their shape; the UI
+   * uses them to cancel a specific event after the list has shifted.
+   *
+   * @param {Object} event
+   * @returns {number|null}
+   */
+  getEventId(event) {
+    if (!event || typeof event !== "object") return null;
+
+    let id = this.#eventIds.get(event);
+
+    if (id === undefined) {
+      id = this.#nextEventId++;
+      this.#eventIds.set(event, id);
+    }
+
+    return id;
+  }
+
+  /**
+   * Ends an active event early.
+   *
+   * @param {number} id - Id from {@link EventManager#getEventId}.
+   * @returns {boolean} Whether an event was removed.
+   */
+  cancelEvent(id) {
+    const events = ensureActiveEvents(this);
+    const index = events.findIndex((event) => this.#eventIds.get(event) === id);
+
+    if (index === -1) return false;
+
+    events.splice(index, 1);
+    this.currentEvent = events.length > 0 ? events[0] : null;
+
+    return true;
+  }
+
   updateEvent(frequencyMultiplier = 1, maxConcurrent = 2) {
     const events = ensureActiveEvents(this);
 
-    advanceEventLifecycle(events);
+    advanceEventLifecycle(events, this.rows, this.cols, this.topologyWrap);
 
     this.cooldown = Math.max(0, this.cooldown - 1);
 
@@ -1,5 +1,6 @@
 import { clamp, createRNG, randomRange } from "./utils/math.js";
 import Brain, { NEURAL_GENE_BYTES } from "./brain.js";
+import { getEventEffect, resolveEventResistance } from "./events/eventEffects.js";
 import {
   ACTIVITY_BASE_RATE,
   MUTATION_CHANCE_BASELINE,
@@ -47,6 +48,7 @@ export const GENE_LOCI = Object.freeze({
   COOPERATION: 28,
   COURTSHIP: 29,
   GESTATION_EFFICIENCY: 30,
+  CARNIVORY: 31,
 });
 
 const BASE_GENE_COUNT = Math.max(...Object.values(GENE_LOCI)) + 1;
@@ -167,6 +169,79 @@ const createGeneAdapter = (candidate) => {
   };
 };
 
+/**
+ * Version byte written at the start of every {@link DNA#encode} payload.
+ * Decoders reject newer versions so incompatible layouts fail loudly.
+ * Version 2 inserted the carnivory locus; version 1 payloads decode with a
+ * zero (fully herbivorous) carnivory gene.
+ */
+export const DNA_ENCODING_VERSION = 2;
+
+/**
+ * Upgrades a genome written before the carnivory locus existed by inserting a
+ * zero byte at {@link GENE_LOCI.CARNIVORY}, shifting later genes up by one.
+ *
+ * @param {ArrayLike<number>} genes - Gene bytes in the pre-carnivory layout.
+ * @returns {Uint8Array} Gene bytes in the current layout.
+ */
+export function insertCarnivoryLocus(genes) {
+  const locus = GENE_LOCI.CARNIVORY;
+  const source = Uint8Array.from(genes ?? []);
+
+  if (source.length < locus) return source;
+
+  const upgraded = new Uint8Array(source.length + 1);
+
+  upgraded.set(source.subarray(0, locus), 0);
+  upgraded.set(source.subarray(locus), locus + 1);
+
+  return upgraded;
+}
+
+// version (1) + gene count (2, big-endian) ahead of the genes; FNV-1a (4) after.
+const DNA_ENCODING_HEADER_BYTES = 3;
+const DNA_ENCODING_CHECKSUM_BYTES = 4;
+const DNA_ENCODING_MAX_GENES = 0xffff;
+
+const fnv1a = (bytes, end = bytes.length) => {
+  let hash = 2166136261;
+
+  for (let i = 0; i < end; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 16777619);
+  }
+
+  return hash >>> 0;
+};
+
+const bytesToBase64 = (bytes) => {
+  let binary = "";
+
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+
+  return globalThis.btoa(binary);
+};
+
+const base64ToBytes = (text) => {
+  let binary;
+
+  try {
+    binary = globalThis.atob(text);
+  } catch {
+    throw new TypeError("Encoded DNA is not valid base64.");
+  }
+
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes;
+};
+
 export class DNA {
   #genesTarget;
 
@@ -230,6 +305,72 @@ export class DNA {
     return new DNA({ genes, geneCount });
   }
 
+  /**
+   * Decodes a genome written by {@link DNA#encode}. The payload's version and
+   * checksum are verified before any genes are read. Genomes recorded with a
+   * different length (for example legacy genomes without neural genes) keep
+   * their recorded length unless `options.geneCount` is supplied, in which case
+   * they are read through the gene adapter and padded with zeros or truncated.
+   *
+   * @param {string} encoded - Base64 text produced by {@link DNA#encode}.
+   * @param {{geneCount?: number}} [options]
+   * @returns {DNA}
+   * @throws {TypeError} When the text is not a well-formed DNA payload.
+   * @throws {RangeError} When the payload uses an unsupported version.
+   */
+  static fromEncoded(encoded, options = {}) {
+    if (typeof encoded !== "string" || encoded.trim().length === 0) {
+      throw new TypeError("DNA.fromEncoded expects a non-empty string.");
+    }
+
+    const bytes = base64ToBytes(encoded.trim());
+    const minimumLength = DNA_ENCODING_HEADER_BYTES + DNA_ENCODING_CHECKSUM_BYTES;
+
+    if (bytes.length < minimumLength) {
+      throw new TypeError("Encoded DNA is truncated.");
+    }
+
+    const version = bytes[0];
+
+    if (version < 1 || version > DNA_ENCODING_VERSION) {
+      throw new RangeError(
+        `Encoded DNA version ${version} is not supported (expected <= ${DNA_ENCODING_VERSION}).`,
+      );
+    }
+
+    const recordedCount = (bytes[1] << 8) | bytes[2];
+
+    if (bytes.length !== recordedCount + minimumLength) {
+      throw new TypeError("Encoded DNA length does not match its header.");
+    }
+
+    const checksumOffset = bytes.length - DNA_ENCODING_CHECKSUM_BYTES;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (view.getUint32(checksumOffset) !== fnv1a(bytes, checksumOffset)) {
+      throw new TypeError("Encoded DNA checksum mismatch.");
+    }
+
+    let recorded = bytes.subarray(DNA_ENCODING_HEADER_BYTES, checksumOffset);
+
+    if (version < 2) recorded = insertCarnivoryLocus(recorded);
+
+    const geneCount = toNonNegativeInteger(options?.geneCount, recorded.length);
+
+    if (geneCount === recorded.length) {
+      return new DNA({ genes: recorded, geneCount });
+    }
+
+    const adapter = createGeneAdapter(recorded);
+    const genes = new Uint8Array(geneCount);
+
+    for (let i = 0; i < geneCount; i++) {
+      genes[i] = clampGene(readGeneFromSequence(adapter.sequence, i));
+    }
+
+    return new DNA({ genes, geneCount });
+  }
+
   get length() {
     return this.#genesTarget.length;
   }
@@ -278,6 +419,33 @@ export class DNA {
     return `rgb(${this.r},${this.g},${this.b})`;
   }
 
+  /**
+   * Encodes the genome as base64 text: a version byte, the gene count, the
+   * raw gene bytes, and an FNV-1a checksum. Decode with {@link DNA.fromEncoded}.
+   *
+   * @returns {string}
+   */
+  encode() {
+    const genes = this.#genesTarget;
+
+    if (genes.length > DNA_ENCODING_MAX_GENES) {
+      throw new RangeError(
+        `DNA with ${genes.length} genes exceeds the encodable maximum of ${DNA_ENCODING_MAX_GENES}.`,
+      );
+    }
+
+    const checksumOffset = DNA_ENCODING_HEADER_BYTES + genes.length;
+    const bytes = new Uint8Array(checksumOffset + DNA_ENCODING_CHECKSUM_BYTES);
+
+    bytes[0] = DNA_ENCODING_VERSION;
+    bytes[1] = (genes.length >> 8) & 0xff;
+    bytes[2] = genes.length & 0xff;
+    bytes.set(genes, DNA_ENCODING_HEADER_BYTES);
+    new DataView(bytes.buffer).setUint32(checksumOffset, fnv1a(bytes, checksumOffset));
+
+    return bytesToBase64(bytes);
+  }
+
   seed() {
     if (Number.isInteger(this._seed)) {
       return this._seed;
@@ -664,6 +832,11 @@ export class DNA {
     return this.geneFraction(GENE_LOCI.RECOVERY);
   }
 
+  // Reliance on prey over grazing (0..1); only read in trophic mode.
+  carnivory() {
+    return this.geneFraction(GENE_LOCI.CARNIVORY);
+  }
+
   // DNA-driven activity rate: how often a cell attempts actions per tick
   activityRate() {
     return clamp(
@@ -1449,7 +1622,17 @@ export class DNA {
         break;
       }
       default: {
-        base += (1 - recovery) * 0.2 - efficiency * 0.12 + severity * 0.04;
+        // Registered event types declare their own resistance callback.
+        const customResist = resolveEventResistance(
+          context?.effect ?? getEventEffect(eventType),
+          this,
+        );
+
+        base +=
+          (1 - recovery) * 0.2 -
+          efficiency * 0.12 -
+          customResist * 0.3 +
+          severity * 0.04;
 
         break;
       }
@@ -2698,11 +2881,19 @@ export class DNA {
     };
   }
 
+  /**
+   * Produces an offspring genome by crossing this genome with `other`.
+   * `rngOverride` fully determines the crossover stream. Without it the stream
+   * mixes the parents' seeds with entropy drawn from `entropyRng`, which seeded
+   * simulations point at their breeding stream; it falls back to `Math.random`
+   * for ad-hoc calls.
+   */
   reproduceWith(
     other,
     mutationChance = MUTATION_CHANCE_BASELINE,
     mutationRange = 12,
     rngOverride,
+    entropyRng,
   ) {
     const parentSeed = (this.seed() ^ (other?.seed?.() ?? 0)) >>> 0;
     let rng = null;
@@ -2720,7 +2911,8 @@ export class DNA {
         }
       }
 
-      const runtimeEntropy = Math.floor(Math.random() * 0xffffffff) >>> 0;
+      const entropySource = typeof entropyRng === "function" ? entropyRng : Math.random;
+      const runtimeEntropy = Math.floor(entropySource() * 0xffffffff) >>> 0;
 
       rng = createRNG((parentSeed ^ sharedEntropy ^ runtimeEntropy) >>> 0);
     }
@@ -93,6 +93,14 @@ export default class GridInteractionAdapter {
     }
   }
 
+  tileDistance(rowA, colA, rowB, colB) {
+    if (this.#managerHas("tileDistance")) {
+      return this.gridManager.tileDistance(rowA, colA, rowB, colB);
+    }
+
+    return Math.max(Math.abs(rowB - rowA), Math.abs(colB - colA));
+  }
+
   relocateCell(fromRow, fromCol, toRow, toCol) {
     if (this.#managerHas("relocateCell")) {
       return this.gridManager.relocateCell(fromRow, fromCol, toRow, toCol);
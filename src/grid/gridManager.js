@@ -7,6 +7,7 @@ import {
 } from "../utils/math.js";
 import { isArrayLike, takeTopBy } from "../utils/collections.js";
 import { resolveCellColor } from "../utils/cell.js";
+import SoftwareCanvas from "../utils/softwareCanvas.js";
 import { warnOnce } from "../utils/error.js";
 import DNA from "../genome.js";
 import Cell from "../cell.js";
@@ -22,10 +23,40 @@ import {
   accumulateEventModifiers,
   resolveEventContribution,
 } from "../events/eventModifiers.js";
+import {
+  collectFootprintRowSpans,
+  collectWrappedFootprintCopies,
+  getFootprintBounds,
+  isTileInWrappedFootprint,
+} from "../events/eventFootprint.js";
 import { createInteractionAdapter } from "./interactionAdapterRegistry.js";
 import { clearTileEnergyBuffers } from "./energyUtils.js";
 import ReproductionZonePolicy from "./reproductionZonePolicy.js";
-import { OBSTACLE_PRESETS, resolveObstaclePresetCatalog } from "./obstaclePresets.js";
+import { sampleObstacleMap } from "./obstacleMaps.js";
+import { TERRAIN_BIOMES, buildTerrainCodes, resolveTerrainSpec } from "./terrain.js";
+import { grazingEfficiency, resolveCarnivory } from "./trophic.js";
+import {
+  resolveTopologyWrap,
+  resolveWorldTopology,
+  windowSegments,
+  wrapIndex,
+  wrappedDelta,
+} from "./topology.js";
+import {
+  hexDistance,
+  hexMoveDirections,
+  hexNeighborOffsets,
+  hexSpanSegments,
+  resolveGridLattice,
+  snapHexStep,
+  traceHexBoundary,
+  traceHexTile,
+} from "./lattice.js";
+import {
+  OBSTACLE_PRESETS,
+  normalizeObstaclePreset,
+  resolveObstaclePresetCatalog,
+} from "./obstaclePresets.js";
 import { resolvePopulationScarcityMultiplier } from "./populationScarcity.js";
 import { resolveGridEnvironment } from "./gridEnvironment.js";
 import {
@@ -78,6 +109,12 @@ const NEIGHBOR_OFFSETS = [
   [1, 0],
   [1, 1],
 ];
+const CARDINAL_DIRECTIONS = Object.freeze([
+  Object.freeze({ dr: -1, dc: 0 }),
+  Object.freeze({ dr: 1, dc: 0 }),
+  Object.freeze({ dr: 0, dc: -1 }),
+  Object.freeze({ dr: 0, dc: 1 }),
+]);
 const NEIGHBOR_ROW_OFFSETS = new Int8Array([-1, -1, -1, 0, 0, 1, 1, 1]);
 const NEIGHBOR_COL_OFFSETS = new Int8Array([-1, 0, 1, -1, 1, -1, 0, 1]);
 const CROWDING_INV_NEIGHBOR_COUNT = Object.freeze([
@@ -551,6 +588,8 @@ const TIMESTAMP_NOW =
 
 const IMAGE_DATA_SPARSE_AREA_RATIO = 12;
 const IMAGE_DATA_SPARSE_MIN_TILES = 1;
+// Matches the canvas renderer's `rgba(40,40,55,0.9)` obstacle fill.
+const OBSTACLE_FRAME_RGBA = Object.freeze([40, 40, 55, 230]);
 
 function getPairSimilarity(cellA, cellB) {
   if (!cellA || !cellB) return 0;
@@ -606,6 +645,7 @@ export default class GridManager {
   #segmentWindowScratch = null;
   #columnEventScratch = null;
   #eventRowsScratch = null;
+  #eventSpanScratch = [];
   #crowdingComfortGrid = null;
   #crowdingScarcityGrid = null;
   #crowdingCountGrid = null;
@@ -644,6 +684,8 @@ export default class GridManager {
   #rowOccupancySorted = [];
   #columnOccupancySorted = [];
   #tickSimilarityCache = new WeakMap();
+  #deathRecords = new WeakMap();
+  #lastCellId = 0;
   #tickSimilarityRowsInUse = [];
   #tickSimilarityRowPool = [];
   #tickSimilarityVersion = -1;
@@ -665,6 +707,17 @@ export default class GridManager {
   #renderDirtyRevision = 1;
   #renderDirtyView = null;
   #obstacleCount = 0;
+  #wrapRows = false;
+  #wrapCols = false;
+  #topologyWrap = { wrapRows: false, wrapCols: false };
+  #wrappedEventContext = null;
+  #densityRowSegments = [];
+  #densityColSegments = [];
+  #targetRowSpans = [];
+  #targetColSpans = [];
+  #targetBands = [];
+  #densityBands = [];
+  #hexLattice = false;
 
   #initializeRenderDirtyTracking(rows, cols) {
     const total = Math.max(0, Math.floor(rows) * Math.floor(cols));
@@ -889,7 +942,11 @@ export default class GridManager {
       activeCells = null,
       onCellMoved = null,
       clearDestinationEnergy = null,
+      topology = null,
+      lattice = null,
+      moveCostAt = null,
     } = options || {};
+    const { wrapRows, wrapCols } = resolveTopologyWrap(topology);
 
     return {
       obstacles,
@@ -898,6 +955,10 @@ export default class GridManager {
       activeCells,
       onCellMoved,
       clearDestinationEnergy,
+      wrapRows,
+      wrapCols,
+      hex: resolveGridLattice(lattice) === "hex",
+      moveCostAt,
     };
   }
 
@@ -905,6 +966,33 @@ export default class GridManager {
     return row < 0 || row >= rows || col < 0 || col >= cols;
   }
 
+  // Folds a step that crosses a wrapping edge back onto the grid; bounded axes
+  // are left alone so the bounds check still reports the attempted tile.
+  static #wrapStep(row, col, rows, cols, { wrapRows, wrapCols }) {
+    return {
+      row: wrapRows ? wrapIndex(row, rows, true) : row,
+      col: wrapCols ? wrapIndex(col, cols, true) : col,
+    };
+  }
+
+  // Chebyshev steps on square lattices, hex steps on hex lattices; both take
+  // the short way round on wrapping axes.
+  static #latticeDistance(
+    rowA,
+    colA,
+    rowB,
+    colB,
+    { rows, cols, wrapRows, wrapCols, hex },
+  ) {
+    if (hex)
+      return hexDistance(rowA, colA, rowB, colB, { rows, cols, wrapRows, wrapCols });
+
+    return Math.max(
+      Math.abs(wrappedDelta(rowA, rowB, rows, wrapRows)),
+      Math.abs(wrappedDelta(colA, colB, cols, wrapCols)),
+    );
+  }
+
   static #computeMinPopulation(rows, cols) {
     const area = Math.max(1, Math.floor(rows) * Math.floor(cols));
 
@@ -1875,7 +1963,7 @@ export default class GridManager {
     if ("col" in cell) cell.col = col;
   }
 
-  static #applyMovementEnergyCost(cell) {
+  static #applyMovementEnergyCost(cell, terrainMultiplier = 1) {
     if (!this.#isCellRecord(cell) || cell.energy == null || !cell.dna) return;
 
     const baseCost =
@@ -1884,7 +1972,7 @@ export default class GridManager {
       typeof cell.ageEnergyMultiplier === "function"
         ? cell.ageEnergyMultiplier(0.6)
         : 1;
-    const cost = baseCost * ageScale;
+    const cost = baseCost * ageScale * terrainMultiplier;
 
     cell.energy = Math.max(0, cell.energy - cost);
   }
@@ -1897,6 +1985,7 @@ export default class GridManager {
     onCellMoved,
     activeCells,
     clearDestinationEnergy,
+    moveCostAt,
   }) {
     const { fromRow, fromCol, toRow, toCol } = attempt;
 
@@ -1908,7 +1997,10 @@ export default class GridManager {
     }
 
     GridManager.#updateCellPosition(moving, toRow, toCol);
-    GridManager.#applyMovementEnergyCost(moving);
+    GridManager.#applyMovementEnergyCost(
+      moving,
+      typeof moveCostAt === "function" ? moveCostAt(toRow, toCol) : 1,
+    );
 
     GridManager.#notify(onMove, {
       cell: moving,
@@ -1975,6 +2067,21 @@ export default class GridManager {
       return false;
     }
 
+    if (normalizedOptions.hex) {
+      attempt.toCol = sourceCol + snapHexStep(sourceRow, deltaRow, deltaCol);
+    }
+
+    const wrapped = GridManager.#wrapStep(
+      attempt.toRow,
+      attempt.toCol,
+      rowCount,
+      colCount,
+      normalizedOptions,
+    );
+
+    attempt.toRow = wrapped.row;
+    attempt.toCol = wrapped.col;
+
     if (GridManager.#isOutOfBounds(attempt.toRow, attempt.toCol, rowCount, colCount)) {
       GridManager.#notify(normalizedOptions.onBlocked, {
         reason: "bounds",
@@ -2013,6 +2120,7 @@ export default class GridManager {
       onCellMoved: normalizedOptions.onCellMoved,
       activeCells: normalizedOptions.activeCells,
       clearDestinationEnergy: normalizedOptions.clearDestinationEnergy,
+      moveCostAt: normalizedOptions.moveCostAt,
     });
 
     return true;
@@ -2053,8 +2161,9 @@ export default class GridManager {
       );
     }
 
-    const dRow = targetRow - row;
-    const dCol = targetCol - col;
+    const { wrapRows, wrapCols } = resolveTopologyWrap(options?.topology);
+    const dRow = wrappedDelta(row, targetRow, rows, wrapRows);
+    const dCol = wrappedDelta(col, targetCol, cols, wrapCols);
     let fallbackDr = 0;
     let fallbackDc = 0;
 
@@ -2108,8 +2217,9 @@ export default class GridManager {
       );
     }
 
-    const dRow = targetRow - row;
-    const dCol = targetCol - col;
+    const { wrapRows, wrapCols } = resolveTopologyWrap(options?.topology);
+    const dRow = wrappedDelta(row, targetRow, rows, wrapRows);
+    const dCol = wrappedDelta(col, targetCol, cols, wrapCols);
     let fallbackDr = 0;
     let fallbackDc = 0;
 
@@ -2147,20 +2257,29 @@ export default class GridManager {
 
     if (!moving) return null;
 
-    const distBefore = Math.max(Math.abs(targetRow - row), Math.abs(targetCol - col));
-    const candidates = [
-      { dr: -1, dc: 0 },
-      { dr: 1, dc: 0 },
-      { dr: 0, dc: -1 },
-      { dr: 0, dc: 1 },
-    ];
+    const wrap = resolveTopologyWrap(options?.topology);
+    const hex = resolveGridLattice(options?.lattice) === "hex";
+    const distanceTo = (fromRow, fromCol) =>
+      GridManager.#latticeDistance(fromRow, fromCol, targetRow, targetCol, {
+        rows,
+        cols,
+        ...wrap,
+        hex,
+      });
+    const distBefore = distanceTo(row, col);
+    const candidates = hex ? hexMoveDirections(row) : CARDINAL_DIRECTIONS;
 
     let bestDirection = null;
     let bestScore = Number.NEGATIVE_INFINITY;
 
     for (const direction of candidates) {
-      const nextRow = row + direction.dr;
-      const nextCol = col + direction.dc;
+      const { row: nextRow, col: nextCol } = GridManager.#wrapStep(
+        row + direction.dr,
+        col + direction.dc,
+        rows,
+        cols,
+        wrap,
+      );
 
       if (GridManager.#isOutOfBounds(nextRow, nextCol, rows, cols)) continue;
       if (GridManager.#isObstacle(options?.obstacles, nextRow, nextCol)) continue;
@@ -2169,10 +2288,7 @@ export default class GridManager {
 
       if (occupant && occupant !== moving) continue;
 
-      const distAfter = Math.max(
-        Math.abs(targetRow - nextRow),
-        Math.abs(targetCol - nextCol),
-      );
+      const distAfter = distanceTo(nextRow, nextCol);
       const score = GridManager.#scoreDirectedMove({
         mode,
         moving,
@@ -2570,8 +2686,10 @@ export default class GridManager {
 
     const obstacles = this.obstacles;
 
-    for (let i = 0; i < NEIGHBOR_OFFSETS.length && remaining > DECAY_EPSILON; i++) {
-      const [dr, dc] = NEIGHBOR_OFFSETS[i];
+    const offsets = this.#hexLattice ? hexNeighborOffsets(row) : NEIGHBOR_OFFSETS;
+
+    for (let i = 0; i < offsets.length && remaining > DECAY_EPSILON; i++) {
+      const [dr, dc] = offsets[i];
       const r = row + dr;
       const c = col + dc;
 
@@ -2730,6 +2848,10 @@ export default class GridManager {
       randomObstaclePresetPool = null,
       obstaclePresets,
       rng,
+      breedingRng,
+      topology,
+      lattice,
+      terrain = null,
     } = options;
     const {
       eventManager: resolvedEventManager,
@@ -2740,6 +2862,9 @@ export default class GridManager {
 
     this.rows = rows;
     this.cols = cols;
+    this.lattice = resolveGridLattice(lattice);
+    this.#hexLattice = this.lattice === "hex";
+    this.#applyTopology(topology);
     this.grid = Array.from({ length: rows }, () => Array(cols).fill(null));
     this.#initializeRenderDirtyTracking(rows, cols);
     this.#initializeOccupancy(this.rows, this.cols);
@@ -2857,6 +2982,14 @@ export default class GridManager {
     this.currentObstaclePreset = "none";
     this.tickCount = 0;
     this.rng = typeof rng === "function" ? rng : Math.random;
+    this.terrainSpec = null;
+    this.terrain = null;
+    this.climatePhase = 0;
+    this.trophicMode = false;
+    if (terrain != null) this.setTerrain(terrain);
+    // Optional crossover entropy for offspring genomes; seeded engines supply
+    // their breeding stream so lineages diverge per seed yet stay reproducible.
+    this.breedingRng = typeof breedingRng === "function" ? breedingRng : null;
     this.activeCells = new Set();
     this.cellPositions = new WeakMap();
     this.cellPositionTelemetry = { mismatches: 0, lastTick: 0 };
@@ -2954,6 +3087,7 @@ export default class GridManager {
   #movementOptions() {
     return {
       obstacles: this.obstacles,
+      lattice: this.lattice,
       onMove: this.onMoveCallback,
       activeCells: this.activeCells,
       onCellMoved: (cell, fromRow, fromCol, toRow, toCol) => {
@@ -2967,6 +3101,10 @@ export default class GridManager {
       energyAt: (r, c) => this.energyGrid?.[r]?.[c] ?? 0,
       maxTileEnergy: this.maxTileEnergy,
       clearDestinationEnergy: (r, c) => clearTileEnergyBuffers(this, r, c),
+      topology: this.topology,
+      moveCostAt: this.terrain
+        ? (r, c) => this.getTerrainAt(r, c)?.moveCost ?? 1
+        : null,
     };
   }
 
@@ -3444,6 +3582,16 @@ export default class GridManager {
     return catalog.find((preset) => preset?.id === trimmed) ?? null;
   }
 
+  #paintObstacleMap(map, { evict = true } = {}) {
+    const mask = sampleObstacleMap(map, this.rows, this.cols);
+
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        if (mask[r * this.cols + c]) this.setObstacle(r, c, true, { evict });
+      }
+    }
+  }
+
   #pickRandomObstaclePresetId(poolIds = null) {
     let candidates =
       Array.isArray(this.obstaclePresets) && this.obstaclePresets.length > 0
@@ -3611,9 +3759,11 @@ export default class GridManager {
   }
 
   isTileBlocked(row, col) {
-    if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) return true;
+    const tile = this.wrapTile(row, col);
 
-    return this.isObstacle(row, col);
+    if (!tile) return true;
+
+    return this.isObstacle(tile.row, tile.col);
   }
 
   #clearTileEnergy(row, col, { includeNext = true } = {}) {
@@ -3639,20 +3789,26 @@ export default class GridManager {
       return 0;
     }
 
-    const neighbors = [
-      [row - 1, col],
-      [row + 1, col],
-      [row, col - 1],
-      [row, col + 1],
-    ];
+    const neighbors = this.#hexLattice
+      ? hexNeighborOffsets(row).map(([dr, dc]) => [row + dr, col + dc])
+      : [
+          [row - 1, col],
+          [row + 1, col],
+          [row, col - 1],
+          [row, col + 1],
+        ];
 
     let remaining = amount;
 
     let touched = false;
 
-    for (const [nRow, nCol] of neighbors) {
-      if (!Number.isInteger(nRow) || !Number.isInteger(nCol)) continue;
-      if (nRow < 0 || nRow >= this.rows || nCol < 0 || nCol >= this.cols) continue;
+    for (const [neighborRow, neighborCol] of neighbors) {
+      if (!Number.isInteger(neighborRow) || !Number.isInteger(neighborCol)) continue;
+
+      const nRow = wrapIndex(neighborRow, this.rows, this.#wrapRows);
+      const nCol = wrapIndex(neighborCol, this.cols, this.#wrapCols);
+
+      if (nRow < 0 || nCol < 0) continue;
       if (this.isObstacle(nRow, nCol)) continue;
       if (this.grid?.[nRow]?.[nCol]) continue;
 
@@ -4079,6 +4235,28 @@ export default class GridManager {
     }
   }
 
+  /**
+   * Adds a preset to this grid's catalog, replacing any preset with the same
+   * id. Map presets become selectable immediately and rescale on resize.
+   *
+   * @param {Object|string} preset - Descriptor accepted by
+   *   `resolveObstaclePresetCatalog`.
+   * @returns {Object|null} The stored preset, or `null` when invalid.
+   */
+  registerObstaclePreset(preset) {
+    const normalized = normalizeObstaclePreset(preset);
+
+    if (!normalized) return null;
+
+    const catalog = Array.isArray(this.obstaclePresets)
+      ? this.obstaclePresets.filter((entry) => entry?.id !== normalized.id)
+      : [];
+
+    this.obstaclePresets = [...catalog, normalized];
+
+    return normalized;
+  }
+
   applyObstaclePreset(
     presetId,
     { clearExisting = true, append = false, presetOptions = {}, evict = true } = {},
@@ -4259,13 +4437,225 @@ export default class GridManager {
         }
         break;
       }
-      default:
+      default: {
+        const map = this.#getPresetById(normalizedId)?.map;
+
+        if (map) this.#paintObstacleMap(map, { evict });
         break;
+      }
     }
 
     this.currentObstaclePreset = normalizedId;
   }
 
+  #applyTopology(topology) {
+    const resolved = resolveWorldTopology(topology);
+
+    this.topology = resolved;
+    this.#syncTopologyWrap();
+
+    return resolved;
+  }
+
+  // Odd-r hex rows take their neighbour offsets from row parity, so an odd
+  // row count flips parity across the row seam and neighbours stop being
+  // mutual. Rows only wrap on hex grids with an even row count.
+  #syncTopologyWrap() {
+    const wrap = resolveTopologyWrap(this.topology);
+    const wrapRows = wrap.wrapRows && !(this.#hexLattice && this.rows % 2 === 1);
+    const { wrapCols } = wrap;
+
+    this.#wrapRows = wrapRows;
+    this.#wrapCols = wrapCols;
+    this.#topologyWrap = { wrapRows, wrapCols };
+    this.#wrappedEventContext = null;
+  }
+
+  // Cells test events tile by tile, so on wrapping worlds the default overlap
+  // check also has to see footprints hanging past the opposite edge.
+  #resolveCellEventContext() {
+    const context = this.eventContext ?? defaultEventContext;
+
+    if (
+      !(this.#wrapRows || this.#wrapCols) ||
+      context.isEventAffecting !== defaultIsEventAffecting
+    ) {
+      return context;
+    }
+
+    if (!this.#wrappedEventContext) {
+      this.#wrappedEventContext = {
+        ...context,
+        isEventAffecting: (event, row, col) =>
+          defaultIsEventAffecting(event, row, col) ||
+          isTileInWrappedFootprint(
+            event?.footprint,
+            row,
+            col,
+            this.rows,
+            this.cols,
+            this.#topologyWrap,
+          ),
+      };
+    }
+
+    return this.#wrappedEventContext;
+  }
+
+  /**
+   * Switches between `"bounded"`, `"torus"` and `"cylinder"` worlds. Wrapping
+   * axes let movement, neighbour scans, density, diffusion and events cross
+   * the edge as if it were not there. Hex grids with an odd row count keep
+   * their top and bottom edges. Density caches are rebuilt so the new
+   * neighbourhoods apply immediately.
+   *
+   * @param {string} topology
+   * @returns {string} The topology now in effect.
+   */
+  setTopology(topology) {
+    const previous = this.topology;
+    const resolved = this.#applyTopology(topology);
+
+    if (resolved !== previous) {
+      this.densityTotals = this.#buildDensityTotals(this.densityRadius);
+      this.recalculateDensityCounts();
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Folds coordinates onto the grid for the current topology.
+   *
+   * @param {number} row
+   * @param {number} col
+   * @returns {{row: number, col: number}|null} `null` when the tile lies past a
+   *   bounded edge.
+   */
+  wrapTile(row, col) {
+    const wrappedRow = wrapIndex(row, this.rows, this.#wrapRows);
+    const wrappedCol = wrapIndex(col, this.cols, this.#wrapCols);
+
+    if (wrappedRow < 0 || wrappedCol < 0) return null;
+
+    return { row: wrappedRow, col: wrappedCol };
+  }
+
+  /**
+   * Switches between the `"square"` and `"hex"` lattices. Hex grids give every
+   * tile six neighbours for movement, diffusion, density and target scans and
+   * render tiles as hexagons. Residents keep their row and column, and density
+   * caches are rebuilt so the new neighbourhoods apply immediately.
+   *
+   * @param {string} lattice
+   * @returns {string} The lattice now in effect.
+   */
+  setLattice(lattice) {
+    const resolved = resolveGridLattice(lattice);
+
+    if (resolved === this.lattice) return resolved;
+
+    this.lattice = resolved;
+    this.#hexLattice = resolved === "hex";
+    this.#syncTopologyWrap();
+    this.densityTotals = this.#buildDensityTotals(this.densityRadius);
+    this.recalculateDensityCounts();
+    this.#markObstacleRenderDirty();
+    this.#imageDataNeedsFullRefresh = true;
+
+    return resolved;
+  }
+
+  /**
+   * Replaces the terrain layer. Accepts `"noise"` or `{ type: "noise", seed,
+   * scale }` for generated biomes, a terrain map (or `{ map }`) for loaded
+   * ones, and `null`/`"none"` to clear it. Tile energy above a biome's cap is
+   * trimmed and every tile is re-queued for regeneration.
+   *
+   * @param {unknown} spec
+   * @returns {Object|null} The resolved terrain descriptor.
+   */
+  setTerrain(spec) {
+    const resolved = resolveTerrainSpec(spec, () => this.#random());
+
+    this.terrainSpec = resolved;
+    this.terrain = buildTerrainCodes(resolved, this.rows, this.cols);
+
+    if (!this.energyDirtyTiles) {
+      this.energyDirtyTiles = new TileIndexTracker(this.rows, this.cols);
+    }
+
+    const maxTileEnergy = this.maxTileEnergy > 0 ? this.maxTileEnergy : 0;
+
+    for (let row = 0; row < this.rows; row++) {
+      const energyRow = this.energyGrid?.[row];
+
+      for (let col = 0; col < this.cols; col++) {
+        const biome = this.getTerrainAt(row, col);
+        const cap = biome ? maxTileEnergy * biome.energyCap : maxTileEnergy;
+
+        if (energyRow && energyRow[col] > cap) energyRow[col] = cap;
+        this.energyDirtyTiles.add(row * this.cols + col);
+      }
+    }
+
+    this.#imageDataNeedsFullRefresh = true;
+
+    return resolved;
+  }
+
+  /**
+   * Biome under a tile.
+   *
+   * @param {number} row
+   * @param {number} col
+   * @returns {Object|null} Entry from `TERRAIN_BIOMES`, or `null` when the
+   *   world has no terrain layer or the tile is off the grid.
+   */
+  getTerrainAt(row, col) {
+    if (!this.terrain || row < 0 || row >= this.rows || col < 0 || col >= this.cols) {
+      return null;
+    }
+
+    return TERRAIN_BIOMES[this.terrain[row * this.cols + col]] ?? null;
+  }
+
+  /**
+   * Serializable copy of the terrain descriptor for snapshots.
+   *
+   * @returns {Object|null}
+   */
+  exportTerrain() {
+    const spec = this.terrainSpec;
+
+    if (spec?.type !== "map") return spec ? { ...spec } : null;
+
+    return {
+      type: "map",
+      map: { ...spec.map, biomes: Array.from(spec.map.biomes) },
+    };
+  }
+
+  /**
+   * Steps between two tiles — Chebyshev distance on square lattices, hex
+   * steps on hex lattices — measured the short way round on wrapping axes.
+   *
+   * @param {number} rowA
+   * @param {number} colA
+   * @param {number} rowB
+   * @param {number} colB
+   * @returns {number}
+   */
+  tileDistance(rowA, colA, rowB, colB) {
+    return GridManager.#latticeDistance(rowA, colA, rowB, colB, {
+      rows: this.rows,
+      cols: this.cols,
+      wrapRows: this.#wrapRows,
+      wrapCols: this.#wrapCols,
+      hex: this.#hexLattice,
+    });
+  }
+
   init() {
     this.#resetOccupancyTracking();
     for (let row = 0; row < this.rows; row++) {
@@ -4341,6 +4731,8 @@ export default class GridManager {
     this.rows = rowsInt;
     this.cols = colsInt;
     this.cellSize = cellSizeValue;
+    this.#syncTopologyWrap();
+    this.terrain = buildTerrainCodes(this.terrainSpec, rowsInt, colsInt);
     this.grid = Array.from({ length: rowsInt }, () => Array(colsInt).fill(null));
     this.#initializeRenderDirtyTracking(rowsInt, colsInt);
     this.#initializeOccupancy(this.rows, this.cols);
@@ -4560,6 +4952,244 @@ export default class GridManager {
     this.populationScarcitySignal = this.#computePopulationScarcitySignal();
   }
 
+  /**
+   * Serialises the mutable world state — residents, tile energy, and the
+   * obstacle mask — into a JSON-safe record consumed by
+   * {@link GridManager#importWorldState}. Obstacles are stored as a sparse list
+   * of flat tile indices (`row * cols + col`) and tile energy as a row-major
+   * array so large, mostly-open maps stay compact.
+   *
+   * @returns {{
+   *   rows: number,
+   *   cols: number,
+   *   tickCount: number,
+   *   lastCellId: number,
+   *   obstaclePreset: string,
+   *   obstacles: number[],
+   *   energy: number[],
+   *   energyDirty: number[],
+   *   energyBackBuffer: Array<[number, number]>,
+   *   decay: Array<[number, number, number, number]>,
+   *   cells: Object[],
+   * }}
+   */
+  exportWorldState() {
+    const obstacles = [];
+    const energy = new Array(this.rows * this.cols);
+    const energyBackBuffer = [];
+    const cells = [];
+
+    for (let row = 0; row < this.rows; row++) {
+      const obstacleRow = this.obstacles[row];
+      const energyRow = this.energyGrid[row];
+      const nextRow = this.energyNext?.[row];
+      const offset = row * this.cols;
+
+      for (let col = 0; col < this.cols; col++) {
+        if (obstacleRow?.[col]) obstacles.push(offset + col);
+
+        const tileEnergy = energyRow?.[col];
+
+        energy[offset + col] = Number.isFinite(tileEnergy) ? tileEnergy : 0;
+
+        // Sparse regeneration copies clean tiles forward from the back buffer,
+        // so tiles where it lags the live grid are part of the next tick.
+        if (nextRow && Number.isFinite(nextRow[col]) && nextRow[col] !== tileEnergy) {
+          energyBackBuffer.push([offset + col, nextRow[col]]);
+        }
+      }
+    }
+
+    // Residents are written in active-set order because the update loop
+    // iterates that set; restoring in the same order keeps seeded runs aligned.
+    for (const cell of this.#acquireActiveCellSnapshot()) {
+      const tracked = this.cellPositions.get(cell);
+
+      if (!tracked || typeof cell.toSnapshot !== "function") continue;
+
+      cells.push({ ...cell.toSnapshot(), row: tracked.row, col: tracked.col });
+    }
+
+    return {
+      rows: this.rows,
+      cols: this.cols,
+      tickCount: this.tickCount,
+      lastCellId: this.#lastCellId,
+      obstaclePreset: this.currentObstaclePreset || "none",
+      obstacles,
+      terrain: this.exportTerrain(),
+      energy,
+      // Regeneration only revisits these tiles while they stay few.
+      energyDirty: Array.from(this.energyDirtyTiles ?? []),
+      energyBackBuffer,
+      decay: this.#exportDecay(),
+      cells,
+    };
+  }
+
+  // Pending corpse decay as `[tileIndex, amount, age, persistence]` entries in
+  // `decayActive` order, which is the order `#processDecay` releases them in.
+  #exportDecay() {
+    const entries = [];
+
+    if (!this.decayActive || !this.decayAmount) return entries;
+
+    for (const key of this.decayActive) {
+      const row = Math.floor(key / this.cols);
+      const col = key % this.cols;
+      const amount = this.decayAmount[row]?.[col];
+
+      if (!Number.isFinite(amount) || amount <= DECAY_EPSILON) continue;
+
+      entries.push([
+        key,
+        amount,
+        this.decayAge?.[row]?.[col] ?? 0,
+        this.decayPersistence?.[row]?.[col] ?? 0,
+      ]);
+    }
+
+    return entries;
+  }
+
+  #importDecay(entries) {
+    this.#initializeDecayBuffers(this.rows, this.cols);
+
+    const tileCount = this.rows * this.cols;
+
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const [key, amount, age, persistence] = Array.isArray(entry) ? entry : [];
+
+      if (!Number.isInteger(key) || key < 0 || key >= tileCount) continue;
+      if (!Number.isFinite(amount) || amount <= DECAY_EPSILON) continue;
+
+      const row = Math.floor(key / this.cols);
+      const col = key % this.cols;
+
+      this.decayAmount[row][col] = amount;
+      this.decayAge[row][col] = Number.isFinite(age) ? age : 0;
+      this.decayPersistence[row][col] =
+        Number.isFinite(persistence) && persistence > 0 ? persistence : DECAY_MAX_AGE;
+      this.decayActive.add(key);
+    }
+  }
+
+  // Mirrors the live energy grid into the back buffer, then applies the tiles
+  // recorded as lagging behind it.
+  #importEnergyBackBuffer(entries) {
+    if (!this.energyNext) return;
+
+    const tileCount = this.rows * this.cols;
+
+    for (let row = 0; row < this.rows; row++) {
+      this.energyNext[row]?.set(this.energyGrid[row]);
+    }
+
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const [index, value] = Array.isArray(entry) ? entry : [];
+
+      if (!Number.isInteger(index) || index < 0 || index >= tileCount) continue;
+      if (!Number.isFinite(value)) continue;
+
+      this.energyNext[Math.floor(index / this.cols)][index % this.cols] = value;
+    }
+  }
+
+  /**
+   * Replaces the current world with a record produced by
+   * {@link GridManager#exportWorldState}. The grid must already match the
+   * recorded dimensions; callers resize first (see `SimulationEngine#importWorld`).
+   *
+   * @param {ReturnType<GridManager["exportWorldState"]>} state
+   * @returns {number} Number of residents restored.
+   */
+  importWorldState(state) {
+    if (!state || typeof state !== "object") {
+      throw new TypeError(
+        "GridManager.importWorldState requires a world state object.",
+      );
+    }
+
+    if (state.rows !== this.rows || state.cols !== this.cols) {
+      throw new RangeError(
+        `World state is ${state.rows}x${state.cols} but the grid is ${this.rows}x${this.cols}.`,
+      );
+    }
+
+    this.resetWorld({ obstaclePreset: "none", reseed: false });
+    this.setTerrain(state.terrain ?? null);
+
+    const tileCount = this.rows * this.cols;
+
+    for (const index of Array.isArray(state.obstacles) ? state.obstacles : []) {
+      if (!Number.isInteger(index) || index < 0 || index >= tileCount) continue;
+
+      this.setObstacle(Math.floor(index / this.cols), index % this.cols, true, {
+        evict: false,
+      });
+    }
+
+    if (isArrayLike(state.energy)) {
+      const maxTileEnergy =
+        this.maxTileEnergy > 0 ? this.maxTileEnergy : MAX_TILE_ENERGY;
+
+      for (let row = 0; row < this.rows; row++) {
+        const energyRow = this.energyGrid[row];
+        const offset = row * this.cols;
+
+        for (let col = 0; col < this.cols; col++) {
+          const value = state.energy[offset + col];
+
+          energyRow[col] = Number.isFinite(value)
+            ? clamp(value, 0, maxTileEnergy)
+            : this.initialTileEnergy;
+          this.markEnergyDirty(row, col);
+        }
+      }
+    }
+
+    this.#importDecay(state.decay);
+
+    let restored = 0;
+
+    // Restored residents keep their IDs; placing them lifts the counter past
+    // any ID the record predates.
+    this.#lastCellId = Number.isInteger(state.lastCellId) ? state.lastCellId : 0;
+
+    for (const record of Array.isArray(state.cells) ? state.cells : []) {
+      const { row, col } = record ?? {};
+
+      if (!Number.isInteger(row) || !Number.isInteger(col)) continue;
+      if (GridManager.#isOutOfBounds(row, col, this.rows, this.cols)) continue;
+      if (this.isObstacle(row, col) || this.grid[row][col]) continue;
+
+      const cell = Cell.fromSnapshot(record);
+
+      if (!cell) continue;
+
+      this.placeCell(row, col, cell);
+      restored += 1;
+    }
+
+    this.currentObstaclePreset =
+      typeof state.obstaclePreset === "string" && state.obstaclePreset.length > 0
+        ? state.obstaclePreset
+        : "none";
+    this.tickCount = Number.isInteger(state.tickCount) ? state.tickCount : 0;
+    this.#markAllTilesDirty();
+    this.#importEnergyBackBuffer(state.energyBackBuffer);
+
+    if (Array.isArray(state.energyDirty)) {
+      this.energyDirtyTiles.clear();
+      state.energyDirty.forEach((index) => this.energyDirtyTiles.add(index));
+    }
+
+    this.recalculateDensityCounts();
+    this.populationScarcitySignal = this.#computePopulationScarcitySignal();
+
+    return restored;
+  }
+
   #seedInitialPopulation(targetPopulation) {
     const target = Math.max(0, Math.floor(targetPopulation ?? 0));
     const currentPopulation = this.activeCells?.size ?? 0;
@@ -4781,7 +5411,9 @@ export default class GridManager {
           })
         : base * crowdPenalty;
     const cap = clamp(demand, minCap, maxCap);
-    const take = Math.min(cap, available);
+    // Trophic mode: carnivores graze poorly and rely on kills instead.
+    const grazing = this.trophicMode ? grazingEfficiency(resolveCarnivory(cell)) : 1;
+    const take = Math.min(cap * grazing, available);
     const energyBefore = cell.energy;
     const energyAfter = Math.min(this.maxTileEnergy, energyBefore + take);
     const normalizedTileEnergyAfter =
@@ -4817,6 +5449,11 @@ export default class GridManager {
   ) {
     const rows = this.rows;
     const cols = this.cols;
+    // On wrapping axes the edge tiles diffuse into the opposite edge.
+    const wrapRowEdges = this.#wrapRows && rows > 1;
+    const wrapColEdges = this.#wrapCols && cols > 1;
+    const hexLattice = this.#hexLattice;
+    const terrainCodes = this.terrain;
     const evs = Array.isArray(events) ? events : events ? [events] : EMPTY_EVENT_LIST;
     const hasEvents = evs.length > 0;
     const hasDensityGrid = Array.isArray(densityGrid);
@@ -4967,7 +5604,10 @@ export default class GridManager {
           return baseEventModifiers;
         }
 
-        let reuse = lastEventsCache.length === eventsForTile.length;
+        // Only segment-filtered lists are specific to the tile; custom
+        // predicates receive the whole row, so their result varies by column.
+        let reuse =
+          usingSegmentedEvents && lastEventsCache.length === eventsForTile.length;
 
         if (reuse) {
           for (let i = 0; i < eventsForTile.length; i++) {
@@ -5060,6 +5700,24 @@ export default class GridManager {
 
     if (hasEvents) {
       eventsByRow = this.#prepareEventsByRow(rows);
+      const spans = this.#eventSpanScratch;
+      const bucketFootprintSpans = (ev, footprint, startRow, endRow) => {
+        for (let rr = startRow; rr < endRow; rr++) {
+          spans.length = 0;
+          collectFootprintRowSpans(footprint, rr, cols, spans);
+
+          for (let k = 0; k < spans.length; k += 2) {
+            if (!eventsByRow[rr]) eventsByRow[rr] = [];
+            eventsByRow[rr].push({
+              event: ev,
+              startCol: spans[k],
+              endCol: spans[k + 1],
+            });
+          }
+        }
+      };
+      const wrapsEventEdges =
+        usingSegmentedEvents && (this.#wrapRows || this.#wrapCols);
 
       for (let i = 0; i < evs.length; i++) {
         const ev = evs[i];
@@ -5072,7 +5730,35 @@ export default class GridManager {
 
         if (startRow >= endRow) continue;
 
-        if (usingSegmentedEvents) {
+        const footprint = ev.footprint;
+
+        if (wrapsEventEdges && footprint) {
+          // Footprints hanging past a wrapping edge also cover the opposite
+          // edge, applied through shifted copies of the footprint.
+          const copies = collectWrappedFootprintCopies(
+            footprint,
+            rows,
+            cols,
+            this.#topologyWrap,
+          );
+
+          for (const copy of copies) {
+            const bounds = getFootprintBounds(copy);
+
+            bucketFootprintSpans(
+              ev,
+              copy,
+              Math.max(0, Math.floor(bounds.minY)),
+              Math.min(rows, Math.ceil(bounds.maxY)),
+            );
+          }
+        }
+
+        if (usingSegmentedEvents && footprint && footprint.shape !== "rect") {
+          // Circles and polygons contribute one segment per covered run of
+          // columns, so moving footprints reuse the sorted segment sweep below.
+          bucketFootprintSpans(ev, footprint, startRow, endRow);
+        } else if (usingSegmentedEvents) {
           const startCol = Math.max(0, Math.floor(area.x));
           const endCol = Math.min(cols, Math.ceil(area.x + area.width));
 
@@ -5193,10 +5879,15 @@ export default class GridManager {
         return;
       }
 
+      // Terrain scales the tile's energy cap, regeneration and diffusion.
+      const biome = terrainCodes ? TERRAIN_BIOMES[terrainCodes[r * cols + c]] : null;
+      const tileCap = biome
+        ? positiveMaxTileEnergy * biome.energyCap
+        : positiveMaxTileEnergy;
       let regen = 0;
 
-      if (positiveMaxTileEnergy > 0) {
-        const deficit = positiveMaxTileEnergy - currentEnergy;
+      if (tileCap > 0) {
+        const deficit = tileCap - currentEnergy;
 
         if (deficit > 0) {
           let regenPenalty = 1;
@@ -5307,47 +5998,105 @@ export default class GridManager {
 
       let diffusion = 0;
 
-      if (!obstacleRow && !upObstacleRow && !downObstacleRow) {
+      if (hexLattice) {
         if (useDiffusion) {
-          if (c > 0 && c < cols - 1 && upEnergyRow && downEnergyRow) {
-            const neighborSum =
-              upEnergyRow[c] + downEnergyRow[c] + energyRow[c - 1] + energyRow[c + 1];
-
-            diffusion = diffusionRateQuarter * (neighborSum - currentEnergy * 4);
-          } else {
-            let neighborSum = 0;
-            let neighborCount = 0;
+          // Hex tiles share edges with the same column above and below plus
+          // the column on the side their row is shifted towards.
+          const sideCol = r & 1 ? c + 1 : c - 1;
+          const diagCol =
+            sideCol >= 0 && sideCol < cols
+              ? sideCol
+              : wrapColEdges
+                ? (sideCol + cols) % cols
+                : -1;
+          const leftCol = c > 0 ? c - 1 : wrapColEdges ? cols - 1 : -1;
+          const rightCol = c < cols - 1 ? c + 1 : wrapColEdges ? 0 : -1;
+          let neighborSum = 0;
+          let neighborCount = 0;
 
-            if (upEnergyRow) {
+          if (upEnergyRow) {
+            if (!upObstacleRow?.[c]) {
               neighborSum += upEnergyRow[c];
               neighborCount += 1;
             }
 
-            if (downEnergyRow) {
-              neighborSum += downEnergyRow[c];
+            if (diagCol >= 0 && !upObstacleRow?.[diagCol]) {
+              neighborSum += upEnergyRow[diagCol];
               neighborCount += 1;
             }
+          }
 
-            if (c > 0) {
-              neighborSum += energyRow[c - 1];
+          if (downEnergyRow) {
+            if (!downObstacleRow?.[c]) {
+              neighborSum += downEnergyRow[c];
               neighborCount += 1;
             }
 
-            if (c < cols - 1) {
-              neighborSum += energyRow[c + 1];
+            if (diagCol >= 0 && !downObstacleRow?.[diagCol]) {
+              neighborSum += downEnergyRow[diagCol];
               neighborCount += 1;
             }
+          }
 
-            if (neighborCount > 0) {
-              const invCount = diffusionInvLookup[neighborCount] ?? 1 / neighborCount;
-              const neighborAverage = neighborSum * invCount;
+          if (leftCol >= 0 && !obstacleRow?.[leftCol]) {
+            neighborSum += energyRow[leftCol];
+            neighborCount += 1;
+          }
 
-              diffusion = diffusionRate * (neighborAverage - currentEnergy);
-            }
+          if (rightCol >= 0 && !obstacleRow?.[rightCol]) {
+            neighborSum += energyRow[rightCol];
+            neighborCount += 1;
           }
-        }
-      } else {
+
+          if (neighborCount > 0) {
+            diffusion = diffusionRate * (neighborSum / neighborCount - currentEnergy);
+          }
+        }
+      } else if (!obstacleRow && !upObstacleRow && !downObstacleRow) {
         if (useDiffusion) {
+          if (c > 0 && c < cols - 1 && upEnergyRow && downEnergyRow) {
+            const neighborSum =
+              upEnergyRow[c] + downEnergyRow[c] + energyRow[c - 1] + energyRow[c + 1];
+
+            diffusion = diffusionRateQuarter * (neighborSum - currentEnergy * 4);
+          } else {
+            const leftCol = c > 0 ? c - 1 : wrapColEdges ? cols - 1 : -1;
+            const rightCol = c < cols - 1 ? c + 1 : wrapColEdges ? 0 : -1;
+            let neighborSum = 0;
+            let neighborCount = 0;
+
+            if (upEnergyRow) {
+              neighborSum += upEnergyRow[c];
+              neighborCount += 1;
+            }
+
+            if (downEnergyRow) {
+              neighborSum += downEnergyRow[c];
+              neighborCount += 1;
+            }
+
+            if (leftCol >= 0) {
+              neighborSum += energyRow[leftCol];
+              neighborCount += 1;
+            }
+
+            if (rightCol >= 0) {
+              neighborSum += energyRow[rightCol];
+              neighborCount += 1;
+            }
+
+            if (neighborCount > 0) {
+              const invCount = diffusionInvLookup[neighborCount] ?? 1 / neighborCount;
+              const neighborAverage = neighborSum * invCount;
+
+              diffusion = diffusionRate * (neighborAverage - currentEnergy);
+            }
+          }
+        }
+      } else {
+        if (useDiffusion) {
+          const leftCol = c > 0 ? c - 1 : wrapColEdges ? cols - 1 : -1;
+          const rightCol = c < cols - 1 ? c + 1 : wrapColEdges ? 0 : -1;
           let neighborSum = 0;
           let neighborCount = 0;
 
@@ -5361,13 +6110,13 @@ export default class GridManager {
             neighborCount += 1;
           }
 
-          if (c > 0 && (!obstacleRow || !obstacleRow[c - 1])) {
-            neighborSum += energyRow[c - 1];
+          if (leftCol >= 0 && (!obstacleRow || !obstacleRow[leftCol])) {
+            neighborSum += energyRow[leftCol];
             neighborCount += 1;
           }
 
-          if (c < cols - 1 && (!obstacleRow || !obstacleRow[c + 1])) {
-            neighborSum += energyRow[c + 1];
+          if (rightCol >= 0 && (!obstacleRow || !obstacleRow[rightCol])) {
+            neighborSum += energyRow[rightCol];
             neighborCount += 1;
           }
 
@@ -5377,6 +6126,11 @@ export default class GridManager {
         }
       }
 
+      if (biome) {
+        regen *= biome.regen;
+        diffusion *= biome.diffusion;
+      }
+
       if (regenMultiplier !== 1) {
         regen *= regenMultiplier;
       }
@@ -5393,8 +6147,8 @@ export default class GridManager {
 
       if (nextEnergy <= 0) {
         nextEnergy = 0;
-      } else if (positiveMaxTileEnergy > 0 && nextEnergy >= positiveMaxTileEnergy) {
-        nextEnergy = positiveMaxTileEnergy;
+      } else if (tileCap > 0 && nextEnergy >= tileCap) {
+        nextEnergy = tileCap;
       }
 
       const occupant = gridRow ? gridRow[c] : null;
@@ -5518,15 +6272,17 @@ export default class GridManager {
           const rowObstacleCount = obstacleRowCounts ? obstacleRowCounts[r] : 0;
           const obstacleRow = rowObstacleCount > 0 ? obstacles[r] : null;
           const gridRow = this.grid[r];
-          const upEnergyRow = r > 0 ? energyGrid[r - 1] : null;
+          const upIndex = r > 0 ? r - 1 : wrapRowEdges ? rows - 1 : -1;
+          const downIndex = r < rows - 1 ? r + 1 : wrapRowEdges ? 0 : -1;
+          const upEnergyRow = upIndex >= 0 ? energyGrid[upIndex] : null;
           const upObstacleRow =
-            r > 0 && obstacleRowCounts && obstacleRowCounts[r - 1] > 0
-              ? obstacles[r - 1]
+            upIndex >= 0 && obstacleRowCounts && obstacleRowCounts[upIndex] > 0
+              ? obstacles[upIndex]
               : null;
-          const downEnergyRow = r < rows - 1 ? energyGrid[r + 1] : null;
+          const downEnergyRow = downIndex >= 0 ? energyGrid[downIndex] : null;
           const downObstacleRow =
-            r < rows - 1 && obstacleRowCounts && obstacleRowCounts[r + 1] > 0
-              ? obstacles[r + 1]
+            downIndex >= 0 && obstacleRowCounts && obstacleRowCounts[downIndex] > 0
+              ? obstacles[downIndex]
               : null;
           const occupantRegenRow = occupantRegenGrid ? occupantRegenGrid[r] : null;
           const occupantRegenVersionRow = occupantRegenVersion
@@ -5791,15 +6547,17 @@ export default class GridManager {
         const rowObstacleCount = obstacleRowCounts ? obstacleRowCounts[r] : 0;
         const obstacleRow = rowObstacleCount > 0 ? obstacles[r] : null;
         const gridRow = this.grid[r];
-        const upEnergyRow = r > 0 ? energyGrid[r - 1] : null;
+        const upIndex = r > 0 ? r - 1 : wrapRowEdges ? rows - 1 : -1;
+        const downIndex = r < rows - 1 ? r + 1 : wrapRowEdges ? 0 : -1;
+        const upEnergyRow = upIndex >= 0 ? energyGrid[upIndex] : null;
         const upObstacleRow =
-          r > 0 && obstacleRowCounts && obstacleRowCounts[r - 1] > 0
-            ? obstacles[r - 1]
+          upIndex >= 0 && obstacleRowCounts && obstacleRowCounts[upIndex] > 0
+            ? obstacles[upIndex]
             : null;
-        const downEnergyRow = r < rows - 1 ? energyGrid[r + 1] : null;
+        const downEnergyRow = downIndex >= 0 ? energyGrid[downIndex] : null;
         const downObstacleRow =
-          r < rows - 1 && obstacleRowCounts && obstacleRowCounts[r + 1] > 0
-            ? obstacles[r + 1]
+          downIndex >= 0 && obstacleRowCounts && obstacleRowCounts[downIndex] > 0
+            ? obstacles[downIndex]
             : null;
         const occupantRegenRow = occupantRegenGrid ? occupantRegenGrid[r] : null;
         const occupantRegenVersionRow = occupantRegenVersion
@@ -6088,6 +6846,34 @@ export default class GridManager {
     return this.grid[row][col];
   }
 
+  /**
+   * Returns the tile a living resident currently occupies, or `null` once it
+   * has left the grid. Inspectors use this to follow a cell between ticks.
+   *
+   * @param {Object} cell - Resident to locate.
+   * @returns {{row: number, col: number}|null}
+   */
+  locateCell(cell) {
+    if (!cell || !this.#ensureTrackedCell(cell)) return null;
+
+    const tracked = this.cellPositions.get(cell);
+
+    if (!tracked || this.grid[tracked.row]?.[tracked.col] !== cell) return null;
+
+    return { row: tracked.row, col: tracked.col };
+  }
+
+  /**
+   * Returns the cause, tile, and tick recorded when `cell` died through
+   * {@link GridManager#registerDeath}, or `null` for residents still alive.
+   *
+   * @param {Object} cell - Resident to look up.
+   * @returns {{cause: string, row: number, col: number, tick: number}|null}
+   */
+  getDeathRecord(cell) {
+    return (cell && this.#deathRecords.get(cell)) ?? null;
+  }
+
   setCell(row, col, cell, options = {}) {
     if (!cell) {
       this.removeCell(row, col);
@@ -6114,6 +6900,7 @@ export default class GridManager {
     this.#markTileDirty(row, col);
     clearTileEnergyBuffers(this, row, col);
     this.#trackCellPosition(cell, row, col);
+    this.#assignLineageId(cell);
     this.activeCells.add(cell);
     this.#applyDensityDelta(row, col, 1);
 
@@ -6128,6 +6915,23 @@ export default class GridManager {
     return cell;
   }
 
+  /**
+   * Gives first-time residents the next monotonically increasing ID. Founders
+   * (cells without an inherited clade) start their own clade.
+   */
+  #assignLineageId(cell) {
+    if (cell.id == null) {
+      this.#lastCellId += 1;
+      cell.id = this.#lastCellId;
+    } else if (!Number.isInteger(cell.id)) {
+      return;
+    } else if (cell.id > this.#lastCellId) {
+      this.#lastCellId = cell.id;
+    }
+
+    if (!Number.isInteger(cell.cladeId)) cell.cladeId = cell.id;
+  }
+
   removeCell(row, col) {
     const current = this.grid[row]?.[col];
 
@@ -6178,6 +6982,15 @@ export default class GridManager {
     }
 
     this.#enqueueDecay(row, col, cell);
+    this.#deathRecords.set(cell, {
+      cause:
+        typeof provided.cause === "string" && provided.cause.length > 0
+          ? provided.cause
+          : "unknown",
+      row,
+      col,
+      tick: this.tickCount,
+    });
 
     if (this.stats?.onDeath) {
       const metadata = { ...provided, row, col };
@@ -6186,18 +6999,26 @@ export default class GridManager {
     }
   }
 
-  relocateCell(fromRow, fromCol, toRow, toCol) {
-    if (fromRow === toRow && fromCol === toCol) return true;
+  relocateCell(fromRow, fromCol, targetRow, targetCol) {
+    if (fromRow === targetRow && fromCol === targetCol) return true;
 
     if (
       !Number.isInteger(fromRow) ||
       !Number.isInteger(fromCol) ||
-      !Number.isInteger(toRow) ||
-      !Number.isInteger(toCol)
+      !Number.isInteger(targetRow) ||
+      !Number.isInteger(targetCol)
     ) {
       return false;
     }
 
+    const { row: toRow, col: toCol } = GridManager.#wrapStep(
+      targetRow,
+      targetCol,
+      this.rows,
+      this.cols,
+      { wrapRows: this.#wrapRows, wrapCols: this.#wrapCols },
+    );
+
     if (
       GridManager.#isOutOfBounds(fromRow, fromCol, this.rows, this.cols) ||
       GridManager.#isOutOfBounds(toRow, toCol, this.rows, this.cols)
@@ -6205,12 +7026,8 @@ export default class GridManager {
       return false;
     }
 
-    const rowDelta = Math.abs(toRow - fromRow);
-    const colDelta = Math.abs(toCol - fromCol);
+    if (this.tileDistance(fromRow, fromCol, toRow, toCol) !== 1) return false;
 
-    if (rowDelta > 1 || colDelta > 1 || (rowDelta === 0 && colDelta === 0)) {
-      return false;
-    }
     const moving = this.grid[fromRow]?.[fromCol];
 
     if (!moving) return false;
@@ -6259,47 +7076,51 @@ export default class GridManager {
     const liveGrid = this.densityLiveGrid;
     const totals = this.densityTotals;
     const canUpdateDensity = Array.isArray(liveGrid) && Array.isArray(totals);
-    const minRow = Math.max(0, row - normalizedRadius);
-    const maxRow = Math.min(rows - 1, row + normalizedRadius);
-    const minCol = Math.max(0, col - normalizedRadius);
-    const maxCol = Math.min(cols - 1, col + normalizedRadius);
+    const bands = this.#collectWindowBands(
+      row,
+      col,
+      normalizedRadius,
+      this.#densityBands,
+    );
 
-    for (let rr = minRow; rr <= maxRow; rr++) {
-      const countsRow = counts[rr];
+    for (let b = 0; b < bands.length; b += 4) {
+      for (let rr = bands[b]; rr <= bands[b + 1]; rr++) {
+        const countsRow = counts[rr];
 
-      if (!countsRow) continue;
+        if (!countsRow) continue;
 
-      const liveRow = canUpdateDensity ? liveGrid[rr] : null;
-      const totalsRow = canUpdateDensity ? totals[rr] : null;
-      const updateRow = liveRow && totalsRow;
+        const liveRow = canUpdateDensity ? liveGrid[rr] : null;
+        const totalsRow = canUpdateDensity ? totals[rr] : null;
+        const updateRow = liveRow && totalsRow;
 
-      for (let cc = minCol; cc <= maxCol; cc++) {
-        if (rr === row && cc === col) continue;
+        for (let cc = bands[b + 2]; cc <= bands[b + 3]; cc++) {
+          if (rr === row && cc === col) continue;
 
-        const baseCount = countsRow[cc];
-        const nextCount = (baseCount ?? 0) + delta;
+          const baseCount = countsRow[cc];
+          const nextCount = (baseCount ?? 0) + delta;
 
-        countsRow[cc] = nextCount;
+          countsRow[cc] = nextCount;
 
-        if (!updateRow) continue;
+          if (!updateRow) continue;
 
-        const total = totalsRow[cc] ?? 0;
+          const total = totalsRow[cc] ?? 0;
 
-        if (!(total > 0)) {
-          if (liveRow[cc] !== 0) {
-            liveRow[cc] = 0;
-            this.#markDensityDirty(rr, cc);
-          }
+          if (!(total > 0)) {
+            if (liveRow[cc] !== 0) {
+              liveRow[cc] = 0;
+              this.#markDensityDirty(rr, cc);
+            }
 
-          continue;
-        }
+            continue;
+          }
 
-        const ratio = nextCount / total;
-        const nextDensity = ratio <= 0 ? 0 : ratio >= 1 ? 1 : ratio;
+          const ratio = nextCount / total;
+          const nextDensity = ratio <= 0 ? 0 : ratio >= 1 ? 1 : ratio;
 
-        if (liveRow[cc] !== nextDensity) {
-          liveRow[cc] = nextDensity;
-          this.#markDensityDirty(rr, cc);
+          if (liveRow[cc] !== nextDensity) {
+            liveRow[cc] = nextDensity;
+            this.#markDensityDirty(rr, cc);
+          }
         }
       }
     }
@@ -6317,7 +7138,7 @@ export default class GridManager {
       0,
       Math.floor(Number.isFinite(radius) ? radius : (this.densityRadius ?? 0)),
     );
-    const cacheKey = `${rows}x${cols}:${normalizedRadius}`;
+    const cacheKey = `${rows}x${cols}:${normalizedRadius}:${this.topology}:${this.lattice}`;
     const cachedTotals = this.#densityTotalsCache.get(cacheKey);
 
     if (cachedTotals) {
@@ -6328,23 +7149,33 @@ export default class GridManager {
 
     if (normalizedRadius === 0) {
       totals = Array.from({ length: rows }, () => Array(cols).fill(0));
+    } else if (this.#hexLattice) {
+      totals = Array.from({ length: rows }, (_, r) =>
+        Array.from({ length: cols }, (__, c) =>
+          Math.max(0, this.#hexWindowSize(r, c, normalizedRadius) - 1),
+        ),
+      );
     } else {
       const rowSpans = new Array(rows);
 
       for (let r = 0; r < rows; r++) {
-        const minRow = r - normalizedRadius < 0 ? 0 : r - normalizedRadius;
-        const maxRow = r + normalizedRadius >= rows ? rows - 1 : r + normalizedRadius;
-
-        rowSpans[r] = maxRow - minRow + 1;
+        rowSpans[r] = this.#densityWindowSpan(
+          r,
+          normalizedRadius,
+          rows,
+          this.#wrapRows,
+        );
       }
 
       const colSpans = new Array(cols);
 
       for (let c = 0; c < cols; c++) {
-        const minCol = c - normalizedRadius < 0 ? 0 : c - normalizedRadius;
-        const maxCol = c + normalizedRadius >= cols ? cols - 1 : c + normalizedRadius;
-
-        colSpans[c] = maxCol - minCol + 1;
+        colSpans[c] = this.#densityWindowSpan(
+          c,
+          normalizedRadius,
+          cols,
+          this.#wrapCols,
+        );
       }
 
       totals = Array.from({ length: rows }, (_, r) => {
@@ -6374,6 +7205,114 @@ export default class GridManager {
     return totals;
   }
 
+  // Tiles in the hex window around (row, col), the tile itself included.
+  #hexWindowSize(row, col, radius) {
+    let size = 0;
+
+    for (let dr = -radius; dr <= radius; dr++) {
+      if (wrapIndex(row + dr, this.rows, this.#wrapRows) < 0) continue;
+
+      const colSegments = hexSpanSegments(
+        row,
+        col,
+        dr,
+        radius,
+        this.cols,
+        this.#wrapCols,
+        this.#densityColSegments,
+      );
+
+      for (let cs = 0; cs < colSegments.length; cs += 2) {
+        size += colSegments[cs + 1] - colSegments[cs];
+      }
+    }
+
+    return size;
+  }
+
+  #densityWindowSpan(center, radius, size, wraps) {
+    const segments = windowSegments(
+      center,
+      radius,
+      size,
+      wraps,
+      this.#densityRowSegments,
+    );
+    let span = 0;
+
+    for (let i = 0; i < segments.length; i += 2) {
+      span += segments[i + 1] - segments[i];
+    }
+
+    return span;
+  }
+
+  // Occupied tiles in the density window around (row, col). Windows that cross
+  // a wrapping edge are split into at most four integral-image rectangles; hex
+  // windows are summed one row span at a time.
+  #sumSegmentedDensityWindow(integral, row, col, radius) {
+    if (this.#hexLattice) {
+      let sum = 0;
+
+      for (let dr = -radius; dr <= radius; dr++) {
+        const rr = wrapIndex(row + dr, this.rows, this.#wrapRows);
+
+        if (rr < 0) continue;
+
+        const topRow = integral[rr];
+        const bottomRow = integral[rr + 1];
+        const colSegments = hexSpanSegments(
+          row,
+          col,
+          dr,
+          radius,
+          this.cols,
+          this.#wrapCols,
+          this.#densityColSegments,
+        );
+
+        for (let cs = 0; cs < colSegments.length; cs += 2) {
+          const left = colSegments[cs];
+          const right = colSegments[cs + 1];
+
+          sum += bottomRow[right] - topRow[right] - bottomRow[left] + topRow[left];
+        }
+      }
+
+      return sum;
+    }
+
+    const rowSegments = windowSegments(
+      row,
+      radius,
+      this.rows,
+      this.#wrapRows,
+      this.#densityRowSegments,
+    );
+    const colSegments = windowSegments(
+      col,
+      radius,
+      this.cols,
+      this.#wrapCols,
+      this.#densityColSegments,
+    );
+    let sum = 0;
+
+    for (let rs = 0; rs < rowSegments.length; rs += 2) {
+      const topRow = integral[rowSegments[rs]];
+      const bottomRow = integral[rowSegments[rs + 1]];
+
+      for (let cs = 0; cs < colSegments.length; cs += 2) {
+        const left = colSegments[cs];
+        const right = colSegments[cs + 1];
+
+        sum += bottomRow[right] - topRow[right] - bottomRow[left] + topRow[left];
+      }
+    }
+
+    return sum;
+  }
+
   #markDensityDirty(row, col) {
     if (!this.densityDirtyTiles) {
       this.densityDirtyTiles = new TileIndexTracker(this.rows, this.cols);
@@ -6407,12 +7346,16 @@ export default class GridManager {
     }
 
     for (let rr = row - radius; rr <= row + radius; rr++) {
-      if (rr < 0 || rr >= this.rows) continue;
+      const wrappedRow = wrapIndex(rr, this.rows, this.#wrapRows);
+
+      if (wrappedRow < 0) continue;
 
       for (let cc = col - radius; cc <= col + radius; cc++) {
-        if (cc < 0 || cc >= this.cols) continue;
+        const wrappedCol = wrapIndex(cc, this.cols, this.#wrapCols);
+
+        if (wrappedCol < 0) continue;
 
-        add(rr, cc);
+        add(wrappedRow, wrappedCol);
       }
     }
   }
@@ -6581,6 +7524,7 @@ export default class GridManager {
     const live = this.densityLiveGrid;
     const totals = this.densityTotals;
     const integral = this.#resolveDensityIntegral();
+    const segmented = this.#wrapRows || this.#wrapCols || this.#hexLattice;
 
     if (!integral) {
       for (let r = 0; r < rows; r++) {
@@ -6611,11 +7555,12 @@ export default class GridManager {
         const leftIndex = colLeft[c];
         const rightIndex = colRight[c];
 
-        const regionSum =
-          bottomRow[rightIndex] -
-          topRow[rightIndex] -
-          bottomRow[leftIndex] +
-          topRow[leftIndex];
+        const regionSum = segmented
+          ? this.#sumSegmentedDensityWindow(integral, r, c, activeRadius)
+          : bottomRow[rightIndex] -
+            topRow[rightIndex] -
+            bottomRow[leftIndex] +
+            topRow[leftIndex];
 
         const occupied = gridRow?.[c] ? 1 : 0;
         const neighborCount = regionSum - occupied;
@@ -6726,6 +7671,25 @@ export default class GridManager {
     const grid = this.grid;
     const integral = this.#resolveDensityIntegral();
 
+    if (integral && (this.#wrapRows || this.#wrapCols || this.#hexLattice)) {
+      const regionSum = this.#sumSegmentedDensityWindow(
+        integral,
+        row,
+        col,
+        normalizedRadius,
+      );
+      const total = this.#hexLattice
+        ? this.#hexWindowSize(row, col, normalizedRadius) - 1
+        : this.#densityWindowSpan(row, normalizedRadius, rows, this.#wrapRows) *
+            this.#densityWindowSpan(col, normalizedRadius, cols, this.#wrapCols) -
+          1;
+
+      return {
+        count: regionSum - (grid[row]?.[col] ? 1 : 0),
+        total: Math.max(0, total),
+      };
+    }
+
     if (integral) {
       const leftIndex = minCol;
       const rightIndex = maxCol + 1;
@@ -6811,6 +7775,7 @@ export default class GridManager {
         ? this.densityTotals
         : this.#buildDensityTotals(normalizedRadius);
     const out = Array.from({ length: rows }, () => Array(cols).fill(0));
+    const segmented = this.#wrapRows || this.#wrapCols || this.#hexLattice;
 
     for (let r = 0; r < rows; r++) {
       const outRow = out[r];
@@ -6824,11 +7789,12 @@ export default class GridManager {
       for (let c = 0; c < cols; c++) {
         const leftIndex = colLeft[c];
         const rightIndex = colRight[c];
-        const regionSum =
-          bottomRow[rightIndex] -
-          topRow[rightIndex] -
-          bottomRow[leftIndex] +
-          topRow[leftIndex];
+        const regionSum = segmented
+          ? this.#sumSegmentedDensityWindow(integral, r, c, normalizedRadius)
+          : bottomRow[rightIndex] -
+            topRow[rightIndex] -
+            bottomRow[leftIndex] +
+            topRow[leftIndex];
         const occupied = gridRow?.[c] ? 1 : 0;
         const neighborCount = regionSum - occupied;
         const totalNeighbors = totalsRow?.[c] ?? 0;
@@ -6857,7 +7823,7 @@ export default class GridManager {
     return total > 0 ? count / total : 0;
   }
 
-  #ensureImageDataBuffer() {
+  #ensureImageDataBuffer(targetCtx) {
     const width = Math.max(0, Math.floor(this.cols));
     const height = Math.max(0, Math.floor(this.rows));
 
@@ -6889,6 +7855,9 @@ export default class GridManager {
         canvas = document.createElement("canvas");
         canvas.width = width;
         canvas.height = height;
+      } else if (targetCtx?.canvas instanceof SoftwareCanvas) {
+        // Headless frame export: keep the tile buffer in software as well.
+        canvas = new SoftwareCanvas(width, height);
       } else {
         this.#resetImageDataBuffer();
 
@@ -6934,10 +7903,14 @@ export default class GridManager {
   #populateImageDataFull() {
     if (!this.#imageData || !this.#imageDataCtx) return;
 
-    const { data } = this.#imageData;
+    this.#fillTilePixels(this.#imageData.data, this.#imageData32);
+    this.#imageDataCtx.putImageData(this.#imageData, 0, 0);
+    this.#imageDataNeedsFullRefresh = false;
+  }
+
+  #fillTilePixels(data, data32) {
     const rows = this.rows;
     const cols = this.cols;
-    const data32 = this.#imageData32;
     const canUsePacked = Boolean(data32) && data32.length === data.length / 4;
 
     if (canUsePacked && data32) {
@@ -6973,9 +7946,45 @@ export default class GridManager {
         }
       }
     }
+  }
 
-    this.#imageDataCtx.putImageData(this.#imageData, 0, 0);
-    this.#imageDataNeedsFullRefresh = false;
+  /**
+   * Writes one RGBA pixel per tile (row-major, `rows × cols × 4` bytes) using
+   * the same colour records as the image-data renderer. Worker-backed engines
+   * transfer this buffer to the main thread instead of sharing a canvas.
+   *
+   * @param {Uint8ClampedArray} [target] - Buffer to reuse when it has the
+   *   right length; a new one is allocated otherwise.
+   * @param {{showObstacles?: boolean}} [options] - Paint obstacle tiles with
+   *   the canvas renderer's obstacle fill.
+   * @returns {Uint8ClampedArray} The filled buffer.
+   */
+  writeRgbaFrame(target, { showObstacles = true } = {}) {
+    const length = this.rows * this.cols * 4;
+    const data =
+      target instanceof Uint8ClampedArray && target.length === length
+        ? target
+        : new Uint8ClampedArray(length);
+    const data32 =
+      supportsPackedColor && data.byteOffset % 4 === 0
+        ? new Uint32Array(data.buffer, data.byteOffset, length / 4)
+        : null;
+
+    this.#fillTilePixels(data, data32);
+
+    if (showObstacles && this.obstacles) {
+      for (let row = 0; row < this.rows; row++) {
+        const obstacleRow = this.obstacles[row];
+
+        for (let col = 0; col < this.cols; col++) {
+          if (!obstacleRow?.[col]) continue;
+
+          data.set(OBSTACLE_FRAME_RGBA, (row * this.cols + col) * 4);
+        }
+      }
+    }
+
+    return data;
   }
 
   #applyDirtyTilesToImageData(dirtyTiles) {
@@ -7312,6 +8321,12 @@ export default class GridManager {
       strokeCtx.lineWidth = Math.max(1, cellSize * entry.lineWidthScale);
 
       let hasAny = false;
+      const hex = this.#hexLattice;
+
+      if (hex) {
+        fillCtx.beginPath();
+        strokeCtx.beginPath();
+      }
 
       for (let row = 0; row < this.rows; row++) {
         const maskRow = this.obstacles[row];
@@ -7321,6 +8336,14 @@ export default class GridManager {
         for (let col = 0; col < this.cols; col++) {
           if (!maskRow[col]) continue;
 
+          if (hex) {
+            traceHexTile(fillCtx, row, col, cellSize);
+            traceHexTile(strokeCtx, row, col, cellSize, 0.5);
+            hasAny = true;
+
+            continue;
+          }
+
           const x = col * cellSize;
           const y = row * cellSize;
 
@@ -7330,6 +8353,11 @@ export default class GridManager {
         }
       }
 
+      if (hex && hasAny) {
+        fillCtx.fill();
+        strokeCtx.stroke();
+      }
+
       entry.width = width;
       entry.height = height;
       entry.cellSize = cellSize;
@@ -7372,7 +8400,11 @@ export default class GridManager {
     let paintedCells = 0;
     const totalTiles = this.rows * this.cols;
 
-    for (let row = 0; row < this.rows; row++) {
+    if (this.#hexLattice) {
+      paintedCells = this.#drawHexCells(ctx, cellSize);
+    }
+
+    for (let row = 0; row < this.rows && !this.#hexLattice; row++) {
       const gridRow = this.grid[row];
 
       if (!gridRow) continue;
@@ -7434,8 +8466,75 @@ export default class GridManager {
     };
   }
 
+  // Uncached obstacle paint for hex lattices: filled hexagons with only the
+  // outer edges of each wall outlined.
+  #drawHexObstacles(ctx, cellSize) {
+    const obstacles = this.obstacles;
+
+    ctx.beginPath();
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        if (obstacles[row][col]) traceHexTile(ctx, row, col, cellSize);
+      }
+    }
+    ctx.fillStyle = "rgba(40,40,55,0.9)";
+    ctx.fill();
+    ctx.beginPath();
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        if (!obstacles[row][col]) continue;
+        traceHexBoundary(ctx, row, col, cellSize, (r, c) => Boolean(obstacles[r]?.[c]));
+      }
+    }
+    ctx.strokeStyle = "rgba(200,200,255,0.25)";
+    ctx.lineWidth = Math.max(1, cellSize * 0.1);
+    ctx.stroke();
+  }
+
+  // Hex tiles cannot be blitted as pixel spans, so residents are batched into
+  // one hexagon path per colour and filled once per colour.
+  #drawHexCells(ctx, cellSize) {
+    const pathsByColor = new Map();
+    let paintedCells = 0;
+
+    for (let row = 0; row < this.rows; row++) {
+      const gridRow = this.grid[row];
+
+      if (!gridRow) continue;
+
+      for (let col = 0; col < this.cols; col++) {
+        const color = gridRow[col]?.color;
+
+        if (!color) continue;
+
+        let tiles = pathsByColor.get(color);
+
+        if (!tiles) {
+          tiles = [];
+          pathsByColor.set(color, tiles);
+        }
+
+        tiles.push(row, col);
+        paintedCells++;
+      }
+    }
+
+    for (const [color, tiles] of pathsByColor) {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+
+      for (let i = 0; i < tiles.length; i += 2) {
+        traceHexTile(ctx, tiles[i], tiles[i + 1], cellSize);
+      }
+
+      ctx.fill();
+    }
+
+    return paintedCells;
+  }
+
   #drawCellsWithImageData(ctx) {
-    if (!this.#ensureImageDataBuffer()) {
+    if (!this.#ensureImageDataBuffer(ctx)) {
       return null;
     }
 
@@ -7616,7 +8715,17 @@ export default class GridManager {
         }
       }
 
-      if (!drewWithCache) {
+      if (!drewWithCache && this.#hexLattice) {
+        this.#drawHexObstacles(ctx, cellSize);
+
+        if (this.obstacleRenderCache) {
+          this.obstacleRenderCache.lastBasePaint = {
+            revision: this.obstacleRenderCache.revision,
+            cellSize,
+            lineWidthScale: 0.1,
+          };
+        }
+      } else if (!drewWithCache) {
         ctx.fillStyle = "rgba(40,40,55,0.9)";
         for (let row = 0; row < this.rows; row++) {
           for (let col = 0; col < this.cols; col++) {
@@ -7652,7 +8761,8 @@ export default class GridManager {
       this.obstacleRenderCache.lastBasePaint = null;
     }
 
-    const tryImageData = preferredStrategy !== RenderStrategy.CANVAS;
+    const tryImageData =
+      preferredStrategy !== RenderStrategy.CANVAS && !this.#hexLattice;
 
     if (tryImageData) {
       const imageStart = TIMESTAMP_NOW();
@@ -7917,7 +9027,7 @@ export default class GridManager {
         eventStrengthMultiplier,
         this.maxTileEnergy,
         {
-          eventContext: this.eventContext,
+          eventContext: this.#resolveCellEventContext(),
           effectCache: this.eventEffectCache,
         },
       );
@@ -7930,6 +9040,7 @@ export default class GridManager {
       densityEffectMultiplier,
       maxTileEnergy: this.maxTileEnergy,
       scarcityRelief,
+      climatePhase: this.climatePhase,
     });
 
     if (starved || cell.energy <= 0) {
@@ -8240,10 +9351,7 @@ export default class GridManager {
         : Number.isFinite(candidate?.target?.col)
           ? candidate.target.col
           : parentCol;
-      const separation = Math.max(
-        Math.abs(targetRow - parentRow),
-        Math.abs(targetCol - parentCol),
-      );
+      const separation = this.tileDistance(parentRow, parentCol, targetRow, targetCol);
       const normalizedSeparation = Number.isFinite(separation)
         ? separation
         : Number.POSITIVE_INFINITY;
@@ -8935,9 +10043,7 @@ export default class GridManager {
         : thrFracA * this.maxTileEnergy;
     let thrB =
       mateEnergyThreshold != null ? mateEnergyThreshold : thrFracB * this.maxTileEnergy;
-    const rowDelta = Math.abs(parentRow - mateRow);
-    const colDelta = Math.abs(parentCol - mateCol);
-    const separation = Math.max(rowDelta, colDelta);
+    const separation = this.tileDistance(parentRow, parentCol, mateRow, mateCol);
     const parentReach =
       typeof cell.getReproductionReach === "function"
         ? cell.getReproductionReach({
@@ -9073,8 +10179,13 @@ export default class GridManager {
       const colsCount = this.cols;
       const grid = this.grid;
       const obstacles = this.obstacles; // Cache to avoid repeated property walks in the hot path.
-      const addCandidate = (r, c) => {
-        if (r < 0 || r >= rowsCount || c < 0 || c >= colsCount) return;
+      const wrapRows = this.#wrapRows;
+      const wrapCols = this.#wrapCols;
+      const addCandidate = (candidateRow, candidateCol) => {
+        const r = wrapIndex(candidateRow, rowsCount, wrapRows);
+        const c = wrapIndex(candidateCol, colsCount, wrapCols);
+
+        if (r < 0 || c < 0) return;
 
         const key = r * colsCount + c;
 
@@ -9090,11 +10201,14 @@ export default class GridManager {
 
         candidates.push({ r, c });
       };
-      const neighborOffsets = NEIGHBOR_OFFSETS;
-      const neighborCount = neighborOffsets.length;
+      const hexLattice = this.#hexLattice;
       const addNeighbors = (baseRow, baseCol) => {
+        const neighborOffsets = hexLattice
+          ? hexNeighborOffsets(baseRow)
+          : NEIGHBOR_OFFSETS;
+
         // Index iteration avoids array destructuring allocations on this hot path.
-        for (let i = 0; i < neighborCount; i += 1) {
+        for (let i = 0; i < neighborOffsets.length; i += 1) {
           const offset = neighborOffsets[i];
 
           addCandidate(baseRow + offset[0], baseCol + offset[1]);
@@ -9138,6 +10252,7 @@ export default class GridManager {
             } else {
               const offspring = Cell.breed(cell, bestMate.target, mutationMultiplier, {
                 maxTileEnergy: this.maxTileEnergy,
+                rng: this.breedingRng ?? undefined,
               });
 
               if (offspring) {
@@ -9309,10 +10424,7 @@ export default class GridManager {
       return true;
     }
 
-    const dist = Math.max(
-      Math.abs(targetEnemy.row - row),
-      Math.abs(targetEnemy.col - col),
-    );
+    const dist = this.tileDistance(row, col, targetEnemy.row, targetEnemy.col);
     const reachContext = {
       action,
       localDensity,
@@ -9353,6 +10465,7 @@ export default class GridManager {
             densityEffectMultiplier,
             combatEdgeSharpness,
             combatTerritoryEdgeFactor,
+            trophicMode: this.trophicMode,
           });
       } else {
         this.boundMoveToTarget(
@@ -9428,6 +10541,7 @@ export default class GridManager {
       tileEnergyDelta: this.energyDeltaGrid?.[row]?.[col] ?? 0,
       maxTileEnergy: this.maxTileEnergy,
       isTileBlocked: (rr, cc) => this.isTileBlocked(rr, cc),
+      moveDirections: this.#hexLattice ? hexMoveDirections(row) : undefined,
     });
   }
 
@@ -9443,6 +10557,8 @@ export default class GridManager {
     lowDiversityReproMultiplier,
     combatEdgeSharpness = GridManager.combatEdgeSharpness,
     combatTerritoryEdgeFactor = GridManager.combatTerritoryEdgeFactor,
+    climatePhase = 0,
+    trophicMode = false,
   } = {}) {
     const stats = this.stats;
     const eventManager = this.eventManager;
@@ -9463,6 +10579,8 @@ export default class GridManager {
 
     this.lastSnapshot = null;
     this.tickCount += 1;
+    this.climatePhase = Number.isFinite(climatePhase) ? clamp(climatePhase, -1, 1) : 0;
+    this.trophicMode = Boolean(trophicMode);
     this.#resetTickSimilarityCache();
 
     this.populationScarcitySignal = this.#computePopulationScarcitySignal();
@@ -9554,6 +10672,10 @@ export default class GridManager {
           age,
           fightsWon,
           offspring,
+          id: cell.id,
+          cladeId: cell.cladeId,
+          generation: cell.generation,
+          parentIds: cell.parentIds,
         };
 
         if (colorCandidate) {
@@ -9987,10 +11109,7 @@ export default class GridManager {
 
     const grid = this.grid;
     const sight = Math.max(0, Math.floor(Number.isFinite(cell.sight) ? cell.sight : 0));
-    const minRow = Math.max(0, row - sight);
-    const maxRow = Math.min(this.rows - 1, row + sight);
-    const minCol = Math.max(0, col - sight);
-    const maxCol = Math.min(this.cols - 1, col + sight);
+    const bands = this.#collectWindowBands(row, col, sight, this.#targetBands);
     const hasSharedRng = typeof cell.resolveSharedRng === "function";
     const resolveHostilityRng = hasSharedRng
       ? (other) => cell.resolveSharedRng(other, "hostilityGate")
@@ -10069,209 +11188,280 @@ export default class GridManager {
       return true;
     };
 
-    for (let targetRow = minRow; targetRow <= maxRow; targetRow++) {
-      const gridRow = grid[targetRow];
+    for (let b = 0; b < bands.length; b += 4) {
+      const minRow = bands[b];
+      const maxRow = bands[b + 1];
+      const minCol = bands[b + 2];
+      const maxCol = bands[b + 3];
 
-      if (!gridRow) {
-        const bucket = occupancyRows?.[targetRow];
+      for (let targetRow = minRow; targetRow <= maxRow; targetRow++) {
+        const gridRow = grid[targetRow];
 
-        bucket?.clear?.();
+        if (!gridRow) {
+          const bucket = occupancyRows?.[targetRow];
 
-        continue;
-      }
+          bucket?.clear?.();
 
-      const bucket = occupancyRows?.[targetRow] ?? null;
-      let processed = 0;
-      let attemptedCachedScan = false;
-      let rowOccupancyDirty = false;
+          continue;
+        }
 
-      if (bucket && bucket.size > 0) {
-        const columns = this.#getRowOccupantColumns(targetRow, bucket);
+        const bucket = occupancyRows?.[targetRow] ?? null;
+        let processed = 0;
+        let attemptedCachedScan = false;
+        let rowOccupancyDirty = false;
 
-        if (Array.isArray(columns) && columns.length > 0) {
-          let index = lowerBound(columns, minCol);
+        if (bucket && bucket.size > 0) {
+          const columns = this.#getRowOccupantColumns(targetRow, bucket);
 
-          while (index < columns.length) {
-            const targetCol = columns[index];
+          if (Array.isArray(columns) && columns.length > 0) {
+            let index = lowerBound(columns, minCol);
 
-            if (targetCol > maxCol) {
-              break;
-            }
+            while (index < columns.length) {
+              const targetCol = columns[index];
 
-            attemptedCachedScan = true;
+              if (targetCol > maxCol) {
+                break;
+              }
 
-            if (!bucket.has(targetCol)) {
-              rowOccupancyDirty = true;
-              index += 1;
+              attemptedCachedScan = true;
 
-              continue;
-            }
+              if (!bucket.has(targetCol)) {
+                rowOccupancyDirty = true;
+                index += 1;
 
-            const target = gridRow[targetCol];
+                continue;
+              }
 
-            if (!target) {
-              rowOccupancyDirty = true;
-              bucket.delete(targetCol);
+              const target = gridRow[targetCol];
 
-              const columnBucket = occupancyColumns?.[targetCol];
+              if (!target) {
+                rowOccupancyDirty = true;
+                bucket.delete(targetCol);
 
-              columnBucket?.delete?.(targetRow);
+                const columnBucket = occupancyColumns?.[targetCol];
 
-              const columnList = this.#columnOccupancySorted?.[targetCol];
+                columnBucket?.delete?.(targetRow);
 
-              if (Array.isArray(columnList)) {
-                const removalIndex = lowerBound(columnList, targetRow);
+                const columnList = this.#columnOccupancySorted?.[targetCol];
 
-                if (
-                  removalIndex < columnList.length &&
-                  columnList[removalIndex] === targetRow
-                ) {
-                  columnList.splice(removalIndex, 1);
+                if (Array.isArray(columnList)) {
+                  const removalIndex = lowerBound(columnList, targetRow);
+
+                  if (
+                    removalIndex < columnList.length &&
+                    columnList[removalIndex] === targetRow
+                  ) {
+                    columnList.splice(removalIndex, 1);
+                  }
                 }
-              }
 
-              index += 1;
+                index += 1;
 
-              continue;
-            }
+                continue;
+              }
 
-            if (targetRow === row && targetCol === col) {
-              index += 1;
+              if (targetRow === row && targetCol === col) {
+                index += 1;
 
-              continue;
-            }
+                continue;
+              }
 
-            if (handleCandidate(targetRow, targetCol, target, bucket)) {
-              processed += 1;
-            }
+              if (handleCandidate(targetRow, targetCol, target, bucket)) {
+                processed += 1;
+              }
 
-            index += 1;
+              index += 1;
+            }
           }
         }
-      }
 
-      if (rowOccupancyDirty) {
-        this.#getRowOccupantColumns(targetRow, bucket, { refresh: true });
-      }
+        if (rowOccupancyDirty) {
+          this.#getRowOccupantColumns(targetRow, bucket, { refresh: true });
+        }
 
-      if (processed === 0 && !attemptedCachedScan) {
-        let columnProcessed = 0;
+        if (processed === 0 && !attemptedCachedScan) {
+          let columnProcessed = 0;
 
-        if (Array.isArray(occupancyColumns)) {
-          for (let targetCol = minCol; targetCol <= maxCol; targetCol++) {
-            const columnBucket = occupancyColumns?.[targetCol] ?? null;
+          if (Array.isArray(occupancyColumns)) {
+            for (let targetCol = minCol; targetCol <= maxCol; targetCol++) {
+              const columnBucket = occupancyColumns?.[targetCol] ?? null;
 
-            if (!columnBucket || columnBucket.size === 0) {
-              continue;
-            }
+              if (!columnBucket || columnBucket.size === 0) {
+                continue;
+              }
 
-            const rowsForColumn = this.#getColumnOccupantRows(targetCol, columnBucket);
+              const rowsForColumn = this.#getColumnOccupantRows(
+                targetCol,
+                columnBucket,
+              );
 
-            if (!Array.isArray(rowsForColumn) || rowsForColumn.length === 0) {
-              continue;
-            }
+              if (!Array.isArray(rowsForColumn) || rowsForColumn.length === 0) {
+                continue;
+              }
 
-            let columnRowsDirty = false;
-            let rowIndex = lowerBound(rowsForColumn, minRow);
+              let columnRowsDirty = false;
+              let rowIndex = lowerBound(rowsForColumn, minRow);
 
-            while (rowIndex < rowsForColumn.length) {
-              const candidateRow = rowsForColumn[rowIndex];
+              while (rowIndex < rowsForColumn.length) {
+                const candidateRow = rowsForColumn[rowIndex];
 
-              if (candidateRow > maxRow) {
-                break;
-              }
+                if (candidateRow > maxRow) {
+                  break;
+                }
 
-              if (!columnBucket.has(candidateRow)) {
-                columnRowsDirty = true;
-                rowIndex += 1;
+                if (!columnBucket.has(candidateRow)) {
+                  columnRowsDirty = true;
+                  rowIndex += 1;
 
-                continue;
-              }
+                  continue;
+                }
 
-              let candidateRowBucket = occupancyRows?.[candidateRow] ?? null;
-              const target = this.grid[candidateRow]?.[targetCol];
+                let candidateRowBucket = occupancyRows?.[candidateRow] ?? null;
+                const target = this.grid[candidateRow]?.[targetCol];
 
-              if (!target) {
-                columnRowsDirty = true;
-                columnBucket.delete(candidateRow);
-                candidateRowBucket?.delete?.(targetCol);
-                this.#getRowOccupantColumns(candidateRow, candidateRowBucket, {
-                  refresh: true,
-                });
-                rowIndex += 1;
+                if (!target) {
+                  columnRowsDirty = true;
+                  columnBucket.delete(candidateRow);
+                  candidateRowBucket?.delete?.(targetCol);
+                  this.#getRowOccupantColumns(candidateRow, candidateRowBucket, {
+                    refresh: true,
+                  });
+                  rowIndex += 1;
 
-                continue;
-              }
+                  continue;
+                }
 
-              if (candidateRow === row && targetCol === col) {
-                rowIndex += 1;
+                if (candidateRow === row && targetCol === col) {
+                  rowIndex += 1;
 
-                continue;
-              }
+                  continue;
+                }
 
-              if (!candidateRowBucket?.has?.(targetCol)) {
-                this.#recordOccupancy(candidateRow, targetCol);
-                candidateRowBucket = occupancyRows?.[candidateRow] ?? null;
+                if (!candidateRowBucket?.has?.(targetCol)) {
+                  this.#recordOccupancy(candidateRow, targetCol);
+                  candidateRowBucket = occupancyRows?.[candidateRow] ?? null;
+                }
+
+                if (
+                  handleCandidate(candidateRow, targetCol, target, candidateRowBucket)
+                ) {
+                  columnProcessed += 1;
+                }
+
+                rowIndex += 1;
               }
 
-              if (
-                handleCandidate(candidateRow, targetCol, target, candidateRowBucket)
-              ) {
-                columnProcessed += 1;
+              if (columnRowsDirty) {
+                this.#getColumnOccupantRows(targetCol, columnBucket, {
+                  refresh: true,
+                });
               }
 
-              rowIndex += 1;
+              if (columnProcessed > 0) {
+                break;
+              }
             }
+          }
 
-            if (columnRowsDirty) {
-              this.#getColumnOccupantRows(targetCol, columnBucket, { refresh: true });
+          if (columnProcessed > 0) {
+            processed += columnProcessed;
+            attemptedCachedScan = true;
+          }
+        }
+
+        if (processed === 0) {
+          let encounteredUntracked = false;
+
+          for (let targetCol = minCol; targetCol <= maxCol; targetCol++) {
+            if (targetRow === row && targetCol === col) {
+              continue;
             }
 
-            if (columnProcessed > 0) {
-              break;
+            if (bucket?.has?.(targetCol)) {
+              continue;
             }
-          }
-        }
 
-        if (columnProcessed > 0) {
-          processed += columnProcessed;
-          attemptedCachedScan = true;
-        }
-      }
+            const target = gridRow[targetCol];
 
-      if (processed === 0) {
-        let encounteredUntracked = false;
+            if (!target) {
+              continue;
+            }
 
-        for (let targetCol = minCol; targetCol <= maxCol; targetCol++) {
-          if (targetRow === row && targetCol === col) {
-            continue;
+            encounteredUntracked = true;
+
+            if (handleCandidate(targetRow, targetCol, target, bucket)) {
+              this.#recordOccupancy(targetRow, targetCol);
+              processed += 1;
+            }
           }
 
-          if (bucket?.has?.(targetCol)) {
+          if (!encounteredUntracked) {
             continue;
           }
+        }
+      }
+    }
 
-          const target = gridRow[targetCol];
+    return this.#targetGroupsView;
+  }
 
-          if (!target) {
-            continue;
-          }
+  // Neighbourhood windows as flat [minRow, maxRow, minCol, maxCol] blocks
+  // (inclusive). Square windows split at wrapping edges into at most four
+  // blocks; hex windows contribute one block per row span.
+  #collectWindowBands(row, col, radius, bands) {
+    bands.length = 0;
 
-          encounteredUntracked = true;
+    if (this.#hexLattice) {
+      for (let dr = -radius; dr <= radius; dr++) {
+        const targetRow = wrapIndex(row + dr, this.rows, this.#wrapRows);
 
-          if (handleCandidate(targetRow, targetCol, target, bucket)) {
-            this.#recordOccupancy(targetRow, targetCol);
-            processed += 1;
-          }
-        }
+        if (targetRow < 0) continue;
 
-        if (!encounteredUntracked) {
-          continue;
+        const colSpans = hexSpanSegments(
+          row,
+          col,
+          dr,
+          radius,
+          this.cols,
+          this.#wrapCols,
+          this.#targetColSpans,
+        );
+
+        for (let cs = 0; cs < colSpans.length; cs += 2) {
+          bands.push(targetRow, targetRow, colSpans[cs], colSpans[cs + 1] - 1);
         }
       }
+
+      return bands;
     }
 
-    return this.#targetGroupsView;
+    const rowSpans = windowSegments(
+      row,
+      radius,
+      this.rows,
+      this.#wrapRows,
+      this.#targetRowSpans,
+    );
+    const colSpans = windowSegments(
+      col,
+      radius,
+      this.cols,
+      this.#wrapCols,
+      this.#targetColSpans,
+    );
+
+    for (let rs = 0; rs < rowSpans.length; rs += 2) {
+      for (let cs = 0; cs < colSpans.length; cs += 2) {
+        bands.push(
+          rowSpans[rs],
+          rowSpans[rs + 1] - 1,
+          colSpans[cs],
+          colSpans[cs + 1] - 1,
+        );
+      }
+    }
+
+    return bands;
   }
 
   // Spawn a cluster of new cells around a center position
@@ -10280,10 +11470,10 @@ export default class GridManager {
 
     for (let dy = -radius; dy <= radius; dy++) {
       for (let dx = -radius; dx <= radius; dx++) {
-        const rr = centerRow + dy;
-        const cc = centerCol + dx;
+        const rr = wrapIndex(centerRow + dy, this.rows, this.#wrapRows);
+        const cc = wrapIndex(centerCol + dx, this.cols, this.#wrapCols);
 
-        if (rr < 0 || rr >= this.rows || cc < 0 || cc >= this.cols) continue;
+        if (rr < 0 || cc < 0) continue;
 
         coords.push({ rr, cc });
       }
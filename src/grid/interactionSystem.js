@@ -1,6 +1,7 @@
 import { clamp, clamp01 } from "../utils/math.js";
 import { resolveCellColor } from "../utils/cell.js";
 import { createInteractionAdapter } from "./interactionAdapterRegistry.js";
+import { resolveCarnivory, resolvePredation } from "./trophic.js";
 import {
   COMBAT_EDGE_SHARPNESS_DEFAULT,
   COMBAT_TERRITORY_EDGE_FACTOR,
@@ -329,10 +330,10 @@ function moveVictoriousAttacker({
   densityGrid,
   densityEffectMultiplier,
 }) {
-  const distance = Math.max(
-    Math.abs(targetRow - attackerRow),
-    Math.abs(targetCol - attackerCol),
-  );
+  const distance =
+    typeof adapter?.tileDistance === "function"
+      ? adapter.tileDistance(attackerRow, attackerCol, targetRow, targetCol)
+      : Math.max(Math.abs(targetRow - attackerRow), Math.abs(targetCol - attackerCol));
 
   if (distance > 1) {
     return;
@@ -347,6 +348,10 @@ function moveVictoriousAttacker({
   if (!relocated) {
     if (attackerTile === attacker) {
       clearAdapterCell(adapter, attackerRow, attackerCol);
+    } else if (getAdapterCell(adapter, attacker.row, attacker.col) === attacker) {
+      // The attacker already moved this tick (toward a mate, say); vacate the
+      // tile it actually holds so the grid never keeps a stale reference.
+      clearAdapterCell(adapter, attacker.row, attacker.col);
     }
 
     placeAdapterCell(adapter, targetRow, targetCol, attacker);
@@ -431,6 +436,7 @@ export default class InteractionSystem {
     densityEffectMultiplier,
     combatEdgeSharpness,
     combatTerritoryEdgeFactor,
+    trophicMode,
   } = {}) {
     const intents = this.pendingIntents;
     const originalLength = intents.length;
@@ -445,6 +451,7 @@ export default class InteractionSystem {
       densityEffectMultiplier,
       combatEdgeSharpness,
       combatTerritoryEdgeFactor,
+      trophicMode,
     };
 
     let processedAny = false;
@@ -477,6 +484,7 @@ export default class InteractionSystem {
       densityEffectMultiplier,
       combatEdgeSharpness,
       combatTerritoryEdgeFactor,
+      trophicMode,
     } = {},
   ) {
     if (!intent || typeof intent !== "object") return false;
@@ -489,6 +497,7 @@ export default class InteractionSystem {
           densityEffectMultiplier,
           combatEdgeSharpness,
           combatTerritoryEdgeFactor,
+          trophicMode,
         });
       case "cooperate":
         return this.#resolveCooperation(intent, { stats });
@@ -505,6 +514,7 @@ export default class InteractionSystem {
       densityEffectMultiplier,
       combatEdgeSharpness,
       combatTerritoryEdgeFactor,
+      trophicMode = false,
     } = {},
   ) {
     const adapter = this.adapter;
@@ -574,6 +584,7 @@ export default class InteractionSystem {
       };
       let deathHandled = false;
 
+      if (trophicMode) this.#feedOnPrey(attacker, defeated);
       if (defeated && typeof adapter.registerDeath === "function") {
         adapter.registerDeath(defeated, defeatDetails);
         deathHandled = true;
@@ -620,6 +631,7 @@ export default class InteractionSystem {
     };
     let attackerDeathHandled = false;
 
+    if (trophicMode) this.#feedOnPrey(defender, defeatedAttacker);
     if (defeatedAttacker && typeof adapter.registerDeath === "function") {
       adapter.registerDeath(defeatedAttacker, attackerDefeatDetails);
       attackerDeathHandled = true;
@@ -640,6 +652,30 @@ export default class InteractionSystem {
     return true;
   }
 
+  /**
+   * Trophic mode: the victor eats part of the loser before it is registered as
+   * dead, so whatever it does not eat still returns to the soil as decay.
+   */
+  #feedOnPrey(predator, prey) {
+    if (!predator || !prey) return;
+
+    const { eaten, gained } = resolvePredation(resolveCarnivory(predator), prey.energy);
+
+    if (!(eaten > 0)) return;
+
+    const maxTileEnergy =
+      typeof this.adapter?.maxTileEnergy === "function"
+        ? this.adapter.maxTileEnergy()
+        : Number.POSITIVE_INFINITY;
+    const energy = Number.isFinite(predator.energy) ? predator.energy : 0;
+
+    prey.energy = Math.max(0, prey.energy - eaten);
+    predator.energy = Math.min(
+      maxTileEnergy > 0 ? maxTileEnergy : Number.POSITIVE_INFINITY,
+      energy + gained,
+    );
+  }
+
   #resolveCooperation(intent, { stats } = {}) {
     const adapter = this.adapter;
 
@@ -0,0 +1,272 @@
+import { spanSegments } from "./topology.js";
+
+/**
+ * Tile lattices. `"square"` is the classic grid; `"hex"` lays the same
+ * `rows`×`cols` arrays out as pointy-top hexagons in "odd-r" offset
+ * coordinates: odd rows sit half a tile to the right, so every tile touches
+ * six neighbours — two in its own row and two in each adjacent row.
+ */
+export const GRID_LATTICES = Object.freeze(["square", "hex"]);
+
+export const DEFAULT_GRID_LATTICE = "square";
+
+/**
+ * Normalizes a lattice name, falling back to {@link DEFAULT_GRID_LATTICE}.
+ *
+ * @param {unknown} value
+ * @returns {"square"|"hex"}
+ */
+export function resolveGridLattice(value) {
+  const normalized = typeof value === "string" ? value.trim().toLowerCase() : "";
+
+  return GRID_LATTICES.includes(normalized) ? normalized : DEFAULT_GRID_LATTICE;
+}
+
+// Neighbour offsets clockwise from north-east, matching the hexagon edges
+// traced by `traceHexTile` so edge `i` borders neighbour `i`.
+const EVEN_ROW_OFFSETS = Object.freeze(
+  [
+    [-1, 0],
+    [0, 1],
+    [1, 0],
+    [1, -1],
+    [0, -1],
+    [-1, -1],
+  ].map((offset) => Object.freeze(offset)),
+);
+const ODD_ROW_OFFSETS = Object.freeze(
+  [
+    [-1, 1],
+    [0, 1],
+    [1, 1],
+    [1, 0],
+    [0, -1],
+    [-1, 0],
+  ].map((offset) => Object.freeze(offset)),
+);
+const toDirections = (offsets) =>
+  Object.freeze(offsets.map(([dr, dc]) => Object.freeze({ dr, dc })));
+const EVEN_ROW_DIRECTIONS = toDirections(EVEN_ROW_OFFSETS);
+const ODD_ROW_DIRECTIONS = toDirections(ODD_ROW_OFFSETS);
+
+/**
+ * The six `[dr, dc]` neighbour offsets of a tile in `row`.
+ *
+ * @param {number} row
+ * @returns {ReadonlyArray<ReadonlyArray<number>>}
+ */
+export function hexNeighborOffsets(row) {
+  return row & 1 ? ODD_ROW_OFFSETS : EVEN_ROW_OFFSETS;
+}
+
+/**
+ * {@link hexNeighborOffsets} as `{dr, dc}` movement directions.
+ *
+ * @param {number} row
+ * @returns {ReadonlyArray<{dr: number, dc: number}>}
+ */
+export function hexMoveDirections(row) {
+  return row & 1 ? ODD_ROW_DIRECTIONS : EVEN_ROW_DIRECTIONS;
+}
+
+/**
+ * Snaps a square-lattice step onto a hex neighbour by fixing its column delta.
+ * Cardinal steps are already hex neighbours; a diagonal that points at the
+ * side a row has no neighbour on keeps its row step and drops the column step.
+ *
+ * @param {number} row - Row the step starts from.
+ * @param {number} deltaRow
+ * @param {number} deltaCol
+ * @returns {number} Column delta to use.
+ */
+export function snapHexStep(row, deltaRow, deltaCol) {
+  if (deltaRow === 0 || deltaCol === 0) return deltaCol;
+
+  return deltaCol === (row & 1 ? 1 : -1) ? deltaCol : 0;
+}
+
+/**
+ * Column ranges of one row of the hex window (all tiles within `radius` steps)
+ * around `(row, col)`. The window row `row + dr` holds `2 * radius + 1 - |dr|`
+ * tiles; like `windowSegments`, the result is written flat as half-open
+ * `[start, end, ...]` pairs, split or clamped at the column edges.
+ *
+ * @param {number} row
+ * @param {number} col
+ * @param {number} dr - Row offset inside the window, `-radius..radius`.
+ * @param {number} radius
+ * @param {number} cols
+ * @param {boolean} wrapCols
+ * @param {number[]} [out]
+ * @returns {number[]}
+ */
+export function hexSpanSegments(row, col, dr, radius, cols, wrapCols, out = []) {
+  const rowShift = row & 1 ? Math.floor((dr + 1) / 2) : Math.floor(dr / 2);
+  const start = col + rowShift + Math.max(-radius, -dr - radius);
+
+  return spanSegments(
+    start,
+    start + 2 * radius + 1 - Math.abs(dr),
+    cols,
+    wrapCols,
+    out,
+  );
+}
+
+function axialDistance(rowA, colA, rowB, colB) {
+  const dq = colB - Math.floor(rowB / 2) - (colA - Math.floor(rowA / 2));
+  const dr = rowB - rowA;
+
+  return Math.max(Math.abs(dq), Math.abs(dr), Math.abs(dq + dr));
+}
+
+/**
+ * Steps between two hex tiles. Pass the grid size and wrap flags to measure
+ * the short way round on wrapping axes. Rows only wrap with an even row count
+ * so row parity survives the seam; the grid leaves odd hex grids unwrapped.
+ *
+ * @param {number} rowA
+ * @param {number} colA
+ * @param {number} rowB
+ * @param {number} colB
+ * @param {{rows?: number, cols?: number, wrapRows?: boolean, wrapCols?: boolean}} [wrap]
+ * @returns {number}
+ */
+export function hexDistance(rowA, colA, rowB, colB, wrap = {}) {
+  const { rows = 0, cols = 0, wrapRows = false, wrapCols = false } = wrap ?? {};
+  const rowShifts = wrapRows && rows > 0 ? [0, -rows, rows] : [0];
+  const colShifts = wrapCols && cols > 0 ? [0, -cols, cols] : [0];
+  let best = Infinity;
+
+  for (const rowShift of rowShifts) {
+    for (const colShift of colShifts) {
+      const distance = axialDistance(rowA, colA, rowB + rowShift, colB + colShift);
+
+      if (distance < best) best = distance;
+    }
+  }
+
+  return best;
+}
+
+// Hexagons are stretched to the square cell pitch: `cellSize` wide with rows
+// `cellSize` apart. These vertex offsets make each hexagon the Voronoi cell of
+// its centre, so `hexTileAt` can resolve points by nearest centre.
+const HEX_TIP = 5 / 8;
+const HEX_SHOULDER = 3 / 8;
+
+/**
+ * Canvas-space centre of a hex tile.
+ *
+ * @param {number} row
+ * @param {number} col
+ * @param {number} cellSize
+ * @returns {{x: number, y: number}}
+ */
+export function hexTileCenter(row, col, cellSize) {
+  return {
+    x: (col + 0.5 + (row & 1) * 0.5) * cellSize,
+    y: (row + 0.5) * cellSize,
+  };
+}
+
+/**
+ * Adds the outline of a hex tile to the current path as a closed subpath, so
+ * many tiles can be filled or stroked with one call.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} row
+ * @param {number} col
+ * @param {number} cellSize
+ * @param {number} [inset=0] - Pixels to shrink the hexagon by at its sides.
+ */
+export function traceHexTile(ctx, row, col, cellSize, inset = 0) {
+  const { x, y } = hexTileCenter(row, col, cellSize);
+  const scale = inset > 0 ? Math.max(0, 1 - (inset * 2) / cellSize) : 1;
+  const half = (cellSize / 2) * scale;
+  const tip = cellSize * HEX_TIP * scale;
+  const shoulder = cellSize * HEX_SHOULDER * scale;
+
+  ctx.moveTo(x, y - tip);
+  ctx.lineTo(x + half, y - shoulder);
+  ctx.lineTo(x + half, y + shoulder);
+  ctx.lineTo(x, y + tip);
+  ctx.lineTo(x - half, y + shoulder);
+  ctx.lineTo(x - half, y - shoulder);
+  ctx.closePath?.();
+}
+
+/**
+ * Adds the edges of a hex tile that face tiles outside a region, so stroking
+ * the path outlines the region rather than every tile in it.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} row
+ * @param {number} col
+ * @param {number} cellSize
+ * @param {(row: number, col: number) => boolean} isInside
+ */
+export function traceHexBoundary(ctx, row, col, cellSize, isInside) {
+  const { x, y } = hexTileCenter(row, col, cellSize);
+  const half = cellSize / 2;
+  const tip = cellSize * HEX_TIP;
+  const shoulder = cellSize * HEX_SHOULDER;
+  const vertices = [
+    x,
+    y - tip,
+    x + half,
+    y - shoulder,
+    x + half,
+    y + shoulder,
+    x,
+    y + tip,
+    x - half,
+    y + shoulder,
+    x - half,
+    y - shoulder,
+  ];
+  const offsets = hexNeighborOffsets(row);
+
+  for (let edge = 0; edge < 6; edge++) {
+    const [dr, dc] = offsets[edge];
+
+    if (isInside(row + dr, col + dc)) continue;
+
+    const next = (edge + 1) % 6;
+
+    ctx.moveTo(vertices[edge * 2], vertices[edge * 2 + 1]);
+    ctx.lineTo(vertices[next * 2], vertices[next * 2 + 1]);
+  }
+}
+
+/**
+ * Hex tile under a canvas-space point. The result may lie outside the grid;
+ * callers bounds-check it.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} cellSize
+ * @returns {{row: number, col: number}}
+ */
+export function hexTileAt(x, y, cellSize) {
+  const px = x / cellSize;
+  const py = y / cellSize;
+  const baseRow = Math.floor(py);
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (let row = baseRow - 1; row <= baseRow + 1; row++) {
+    const shift = (row & 1) * 0.5;
+    const col = Math.round(px - 0.5 - shift);
+    const dx = px - (col + 0.5 + shift);
+    const dy = py - (row + 0.5);
+    const distance = dx * dx + dy * dy;
+
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = { row, col };
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,133 @@
+/** Edits kept for undo before the oldest one is forgotten. */
+export const OBSTACLE_EDIT_HISTORY_LIMIT = 50;
+
+function normalizeTile(tile) {
+  const row = Array.isArray(tile) ? tile[0] : tile?.row;
+  const col = Array.isArray(tile) ? tile[1] : tile?.col;
+
+  return Number.isInteger(row) && Number.isInteger(col) ? { row, col } : null;
+}
+
+/**
+ * Applies brush edits to a {@link GridManager}'s obstacle mask and keeps an
+ * undo/redo history of the last {@link OBSTACLE_EDIT_HISTORY_LIMIT} edits.
+ * Calls sharing a `strokeId` merge into one edit so a freehand drag undoes as
+ * a single step. Each edit remembers whether it evicted residents and replays
+ * undo/redo the same way.
+ */
+export default class ObstacleEditor {
+  #undo = [];
+  #redo = [];
+
+  /**
+   * @param {import("./gridManager.js").default} grid
+   * @param {{historyLimit?: number}} [options]
+   */
+  constructor(grid, { historyLimit = OBSTACLE_EDIT_HISTORY_LIMIT } = {}) {
+    this.grid = grid;
+    this.historyLimit = Math.max(1, Math.floor(historyLimit) || 1);
+  }
+
+  /**
+   * Blocks or clears the given tiles.
+   *
+   * @param {Array<[number, number]|{row: number, col: number}>} tiles
+   * @param {{blocked?: boolean, evict?: boolean, strokeId?: string|number|null}} [options]
+   *   `evict: false` stamps walls around residents instead of killing them.
+   * @returns {number} Tiles whose obstacle state changed.
+   */
+  paint(tiles, { blocked = true, evict = true, strokeId = null } = {}) {
+    const grid = this.grid;
+
+    if (!grid || !Array.isArray(tiles) || tiles.length === 0) return 0;
+
+    const target = Boolean(blocked);
+    const last = this.#undo[this.#undo.length - 1];
+    const merging = strokeId != null && last?.strokeId === strokeId;
+    const edit = merging
+      ? last
+      : { strokeId, evict: Boolean(evict), changes: new Map() };
+    let changed = 0;
+
+    for (const candidate of tiles) {
+      const tile = normalizeTile(candidate);
+
+      if (!tile || tile.row < 0 || tile.row >= grid.rows) continue;
+      if (tile.col < 0 || tile.col >= grid.cols) continue;
+
+      const before = Boolean(grid.isObstacle(tile.row, tile.col));
+
+      if (before === target) continue;
+
+      grid.setObstacle(tile.row, tile.col, target, { evict: edit.evict });
+
+      const key = tile.row * grid.cols + tile.col;
+      const existing = edit.changes.get(key);
+
+      if (existing) {
+        existing.after = target;
+      } else {
+        edit.changes.set(key, { row: tile.row, col: tile.col, before, after: target });
+      }
+      changed += 1;
+    }
+
+    if (changed > 0 && !merging) {
+      this.#undo.push(edit);
+      if (this.#undo.length > this.historyLimit) this.#undo.shift();
+    }
+    if (changed > 0) this.#redo.length = 0;
+
+    return changed;
+  }
+
+  /** @returns {boolean} Whether an edit was undone. */
+  undo() {
+    const edit = this.#undo.pop();
+
+    if (!edit) return false;
+
+    this.#replay(edit, "before");
+    this.#redo.push(edit);
+
+    return true;
+  }
+
+  /** @returns {boolean} Whether an edit was reapplied. */
+  redo() {
+    const edit = this.#redo.pop();
+
+    if (!edit) return false;
+
+    this.#replay(edit, "after");
+    this.#undo.push(edit);
+
+    return true;
+  }
+
+  clearHistory() {
+    this.#undo.length = 0;
+    this.#redo.length = 0;
+  }
+
+  /** @returns {{canUndo: boolean, canRedo: boolean, undoDepth: number, redoDepth: number}} */
+  getStatus() {
+    return {
+      canUndo: this.#undo.length > 0,
+      canRedo: this.#redo.length > 0,
+      undoDepth: this.#undo.length,
+      redoDepth: this.#redo.length,
+    };
+  }
+
+  #replay(edit, side) {
+    const grid = this.grid;
+
+    // Closing the stroke keeps later drags from merging into a replayed edit.
+    edit.strokeId = null;
+
+    for (const change of edit.changes.values()) {
+      grid?.setObstacle(change.row, change.col, change[side], { evict: edit.evict });
+    }
+  }
+}
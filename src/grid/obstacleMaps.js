@@ -0,0 +1,163 @@
+/**
+ * Obstacle layouts loaded from drawn maps rather than generated procedurally.
+ * A map is `{ width, height, walls }` where `walls` is a row-major
+ * `Uint8Array` with `1` for blocked pixels. Presets built with
+ * {@link createObstacleMapPreset} carry their map, and
+ * `GridManager#applyObstaclePreset` scales it to the current grid.
+ */
+
+/** Character marking a wall in ASCII maps; every other character is open. */
+export const ASCII_MAP_WALL = "#";
+
+/**
+ * Parses an ASCII map where `#` marks a wall and `.` (or anything else) is
+ * open ground. Short lines are padded with open tiles and blank lines at the
+ * end are ignored.
+ *
+ * @param {string} text
+ * @returns {{width: number, height: number, walls: Uint8Array}}
+ */
+export function parseAsciiObstacleMap(text) {
+  const lines = String(text ?? "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+$/, ""));
+
+  while (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+
+  const height = lines.length;
+  const width = Math.max(0, ...lines.map((line) => line.length));
+
+  if (width === 0 || height === 0) {
+    throw new TypeError("ASCII obstacle map is empty.");
+  }
+
+  const walls = new Uint8Array(width * height);
+
+  lines.forEach((line, row) => {
+    for (let col = 0; col < line.length; col += 1) {
+      if (line[col] === ASCII_MAP_WALL) walls[row * width + col] = 1;
+    }
+  });
+
+  return { width, height, walls };
+}
+
+/**
+ * Converts RGBA pixels (as returned by `getImageData` or `decodePng`) into a
+ * map where dark, mostly opaque pixels are walls.
+ *
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image
+ * @param {{threshold?: number}} [options] - Relative luminance (0–1) below
+ *   which a pixel counts as a wall. Defaults to `0.5`.
+ * @returns {{width: number, height: number, walls: Uint8Array}}
+ */
+export function obstacleMapFromPixels(
+  { width, height, data },
+  { threshold = 0.5 } = {},
+) {
+  if (!(width > 0) || !(height > 0) || !data || data.length < width * height * 4) {
+    throw new TypeError("Image data does not match its dimensions.");
+  }
+
+  const cutoff = Math.min(1, Math.max(0, threshold)) * 255;
+  const walls = new Uint8Array(width * height);
+
+  for (let pixel = 0; pixel < walls.length; pixel += 1) {
+    const offset = pixel * 4;
+    const luminance =
+      0.2126 * data[offset] + 0.7152 * data[offset + 1] + 0.0722 * data[offset + 2];
+
+    if (data[offset + 3] >= 128 && luminance < cutoff) walls[pixel] = 1;
+  }
+
+  return { width, height, walls };
+}
+
+/**
+ * Validates a map, returning a copy with a `Uint8Array` wall buffer or `null`
+ * when the shape is inconsistent.
+ *
+ * @param {Object} candidate
+ * @returns {{width: number, height: number, walls: Uint8Array}|null}
+ */
+export function normalizeObstacleMap(candidate) {
+  const width = Math.floor(Number(candidate?.width));
+  const height = Math.floor(Number(candidate?.height));
+  const walls = candidate?.walls;
+
+  if (!(width > 0) || !(height > 0) || walls?.length !== width * height) return null;
+
+  return { width, height, walls: Uint8Array.from(walls, (value) => (value ? 1 : 0)) };
+}
+
+/**
+ * Nearest-neighbour samples a map onto a `rows`×`cols` grid. Each tile takes
+ * the map pixel under its centre.
+ *
+ * @param {{width: number, height: number, walls: ArrayLike<number>}} map
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {Uint8Array} Row-major tile mask.
+ */
+export function sampleObstacleMap(map, rows, cols) {
+  const mask = new Uint8Array(rows * cols);
+
+  for (let row = 0; row < rows; row += 1) {
+    const sourceRow = Math.min(
+      map.height - 1,
+      Math.floor(((row + 0.5) * map.height) / rows),
+    );
+
+    for (let col = 0; col < cols; col += 1) {
+      const sourceCol = Math.min(
+        map.width - 1,
+        Math.floor(((col + 0.5) * map.width) / cols),
+      );
+
+      mask[row * cols + col] = map.walls[sourceRow * map.width + sourceCol] ? 1 : 0;
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Turns a file name into a preset id such as `map-river-delta`.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function obstacleMapIdFromName(name) {
+  const stem = String(name ?? "")
+    .replace(/^.*[\\/]/, "")
+    .replace(/\.[^.]+$/, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  return `map-${stem || "custom"}`;
+}
+
+/**
+ * Builds an obstacle preset descriptor for `resolveObstaclePresetCatalog`
+ * from a parsed map.
+ *
+ * @param {{id?: string, label?: string, description?: string, name?: string, map: Object}} options
+ *   `name` (usually the source file name) fills in a missing id and label.
+ * @returns {{id: string, label: string, description: string, map: Object}}
+ */
+export function createObstacleMapPreset({ id, label, description, name, map }) {
+  const normalized = normalizeObstacleMap(map);
+
+  if (!normalized) throw new TypeError("Obstacle map preset needs a valid map.");
+
+  const stem = String(name ?? "").replace(/^.*[\\/]/, "");
+
+  return {
+    id: id ?? obstacleMapIdFromName(stem),
+    label: label ?? (stem.replace(/\.[^.]+$/, "") || "Custom Map"),
+    description:
+      description ?? `${normalized.width}×${normalized.height} map scaled to the grid.`,
+    map: normalized,
+  };
+}
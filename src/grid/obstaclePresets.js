@@ -1,3 +1,5 @@
+import { normalizeObstacleMap } from "./obstacleMaps.js";
+
 export const OBSTACLE_PRESETS = [
   {
     id: "none",
@@ -41,7 +43,13 @@ export const OBSTACLE_PRESETS = [
   },
 ];
 
-function normalizeObstaclePreset(candidate) {
+/**
+ * Normalizes a preset descriptor or built-in preset id.
+ *
+ * @param {Object|string} candidate
+ * @returns {Object|null} Normalized preset, or `null` when invalid.
+ */
+export function normalizeObstaclePreset(candidate) {
   if (!candidate) return null;
 
   if (typeof candidate === "string") {
@@ -75,6 +83,14 @@ function normalizeObstaclePreset(candidate) {
     delete normalized.description;
   }
 
+  if ("map" in candidate) {
+    const map = normalizeObstacleMap(candidate.map);
+
+    if (!map) return null;
+
+    normalized.map = map;
+  }
+
   return normalized;
 }
 
@@ -82,7 +98,9 @@ function normalizeObstaclePreset(candidate) {
  * Resolves the obstacle preset catalog using optional user-supplied overrides.
  * Callers can pass either an array of preset descriptors/IDs or an object with
  * `{ presets, includeDefaults }`. Defaults are preserved unless explicitly
- * disabled so existing behaviour remains unchanged.
+ * disabled so existing behaviour remains unchanged. Descriptors carrying a
+ * `map` (see `createObstacleMapPreset`) are applied by scaling the map to the
+ * grid; descriptors with an invalid map are dropped.
  *
  * @param {Array|{presets?: Array, includeDefaults?: boolean}} [candidate]
  *   Optional preset configuration supplied by embedding environments.
@@ -1,5 +1,15 @@
 import { warnOnce } from "../utils/error.js";
 import { coerceBoolean } from "../utils/primitives.js";
+import {
+  CUSTOM_ZONE_FORMAT,
+  CUSTOM_ZONE_VERSION,
+  collectZoneShapeTiles,
+  countZoneMask,
+  decodeZoneMask,
+  encodeZoneMask,
+  resizeZoneMask,
+} from "./zoneMask.js";
+import { resolveTopologyWrap, resolveWorldTopology, wrapIndex } from "./topology.js";
 
 const DEFAULT_COLORS = Object.freeze([
   "rgba(80, 160, 255, 0.22)",
@@ -22,12 +32,17 @@ const ZONE_PREDICATE_WARNING =
  * curated areas of the map. Callers can extend the predefined catalog via the
  * optional `patterns` array or `definePatterns` hook passed to the constructor,
  * keeping scenario-specific zoning logic outside the core module while
- * retaining the default presets.
+ * retaining the default presets. Hand-drawn custom zones are backed by tile
+ * bitmasks (see `zoneMask.js`) so their `contains` checks stay constant time,
+ * survive resizes, and round-trip through {@link SelectionManager#exportCustomZones}.
  */
 export default class SelectionManager {
   #activeZonesDirty = true;
   #activeZonesCache = Object.freeze([]);
   #customPatternOptions = { patterns: null, definePatterns: null };
+  #customZones = new Map();
+  #customZoneCount = 0;
+  #topologyWrap = { wrapRows: false, wrapCols: false };
 
   /**
    * @param {number} rows
@@ -52,6 +67,7 @@ export default class SelectionManager {
   constructor(rows, cols, options = {}) {
     this.rows = rows;
     this.cols = cols;
+    this.topology = resolveWorldTopology();
     this.patterns = new Map();
     this.zoneGeometryCache = new Map();
     this.geometryRevision = 0;
@@ -68,6 +84,8 @@ export default class SelectionManager {
 
   setDimensions(rows, cols) {
     if (rows === this.rows && cols === this.cols) return;
+    const previousRows = this.rows;
+    const previousCols = this.cols;
     const previouslyActive = new Set(
       Array.from(this.patterns.values())
         .filter(
@@ -82,6 +100,11 @@ export default class SelectionManager {
     this.#invalidateAllZoneGeometry();
     this.#definePredefinedPatterns();
     this.#applyCustomPatternOptions(this.#customPatternOptions);
+    for (const zone of this.#customZones.values()) {
+      zone.mask = resizeZoneMask(zone.mask, previousRows, previousCols, rows, cols);
+      zone.tileCount = countZoneMask(zone.mask);
+      this.#addCustomZonePattern(zone);
+    }
     this.#invalidateActiveZoneCache();
 
     if (previouslyActive.size > 0) {
@@ -152,7 +175,7 @@ export default class SelectionManager {
     });
   }
 
-  #addPattern(id, { name, description, contains, color }) {
+  #addPattern(id, { name, description, contains, color, custom = false }) {
     this.patterns.set(id, {
       id,
       name,
@@ -160,8 +183,265 @@ export default class SelectionManager {
       contains,
       color,
       active: false,
+      ...(custom ? { custom: true } : {}),
+    });
+    this.#invalidateActiveZoneCache();
+  }
+
+  #addCustomZonePattern(zone) {
+    this.#addPattern(zone.id, {
+      name: zone.name,
+      description: "Custom zone drawn on the map.",
+      color: zone.color,
+      custom: true,
+      contains: (row, col) =>
+        row >= 0 &&
+        row < this.rows &&
+        col >= 0 &&
+        col < this.cols &&
+        zone.mask[row * this.cols + col] === 1,
     });
+  }
+
+  #nextCustomZoneId() {
+    let id;
+
+    do {
+      this.#customZoneCount += 1;
+      id = `custom-${this.#customZoneCount}`;
+    } while (this.patterns.has(id));
+
+    return id;
+  }
+
+  /**
+   * Creates a hand-drawn zone. The zone starts with the tiles in `tiles` and
+   * any `shapes` (see `collectZoneShapeTiles`); zones with no tiles are
+   * ignored by reproduction checks until something is drawn into them.
+   *
+   * @param {{
+   *   id?: string,
+   *   name?: string,
+   *   color?: string,
+   *   active?: boolean,
+   *   tiles?: Array<[number, number]|{row: number, col: number}>,
+   *   shapes?: Array<Object>,
+   * }} [options]
+   * @returns {string} The zone id.
+   */
+  createCustomZone({ id, name, color, active = true, tiles = [], shapes = [] } = {}) {
+    if (id !== undefined && (typeof id !== "string" || id.trim().length === 0)) {
+      throw new TypeError("Custom zone id must be a non-empty string.");
+    }
+
+    const zoneId = id === undefined ? this.#nextCustomZoneId() : id.trim();
+
+    if (this.patterns.has(zoneId)) {
+      throw new RangeError(`Zone "${zoneId}" already exists.`);
+    }
+
+    const zone = {
+      id: zoneId,
+      name:
+        typeof name === "string" && name.trim().length > 0
+          ? name.trim()
+          : `Custom Zone ${this.#customZones.size + 1}`,
+      color:
+        typeof color === "string" && color.trim().length > 0
+          ? color.trim()
+          : DEFAULT_COLORS[this.#customZones.size % DEFAULT_COLORS.length],
+      mask: new Uint8Array(this.rows * this.cols),
+      tileCount: 0,
+    };
+
+    this.#customZones.set(zoneId, zone);
+    this.#addCustomZonePattern(zone);
+    this.paintCustomZone(zoneId, tiles);
+    shapes.forEach((shape) => this.paintCustomZone(zoneId, shape));
+    this.togglePattern(zoneId, active);
+
+    return zoneId;
+  }
+
+  /**
+   * Adds tiles to (or with `erase`, removes them from) a custom zone.
+   *
+   * @param {string} id
+   * @param {Array<[number, number]|{row: number, col: number}>|Object} tilesOrShape -
+   *   Tile list or a `collectZoneShapeTiles` shape.
+   * @param {{erase?: boolean}} [options]
+   * @returns {number} Tiles whose membership changed.
+   */
+  paintCustomZone(id, tilesOrShape, { erase = false } = {}) {
+    const zone = this.#customZones.get(id);
+
+    if (!zone || !tilesOrShape) return 0;
+
+    const tiles = Array.isArray(tilesOrShape)
+      ? tilesOrShape
+      : collectZoneShapeTiles(tilesOrShape, this.rows, this.cols);
+    const value = erase ? 0 : 1;
+    let changed = 0;
+
+    for (const tile of tiles) {
+      const row = Array.isArray(tile) ? tile[0] : tile?.row;
+      const col = Array.isArray(tile) ? tile[1] : tile?.col;
+
+      if (!Number.isInteger(row) || !Number.isInteger(col)) continue;
+      if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) continue;
+
+      const index = row * this.cols + col;
+
+      if (zone.mask[index] === value) continue;
+
+      zone.mask[index] = value;
+      changed += 1;
+    }
+
+    if (changed > 0) {
+      zone.tileCount += erase ? -changed : changed;
+      this.#invalidateActiveZoneCache();
+      this.#invalidateZoneGeometry(id);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Renames or recolours a custom zone.
+   *
+   * @param {string} id
+   * @param {{name?: string, color?: string}} changes
+   * @returns {boolean} Whether the zone exists.
+   */
+  updateCustomZone(id, { name, color } = {}) {
+    const zone = this.#customZones.get(id);
+    const pattern = this.patterns.get(id);
+
+    if (!zone || !pattern) return false;
+
+    if (typeof name === "string" && name.trim().length > 0) {
+      zone.name = name.trim();
+      pattern.name = zone.name;
+    }
+    if (typeof color === "string" && color.trim().length > 0) {
+      zone.color = color.trim();
+      pattern.color = zone.color;
+    }
+
+    return true;
+  }
+
+  /**
+   * Deletes a custom zone.
+   *
+   * @param {string} id
+   * @returns {boolean} Whether a zone was removed.
+   */
+  removeCustomZone(id) {
+    if (!this.#customZones.delete(id)) return false;
+
+    this.patterns.delete(id);
+    this.#invalidateZoneGeometry(id);
     this.#invalidateActiveZoneCache();
+
+    return true;
+  }
+
+  /**
+   * @returns {Array<{id: string, name: string, color: string, active: boolean, tileCount: number}>}
+   */
+  getCustomZones() {
+    return Array.from(this.#customZones.values(), (zone) => ({
+      id: zone.id,
+      name: zone.name,
+      color: zone.color,
+      active: Boolean(this.patterns.get(zone.id)?.active),
+      tileCount: zone.tileCount,
+    }));
+  }
+
+  /**
+   * Serialises every custom zone into a JSON-safe document accepted by
+   * {@link SelectionManager#importCustomZones}.
+   *
+   * @returns {{format: string, version: number, rows: number, cols: number, zones: Array<Object>}}
+   */
+  exportCustomZones() {
+    return {
+      format: CUSTOM_ZONE_FORMAT,
+      version: CUSTOM_ZONE_VERSION,
+      rows: this.rows,
+      cols: this.cols,
+      zones: Array.from(this.#customZones.values(), (zone) => ({
+        id: zone.id,
+        name: zone.name,
+        color: zone.color,
+        active: Boolean(this.patterns.get(zone.id)?.active),
+        runs: encodeZoneMask(zone.mask),
+      })),
+    };
+  }
+
+  /**
+   * Loads zones produced by {@link SelectionManager#exportCustomZones}. Zones
+   * saved on a different grid size are clipped to the current one, and ids
+   * that clash with existing zones are renamed.
+   *
+   * @param {Object|string} source - Export object or its JSON string.
+   * @param {{replace?: boolean}} [options] - `replace` (default `true`) deletes
+   *   existing custom zones first.
+   * @returns {string[]} Ids of the imported zones.
+   */
+  importCustomZones(source, { replace = true } = {}) {
+    const parsed = typeof source === "string" ? JSON.parse(source) : source;
+
+    if (
+      !parsed ||
+      typeof parsed !== "object" ||
+      parsed.format !== CUSTOM_ZONE_FORMAT ||
+      !Array.isArray(parsed.zones)
+    ) {
+      throw new TypeError(`Expected a "${CUSTOM_ZONE_FORMAT}" zone document.`);
+    }
+    if (parsed.version > CUSTOM_ZONE_VERSION) {
+      throw new RangeError(
+        `Zone document version ${parsed.version} is newer than supported version ${CUSTOM_ZONE_VERSION}.`,
+      );
+    }
+
+    if (replace) {
+      Array.from(this.#customZones.keys()).forEach((id) => this.removeCustomZone(id));
+    }
+
+    const sourceRows = Math.max(0, Math.floor(Number(parsed.rows) || this.rows));
+    const sourceCols = Math.max(0, Math.floor(Number(parsed.cols) || this.cols));
+
+    return parsed.zones.map((entry) => {
+      const requestedId =
+        typeof entry?.id === "string" && entry.id.trim().length > 0
+          ? entry.id.trim()
+          : undefined;
+      const id = this.createCustomZone({
+        id: requestedId && !this.patterns.has(requestedId) ? requestedId : undefined,
+        name: entry?.name,
+        color: entry?.color,
+        active: false,
+      });
+      const zone = this.#customZones.get(id);
+
+      zone.mask = resizeZoneMask(
+        decodeZoneMask(entry?.runs, sourceRows * sourceCols),
+        sourceRows,
+        sourceCols,
+        this.rows,
+        this.cols,
+      );
+      zone.tileCount = countZoneMask(zone.mask);
+      this.togglePattern(id, entry?.active !== false);
+
+      return id;
+    });
   }
 
   #normalizeCustomPatternOptions(options) {
@@ -309,8 +589,13 @@ export default class SelectionManager {
 
   getActiveZones() {
     if (this.#activeZonesDirty) {
+      // Empty custom zones would otherwise veto every tile.
       this.#activeZonesCache = Object.freeze(
-        Array.from(this.patterns.values()).filter((pattern) => pattern?.active),
+        Array.from(this.patterns.values()).filter(
+          (pattern) =>
+            pattern?.active &&
+            !(pattern.custom && this.#customZones.get(pattern.id)?.tileCount === 0),
+        ),
       );
       this.#activeZonesDirty = false;
     }
@@ -318,6 +603,20 @@ export default class SelectionManager {
     return this.#activeZonesCache;
   }
 
+  /**
+   * Matches the grid topology so zone checks for coordinates past a wrapping
+   * edge resolve to the tile they wrap onto.
+   *
+   * @param {string} topology
+   * @returns {string} The topology now in effect.
+   */
+  setTopology(topology) {
+    this.topology = resolveWorldTopology(topology);
+    this.#topologyWrap = resolveTopologyWrap(this.topology);
+
+    return this.topology;
+  }
+
   hasActiveZones() {
     return this.getActiveZones().length > 0;
   }
@@ -510,8 +809,12 @@ export default class SelectionManager {
       return false;
     }
 
+    const { wrapRows, wrapCols } = this.#topologyWrap;
+    const wrappedRow = wrapRows ? wrapIndex(row, this.rows, true) : row;
+    const wrappedCol = wrapCols ? wrapIndex(col, this.cols, true) : col;
+
     try {
-      return Boolean(zone.contains(row, col));
+      return Boolean(zone.contains(wrappedRow, wrappedCol));
     } catch (error) {
       warnOnce(this.#resolveZoneWarning(zone), error);
 
@@ -0,0 +1,284 @@
+/**
+ * Terrain biomes layered under the obstacle mask. Every open tile carries one
+ * biome whose multipliers scale its energy regeneration, energy cap and
+ * diffusion, and the energy a cell spends stepping onto it. Worlds without a
+ * terrain layer treat every tile alike (all multipliers `1`).
+ *
+ * A terrain map is `{ width, height, biomes }` where `biomes` is a row-major
+ * `Uint8Array` of indexes into {@link TERRAIN_BIOMES}; like obstacle maps it
+ * is sampled onto the grid, so it rescales on resize.
+ */
+export const TERRAIN_BIOMES = Object.freeze(
+  [
+    {
+      id: "plains",
+      label: "Fertile plains",
+      symbol: ".",
+      color: "120, 200, 90",
+      regen: 1.25,
+      energyCap: 1,
+      diffusion: 1,
+      moveCost: 1,
+    },
+    {
+      id: "desert",
+      label: "Desert",
+      symbol: ":",
+      color: "230, 200, 120",
+      regen: 0.4,
+      energyCap: 0.6,
+      diffusion: 1.4,
+      moveCost: 1.3,
+    },
+    {
+      id: "marsh",
+      label: "Marsh",
+      symbol: "~",
+      color: "70, 140, 160",
+      regen: 1.1,
+      energyCap: 1.3,
+      diffusion: 0.5,
+      moveCost: 2,
+    },
+    {
+      id: "rock",
+      label: "Rock",
+      symbol: "^",
+      color: "150, 140, 135",
+      regen: 0.25,
+      energyCap: 0.5,
+      diffusion: 0.7,
+      moveCost: 1.6,
+    },
+  ].map((biome) => Object.freeze(biome)),
+);
+
+const BIOME_INDEX = new Map(TERRAIN_BIOMES.map((biome, index) => [biome.id, index]));
+
+/**
+ * Looks a biome up by id or index.
+ *
+ * @param {string|number} idOrIndex
+ * @returns {Object|null}
+ */
+export function getTerrainBiome(idOrIndex) {
+  const index =
+    typeof idOrIndex === "number" ? idOrIndex : (BIOME_INDEX.get(idOrIndex) ?? -1);
+
+  return TERRAIN_BIOMES[index] ?? null;
+}
+
+/**
+ * Parses an ASCII terrain map. Each character is a biome symbol (`.` plains,
+ * `:` desert, `~` marsh, `^` rock) or the first letter of its id; anything
+ * else, and padding on short lines, is plains.
+ *
+ * @param {string} text
+ * @returns {{width: number, height: number, biomes: Uint8Array}}
+ */
+export function parseAsciiTerrainMap(text) {
+  const lines = String(text ?? "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+$/, ""));
+
+  while (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+
+  const height = lines.length;
+  const width = Math.max(0, ...lines.map((line) => line.length));
+
+  if (width === 0 || height === 0) {
+    throw new TypeError("ASCII terrain map is empty.");
+  }
+
+  const lookup = new Map();
+
+  TERRAIN_BIOMES.forEach((biome, index) => {
+    lookup.set(biome.symbol, index);
+    lookup.set(biome.id[0], index);
+    lookup.set(biome.id[0].toUpperCase(), index);
+  });
+
+  const biomes = new Uint8Array(width * height);
+
+  lines.forEach((line, row) => {
+    for (let col = 0; col < line.length; col += 1) {
+      biomes[row * width + col] = lookup.get(line[col]) ?? 0;
+    }
+  });
+
+  return { width, height, biomes };
+}
+
+/**
+ * Validates a terrain map, returning a copy with a `Uint8Array` biome buffer
+ * or `null` when the shape is inconsistent. Unknown biome indexes become
+ * plains.
+ *
+ * @param {Object} candidate
+ * @returns {{width: number, height: number, biomes: Uint8Array}|null}
+ */
+export function normalizeTerrainMap(candidate) {
+  const width = Math.floor(Number(candidate?.width));
+  const height = Math.floor(Number(candidate?.height));
+  const biomes = candidate?.biomes;
+
+  if (!(width > 0) || !(height > 0) || biomes?.length !== width * height) return null;
+
+  return {
+    width,
+    height,
+    biomes: Uint8Array.from(biomes, (value) =>
+      Number.isInteger(value) && value >= 0 && value < TERRAIN_BIOMES.length
+        ? value
+        : 0,
+    ),
+  };
+}
+
+/**
+ * Nearest-neighbour samples a terrain map onto a `rows`×`cols` grid.
+ *
+ * @param {{width: number, height: number, biomes: ArrayLike<number>}} map
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {Uint8Array} Row-major biome indexes.
+ */
+export function sampleTerrainMap(map, rows, cols) {
+  const codes = new Uint8Array(rows * cols);
+
+  for (let row = 0; row < rows; row += 1) {
+    const sourceRow = Math.min(
+      map.height - 1,
+      Math.floor(((row + 0.5) * map.height) / rows),
+    );
+
+    for (let col = 0; col < cols; col += 1) {
+      const sourceCol = Math.min(
+        map.width - 1,
+        Math.floor(((col + 0.5) * map.width) / cols),
+      );
+
+      codes[row * cols + col] = map.biomes[sourceRow * map.width + sourceCol];
+    }
+  }
+
+  return codes;
+}
+
+// Integer hash of a lattice point, mapped to [0, 1).
+function latticeNoise(x, y, seed) {
+  let h =
+    Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(seed, 0x9e3779b1);
+
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+function smoothNoise(x, y, seed) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const tx = x - x0;
+  const ty = y - y0;
+  const sx = tx * tx * (3 - 2 * tx);
+  const sy = ty * ty * (3 - 2 * ty);
+  const top =
+    latticeNoise(x0, y0, seed) +
+    (latticeNoise(x0 + 1, y0, seed) - latticeNoise(x0, y0, seed)) * sx;
+  const bottom =
+    latticeNoise(x0, y0 + 1, seed) +
+    (latticeNoise(x0 + 1, y0 + 1, seed) - latticeNoise(x0, y0 + 1, seed)) * sx;
+
+  return top + (bottom - top) * sy;
+}
+
+// Two octaves of value noise; `x`/`y` are in feature units.
+function fractalNoise(x, y, seed) {
+  return (smoothNoise(x, y, seed) * 2 + smoothNoise(x * 2, y * 2, seed + 1)) / 3;
+}
+
+/**
+ * Generates terrain from two value-noise fields: high elevation becomes rock,
+ * dry ground desert, wet lowland marsh, and the rest plains. Coordinates are
+ * relative to the grid, so the same seed gives the same layout at any size.
+ *
+ * @param {number} rows
+ * @param {number} cols
+ * @param {{seed?: number, scale?: number}} [options] - `scale` is roughly the
+ *   number of features across the grid (default `4`).
+ * @returns {Uint8Array} Row-major biome indexes.
+ */
+export function generateTerrain(rows, cols, { seed = 1, scale = 4 } = {}) {
+  const codes = new Uint8Array(rows * cols);
+  const features = Number.isFinite(scale) && scale > 0 ? scale : 4;
+  const baseSeed = Math.floor(Number(seed)) | 0;
+
+  for (let row = 0; row < rows; row += 1) {
+    const y = ((row + 0.5) / rows) * features;
+
+    for (let col = 0; col < cols; col += 1) {
+      const x = ((col + 0.5) / cols) * features;
+      const elevation = fractalNoise(x, y, baseSeed);
+      const moisture = fractalNoise(x + 31.7, y + 17.3, baseSeed + 7);
+      let biome = "plains";
+
+      if (elevation > 0.66) biome = "rock";
+      else if (moisture < 0.36) biome = "desert";
+      else if (moisture > 0.6 && elevation < 0.45) biome = "marsh";
+
+      codes[row * cols + col] = BIOME_INDEX.get(biome);
+    }
+  }
+
+  return codes;
+}
+
+/**
+ * Normalizes a terrain option into a descriptor `GridManager` can re-apply on
+ * resize: `"noise"` (or `{ type: "noise", seed, scale }`) for generated
+ * terrain, `{ map }` or a bare map for loaded terrain, and `null`/`"none"`
+ * for a uniform world. Noise without a seed draws one from `rng`.
+ *
+ * @param {unknown} spec
+ * @param {() => number} [rng]
+ * @returns {{type: "noise", seed: number, scale: number}|{type: "map", map: Object}|null}
+ */
+export function resolveTerrainSpec(spec, rng = Math.random) {
+  if (spec == null || spec === false || spec === "none") return null;
+
+  if (spec === true || spec === "noise" || spec?.type === "noise") {
+    const seed = Number.isFinite(spec?.seed)
+      ? Math.floor(spec.seed)
+      : Math.floor(rng() * 2147483647);
+    const scale = Number.isFinite(spec?.scale) && spec.scale > 0 ? spec.scale : 4;
+
+    return { type: "noise", seed, scale };
+  }
+
+  const map = normalizeTerrainMap(spec?.map ?? spec);
+
+  if (!map) {
+    throw new TypeError(
+      'Terrain must be "noise", a noise descriptor or a terrain map.',
+    );
+  }
+
+  return { type: "map", map };
+}
+
+/**
+ * Builds the per-tile biome indexes for a resolved terrain descriptor.
+ *
+ * @param {Object|null} spec - Result of {@link resolveTerrainSpec}.
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {Uint8Array|null}
+ */
+export function buildTerrainCodes(spec, rows, cols) {
+  if (!spec || !(rows > 0) || !(cols > 0)) return null;
+
+  return spec.type === "noise"
+    ? generateTerrain(rows, cols, spec)
+    : sampleTerrainMap(spec.map, rows, cols);
+}
@@ -0,0 +1,124 @@
+/**
+ * World topologies. `"bounded"` keeps the classic walled grid, `"torus"` wraps
+ * both axes, and `"cylinder"` wraps columns only so the east and west edges
+ * meet while north and south stay walls.
+ */
+export const WORLD_TOPOLOGIES = Object.freeze(["bounded", "torus", "cylinder"]);
+
+export const DEFAULT_WORLD_TOPOLOGY = "bounded";
+
+/**
+ * Normalizes a topology name, falling back to {@link DEFAULT_WORLD_TOPOLOGY}
+ * for anything unrecognised.
+ *
+ * @param {unknown} value
+ * @returns {"bounded"|"torus"|"cylinder"}
+ */
+export function resolveWorldTopology(value) {
+  const normalized = typeof value === "string" ? value.trim().toLowerCase() : "";
+
+  return WORLD_TOPOLOGIES.includes(normalized) ? normalized : DEFAULT_WORLD_TOPOLOGY;
+}
+
+/**
+ * @param {string} topology
+ * @returns {{wrapRows: boolean, wrapCols: boolean}}
+ */
+export function resolveTopologyWrap(topology) {
+  const resolved = resolveWorldTopology(topology);
+
+  return {
+    wrapRows: resolved === "torus",
+    wrapCols: resolved === "torus" || resolved === "cylinder",
+  };
+}
+
+/**
+ * Maps an index onto `[0, size)`. Wrapping axes fold it around; bounded axes
+ * return -1 when it falls outside.
+ *
+ * @param {number} index
+ * @param {number} size
+ * @param {boolean} wraps
+ * @returns {number}
+ */
+export function wrapIndex(index, size, wraps) {
+  if (index >= 0 && index < size) return index;
+  if (!wraps || !(size > 0)) return -1;
+
+  return ((index % size) + size) % size;
+}
+
+/**
+ * Signed step from `from` to `to`, taking the short way round on wrapping axes.
+ *
+ * @param {number} from
+ * @param {number} to
+ * @param {number} size
+ * @param {boolean} wraps
+ * @returns {number}
+ */
+export function wrappedDelta(from, to, size, wraps) {
+  const delta = to - from;
+
+  if (!wraps || !(size > 0)) return delta;
+
+  const folded = ((delta % size) + size) % size;
+
+  return folded > size / 2 ? folded - size : folded;
+}
+
+/**
+ * Splits the window `[center - radius, center + radius]` into half-open index
+ * ranges inside `[0, size)`, written flat as `[start, end, start, end]`.
+ * Bounded axes clamp to one range; wrapping axes yield up to two, or the
+ * whole axis once the window covers it. Pass `out` to reuse an array on hot
+ * paths.
+ *
+ * @param {number} center
+ * @param {number} radius
+ * @param {number} size
+ * @param {boolean} wraps
+ * @param {number[]} [out]
+ * @returns {number[]}
+ */
+export function windowSegments(center, radius, size, wraps, out = []) {
+  return spanSegments(center - radius, center + radius + 1, size, wraps, out);
+}
+
+/**
+ * {@link windowSegments} for an arbitrary half-open span `[start, end)`.
+ *
+ * @param {number} start
+ * @param {number} end
+ * @param {number} size
+ * @param {boolean} wraps
+ * @param {number[]} [out]
+ * @returns {number[]}
+ */
+export function spanSegments(start, end, size, wraps, out = []) {
+  out.length = 0;
+
+  if (!wraps) {
+    const clampedStart = Math.max(0, start);
+    const clampedEnd = Math.min(size, end);
+
+    if (clampedStart < clampedEnd) out.push(clampedStart, clampedEnd);
+
+    return out;
+  }
+
+  if (end - start >= size) {
+    out.push(0, size);
+
+    return out;
+  }
+
+  const wrappedStart = wrapIndex(start, size, true);
+  const wrappedEnd = wrappedStart + (end - start);
+
+  if (wrappedEnd <= size) out.push(wrappedStart, wrappedEnd);
+  else out.push(wrappedStart, size, 0, wrappedEnd - size);
+
+  return out;
+}
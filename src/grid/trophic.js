@@ -0,0 +1,100 @@
+import { clamp } from "../utils/math.js";
+
+/**
+ * Trophic roles for predator–prey runs. Every genome carries a continuous
+ * carnivory gene (0..1) that splits the population into herbivores,
+ * omnivores and predators; tiles play the producers. With trophic mode on,
+ * grazing scales down as carnivory rises and the winner of a fight
+ * assimilates part of the loser's energy in proportion to its own carnivory,
+ * so predators live off kills and herbivores live off tiles. With the mode
+ * off the gene is inert and every cell forages and fights as before.
+ */
+export const TROPHIC_ROLES = Object.freeze(["herbivore", "omnivore", "predator"]);
+
+/** RGB triplets used by the role overlay and the role population charts. */
+export const TROPHIC_ROLE_COLORS = Object.freeze({
+  herbivore: "90, 200, 110",
+  omnivore: "240, 190, 70",
+  predator: "230, 70, 80",
+});
+
+// Carnivory below the first bound is a herbivore, above the second a predator.
+const HERBIVORE_MAX_CARNIVORY = 1 / 3;
+const PREDATOR_MIN_CARNIVORY = 2 / 3;
+// Share of the grazing harvest a pure predator gives up.
+const PREDATOR_GRAZING_PENALTY = 0.85;
+// Fraction of the prey's energy a pure predator eats; the remainder decays.
+const PREY_CONSUMPTION_FRACTION = 0.8;
+// Fraction of the eaten energy the predator keeps.
+const PREY_ASSIMILATION = 0.6;
+
+/**
+ * Carnivory of a cell or DNA strand in `[0, 1]`; missing genes read as `0`.
+ *
+ * @param {Object|null} source - Cell (with `dna`) or DNA instance.
+ * @returns {number}
+ */
+export function resolveCarnivory(source) {
+  const dna = source?.dna ?? source;
+  const value = typeof dna?.carnivory === "function" ? dna.carnivory() : 0;
+
+  return Number.isFinite(value) ? clamp(value, 0, 1) : 0;
+}
+
+/**
+ * Trophic role for a carnivory level, cell or DNA strand.
+ *
+ * @param {number|Object|null} source
+ * @returns {"herbivore"|"omnivore"|"predator"}
+ */
+export function resolveTrophicRole(source) {
+  const carnivory = typeof source === "number" ? source : resolveCarnivory(source);
+
+  if (carnivory < HERBIVORE_MAX_CARNIVORY) return "herbivore";
+  if (carnivory > PREDATOR_MIN_CARNIVORY) return "predator";
+
+  return "omnivore";
+}
+
+/**
+ * Multiplier applied to a cell's tile harvest in trophic mode.
+ *
+ * @param {number} carnivory
+ * @returns {number}
+ */
+export function grazingEfficiency(carnivory) {
+  return 1 - PREDATOR_GRAZING_PENALTY * clamp(carnivory, 0, 1);
+}
+
+/**
+ * Splits a defeated cell's energy between the victor and decay.
+ *
+ * @param {number} carnivory - Victor's carnivory.
+ * @param {number} preyEnergy - Loser's remaining energy.
+ * @returns {{eaten: number, gained: number}} Energy removed from the prey and
+ *   the share the victor assimilates.
+ */
+export function resolvePredation(carnivory, preyEnergy) {
+  const available = Number.isFinite(preyEnergy) ? Math.max(0, preyEnergy) : 0;
+  const eaten = available * PREY_CONSUMPTION_FRACTION * clamp(carnivory, 0, 1);
+
+  return { eaten, gained: eaten * PREY_ASSIMILATION };
+}
+
+/**
+ * Counts living cells per trophic role.
+ *
+ * @param {Iterable<Object>} cells - Cells or `{ cell }` entries.
+ * @returns {{herbivore: number, omnivore: number, predator: number}}
+ */
+export function countTrophicRoles(cells) {
+  const counts = { herbivore: 0, omnivore: 0, predator: 0 };
+
+  for (const entry of cells ?? []) {
+    const cell = entry?.dna ? entry : entry?.cell;
+
+    if (cell?.dna) counts[resolveTrophicRole(cell)] += 1;
+  }
+
+  return counts;
+}
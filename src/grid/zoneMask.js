@@ -0,0 +1,146 @@
+/**
+ * Tile masks backing hand-drawn reproductive zones. A mask is a row-major
+ * `Uint8Array` where `1` marks a tile inside the zone, so zone membership
+ * checks stay a single array read no matter how the zone was drawn. Masks
+ * serialise as run-length pairs so exported zone files stay small.
+ */
+
+export const CUSTOM_ZONE_FORMAT = "colourful-life/zones";
+export const CUSTOM_ZONE_VERSION = 1;
+
+/** Shapes accepted by {@link collectZoneShapeTiles}. */
+export const CUSTOM_ZONE_SHAPES = Object.freeze(["rect", "circle"]);
+
+/**
+ * Expands a zone shape into the `[row, col]` tiles it covers inside a
+ * `rows`×`cols` grid.
+ *
+ * - `{ shape: "rect", row, col, rowSpan, colSpan }` — box anchored at its
+ *   top-left tile.
+ * - `{ shape: "circle", row, col, radius }` — disc centred on a tile; a tile
+ *   is inside when its offset satisfies `dr² + dc² ≤ (radius + 0.5)²`.
+ *
+ * @param {Object} shape
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {Array<[number, number]>} Empty for unknown shapes.
+ */
+export function collectZoneShapeTiles(shape, rows, cols) {
+  const row = Math.round(Number(shape?.row));
+  const col = Math.round(Number(shape?.col));
+  const tiles = [];
+
+  if (!Number.isFinite(row) || !Number.isFinite(col)) return tiles;
+
+  if (shape.shape === "rect") {
+    const rowSpan = Math.max(1, Math.round(Number(shape.rowSpan) || 1));
+    const colSpan = Math.max(1, Math.round(Number(shape.colSpan) || 1));
+    const endRow = Math.min(rows, row + rowSpan);
+    const endCol = Math.min(cols, col + colSpan);
+
+    for (let r = Math.max(0, row); r < endRow; r += 1) {
+      for (let c = Math.max(0, col); c < endCol; c += 1) tiles.push([r, c]);
+    }
+  } else if (shape.shape === "circle") {
+    const radius = Math.max(0, Number(shape.radius) || 0);
+    const reach = Math.floor(radius + 0.5);
+    const limit = (radius + 0.5) * (radius + 0.5);
+    const endRow = Math.min(rows - 1, row + reach);
+    const endCol = Math.min(cols - 1, col + reach);
+
+    for (let r = Math.max(0, row - reach); r <= endRow; r += 1) {
+      for (let c = Math.max(0, col - reach); c <= endCol; c += 1) {
+        const dr = r - row;
+        const dc = c - col;
+
+        if (dr * dr + dc * dc <= limit) tiles.push([r, c]);
+      }
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Encodes a mask as flat `[start, length, ...]` runs of set tiles.
+ *
+ * @param {Uint8Array} mask
+ * @returns {number[]}
+ */
+export function encodeZoneMask(mask) {
+  const runs = [];
+  let start = -1;
+
+  for (let index = 0; index <= mask.length; index += 1) {
+    const inside = index < mask.length && mask[index] === 1;
+
+    if (inside && start < 0) {
+      start = index;
+    } else if (!inside && start >= 0) {
+      runs.push(start, index - start);
+      start = -1;
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Rebuilds a mask of `length` tiles from {@link encodeZoneMask} runs, ignoring
+ * runs that fall outside the mask.
+ *
+ * @param {number[]} runs
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export function decodeZoneMask(runs, length) {
+  const mask = new Uint8Array(length);
+
+  if (!Array.isArray(runs)) return mask;
+
+  for (let index = 0; index + 1 < runs.length; index += 2) {
+    const start = Math.max(0, Math.floor(Number(runs[index])));
+    const end = Math.min(length, start + Math.floor(Number(runs[index + 1])));
+
+    if (Number.isFinite(start) && end > start) mask.fill(1, start, end);
+  }
+
+  return mask;
+}
+
+/**
+ * Copies a mask into new dimensions, keeping tiles anchored to the top-left
+ * corner and dropping those that no longer fit.
+ *
+ * @param {Uint8Array} mask
+ * @param {number} fromRows
+ * @param {number} fromCols
+ * @param {number} toRows
+ * @param {number} toCols
+ * @returns {Uint8Array}
+ */
+export function resizeZoneMask(mask, fromRows, fromCols, toRows, toCols) {
+  const resized = new Uint8Array(toRows * toCols);
+  const rows = Math.min(fromRows, toRows);
+  const cols = Math.min(fromCols, toCols);
+
+  for (let row = 0; row < rows; row += 1) {
+    resized.set(mask.subarray(row * fromCols, row * fromCols + cols), row * toCols);
+  }
+
+  return resized;
+}
+
+/**
+ * Counts the set tiles in a mask.
+ *
+ * @param {Uint8Array} mask
+ * @returns {number}
+ */
+export function countZoneMask(mask) {
+  let count = 0;
+
+  for (let index = 0; index < mask.length; index += 1) count += mask[index];
+
+  return count;
+}
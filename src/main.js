@@ -1,4 +1,5 @@
 import SimulationEngine from "./engine/simulationEngine.js";
+import WorkerSimulationEngine from "./engine/workerSimulationEngine.js";
 import SelectionManager from "./grid/selectionManager.js";
 import { drawOverlays as defaultDrawOverlays } from "./ui/overlays.js";
 import { bindSimulationToUi } from "./ui/simulationUiBridge.js";
@@ -77,6 +78,16 @@ function destroyEngineSafely(engine) {
   }
 }
 
+function spawnSimulationWorker() {
+  if (typeof Worker !== "function") {
+    throw new Error("Worker mode requires Web Worker support.");
+  }
+
+  return new Worker(new URL("./engine/simulationWorker.js", import.meta.url), {
+    type: "module",
+  });
+}
+
 import {
   buildHeadlessCanvasOverrides,
   createHeadlessCanvas,
@@ -109,6 +120,21 @@ import {
  *   automatically. When `false`, the returned controller can start manually.
  * - `rng` (`Function`, default `Math.random`): random number generator injected
  *   into the {@link SimulationEngine}.
+ * - `seed` (`number` | `string`): derive independent, reproducible streams for
+ *   grid seeding, events, stats sampling, and breeding from a single seed.
+ *   Takes precedence over `rng`; identical seeds and settings replay the same
+ *   population history.
+ * - `worker` (`boolean` | `Worker` | `MessagePort`, default `false`): run the
+ *   grid, events, interactions, and stats off the main thread. `true` spawns
+ *   `src/engine/simulationWorker.js` as a module worker; pass a `Worker` or a
+ *   `MessagePort` wired to `attachSimulationWorkerHost` to supply your own
+ *   transport. The engine becomes a {@link WorkerSimulationEngine}: `grid` and
+ *   `eventManager` are `null`, `stats` mirrors the worker's telemetry, and
+ *   `exportWorld`/`importWorld` return Promises. Only `seed` (not `rng`)
+ *   reaches the worker.
+ * - `scenario` (`Array` | `Object` | `string`): scenario script of
+ *   `{ atTick, action, params }` entries run deterministically as ticks
+ *   elapse (see `src/engine/scenario.js`). Overrides `config.scenario`.
  * - `requestAnimationFrame` / `cancelAnimationFrame`: dependency injections for
  *   the browser timing APIs, useful for tests or custom environments.
  * - `performanceNow`: injected high-resolution timer compatible with
@@ -123,7 +149,8 @@ import {
  * The returned controller exposes both low-level engine references and high
  * level helpers:
  *
- * - `engine`: the underlying {@link SimulationEngine} instance.
+ * - `engine`: the underlying {@link SimulationEngine} (or
+ *   {@link WorkerSimulationEngine}) instance.
  * - `grid`, `eventManager`, `stats`, `selectionManager`: convenience accessors
  *   to important subsystems.
  * - `uiManager`: either the mounted {@link UIManager} instance or the headless
@@ -131,6 +158,21 @@ import {
  * - Lifecycle helpers: `start`, `stop`, `pause`, `resume`, `step`/`tick`/`update`.
  * - `resetWorld(options)`: clears the grid and refreshes stats. Pass `reseed: true`
  *   to perform a fresh initial seeding.
+ * - `loadScenario(script)`: replace the scenario script (`null` clears it).
+ * - `skipAhead(ticks)` / `cancelSkipAhead()`: run `ticks` updates without
+ *   drawing each one; resolves with the ticks completed.
+ * - `stepBack()` / `scrubTo(tick)` / `getRewindStatus()`: restore frames from
+ *   the bounded rewind history (see `src/engine/rewindBuffer.js`).
+ * - `startRecording()` / `stopRecording()`: record a seeded run as a replay
+ *   file; `loadReplay(recording)`, `seekReplay(tick)`, and `forkReplay()`
+ *   re-simulate it (see `src/engine/runRecording.js`).
+ * - `exportWorld()` / `importWorld(snapshot)`: save the full world to a
+ *   versioned JSON snapshot and restore it later (see
+ *   `src/engine/worldSnapshot.js`).
+ * - `exportSettings()`: capture slider and toggle values, geometry, obstacle
+ *   preset, and reproductive zones without the world (see
+ *   `src/engine/savedSettings.js`). Pass the result through
+ *   `settingsToConfig` to start a simulation with the same settings.
  * - `destroy()`: cleans up subscriptions and stops the engine.
  *
  * @param {Object} [options]
@@ -142,6 +184,10 @@ import {
  * @param {boolean} [options.headless=false] Use the headless UI adapter.
  * @param {boolean} [options.autoStart=true] Start the engine immediately.
  * @param {Function} [options.rng=Math.random] Random number generator.
+ * @param {number|string} [options.seed] Seed for deterministic sub-streams.
+ * @param {boolean|Worker|MessagePort} [options.worker=false] Run the
+ *   simulation in a worker.
+ * @param {Array|Object|string} [options.scenario] Scenario script.
  * @param {Function} [options.requestAnimationFrame]
  *   Custom RAF implementation.
  * @param {Function} [options.cancelAnimationFrame]
@@ -153,7 +199,7 @@ import {
  * @param {Document} [options.document]
  *   Document used by the {@link UIManager} when mounting.
  * @returns {{
- *   engine: SimulationEngine,
+ *   engine: SimulationEngine | WorkerSimulationEngine,
  *   grid: import('./grid/gridManager.js').default,
  *   uiManager: ReturnType<typeof UIManager> | HeadlessUiBridgeSurface,
  *   eventManager: import('./events/eventManager.js').default,
@@ -167,6 +213,22 @@ import {
  *   resume: () => void,
  *   update: (timestamp?: number) => void,
  *   resetWorld: (options?: Record<string, any>) => void,
+ *   loadScenario: (script: Array|Object|string|null) => Object|null,
+ *   skipAhead: (ticks: number, options?: {budgetMs?: number}) => Promise<number>,
+ *   cancelSkipAhead: () => void,
+ *   stepBack: () => number|null,
+ *   scrubTo: (tick: number) => number|null,
+ *   getRewindStatus: () => Object|null,
+ *   startRecording: () => Object,
+ *   stopRecording: () => Object|null,
+ *   getRecordingStatus: () => Object|null,
+ *   loadReplay: (recording: Object|string) => Object,
+ *   seekReplay: (tick: number) => Promise<number>,
+ *   forkReplay: () => number|null,
+ *   getReplayStatus: () => Object|null,
+ *   exportWorld: () => Object,
+ *   importWorld: (snapshot: Object|string) => Object,
+ *   exportSettings: () => Object,
  *   destroy: () => void,
  * }} Simulation controller composed of engine, UI, and lifecycle helpers.
  */
@@ -176,6 +238,9 @@ export function createSimulation({
   headless = false,
   autoStart = true,
   rng = Math.random,
+  seed,
+  worker = false,
+  scenario,
   requestAnimationFrame: injectedRaf,
   cancelAnimationFrame: injectedCaf,
   performanceNow: injectedNow,
@@ -252,22 +317,35 @@ export function createSimulation({
   if (Object.hasOwn(engineConfig, "selectionManager")) {
     delete engineConfig.selectionManager;
   }
+  if (scenario != null) {
+    engineConfig.scenario = scenario;
+  }
 
-  const engine = new SimulationEngine({
+  const engineOptions = {
     canvas: resolvedCanvas,
     config: engineConfig,
-    rng,
+    seed,
     requestAnimationFrame: injectedRaf,
     cancelAnimationFrame: injectedCaf,
     performanceNow: injectedNow,
     window: injectedWindow,
     document: injectedDocument,
     autoStart: false,
-    drawOverlays: overlayRenderer,
     selectionManager: providedSelectionManager,
-    selectionManagerFactory,
     defaultCanvasId,
-  });
+  };
+  const engine = worker
+    ? new WorkerSimulationEngine({
+        ...engineOptions,
+        worker: worker === true ? spawnSimulationWorker() : worker,
+        selectionManagerFactory,
+      })
+    : new SimulationEngine({
+        ...engineOptions,
+        rng,
+        drawOverlays: overlayRenderer,
+        selectionManagerFactory,
+      });
 
   const uiOptions = config.ui ?? {};
   const baseActions = {
@@ -278,7 +356,12 @@ export function createSimulation({
     },
     applyObstaclePreset: (id, options) => engine.applyObstaclePreset(id, options),
     obstaclePresets: engine.obstaclePresets,
+    registerObstaclePreset: (preset) => engine.registerObstaclePreset(preset),
     getCurrentObstaclePreset: () => engine.getCurrentObstaclePreset(),
+    paintObstacles: (tiles, options) => engine.paintObstacles(tiles, options),
+    undoObstacleEdit: () => engine.undoObstacleEdit(),
+    redoObstacleEdit: () => engine.redoObstacleEdit(),
+    getObstacleEditStatus: () => engine.getObstacleEditStatus(),
     selectionManager: engine.selectionManager,
     getCellSize: () => engine.cellSize,
     getGridDimensions: () => ({
@@ -287,6 +370,47 @@ export function createSimulation({
       cellSize: engine.cellSize,
     }),
     setWorldGeometry: (geometry) => engine.setWorldGeometry(geometry),
+    getTopology: () => engine.getTopology(),
+    setTopology: (topology) => engine.setTopology(topology),
+    getLattice: () => engine.getLattice(),
+    setLattice: (lattice) => engine.setLattice(lattice),
+    // Organisms live in the worker's grid, so worker-backed runs leave the
+    // inspector actions out and the Cell Inspector reports it is unavailable.
+    ...(worker
+      ? {}
+      : {
+          getCellAt: (row, col) => {
+            const inBounds =
+              Number.isInteger(row) &&
+              Number.isInteger(col) &&
+              row >= 0 &&
+              col >= 0 &&
+              row < engine.rows &&
+              col < engine.cols;
+
+            return inBounds ? (engine.grid?.getCell(row, col) ?? null) : null;
+          },
+          locateCell: (cell) => engine.grid?.locateCell?.(cell) ?? null,
+          getDeathRecord: (cell) => engine.grid?.getDeathRecord?.(cell) ?? null,
+        }),
+    spawnEvent: (descriptor, options) => engine.spawnEvent(descriptor, options),
+    cancelEvent: (id) => engine.cancelEvent(id),
+    highlightClade: (cladeId) => engine.setHighlightedClade(cladeId),
+    loadScenario: (script) => engine.loadScenario(script),
+    skipAhead: (ticks, options) => engine.skipAhead(ticks, options),
+    cancelSkipAhead: () => engine.cancelSkipAhead(),
+    stepBack: () => engine.stepBack(),
+    scrubTo: (tick) => engine.scrubTo(tick),
+    getRewindStatus: () => engine.getRewindStatus(),
+    startRecording: () => engine.startRecording(),
+    stopRecording: () => engine.stopRecording(),
+    getRecordingStatus: () => engine.getRecordingStatus(),
+    loadReplay: (recording) => engine.loadReplay(recording),
+    seekReplay: (tick) => engine.seekReplay(tick),
+    forkReplay: () => engine.forkReplay(),
+    getReplayStatus: () => engine.getReplayStatus(),
+    exportSettings: () => engine.exportSettings(),
+    getSeed: () => engine.seed,
     ...(uiOptions.actions || {}),
   };
 
@@ -339,6 +463,22 @@ export function createSimulation({
     pause: () => engine.pause(),
     resume: () => engine.resume(),
     resetWorld: (options) => engine.resetWorld(options),
+    loadScenario: (script) => engine.loadScenario(script),
+    skipAhead: (ticks, options) => engine.skipAhead(ticks, options),
+    cancelSkipAhead: () => engine.cancelSkipAhead(),
+    stepBack: () => engine.stepBack(),
+    scrubTo: (tick) => engine.scrubTo(tick),
+    getRewindStatus: () => engine.getRewindStatus(),
+    startRecording: () => engine.startRecording(),
+    stopRecording: () => engine.stopRecording(),
+    getRecordingStatus: () => engine.getRecordingStatus(),
+    loadReplay: (recording) => engine.loadReplay(recording),
+    seekReplay: (tick) => engine.seekReplay(tick),
+    forkReplay: () => engine.forkReplay(),
+    getReplayStatus: () => engine.getReplayStatus(),
+    exportWorld: () => engine.exportWorld(),
+    importWorld: (snapshot) => engine.importWorld(snapshot),
+    exportSettings: () => engine.exportSettings(),
     destroy: () => {
       destroyUiManagerSafely(uiManager);
       drainUnsubscribers(unsubscribers);
@@ -349,5 +489,14 @@ export function createSimulation({
 
 export default createSimulation;
 
-export { SimulationEngine };
+export { SimulationEngine, WorkerSimulationEngine };
+export { attachSimulationWorkerHost } from "./engine/simulationWorkerHost.js";
 export { createHeadlessUiManager } from "./ui/headlessUiManager.js";
+export { registerEventType } from "./events/eventEffects.js";
+export { createSoftwareCanvas } from "./engine/environment.js";
+export {
+  encodeSettingsHash,
+  parseSavedSettings,
+  parseSettingsHash,
+  settingsToConfig,
+} from "./engine/savedSettings.js";
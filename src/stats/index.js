@@ -12,6 +12,8 @@ import { accumulateTraitAggregates } from "./traitAggregation.js";
 import { resolveCellColor } from "../utils/cell.js";
 import { resolveNonEmptyString } from "../utils/primitives.js";
 import { toArray } from "../utils/collections.js";
+import { LineageRegistry, summarizeCladeComposition } from "./lineageRegistry.js";
+import { countTrophicRoles } from "../grid/trophic.js";
 
 // Trait values >= threshold are considered "active" for presence stats.
 const TRAIT_THRESHOLD = TRAIT_ACTIVATION_THRESHOLD;
@@ -38,6 +40,9 @@ const HISTORY_SERIES_KEYS = [
   "neuralActivationLoad",
   "neuralPlasticity",
   "neuralComplexity",
+  "herbivores",
+  "omnivores",
+  "predators",
 ];
 
 const DIVERSITY_TARGET_DEFAULT = 0.35;
@@ -49,6 +54,33 @@ const LIFE_EVENT_LOG_CAPACITY = 240;
 const LIFE_EVENT_RATE_DEFAULT_WINDOW = 200;
 const LIFE_EVENT_FADE_DEFAULT = 36;
 
+// Clade composition samples retained for the Insights stream chart.
+const CLADE_HISTORY_CAPACITY = 600;
+const CLADE_SAMPLE_INTERVAL_DEFAULT = 5;
+const CLADE_HISTORY_MAX_BANDS = 10;
+// Smoothed pressures and the last sampled values that the next
+// `updateFromSnapshot` blends with; a resumed run needs them to continue
+// exactly where the exported one left off.
+const RESUMABLE_SIGNAL_KEYS = Object.freeze([
+  "lastDiversitySample",
+  "diversityPressure",
+  "behavioralEvenness",
+  "strategyPressure",
+  "diversityOpportunity",
+  "diversityOpportunityAvailability",
+  "diversityOpportunityGap",
+  "diversityOpportunityAlignment",
+  "diversityOpportunityMultiplier",
+  "complementOpportunity",
+  "complementOpportunityAvailability",
+  "complementOpportunityGap",
+  "complementOpportunityAlignment",
+  "complementOpportunityMultiplier",
+  "meanBehaviorComplementarity",
+  "successfulBehaviorComplementarity",
+  "starvationRateSmoothed",
+]);
+
 const DEFAULT_RANDOM = () => Math.random();
 
 const INTERACTION_TRAIT_LABELS = Object.freeze({
@@ -219,6 +251,8 @@ class FixedSizeRingBuffer {
     this.buffer = new Array(this.capacity || 0);
     this.start = 0;
     this.length = 0;
+    // Values pushed since the last clear, evicted ones included.
+    this.pushed = 0;
   }
 
   push(value) {
@@ -228,6 +262,8 @@ class FixedSizeRingBuffer {
       return;
     }
 
+    this.pushed += 1;
+
     // Avoid modulo operations in the hot push path by using simple wraparound math.
     const buffer = this.buffer;
     const start = this.start;
@@ -311,6 +347,7 @@ class FixedSizeRingBuffer {
   clear() {
     this.start = 0;
     this.length = 0;
+    this.pushed = 0;
 
     if (Array.isArray(this.buffer)) {
       this.buffer.fill(undefined);
@@ -474,6 +511,10 @@ export default class Stats {
   #traitPresenceDirty;
   #nextTraitResampleTick;
   #nextDiversitySampleTick;
+  #nextCladeSampleTick = 0;
+  #cladeHistoryRing;
+  // Bumped by `resetAll` so `exportChanges` cursors from before it expire.
+  #generation = 0;
   #diversityPopulationBaseline;
   #traitKeys;
   #traitComputes;
@@ -500,6 +541,8 @@ export default class Stats {
    *   diversitySampleInterval?: number,
    *   rng?: () => number,
    *   lifeEventLogCapacity?: number,
+   *   lineageDepth?: number,
+   *   cladeSampleInterval?: number,
    * }} [options]
    *   Optional configuration allowing callers to extend or override tracked trait metrics, randomness,
    *   and life event retention.
@@ -517,6 +560,8 @@ export default class Stats {
       diversitySampleInterval,
       rng,
       lifeEventLogCapacity,
+      lineageDepth,
+      cladeSampleInterval,
     } = options ?? {};
 
     this.traitDefinitions = resolveTraitDefinitions(traitDefinitions);
@@ -590,6 +635,14 @@ export default class Stats {
     this.neuralSummary = createEmptyNeuralSummary();
     this.lifeEventLog = createHistoryRing(this.lifeEventLogCapacity);
     this.lifeEventSequence = 0;
+    this.lineage = new LineageRegistry({ maxDepth: lineageDepth });
+    this.cladeSampleInterval = sanitizePositiveInteger(cladeSampleInterval, {
+      fallback: CLADE_SAMPLE_INTERVAL_DEFAULT,
+      min: 1,
+    });
+    this.#cladeHistoryRing = createHistoryRing(
+      Math.min(CLADE_HISTORY_CAPACITY, Math.max(1, this.historySize)),
+    );
     this.lifeEventFadeTicks = LIFE_EVENT_FADE_DEFAULT;
     this.deathCauseTotals = Object.create(null);
     this.performance = Object.create(null);
@@ -661,6 +714,7 @@ export default class Stats {
   }
 
   resetAll() {
+    this.#generation += 1;
     this.resetTick();
     this.totals = { ticks: 0, births: 0, deaths: 0, fights: 0, cooperations: 0 };
 
@@ -684,6 +738,9 @@ export default class Stats {
     this.successfulBehaviorComplementarity = 0;
     this.lifeEventLog = createHistoryRing(this.lifeEventLogCapacity);
     this.lifeEventSequence = 0;
+    this.lineage.clear();
+    this.#cladeHistoryRing.clear();
+    this.#nextCladeSampleTick = 0;
     this.lastMatingDebug = null;
     this.lastBlockedReproduction = null;
     this.deathCauseTotals = Object.create(null);
@@ -707,6 +764,246 @@ export default class Stats {
     this.neuralSummary = createEmptyNeuralSummary();
   }
 
+  /**
+   * Captures cumulative totals, every history ring (including trait history),
+   * the life event log, death cause tallies, and the smoothed pressure signals
+   * and sampling schedule in a JSON-safe record for world snapshots. Per-tick
+   * counters and derived caches are rebuilt on the next `updateFromSnapshot`
+   * call instead of being persisted.
+   *
+   * @returns {Object} Record accepted by {@link Stats#importState}.
+   */
+  exportState() {
+    const collect = (rings) =>
+      Object.fromEntries(
+        Object.entries(rings ?? {}).map(([key, ring]) => [key, ring.values()]),
+      );
+
+    return {
+      totals: { ...this.totals },
+      history: collect(this.#historyRings),
+      traitHistory: {
+        presence: collect(this.#traitHistoryRings?.presence),
+        average: collect(this.#traitHistoryRings?.average),
+      },
+      lifeEventLog: this.lifeEventLog?.values() ?? [],
+      lifeEventSequence: this.lifeEventSequence,
+      deathCauseTotals: { ...this.deathCauseTotals },
+      lineage: this.lineage.exportState(),
+      cladeHistory: this.#cladeHistoryRing.values(),
+      signals: Object.fromEntries(RESUMABLE_SIGNAL_KEYS.map((key) => [key, this[key]])),
+      schedule: {
+        nextTraitResampleTick: this.#nextTraitResampleTick,
+        nextDiversitySampleTick: this.#nextDiversitySampleTick,
+        nextCladeSampleTick: this.#nextCladeSampleTick,
+        diversityPopulationBaseline: this.#diversityPopulationBaseline,
+      },
+      // Births and deaths update these incrementally between resamples.
+      traitAggregates: this.#needsTraitRebuild
+        ? null
+        : {
+            population: this.#traitPopulation,
+            sums: Array.from(this.#traitSums),
+            activeCounts: Array.from(this.#traitActiveCounts),
+          },
+    };
+  }
+
+  /**
+   * Exports what changed since `cursor` (returned by an earlier call) for a
+   * mirror such as `WorkerSimulationEngine#stats`: totals, pressure signals,
+   * and the values each history ring gained. Lineage is not mirrored. Without
+   * a current cursor, as on the first call or after `resetAll`, the full
+   * {@link Stats#exportState} is returned instead.
+   *
+   * @param {Object|null} [cursor]
+   * @returns {{cursor: Object, full: boolean, state: Object}} Pass `full` and
+   *   `state` to {@link Stats#applyChanges}; keep `cursor` for the next call.
+   */
+  exportChanges(cursor = null) {
+    const rings = this.#mirroredRings();
+    const next = {
+      stats: this,
+      generation: this.#generation,
+      pushed: Object.fromEntries(rings.map(([path, ring]) => [path, ring.pushed])),
+    };
+
+    if (cursor?.stats !== this || cursor.generation !== this.#generation) {
+      return { cursor: next, full: true, state: this.exportState() };
+    }
+
+    const appended = {};
+
+    for (const [path, ring] of rings) {
+      const added = Math.min(ring.length, ring.pushed - (cursor.pushed[path] ?? 0));
+
+      if (added > 0) appended[path] = ring.takeLast(added).reverse();
+    }
+
+    return {
+      cursor: next,
+      full: false,
+      state: {
+        totals: { ...this.totals },
+        deathCauseTotals: { ...this.deathCauseTotals },
+        lifeEventSequence: this.lifeEventSequence,
+        signals: Object.fromEntries(
+          RESUMABLE_SIGNAL_KEYS.map((key) => [key, this[key]]),
+        ),
+        appended,
+      },
+    };
+  }
+
+  /**
+   * Applies a change set from {@link Stats#exportChanges}.
+   *
+   * @param {{full: boolean, state: Object}} changes
+   */
+  applyChanges({ full, state } = {}) {
+    if (full || !state || typeof state !== "object") {
+      this.importState(state);
+
+      return;
+    }
+
+    Object.assign(this.totals, state.totals);
+    Object.assign(this.deathCauseTotals, state.deathCauseTotals);
+    this.lifeEventSequence = state.lifeEventSequence ?? this.lifeEventSequence;
+
+    for (const key of RESUMABLE_SIGNAL_KEYS) {
+      const value = state.signals?.[key];
+
+      if (Number.isFinite(value)) this[key] = value;
+    }
+
+    const rings = new Map(this.#mirroredRings());
+
+    for (const [path, values] of Object.entries(state.appended ?? {})) {
+      const ring = rings.get(path);
+
+      if (ring && Array.isArray(values)) values.forEach((value) => ring.push(value));
+    }
+  }
+
+  #mirroredRings() {
+    const entries = (prefix, rings) =>
+      Object.entries(rings ?? {}).map(([key, ring]) => [`${prefix}.${key}`, ring]);
+
+    return [
+      ...entries("history", this.#historyRings),
+      ...entries("presence", this.#traitHistoryRings?.presence),
+      ...entries("average", this.#traitHistoryRings?.average),
+      ["lifeEventLog", this.lifeEventLog],
+      ["cladeHistory", this.#cladeHistoryRing],
+    ];
+  }
+
+  /**
+   * Replaces the accumulated statistics with a record produced by
+   * {@link Stats#exportState}. Series unknown to this instance are ignored and
+   * series longer than the configured history size keep their newest samples.
+   *
+   * @param {ReturnType<Stats["exportState"]>} state
+   */
+  importState(state) {
+    const source = state && typeof state === "object" ? state : {};
+
+    this.resetAll();
+
+    const totals =
+      source.totals && typeof source.totals === "object" ? source.totals : {};
+
+    for (const key of Object.keys(this.totals)) {
+      const value = Number(totals[key]);
+
+      if (Number.isFinite(value) && value >= 0) this.totals[key] = Math.floor(value);
+    }
+
+    const refill = (rings, series) => {
+      if (!series || typeof series !== "object") return;
+
+      for (const [key, values] of Object.entries(series)) {
+        const ring = rings?.[key];
+
+        if (!ring || !Array.isArray(values)) continue;
+
+        values.forEach((value) => ring.push(value));
+      }
+    };
+
+    refill(this.#historyRings, source.history);
+    refill(this.#traitHistoryRings?.presence, source.traitHistory?.presence);
+    refill(this.#traitHistoryRings?.average, source.traitHistory?.average);
+
+    if (Array.isArray(source.lifeEventLog)) {
+      source.lifeEventLog.forEach((event) => {
+        if (event && typeof event === "object") this.lifeEventLog.push({ ...event });
+      });
+    }
+
+    this.lifeEventSequence = sanitizeNumber(source.lifeEventSequence, {
+      fallback: this.lifeEventLog.length,
+      min: 0,
+      round: Math.floor,
+    });
+
+    if (source.deathCauseTotals && typeof source.deathCauseTotals === "object") {
+      for (const [cause, count] of Object.entries(source.deathCauseTotals)) {
+        if (Number.isFinite(count)) this.deathCauseTotals[cause] = count;
+      }
+    }
+
+    if (source.lineage && typeof source.lineage === "object") {
+      this.lineage.importState(source.lineage);
+    }
+
+    if (Array.isArray(source.cladeHistory)) {
+      source.cladeHistory.forEach((sample) => {
+        if (sample && typeof sample === "object") this.#cladeHistoryRing.push(sample);
+      });
+    }
+
+    for (const key of RESUMABLE_SIGNAL_KEYS) {
+      const value = source.signals?.[key];
+
+      if (Number.isFinite(value)) this[key] = value;
+    }
+
+    const schedule = source.schedule ?? {};
+    const resumeTick = (value) =>
+      Number.isFinite(value) ? Math.max(0, Math.floor(value)) : this.totals.ticks;
+
+    this.#lifeEventTickBase = this.totals.ticks;
+    this.#nextTraitResampleTick = resumeTick(schedule.nextTraitResampleTick);
+    this.#nextDiversitySampleTick = resumeTick(schedule.nextDiversitySampleTick);
+    this.#nextCladeSampleTick = resumeTick(schedule.nextCladeSampleTick);
+    this.#diversityPopulationBaseline = sanitizeNumber(
+      schedule.diversityPopulationBaseline,
+      { fallback: 0, min: 0, round: Math.floor },
+    );
+
+    const aggregates = source.traitAggregates;
+
+    if (
+      Array.isArray(aggregates?.sums) &&
+      Array.isArray(aggregates.activeCounts) &&
+      aggregates.sums.length === this.#traitSums.length &&
+      aggregates.activeCounts.length === this.#traitActiveCounts.length
+    ) {
+      this.#traitSums.set(aggregates.sums.map((value) => Number(value) || 0));
+      this.#traitActiveCounts.set(
+        aggregates.activeCounts.map((value) => Number(value) || 0),
+      );
+      this.#traitPopulation = sanitizeNumber(aggregates.population, {
+        fallback: 0,
+        min: 0,
+        round: Math.floor,
+      });
+      this.#needsTraitRebuild = false;
+    }
+  }
+
   setDiversityTarget(value) {
     const numeric = Number(value);
 
@@ -1516,11 +1813,10 @@ export default class Stats {
       }
     }
 
-    const currentTicks = Number.isFinite(this.totals?.ticks) ? this.totals.ticks : 0;
     const event = {
       id: ++this.lifeEventSequence,
       type,
-      tick: this.#tickInProgress ? this.#lifeEventTickBase : currentTicks,
+      tick: this.#currentLifeEventTick(),
       row,
       col,
       energy,
@@ -1549,10 +1845,24 @@ export default class Stats {
     if (parentColors && parentColors.length > 0) {
       event.parents = parentColors;
     }
+    if (Number.isInteger(resolvedCell?.id)) {
+      event.cellId = resolvedCell.id;
+      event.parentIds = Array.isArray(resolvedCell.parentIds)
+        ? [...resolvedCell.parentIds]
+        : [];
+      event.generation = resolvedCell.generation ?? 0;
+      event.cladeId = resolvedCell.cladeId ?? resolvedCell.id;
+    }
 
     return event;
   }
 
+  #currentLifeEventTick() {
+    const currentTicks = Number.isFinite(this.totals?.ticks) ? this.totals.ticks : 0;
+
+    return this.#tickInProgress ? this.#lifeEventTickBase : currentTicks;
+  }
+
   #recordLifeEvent(type, primary, secondary) {
     if (!this.lifeEventLog) return;
 
@@ -1572,6 +1882,7 @@ export default class Stats {
     this.#traitPopulation += 1;
 
     if (cell) {
+      this.lineage.recordBirth(cell, this.#currentLifeEventTick());
       this.#applyTraitSample(cell, 1);
     } else {
       this.#needsTraitRebuild = true;
@@ -1586,6 +1897,7 @@ export default class Stats {
     const { cell } = this.#resolveLifeEventArgs(primary, secondary);
 
     if (cell) {
+      this.lineage.recordDeath(cell, this.#currentLifeEventTick());
       this.#applyTraitSample(cell, -1);
     } else {
       this.#needsTraitRebuild = true;
@@ -1929,6 +2241,21 @@ export default class Stats {
     const tick = this.totals.ticks;
     const populationChanged = this.#traitPopulation !== pop;
 
+    if (Array.isArray(snapshot?.populationCells)) {
+      this.lineage.sync(snapshot.populationCells, tick);
+
+      if (tick >= this.#nextCladeSampleTick) {
+        this.#cladeHistoryRing.push({
+          tick,
+          ...summarizeCladeComposition(
+            snapshot.populationCells,
+            CLADE_HISTORY_MAX_BANDS,
+          ),
+        });
+        this.#nextCladeSampleTick = tick + this.cladeSampleInterval;
+      }
+    }
+
     if (populationChanged) {
       this.#traitPresenceDirty = true;
     }
@@ -2081,6 +2408,12 @@ export default class Stats {
     this.pushHistory("neuralPlasticity", neuralSummary.meanPlasticityLearningRate);
     this.pushHistory("neuralComplexity", neuralSummary.peakComplexity);
 
+    const trophic = countTrophicRoles(populationSources);
+
+    this.pushHistory("herbivores", trophic.herbivore);
+    this.pushHistory("omnivores", trophic.omnivore);
+    this.pushHistory("predators", trophic.predator);
+
     this.traitPresence = traitPresence;
     this.behavioralEvenness = behaviorEvenness;
     this.meanBehaviorComplementarity = meanComplementarity;
@@ -2138,6 +2471,7 @@ export default class Stats {
       deathBreakdown: this.deathCausesTick ? { ...this.deathCausesTick } : {},
       starvationRate: this.starvationRateSmoothed,
       neural: neuralSummary,
+      trophic,
     };
   }
 
@@ -2733,6 +3067,16 @@ export default class Stats {
     return this.#historyRings?.[key]?.values() ?? [];
   }
 
+  /**
+   * Clade composition samples, oldest first. Each sample lists the largest
+   * founding clades with their living count and mean DNA colour.
+   *
+   * @returns {Array<{tick: number, total: number, clades: Array<{cladeId: number, count: number, color: string}>, otherCount: number}>}
+   */
+  getCladeHistory() {
+    return this.#cladeHistoryRing.values();
+  }
+
   getTraitHistorySeries(type, key) {
     return this.#traitHistoryRings?.[type]?.[key]?.values() ?? [];
   }
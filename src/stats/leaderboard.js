@@ -20,7 +20,9 @@ function resolveStatValue(primary, secondary, fallback = 0) {
 /**
  * Generates a ranked leaderboard from the latest grid snapshot. The helper
  * ranks entries by their raw fitness and attaches optional brain telemetry so
- * UI panels can highlight the most successful organisms.
+ * UI panels can highlight the most successful organisms. Entries carry the
+ * organism's lineage (`cellId`, `parentIds`, `generation`, `cladeId`) when the
+ * grid has assigned one.
  *
  * @param {{entries?: Array}} snapshot - Data collected
  *   by {@link GridManager}.
@@ -72,6 +74,18 @@ export function computeLeaderboard(snapshot, topN = 5) {
 
     if (row !== null) item.row = row;
     if (col !== null) item.col = col;
+
+    const cellId = entry.id ?? cell?.id;
+
+    if (Number.isInteger(cellId)) {
+      const parentIds = entry.parentIds ?? cell?.parentIds;
+
+      item.cellId = cellId;
+      item.parentIds = Array.isArray(parentIds) ? [...parentIds] : [];
+      item.generation = resolveStatValue(entry.generation, cell?.generation);
+      item.cladeId = entry.cladeId ?? cell?.cladeId ?? cellId;
+    }
+
     topItems.add(item);
   }
 
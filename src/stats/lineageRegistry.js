@@ -0,0 +1,342 @@
+import { sanitizeNumber } from "../utils/math.js";
+
+/** Ancestor generations kept above every living organism by default. */
+export const LINEAGE_DEFAULT_MAX_DEPTH = 8;
+
+function readLineageId(value) {
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+function readParentIds(value) {
+  if (!Array.isArray(value)) return [];
+
+  return value.map(readLineageId).filter((id) => id !== null);
+}
+
+function readCellRgb(cell) {
+  const dna = cell?.dna;
+
+  if (Number.isFinite(dna?.r) && Number.isFinite(dna?.g) && Number.isFinite(dna?.b)) {
+    return [dna.r, dna.g, dna.b];
+  }
+
+  const match =
+    typeof cell?.color === "string"
+      ? /rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(cell.color)
+      : null;
+
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : null;
+}
+
+/**
+ * Groups living residents by founding clade, returning the `maxBands` largest
+ * clades (ordered by clade ID) with their mean DNA colour. Smaller clades are
+ * folded into `otherCount` so long runs keep compact samples.
+ *
+ * @param {Iterable<Object>} cells - Living residents.
+ * @param {number} [maxBands=10] - Largest clades listed individually.
+ * @returns {{total: number, clades: Array<{cladeId: number, count: number, color: string}>, otherCount: number}}
+ */
+export function summarizeCladeComposition(cells, maxBands = 10) {
+  const groups = new Map();
+  let total = 0;
+
+  for (const cell of cells ?? []) {
+    const cladeId = readLineageId(cell?.cladeId) ?? readLineageId(cell?.id);
+
+    if (cladeId === null) continue;
+
+    let group = groups.get(cladeId);
+
+    if (!group) {
+      group = { cladeId, count: 0, colored: 0, r: 0, g: 0, b: 0 };
+      groups.set(cladeId, group);
+    }
+
+    group.count += 1;
+    total += 1;
+
+    const rgb = readCellRgb(cell);
+
+    if (rgb) {
+      group.colored += 1;
+      group.r += rgb[0];
+      group.g += rgb[1];
+      group.b += rgb[2];
+    }
+  }
+
+  const ranked = Array.from(groups.values()).sort(
+    (a, b) => b.count - a.count || a.cladeId - b.cladeId,
+  );
+  const listed = ranked.slice(0, Math.max(0, maxBands));
+  const listedCount = listed.reduce((sum, group) => sum + group.count, 0);
+
+  return {
+    total,
+    clades: listed
+      .sort((a, b) => a.cladeId - b.cladeId)
+      .map(({ cladeId, count, colored, r, g, b }) => ({
+        cladeId,
+        count,
+        color:
+          colored > 0
+            ? `rgb(${Math.round(r / colored)},${Math.round(g / colored)},${Math.round(b / colored)})`
+            : "rgb(128,128,128)",
+      })),
+    otherCount: total - listedCount,
+  };
+}
+
+/**
+ * Pruned ancestry tree keyed by the stable IDs that {@link GridManager} assigns
+ * to residents. Living organisms are always present; dead ancestors survive
+ * only while they sit within `maxDepth` generations of a living descendant, so
+ * memory tracks the current population rather than the full run history.
+ */
+export class LineageRegistry {
+  #nodes = new Map();
+  #living = new Set();
+
+  /**
+   * @param {{maxDepth?: number}} [options]
+   *   `maxDepth` caps how many ancestor generations stay reachable from each
+   *   living organism.
+   */
+  constructor({ maxDepth = LINEAGE_DEFAULT_MAX_DEPTH } = {}) {
+    this.maxDepth = sanitizeNumber(maxDepth, {
+      fallback: LINEAGE_DEFAULT_MAX_DEPTH,
+      min: 0,
+      round: Math.floor,
+    });
+  }
+
+  get size() {
+    return this.#nodes.size;
+  }
+
+  get livingCount() {
+    return this.#living.size;
+  }
+
+  /**
+   * Records a living organism, creating its node on first sight.
+   *
+   * @param {{id?: number, parentIds?: number[], generation?: number, cladeId?: number}} cell
+   * @param {number} [tick] - Tick used as the birth tick for new nodes.
+   * @returns {Object|null} Lineage node or `null` when the cell has no ID.
+   */
+  recordBirth(cell, tick = null) {
+    const id = readLineageId(cell?.id);
+
+    if (id === null) return null;
+
+    let node = this.#nodes.get(id);
+
+    if (!node) {
+      node = {
+        id,
+        parentIds: readParentIds(cell.parentIds),
+        generation: sanitizeNumber(cell.generation, {
+          fallback: 0,
+          min: 0,
+          round: Math.floor,
+        }),
+        cladeId: readLineageId(cell.cladeId) ?? id,
+        birthTick: Number.isFinite(tick) ? tick : null,
+        deathTick: null,
+      };
+      this.#nodes.set(id, node);
+    }
+
+    this.#living.add(id);
+
+    return node;
+  }
+
+  /**
+   * Marks an organism as dead. Its node is kept until {@link prune} finds no
+   * living descendant within `maxDepth` generations.
+   *
+   * @param {{id?: number}|number} cellOrId
+   * @param {number} [tick]
+   */
+  recordDeath(cellOrId, tick = null) {
+    const id = readLineageId(typeof cellOrId === "object" ? cellOrId?.id : cellOrId);
+    const node = id === null ? null : this.#nodes.get(id);
+
+    if (!node || !this.#living.has(id)) return;
+
+    this.#living.delete(id);
+    node.deathTick = Number.isFinite(tick) ? tick : null;
+  }
+
+  /**
+   * Reconciles the registry with the current residents: unseen cells are
+   * recorded, organisms that vanished without a death notice are marked dead,
+   * and the tree is pruned.
+   *
+   * @param {Iterable<Object>} cells - Living residents.
+   * @param {number} [tick]
+   */
+  sync(cells, tick = null) {
+    const seen = new Set();
+
+    for (const cell of cells ?? []) {
+      const node = this.recordBirth(cell, tick);
+
+      if (node) seen.add(node.id);
+    }
+
+    for (const id of Array.from(this.#living)) {
+      if (!seen.has(id)) this.recordDeath(id, tick);
+    }
+
+    this.prune();
+  }
+
+  /**
+   * Drops every dead node that is more than `maxDepth` generations above all
+   * living organisms (or has no living descendants at all).
+   *
+   * @returns {number} Number of nodes removed.
+   */
+  prune() {
+    const retained = new Set(this.#living);
+    let frontier = Array.from(this.#living);
+
+    for (let depth = 0; depth < this.maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+
+      for (const id of frontier) {
+        for (const parentId of this.#nodes.get(id)?.parentIds ?? []) {
+          if (retained.has(parentId) || !this.#nodes.has(parentId)) continue;
+
+          retained.add(parentId);
+          next.push(parentId);
+        }
+      }
+
+      frontier = next;
+    }
+
+    let removed = 0;
+
+    for (const id of Array.from(this.#nodes.keys())) {
+      if (retained.has(id)) continue;
+
+      this.#nodes.delete(id);
+      removed += 1;
+    }
+
+    return removed;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Object|null} Copy of the node with an `alive` flag.
+   */
+  getNode(id) {
+    const node = this.#nodes.get(id);
+
+    return node
+      ? { ...node, parentIds: [...node.parentIds], alive: this.#living.has(id) }
+      : null;
+  }
+
+  /**
+   * Walks recorded ancestors breadth-first, nearest generation first.
+   *
+   * @param {number} id - Organism whose ancestry is requested.
+   * @param {number} [depth=this.maxDepth] - Generations to climb.
+   * @returns {Object[]} Ancestor nodes still held by the registry.
+   */
+  getAncestors(id, depth = this.maxDepth) {
+    const ancestors = [];
+    const visited = new Set([id]);
+    let frontier = [id];
+
+    for (let level = 0; level < depth && frontier.length > 0; level++) {
+      const next = [];
+
+      for (const currentId of frontier) {
+        for (const parentId of this.#nodes.get(currentId)?.parentIds ?? []) {
+          if (visited.has(parentId) || !this.#nodes.has(parentId)) continue;
+
+          visited.add(parentId);
+          next.push(parentId);
+          ancestors.push(this.getNode(parentId));
+        }
+      }
+
+      frontier = next;
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Counts living organisms per founding clade.
+   *
+   * @returns {Map<number, number>} Clade ID to living population.
+   */
+  getCladeCounts() {
+    const counts = new Map();
+
+    for (const id of this.#living) {
+      const cladeId = this.#nodes.get(id)?.cladeId;
+
+      if (cladeId != null) counts.set(cladeId, (counts.get(cladeId) ?? 0) + 1);
+    }
+
+    return counts;
+  }
+
+  clear() {
+    this.#nodes.clear();
+    this.#living.clear();
+  }
+
+  /**
+   * @returns {{nodes: Object[]}} JSON-safe registry record.
+   */
+  exportState() {
+    return {
+      nodes: Array.from(this.#nodes.values(), (node) => ({
+        ...node,
+        parentIds: [...node.parentIds],
+        alive: this.#living.has(node.id),
+      })),
+    };
+  }
+
+  /**
+   * Replaces the registry with a record produced by {@link exportState}.
+   *
+   * @param {ReturnType<LineageRegistry["exportState"]>} state
+   */
+  importState(state) {
+    this.clear();
+
+    for (const record of Array.isArray(state?.nodes) ? state.nodes : []) {
+      const id = readLineageId(record?.id);
+
+      if (id === null) continue;
+
+      this.#nodes.set(id, {
+        id,
+        parentIds: readParentIds(record.parentIds),
+        generation: sanitizeNumber(record.generation, {
+          fallback: 0,
+          min: 0,
+          round: Math.floor,
+        }),
+        cladeId: readLineageId(record.cladeId) ?? id,
+        birthTick: Number.isFinite(record.birthTick) ? record.birthTick : null,
+        deathTick: Number.isFinite(record.deathTick) ? record.deathTick : null,
+      });
+
+      if (record.alive) this.#living.add(id);
+    }
+  }
+}
@@ -0,0 +1,175 @@
+import { OUTPUT_GROUPS, SENSOR_KEYS } from "../brain.js";
+
+/**
+ * Scalar DNA accessors surfaced by the cell inspector, in display order.
+ */
+export const INSPECTOR_DNA_TRAITS = Object.freeze([
+  Object.freeze({ key: "riskTolerance", label: "Risk tolerance" }),
+  Object.freeze({ key: "exploitationBias", label: "Exploitation bias" }),
+  Object.freeze({ key: "cohesion", label: "Cohesion" }),
+  Object.freeze({ key: "activityRate", label: "Activity rate" }),
+  Object.freeze({ key: "recoveryRate", label: "Recovery rate" }),
+  Object.freeze({ key: "forageRate", label: "Forage rate" }),
+  Object.freeze({ key: "combatPower", label: "Combat power" }),
+  Object.freeze({ key: "reproductionProb", label: "Reproduction chance" }),
+  Object.freeze({ key: "parentalInvestmentFrac", label: "Parental investment" }),
+  Object.freeze({ key: "senescenceRate", label: "Senescence rate" }),
+  Object.freeze({ key: "mutationChance", label: "Mutation chance" }),
+  Object.freeze({ key: "sight", label: "Sight" }),
+]);
+
+/**
+ * Object-valued DNA accessors whose numeric fields are listed as groups.
+ */
+export const INSPECTOR_DNA_PROFILES = Object.freeze([
+  Object.freeze({ key: "metabolicProfile", label: "Metabolic profile" }),
+  Object.freeze({ key: "exploreExploitProfile", label: "Explore/exploit profile" }),
+]);
+
+const DEFAULT_DECISION_LIMIT = 5;
+
+function readFinite(value) {
+  const numeric = Number(value);
+
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+function callAccessor(target, key) {
+  if (typeof target?.[key] !== "function") return undefined;
+
+  try {
+    return target[key]();
+  } catch {
+    return undefined;
+  }
+}
+
+function softmax(values) {
+  const finite = values.map((value) => (Number.isFinite(value) ? value : 0));
+  const max = Math.max(...finite);
+  const exps = finite.map((value) => Math.exp(value - max));
+  const total = exps.reduce((sum, value) => sum + value, 0);
+
+  return exps.map((value) => (total > 0 ? value / total : 0));
+}
+
+function describeOutputGroups(lastOutputs) {
+  if (!lastOutputs || typeof lastOutputs !== "object") return [];
+
+  return Object.entries(OUTPUT_GROUPS)
+    .map(([group, outputs]) => {
+      if (!outputs.some(({ key }) => Number.isFinite(lastOutputs[key]))) {
+        return null;
+      }
+
+      const probabilities = softmax(outputs.map(({ key }) => lastOutputs[key]));
+
+      return {
+        group,
+        entries: outputs.map(({ key, label }, index) => ({
+          key,
+          label,
+          probability: probabilities[index],
+        })),
+      };
+    })
+    .filter(Boolean);
+}
+
+function describeDecisions(cell, limit) {
+  if (typeof cell?.getDecisionTelemetry !== "function") return [];
+
+  const history = cell.getDecisionTelemetry(limit);
+
+  return (Array.isArray(history) ? history : [])
+    .map((record) => ({
+      tick: readFinite(record?.tick),
+      energyBefore: readFinite(record?.energyBefore),
+      energyAfter: readFinite(record?.energyAfter),
+      decisions: (Array.isArray(record?.decisions) ? record.decisions : []).map(
+        (decision) => ({
+          group: typeof decision?.group === "string" ? decision.group : "unknown",
+          action:
+            typeof decision?.outcome?.action === "string"
+              ? decision.outcome.action
+              : null,
+        }),
+      ),
+    }))
+    .reverse();
+}
+
+/**
+ * Builds a plain, render-ready description of a cell for the inspector panel.
+ * Keeping the extraction separate from DOM code lets tests and headless tools
+ * reuse it without mounting the UI.
+ *
+ * @param {import('../cell.js').default} cell - Inspected organism.
+ * @param {{
+ *   position?: {row: number, col: number}|null,
+ *   deathRecord?: {cause: string, row: number, col: number, tick: number}|null,
+ *   decisionLimit?: number,
+ * }} [options]
+ * @returns {Object|null} Inspection record or `null` when no cell is provided.
+ */
+export function describeCellForInspector(cell, options = {}) {
+  if (!cell || typeof cell !== "object") return null;
+
+  const {
+    position = null,
+    deathRecord = null,
+    decisionLimit = DEFAULT_DECISION_LIMIT,
+  } = options ?? {};
+  const dna = cell.dna ?? null;
+  const brainSnapshot = callAccessor(cell.brain, "snapshot") ?? null;
+  const sensorValues = Array.isArray(brainSnapshot?.sensors)
+    ? brainSnapshot.sensors
+    : [];
+  const cooldown =
+    typeof cell.getReproductionCooldown === "function"
+      ? cell.getReproductionCooldown()
+      : cell._reproductionCooldown;
+
+  return {
+    status: deathRecord ? "deceased" : "alive",
+    deathCause: deathRecord?.cause ?? null,
+    deathTick: readFinite(deathRecord?.tick),
+    position: deathRecord
+      ? { row: deathRecord.row, col: deathRecord.col }
+      : (position ?? null),
+    id: Number.isInteger(cell.id) ? cell.id : null,
+    parentIds: Array.isArray(cell.parentIds) ? [...cell.parentIds] : [],
+    generation: readFinite(cell.generation),
+    cladeId: Number.isInteger(cell.cladeId) ? cell.cladeId : null,
+    color: typeof dna?.toColor === "function" ? dna.toColor() : null,
+    energy: readFinite(cell.energy),
+    age: readFinite(cell.age),
+    lifespan: readFinite(cell.lifespan),
+    reproductionCooldown: readFinite(cooldown),
+    dnaTraits: INSPECTOR_DNA_TRAITS.map(({ key, label }) => ({
+      key,
+      label,
+      value: readFinite(callAccessor(dna, key)),
+    })),
+    dnaProfiles: INSPECTOR_DNA_PROFILES.map(({ key, label }) => {
+      const profile = callAccessor(dna, key);
+
+      return {
+        key,
+        label,
+        entries:
+          profile && typeof profile === "object"
+            ? Object.entries(profile)
+                .map(([field, value]) => ({ key: field, value: readFinite(value) }))
+                .filter((entry) => entry.value !== null)
+            : [],
+      };
+    }),
+    decisions: describeDecisions(cell, decisionLimit),
+    sensors: SENSOR_KEYS.map((key, index) => ({
+      key,
+      value: readFinite(sensorValues[index]),
+    })).filter((entry) => entry.value !== null),
+    outputGroups: describeOutputGroups(brainSnapshot?.lastOutputs),
+  };
+}
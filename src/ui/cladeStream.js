@@ -0,0 +1,135 @@
+const OTHER_BAND_COLOR = "rgba(160, 160, 160, 0.35)";
+const HIGHLIGHT_STROKE = "rgba(255, 255, 255, 0.9)";
+const DIMMED_ALPHA = 0.35;
+
+/**
+ * Converts clade composition samples (see `Stats#getCladeHistory`) into a
+ * stacked layout where every column holds each clade's share of the living
+ * population. Bands keep a stable bottom-to-top order by clade ID, and each
+ * band takes the most recent mean colour recorded for its clade.
+ *
+ * @param {Array<{total: number, clades: Array<{cladeId: number, count: number, color: string}>, otherCount?: number}>} history
+ * @returns {{
+ *   bands: Array<{cladeId: number|null, color: string}>,
+ *   columns: Array<Float64Array>,
+ * }} `columns[i][k]` is the cumulative share below band `k` at sample `i`,
+ *   with one extra trailing entry holding the column's top.
+ */
+export function buildCladeStreamLayout(history) {
+  const samples = Array.isArray(history)
+    ? history.filter((sample) => sample && sample.total > 0)
+    : [];
+  const colors = new Map();
+
+  for (const sample of samples) {
+    for (const { cladeId, color } of sample.clades ?? []) {
+      if (Number.isInteger(cladeId)) colors.set(cladeId, color);
+    }
+  }
+
+  const bands = Array.from(colors.keys())
+    .sort((a, b) => a - b)
+    .map((cladeId) => ({ cladeId, color: colors.get(cladeId) }));
+
+  bands.push({ cladeId: null, color: OTHER_BAND_COLOR });
+
+  const bandIndex = new Map(bands.map(({ cladeId }, index) => [cladeId, index]));
+  const columns = samples.map((sample) => {
+    const shares = new Float64Array(bands.length);
+
+    for (const { cladeId, count } of sample.clades ?? []) {
+      const index = bandIndex.get(cladeId);
+
+      if (index !== undefined) shares[index] = count / sample.total;
+    }
+
+    shares[bands.length - 1] = Math.max(0, sample.otherCount ?? 0) / sample.total;
+
+    const cumulative = new Float64Array(bands.length + 1);
+
+    for (let k = 0; k < bands.length; k++) {
+      cumulative[k + 1] = cumulative[k] + shares[k];
+    }
+
+    return cumulative;
+  });
+
+  return { bands, columns };
+}
+
+/**
+ * Resolves the clade under a point of the stream chart.
+ *
+ * @param {ReturnType<typeof buildCladeStreamLayout>} layout
+ * @param {number} fx - Horizontal position as a 0–1 fraction of the width.
+ * @param {number} fy - Vertical position as a 0–1 fraction from the top.
+ * @returns {number|null} Clade ID, or `null` for the "other" band or a miss.
+ */
+export function findCladeAt(layout, fx, fy) {
+  const columns = layout?.columns ?? [];
+
+  if (columns.length === 0 || !(fx >= 0 && fx <= 1 && fy >= 0 && fy <= 1)) {
+    return null;
+  }
+
+  const column = columns[Math.round(fx * (columns.length - 1))];
+  const share = 1 - fy;
+
+  for (let k = 0; k < layout.bands.length; k++) {
+    if (share >= column[k] && share < column[k + 1]) {
+      return layout.bands[k].cladeId;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Paints the stacked clade stream. Bands other than `highlightCladeId` are
+ * dimmed while a highlight is active.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {ReturnType<typeof buildCladeStreamLayout>} layout
+ * @param {number} width - Drawing width in CSS pixels.
+ * @param {number} height - Drawing height in CSS pixels.
+ * @param {{highlightCladeId?: number|null}} [options]
+ */
+export function drawCladeStream(ctx, layout, width, height, options = {}) {
+  if (!ctx || !(width > 0) || !(height > 0)) return;
+
+  ctx.clearRect(0, 0, width, height);
+
+  const columns = layout?.columns ?? [];
+
+  if (columns.length < 2) return;
+
+  const highlightCladeId = Number.isInteger(options?.highlightCladeId)
+    ? options.highlightCladeId
+    : null;
+  const stepX = width / (columns.length - 1);
+  const yAt = (share) => height - share * height;
+
+  layout.bands.forEach(({ cladeId, color }, k) => {
+    const highlighted = highlightCladeId !== null && cladeId === highlightCladeId;
+
+    ctx.globalAlpha = highlightCladeId === null || highlighted ? 1 : DIMMED_ALPHA;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    columns.forEach((column, i) => {
+      if (i === 0) ctx.moveTo(0, yAt(column[k + 1]));
+      else ctx.lineTo(i * stepX, yAt(column[k + 1]));
+    });
+    for (let i = columns.length - 1; i >= 0; i--) {
+      ctx.lineTo(i * stepX, yAt(columns[i][k]));
+    }
+    ctx.fill();
+
+    if (highlighted) {
+      ctx.strokeStyle = HIGHLIGHT_STROKE;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+  });
+
+  ctx.globalAlpha = 1;
+}
@@ -16,6 +16,10 @@ const BOOLEAN_SETTING_KEYS = Object.freeze([
   "showLifeEventMarkers",
   "showSelectionZones",
   "showGridLines",
+  "showTerrain",
+  "showTrophicRoles",
+  "trophicMode",
+  "fastForward",
 ]);
 
 function attachBooleanSettingAccessors(
@@ -180,6 +184,14 @@ function attachBooleanSettingAccessors(
  * @property {HeadlessBooleanSetter} setShowSelectionZones
  * @property {() => boolean} getShowGridLines
  * @property {HeadlessBooleanSetter} setShowGridLines
+ * @property {() => boolean} getShowTerrain
+ * @property {HeadlessBooleanSetter} setShowTerrain
+ * @property {() => boolean} getShowTrophicRoles
+ * @property {HeadlessBooleanSetter} setShowTrophicRoles
+ * @property {() => boolean} getTrophicMode
+ * @property {HeadlessBooleanSetter} setTrophicMode
+ * @property {() => boolean} getFastForward
+ * @property {HeadlessBooleanSetter} setFastForward
  */
 
 /**
@@ -288,6 +300,10 @@ function attachBooleanSettingAccessors(
  * @param {boolean} [options.showLifeEventMarkers] - Whether life event markers are shown.
  * @param {boolean} [options.showSelectionZones] - Whether reproductive zone overlays are shown.
  * @param {boolean} [options.showGridLines] - Whether grid lines outlining each tile are shown.
+ * @param {boolean} [options.showTerrain] - Whether the terrain biome overlay is shown.
+ * @param {boolean} [options.showTrophicRoles] - Whether cells are tinted by trophic role.
+ * @param {boolean} [options.trophicMode] - Whether predator–prey dynamics are enabled.
+ * @param {boolean} [options.fastForward] - Whether frames batch ticks within the fast-forward budget.
  * @param {number} [options.lifeEventFadeTicks] - Number of ticks life event markers remain visible.
  * @param {number} [options.lifeEventLimit] - Maximum life event markers rendered at once.
  * @param {number} [options.leaderboardIntervalMs] - Minimum time between leaderboard updates.
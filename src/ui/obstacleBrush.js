@@ -0,0 +1,110 @@
+/**
+ * Tile geometry for the obstacle brush tools in the Simulation Controls panel.
+ * The helpers are DOM-free so headless scripts can reuse them with
+ * `SimulationEngine#paintObstacles`.
+ */
+
+/** Brush tools offered by the UI, in menu order. `off` leaves clicks to the inspector. */
+export const OBSTACLE_BRUSH_TOOLS = Object.freeze([
+  { id: "off", label: "Off (inspect cells)", blocked: null },
+  { id: "paint", label: "Paint walls", blocked: true },
+  { id: "erase", label: "Erase walls", blocked: false },
+  { id: "line", label: "Line", blocked: true },
+  { id: "rect", label: "Rectangle outline", blocked: true },
+]);
+
+export const OBSTACLE_BRUSH_MAX_RADIUS = 6;
+
+/**
+ * Tiles on the straight line between two tiles (Bresenham), endpoints included.
+ *
+ * @param {{row: number, col: number}} from
+ * @param {{row: number, col: number}} to
+ * @returns {Array<{row: number, col: number}>}
+ */
+export function traceTileLine(from, to) {
+  const tiles = [];
+  let row = from.row;
+  let col = from.col;
+  const dRow = Math.abs(to.row - row);
+  const dCol = Math.abs(to.col - col);
+  const stepRow = row < to.row ? 1 : -1;
+  const stepCol = col < to.col ? 1 : -1;
+  let error = dCol - dRow;
+
+  for (;;) {
+    tiles.push({ row, col });
+    if (row === to.row && col === to.col) break;
+
+    const doubled = error * 2;
+
+    if (doubled > -dRow) {
+      error -= dRow;
+      col += stepCol;
+    }
+    if (doubled < dCol) {
+      error += dCol;
+      row += stepRow;
+    }
+  }
+
+  return tiles;
+}
+
+function rectangleOutline(from, to) {
+  const top = Math.min(from.row, to.row);
+  const bottom = Math.max(from.row, to.row);
+  const left = Math.min(from.col, to.col);
+  const right = Math.max(from.col, to.col);
+
+  return [
+    ...traceTileLine({ row: top, col: left }, { row: top, col: right }),
+    ...traceTileLine({ row: bottom, col: left }, { row: bottom, col: right }),
+    ...traceTileLine({ row: top, col: left }, { row: bottom, col: left }),
+    ...traceTileLine({ row: top, col: right }, { row: bottom, col: right }),
+  ];
+}
+
+/**
+ * Expands a brush gesture into the `[row, col]` tiles it touches. Freehand
+ * tools (`paint`, `erase`) and `line` stamp a disc of `radius` along the
+ * segment `from` → `to`; `rect` stamps the outline of the rectangle spanned by
+ * the two corners. Tiles are deduplicated and clipped to the grid.
+ *
+ * @param {string} tool - One of {@link OBSTACLE_BRUSH_TOOLS}' ids.
+ * @param {{row: number, col: number}} from
+ * @param {{row: number, col: number}} to
+ * @param {{radius?: number, rows: number, cols: number}} options
+ * @returns {Array<[number, number]>}
+ */
+export function collectBrushTiles(tool, from, to, { radius = 0, rows, cols }) {
+  if (!from || !to || tool === "off") return [];
+
+  const path = tool === "rect" ? rectangleOutline(from, to) : traceTileLine(from, to);
+  const reach = Math.max(0, Math.min(OBSTACLE_BRUSH_MAX_RADIUS, Math.floor(radius)));
+  const limit = (reach + 0.5) * (reach + 0.5);
+  const seen = new Set();
+  const tiles = [];
+
+  for (const centre of path) {
+    for (let dRow = -reach; dRow <= reach; dRow += 1) {
+      for (let dCol = -reach; dCol <= reach; dCol += 1) {
+        if (dRow * dRow + dCol * dCol > limit) continue;
+
+        const row = centre.row + dRow;
+        const col = centre.col + dCol;
+
+        if (row < 0 || row >= rows || col < 0 || col >= cols) continue;
+
+        const key = row * cols + col;
+
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        tiles.push([row, col]);
+      }
+    }
+  }
+
+  return tiles;
+}
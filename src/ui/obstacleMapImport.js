@@ -0,0 +1,51 @@
+import {
+  createObstacleMapPreset,
+  obstacleMapFromPixels,
+  parseAsciiObstacleMap,
+} from "../grid/obstacleMaps.js";
+
+/** File types offered by the map picker; anything not an image is read as ASCII. */
+export const OBSTACLE_MAP_FILE_ACCEPT = "image/*,.png,.bmp,.gif,.txt,.map,text/plain";
+
+function isImageFile(file) {
+  if (typeof file?.type === "string" && file.type.startsWith("image/")) return true;
+
+  return /\.(png|bmp|gif|jpe?g|webp)$/i.test(file?.name ?? "");
+}
+
+async function readImagePixels(file) {
+  if (typeof createImageBitmap !== "function") {
+    throw new TypeError("This browser cannot decode images for obstacle maps.");
+  }
+
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement("canvas");
+
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+
+  const ctx = canvas.getContext("2d");
+
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Reads a dropped or picked file into an obstacle map preset. Images become
+ * walls wherever they are dark; other files are parsed as ASCII maps.
+ *
+ * @param {File} file
+ * @param {{threshold?: number}} [options] - Forwarded to `obstacleMapFromPixels`.
+ * @returns {Promise<Object>} Preset descriptor named after the file.
+ */
+export async function readObstacleMapFile(file, options) {
+  if (!file) throw new TypeError("No obstacle map file provided.");
+
+  const map = isImageFile(file)
+    ? obstacleMapFromPixels(await readImagePixels(file), options)
+    : parseAsciiObstacleMap(await file.text());
+
+  return createObstacleMapPreset({ name: file.name, map });
+}
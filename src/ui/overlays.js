@@ -5,6 +5,15 @@ import { toPlainObject } from "../utils/object.js";
 import { warnOnce, invokeWithErrorBoundary } from "../utils/error.js";
 import { resolveNonEmptyString } from "../utils/primitives.js";
 import { getDensityAt } from "../grid/densityUtils.js";
+import { getEventColor } from "../events/eventEffects.js";
+import {
+  hexTileCenter,
+  resolveGridLattice,
+  traceHexBoundary,
+  traceHexTile,
+} from "../grid/lattice.js";
+import { TERRAIN_BIOMES } from "../grid/terrain.js";
+import { TROPHIC_ROLE_COLORS, resolveTrophicRole } from "../grid/trophic.js";
 
 const DEFAULT_FITNESS_TOP_PERCENT = 0.1;
 const FITNESS_GRADIENT_STEPS = 5;
@@ -20,6 +29,8 @@ const LIFE_EVENT_MARKER_DEFAULT_COLORS = Object.freeze({
 const LIFE_EVENT_LEGEND_MIN_WIDTH = 150;
 const AGE_HEATMAP_COLOR = "255, 138, 0";
 const AGE_HEATMAP_BASE_ALPHA = 0.18;
+const TERRAIN_OVERLAY_ALPHA = 0.28;
+const TROPHIC_ROLE_OVERLAY_ALPHA = 0.75;
 const DEFAULT_OBSTACLE_MASK_FILL = "rgba(40, 40, 55, 0.35)";
 const DEFAULT_OBSTACLE_MASK_OUTLINE = "rgba(200, 200, 255, 0.35)";
 const OBSTACLE_MASK_LINE_WIDTH_SCALE = 0.12;
@@ -28,6 +39,7 @@ const GRID_LINE_COLOR = "rgba(255, 255, 255, 0.1)";
 const GRID_LINE_EMPHASIS_COLOR = "rgba(255, 255, 255, 0.2)";
 const GRID_LINE_EMPHASIS_STEP = 5;
 const GRID_LINE_CACHE_LIMIT = 6;
+const CLADE_HIGHLIGHT_COLOR = "rgba(255, 255, 255, 0.9)";
 const DEFAULT_SELECTION_ZONE_FILL = "rgba(120, 190, 255, 0.2)";
 const DEFAULT_SELECTION_ZONE_STROKE = "rgba(255, 255, 255, 0.32)";
 const DEFAULT_SELECTION_ZONE_LABEL_FONT = "12px/1.4 sans-serif";
@@ -71,6 +83,19 @@ function fillRoundedRect(ctx, x, y, width, height, radius) {
   ctx.fill();
 }
 
+// Fills one tile: a square on the classic lattice, a hexagon on hex grids.
+function fillTile(ctx, row, col, cellSize, hex) {
+  if (!hex) {
+    ctx.fillRect(col * cellSize, row * cellSize, cellSize, cellSize);
+
+    return;
+  }
+
+  ctx.beginPath();
+  traceHexTile(ctx, row, col, cellSize);
+  ctx.fill();
+}
+
 const gridLineCache = new Map();
 const gridLineCacheOrder = [];
 
@@ -312,6 +337,7 @@ function drawBirthMarker(ctx, centerX, centerY, radius, color) {
  *   fadeTicks?: number,
  *   currentTick?: number,
  *   colors?: Record<string, string>,
+ *   lattice?: "square"|"hex",
  * }} [options] - Rendering customisations.
  */
 const LIFE_EVENT_MARKER_POOL_LIMIT = 256;
@@ -353,6 +379,7 @@ export function drawLifeEventMarkers(ctx, cellSize, events, options = {}) {
   const markerRadius = Math.max(cellSize * 0.42, cellSize * 0.24);
   const strokeWidth = Math.max(cellSize * 0.18, 1.25);
   const colorOverrides = options.colors;
+  const hexLattice = resolveGridLattice(options.lattice) === "hex";
 
   const prepared = lifeEventMarkerScratch;
 
@@ -410,8 +437,9 @@ export function drawLifeEventMarkers(ctx, cellSize, events, options = {}) {
         ? LIFE_EVENT_MARKER_DEFAULT_COLORS.death
         : LIFE_EVENT_MARKER_DEFAULT_COLORS.birth;
     const color = resolveNonEmptyString(rawColor, fallbackColor);
-    const centerX = (col + 0.5) * cellSize;
-    const centerY = (row + 0.5) * cellSize;
+    const { x: centerX, y: centerY } = hexLattice
+      ? hexTileCenter(row, col, cellSize)
+      : { x: (col + 0.5) * cellSize, y: (row + 0.5) * cellSize };
 
     if (type === "death") {
       drawDeathMarker(ctx, centerX, centerY, markerRadius, color);
@@ -474,6 +502,51 @@ function resolveZoneLabel(zone) {
   return "";
 }
 
+// Hex zones fill their tiles as hexagons and outline only the zone's border,
+// since the tile rects no longer line up with straight edges.
+function drawHexZone(ctx, cellSize, rects, strokeColor) {
+  const inside = (row, col) =>
+    rects.some(
+      (rect) =>
+        rect &&
+        row >= rect.row &&
+        row < rect.row + rect.rowSpan &&
+        col >= rect.col &&
+        col < rect.col + rect.colSpan,
+    );
+
+  ctx.beginPath();
+
+  for (const rect of rects) {
+    if (!rect) continue;
+
+    for (let row = rect.row; row < rect.row + rect.rowSpan; row++) {
+      for (let col = rect.col; col < rect.col + rect.colSpan; col++) {
+        traceHexTile(ctx, row, col, cellSize);
+      }
+    }
+  }
+
+  ctx.fill();
+
+  if (!strokeColor) return;
+
+  ctx.strokeStyle = strokeColor;
+  ctx.beginPath();
+
+  for (const rect of rects) {
+    if (!rect) continue;
+
+    for (let row = rect.row; row < rect.row + rect.rowSpan; row++) {
+      for (let col = rect.col; col < rect.col + rect.colSpan; col++) {
+        traceHexBoundary(ctx, row, col, cellSize, inside);
+      }
+    }
+  }
+
+  ctx.stroke();
+}
+
 export function drawSelectionZones(ctx, cellSize, zoneEntries, options = {}) {
   if (!ctx || !(cellSize > 0)) return;
   if (!Array.isArray(zoneEntries) || zoneEntries.length === 0) return;
@@ -540,6 +613,7 @@ export function drawSelectionZones(ctx, cellSize, zoneEntries, options = {}) {
       : Math.max(1, cellSize * 0.12);
   const strokeOverride =
     config.strokeColor === null ? "" : resolveNonEmptyString(config.strokeColor, "");
+  const hexLattice = resolveGridLattice(config.lattice) === "hex";
 
   const zones = zoneEntries.filter((entry) => {
     const rects = entry?.geometry?.rects;
@@ -565,6 +639,12 @@ export function drawSelectionZones(ctx, cellSize, zoneEntries, options = {}) {
 
     ctx.fillStyle = fillColor;
 
+    if (hexLattice) {
+      drawHexZone(ctx, cellSize, rects, strokeColor);
+
+      continue;
+    }
+
     for (const rect of rects) {
       if (!rect) continue;
 
@@ -833,7 +913,47 @@ function createFitnessPalette(steps, hue) {
 }
 
 /**
- * Shades active environmental event rectangles on the canvas.
+ * Traces a circular or polygonal event footprint as a canvas path. Tracing the
+ * shape directly keeps the overlay cost per event constant however far the
+ * footprint drifts or grows.
+ *
+ * @returns {boolean} `false` for rectangles or contexts without path support.
+ */
+function traceEventFootprint(ctx, footprint, cellSize) {
+  if (!footprint || footprint.shape === "rect" || typeof ctx.beginPath !== "function") {
+    return false;
+  }
+
+  if (footprint.shape === "circle") {
+    ctx.beginPath();
+    ctx.arc(
+      footprint.x * cellSize,
+      footprint.y * cellSize,
+      footprint.radius * cellSize,
+      0,
+      Math.PI * 2,
+    );
+
+    return true;
+  }
+
+  if (footprint.shape === "polygon" && footprint.points?.length >= 3) {
+    ctx.beginPath();
+    footprint.points.forEach(({ x, y }, index) => {
+      if (index === 0) ctx.moveTo(x * cellSize, y * cellSize);
+      else ctx.lineTo(x * cellSize, y * cellSize);
+    });
+    ctx.closePath?.();
+
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Shades active environmental event footprints on the canvas: rectangles
+ * tile by tile, circles and polygons as filled paths.
  *
  * @param {CanvasRenderingContext2D} ctx - Rendering context.
  * @param {number} cellSize - Size of a single grid cell in pixels.
@@ -854,7 +974,8 @@ export function drawEventOverlays(ctx, cellSize, activeEvents, getColor) {
     if (!event || !event.affectedArea) continue;
 
     const { affectedArea } = event;
-    let color = event.color || "rgba(255, 255, 255, 0.15)";
+    let color =
+      event.color || getEventColor(event.eventType) || "rgba(255, 255, 255, 0.15)";
 
     if (typeof getColor === "function") {
       const resolved = invokeWithErrorBoundary(getColor, [event], {
@@ -871,6 +992,12 @@ export function drawEventOverlays(ctx, cellSize, activeEvents, getColor) {
     if (!color) continue;
 
     ctx.fillStyle = color;
+
+    if (traceEventFootprint(ctx, event.footprint, cellSize)) {
+      ctx.fill();
+      continue;
+    }
+
     ctx.fillRect(
       affectedArea.x * cellSize,
       affectedArea.y * cellSize,
@@ -932,6 +1059,29 @@ function drawObstacleMask(
   ctx.strokeStyle = outline;
   ctx.lineWidth = Math.max(1, cellSize * OBSTACLE_MASK_LINE_WIDTH_SCALE);
 
+  if (resolveGridLattice(grid.lattice) === "hex") {
+    const blocked = (r, c) => Boolean(mask[r]?.[c]);
+
+    ctx.beginPath();
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        if (blocked(r, c)) traceHexTile(ctx, r, c, cellSize);
+      }
+    }
+    ctx.fill();
+
+    ctx.beginPath();
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        if (blocked(r, c)) traceHexBoundary(ctx, r, c, cellSize, blocked);
+      }
+    }
+    ctx.stroke();
+    ctx.restore();
+
+    return;
+  }
+
   for (let r = 0; r < rows; r++) {
     const rowMask = mask[r];
 
@@ -1012,6 +1162,7 @@ function createGridLineCacheKey({
   baseColor,
   highlightColor,
   emphasisInterval,
+  lattice,
 }) {
   return JSON.stringify([
     rows,
@@ -1021,6 +1172,7 @@ function createGridLineCacheKey({
     baseColor,
     highlightColor,
     emphasisInterval,
+    lattice,
   ]);
 }
 
@@ -1051,10 +1203,41 @@ function createGridLineCanvas(width, height) {
 
 function paintGridLinesToContext(
   ctx,
-  { cellSize, rows, cols, baseColor, highlightColor, emphasisInterval, lineWidth },
+  {
+    cellSize,
+    rows,
+    cols,
+    baseColor,
+    highlightColor,
+    emphasisInterval,
+    lineWidth,
+    lattice,
+  },
 ) {
   if (!ctx) return false;
 
+  if (lattice === "hex") {
+    // Hex meshes have no straight lines to emphasise, so every tile is
+    // outlined in the base colour.
+    if (typeof ctx.beginPath !== "function" || typeof ctx.stroke !== "function") {
+      return false;
+    }
+
+    ctx.strokeStyle = baseColor;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+
+    for (let r = 0; r < rows; r += 1) {
+      for (let c = 0; c < cols; c += 1) {
+        traceHexTile(ctx, r, c, cellSize);
+      }
+    }
+
+    ctx.stroke();
+
+    return true;
+  }
+
   const width = cols * cellSize;
   const height = rows * cellSize;
 
@@ -1181,10 +1364,61 @@ function getGridLineSurface(config) {
   return entry;
 }
 
+/**
+ * Outlines every living member of a clade so a band picked in the Insights
+ * clade stream chart can be located on the grid.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Rendering context.
+ * @param {number} cellSize - Size of a single grid cell in pixels.
+ * @param {Array<{row:number,col:number,cladeId?:number}>} entries - Snapshot
+ *   entries produced by {@link GridManager#buildSnapshot}.
+ * @param {number} cladeId - Clade to highlight.
+ * @param {{lattice?: "square"|"hex"}} [options]
+ */
+export function drawCladeHighlight(ctx, cellSize, entries, cladeId, options = {}) {
+  if (!ctx || !(cellSize > 0) || !Array.isArray(entries)) return;
+  if (!Number.isInteger(cladeId)) return;
+
+  const inset = cellSize >= 6 ? 0.5 : 0;
+
+  ctx.save();
+  ctx.strokeStyle = CLADE_HIGHLIGHT_COLOR;
+  ctx.lineWidth = Math.max(1, cellSize / 6);
+
+  if (resolveGridLattice(options?.lattice) === "hex") {
+    ctx.beginPath();
+
+    for (const entry of entries) {
+      if (entry?.cladeId !== cladeId) continue;
+
+      traceHexTile(ctx, entry.row, entry.col, cellSize, inset);
+    }
+
+    ctx.stroke();
+    ctx.restore();
+
+    return;
+  }
+
+  for (const entry of entries) {
+    if (entry?.cladeId !== cladeId) continue;
+
+    ctx.strokeRect(
+      entry.col * cellSize + inset,
+      entry.row * cellSize + inset,
+      cellSize - inset * 2,
+      cellSize - inset * 2,
+    );
+  }
+
+  ctx.restore();
+}
+
 export function drawGridLines(ctx, cellSize, rows, cols, options = {}) {
   if (!ctx || !(cellSize > 0) || !(rows > 0) || !(cols > 0)) return;
 
-  const { color, emphasisColor, emphasisStep, lineWidth } = toPlainObject(options);
+  const { color, emphasisColor, emphasisStep, lineWidth, lattice } =
+    toPlainObject(options);
   const baseColor = resolveNonEmptyString(color, GRID_LINE_COLOR);
   const highlightColor = resolveNonEmptyString(emphasisColor, GRID_LINE_EMPHASIS_COLOR);
   const emphasisInterval =
@@ -1202,6 +1436,7 @@ export function drawGridLines(ctx, cellSize, rows, cols, options = {}) {
     highlightColor,
     emphasisInterval,
     lineWidth: resolvedLineWidth,
+    lattice: resolveGridLattice(lattice),
   };
 
   const surface = getGridLineSurface(config);
@@ -1295,6 +1530,7 @@ function drawScalarHeatmap(grid, ctx, cellSize, alphaAt, color = "0,0,0") {
   }
 
   let lastFillStyle = null;
+  const hex = resolveGridLattice(grid.lattice) === "hex";
 
   for (let r = 0; r < rows; r++) {
     const y = r * cellSize;
@@ -1309,7 +1545,8 @@ function drawScalarHeatmap(grid, ctx, cellSize, alphaAt, color = "0,0,0") {
         lastFillStyle = fillStyle;
       }
 
-      ctx.fillRect(c * cellSize, y, cellSize, cellSize);
+      if (hex) fillTile(ctx, r, c, cellSize, true);
+      else ctx.fillRect(c * cellSize, y, cellSize, cellSize);
     }
   }
 }
@@ -1583,6 +1820,8 @@ export function drawOverlays(grid, ctx, cellSize, opts = {}) {
     showLifeEventMarkers,
     showSelectionZones,
     showGridLines,
+    showTerrain,
+    showTrophicRoles,
     showObstacles = true,
     maxTileEnergy = MAX_TILE_ENERGY,
     activeEvents,
@@ -1596,10 +1835,14 @@ export function drawOverlays(grid, ctx, cellSize, opts = {}) {
     lifeEventLimit,
     selectionZones,
     selectionZoneOptions,
+    highlightedCladeId,
   } = opts;
   let snapshot = providedSnapshot;
   const rows = Number.isFinite(grid?.rows) ? grid.rows : 0;
   const cols = Number.isFinite(grid?.cols) ? grid.cols : 0;
+  const lattice = resolveGridLattice(grid?.lattice);
+
+  if (showTerrain) drawTerrainOverlay(grid, ctx, cellSize);
 
   if (Array.isArray(activeEvents) && activeEvents.length > 0) {
     drawEventOverlays(ctx, cellSize, activeEvents, getEventColor);
@@ -1614,13 +1857,26 @@ export function drawOverlays(grid, ctx, cellSize, opts = {}) {
   }
   if (showDensity) drawDensityHeatmap(grid, ctx, cellSize);
   if (showAge) drawAgeHeatmap(grid, ctx, cellSize);
+  if (showTrophicRoles) drawTrophicRoleOverlay(grid, ctx, cellSize);
   if (showFitness) {
     if (!snapshot && typeof grid?.getLastSnapshot === "function") {
       snapshot = grid.getLastSnapshot();
     }
   }
   if (showFitness) {
-    drawFitnessHeatmap(snapshot, ctx, cellSize, fitnessOverlayOptions);
+    drawFitnessHeatmap(snapshot, ctx, cellSize, {
+      lattice,
+      ...toPlainObject(fitnessOverlayOptions),
+    });
+  }
+  if (Number.isInteger(highlightedCladeId)) {
+    if (!snapshot && typeof grid?.getLastSnapshot === "function") {
+      snapshot = grid.getLastSnapshot();
+    }
+
+    drawCladeHighlight(ctx, cellSize, snapshot?.entries, highlightedCladeId, {
+      lattice,
+    });
   }
   if (
     showSelectionZones &&
@@ -1630,21 +1886,109 @@ export function drawOverlays(grid, ctx, cellSize, opts = {}) {
     drawSelectionZones(ctx, cellSize, selectionZones, {
       rows,
       cols,
+      lattice,
       ...toPlainObject(selectionZoneOptions),
     });
   }
   if (showGridLines) {
-    drawGridLines(ctx, cellSize, rows, cols, gridLineOptions);
+    drawGridLines(ctx, cellSize, rows, cols, {
+      lattice,
+      ...toPlainObject(gridLineOptions),
+    });
   }
   if (showLifeEventMarkers && Array.isArray(lifeEvents) && lifeEvents.length > 0) {
     drawLifeEventMarkers(ctx, cellSize, lifeEvents, {
       currentTick: lifeEventCurrentTick,
       fadeTicks: lifeEventFadeTicks,
       limit: lifeEventLimit,
+      lattice,
     });
   }
 }
 
+/**
+ * Tints every tile with its biome colour. Grids without a terrain layer draw
+ * nothing.
+ *
+ * @param {Object} grid - Grid snapshot exposing `terrain`, `rows` and `cols`.
+ * @param {CanvasRenderingContext2D} ctx - Rendering context.
+ * @param {number} cellSize - Size of a single grid cell in pixels.
+ */
+export function drawTerrainOverlay(grid, ctx, cellSize) {
+  const terrain = grid?.terrain;
+  const rows = Number.isFinite(grid?.rows) ? grid.rows : 0;
+  const cols = Number.isFinite(grid?.cols) ? grid.cols : 0;
+
+  if (!terrain || !(rows > 0) || !(cols > 0) || terrain.length < rows * cols) return;
+
+  const hex = resolveGridLattice(grid.lattice) === "hex";
+  const fillStyles = TERRAIN_BIOMES.map(
+    (biome) => `rgba(${biome.color}, ${TERRAIN_OVERLAY_ALPHA})`,
+  );
+  let lastFillStyle = null;
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const fillStyle = fillStyles[terrain[r * cols + c]];
+
+      if (!fillStyle) continue;
+
+      if (fillStyle !== lastFillStyle) {
+        ctx.fillStyle = fillStyle;
+        lastFillStyle = fillStyle;
+      }
+
+      fillTile(ctx, r, c, cellSize, hex);
+    }
+  }
+}
+
+/**
+ * Paints each organism in its trophic role colour: green herbivores, amber
+ * omnivores and red predators.
+ *
+ * @param {Object} grid - Grid snapshot exposing `grid`, `rows` and `cols`.
+ * @param {CanvasRenderingContext2D} ctx - Rendering context.
+ * @param {number} cellSize - Size of a single grid cell in pixels.
+ */
+export function drawTrophicRoleOverlay(grid, ctx, cellSize) {
+  const gridRows = Array.isArray(grid?.grid) ? grid.grid : null;
+  const rows = Number.isFinite(grid?.rows) ? grid.rows : 0;
+  const cols = Number.isFinite(grid?.cols) ? grid.cols : 0;
+
+  if (!gridRows || !ctx || !(rows > 0) || !(cols > 0) || !(cellSize > 0)) return;
+
+  const hex = resolveGridLattice(grid.lattice) === "hex";
+  const fillStyles = Object.fromEntries(
+    Object.entries(TROPHIC_ROLE_COLORS).map(([role, color]) => [
+      role,
+      `rgba(${color}, ${TROPHIC_ROLE_OVERLAY_ALPHA})`,
+    ]),
+  );
+  let lastFillStyle = null;
+
+  for (let r = 0; r < rows; r++) {
+    const rowCells = gridRows[r];
+
+    if (!rowCells) continue;
+
+    for (let c = 0; c < cols; c++) {
+      const cell = rowCells[c];
+
+      if (!cell?.dna) continue;
+
+      const fillStyle = fillStyles[resolveTrophicRole(cell)];
+
+      if (fillStyle !== lastFillStyle) {
+        ctx.fillStyle = fillStyle;
+        lastFillStyle = fillStyle;
+      }
+
+      fillTile(ctx, r, c, cellSize, hex);
+    }
+  }
+}
+
 /**
  * Draws the energy heatmap overlay summarising per-tile energy levels.
  *
@@ -1764,13 +2108,15 @@ export function drawDensityHeatmap(grid, ctx, cellSize) {
 
   scratchIndex = 0;
 
+  const hex = resolveGridLattice(grid.lattice) === "hex";
+
   for (let r = 0; r < rows; r++) {
     for (let c = 0; c < cols; c++) {
       const density = scratch[scratchIndex++];
       const normalized = (density - minDensity) / range;
 
       ctx.fillStyle = densityToRgba(normalized);
-      ctx.fillRect(c * cellSize, r * cellSize, cellSize, cellSize);
+      fillTile(ctx, r, c, cellSize, hex);
     }
   }
 
@@ -2031,8 +2377,9 @@ export function drawAgeHeatmap(grid, ctx, cellSize) {
  * @param {{rows?: number, cols?: number, entries?: Array, maxFitness?: number}} snapshot - Leaderboard data.
  * @param {CanvasRenderingContext2D} ctx - Rendering context.
  * @param {number} cellSize - Size of a single grid cell in pixels.
- * @param {{topPercent?: number}} [options] - Overrides for highlight selection. `topPercent`
- *   controls the fraction of the leaderboard emphasised. Defaults to 0.1 when omitted.
+ * @param {{topPercent?: number, lattice?: "square"|"hex"}} [options] - Overrides for
+ *   highlight selection. `topPercent` controls the fraction of the leaderboard
+ *   emphasised. Defaults to 0.1 when omitted.
  */
 export function drawFitnessHeatmap(snapshot, ctx, cellSize, options = {}) {
   if (!snapshot || snapshot.maxFitness <= 0) return;
@@ -2053,6 +2400,7 @@ export function drawFitnessHeatmap(snapshot, ctx, cellSize, options = {}) {
   }
   const palette = createFitnessPalette(FITNESS_GRADIENT_STEPS, FITNESS_BASE_HUE);
   const tierSize = Math.max(1, Math.ceil(topEntries.length / palette.length));
+  const hex = resolveGridLattice(options.lattice) === "hex";
 
   ctx.fillStyle = "rgba(0, 0, 0, 0.45)";
   ctx.fillRect(0, 0, cols * cellSize, rows * cellSize);
@@ -2061,7 +2409,7 @@ export function drawFitnessHeatmap(snapshot, ctx, cellSize, options = {}) {
     const paletteIndex = Math.min(palette.length - 1, Math.floor(index / tierSize));
 
     ctx.fillStyle = palette[paletteIndex];
-    ctx.fillRect(col * cellSize, row * cellSize, cellSize, cellSize);
+    fillTile(ctx, row, col, cellSize, hex);
   });
 
   drawFitnessLegend(ctx, cellSize, cols, rows, palette, {
@@ -150,6 +150,7 @@ const UI_WARNING_CONTEXTS = Object.freeze({
   geometry: "applying grid geometry change",
   overlay: "synchronizing overlay toggle state",
   speed: "synchronizing updates-per-second control",
+  inspector: "refreshing cell inspector",
 });
 
 const DEFAULT_UI_WARNING_CONTEXT = "processing UI update";
@@ -241,6 +242,32 @@ function createLeaderboardHandler(callTelemetry) {
     callTelemetry("renderLeaderboard", [entries], UI_WARNING_CONTEXTS.leaderboard);
 }
 
+// Fast-forward and skip-ahead emit a `tick` for every batched update, so the
+// inspector refreshes once, in a microtask, after the batch has run.
+function createInspectorRefreshHandler(callTelemetry) {
+  let queued = false;
+  let active = true;
+  const refresh = () => {
+    queued = false;
+
+    if (active) {
+      callTelemetry("refreshCellInspector", [], UI_WARNING_CONTEXTS.inspector);
+    }
+  };
+
+  return {
+    handleTick() {
+      if (queued) return;
+
+      queued = true;
+      queueMicrotask(refresh);
+    },
+    dispose() {
+      active = false;
+    },
+  };
+}
+
 function propagateOverlayChanges(changes, callControls) {
   if (!changes) {
     return;
@@ -353,6 +380,7 @@ function subscribeEngineToUi(
   const syncUpdatesPerSecond = createUpdatesPerSecondSynchronizer(engine, callControls);
   const handleMetrics = createMetricsHandler(callTelemetry);
   const handleLeaderboard = createLeaderboardHandler(callTelemetry);
+  const inspectorRefresh = createInspectorRefreshHandler(callTelemetry);
   const handleStateChange = createStateChangeHandler({
     engine,
     callControls,
@@ -363,6 +391,16 @@ function subscribeEngineToUi(
     engine.on?.("metrics", handleMetrics),
     engine.on?.("leaderboard", handleLeaderboard),
     engine.on?.("state", handleStateChange),
+    engine.on?.("tick", inspectorRefresh.handleTick),
+    inspectorRefresh.dispose,
+    engine.on?.("skipAhead", (progress) =>
+      callControls("renderSkipAheadProgress", [progress]),
+    ),
+    engine.on?.("rewind", (status) => callControls("renderRewindStatus", [status])),
+    engine.on?.("recording", (status) =>
+      callControls("renderRecordingStatus", [status]),
+    ),
+    engine.on?.("replay", (status) => callControls("renderReplayStatus", [status])),
   ].filter(Boolean);
 }
 
@@ -458,6 +496,13 @@ const STATE_CHANGE_HANDLERS = [
     method: "setInitialTileEnergyFraction",
     args: withNotifyFalse,
   },
+  { key: "fastForward", method: "setFastForward", args: withNotifyFalse },
+  {
+    key: "fastForwardBudgetMs",
+    method: "setFastForwardBudgetMs",
+    args: withNotifyFalse,
+  },
+  { key: "rewindMemoryMiB", method: "setRewindMemoryMiB", args: withNotifyFalse },
 ];
 
 const INITIAL_STATE_SYNCERS = [
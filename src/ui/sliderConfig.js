@@ -1,129 +1,83 @@
 import {
   COMBAT_EDGE_SHARPNESS_DEFAULT,
   COMBAT_TERRITORY_EDGE_FACTOR,
-  LEADERBOARD_INTERVAL_MIN_MS,
+  SETTING_RANGES,
   SIMULATION_DEFAULTS,
 } from "../config.js";
 import { clamp } from "../utils/math.js";
 
-// UI defaults and slider bounds derived from canonical simulation defaults.
+// UI defaults from the canonical simulation defaults, with the slider ranges
+// shared with saved settings through `SETTING_RANGES`.
 export const UI_SLIDER_CONFIG = Object.freeze({
   societySimilarity: {
     default: SIMULATION_DEFAULTS.societySimilarity,
-    min: 0,
-    max: 1,
-    step: 0.01,
-    floor: 0,
+    ...SETTING_RANGES.societySimilarity,
   },
   enemySimilarity: {
     default: SIMULATION_DEFAULTS.enemySimilarity,
-    min: 0,
-    max: 1,
-    step: 0.01,
-    floor: 0,
+    ...SETTING_RANGES.enemySimilarity,
   },
   eventStrengthMultiplier: {
     default: SIMULATION_DEFAULTS.eventStrengthMultiplier,
-    min: 0,
-    max: 3,
-    step: 0.05,
-    floor: 0,
+    ...SETTING_RANGES.eventStrengthMultiplier,
   },
   eventFrequencyMultiplier: {
     default: SIMULATION_DEFAULTS.eventFrequencyMultiplier,
-    min: 0,
-    max: 3,
-    step: 0.1,
-    floor: 0,
+    ...SETTING_RANGES.eventFrequencyMultiplier,
   },
   speedMultiplier: {
     default: SIMULATION_DEFAULTS.speedMultiplier,
-    min: 0.5,
-    max: 100,
-    step: 0.5,
-    floor: 0.1,
+    ...SETTING_RANGES.speedMultiplier,
   },
   densityEffectMultiplier: {
     default: SIMULATION_DEFAULTS.densityEffectMultiplier,
-    min: 0,
-    max: 2,
-    step: 0.05,
-    floor: 0,
+    ...SETTING_RANGES.densityEffectMultiplier,
   },
   initialTileEnergyFraction: {
     default: SIMULATION_DEFAULTS.initialTileEnergyFraction,
-    min: 0,
-    max: 1,
-    step: 0.05,
-    floor: 0,
+    ...SETTING_RANGES.initialTileEnergyFraction,
   },
   mutationMultiplier: {
     default: SIMULATION_DEFAULTS.mutationMultiplier,
-    min: 0,
-    max: 3,
-    step: 0.05,
-    floor: 0,
+    ...SETTING_RANGES.mutationMultiplier,
   },
   matingDiversityThreshold: {
     default: SIMULATION_DEFAULTS.matingDiversityThreshold,
-    min: 0,
-    max: 1,
-    step: 0.01,
-    floor: 0,
+    ...SETTING_RANGES.matingDiversityThreshold,
   },
   lowDiversityReproMultiplier: {
     default: SIMULATION_DEFAULTS.lowDiversityReproMultiplier,
-    min: 0,
-    max: 1,
-    step: 0.05,
-    floor: 0,
+    ...SETTING_RANGES.lowDiversityReproMultiplier,
   },
   combatEdgeSharpness: {
     default: COMBAT_EDGE_SHARPNESS_DEFAULT,
-    min: 0.5,
-    max: 6,
-    step: 0.1,
-    floor: 0.1,
+    ...SETTING_RANGES.combatEdgeSharpness,
   },
   combatTerritoryEdgeFactor: {
     default: COMBAT_TERRITORY_EDGE_FACTOR,
-    min: 0,
-    max: 1,
-    step: 0.05,
-    floor: 0,
+    ...SETTING_RANGES.combatTerritoryEdgeFactor,
   },
   lifeEventFadeTicks: {
     default: SIMULATION_DEFAULTS.lifeEventFadeTicks,
-    min: 1,
-    max: 180,
-    step: 1,
-    floor: 1,
+    ...SETTING_RANGES.lifeEventFadeTicks,
   },
   lifeEventLimit: {
     default: SIMULATION_DEFAULTS.lifeEventLimit,
-    min: 0,
-    max: 60,
-    step: 1,
-    floor: 0,
-  },
-  energyRegenRate: {
-    min: 0,
-    max: 0.2,
-    step: 0.005,
-    floor: 0,
-  },
-  energyDiffusionRate: {
-    min: 0,
-    max: 0.5,
-    step: 0.01,
-    floor: 0,
+    ...SETTING_RANGES.lifeEventLimit,
   },
+  energyRegenRate: { ...SETTING_RANGES.energyRegenRate },
+  energyDiffusionRate: { ...SETTING_RANGES.energyDiffusionRate },
   leaderboardIntervalMs: {
     default: SIMULATION_DEFAULTS.leaderboardIntervalMs,
-    min: LEADERBOARD_INTERVAL_MIN_MS,
-    max: 3000,
-    step: 50,
-    floor: 0,
+    ...SETTING_RANGES.leaderboardIntervalMs,
+  },
+  fastForwardBudgetMs: {
+    default: SIMULATION_DEFAULTS.fastForwardBudgetMs,
+    ...SETTING_RANGES.fastForwardBudgetMs,
+  },
+  rewindMemoryMiB: {
+    default: SIMULATION_DEFAULTS.rewindMemoryMiB,
+    ...SETTING_RANGES.rewindMemoryMiB,
   },
 });
 
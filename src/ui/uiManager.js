@@ -1,4 +1,8 @@
-import { resolveSimulationDefaults, SIMULATION_DEFAULTS } from "../config.js";
+import {
+  GRID_GEOMETRY_BOUNDS,
+  resolveSimulationDefaults,
+  SIMULATION_DEFAULTS,
+} from "../config.js";
 import {
   clampSliderValue,
   normalizeSliderStepValue,
@@ -22,6 +26,19 @@ import {
 import { coerceBoolean } from "../utils/primitives.js";
 import { toPlainObject } from "../utils/object.js";
 import { warnOnce, invokeWithErrorBoundary } from "../utils/error.js";
+import { describeCellForInspector } from "./cellInspector.js";
+import { buildCladeStreamLayout, drawCladeStream, findCladeAt } from "./cladeStream.js";
+import {
+  OBSTACLE_BRUSH_MAX_RADIUS,
+  OBSTACLE_BRUSH_TOOLS,
+  collectBrushTiles,
+} from "./obstacleBrush.js";
+import { OBSTACLE_MAP_FILE_ACCEPT, readObstacleMapFile } from "./obstacleMapImport.js";
+import { resolveWorldTopology } from "../grid/topology.js";
+import { hexTileAt, resolveGridLattice } from "../grid/lattice.js";
+import { describeScenarioEntry } from "../engine/scenario.js";
+import { encodeSettingsHash } from "../engine/savedSettings.js";
+import { getEventTypes } from "../events/eventEffects.js";
 
 const AUTO_PAUSE_DESCRIPTION =
   "Automatically pause the simulation when the tab or window loses focus, resuming when you return.";
@@ -29,6 +46,12 @@ const AUTO_PAUSE_DESCRIPTION =
 const AUTO_PAUSE_LOCATION_HINT =
   "Autopause is enabled. Toggle it from Simulation Controls → Playback.";
 
+// Tick counts offered by the Skip Ahead select; the second is the default.
+const SKIP_AHEAD_TICK_OPTIONS = Object.freeze([1000, 10000, 50000]);
+
+// Playback speeds offered by the Replay Speed select.
+const REPLAY_SPEED_OPTIONS = Object.freeze([0.5, 1, 2, 4, 8]);
+
 const LIFE_EVENT_MARKER_OVERLAY_DESCRIPTION =
   "Pinpoint recent births and deaths directly on the grid with fading markers.";
 
@@ -41,12 +64,6 @@ const LIFE_EVENT_MARKER_LIMIT_DESCRIPTION =
 const AGE_HEATMAP_OVERLAY_DESCRIPTION =
   "Shade older organisms more intensely so elders nearing their lifespan stand out.";
 
-const GRID_GEOMETRY_BOUNDS = Object.freeze({
-  cellSize: Object.freeze({ min: 2, max: 20, step: 1 }),
-  rows: Object.freeze({ min: 40, max: 240, step: 1 }),
-  cols: Object.freeze({ min: 40, max: 240, step: 1 }),
-});
-
 // Default palette used by the life event dashboard. Layout consumers can
 // override colors via `ui.layout.deathCauseColors` without touching core UI
 // logic, keeping the default accessible while allowing tailored themes.
@@ -182,8 +199,90 @@ const WARNINGS = Object.freeze({
   snapshotCapture: "Canvas snapshot capture failed.",
   snapshotLink: "Failed to prepare download link for canvas snapshot.",
   panelToggle: (title) => `Panel toggle handler for "${title}" threw.`,
+  inspectorAction: (name) => `Cell inspector action "${name}" threw.`,
+  highlightClade: "Clade highlight handler threw.",
+  obstacleBrushAction: (name) => `Obstacle brush action "${name}" threw.`,
+  zoneExportLink: "Failed to prepare download link for custom zone export.",
+  zoneImport: "Failed to import custom zones.",
+  obstacleMapImport: "Failed to load obstacle map file.",
+  scenarioLoad: "Failed to load scenario script.",
+  skipAhead: "Skip ahead action threw.",
+  rewind: "Rewind action threw.",
+  recording: "Run recording action threw.",
+  recordingLink: "Failed to prepare download link for run recording.",
+  eventAction: (name) => `Event action "${name}" threw.`,
+  copySettingsLink: "Failed to copy settings link.",
+  setTopology: "World topology handler threw; keeping previous topology.",
+  setLattice: "Grid lattice handler threw; keeping previous tiles.",
 });
 
+const TOPOLOGY_OPTIONS = Object.freeze([
+  {
+    value: "bounded",
+    label: "Bounded",
+    description: "Walls on every edge.",
+  },
+  {
+    value: "torus",
+    label: "Torus",
+    description: "Every edge wraps to the opposite one.",
+  },
+  {
+    value: "cylinder",
+    label: "Cylinder",
+    description: "East and west edges meet; north and south stay walls.",
+  },
+]);
+
+const LATTICE_OPTIONS = Object.freeze([
+  {
+    value: "square",
+    label: "Square",
+    description: "Four-way movement on a square grid.",
+  },
+  {
+    value: "hex",
+    label: "Hexagonal",
+    description: "Six neighbours per tile; odd rows shift half a tile.",
+  },
+]);
+
+const ZONE_DRAW_TOOLS = Object.freeze([
+  { id: "off", label: "Off" },
+  { id: "rect", label: "Rectangle" },
+  { id: "circle", label: "Circle" },
+  { id: "paint", label: "Paint tiles" },
+  { id: "erase", label: "Erase tiles" },
+]);
+
+/** Converts an `<input type="color">` hex value into a translucent overlay fill. */
+function hexToZoneColor(hex) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(hex ?? ""));
+
+  if (!match) return null;
+
+  const [r, g, b] = match.slice(1).map((part) => parseInt(part, 16));
+
+  return `rgba(${r}, ${g}, ${b}, 0.24)`;
+}
+
+/** Reads the RGB channels of a CSS `rgb()`/`rgba()`/hex colour back into hex. */
+function zoneColorToHex(color) {
+  const text = String(color ?? "");
+
+  if (/^#[0-9a-f]{6}$/i.test(text)) return text.toLowerCase();
+
+  const channels = /rgba?\(([^)]+)\)/i
+    .exec(text)?.[1]
+    .split(",")
+    .slice(0, 3)
+    .map((value) => clamp(Math.round(Number(value)), 0, 255));
+
+  if (!channels || channels.some((value) => !Number.isFinite(value))) return "#50a0ff";
+
+  return `#${channels.map((value) => value.toString(16).padStart(2, "0")).join("")}`;
+}
+
 export const OVERLAY_TOGGLE_SETTERS = Object.freeze({
   showObstacles: "setShowObstacles",
   showDensity: "setShowDensity",
@@ -193,6 +292,8 @@ export const OVERLAY_TOGGLE_SETTERS = Object.freeze({
   showLifeEventMarkers: "setShowLifeEventMarkers",
   showSelectionZones: "setShowSelectionZones",
   showGridLines: "setShowGridLines",
+  showTerrain: "setShowTerrain",
+  showTrophicRoles: "setShowTrophicRoles",
 });
 
 function toPascalCase(value) {
@@ -495,6 +596,10 @@ export default class UIManager {
     this._pendingMetrics = null;
     this._pendingLeaderboardEntries = null;
     this._pendingLifeEventsStats = null;
+    this._pendingCellInspectorRefresh = false;
+    this._inspectedCell = null;
+    this._inspectedPosition = null;
+    this._cellInspectorView = null;
     this.deathBreakdownList = null;
     this.deathBreakdownEmptyState = null;
     this.sparkMetricDescriptors = [];
@@ -563,6 +668,7 @@ export default class UIManager {
     this.mutationMultiplier = defaults.mutationMultiplier;
     this.combatEdgeSharpness = defaults.combatEdgeSharpness;
     this.combatTerritoryEdgeFactor = defaults.combatTerritoryEdgeFactor;
+    this.trophicMode = defaults.trophicMode;
     this.matingDiversityThreshold = defaults.matingDiversityThreshold;
     this.lowDiversityReproMultiplier = defaults.lowDiversityReproMultiplier;
     this.lowDiversitySlider = null;
@@ -571,6 +677,25 @@ export default class UIManager {
     this.energyRegenRate = defaults.energyRegenRate; // base logistic regen rate (0..0.2)
     this.energyDiffusionRate = defaults.energyDiffusionRate; // neighbor diffusion rate (0..0.5)
     this.leaderboardIntervalMs = defaults.leaderboardIntervalMs;
+    this.fastForward = defaults.fastForward;
+    this.fastForwardBudgetMs = defaults.fastForwardBudgetMs;
+    this.fastForwardCheckbox = null;
+    this.skipAheadTicks = SKIP_AHEAD_TICK_OPTIONS[1];
+    this.skipAheadButton = null;
+    this.skipAheadProgress = null;
+    this.skipAheadStatus = null;
+    this.skipAheadRunning = false;
+    this.rewindMemoryMiB = defaults.rewindMemoryMiB;
+    this.rewindStepButton = null;
+    this.rewindScrubber = null;
+    this.rewindStatus = null;
+    this.recordButton = null;
+    this.recordingStatus = null;
+    this.replayTimeline = null;
+    this.replaySpeedSelect = null;
+    this.replayForkButton = null;
+    this.replayStatus = null;
+    this._replaySeek = null;
     this._lastSlowUiRender = Number.NEGATIVE_INFINITY; // shared throttle for fast-updating UI bits
     this._lastInteractionTotals = { fights: 0, cooperations: 0 };
     this.simulationClock = {
@@ -593,6 +718,8 @@ export default class UIManager {
         ? defaults.lifeEventLimit
         : (SIMULATION_DEFAULTS.lifeEventLimit ?? 24);
     this.showGridLines = defaults.showGridLines;
+    this.showTerrain = defaults.showTerrain;
+    this.showTrophicRoles = defaults.showTrophicRoles;
     this.lifeEventFadeSlider = null;
     this.lifeEventFadeSliderRow = null;
     this.lifeEventFadeSliderTitle = LIFE_EVENT_FADE_WINDOW_DESCRIPTION;
@@ -607,6 +734,32 @@ export default class UIManager {
     if (initialObstaclePreset) {
       this.obstaclePreset = initialObstaclePreset;
     }
+    this.obstacleBrush = { tool: "off", radius: 1, evict: true };
+    this.obstacleBrushSelect = null;
+    this.obstacleUndoButton = null;
+    this.obstacleRedoButton = null;
+    this.obstaclePresetSelect = null;
+    this.obstacleMapStatus = null;
+    this.worldTopology = resolveWorldTopology(actionFns?.getTopology?.());
+    this.topologySelect = null;
+    this.gridLattice = resolveGridLattice(actionFns?.getLattice?.());
+    this.latticeSelect = null;
+    this.zoneDraw = { tool: "off", radius: 1, targetId: null };
+    this.zoneToolSelect = null;
+    this.zoneTargetSelect = null;
+    this.customZoneList = null;
+    this.customZoneStatus = null;
+    this.eventDraw = {
+      eventType: "off",
+      strength: 1,
+      duration: 300,
+      bypassLimit: false,
+    };
+    this.eventToolSelect = null;
+    this.eventDrawStatus = null;
+    this.activeEventList = null;
+    this._brushStroke = null;
+    this._brushStrokeCount = 0;
     this.autoPauseCheckbox = null;
     // Build UI
     this.root = document.querySelector(mountSelector) || document.body;
@@ -661,9 +814,11 @@ export default class UIManager {
     this.controlsPanel = this.#buildControlsPanel();
     this.insightsPanel = this.#buildInsightsPanel();
     this.lifeEventsPanel = this.#buildLifeEventsPanel();
+    this.cellInspectorPanel = this.#buildCellInspectorPanel();
     this.dashboardGrid.appendChild(this.controlsPanel);
     this.dashboardGrid.appendChild(this.insightsPanel);
     this.dashboardGrid.appendChild(this.lifeEventsPanel);
+    this.dashboardGrid.appendChild(this.cellInspectorPanel);
 
     // Keyboard toggle
     if (document?.addEventListener) {
@@ -854,13 +1009,22 @@ export default class UIManager {
       return false;
     }
 
+    return this.#downloadDataUrl(dataUrl, {
+      prefix: "colourful-life",
+      fallbackStem: "colourful-life-snapshot",
+      extension: "png",
+      linkWarning: WARNINGS.snapshotLink,
+    });
+  }
+
+  #downloadDataUrl(dataUrl, { prefix, fallbackStem, extension, linkWarning }) {
     const doc =
       typeof document !== "undefined" ? document : (globalThis?.document ?? null);
     const body = doc?.body;
     const createElement = doc?.createElement;
 
     if (typeof createElement !== "function" || !body?.appendChild) {
-      warnOnce(WARNINGS.snapshotLink);
+      warnOnce(linkWarning);
 
       return false;
     }
@@ -868,26 +1032,26 @@ export default class UIManager {
     const link = createElement.call(doc, "a");
 
     if (!isElementLike(link)) {
-      warnOnce(WARNINGS.snapshotLink);
+      warnOnce(linkWarning);
 
       return false;
     }
 
     const timestamp = new Date();
-    let fileStem = "colourful-life-snapshot";
+    let fileStem = fallbackStem;
 
     if (Number.isFinite(timestamp?.getTime?.())) {
       try {
         const iso = timestamp.toISOString();
 
-        fileStem = `colourful-life-${iso.replace(/[:.]/g, "-")}`;
+        fileStem = `${prefix}-${iso.replace(/[:.]/g, "-")}`;
       } catch {
         // Fall back to the default stem when toISOString is unavailable.
       }
     }
 
     link.href = dataUrl;
-    link.setAttribute("download", `${fileStem}.png`);
+    link.setAttribute("download", `${fileStem}.${extension}`);
     link.style.display = "none";
 
     let triggered = false;
@@ -905,10 +1069,10 @@ export default class UIManager {
         link.trigger("click");
         triggered = true;
       } else {
-        warnOnce(WARNINGS.snapshotLink);
+        warnOnce(linkWarning);
       }
     } catch (error) {
-      warnOnce(WARNINGS.snapshotLink, error);
+      warnOnce(linkWarning, error);
     } finally {
       if (typeof link.remove === "function") {
         link.remove();
@@ -1715,6 +1879,32 @@ export default class UIManager {
     return `${head}, and ${tail}`;
   }
 
+  #applyTopologySelection(topology) {
+    const applied = invokeWithErrorBoundary(this.actions.setTopology, [topology], {
+      thisArg: this.actions,
+      message: WARNINGS.setTopology,
+      reporter: warnOnce,
+      once: true,
+    });
+
+    this.worldTopology = resolveWorldTopology(applied ?? this.worldTopology);
+    if (this.topologySelect) this.topologySelect.value = this.worldTopology;
+    this.#scheduleUpdate();
+  }
+
+  #applyLatticeSelection(lattice) {
+    const applied = invokeWithErrorBoundary(this.actions.setLattice, [lattice], {
+      thisArg: this.actions,
+      message: WARNINGS.setLattice,
+      reporter: warnOnce,
+      once: true,
+    });
+
+    this.gridLattice = resolveGridLattice(applied ?? this.gridLattice);
+    if (this.latticeSelect) this.latticeSelect.value = this.gridLattice;
+    this.#scheduleUpdate();
+  }
+
   #applyWorldGeometry(values = {}, options = {}) {
     if (typeof this.setWorldGeometry !== "function") return null;
 
@@ -1741,6 +1931,7 @@ export default class UIManager {
     this.#updateGeometryInputs(applied);
     this.#scheduleUpdate();
     this.#updateZoneSummary();
+    this.#renderCustomZoneList();
 
     return applied;
   }
@@ -1762,7 +1953,25 @@ export default class UIManager {
     const targetCanvas = this.#resolveNode(canvasElement);
 
     if (!isElementLike(targetCanvas)) return;
+    this.#detachCanvasClickListener();
     this.canvasElement = targetCanvas;
+    if (typeof targetCanvas.addEventListener === "function") {
+      this._canvasClickListener = (event) => {
+        this.#handleCanvasClick(event);
+      };
+      targetCanvas.addEventListener("click", this._canvasClickListener);
+      this._canvasPointerListeners = {
+        pointerdown: (event) => this.#handleBrushPointerDown(event),
+        pointermove: (event) => this.#handleBrushPointerMove(event),
+        pointerup: (event) => this.#finishBrushStroke(event),
+        pointerleave: (event) => this.#finishBrushStroke(event),
+        dragover: (event) => this.#handleObstacleMapDragOver(event),
+        drop: (event) => this.#handleObstacleMapDrop(event),
+      };
+      for (const [type, listener] of Object.entries(this._canvasPointerListeners)) {
+        targetCanvas.addEventListener(type, listener);
+      }
+    }
     const anchor =
       this.#resolveNode(options.before) ||
       this.#resolveNode(options.insertBefore) ||
@@ -1777,6 +1986,378 @@ export default class UIManager {
       document.removeEventListener("keydown", this._documentKeydownListener);
       this._documentKeydownListener = null;
     }
+    this.#detachCanvasClickListener();
+  }
+
+  #detachCanvasClickListener() {
+    for (const [type, listener] of Object.entries(this._canvasPointerListeners ?? {})) {
+      this.canvasElement?.removeEventListener?.(type, listener);
+    }
+    this._canvasPointerListeners = null;
+    this._brushStroke = null;
+
+    if (!this._canvasClickListener) return;
+
+    this.canvasElement?.removeEventListener?.("click", this._canvasClickListener);
+    this._canvasClickListener = null;
+  }
+
+  #resolveCanvasTile(event) {
+    const canvas = this.canvasElement;
+    const rect = canvas?.getBoundingClientRect?.();
+
+    if (!rect || !(rect.width > 0) || !(rect.height > 0)) return null;
+
+    const { rows, cols } = this.#readGridDimensions();
+    const x = (Number(event?.clientX) - rect.left) / rect.width;
+    const y = (Number(event?.clientY) - rect.top) / rect.height;
+
+    if (!(x >= 0 && x < 1 && y >= 0 && y < 1)) return null;
+
+    if (this.gridLattice === "hex") {
+      // Hexes overhang the row bands, so snap to the nearest in-grid tile.
+      const tile = hexTileAt(x * cols, y * rows, 1);
+
+      return {
+        row: clamp(tile.row, 0, rows - 1),
+        col: clamp(tile.col, 0, cols - 1),
+        rows,
+        cols,
+      };
+    }
+
+    return { row: Math.floor(y * rows), col: Math.floor(x * cols), rows, cols };
+  }
+
+  #handleCanvasClick(event) {
+    // Brush strokes end with a click; keep them from retargeting the inspector.
+    if (this.#resolveCanvasTool()) return;
+
+    const tile = this.#resolveCanvasTile(event);
+
+    if (tile) this.inspectCell(tile.row, tile.col);
+  }
+
+  #resolveCanvasTool() {
+    if (
+      this.obstacleBrush.tool !== "off" &&
+      typeof this.actions?.paintObstacles === "function"
+    ) {
+      return { kind: "obstacle", tool: this.obstacleBrush.tool };
+    }
+    if (
+      this.zoneDraw.tool !== "off" &&
+      typeof this.selectionManager?.paintCustomZone === "function"
+    ) {
+      return { kind: "zone", tool: this.zoneDraw.tool };
+    }
+    if (
+      this.eventDraw.eventType !== "off" &&
+      typeof this.actions?.spawnEvent === "function"
+    ) {
+      return { kind: "event", tool: "rect" };
+    }
+
+    return null;
+  }
+
+  #handleBrushPointerDown(event) {
+    const active = this.#resolveCanvasTool();
+
+    if (!active) return;
+    if (Number.isFinite(event?.button) && event.button !== 0) return;
+
+    const tile = this.#resolveCanvasTile(event);
+
+    if (!tile) return;
+
+    event.preventDefault?.();
+    try {
+      this.canvasElement?.setPointerCapture?.(event.pointerId);
+    } catch {
+      // Synthetic events carry no capturable pointer id.
+    }
+
+    this._brushStrokeCount += 1;
+    this._brushStroke = {
+      ...active,
+      id: `brush-${this._brushStrokeCount}`,
+      start: tile,
+      last: tile,
+    };
+
+    if (active.tool === "paint" || active.tool === "erase") {
+      this.#applyBrushStroke(this._brushStroke, tile, tile);
+    }
+  }
+
+  #handleBrushPointerMove(event) {
+    const stroke = this._brushStroke;
+
+    if (!stroke) return;
+
+    const tile = this.#resolveCanvasTile(event);
+
+    if (!tile || (tile.row === stroke.last.row && tile.col === stroke.last.col)) return;
+
+    if (stroke.tool === "paint" || stroke.tool === "erase") {
+      this.#applyBrushStroke(stroke, stroke.last, tile);
+    }
+    stroke.last = tile;
+  }
+
+  #finishBrushStroke(event) {
+    const stroke = this._brushStroke;
+
+    if (!stroke) return;
+
+    this._brushStroke = null;
+
+    if (stroke.tool !== "paint" && stroke.tool !== "erase") {
+      this.#applyBrushStroke(
+        stroke,
+        stroke.start,
+        this.#resolveCanvasTile(event) ?? stroke.last,
+      );
+    }
+
+    if (stroke.kind === "obstacle") {
+      this.#refreshObstacleEditStatus();
+    } else if (stroke.kind === "zone") {
+      this.#renderCustomZoneList();
+    }
+  }
+
+  #applyBrushStroke(stroke, from, to) {
+    if (stroke.kind === "zone") {
+      this.#paintZoneStroke(stroke, from, to);
+
+      return;
+    }
+    if (stroke.kind === "event") {
+      this.#spawnDrawnEvent(from, to);
+
+      return;
+    }
+
+    const { radius, evict } = this.obstacleBrush;
+    const tiles = collectBrushTiles(stroke.tool, from, to, {
+      radius,
+      rows: to.rows,
+      cols: to.cols,
+    });
+    const blocked = OBSTACLE_BRUSH_TOOLS.find(
+      (entry) => entry.id === stroke.tool,
+    )?.blocked;
+
+    if (tiles.length === 0 || typeof blocked !== "boolean") return;
+
+    this.#callObstacleBrushAction("paintObstacles", [
+      tiles,
+      { blocked, evict, strokeId: stroke.id },
+    ]);
+  }
+
+  #paintZoneStroke(stroke, from, to) {
+    const manager = this.selectionManager;
+    let target = this.zoneDraw.targetId;
+
+    if (!manager.getCustomZones().some((zone) => zone.id === target)) {
+      if (stroke.tool === "erase") return;
+
+      target = this.#createCustomZone();
+    }
+
+    let tilesOrShape;
+
+    if (stroke.tool === "rect") {
+      tilesOrShape = {
+        shape: "rect",
+        row: Math.min(from.row, to.row),
+        col: Math.min(from.col, to.col),
+        rowSpan: Math.abs(to.row - from.row) + 1,
+        colSpan: Math.abs(to.col - from.col) + 1,
+      };
+    } else if (stroke.tool === "circle") {
+      tilesOrShape = {
+        shape: "circle",
+        row: from.row,
+        col: from.col,
+        radius: Math.hypot(to.row - from.row, to.col - from.col),
+      };
+    } else {
+      tilesOrShape = collectBrushTiles("paint", from, to, {
+        radius: this.zoneDraw.radius,
+        rows: to.rows,
+        cols: to.cols,
+      });
+    }
+
+    const changed = manager.paintCustomZone(target, tilesOrShape, {
+      erase: stroke.tool === "erase",
+    });
+
+    if (changed > 0) {
+      this.#updateZoneSummary();
+      this.#scheduleUpdate();
+    }
+  }
+
+  #spawnDrawnEvent(from, to) {
+    const { eventType, strength, duration, bypassLimit } = this.eventDraw;
+    const row = Math.min(from.row, to.row);
+    const col = Math.min(from.col, to.col);
+    const descriptor = {
+      eventType,
+      strength,
+      duration,
+      affectedArea: {
+        x: col,
+        y: row,
+        width: Math.abs(to.col - from.col) + 1,
+        height: Math.abs(to.row - from.row) + 1,
+      },
+    };
+    const report = (event) => {
+      if (!this.eventDrawStatus) return;
+
+      this.eventDrawStatus.textContent = event
+        ? `Spawned ${this.#formatEventTypeLabel(eventType).toLowerCase()} for ${duration} ticks.`
+        : "Event cap reached. Raise Max Concurrent Events or tick Ignore Event Cap.";
+    };
+    const result = this.#callEventAction("spawnEvent", [descriptor, { bypassLimit }]);
+
+    if (typeof result?.then === "function") {
+      result.then(report);
+    } else {
+      report(result);
+    }
+  }
+
+  #callEventAction(name, args = []) {
+    const action = this.actions?.[name];
+
+    if (typeof action !== "function") return undefined;
+
+    const result = invokeWithErrorBoundary(action, args, {
+      thisArg: this.actions,
+      message: WARNINGS.eventAction(name),
+      reporter: warnOnce,
+      once: true,
+    });
+
+    if (typeof result?.then === "function") {
+      return result.then(undefined, (error) => {
+        warnOnce(WARNINGS.eventAction(name), error);
+
+        return undefined;
+      });
+    }
+
+    return result;
+  }
+
+  #callObstacleBrushAction(name, args = []) {
+    const action = this.actions?.[name];
+
+    if (typeof action !== "function") return undefined;
+
+    const result = invokeWithErrorBoundary(action, args, {
+      thisArg: this.actions,
+      message: WARNINGS.obstacleBrushAction(name),
+      reporter: warnOnce,
+      once: true,
+    });
+
+    // Worker-backed engines answer asynchronously; surface rejections the same way.
+    if (typeof result?.then === "function") {
+      return result.then(undefined, (error) => {
+        warnOnce(WARNINGS.obstacleBrushAction(name), error);
+
+        return undefined;
+      });
+    }
+
+    return result;
+  }
+
+  #refreshObstacleEditStatus() {
+    const apply = (status) => {
+      if (this.obstacleUndoButton) this.obstacleUndoButton.disabled = !status?.canUndo;
+      if (this.obstacleRedoButton) this.obstacleRedoButton.disabled = !status?.canRedo;
+    };
+    const status = this.#callObstacleBrushAction("getObstacleEditStatus");
+
+    if (typeof status?.then === "function") {
+      status.then(apply);
+    } else {
+      apply(status);
+    }
+  }
+
+  /**
+   * Selects the obstacle brush tool used for pointer drags on the canvas.
+   * `"off"` hands clicks back to the cell inspector; any other tool turns the
+   * zone drawing tool off.
+   *
+   * @param {string} tool - One of the {@link OBSTACLE_BRUSH_TOOLS} ids.
+   */
+  setObstacleBrushTool(tool) {
+    const known = OBSTACLE_BRUSH_TOOLS.some((entry) => entry.id === tool);
+
+    this.obstacleBrush.tool = known ? tool : "off";
+    if (this.obstacleBrush.tool !== "off") {
+      this.zoneDraw.tool = "off";
+      this.eventDraw.eventType = "off";
+    }
+    this.#syncCanvasToolControls();
+  }
+
+  /**
+   * Selects the custom zone drawing tool used for pointer drags on the canvas.
+   * Drawing without a target zone creates one. Any tool other than `"off"`
+   * turns the obstacle brush off.
+   *
+   * @param {string} tool - One of the {@link ZONE_DRAW_TOOLS} ids.
+   */
+  setZoneDrawTool(tool) {
+    const known = ZONE_DRAW_TOOLS.some((entry) => entry.id === tool);
+
+    this.zoneDraw.tool = known ? tool : "off";
+    if (this.zoneDraw.tool !== "off") {
+      this.obstacleBrush.tool = "off";
+      this.eventDraw.eventType = "off";
+    }
+    this.#syncCanvasToolControls();
+  }
+
+  /**
+   * Selects the event type drawn by dragging a rectangle on the canvas, or
+   * `"off"`. Any other value turns the obstacle brush and zone drawing off.
+   *
+   * @param {string} eventType - A registered event type or `"off"`.
+   */
+  setEventDrawTool(eventType) {
+    const known = getEventTypes().includes(eventType);
+
+    this.eventDraw.eventType = known ? eventType : "off";
+    if (known) {
+      this.obstacleBrush.tool = "off";
+      this.zoneDraw.tool = "off";
+    }
+    this.#syncCanvasToolControls();
+  }
+
+  #syncCanvasToolControls() {
+    this._brushStroke = null;
+    if (this.obstacleBrushSelect) {
+      this.obstacleBrushSelect.value = this.obstacleBrush.tool;
+    }
+    if (this.zoneToolSelect) this.zoneToolSelect.value = this.zoneDraw.tool;
+    if (this.eventToolSelect) this.eventToolSelect.value = this.eventDraw.eventType;
+    if (this.canvasElement?.style) {
+      this.canvasElement.style.cursor = this.#resolveCanvasTool() ? "crosshair" : "";
+    }
   }
 
   #ensureMainRowMounted(anchor) {
@@ -3911,8 +4492,12 @@ export default class UIManager {
 
     this.#buildObstacleControls(body);
 
+    this.#buildObstacleBrushControls(body);
+
     this.#buildReproductiveZoneTools(body);
 
+    this.#buildScenarioControls(body);
+
     this.#buildEnergyAndGeneralTail(body, sliderContext);
 
     return panel;
@@ -4133,332 +4718,961 @@ export default class UIManager {
       },
     );
 
-    this.#buildHotkeyReference(body);
-  }
-
-  #buildHotkeyReference(body) {
-    const entries = [
-      {
-        action: "Pause / Resume",
-        keys: this.#formatPauseHotkeys(),
-        description: "Toggle playback without leaving the keyboard.",
-      },
-      {
-        action: "Advance One Tick",
-        keys: this.#formatStepHotkeys(),
-        description: "Inspect changes frame-by-frame while paused.",
-      },
-      {
-        action: "Spawn Cell Burst",
-        keys: this.#formatHotkeyList(this.burstHotkeySet),
-        description: "Drop a quick cluster of organisms anywhere on the map.",
-      },
-      {
-        action: "Regenerate World",
-        keys: this.#formatHotkeyList(this.resetWorldHotkeySet),
-        description:
-          "Clear the map for a fresh population. Hold Shift with the shortcut to randomize obstacle layouts.",
-      },
-      {
-        action: "Save Snapshot",
-        keys: this.#formatHotkeyList(this.snapshotHotkeySet),
-        description: "Download the current canvas as a PNG for sharing.",
-      },
-      {
-        action: "Speed Up Playback",
-        keys: this.#formatSpeedIncreaseHotkeys(),
-        description: "Hasten evolution when the world feels sluggish.",
-      },
-      {
-        action: "Slow Down Playback",
-        keys: this.#formatSpeedDecreaseHotkeys(),
-        description: "Study delicate interactions at a calmer pace.",
+    this.fastForwardCheckbox = this.#addCheckbox(
+      playbackOptionsGrid,
+      "Fast Forward",
+      "Run as many ticks as fit in the frame budget and draw once per frame.",
+      this.fastForward,
+      (checked) => {
+        this.setFastForward(checked);
       },
-      {
-        action: "Reset Playback Speed",
-        keys: this.#formatSpeedResetHotkeys(),
-        description: "Jump back to the baseline cadence instantly.",
+    );
+
+    const budgetBounds = resolveSliderBounds("fastForwardBudgetMs");
+    const budgetSlider = createSliderRow(playbackOptionsGrid, {
+      label: "Frame Budget (ms)",
+      min: budgetBounds.min,
+      max: budgetBounds.max,
+      step: budgetBounds.step,
+      value: this.fastForwardBudgetMs,
+      title:
+        "Milliseconds per frame that fast-forward and skip-ahead may spend on ticks.",
+      format: (value) => `${Math.round(value)} ms`,
+      onInput: (value) => {
+        this.setFastForwardBudgetMs(value);
       },
-    ].filter((entry) => typeof entry.keys === "string" && entry.keys.length > 0);
+    });
 
-    if (entries.length === 0) {
-      return;
-    }
+    this.#registerSliderElement("fastForwardBudgetMs", budgetSlider);
+    this.#buildSkipAheadControls(body);
+    this.#buildRewindControls(body);
+    this.#buildRecordingControls(body);
+    this.#buildShareControls(body);
+    this.#buildHotkeyReference(body);
+  }
 
-    const container = document.createElement("details");
+  #buildSkipAheadControls(body) {
+    if (typeof this.actions.skipAhead !== "function") return;
 
-    container.className = "hotkey-reference";
-    const summary = document.createElement("summary");
+    const skipGrid = createControlGrid(body, "control-grid--compact");
 
-    summary.className = "hotkey-reference__summary";
-    summary.textContent = "Keyboard Shortcuts";
-    container.appendChild(summary);
+    createSelectRow(skipGrid, {
+      label: "Skip Ahead",
+      title: "Number of ticks the Skip Ahead button runs without drawing each one.",
+      value: String(this.skipAheadTicks),
+      options: SKIP_AHEAD_TICK_OPTIONS.map((ticks) => ({
+        value: String(ticks),
+        label: `${ticks.toLocaleString()} ticks`,
+      })),
+      onChange: (value) => {
+        this.skipAheadTicks = Number(value);
+      },
+    });
 
-    const hint = document.createElement("p");
+    const skipRow = createControlButtonRow(body);
 
-    hint.className = "hotkey-reference__hint control-hint";
-    hint.textContent =
-      "Keep experiments moving—open this list to learn the fastest ways to steer the simulation.";
-    container.appendChild(hint);
+    this.skipAheadButton = document.createElement("button");
+    this.skipAheadButton.type = "button";
+    this.skipAheadButton.textContent = "Skip Ahead";
+    this.skipAheadButton.addEventListener("click", () => {
+      if (this.skipAheadRunning) {
+        this.actions.cancelSkipAhead?.();
+      } else {
+        this.skipAhead();
+      }
+    });
+    skipRow.appendChild(this.skipAheadButton);
+
+    this.skipAheadProgress = document.createElement("progress");
+    this.skipAheadProgress.className = "skip-ahead-progress";
+    this.skipAheadProgress.max = 1;
+    this.skipAheadProgress.value = 0;
+    this.skipAheadProgress.hidden = true;
+    skipRow.appendChild(this.skipAheadProgress);
+
+    this.skipAheadStatus = document.createElement("p");
+    this.skipAheadStatus.className = "control-hint";
+    this.skipAheadStatus.setAttribute("role", "status");
+    this.skipAheadStatus.setAttribute("aria-live", "polite");
+    body.appendChild(this.skipAheadStatus);
+  }
+
+  /**
+   * Runs the `skipAhead` action for `ticks` updates. Progress arrives through
+   * {@link UIManager#renderSkipAheadProgress}; failures land in the status
+   * line instead of throwing.
+   *
+   * @param {number} [ticks] - Defaults to the selected skip length.
+   * @returns {Promise<number>} Ticks completed.
+   */
+  async skipAhead(ticks = this.skipAheadTicks) {
+    try {
+      return (await this.actions.skipAhead?.(ticks)) ?? 0;
+    } catch (error) {
+      warnOnce(WARNINGS.skipAhead, error);
+      this.renderSkipAheadProgress(null);
+      if (this.skipAheadStatus) {
+        this.skipAheadStatus.textContent = `Could not skip ahead: ${error?.message ?? error}`;
+      }
 
-    const list = document.createElement("ul");
+      return 0;
+    }
+  }
 
-    list.className = "hotkey-reference__list";
+  renderSkipAheadProgress(progress) {
+    const running = Boolean(progress) && !progress.done;
+    const total = Math.max(1, progress?.total ?? 1);
+    const completed = progress?.completed ?? 0;
 
-    entries.forEach(({ action, keys, description }) => {
-      const item = document.createElement("li");
+    this.skipAheadRunning = running;
 
-      item.className = "hotkey-reference__item";
-      const keySpan = document.createElement("span");
+    if (this.skipAheadButton) {
+      this.skipAheadButton.textContent = running ? "Cancel Skip" : "Skip Ahead";
+    }
 
-      keySpan.className = "hotkey-reference__keys";
-      keySpan.textContent = keys;
-      const content = document.createElement("span");
+    if (this.skipAheadProgress) {
+      this.skipAheadProgress.hidden = !running;
+      this.skipAheadProgress.value = completed / total;
+    }
 
-      content.className = "hotkey-reference__content";
-      const actionSpan = document.createElement("span");
+    if (!this.skipAheadStatus || !progress) return;
 
-      actionSpan.className = "hotkey-reference__action";
-      actionSpan.textContent = action;
-      content.appendChild(actionSpan);
+    const counts = `${completed.toLocaleString()} of ${total.toLocaleString()} ticks`;
 
-      if (description) {
-        const descriptionSpan = document.createElement("span");
+    if (running) {
+      this.skipAheadStatus.textContent = `Skipping ahead… ${counts}.`;
+    } else {
+      this.skipAheadStatus.textContent = progress.cancelled
+        ? `Skip cancelled after ${counts}.`
+        : `Skipped ${completed.toLocaleString()} ticks.`;
+    }
+  }
 
-        descriptionSpan.className = "hotkey-reference__description";
-        descriptionSpan.textContent = description;
-        content.appendChild(descriptionSpan);
-      }
+  #buildRewindControls(body) {
+    if (typeof this.actions.stepBack !== "function") return;
 
-      item.appendChild(keySpan);
-      item.appendChild(content);
-      list.appendChild(item);
+    const rewindGrid = createControlGrid(body, "control-grid--compact");
+    const memoryBounds = resolveSliderBounds("rewindMemoryMiB");
+    const memorySlider = createSliderRow(rewindGrid, {
+      label: "Rewind Memory (MiB)",
+      min: memoryBounds.min,
+      max: memoryBounds.max,
+      step: memoryBounds.step,
+      value: this.rewindMemoryMiB,
+      title: "Memory kept for step-back history. Set to 0 to stop recording.",
+      format: (value) => (value > 0 ? `${Math.round(value)} MiB` : "Off"),
+      onInput: (value) => {
+        this.setRewindMemoryMiB(value);
+      },
     });
 
-    container.appendChild(list);
-    body.appendChild(container);
-  }
-
-  #buildGeometryControls(body) {
-    if (typeof this.setWorldGeometry !== "function") return;
-
-    createSectionHeading(body, "Grid Geometry");
+    this.#registerSliderElement("rewindMemoryMiB", memorySlider);
 
-    const geometryGrid = createControlGrid(body, "control-grid--compact");
-    const geometry = this.#normalizeGeometryValues({
-      cellSize: this.currentCellSize,
-      rows: this.gridRows,
-      cols: this.gridCols,
+    this.rewindScrubber = createSliderRow(rewindGrid, {
+      label: "Scrub History",
+      min: 0,
+      max: 0,
+      step: 1,
+      value: 0,
+      title: "Drag to restore an earlier recorded tick.",
+      format: (value) => `Tick ${Math.round(value)}`,
+      onInput: (value) => {
+        this.scrubTo(value);
+      },
     });
+    this.rewindScrubber.disabled = true;
 
-    const bounds = GRID_GEOMETRY_BOUNDS;
+    const rewindRow = createControlButtonRow(body);
 
-    const cellSizeInput = createNumberInputRow(geometryGrid, {
-      label: "Cell Size",
-      title: "Pixels used to render each grid cell (2..20)",
-      min: bounds.cellSize.min,
-      max: bounds.cellSize.max,
-      step: bounds.cellSize.step,
-      value: geometry.cellSize,
-      suffix: "px",
-      description: "Pixels per tile. Enter a value between 2 and 20.",
+    this.rewindStepButton = document.createElement("button");
+    this.rewindStepButton.type = "button";
+    this.rewindStepButton.textContent = "Step Back";
+    this.rewindStepButton.title = "Restore the newest recorded tick before this one.";
+    this.rewindStepButton.addEventListener("click", () => {
+      this.stepBack();
     });
+    rewindRow.appendChild(this.rewindStepButton);
 
-    const rowsInput = createNumberInputRow(geometryGrid, {
-      label: "Rows",
-      title: "Number of cell rows in the grid (40..240)",
-      min: bounds.rows.min,
-      max: bounds.rows.max,
-      step: bounds.rows.step,
-      value: geometry.rows,
-      suffix: "tiles",
-      description: "Vertical tiles allowed: 40 to 240.",
-    });
+    this.rewindStatus = document.createElement("p");
+    this.rewindStatus.className = "control-hint";
+    this.rewindStatus.setAttribute("role", "status");
+    this.rewindStatus.setAttribute("aria-live", "polite");
+    body.appendChild(this.rewindStatus);
 
-    const colsInput = createNumberInputRow(geometryGrid, {
-      label: "Columns",
-      title: "Number of cell columns in the grid (40..240)",
-      min: bounds.cols.min,
-      max: bounds.cols.max,
-      step: bounds.cols.step,
-      value: geometry.cols,
-      suffix: "tiles",
-      description: "Horizontal tiles allowed: 40 to 240.",
-    });
+    this.renderRewindStatus(this.actions.getRewindStatus?.() ?? null);
+  }
 
-    const actions = document.createElement("div");
+  async #runRewindAction(name, ...args) {
+    try {
+      return (await this.actions[name]?.(...args)) ?? null;
+    } catch (error) {
+      warnOnce(WARNINGS.rewind, error);
+      if (this.rewindStatus) {
+        this.rewindStatus.textContent = `Could not rewind: ${error?.message ?? error}`;
+      }
 
-    actions.className = "geometry-actions";
-    actions.style.gridColumn = "1 / -1";
+      return null;
+    }
+  }
 
-    const applyButton = document.createElement("button");
+  /**
+   * Restores the newest recorded frame before the current tick. The world
+   * and history display refresh through the engine's `rewind` event.
+   *
+   * @returns {Promise<number|null>} Restored tick.
+   */
+  stepBack() {
+    return this.#runRewindAction("stepBack");
+  }
 
-    applyButton.type = "button";
-    applyButton.className = "geometry-actions__apply";
-    applyButton.textContent = "Apply Geometry";
-    applyButton.title = "Resize the grid using the values above.";
-    applyButton.addEventListener("click", (event) => {
-      const request = {
-        cellSize: Number.parseFloat(cellSizeInput.value),
-        rows: Number.parseFloat(rowsInput.value),
-        cols: Number.parseFloat(colsInput.value),
-      };
-      const reseed = Boolean(event?.shiftKey);
-      const previous = {
-        cellSize: this.currentCellSize,
-        rows: this.gridRows,
-        cols: this.gridCols,
-      };
-      const targetPreview = this.#normalizeGeometryValues(request, previous, {
-        clampToBounds: false,
-      });
+  scrubTo(tick) {
+    return this.#runRewindAction("scrubTo", tick);
+  }
 
-      if (!this.#setGeometryBusy(true, { reseed, target: targetPreview })) {
-        return;
-      }
+  renderRewindStatus(status) {
+    const frames = status?.frames ?? 0;
+    const tick = status?.tick ?? 0;
+    const oldest = status?.oldestTick ?? null;
+    const newest = status?.newestTick ?? null;
 
-      const execute = () => {
-        let applied = null;
+    if (this.rewindStepButton) {
+      this.rewindStepButton.disabled = oldest === null || oldest >= tick;
+    }
 
-        try {
-          applied = this.#applyWorldGeometry(request, { reseed });
-        } finally {
-          this.#setGeometryBusy(false, {
-            applied,
-            raw: request,
-            reseed,
-            previous,
-          });
-        }
-      };
+    if (this.rewindScrubber) {
+      this.rewindScrubber.disabled = frames === 0;
+      this.rewindScrubber.min = String(oldest ?? 0);
+      this.rewindScrubber.max = String(Math.max(newest ?? 0, tick));
+      this.rewindScrubber.updateDisplay?.(tick);
+    }
 
-      const raf =
-        typeof window !== "undefined" &&
-        typeof window.requestAnimationFrame === "function"
-          ? window.requestAnimationFrame.bind(window)
-          : null;
+    if (!this.rewindStatus) return;
 
-      if (raf) raf(() => execute());
-      else execute();
-    });
-    actions.appendChild(applyButton);
+    if (!(status?.capacityBytes > 0)) {
+      this.rewindStatus.textContent = "Rewind history is off.";
+    } else if (frames === 0) {
+      this.rewindStatus.textContent = "No rewind history recorded yet.";
+    } else {
+      const toMiB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
 
-    const applyDescriptionId = "geometry-apply-description";
-    const applyDescription = document.createElement("span");
+      this.rewindStatus.textContent =
+        `${frames} frames from tick ${oldest} to ${newest} ` +
+        `(${toMiB(status.bytes)} of ${toMiB(status.capacityBytes)} MiB).`;
+    }
+  }
 
-    applyDescription.id = applyDescriptionId;
-    applyDescription.className = "visually-hidden";
-    applyDescription.textContent = "Resize the grid using the values above.";
-    actions.appendChild(applyDescription);
+  #buildRecordingControls(body) {
+    if (typeof this.actions.startRecording !== "function") return;
 
-    const reseedHintId = "geometry-reseed-hint";
-    const reseedHint = document.createElement("span");
+    createSectionHeading(body, "Recording & Replay", { className: "overlay-header" });
 
-    reseedHint.id = reseedHintId;
-    reseedHint.className = "geometry-actions__hint control-hint";
-    reseedHint.textContent = "Shift + click to reseed the world after resizing.";
-    actions.appendChild(reseedHint);
+    const fileInput = document.createElement("input");
 
-    applyButton.setAttribute(
-      "aria-describedby",
-      `${applyDescriptionId} ${reseedHintId}`.trim(),
-    );
+    fileInput.type = "file";
+    fileInput.accept = "application/json,.json";
+    fileInput.hidden = true;
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files?.[0];
 
-    geometryGrid.appendChild(actions);
-    applyButton.disabled = true;
-    applyButton.setAttribute("aria-disabled", "true");
+      if (file && typeof file.text === "function") {
+        file.text().then(
+          (text) => this.loadReplay(text),
+          (error) => this.#reportRecordingError(error, "load replay"),
+        );
+      }
+      fileInput.value = "";
+    });
+    body.appendChild(fileInput);
 
-    const summary = document.createElement("div");
+    const recordRow = createControlButtonRow(body);
 
-    summary.className = "geometry-summary";
-    summary.style.gridColumn = "1 / -1";
-    summary.setAttribute("role", "status");
-    summary.setAttribute("aria-live", "polite");
-    summary.setAttribute("aria-atomic", "true");
-    summary.setAttribute("aria-busy", "false");
+    this.recordButton = document.createElement("button");
+    this.recordButton.type = "button";
+    this.recordButton.title =
+      "Record the seed, world, setting changes, and interventions so the run can be replayed.";
+    this.recordButton.addEventListener("click", () => {
+      const status = this.actions.getRecordingStatus?.();
 
-    const summaryHeader = document.createElement("div");
+      if (status?.recording || status?.pending) {
+        this.stopRecording();
+      } else {
+        this.startRecording();
+      }
+    });
+    recordRow.appendChild(this.recordButton);
 
-    summaryHeader.className = "geometry-summary__header";
+    const loadButton = document.createElement("button");
 
-    const summaryTitle = document.createElement("span");
+    loadButton.type = "button";
+    loadButton.textContent = "Load Replay";
+    loadButton.title = "Open a saved run recording and pause at its first tick.";
+    loadButton.addEventListener("click", () => {
+      fileInput.click?.();
+    });
+    recordRow.appendChild(loadButton);
 
-    summaryTitle.className = "geometry-summary__title";
-    summaryTitle.textContent = "Preview";
+    this.recordingStatus = document.createElement("p");
+    this.recordingStatus.className = "control-hint";
+    this.recordingStatus.setAttribute("role", "status");
+    this.recordingStatus.setAttribute("aria-live", "polite");
+    body.appendChild(this.recordingStatus);
 
-    const summaryStatus = document.createElement("span");
+    const replayGrid = createControlGrid(body, "control-grid--compact");
 
-    summaryStatus.className = "geometry-summary__status";
-    summaryStatus.textContent = "Current";
+    this.replayTimeline = createSliderRow(replayGrid, {
+      label: "Replay Timeline",
+      min: 0,
+      max: 0,
+      step: 1,
+      value: 0,
+      title: "Drag to re-simulate the replay up to another tick.",
+      format: (value) => `Tick ${Math.round(value)}`,
+      onInput: (value) => {
+        this.seekReplay(Math.round(value));
+      },
+    });
 
-    summaryHeader.appendChild(summaryTitle);
-    summaryHeader.appendChild(summaryStatus);
-    summary.appendChild(summaryHeader);
+    this.replaySpeedSelect = createSelectRow(replayGrid, {
+      label: "Replay Speed",
+      title: "Playback speed while the replay runs.",
+      value: String(
+        REPLAY_SPEED_OPTIONS.includes(this.speedMultiplier) ? this.speedMultiplier : 1,
+      ),
+      options: REPLAY_SPEED_OPTIONS.map((speed) => ({
+        value: String(speed),
+        label: `${speed}×`,
+      })),
+      onChange: (value) => {
+        this.#setSpeedMultiplier(Number(value));
+      },
+    });
 
-    const summaryGrid = document.createElement("dl");
+    const replayRow = createControlButtonRow(body);
 
-    summaryGrid.className = "geometry-summary__grid";
+    this.replayForkButton = document.createElement("button");
+    this.replayForkButton.type = "button";
+    this.replayForkButton.textContent = "Fork Here";
+    this.replayForkButton.title =
+      "Stop following the recording and keep simulating live from this tick.";
+    this.replayForkButton.addEventListener("click", () => {
+      this.forkReplay();
+    });
+    replayRow.appendChild(this.replayForkButton);
 
-    const createSummaryValue = (labelText) => {
-      const labelEl = document.createElement("dt");
+    this.replayStatus = document.createElement("p");
+    this.replayStatus.className = "control-hint";
+    this.replayStatus.setAttribute("role", "status");
+    this.replayStatus.setAttribute("aria-live", "polite");
+    body.appendChild(this.replayStatus);
 
-      labelEl.className = "geometry-summary__label";
-      labelEl.textContent = labelText;
-      const valueEl = document.createElement("dd");
+    this.renderRecordingStatus(this.actions.getRecordingStatus?.() ?? null);
+    this.renderReplayStatus(this.actions.getReplayStatus?.() ?? null);
+  }
 
-      valueEl.className = "geometry-summary__value";
-      valueEl.textContent = "—";
-      summaryGrid.appendChild(labelEl);
-      summaryGrid.appendChild(valueEl);
+  #buildShareControls(body) {
+    if (typeof this.actions.exportSettings !== "function") return;
 
-      return valueEl;
-    };
+    createSectionHeading(body, "Share Settings", { className: "overlay-header" });
 
-    const cellsValueEl = createSummaryValue("Grid (cells)");
-    const pixelsValueEl = createSummaryValue("Canvas (px)");
+    this.shareIncludeSeedInput = this.#addCheckbox(
+      body,
+      "Include Seed",
+      {
+        title: "Add the world seed so the link recreates this exact run.",
+      },
+      true,
+    );
 
-    summary.appendChild(summaryGrid);
+    const shareRow = createControlButtonRow(body);
 
-    const summaryNote = document.createElement("p");
+    this.copyLinkButton = document.createElement("button");
+    this.copyLinkButton.type = "button";
+    this.copyLinkButton.textContent = "Copy Link";
+    this.copyLinkButton.title =
+      "Copy a link that opens the simulation with these sliders, grid, obstacles, and zones.";
+    this.copyLinkButton.addEventListener("click", () => {
+      this.copySettingsLink();
+    });
+    shareRow.appendChild(this.copyLinkButton);
 
-    summaryNote.className = "geometry-summary__note";
-    summaryNote.textContent = "Preview updates as you edit. Apply to confirm changes.";
-    summary.appendChild(summaryNote);
+    this.shareStatus = document.createElement("p");
+    this.shareStatus.className = "control-hint";
+    this.shareStatus.setAttribute("role", "status");
+    this.shareStatus.setAttribute("aria-live", "polite");
+    this.shareStatus.textContent = "Settings are saved in this browser automatically.";
+    body.appendChild(this.shareStatus);
+  }
 
-    geometryGrid.appendChild(summary);
+  /**
+   * Builds a link to the current page whose hash encodes the current settings
+   * (see `encodeSettingsHash`), plus the seed when "Include Seed" is checked.
+   *
+   * @returns {string|null} Link, or `null` when settings are unavailable.
+   */
+  buildSettingsLink() {
+    const settings = this.actions.exportSettings?.();
 
-    const defaultAriaLabel =
-      this.#readElementAttribute(applyButton, "aria-label") ||
-      applyButton.textContent ||
-      applyButton.title;
+    if (!settings) return null;
 
-    this.geometryControls = {
-      cellSizeInput,
-      rowsInput,
-      colsInput,
-      applyButton,
-      applyButtonDefaultLabel: applyButton.textContent,
-      applyButtonDefaultTitle: applyButton.title,
-      applyButtonDefaultAriaLabel: defaultAriaLabel,
-      summaryEl: summary,
-      summaryStatusEl: summaryStatus,
-      summaryNoteEl: summaryNote,
-      summaryDefaultNote: summaryNote.textContent,
-      previewCellsEl: cellsValueEl,
-      previewPixelsEl: pixelsValueEl,
-      geometryBusy: false,
-      applyButtonRestoreFocus: false,
-    };
+    const seed = this.shareIncludeSeedInput?.checked
+      ? (this.actions.getSeed?.() ?? null)
+      : null;
+    const href =
+      typeof window !== "undefined" ? String(window.location?.href ?? "") : "";
 
-    const handlePreviewChange = () => {
-      const parseState = (input) => {
-        const text = String(input.value ?? "").trim();
-        const value = Number.parseFloat(input.value);
+    return `${href.split("#")[0]}${encodeSettingsHash(settings, { seed })}`;
+  }
 
-        return { text, value };
-      };
+  /**
+   * Copies {@link UIManager#buildSettingsLink} to the clipboard. Without
+   * clipboard access the link is shown in the status line instead.
+   *
+   * @returns {Promise<string|null>} The link, or `null` when none could be built.
+   */
+  async copySettingsLink() {
+    let link;
 
-      const cellSizeState = parseState(cellSizeInput);
+    try {
+      link = this.buildSettingsLink();
+    } catch (error) {
+      warnOnce(WARNINGS.copySettingsLink, error);
+      if (this.shareStatus) {
+        this.shareStatus.textContent = `Could not build link: ${error?.message ?? error}`;
+      }
+
+      return null;
+    }
+
+    if (!link) return null;
+
+    const clipboard =
+      typeof window !== "undefined" ? window.navigator?.clipboard : undefined;
+
+    let copied = false;
+
+    if (typeof clipboard?.writeText === "function") {
+      try {
+        await clipboard.writeText(link);
+        copied = true;
+      } catch (error) {
+        warnOnce(WARNINGS.copySettingsLink, error);
+      }
+    }
+
+    if (this.shareStatus) {
+      this.shareStatus.textContent = copied
+        ? "Link copied."
+        : `Copy this link: ${link}`;
+    }
+
+    return link;
+  }
+
+  async #runRecordingAction(name, verb, ...args) {
+    try {
+      return await this.actions[name]?.(...args);
+    } catch (error) {
+      this.#reportRecordingError(error, verb);
+
+      return undefined;
+    }
+  }
+
+  #reportRecordingError(error, verb) {
+    warnOnce(WARNINGS.recording, error);
+    if (this.recordingStatus) {
+      this.recordingStatus.textContent = `Could not ${verb}: ${error?.message ?? error}`;
+    }
+  }
+
+  /**
+   * Starts recording the run. Progress arrives through
+   * {@link UIManager#renderRecordingStatus}.
+   *
+   * @returns {Promise<boolean>} Whether recording started.
+   */
+  async startRecording() {
+    return (
+      (await this.#runRecordingAction("startRecording", "start recording")) != null
+    );
+  }
+
+  /**
+   * Stops the recording and downloads it as JSON.
+   *
+   * @returns {Promise<boolean>} Whether a recording was saved.
+   */
+  async stopRecording() {
+    const recording = await this.#runRecordingAction("stopRecording", "save recording");
+
+    if (!recording) return false;
+
+    const json = JSON.stringify(recording);
+
+    return this.#downloadDataUrl(
+      `data:application/json;charset=utf-8,${encodeURIComponent(json)}`,
+      {
+        prefix: "colourful-life-run",
+        fallbackStem: "colourful-life-run",
+        extension: "json",
+        linkWarning: WARNINGS.recordingLink,
+      },
+    );
+  }
+
+  /**
+   * @param {Object|string} recording - Recording or its JSON string.
+   * @returns {Promise<boolean>} Whether the replay loaded.
+   */
+  async loadReplay(recording) {
+    const status = await this.#runRecordingAction(
+      "loadReplay",
+      "load replay",
+      recording,
+    );
+
+    if (!status) return false;
+
+    this.renderReplayStatus(status);
+
+    return true;
+  }
+
+  /**
+   * Seeks the loaded replay. Requests made while a seek is still
+   * re-simulating are coalesced into one follow-up seek to the latest tick.
+   *
+   * @param {number} tick
+   * @returns {Promise<number|null>} Tick reached.
+   */
+  async seekReplay(tick) {
+    if (this._replaySeek) {
+      this._replaySeek.target = tick;
+
+      return this._replaySeek.promise;
+    }
+
+    const seek = { target: tick, promise: null };
+    const run = async () => {
+      let reached = null;
+
+      try {
+        while (seek.target !== reached) {
+          const target = seek.target;
+
+          reached = await this.#runRecordingAction("seekReplay", "seek", target);
+          if (reached == null) break;
+        }
+      } finally {
+        this._replaySeek = null;
+      }
+
+      return reached ?? null;
+    };
+
+    this._replaySeek = seek;
+    seek.promise = run();
+
+    return seek.promise;
+  }
+
+  forkReplay() {
+    return this.#runRecordingAction("forkReplay", "fork replay");
+  }
+
+  renderRecordingStatus(status) {
+    const recording = Boolean(status?.recording);
+    const pending = Boolean(status?.pending);
+
+    if (this.recordButton) {
+      this.recordButton.textContent = recording
+        ? "Stop & Save"
+        : pending
+          ? "Save Recording"
+          : "Record";
+      this.recordButton.disabled = !recording && !pending && status?.seeded === false;
+    }
+
+    if (!this.recordingStatus) return;
+
+    if (recording) {
+      this.recordingStatus.textContent = `Recording since tick ${status.startTick}: ${status.actions} interventions logged.`;
+    } else if (pending) {
+      this.recordingStatus.textContent = `Recording ended at tick ${status.tick} by a world change; save it to keep it.`;
+    } else if (status?.seeded === false) {
+      this.recordingStatus.textContent = "Recording needs a seeded simulation.";
+    } else {
+      this.recordingStatus.textContent = "Not recording.";
+    }
+  }
+
+  renderReplayStatus(status) {
+    const active = Boolean(status);
+
+    if (this.replayTimeline) {
+      this.replayTimeline.disabled = !active;
+      this.replayTimeline.min = String(status?.startTick ?? 0);
+      this.replayTimeline.max = String(status?.endTick ?? 0);
+      if (!this._replaySeek) this.replayTimeline.updateDisplay?.(status?.tick ?? 0);
+    }
+
+    if (this.replaySpeedSelect) this.replaySpeedSelect.disabled = !active;
+    if (this.replayForkButton) this.replayForkButton.disabled = !active;
+
+    if (!this.replayStatus) return;
+
+    if (!active) {
+      this.replayStatus.textContent = "No replay loaded.";
+    } else if (status.finished) {
+      this.replayStatus.textContent = `Replay finished at tick ${status.endTick}. Fork to keep simulating.`;
+    } else {
+      this.replayStatus.textContent = `Replaying tick ${status.tick} of ${status.startTick}–${status.endTick}.`;
+    }
+  }
+
+  #buildHotkeyReference(body) {
+    const entries = [
+      {
+        action: "Pause / Resume",
+        keys: this.#formatPauseHotkeys(),
+        description: "Toggle playback without leaving the keyboard.",
+      },
+      {
+        action: "Advance One Tick",
+        keys: this.#formatStepHotkeys(),
+        description: "Inspect changes frame-by-frame while paused.",
+      },
+      {
+        action: "Spawn Cell Burst",
+        keys: this.#formatHotkeyList(this.burstHotkeySet),
+        description: "Drop a quick cluster of organisms anywhere on the map.",
+      },
+      {
+        action: "Regenerate World",
+        keys: this.#formatHotkeyList(this.resetWorldHotkeySet),
+        description:
+          "Clear the map for a fresh population. Hold Shift with the shortcut to randomize obstacle layouts.",
+      },
+      {
+        action: "Save Snapshot",
+        keys: this.#formatHotkeyList(this.snapshotHotkeySet),
+        description: "Download the current canvas as a PNG for sharing.",
+      },
+      {
+        action: "Speed Up Playback",
+        keys: this.#formatSpeedIncreaseHotkeys(),
+        description: "Hasten evolution when the world feels sluggish.",
+      },
+      {
+        action: "Slow Down Playback",
+        keys: this.#formatSpeedDecreaseHotkeys(),
+        description: "Study delicate interactions at a calmer pace.",
+      },
+      {
+        action: "Reset Playback Speed",
+        keys: this.#formatSpeedResetHotkeys(),
+        description: "Jump back to the baseline cadence instantly.",
+      },
+    ].filter((entry) => typeof entry.keys === "string" && entry.keys.length > 0);
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    const container = document.createElement("details");
+
+    container.className = "hotkey-reference";
+    const summary = document.createElement("summary");
+
+    summary.className = "hotkey-reference__summary";
+    summary.textContent = "Keyboard Shortcuts";
+    container.appendChild(summary);
+
+    const hint = document.createElement("p");
+
+    hint.className = "hotkey-reference__hint control-hint";
+    hint.textContent =
+      "Keep experiments moving—open this list to learn the fastest ways to steer the simulation.";
+    container.appendChild(hint);
+
+    const list = document.createElement("ul");
+
+    list.className = "hotkey-reference__list";
+
+    entries.forEach(({ action, keys, description }) => {
+      const item = document.createElement("li");
+
+      item.className = "hotkey-reference__item";
+      const keySpan = document.createElement("span");
+
+      keySpan.className = "hotkey-reference__keys";
+      keySpan.textContent = keys;
+      const content = document.createElement("span");
+
+      content.className = "hotkey-reference__content";
+      const actionSpan = document.createElement("span");
+
+      actionSpan.className = "hotkey-reference__action";
+      actionSpan.textContent = action;
+      content.appendChild(actionSpan);
+
+      if (description) {
+        const descriptionSpan = document.createElement("span");
+
+        descriptionSpan.className = "hotkey-reference__description";
+        descriptionSpan.textContent = description;
+        content.appendChild(descriptionSpan);
+      }
+
+      item.appendChild(keySpan);
+      item.appendChild(content);
+      list.appendChild(item);
+    });
+
+    container.appendChild(list);
+    body.appendChild(container);
+  }
+
+  #buildGeometryControls(body) {
+    if (typeof this.setWorldGeometry !== "function") return;
+
+    createSectionHeading(body, "Grid Geometry");
+
+    const geometryGrid = createControlGrid(body, "control-grid--compact");
+    const geometry = this.#normalizeGeometryValues({
+      cellSize: this.currentCellSize,
+      rows: this.gridRows,
+      cols: this.gridCols,
+    });
+
+    const bounds = GRID_GEOMETRY_BOUNDS;
+
+    const cellSizeInput = createNumberInputRow(geometryGrid, {
+      label: "Cell Size",
+      title: "Pixels used to render each grid cell (2..20)",
+      min: bounds.cellSize.min,
+      max: bounds.cellSize.max,
+      step: bounds.cellSize.step,
+      value: geometry.cellSize,
+      suffix: "px",
+      description: "Pixels per tile. Enter a value between 2 and 20.",
+    });
+
+    const rowsInput = createNumberInputRow(geometryGrid, {
+      label: "Rows",
+      title: "Number of cell rows in the grid (40..240)",
+      min: bounds.rows.min,
+      max: bounds.rows.max,
+      step: bounds.rows.step,
+      value: geometry.rows,
+      suffix: "tiles",
+      description: "Vertical tiles allowed: 40 to 240.",
+    });
+
+    const colsInput = createNumberInputRow(geometryGrid, {
+      label: "Columns",
+      title: "Number of cell columns in the grid (40..240)",
+      min: bounds.cols.min,
+      max: bounds.cols.max,
+      step: bounds.cols.step,
+      value: geometry.cols,
+      suffix: "tiles",
+      description: "Horizontal tiles allowed: 40 to 240.",
+    });
+
+    if (typeof this.actions.setTopology === "function") {
+      this.topologySelect = createSelectRow(geometryGrid, {
+        label: "Topology",
+        title: "How the grid edges connect. Applies immediately.",
+        value: this.worldTopology,
+        options: TOPOLOGY_OPTIONS,
+        onChange: (value) => this.#applyTopologySelection(value),
+      });
+    }
+
+    if (typeof this.actions.setLattice === "function") {
+      this.latticeSelect = createSelectRow(geometryGrid, {
+        label: "Tiles",
+        title: "Square or hexagonal tiles. Applies immediately.",
+        value: this.gridLattice,
+        options: LATTICE_OPTIONS,
+        onChange: (value) => this.#applyLatticeSelection(value),
+      });
+    }
+
+    const actions = document.createElement("div");
+
+    actions.className = "geometry-actions";
+    actions.style.gridColumn = "1 / -1";
+
+    const applyButton = document.createElement("button");
+
+    applyButton.type = "button";
+    applyButton.className = "geometry-actions__apply";
+    applyButton.textContent = "Apply Geometry";
+    applyButton.title = "Resize the grid using the values above.";
+    applyButton.addEventListener("click", (event) => {
+      const request = {
+        cellSize: Number.parseFloat(cellSizeInput.value),
+        rows: Number.parseFloat(rowsInput.value),
+        cols: Number.parseFloat(colsInput.value),
+      };
+      const reseed = Boolean(event?.shiftKey);
+      const previous = {
+        cellSize: this.currentCellSize,
+        rows: this.gridRows,
+        cols: this.gridCols,
+      };
+      const targetPreview = this.#normalizeGeometryValues(request, previous, {
+        clampToBounds: false,
+      });
+
+      if (!this.#setGeometryBusy(true, { reseed, target: targetPreview })) {
+        return;
+      }
+
+      const execute = () => {
+        let applied = null;
+
+        try {
+          applied = this.#applyWorldGeometry(request, { reseed });
+        } finally {
+          this.#setGeometryBusy(false, {
+            applied,
+            raw: request,
+            reseed,
+            previous,
+          });
+        }
+      };
+
+      const raf =
+        typeof window !== "undefined" &&
+        typeof window.requestAnimationFrame === "function"
+          ? window.requestAnimationFrame.bind(window)
+          : null;
+
+      if (raf) raf(() => execute());
+      else execute();
+    });
+    actions.appendChild(applyButton);
+
+    const applyDescriptionId = "geometry-apply-description";
+    const applyDescription = document.createElement("span");
+
+    applyDescription.id = applyDescriptionId;
+    applyDescription.className = "visually-hidden";
+    applyDescription.textContent = "Resize the grid using the values above.";
+    actions.appendChild(applyDescription);
+
+    const reseedHintId = "geometry-reseed-hint";
+    const reseedHint = document.createElement("span");
+
+    reseedHint.id = reseedHintId;
+    reseedHint.className = "geometry-actions__hint control-hint";
+    reseedHint.textContent = "Shift + click to reseed the world after resizing.";
+    actions.appendChild(reseedHint);
+
+    applyButton.setAttribute(
+      "aria-describedby",
+      `${applyDescriptionId} ${reseedHintId}`.trim(),
+    );
+
+    geometryGrid.appendChild(actions);
+    applyButton.disabled = true;
+    applyButton.setAttribute("aria-disabled", "true");
+
+    const summary = document.createElement("div");
+
+    summary.className = "geometry-summary";
+    summary.style.gridColumn = "1 / -1";
+    summary.setAttribute("role", "status");
+    summary.setAttribute("aria-live", "polite");
+    summary.setAttribute("aria-atomic", "true");
+    summary.setAttribute("aria-busy", "false");
+
+    const summaryHeader = document.createElement("div");
+
+    summaryHeader.className = "geometry-summary__header";
+
+    const summaryTitle = document.createElement("span");
+
+    summaryTitle.className = "geometry-summary__title";
+    summaryTitle.textContent = "Preview";
+
+    const summaryStatus = document.createElement("span");
+
+    summaryStatus.className = "geometry-summary__status";
+    summaryStatus.textContent = "Current";
+
+    summaryHeader.appendChild(summaryTitle);
+    summaryHeader.appendChild(summaryStatus);
+    summary.appendChild(summaryHeader);
+
+    const summaryGrid = document.createElement("dl");
+
+    summaryGrid.className = "geometry-summary__grid";
+
+    const createSummaryValue = (labelText) => {
+      const labelEl = document.createElement("dt");
+
+      labelEl.className = "geometry-summary__label";
+      labelEl.textContent = labelText;
+      const valueEl = document.createElement("dd");
+
+      valueEl.className = "geometry-summary__value";
+      valueEl.textContent = "—";
+      summaryGrid.appendChild(labelEl);
+      summaryGrid.appendChild(valueEl);
+
+      return valueEl;
+    };
+
+    const cellsValueEl = createSummaryValue("Grid (cells)");
+    const pixelsValueEl = createSummaryValue("Canvas (px)");
+
+    summary.appendChild(summaryGrid);
+
+    const summaryNote = document.createElement("p");
+
+    summaryNote.className = "geometry-summary__note";
+    summaryNote.textContent = "Preview updates as you edit. Apply to confirm changes.";
+    summary.appendChild(summaryNote);
+
+    geometryGrid.appendChild(summary);
+
+    const defaultAriaLabel =
+      this.#readElementAttribute(applyButton, "aria-label") ||
+      applyButton.textContent ||
+      applyButton.title;
+
+    this.geometryControls = {
+      cellSizeInput,
+      rowsInput,
+      colsInput,
+      applyButton,
+      applyButtonDefaultLabel: applyButton.textContent,
+      applyButtonDefaultTitle: applyButton.title,
+      applyButtonDefaultAriaLabel: defaultAriaLabel,
+      summaryEl: summary,
+      summaryStatusEl: summaryStatus,
+      summaryNoteEl: summaryNote,
+      summaryDefaultNote: summaryNote.textContent,
+      previewCellsEl: cellsValueEl,
+      previewPixelsEl: pixelsValueEl,
+      geometryBusy: false,
+      applyButtonRestoreFocus: false,
+    };
+
+    const handlePreviewChange = () => {
+      const parseState = (input) => {
+        const text = String(input.value ?? "").trim();
+        const value = Number.parseFloat(input.value);
+
+        return { text, value };
+      };
+
+      const cellSizeState = parseState(cellSizeInput);
       const rowsState = parseState(rowsInput);
       const colsState = parseState(colsInput);
       const states = [cellSizeState, rowsState, colsState];
@@ -4739,6 +5953,7 @@ export default class UIManager {
     const eventsGroup = createControlGrid(body);
 
     eventConfigs.forEach((cfg) => renderSlider(cfg, eventsGroup));
+    this.#buildEventDrawTools(body);
 
     createSectionHeading(body, "General Settings");
     const generalGroup = createControlGrid(body);
@@ -4749,6 +5964,16 @@ export default class UIManager {
         renderSlider(cfg, generalGroup);
       });
 
+    this.trophicModeCheckbox = this.#addCheckbox(
+      generalGroup,
+      "Predator–Prey Mode",
+      "Herbivores graze tiles while predators graze poorly and feed on the cells they kill; each cell's carnivory gene sets where it sits between the two.",
+      this.trophicMode,
+      (checked) => {
+        this.#updateSetting("trophicMode", checked);
+      },
+    );
+
     if (this.leaderboardCadenceConfig) {
       createSectionHeading(body, "Dashboard Refresh");
 
@@ -4858,6 +6083,20 @@ export default class UIManager {
         title: "Outline each tile so the underlying grid stays visible",
         initial: this.showGridLines,
       },
+      {
+        key: "showTerrain",
+        label: "Show Terrain",
+        title:
+          "Tint tiles by biome: green plains, sandy desert, blue marsh and grey rock",
+        initial: this.showTerrain,
+      },
+      {
+        key: "showTrophicRoles",
+        label: "Show Trophic Roles",
+        title:
+          "Paint organisms by carnivory: green herbivores, amber omnivores and red predators",
+        initial: this.showTrophicRoles,
+      },
     ];
 
     overlayConfigs.forEach(({ key, label, title, options, initial }) => {
@@ -4894,23 +6133,7 @@ export default class UIManager {
     const obstacleGrid = createControlGrid(body, "control-grid--compact");
 
     if (this.obstaclePresets.length > 0) {
-      const applyPreset = (id) => {
-        const args = [id, { clearExisting: true }];
-        const resolveMessage = (presetId) =>
-          `Obstacle preset handler threw while applying "${presetId}"; continuing with previous layout.`;
-
-        if (typeof this.actions.applyObstaclePreset === "function") {
-          invokeWithErrorBoundary(this.actions.applyObstaclePreset, args, {
-            thisArg: this.actions,
-            message: resolveMessage,
-            reporter: warnOnce,
-            once: true,
-          });
-
-          return;
-        }
-      };
-
+      const applyPreset = (id) => this.#applyObstaclePresetSelection(id);
       const presetSelect = createSelectRow(obstacleGrid, {
         label: "Layout Preset",
         title: "Choose a static obstacle layout to apply immediately.",
@@ -4926,54 +6149,257 @@ export default class UIManager {
         },
       });
 
-      if (presetSelect?.options) {
-        Array.from(presetSelect.options).forEach((opt) => {
-          if (!opt.title && opt.textContent) opt.title = opt.textContent;
-        });
-      }
+      if (presetSelect?.options) {
+        Array.from(presetSelect.options).forEach((opt) => {
+          if (!opt.title && opt.textContent) opt.title = opt.textContent;
+        });
+      }
+
+      const selectLine = presetSelect.closest(".control-line");
+      const clearButton = document.createElement("button");
+
+      clearButton.type = "button";
+      clearButton.textContent = "Clear Obstacles";
+      clearButton.title = "Remove all obstacles from the grid.";
+      clearButton.addEventListener("click", () => {
+        const openFieldPreset = this.obstaclePresets.find(
+          (preset) => preset?.id === "none",
+        );
+        const clearedPreset =
+          openFieldPreset?.id ?? this.obstaclePresets[0]?.id ?? "none";
+
+        this.obstaclePreset = clearedPreset;
+        if (presetSelect) presetSelect.value = clearedPreset;
+        applyPreset(clearedPreset);
+      });
+
+      const shuffleButton = document.createElement("button");
+
+      shuffleButton.type = "button";
+      shuffleButton.textContent = "Shuffle Layout";
+      shuffleButton.title = "Apply a random obstacle preset from the catalog.";
+      shuffleButton.addEventListener("click", () => {
+        const randomPresetId = this.#pickRandomObstaclePresetId();
+
+        if (!randomPresetId) return;
+
+        this.obstaclePreset = randomPresetId;
+        if (presetSelect) presetSelect.value = randomPresetId;
+        applyPreset(randomPresetId);
+      });
+
+      if (selectLine) {
+        selectLine.classList.add("control-line--inline-actions");
+        selectLine.appendChild(clearButton);
+        selectLine.appendChild(shuffleButton);
+      } else {
+        obstacleGrid.appendChild(clearButton);
+        obstacleGrid.appendChild(shuffleButton);
+      }
+
+      this.obstaclePresetSelect = presetSelect;
+      this.#buildObstacleMapLoader(body);
+    }
+  }
+
+  #applyObstaclePresetSelection(id) {
+    if (typeof this.actions.applyObstaclePreset !== "function") return;
+
+    invokeWithErrorBoundary(
+      this.actions.applyObstaclePreset,
+      [id, { clearExisting: true }],
+      {
+        thisArg: this.actions,
+        message: (presetId) =>
+          `Obstacle preset handler threw while applying "${presetId}"; continuing with previous layout.`,
+        reporter: warnOnce,
+        once: true,
+      },
+    );
+    this.#refreshObstacleEditStatus();
+  }
+
+  #buildObstacleMapLoader(body) {
+    if (typeof this.actions.registerObstaclePreset !== "function") return;
+
+    const fileInput = document.createElement("input");
+
+    fileInput.type = "file";
+    fileInput.accept = OBSTACLE_MAP_FILE_ACCEPT;
+    fileInput.hidden = true;
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files?.[0];
+
+      if (file) this.loadObstacleMapFile(file);
+      fileInput.value = "";
+    });
+    body.appendChild(fileInput);
+
+    const mapButtons = createControlButtonRow(body);
+    const loadButton = document.createElement("button");
+
+    loadButton.type = "button";
+    loadButton.textContent = "Load Map File";
+    loadButton.title =
+      "Load an image (dark pixels are walls) or ASCII map (# is a wall) as a layout preset. You can also drop the file on the grid.";
+    loadButton.addEventListener("click", () => {
+      fileInput.click?.();
+    });
+    mapButtons.appendChild(loadButton);
+
+    this.obstacleMapStatus = document.createElement("p");
+    this.obstacleMapStatus.className = "control-hint";
+    this.obstacleMapStatus.setAttribute("role", "status");
+    this.obstacleMapStatus.setAttribute("aria-live", "polite");
+    body.appendChild(this.obstacleMapStatus);
+  }
+
+  /**
+   * Turns an image or ASCII map file into an obstacle preset, adds it to the
+   * Layout Preset menu, and applies it. Failures are reported in the map
+   * status line instead of rejecting.
+   *
+   * @param {File} file
+   * @returns {Promise<Object|null>} The registered preset, or `null` on failure.
+   */
+  async loadObstacleMapFile(file) {
+    let preset = null;
+
+    try {
+      preset = this.actions.registerObstaclePreset?.(await readObstacleMapFile(file));
+      if (!preset) throw new TypeError("The map could not be registered as a preset.");
+    } catch (error) {
+      warnOnce(WARNINGS.obstacleMapImport, error);
+      if (this.obstacleMapStatus) {
+        this.obstacleMapStatus.textContent = `Could not load map: ${error?.message ?? error}`;
+      }
+
+      return null;
+    }
+
+    this.obstaclePresets = [
+      ...this.obstaclePresets.filter((entry) => entry?.id !== preset.id),
+      preset,
+    ];
+
+    const select = this.obstaclePresetSelect;
+
+    if (
+      select &&
+      !Array.from(select.options ?? []).some((opt) => opt.value === preset.id)
+    ) {
+      const option = document.createElement("option");
+
+      option.value = preset.id;
+      option.textContent = preset.label;
+      option.title = preset.description ?? preset.label;
+      select.appendChild(option);
+    }
+
+    this.obstaclePreset = preset.id;
+    if (select) select.value = preset.id;
+    this.#applyObstaclePresetSelection(preset.id);
+    if (this.obstacleMapStatus) {
+      this.obstacleMapStatus.textContent = `Loaded "${preset.label}" (${preset.map.width}×${preset.map.height}).`;
+    }
+
+    return preset;
+  }
+
+  #handleObstacleMapDragOver(event) {
+    if (!Array.from(event?.dataTransfer?.types ?? []).includes("Files")) return;
+
+    event.preventDefault?.();
+    if (event.dataTransfer) event.dataTransfer.dropEffect = "copy";
+  }
+
+  #handleObstacleMapDrop(event) {
+    const file = event?.dataTransfer?.files?.[0];
+
+    if (!file || typeof this.actions.registerObstaclePreset !== "function") return;
+
+    event.preventDefault?.();
+    this.loadObstacleMapFile(file);
+  }
+
+  #buildObstacleBrushControls(body) {
+    if (typeof this.actions.paintObstacles !== "function") return;
+
+    const brushGrid = createControlGrid(body, "control-grid--compact");
+
+    this.obstacleBrushSelect = createSelectRow(brushGrid, {
+      label: "Brush Tool",
+      title:
+        "Drag on the canvas to paint or erase walls freehand, or to draw a straight line or rectangle outline.",
+      value: this.obstacleBrush.tool,
+      options: OBSTACLE_BRUSH_TOOLS.map(({ id, label }) => ({ value: id, label })),
+      onChange: (value) => this.setObstacleBrushTool(value),
+    });
 
-      const selectLine = presetSelect.closest(".control-line");
-      const clearButton = document.createElement("button");
+    createSliderRow(brushGrid, {
+      label: "Brush Radius",
+      min: 0,
+      max: OBSTACLE_BRUSH_MAX_RADIUS,
+      step: 1,
+      value: this.obstacleBrush.radius,
+      title: "Tiles painted around the pointer; 0 paints a single tile.",
+      format: (value) => String(Math.round(value)),
+      onInput: (value) => {
+        this.obstacleBrush.radius = Math.round(value);
+      },
+    });
 
-      clearButton.type = "button";
-      clearButton.textContent = "Clear Obstacles";
-      clearButton.title = "Remove all obstacles from the grid.";
-      clearButton.addEventListener("click", () => {
-        const openFieldPreset = this.obstaclePresets.find(
-          (preset) => preset?.id === "none",
-        );
-        const clearedPreset =
-          openFieldPreset?.id ?? this.obstaclePresets[0]?.id ?? "none";
+    this.#addCheckbox(
+      brushGrid,
+      "Evict Residents",
+      "When off, walls are stamped around organisms instead of removing them.",
+      this.obstacleBrush.evict,
+      (checked) => {
+        this.obstacleBrush.evict = checked;
+      },
+    );
 
-        this.obstaclePreset = clearedPreset;
-        if (presetSelect) presetSelect.value = clearedPreset;
-        applyPreset(clearedPreset);
+    const historyRow = createControlButtonRow(body);
+    const createHistoryButton = (label, title, actionName) => {
+      const button = document.createElement("button");
+
+      button.type = "button";
+      button.textContent = label;
+      button.title = title;
+      button.disabled = true;
+      button.addEventListener("click", () => {
+        const result = this.#callObstacleBrushAction(actionName);
+
+        if (typeof result?.then === "function") {
+          result.then(() => this.#refreshObstacleEditStatus());
+        } else {
+          this.#refreshObstacleEditStatus();
+        }
       });
+      historyRow.appendChild(button);
 
-      const shuffleButton = document.createElement("button");
+      return button;
+    };
 
-      shuffleButton.type = "button";
-      shuffleButton.textContent = "Shuffle Layout";
-      shuffleButton.title = "Apply a random obstacle preset from the catalog.";
-      shuffleButton.addEventListener("click", () => {
-        const randomPresetId = this.#pickRandomObstaclePresetId();
+    this.obstacleUndoButton = createHistoryButton(
+      "Undo Edit",
+      "Revert the most recent brush stroke.",
+      "undoObstacleEdit",
+    );
+    this.obstacleRedoButton = createHistoryButton(
+      "Redo Edit",
+      "Reapply the most recently undone brush stroke.",
+      "redoObstacleEdit",
+    );
 
-        if (!randomPresetId) return;
+    const brushHint = document.createElement("p");
 
-        this.obstaclePreset = randomPresetId;
-        if (presetSelect) presetSelect.value = randomPresetId;
-        applyPreset(randomPresetId);
-      });
+    brushHint.className = "control-hint";
+    brushHint.textContent =
+      "Each drag is one undoable edit. Applying a preset, resizing, or resetting the world clears the history.";
+    body.appendChild(brushHint);
 
-      if (selectLine) {
-        selectLine.classList.add("control-line--inline-actions");
-        selectLine.appendChild(clearButton);
-        selectLine.appendChild(shuffleButton);
-      } else {
-        obstacleGrid.appendChild(clearButton);
-        obstacleGrid.appendChild(shuffleButton);
-      }
-    }
+    this.#refreshObstacleEditStatus();
   }
 
   #buildReproductiveZoneTools(body) {
@@ -5000,6 +6426,9 @@ export default class UIManager {
         : [];
 
     patterns.forEach((pattern) => {
+      // Custom zones get their own editable list below.
+      if (pattern.custom) return;
+
       const description =
         typeof pattern.description === "string" && pattern.description.trim().length > 0
           ? pattern.description
@@ -5020,43 +6449,526 @@ export default class UIManager {
       const key =
         typeof pattern?.id === "string" && pattern.id.length > 0 ? pattern.id : null;
 
-      if (key && checkbox && this._zoneToggleInputs) {
-        this._zoneToggleInputs.set(key, checkbox);
-      }
+      if (key && checkbox && this._zoneToggleInputs) {
+        this._zoneToggleInputs.set(key, checkbox);
+      }
+    });
+
+    const summaryValue = document.createElement("div");
+
+    summaryValue.className = "zone-summary";
+    const summaryText = document.createElement("p");
+
+    summaryText.className = "zone-summary-text";
+    summaryText.id = "zone-summary-text";
+    summaryValue.appendChild(summaryText);
+    const summaryList = document.createElement("ul");
+
+    summaryList.className = "zone-summary-tags";
+    summaryList.setAttribute("role", "list");
+    summaryList.hidden = true;
+    summaryValue.appendChild(summaryList);
+
+    const summaryRow = this.#appendControlRow(body, {
+      label: "Active Zones",
+      value: summaryValue,
+      valueClass: "control-value--left",
+    });
+
+    this.zoneSummaryEl = summaryRow.querySelector(".control-value");
+    this.zoneSummaryTextEl = summaryText;
+    this.zoneSummaryList = summaryList;
+    if (this.zoneSummaryEl) {
+      this.zoneSummaryEl.id = "zone-summary";
+      this.zoneSummaryEl.setAttribute("role", "status");
+      this.zoneSummaryEl.setAttribute("aria-live", "polite");
+      this.zoneSummaryEl.setAttribute("aria-describedby", summaryText.id);
+    }
+
+    this.#buildCustomZoneTools(body);
+
+    this.#updateZoneSummary();
+  }
+
+  #buildCustomZoneTools(body) {
+    if (typeof this.selectionManager.createCustomZone !== "function") return;
+
+    const intro = document.createElement("p");
+
+    intro.className = "control-hint";
+    intro.textContent =
+      "Draw your own zones: pick a Zone Tool and drag on the canvas. Drawing with no target zone creates a new one.";
+    body.appendChild(intro);
+
+    const toolGrid = createControlGrid(body, "control-grid--compact");
+
+    this.zoneToolSelect = createSelectRow(toolGrid, {
+      label: "Zone Tool",
+      title:
+        "Drag on the canvas to add a rectangle, circle, or painted tiles to the target zone.",
+      value: this.zoneDraw.tool,
+      options: ZONE_DRAW_TOOLS.map(({ id, label }) => ({ value: id, label })),
+      onChange: (value) => this.setZoneDrawTool(value),
+    });
+
+    this.zoneTargetSelect = createSelectRow(toolGrid, {
+      label: "Target Zone",
+      title: "Custom zone that receives new strokes.",
+      value: "",
+      options: [{ value: "", label: "New zone" }],
+      onChange: (value) => {
+        this.zoneDraw.targetId = value || null;
+      },
+    });
+
+    createSliderRow(toolGrid, {
+      label: "Zone Brush Radius",
+      min: 0,
+      max: OBSTACLE_BRUSH_MAX_RADIUS,
+      step: 1,
+      value: this.zoneDraw.radius,
+      title: "Tiles painted or erased around the pointer; 0 affects a single tile.",
+      format: (value) => String(Math.round(value)),
+      onInput: (value) => {
+        this.zoneDraw.radius = Math.round(value);
+      },
+    });
+
+    this.customZoneList = document.createElement("div");
+    this.customZoneList.className = "custom-zone-list";
+    body.appendChild(this.customZoneList);
+
+    const fileInput = document.createElement("input");
+
+    fileInput.type = "file";
+    fileInput.accept = "application/json,.json";
+    fileInput.hidden = true;
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files?.[0];
+
+      if (file && typeof file.text === "function") {
+        file.text().then(
+          (text) => this.importCustomZones(text),
+          (error) => this.#reportCustomZoneImportError(error),
+        );
+      }
+      fileInput.value = "";
+    });
+    body.appendChild(fileInput);
+
+    const zoneButtons = createControlButtonRow(body);
+    const addButton = (label, title, onClick) => {
+      const button = document.createElement("button");
+
+      button.type = "button";
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener("click", onClick);
+      zoneButtons.appendChild(button);
+    };
+
+    addButton(
+      "New Zone",
+      "Create an empty custom zone and make it the drawing target.",
+      () => {
+        this.#createCustomZone();
+        this.#renderCustomZoneList();
+      },
+    );
+    addButton("Export Zones", "Download every custom zone as JSON.", () => {
+      this.#exportCustomZones();
+    });
+    addButton(
+      "Import Zones",
+      "Replace the custom zones with ones from a JSON file.",
+      () => {
+        fileInput.click?.();
+      },
+    );
+
+    this.customZoneStatus = document.createElement("p");
+    this.customZoneStatus.className = "control-hint";
+    this.customZoneStatus.setAttribute("role", "status");
+    this.customZoneStatus.setAttribute("aria-live", "polite");
+    body.appendChild(this.customZoneStatus);
+
+    this.#renderCustomZoneList();
+  }
+
+  #createCustomZone() {
+    const id = this.selectionManager.createCustomZone();
+
+    this.zoneDraw.targetId = id;
+    this.#updateZoneSummary();
+
+    return id;
+  }
+
+  #renderCustomZoneList() {
+    const list = this.customZoneList;
+    const manager = this.selectionManager;
+
+    if (!list || typeof manager?.getCustomZones !== "function") return;
+
+    const zones = manager.getCustomZones();
+
+    if (!zones.some((zone) => zone.id === this.zoneDraw.targetId)) {
+      this.zoneDraw.targetId = null;
+    }
+
+    if (this.zoneTargetSelect) {
+      this.zoneTargetSelect.innerHTML = "";
+      [{ id: "", name: "New zone" }, ...zones].forEach((zone) => {
+        const option = document.createElement("option");
+
+        option.value = zone.id;
+        option.textContent = zone.name;
+        this.zoneTargetSelect.appendChild(option);
+      });
+      this.zoneTargetSelect.value = this.zoneDraw.targetId ?? "";
+    }
+
+    list.innerHTML = "";
+    zones.forEach((zone) => {
+      const item = document.createElement("div");
+
+      item.className = "custom-zone-row";
+      list.appendChild(item);
+
+      const toggle = this.#addCheckbox(
+        item,
+        zone.name,
+        {
+          title: `${zone.tileCount} tile${zone.tileCount === 1 ? "" : "s"}`,
+          color: zone.color,
+        },
+        zone.active,
+        (checked) => {
+          manager.togglePattern(zone.id, checked);
+          this.#updateZoneSummary();
+          this.#scheduleUpdate();
+        },
+      );
+      const actions = createControlButtonRow(item, {
+        className: "control-button-row control-button-row--compact",
+      });
+      const colorInput = document.createElement("input");
+
+      colorInput.type = "color";
+      colorInput.value = zoneColorToHex(zone.color);
+      colorInput.title = `Colour for ${zone.name}`;
+      colorInput.addEventListener("change", () => {
+        const color = hexToZoneColor(colorInput.value);
+
+        if (!color) return;
+
+        manager.updateCustomZone(zone.id, { color });
+        this.#renderCustomZoneList();
+        this.#updateZoneSummary();
+        this.#scheduleUpdate();
+      });
+      actions.appendChild(colorInput);
+
+      const deleteButton = document.createElement("button");
+
+      deleteButton.type = "button";
+      deleteButton.textContent = "Delete";
+      deleteButton.title = `Delete ${zone.name}`;
+      deleteButton.addEventListener("click", () => {
+        manager.removeCustomZone(zone.id);
+        this.#renderCustomZoneList();
+        this.#updateZoneSummary();
+        this.#scheduleUpdate();
+      });
+      actions.appendChild(deleteButton);
+
+      if (toggle && this._zoneToggleInputs) this._zoneToggleInputs.set(zone.id, toggle);
+    });
+  }
+
+  #exportCustomZones() {
+    const json = JSON.stringify(this.selectionManager.exportCustomZones(), null, 2);
+
+    return this.#downloadDataUrl(
+      `data:application/json;charset=utf-8,${encodeURIComponent(json)}`,
+      {
+        prefix: "colourful-life-zones",
+        fallbackStem: "colourful-life-zones",
+        extension: "json",
+        linkWarning: WARNINGS.zoneExportLink,
+      },
+    );
+  }
+
+  /**
+   * Replaces the custom reproductive zones with those in an exported zone
+   * document and refreshes the zone controls. Failures are reported in the
+   * zone status line instead of throwing.
+   *
+   * @param {Object|string} source - Export object or its JSON string.
+   * @returns {boolean} Whether the import succeeded.
+   */
+  importCustomZones(source) {
+    if (typeof this.selectionManager?.importCustomZones !== "function") return false;
+
+    let ids;
+
+    try {
+      ids = this.selectionManager.importCustomZones(source);
+    } catch (error) {
+      this.#reportCustomZoneImportError(error);
+
+      return false;
+    }
+
+    this.zoneDraw.targetId = ids[0] ?? null;
+    this.#renderCustomZoneList();
+    this.#updateZoneSummary();
+    this.#scheduleUpdate();
+    if (this.customZoneStatus) {
+      this.customZoneStatus.textContent = `Imported ${ids.length} zone${ids.length === 1 ? "" : "s"}.`;
+    }
+
+    return true;
+  }
+
+  #reportCustomZoneImportError(error) {
+    warnOnce(WARNINGS.zoneImport, error);
+    if (this.customZoneStatus) {
+      this.customZoneStatus.textContent = `Could not import zones: ${error?.message ?? error}`;
+    }
+  }
+
+  #buildEventDrawTools(body) {
+    if (typeof this.actions.spawnEvent !== "function") return;
+
+    const drawGrid = createControlGrid(body, "control-grid--compact");
+
+    this.eventToolSelect = createSelectRow(drawGrid, {
+      label: "Event Tool",
+      title: "Drag a rectangle on the canvas to spawn this event there.",
+      value: this.eventDraw.eventType,
+      options: [
+        { value: "off", label: "Off (inspect cells)" },
+        ...getEventTypes().map((type) => ({
+          value: type,
+          label: `Draw ${this.#formatEventTypeLabel(type).toLowerCase()}`,
+        })),
+      ],
+      onChange: (value) => this.setEventDrawTool(value),
+    });
+
+    createSliderRow(drawGrid, {
+      label: "Event Strength",
+      min: 0.1,
+      max: 3,
+      step: 0.1,
+      value: this.eventDraw.strength,
+      title: "Strength of drawn events before the global strength multiplier.",
+      format: (value) => `${value.toFixed(1)}×`,
+      onInput: (value) => {
+        this.eventDraw.strength = value;
+      },
+    });
+
+    createSliderRow(drawGrid, {
+      label: "Event Duration",
+      min: 10,
+      max: 2000,
+      step: 10,
+      value: this.eventDraw.duration,
+      title: "Ticks a drawn event lasts.",
+      format: (value) => `${Math.round(value)} ticks`,
+      onInput: (value) => {
+        this.eventDraw.duration = Math.round(value);
+      },
+    });
+
+    this.#addCheckbox(
+      drawGrid,
+      "Ignore Event Cap",
+      "Spawn drawn events even when Max Concurrent Events are already active.",
+      this.eventDraw.bypassLimit,
+      (checked) => {
+        this.eventDraw.bypassLimit = checked;
+      },
+    );
+
+    this.eventDrawStatus = document.createElement("p");
+    this.eventDrawStatus.className = "control-hint";
+    this.eventDrawStatus.setAttribute("role", "status");
+    this.eventDrawStatus.setAttribute("aria-live", "polite");
+    body.appendChild(this.eventDrawStatus);
+
+    if (typeof this.actions.cancelEvent !== "function") return;
+
+    this.activeEventList = document.createElement("ul");
+    this.activeEventList.className = "active-event-list";
+    this.activeEventList.setAttribute("aria-label", "Active events");
+    body.appendChild(this.activeEventList);
+    this.#renderActiveEventList([]);
+  }
+
+  #renderActiveEventList(events) {
+    const list = this.activeEventList;
+
+    if (!list) return;
+
+    list.innerHTML = "";
+
+    if (events.length === 0) {
+      const empty = document.createElement("li");
+
+      empty.className = "control-hint";
+      empty.textContent = "No active events.";
+      list.appendChild(empty);
+
+      return;
+    }
+
+    for (const event of events) {
+      const item = document.createElement("li");
+      const label = document.createElement("span");
+      const cancelButton = document.createElement("button");
+
+      item.className = "active-event-row";
+      label.textContent = `${this.#formatEventTypeLabel(event?.type)} · ${event?.remainingTicks ?? 0} ticks left`;
+      item.appendChild(label);
+      cancelButton.type = "button";
+      cancelButton.textContent = "Cancel";
+      cancelButton.title = "End this event now.";
+      cancelButton.addEventListener("click", () => {
+        const result = this.#callEventAction("cancelEvent", [event.id]);
+        const settle = (cancelled) => {
+          if (cancelled) item.remove?.();
+        };
+
+        if (typeof result?.then === "function") {
+          result.then(settle);
+        } else {
+          settle(result);
+        }
+      });
+      item.appendChild(cancelButton);
+      list.appendChild(item);
+    }
+  }
+
+  #buildScenarioControls(body) {
+    if (typeof this.actions.loadScenario !== "function") return;
+
+    createSectionHeading(body, "Scenario", { className: "overlay-header" });
+
+    const fileInput = document.createElement("input");
+
+    fileInput.type = "file";
+    fileInput.accept = "application/json,.json";
+    fileInput.hidden = true;
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files?.[0];
+
+      if (file && typeof file.text === "function") {
+        file.text().then(
+          (text) => this.loadScenario(text),
+          (error) => this.#reportScenarioError(error),
+        );
+      }
+      fileInput.value = "";
+    });
+    body.appendChild(fileInput);
+
+    const scenarioButtons = createControlButtonRow(body);
+    const loadButton = document.createElement("button");
+
+    loadButton.type = "button";
+    loadButton.textContent = "Load Scenario";
+    loadButton.title =
+      "Load a JSON list of { atTick, action, params } entries that schedule events, setting changes, presets, bursts, zone toggles, and pauses.";
+    loadButton.addEventListener("click", () => {
+      fileInput.click?.();
+    });
+    scenarioButtons.appendChild(loadButton);
+
+    const clearButton = document.createElement("button");
+
+    clearButton.type = "button";
+    clearButton.textContent = "Clear Scenario";
+    clearButton.title = "Drop the loaded scenario; nothing already applied is undone.";
+    clearButton.addEventListener("click", () => {
+      this.loadScenario(null);
     });
+    scenarioButtons.appendChild(clearButton);
 
-    const summaryValue = document.createElement("div");
+    this.scenarioStatus = document.createElement("p");
+    this.scenarioStatus.className = "control-hint";
+    this.scenarioStatus.setAttribute("role", "status");
+    this.scenarioStatus.setAttribute("aria-live", "polite");
+    body.appendChild(this.scenarioStatus);
 
-    summaryValue.className = "zone-summary";
-    const summaryText = document.createElement("p");
+    this.scenarioTimeline = document.createElement("ol");
+    this.scenarioTimeline.className = "scenario-timeline";
+    this.scenarioTimeline.setAttribute("aria-label", "Upcoming scenario actions");
+    body.appendChild(this.scenarioTimeline);
 
-    summaryText.className = "zone-summary-text";
-    summaryText.id = "zone-summary-text";
-    summaryValue.appendChild(summaryText);
-    const summaryList = document.createElement("ul");
+    this.#renderScenarioTimeline(null);
+  }
 
-    summaryList.className = "zone-summary-tags";
-    summaryList.setAttribute("role", "list");
-    summaryList.hidden = true;
-    summaryValue.appendChild(summaryList);
+  /**
+   * Loads (or with `null` clears) a scenario script through the
+   * `loadScenario` action and refreshes the timeline strip. Failures are
+   * reported in the scenario status line instead of throwing.
+   *
+   * @param {Array|Object|string|null} script - Entries or their JSON string.
+   * @returns {Promise<boolean>} Whether the script was accepted.
+   */
+  async loadScenario(script) {
+    let status;
 
-    const summaryRow = this.#appendControlRow(body, {
-      label: "Active Zones",
-      value: summaryValue,
-      valueClass: "control-value--left",
-    });
+    try {
+      status = await this.actions.loadScenario?.(script);
+    } catch (error) {
+      this.#reportScenarioError(error);
 
-    this.zoneSummaryEl = summaryRow.querySelector(".control-value");
-    this.zoneSummaryTextEl = summaryText;
-    this.zoneSummaryList = summaryList;
-    if (this.zoneSummaryEl) {
-      this.zoneSummaryEl.id = "zone-summary";
-      this.zoneSummaryEl.setAttribute("role", "status");
-      this.zoneSummaryEl.setAttribute("aria-live", "polite");
-      this.zoneSummaryEl.setAttribute("aria-describedby", summaryText.id);
+      return false;
     }
 
-    this.#updateZoneSummary();
+    this.#renderScenarioTimeline(status ?? null);
+
+    return true;
+  }
+
+  #reportScenarioError(error) {
+    warnOnce(WARNINGS.scenarioLoad, error);
+    if (this.scenarioStatus) {
+      this.scenarioStatus.textContent = `Could not load scenario: ${error?.message ?? error}`;
+    }
+  }
+
+  #renderScenarioTimeline(status) {
+    const list = this.scenarioTimeline;
+
+    if (!list) return;
+
+    list.innerHTML = "";
+
+    if (this.scenarioStatus) {
+      this.scenarioStatus.textContent = status
+        ? `${status.completed} of ${status.total} actions run at tick ${status.tick}.`
+        : "No scenario loaded.";
+    }
+
+    for (const entry of status?.upcoming ?? []) {
+      const item = document.createElement("li");
+      const tick = document.createElement("span");
+
+      item.className = "scenario-timeline-entry";
+      tick.className = "scenario-timeline-tick";
+      tick.textContent = `t${entry.atTick}`;
+      item.appendChild(tick);
+      item.appendChild(document.createTextNode(` ${describeScenarioEntry(entry)}`));
+      item.title = `${entry.atTick - status.tick} ticks from now`;
+      list.appendChild(item);
+    }
   }
 
   #buildEnergyAndGeneralTail(body, sliderContext) {
@@ -5211,6 +7123,30 @@ export default class UIManager {
         fallbackColor: "#7edc8c",
         description: "Average desire for genetically novel partners.",
       },
+      {
+        label: "Herbivores",
+        property: "sparkHerbivores",
+        historyKey: "herbivores",
+        colorVar: "--color-metric-herbivores",
+        fallbackColor: "#5ac86e",
+        description: "Cells with low carnivory that live off tile energy.",
+      },
+      {
+        label: "Omnivores",
+        property: "sparkOmnivores",
+        historyKey: "omnivores",
+        colorVar: "--color-metric-omnivores",
+        fallbackColor: "#f0be46",
+        description: "Cells that both graze and hunt.",
+      },
+      {
+        label: "Predators",
+        property: "sparkPredators",
+        historyKey: "predators",
+        colorVar: "--color-metric-predators",
+        fallbackColor: "#e64650",
+        description: "Cells with high carnivory that live off their kills.",
+      },
     ];
 
     this.sparkMetricDescriptors = sparkDescriptors.map(
@@ -5264,6 +7200,8 @@ export default class UIManager {
       },
     );
 
+    body.appendChild(this.#buildCladeStreamSection());
+
     const traitSection = document.createElement("section");
 
     traitSection.className = "metrics-section metrics-section--sparklines";
@@ -5292,6 +7230,137 @@ export default class UIManager {
     return panel;
   }
 
+  #buildCladeStreamSection() {
+    const section = document.createElement("section");
+
+    section.className = "metrics-section metrics-section--sparklines";
+    section.setAttribute("aria-label", "Founding clade population shares");
+
+    const heading = document.createElement("h4");
+
+    heading.className = "metrics-section-title";
+    heading.textContent = "Clade Dynamics";
+    section.appendChild(heading);
+
+    const hint = document.createElement("p");
+
+    hint.className = "sparkline-hint";
+    hint.textContent =
+      "Each band is a founding lineage's share of the living population, coloured by its mean DNA colour. Click a band to highlight its living members on the grid.";
+    section.appendChild(hint);
+
+    const canvas = document.createElement("canvas");
+
+    canvas.className = "clade-stream";
+    canvas.width = 460;
+    canvas.height = 120;
+    canvas.setAttribute("role", "img");
+    canvas.setAttribute("aria-label", "Founding clade population shares over time");
+    canvas.addEventListener("click", (event) => {
+      this.#handleCladeStreamClick(event);
+    });
+    section.appendChild(canvas);
+
+    this.cladeStreamStatus = document.createElement("p");
+    this.cladeStreamStatus.className = "control-hint clade-stream__status";
+    this.cladeStreamStatus.setAttribute("aria-live", "polite");
+    this.cladeStreamStatus.textContent = "No clade history yet.";
+    section.appendChild(this.cladeStreamStatus);
+
+    this.cladeStreamCanvas = canvas;
+    this._cladeStreamLayout = null;
+    this.highlightedCladeId = null;
+
+    return section;
+  }
+
+  #renderCladeStream(stats) {
+    const canvas = this.cladeStreamCanvas;
+
+    if (!canvas) return;
+
+    const history =
+      typeof stats?.getCladeHistory === "function" ? stats.getCladeHistory() : [];
+    const layout = buildCladeStreamLayout(history);
+    const ctx = canvas.getContext?.("2d");
+    const { width, height } = this.#prepareSparklineCanvas(canvas, ctx);
+
+    this._cladeStreamLayout = layout;
+    drawCladeStream(ctx, layout, width, height, {
+      highlightCladeId: this.highlightedCladeId,
+    });
+    this.#updateCladeStreamStatus();
+  }
+
+  #updateCladeStreamStatus() {
+    if (!this.cladeStreamStatus) return;
+
+    const layout = this._cladeStreamLayout;
+    const columns = layout?.columns?.length ?? 0;
+
+    if (Number.isInteger(this.highlightedCladeId)) {
+      const latest = columns > 0 ? layout.columns[columns - 1] : null;
+      const index = layout?.bands.findIndex(
+        ({ cladeId }) => cladeId === this.highlightedCladeId,
+      );
+      const share = latest && index >= 0 ? latest[index + 1] - latest[index] : 0;
+
+      this.cladeStreamStatus.textContent = `Highlighting clade #${this.highlightedCladeId} (${Math.round(share * 100)}% of the population). Click it again to clear.`;
+    } else {
+      this.cladeStreamStatus.textContent =
+        columns > 1
+          ? `Tracking ${layout.bands.length - 1} leading clades.`
+          : "No clade history yet.";
+    }
+  }
+
+  #handleCladeStreamClick(event) {
+    const rect = this.cladeStreamCanvas?.getBoundingClientRect?.();
+
+    if (!rect || !(rect.width > 0) || !(rect.height > 0)) return;
+
+    const cladeId = findCladeAt(
+      this._cladeStreamLayout,
+      (Number(event?.clientX) - rect.left) / rect.width,
+      (Number(event?.clientY) - rect.top) / rect.height,
+    );
+
+    this.setHighlightedClade(cladeId === this.highlightedCladeId ? null : cladeId);
+  }
+
+  /**
+   * Highlights a founding clade in the stream chart and, through the
+   * `highlightClade` action, outlines its living members on the canvas.
+   *
+   * @param {number|null} cladeId - Clade to highlight, or `null` to clear.
+   */
+  setHighlightedClade(cladeId) {
+    this.highlightedCladeId = Number.isInteger(cladeId) ? cladeId : null;
+
+    if (typeof this.actions.highlightClade === "function") {
+      invokeWithErrorBoundary(this.actions.highlightClade, [this.highlightedCladeId], {
+        thisArg: this.actions,
+        message: WARNINGS.highlightClade,
+        reporter: warnOnce,
+        once: true,
+      });
+    }
+
+    if (this._cladeStreamLayout && this.cladeStreamCanvas) {
+      const ctx = this.cladeStreamCanvas.getContext?.("2d");
+      const { width, height } = this.#prepareSparklineCanvas(
+        this.cladeStreamCanvas,
+        ctx,
+      );
+
+      drawCladeStream(ctx, this._cladeStreamLayout, width, height, {
+        highlightCladeId: this.highlightedCladeId,
+      });
+    }
+
+    this.#updateCladeStreamStatus();
+  }
+
   #buildLifeEventsPanel() {
     const { panel, body } = this.#createPanel("Life Event Log", {
       collapsed: true,
@@ -5892,6 +7961,329 @@ export default class UIManager {
     return panel;
   }
 
+  #buildCellInspectorPanel() {
+    const { panel, body } = this.#createPanel("Cell Inspector", {
+      onToggle: (expanded) => {
+        if (expanded) {
+          this.#flushPendingCellInspector();
+        }
+      },
+    });
+
+    panel.classList.add("cell-inspector-panel");
+
+    this.cellInspectorStatus = document.createElement("p");
+    this.cellInspectorStatus.className = "control-hint cell-inspector__status";
+    this.cellInspectorStatus.setAttribute("role", "status");
+    this.cellInspectorStatus.setAttribute("aria-live", "polite");
+    this.cellInspectorStatus.textContent = this.#canInspectCells()
+      ? "Click an organism on the grid to inspect it."
+      : "Cell inspection is unavailable while the simulation runs in a worker.";
+    body.appendChild(this.cellInspectorStatus);
+
+    this.cellInspectorBody = body;
+    this.cellInspectorContent = null;
+
+    return panel;
+  }
+
+  #canInspectCells() {
+    return typeof this.actions?.getCellAt === "function";
+  }
+
+  #callInspectorAction(name, args = []) {
+    const action = this.actions?.[name];
+
+    if (typeof action !== "function") return undefined;
+
+    return invokeWithErrorBoundary(action, args, {
+      thisArg: this.actions,
+      message: WARNINGS.inspectorAction(name),
+      reporter: warnOnce,
+      once: true,
+    });
+  }
+
+  #flushPendingCellInspector() {
+    if (!this._pendingCellInspectorRefresh) return;
+
+    this._pendingCellInspectorRefresh = false;
+    this.#renderCellInspector();
+  }
+
+  #replaceCellInspectorContent() {
+    this.cellInspectorContent?.remove?.();
+    this.cellInspectorContent = null;
+    this._cellInspectorView = null;
+
+    if (!this.cellInspectorBody) return null;
+
+    const content = document.createElement("div");
+
+    content.className = "cell-inspector__content";
+    this.cellInspectorBody.appendChild(content);
+    this.cellInspectorContent = content;
+
+    return content;
+  }
+
+  #appendInspectorSection(container, title) {
+    const section = document.createElement("section");
+
+    section.className = "metrics-section cell-inspector__section";
+
+    const heading = document.createElement("h4");
+
+    heading.className = "metrics-section-title";
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    const body = document.createElement("div");
+
+    body.className = "metrics-section-body";
+    section.appendChild(body);
+    container.appendChild(section);
+
+    return body;
+  }
+
+  #renderCellInspector() {
+    const cell = this._inspectedCell;
+
+    if (!cell || !this.cellInspectorStatus) return;
+
+    const located = this.#callInspectorAction("locateCell", [cell]);
+    let deathRecord = null;
+
+    if (located) {
+      this._inspectedPosition = { row: located.row, col: located.col };
+    } else if (typeof this.actions?.locateCell === "function") {
+      deathRecord = this.#callInspectorAction("getDeathRecord", [cell]) ?? {
+        cause: "unknown",
+        row: this._inspectedPosition?.row,
+        col: this._inspectedPosition?.col,
+        tick: null,
+      };
+    }
+
+    const details = describeCellForInspector(cell, {
+      position: located ?? this._inspectedPosition,
+      deathRecord,
+    });
+
+    if (!details) return;
+
+    const { position } = details;
+    const where = position ? ` at row ${position.row}, col ${position.col}` : "";
+    const deceased = details.status === "deceased";
+
+    if (deceased) {
+      const cause = this.#formatLifeEventCause({ cause: details.deathCause });
+      const when = formatIfFinite(details.deathTick, (tick) => ` on tick ${tick}`, "");
+
+      this.cellInspectorStatus.textContent = `Deceased${where} — ${cause}${when}.`;
+    } else {
+      this.cellInspectorStatus.textContent = `Following organism${where}.`;
+    }
+    this.cellInspectorStatus.classList.toggle(
+      "cell-inspector__status--deceased",
+      deceased,
+    );
+
+    const fixed = (value, digits = 2) =>
+      formatIfFinite(value, (v) => v.toFixed(digits), "—");
+    const percent = (value) =>
+      formatIfFinite(value, (v) => `${(v * 100).toFixed(0)}%`, "—");
+    const sections = [];
+    const addSection = (title) => {
+      const rows = [];
+
+      sections.push({ title, rows });
+
+      return rows;
+    };
+
+    const vitals = addSection("Vitals");
+
+    vitals.push({
+      label: "Status",
+      value: deceased ? "Deceased" : "Alive",
+      color: details.color,
+    });
+    if (details.id !== null) {
+      const parents =
+        details.parentIds.length > 0
+          ? `Parents ${details.parentIds.map((id) => `#${id}`).join(", ")}`
+          : "Founder";
+
+      vitals.push({
+        label: "Lineage",
+        value: `#${details.id} · gen ${fixed(details.generation, 0)} · clade #${details.cladeId ?? details.id}`,
+        title: parents,
+      });
+    }
+    vitals.push({ label: "Energy", value: fixed(details.energy) });
+    vitals.push({
+      label: "Age / lifespan",
+      value: `${fixed(details.age, 0)} / ${fixed(details.lifespan, 0)}`,
+    });
+    vitals.push({
+      label: "Reproduction cooldown",
+      value: fixed(details.reproductionCooldown, 0),
+    });
+
+    const traits = addSection("DNA Traits");
+
+    details.dnaTraits.forEach(({ label, value }) => {
+      traits.push({ label, value: fixed(value, 3) });
+    });
+
+    details.dnaProfiles.forEach(({ label, entries }) => {
+      if (entries.length === 0) return;
+
+      const profile = addSection(label);
+
+      entries.forEach(({ key, value }) => {
+        profile.push({ label: key, value: fixed(value, 3) });
+      });
+    });
+
+    const decisions = addSection("Recent Decisions");
+
+    if (details.decisions.length === 0) {
+      decisions.push({ label: "No decisions recorded yet." });
+    }
+
+    details.decisions.forEach((record) => {
+      const actions = record.decisions
+        .filter((decision) => decision.action)
+        .map((decision) => `${decision.group}: ${decision.action}`)
+        .join(", ");
+
+      decisions.push({
+        label: formatIfFinite(record.tick, (tick) => `Tick ${tick}`, "Tick —"),
+        value: actions || "—",
+        title: `Energy ${fixed(record.energyBefore)} → ${fixed(record.energyAfter)}`,
+      });
+    });
+
+    if (details.sensors.length > 0) {
+      const sensors = addSection("Sensors");
+
+      details.sensors.forEach(({ key, value }) => {
+        sensors.push({ label: key, value: fixed(value, 3) });
+      });
+    }
+
+    details.outputGroups.forEach(({ group, entries }) => {
+      const outputs = addSection(`Outputs · ${group}`);
+
+      entries.forEach(({ label, probability }) => {
+        outputs.push({ label, value: percent(probability) });
+      });
+    });
+
+    this.#renderCellInspectorSections(cell, sections);
+  }
+
+  // Refreshes run every tick, so while the followed organism's sections keep
+  // their shape only the row text is rewritten; the panel is rebuilt when a
+  // section or row appears or goes away.
+  #renderCellInspectorSections(cell, sections) {
+    const layout = sections
+      .map(({ title, rows }) => `${title}:${rows.length}`)
+      .join("|");
+    const view = this._cellInspectorView;
+
+    if (view?.cell === cell && view.layout === layout && this.cellInspectorContent) {
+      sections
+        .flatMap(({ rows }) => rows)
+        .forEach(({ label, value, title }, index) => {
+          const { row, labelEl, valueEl } = view.rows[index];
+
+          labelEl.textContent = label;
+          valueEl.textContent = value ?? "";
+          row.title = title ?? "";
+        });
+
+      return;
+    }
+
+    const content = this.#replaceCellInspectorContent();
+
+    if (!content) return;
+
+    const rows = [];
+
+    sections.forEach(({ title, rows: specs }) => {
+      const body = this.#appendInspectorSection(content, title);
+
+      specs.forEach((spec) => {
+        const row = this.#appendControlRow(body, spec);
+        const [nameEl, valueEl] = row.children;
+
+        rows.push({
+          row,
+          labelEl: nameEl.children[nameEl.children.length - 1],
+          valueEl,
+        });
+      });
+    });
+
+    this._cellInspectorView = { cell, layout, rows };
+  }
+
+  /**
+   * Selects the organism occupying the given tile and renders its details in
+   * the Cell Inspector panel. Subsequent {@link refreshCellInspector} calls
+   * follow the same organism as it moves until it dies.
+   *
+   * @param {number} row - Grid row of the tile to inspect.
+   * @param {number} col - Grid column of the tile to inspect.
+   * @returns {Object|null} The inspected cell, or `null` for an empty tile or
+   *   when the engine offers no cell lookups (worker-backed runs).
+   */
+  inspectCell(row, col) {
+    if (!this.#canInspectCells()) return null;
+
+    const cell = this.#callInspectorAction("getCellAt", [row, col]) ?? null;
+
+    this._inspectedCell = cell;
+    this._inspectedPosition = cell ? { row, col } : null;
+    this._pendingCellInspectorRefresh = false;
+
+    if (!cell) {
+      this.#replaceCellInspectorContent();
+      if (this.cellInspectorStatus) {
+        this.cellInspectorStatus.textContent = `No organism at row ${row}, col ${col}.`;
+        this.cellInspectorStatus.classList.remove("cell-inspector__status--deceased");
+      }
+
+      return null;
+    }
+
+    this.#renderCellInspector();
+
+    return cell;
+  }
+
+  refreshCellInspector() {
+    if (!this._inspectedCell) return;
+
+    if (this.#isPanelCollapsed(this.cellInspectorPanel)) {
+      this._pendingCellInspectorRefresh = true;
+
+      return;
+    }
+
+    this._pendingCellInspectorRefresh = false;
+    this.#renderCellInspector();
+  }
+
+  getInspectedCell() {
+    return this._inspectedCell ?? null;
+  }
+
   togglePause() {
     const toggler = this.simulationCallbacks?.togglePause;
     const nextPaused = typeof toggler === "function" ? toggler() : !this.paused;
@@ -6075,6 +8467,12 @@ export default class UIManager {
   getShowGridLines() {
     return this.showGridLines;
   }
+  getShowTerrain() {
+    return this.showTerrain;
+  }
+  getShowTrophicRoles() {
+    return this.showTrophicRoles;
+  }
 
   getLifeEventFadeTicks() {
     return this.lifeEventFadeTicks;
@@ -6128,6 +8526,14 @@ export default class UIManager {
     this.#applyOverlayToggle("showGridLines", value, options);
   }
 
+  setShowTerrain(value, options) {
+    this.#applyOverlayToggle("showTerrain", value, options);
+  }
+
+  setShowTrophicRoles(value, options) {
+    this.#applyOverlayToggle("showTrophicRoles", value, options);
+  }
+
   setLifeEventFadeTicks(value, { notify = true } = {}) {
     const { value: sanitized, bounds } = clampSliderValue("lifeEventFadeTicks", value, {
       fallback: this.lifeEventFadeTicks,
@@ -6246,6 +8652,28 @@ export default class UIManager {
     this.#applySliderSetting("leaderboardIntervalMs", value, { notify });
   }
 
+  setFastForward(enabled, { notify = true } = {}) {
+    const next = coerceBoolean(enabled, this.fastForward);
+    const changed = this.fastForward !== next;
+
+    this.fastForward = next;
+    if (this.fastForwardCheckbox) {
+      this.fastForwardCheckbox.checked = next;
+    }
+
+    if (changed && notify) {
+      this.#notifySettingChange("fastForward", next);
+    }
+  }
+
+  setFastForwardBudgetMs(value, { notify = true } = {}) {
+    this.#applySliderSetting("fastForwardBudgetMs", value, { notify });
+  }
+
+  setRewindMemoryMiB(value, { notify = true } = {}) {
+    this.#applySliderSetting("rewindMemoryMiB", value, { notify });
+  }
+
   setCombatEdgeSharpness(value, { notify = true } = {}) {
     this.#applySliderSetting("combatEdgeSharpness", value, {
       notify,
@@ -6586,6 +9014,12 @@ export default class UIManager {
 
   renderMetrics(stats, snapshot, environment = {}) {
     this.renderLifeEvents(stats, snapshot);
+    if (environment && "scenario" in environment) {
+      this.#renderScenarioTimeline(environment.scenario);
+    }
+    if (Array.isArray(environment?.activeEvents)) {
+      this.#renderActiveEventList(environment.activeEvents);
+    }
 
     const snapshotData = snapshot && typeof snapshot === "object" ? snapshot : {};
     const insightSnapshot = { ...snapshotData };
@@ -6824,6 +9258,21 @@ export default class UIManager {
       title: cadenceTitle,
     });
 
+    const climate = environment?.climate;
+
+    if (climate && typeof climate.seasonLabel === "string") {
+      appendMetricRow(clockSection, {
+        label: "Season",
+        value: `${climate.seasonLabel} (${percentOrDash(climate.seasonProgress)} through)`,
+        title: `Climate clock season. Regeneration is at ${climate.regenMultiplier.toFixed(2)}× and diffusion at ${climate.diffusionMultiplier.toFixed(2)}× of their base rates; event odds follow the season.`,
+      });
+      appendMetricRow(clockSection, {
+        label: "Daylight",
+        value: percentOrDash(climate.daylight),
+        title: "Position in the day/night cycle: 0% at midnight, 100% at noon.",
+      });
+    }
+
     const populationSection = createSection("Population Snapshot", {
       accent: "var(--color-metric-population)",
     });
@@ -7448,6 +9897,8 @@ export default class UIManager {
       );
     }
 
+    this.#renderCladeStream(stats);
+
     if (Array.isArray(this.traitSparkDescriptors)) {
       this.traitSparkDescriptors.forEach(
         ({ property, traitKey, traitType, colorVar, fallbackColor }) => {
@@ -369,14 +369,17 @@ export function toFiniteOrNull(value) {
 
 /**
  * Internal Mulberry32 generator used to create deterministic RNG instances.
+ * The returned function carries `getState`/`setState` helpers so world
+ * snapshots can capture and resume the exact position in the stream.
  *
  * @param {number} seed - Unsigned 32-bit integer used to seed the generator.
- * @returns {() => number} Deterministic function producing values in [0, 1).
+ * @returns {(() => number) & {getState: () => number, setState: (state: number) => void}}
+ *   Deterministic function producing values in [0, 1).
  */
 function mulberry32(seed) {
   let a = seed >>> 0;
 
-  return () => {
+  const next = () => {
     a += 0x6d2b79f5;
     let t = a;
 
@@ -385,15 +388,75 @@ function mulberry32(seed) {
 
     return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
+
+  next.getState = () => a >>> 0;
+  next.setState = (state) => {
+    if (Number.isFinite(state)) {
+      a = state >>> 0;
+    }
+  };
+
+  return next;
 }
 
 /**
  * Returns a deterministic RNG seeded with the provided integer using the
- * Mulberry32 algorithm. Useful for reproducible tests.
+ * Mulberry32 algorithm. Useful for reproducible tests. The generator exposes
+ * `getState()`/`setState(state)` so callers can checkpoint and restore it.
  *
  * @param {number} seed - 32-bit seed value.
- * @returns {() => number} RNG that returns values in [0, 1).
+ * @returns {(() => number) & {getState: () => number, setState: (state: number) => void}}
+ *   RNG that returns values in [0, 1).
  */
 export function createRNG(seed) {
   return mulberry32(seed);
 }
+
+/**
+ * Named random streams derived from a single simulation seed. Each subsystem
+ * draws from its own stream so tuning one (for example stats sampling) never
+ * shifts the sequence another subsystem observes.
+ */
+export const RNG_STREAM_NAMES = Object.freeze(["grid", "events", "stats", "breeding"]);
+
+/**
+ * Mixes a stream label into a base seed with FNV-1a so sibling streams start
+ * from unrelated positions. String seeds are hashed first, which lets callers
+ * share human-friendly seeds such as `"baseline-a"`.
+ *
+ * @param {number|string} seed - Base simulation seed.
+ * @param {string} name - Stream label.
+ * @returns {number} Unsigned 32-bit seed for {@link createRNG}.
+ */
+export function deriveStreamSeed(seed, name) {
+  let hash = 2166136261;
+  const mix = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+  };
+
+  mix(typeof seed === "string" ? seed : String(Math.trunc(Number(seed)) >>> 0));
+  mix(":");
+  mix(String(name ?? ""));
+
+  return hash >>> 0;
+}
+
+/**
+ * Creates one deterministic RNG per stream name from a shared seed.
+ *
+ * @param {number|string} seed - Base simulation seed.
+ * @param {ReadonlyArray<string>} [names=RNG_STREAM_NAMES] - Streams to derive.
+ * @returns {Record<string, ReturnType<typeof createRNG>>} Streams keyed by name.
+ */
+export function createRngStreams(seed, names = RNG_STREAM_NAMES) {
+  const streams = {};
+
+  for (const name of names) {
+    streams[name] = createRNG(deriveStreamSeed(seed, name));
+  }
+
+  return streams;
+}
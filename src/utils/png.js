@@ -0,0 +1,361 @@
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const CHANNELS_BY_COLOR_TYPE = Object.freeze({ 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 });
+
+// Largest payload of one stored (uncompressed) deflate block.
+const STORED_BLOCK_LIMIT = 0xffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+
+  for (let index = 0; index < bytes.length; index += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+
+  for (let index = 0; index < bytes.length; index += 1) {
+    a = (a + bytes[index]) % 65521;
+    b = (b + a) % 65521;
+  }
+
+  return ((b << 16) | a) >>> 0;
+}
+
+function writeUint32(bytes, offset, value) {
+  bytes[offset] = (value >>> 24) & 0xff;
+  bytes[offset + 1] = (value >>> 16) & 0xff;
+  bytes[offset + 2] = (value >>> 8) & 0xff;
+  bytes[offset + 3] = value & 0xff;
+}
+
+// Wraps `data` in a zlib stream of stored deflate blocks, for callers without
+// a compressor. The output is valid PNG data, just not smaller.
+function storeZlib(data) {
+  const blocks = Math.max(1, Math.ceil(data.length / STORED_BLOCK_LIMIT));
+  const out = new Uint8Array(2 + blocks * 5 + data.length + 4);
+  let offset = 2;
+
+  out[0] = 0x78;
+  out[1] = 0x01;
+
+  for (let block = 0; block < blocks; block += 1) {
+    const start = block * STORED_BLOCK_LIMIT;
+    const length = Math.min(STORED_BLOCK_LIMIT, data.length - start);
+
+    out[offset] = block === blocks - 1 ? 1 : 0;
+    out[offset + 1] = length & 0xff;
+    out[offset + 2] = length >>> 8;
+    out[offset + 3] = ~length & 0xff;
+    out[offset + 4] = (~length >>> 8) & 0xff;
+    out.set(data.subarray(start, start + length), offset + 5);
+    offset += 5 + length;
+  }
+
+  writeUint32(out, offset, adler32(data));
+
+  return out;
+}
+
+function readUint32(bytes, offset) {
+  return (
+    ((bytes[offset] << 24) |
+      (bytes[offset + 1] << 16) |
+      (bytes[offset + 2] << 8) |
+      bytes[offset + 3]) >>>
+    0
+  );
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+function unfilterScanlines(inflated, height, stride, bytesPerPixel) {
+  const pixels = new Uint8Array(height * stride);
+
+  for (let row = 0; row < height; row += 1) {
+    const filter = inflated[row * (stride + 1)];
+    const source = row * (stride + 1) + 1;
+    const target = row * stride;
+
+    for (let index = 0; index < stride; index += 1) {
+      const raw = inflated[source + index];
+      const left = index >= bytesPerPixel ? pixels[target + index - bytesPerPixel] : 0;
+      const up = row > 0 ? pixels[target - stride + index] : 0;
+      const upLeft =
+        row > 0 && index >= bytesPerPixel
+          ? pixels[target - stride + index - bytesPerPixel]
+          : 0;
+      let predicted;
+
+      switch (filter) {
+        case 0:
+          predicted = 0;
+          break;
+        case 1:
+          predicted = left;
+          break;
+        case 2:
+          predicted = up;
+          break;
+        case 3:
+          predicted = (left + up) >> 1;
+          break;
+        case 4:
+          predicted = paeth(left, up, upLeft);
+          break;
+        default:
+          throw new RangeError(`Unsupported PNG filter type ${filter}.`);
+      }
+
+      pixels[target + index] = (raw + predicted) & 0xff;
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Decodes a non-interlaced 8-bit PNG (greyscale, RGB, palette, or with alpha)
+ * into RGBA pixels. Decompression is injected so the decoder stays free of
+ * platform APIs: pass `zlib.inflateSync` in Node.
+ *
+ * @param {Uint8Array} bytes - PNG file contents.
+ * @param {{inflate: (data: Uint8Array) => Uint8Array}} options
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function decodePng(bytes, { inflate }) {
+  if (typeof inflate !== "function") {
+    throw new TypeError("decodePng requires an inflate function.");
+  }
+  if (!(bytes instanceof Uint8Array) || bytes.length < PNG_SIGNATURE.length) {
+    throw new TypeError("Expected PNG bytes.");
+  }
+  if (PNG_SIGNATURE.some((value, index) => bytes[index] !== value)) {
+    throw new TypeError("Missing PNG signature.");
+  }
+
+  let offset = PNG_SIGNATURE.length;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const compressed = [];
+
+  while (offset + 8 <= bytes.length) {
+    const length = readUint32(bytes, offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+
+    offset += 12 + length;
+
+    if (type === "IHDR") {
+      header = {
+        width: readUint32(chunk, 0),
+        height: readUint32(chunk, 4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      transparency = chunk;
+    } else if (type === "IDAT") {
+      compressed.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (!header) throw new TypeError("PNG is missing its IHDR chunk.");
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS_BY_COLOR_TYPE[colorType];
+
+  if (!channels || bitDepth !== 8 || interlace !== 0) {
+    throw new RangeError(
+      "Only non-interlaced 8-bit PNGs are supported; re-export the image without interlacing.",
+    );
+  }
+  if (colorType === 3 && !palette)
+    throw new TypeError("Palette PNG has no PLTE chunk.");
+
+  const joined = new Uint8Array(compressed.reduce((sum, part) => sum + part.length, 0));
+
+  compressed.reduce((position, part) => {
+    joined.set(part, position);
+
+    return position + part.length;
+  }, 0);
+
+  const stride = width * channels;
+  const pixels = unfilterScanlines(inflate(joined), height, stride, channels);
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let pixel = 0; pixel < width * height; pixel += 1) {
+    const source = pixel * channels;
+    const target = pixel * 4;
+
+    switch (colorType) {
+      case 0:
+      case 4:
+        data[target] = data[target + 1] = data[target + 2] = pixels[source];
+        data[target + 3] = colorType === 4 ? pixels[source + 1] : 255;
+        break;
+      case 2:
+      case 6:
+        data[target] = pixels[source];
+        data[target + 1] = pixels[source + 1];
+        data[target + 2] = pixels[source + 2];
+        data[target + 3] = colorType === 6 ? pixels[source + 3] : 255;
+        break;
+      case 3: {
+        const entry = pixels[source];
+
+        data[target] = palette[entry * 3];
+        data[target + 1] = palette[entry * 3 + 1];
+        data[target + 2] = palette[entry * 3 + 2];
+        data[target + 3] = transparency?.[entry] ?? 255;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return { width, height, data };
+}
+
+// Filters each scanline with whichever of None, Sub, or Up leaves the smallest
+// sum of residuals, the usual heuristic for choosing PNG filters.
+function filterScanlines(pixels, height, stride) {
+  const out = new Uint8Array(height * (stride + 1));
+  const candidates = [0, 1, 2].map(() => new Uint8Array(stride));
+
+  for (let row = 0; row < height; row += 1) {
+    const line = row * stride;
+    let best = 0;
+    let bestScore = Infinity;
+
+    candidates.forEach((candidate, filter) => {
+      let score = 0;
+
+      for (let index = 0; index < stride; index += 1) {
+        const raw = pixels[line + index];
+        const predicted =
+          filter === 1
+            ? index >= 4
+              ? pixels[line + index - 4]
+              : 0
+            : filter === 2 && row > 0
+              ? pixels[line - stride + index]
+              : 0;
+        const residual = (raw - predicted) & 0xff;
+
+        candidate[index] = residual;
+        score += residual < 128 ? residual : 256 - residual;
+      }
+
+      if (score < bestScore) {
+        bestScore = score;
+        best = filter;
+      }
+    });
+
+    out[row * (stride + 1)] = best;
+    out.set(candidates[best], row * (stride + 1) + 1);
+  }
+
+  return out;
+}
+
+function createChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+
+  writeUint32(chunk, 0, data.length);
+  for (let index = 0; index < 4; index += 1) chunk[4 + index] = type.charCodeAt(index);
+  chunk.set(data, 8);
+  writeUint32(chunk, 8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+  return chunk;
+}
+
+/**
+ * Encodes RGBA pixels as a non-interlaced 8-bit RGBA PNG. Compression is
+ * injected like {@link decodePng}'s decompression: pass `zlib.deflateSync` in
+ * Node. Without it the image data is stored uncompressed, which every PNG
+ * reader accepts.
+ *
+ * @param {{width: number, height: number, data: Uint8Array|Uint8ClampedArray}} image
+ *   Row-major RGBA pixels, e.g. an `ImageData`.
+ * @param {{deflate?: (data: Uint8Array) => Uint8Array}} [options]
+ * @returns {Uint8Array} PNG file contents.
+ */
+export function encodePng({ width, height, data }, { deflate } = {}) {
+  if (
+    !Number.isInteger(width) ||
+    !Number.isInteger(height) ||
+    width < 1 ||
+    height < 1
+  ) {
+    throw new RangeError("encodePng expects positive integer dimensions.");
+  }
+  if (!data || data.length !== width * height * 4) {
+    throw new TypeError("encodePng expects width × height × 4 RGBA bytes.");
+  }
+
+  const header = new Uint8Array(13);
+
+  writeUint32(header, 0, width);
+  writeUint32(header, 4, height);
+  header[8] = 8;
+  header[9] = 6;
+
+  const filtered = filterScanlines(data, height, width * 4);
+  const compressed =
+    typeof deflate === "function"
+      ? new Uint8Array(deflate(filtered))
+      : storeZlib(filtered);
+  const chunks = [
+    Uint8Array.from(PNG_SIGNATURE),
+    createChunk("IHDR", header),
+    createChunk("IDAT", compressed),
+    createChunk("IEND", new Uint8Array(0)),
+  ];
+  const out = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+
+  chunks.reduce((position, chunk) => {
+    out.set(chunk, position);
+
+    return position + chunk.length;
+  }, 0);
+
+  return out;
+}
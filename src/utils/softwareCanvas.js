@@ -0,0 +1,840 @@
+import { EMPTY_COLOR_RECORD, resolveColorRecord } from "./colorRecords.js";
+import { clamp } from "./math.js";
+import { encodePng } from "./png.js";
+
+/**
+ * Pure-JS raster target for headless runs. {@link SoftwareCanvas} implements
+ * the slice of the 2D canvas API that the grid renderer and the heatmap
+ * overlays draw with — rectangles, paths, arcs, linear gradients, image copies,
+ * and transforms — into an RGBA buffer that {@link SoftwareCanvas#toPng} can
+ * encode. Coverage is sampled at pixel centres without anti-aliasing, which is
+ * exact for the tile-aligned rectangles that make up most frames.
+ *
+ * Text is measured but not rasterised, so overlay legends render as their
+ * backing panels only.
+ */
+
+// Segments per full turn when flattening arcs, and per quadratic curve.
+const ARC_SEGMENTS = 48;
+const CURVE_SEGMENTS = 8;
+const DEFAULT_FONT_SIZE = 10;
+const IDENTITY = Object.freeze([1, 0, 0, 1, 0, 0]);
+const TRANSPARENT = Object.freeze([0, 0, 0, 0]);
+
+const HSL_PATTERN =
+  /^hsla?\(\s*(-?[\d.]+)(?:deg)?\s*[,\s]\s*([\d.]+)%\s*[,\s]\s*([\d.]+)%\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/i;
+
+const colorCache = new Map();
+
+function hslToRgb(hue, saturation, lightness) {
+  const h = (((hue % 360) + 360) % 360) / 360;
+  const s = clamp(saturation / 100, 0, 1);
+  const l = clamp(lightness / 100, 0, 1);
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (offset) => {
+    let t = h + offset;
+
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+
+    return p;
+  };
+
+  return [channel(1 / 3), channel(0), channel(-1 / 3)].map((value) =>
+    Math.round(value * 255),
+  );
+}
+
+/**
+ * Parses the colour strings the renderers emit: hex, `rgb[a]()`, `hsl[a]()`,
+ * and `transparent`.
+ *
+ * @param {string} color
+ * @returns {number[]|null} `[r, g, b, a]` with 0–255 channels, or `null`.
+ */
+function parseColor(color) {
+  if (typeof color !== "string") return null;
+
+  const key = color.trim().toLowerCase();
+  const cached = colorCache.get(key);
+
+  if (cached !== undefined) return cached;
+
+  let rgba = null;
+  const hsl = HSL_PATTERN.exec(key);
+
+  if (key === "transparent") {
+    rgba = TRANSPARENT;
+  } else if (hsl) {
+    const alpha = hsl[4] === undefined ? 1 : Number.parseFloat(hsl[4]);
+    const scaledAlpha = hsl[4]?.endsWith("%") ? alpha / 100 : alpha;
+
+    rgba = [
+      ...hslToRgb(Number(hsl[1]), Number(hsl[2]), Number(hsl[3])),
+      Math.round(clamp(scaledAlpha, 0, 1) * 255),
+    ];
+  } else {
+    const record = resolveColorRecord(key);
+
+    rgba = record === EMPTY_COLOR_RECORD ? null : record.rgba;
+  }
+
+  if (colorCache.size > 4096) colorCache.clear();
+  colorCache.set(key, rgba);
+
+  return rgba;
+}
+
+function multiply(m, [a, b, c, d, e, f]) {
+  return [
+    m[0] * a + m[2] * b,
+    m[1] * a + m[3] * b,
+    m[0] * c + m[2] * d,
+    m[1] * c + m[3] * d,
+    m[0] * e + m[2] * f + m[4],
+    m[1] * e + m[3] * f + m[5],
+  ];
+}
+
+const apply = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+// First pixel whose centre lies at or after `edge`.
+const firstPixel = (edge) => Math.ceil(edge - 0.5);
+
+function signedArea(points) {
+  let area = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[(i + 1) % points.length];
+
+    area += x0 * y1 - x1 * y0;
+  }
+
+  return area / 2;
+}
+
+class SoftwareGradient {
+  constructor(x0, y0, x1, y1) {
+    this.x0 = x0;
+    this.y0 = y0;
+    this.x1 = x1;
+    this.y1 = y1;
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    const rgba = parseColor(color);
+
+    if (!(offset >= 0 && offset <= 1)) {
+      throw new RangeError("Gradient stop offsets must be between 0 and 1.");
+    }
+    if (!rgba) throw new SyntaxError(`Unsupported gradient colour: ${color}`);
+
+    this.stops.push({ offset, rgba });
+    this.stops.sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * @param {number[]} matrix - Transform in effect when the paint is used.
+   * @returns {(x: number, y: number) => number[]} Device-space sampler.
+   */
+  sampler(matrix) {
+    const [x0, y0] = apply(matrix, this.x0, this.y0);
+    const [x1, y1] = apply(matrix, this.x1, this.y1);
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const length = dx * dx + dy * dy;
+    const { stops } = this;
+
+    return (x, y) => {
+      if (stops.length === 0) return TRANSPARENT;
+
+      const t = length > 0 ? ((x - x0) * dx + (y - y0) * dy) / length : 0;
+
+      if (t <= stops[0].offset) return stops[0].rgba;
+
+      for (let i = 1; i < stops.length; i++) {
+        const next = stops[i];
+
+        if (t <= next.offset) {
+          const prev = stops[i - 1];
+          const span = next.offset - prev.offset;
+          const w = span > 0 ? (t - prev.offset) / span : 1;
+
+          return prev.rgba.map((value, c) => value + (next.rgba[c] - value) * w);
+        }
+      }
+
+      return stops[stops.length - 1].rgba;
+    };
+  }
+}
+
+class SoftwareContext2D {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this._stack = [];
+    this._subpaths = [];
+    this._current = null;
+    this._lineDash = [];
+    this._reset();
+  }
+
+  _reset() {
+    this._fill = [0, 0, 0, 255];
+    this._stroke = [0, 0, 0, 255];
+    this._fillStyle = "#000000";
+    this._strokeStyle = "#000000";
+    this._globalAlpha = 1;
+    this._lineWidth = 1;
+    this.lineCap = "butt";
+    this.lineJoin = "miter";
+    this.font = `${DEFAULT_FONT_SIZE}px sans-serif`;
+    this.textAlign = "start";
+    this.textBaseline = "alphabetic";
+    this.imageSmoothingEnabled = true;
+    this._matrix = IDENTITY.slice();
+    this._stack = [];
+    this._subpaths = [];
+    this._current = null;
+  }
+
+  get fillStyle() {
+    return this._fillStyle;
+  }
+
+  set fillStyle(value) {
+    const paint = this.#resolvePaint(value);
+
+    if (paint) {
+      this._fill = paint;
+      this._fillStyle = value;
+    }
+  }
+
+  get strokeStyle() {
+    return this._strokeStyle;
+  }
+
+  set strokeStyle(value) {
+    const paint = this.#resolvePaint(value);
+
+    if (paint) {
+      this._stroke = paint;
+      this._strokeStyle = value;
+    }
+  }
+
+  get globalAlpha() {
+    return this._globalAlpha;
+  }
+
+  set globalAlpha(value) {
+    if (Number.isFinite(value) && value >= 0 && value <= 1) this._globalAlpha = value;
+  }
+
+  get lineWidth() {
+    return this._lineWidth;
+  }
+
+  set lineWidth(value) {
+    if (Number.isFinite(value) && value > 0) this._lineWidth = value;
+  }
+
+  save() {
+    this._stack.push({
+      fill: this._fill,
+      stroke: this._stroke,
+      fillStyle: this._fillStyle,
+      strokeStyle: this._strokeStyle,
+      globalAlpha: this._globalAlpha,
+      lineWidth: this._lineWidth,
+      lineCap: this.lineCap,
+      lineJoin: this.lineJoin,
+      lineDash: this._lineDash,
+      font: this.font,
+      textAlign: this.textAlign,
+      textBaseline: this.textBaseline,
+      imageSmoothingEnabled: this.imageSmoothingEnabled,
+      matrix: this._matrix,
+    });
+  }
+
+  restore() {
+    const state = this._stack.pop();
+
+    if (!state) return;
+
+    this._fill = state.fill;
+    this._stroke = state.stroke;
+    this._fillStyle = state.fillStyle;
+    this._strokeStyle = state.strokeStyle;
+    this._globalAlpha = state.globalAlpha;
+    this._lineWidth = state.lineWidth;
+    this.lineCap = state.lineCap;
+    this.lineJoin = state.lineJoin;
+    this._lineDash = state.lineDash;
+    this.font = state.font;
+    this.textAlign = state.textAlign;
+    this.textBaseline = state.textBaseline;
+    this.imageSmoothingEnabled = state.imageSmoothingEnabled;
+    this._matrix = state.matrix;
+  }
+
+  setTransform(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+    const m =
+      typeof a === "object" && a !== null
+        ? [a.a, a.b, a.c, a.d, a.e, a.f]
+        : [a, b, c, d, e, f];
+
+    this._matrix = m.map((value) => (Number.isFinite(value) ? value : 0));
+  }
+
+  resetTransform() {
+    this._matrix = IDENTITY.slice();
+  }
+
+  transform(a, b, c, d, e, f) {
+    this._matrix = multiply(this._matrix, [a, b, c, d, e, f]);
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  setLineDash(segments) {
+    this._lineDash = Array.isArray(segments) ? segments.slice() : [];
+  }
+
+  getLineDash() {
+    return this._lineDash.slice();
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new SoftwareGradient(x0, y0, x1, y1);
+  }
+
+  createImageData(width, height) {
+    const source = typeof width === "object" && width !== null ? width : null;
+    const w = Math.max(1, Math.floor(source ? source.width : width) || 1);
+    const h = Math.max(1, Math.floor(source ? source.height : height) || 1);
+
+    return { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) };
+  }
+
+  getImageData(sx, sy, sw, sh) {
+    const image = this.createImageData(sw, sh);
+    const { width, height, pixels } = this.canvas;
+
+    for (let row = 0; row < image.height; row++) {
+      const y = Math.floor(sy) + row;
+
+      if (y < 0 || y >= height) continue;
+
+      for (let col = 0; col < image.width; col++) {
+        const x = Math.floor(sx) + col;
+
+        if (x < 0 || x >= width) continue;
+
+        const from = (y * width + x) * 4;
+
+        image.data.set(pixels.subarray(from, from + 4), (row * image.width + col) * 4);
+      }
+    }
+
+    return image;
+  }
+
+  putImageData(image, dx, dy, dirtyX = 0, dirtyY = 0, dirtyWidth, dirtyHeight) {
+    const { width, height, pixels } = this.canvas;
+    const x0 = Math.max(0, Math.floor(dirtyX));
+    const y0 = Math.max(0, Math.floor(dirtyY));
+    const x1 = Math.min(image.width, x0 + (dirtyWidth ?? image.width));
+    const y1 = Math.min(image.height, y0 + (dirtyHeight ?? image.height));
+
+    for (let row = y0; row < y1; row++) {
+      const y = Math.floor(dy) + row;
+
+      if (y < 0 || y >= height) continue;
+
+      for (let col = x0; col < x1; col++) {
+        const x = Math.floor(dx) + col;
+
+        if (x < 0 || x >= width) continue;
+
+        const from = (row * image.width + col) * 4;
+
+        pixels.set(image.data.subarray(from, from + 4), (y * width + x) * 4);
+      }
+    }
+  }
+
+  clearRect(x, y, width, height) {
+    const box = this.#deviceBounds(x, y, width, height);
+
+    if (!box) return;
+
+    for (let row = box.y0; row < box.y1; row++) {
+      const offset = row * this.canvas.width;
+
+      this.canvas.pixels.fill(0, (offset + box.x0) * 4, (offset + box.x1) * 4);
+    }
+  }
+
+  fillRect(x, y, width, height) {
+    const m = this._matrix;
+
+    if (m[1] !== 0 || m[2] !== 0) {
+      this.#fillPolygons([this.#rectPoints(x, y, width, height)], this._fill);
+
+      return;
+    }
+
+    const box = this.#deviceBounds(x, y, width, height);
+
+    if (box) this.#paintSpans(box, this._fill);
+  }
+
+  strokeRect(x, y, width, height) {
+    const points = this.#rectPoints(x, y, width, height);
+
+    this.#strokePolylines([{ points, closed: true }]);
+  }
+
+  beginPath() {
+    this._subpaths = [];
+    this._current = null;
+  }
+
+  moveTo(x, y) {
+    this._current = { points: [apply(this._matrix, x, y)], closed: false };
+    this._subpaths.push(this._current);
+  }
+
+  lineTo(x, y) {
+    if (!this._current) {
+      this.moveTo(x, y);
+
+      return;
+    }
+
+    this._current.points.push(apply(this._matrix, x, y));
+  }
+
+  closePath() {
+    if (!this._current) return;
+
+    const [start] = this._current.points;
+
+    this._current.closed = true;
+    this._current = { points: [start], closed: false };
+    this._subpaths.push(this._current);
+  }
+
+  rect(x, y, width, height) {
+    this._subpaths.push({
+      points: this.#rectPoints(x, y, width, height),
+      closed: true,
+    });
+    this._current = { points: [apply(this._matrix, x, y)], closed: false };
+    this._subpaths.push(this._current);
+  }
+
+  quadraticCurveTo(cpx, cpy, x, y) {
+    const inverse = this.#inverseMatrix();
+    const last = this._current?.points.at(-1);
+    const [sx, sy] = last && inverse ? apply(inverse, last[0], last[1]) : [cpx, cpy];
+
+    for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+      const t = i / CURVE_SEGMENTS;
+      const u = 1 - t;
+
+      this.lineTo(
+        u * u * sx + 2 * u * t * cpx + t * t * x,
+        u * u * sy + 2 * u * t * cpy + t * t * y,
+      );
+    }
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    if (!(radius >= 0)) throw new RangeError("Arc radius must be non-negative.");
+
+    let sweep = endAngle - startAngle;
+
+    if (!counterclockwise && sweep < 0) {
+      sweep = sweep <= -2 * Math.PI ? 2 * Math.PI : sweep + 2 * Math.PI;
+    } else if (counterclockwise && sweep > 0) {
+      sweep = sweep >= 2 * Math.PI ? -2 * Math.PI : sweep - 2 * Math.PI;
+    }
+    sweep = clamp(sweep, -2 * Math.PI, 2 * Math.PI);
+
+    const segments = Math.max(
+      4,
+      Math.ceil((ARC_SEGMENTS * Math.abs(sweep)) / (2 * Math.PI)),
+    );
+
+    for (let i = 0; i <= segments; i++) {
+      const angle = startAngle + (sweep * i) / segments;
+      const px = x + Math.cos(angle) * radius;
+      const py = y + Math.sin(angle) * radius;
+
+      if (i === 0 && !this._current) this.moveTo(px, py);
+      else this.lineTo(px, py);
+    }
+  }
+
+  fill() {
+    this.#fillPolygons(
+      this._subpaths
+        .filter((path) => path.points.length > 2)
+        .map((path) => path.points),
+      this._fill,
+    );
+  }
+
+  stroke() {
+    this.#strokePolylines(this._subpaths);
+  }
+
+  drawImage(image, ...args) {
+    const source = resolveImageSource(image);
+
+    if (!source) return;
+
+    let sx = 0;
+    let sy = 0;
+    let sw = source.width;
+    let sh = source.height;
+    let dx;
+    let dy;
+    let dw = source.width;
+    let dh = source.height;
+
+    if (args.length >= 8) [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+    else if (args.length >= 4) [dx, dy, dw, dh] = args;
+    else [dx, dy] = args;
+
+    const box = this.#deviceBounds(dx, dy, dw, dh);
+
+    if (!box || !(sw > 0) || !(sh > 0)) return;
+
+    const [ox, oy] = apply(this._matrix, dx, dy);
+    const [ex, ey] = apply(this._matrix, dx + dw, dy + dh);
+    const scaleX = sw / (ex - ox);
+    const scaleY = sh / (ey - oy);
+    const { data, width } = source;
+
+    this.#paintSpans(box, (px, py) => {
+      const u = Math.floor(sx + (px - ox) * scaleX);
+      const v = Math.floor(sy + (py - oy) * scaleY);
+
+      if (u < 0 || v < 0 || u >= source.width || v >= source.height) return TRANSPARENT;
+
+      const index = (v * width + u) * 4;
+
+      return [data[index], data[index + 1], data[index + 2], data[index + 3]];
+    });
+  }
+
+  measureText(text) {
+    const size = Number.parseFloat(/([\d.]+)px/.exec(this.font)?.[1]);
+
+    return {
+      width:
+        String(text ?? "").length *
+        (Number.isFinite(size) ? size : DEFAULT_FONT_SIZE) *
+        0.6,
+    };
+  }
+
+  fillText() {}
+
+  strokeText() {}
+
+  #resolvePaint(value) {
+    if (value instanceof SoftwareGradient) return value;
+
+    return parseColor(value);
+  }
+
+  #inverseMatrix() {
+    const [a, b, c, d, e, f] = this._matrix;
+    const det = a * d - b * c;
+
+    if (det === 0) return null;
+
+    return [
+      d / det,
+      -b / det,
+      -c / det,
+      a / det,
+      (c * f - d * e) / det,
+      (b * e - a * f) / det,
+    ];
+  }
+
+  #rectPoints(x, y, width, height) {
+    return [
+      apply(this._matrix, x, y),
+      apply(this._matrix, x + width, y),
+      apply(this._matrix, x + width, y + height),
+      apply(this._matrix, x, y + height),
+    ];
+  }
+
+  // Pixel box covered by a user-space rectangle, clipped to the canvas.
+  #deviceBounds(x, y, width, height) {
+    if (![x, y, width, height].every(Number.isFinite)) return null;
+
+    const points = this.#rectPoints(x, y, width, height);
+    const xs = points.map(([px]) => px);
+    const ys = points.map(([, py]) => py);
+    const box = {
+      x0: Math.max(0, firstPixel(Math.min(...xs))),
+      y0: Math.max(0, firstPixel(Math.min(...ys))),
+      x1: Math.min(this.canvas.width, firstPixel(Math.max(...xs))),
+      y1: Math.min(this.canvas.height, firstPixel(Math.max(...ys))),
+    };
+
+    return box.x1 > box.x0 && box.y1 > box.y0 ? box : null;
+  }
+
+  #paintSpans(box, paint) {
+    for (let row = box.y0; row < box.y1; row++) {
+      this.#blendSpan(row, box.x0, box.x1, paint);
+    }
+  }
+
+  #blendSpan(row, x0, x1, paint) {
+    const { pixels, width } = this.canvas;
+    const alpha = this._globalAlpha;
+    const sample =
+      typeof paint === "function"
+        ? paint
+        : paint instanceof SoftwareGradient
+          ? paint.sampler(this._matrix)
+          : null;
+
+    for (let x = x0; x < x1; x++) {
+      const color = sample ? sample(x + 0.5, row + 0.5) : paint;
+      const sa = (color[3] / 255) * alpha;
+
+      if (sa <= 0) continue;
+
+      const index = (row * width + x) * 4;
+
+      if (sa >= 1) {
+        pixels[index] = color[0];
+        pixels[index + 1] = color[1];
+        pixels[index + 2] = color[2];
+        pixels[index + 3] = 255;
+        continue;
+      }
+
+      const da = pixels[index + 3] / 255;
+      const keep = da * (1 - sa);
+      const outA = sa + keep;
+
+      for (let c = 0; c < 3; c++) {
+        pixels[index + c] = (color[c] * sa + pixels[index + c] * keep) / outA;
+      }
+      pixels[index + 3] = outA * 255;
+    }
+  }
+
+  // Non-zero winding scanline fill over every polygon at once, so overlapping
+  // polygons blend a translucent paint only once.
+  #fillPolygons(polygons, paint) {
+    const edges = [];
+    let minY = Infinity;
+    let maxY = -Infinity;
+
+    for (const points of polygons) {
+      for (let i = 0; i < points.length; i++) {
+        const [x0, y0] = points[i];
+        const [x1, y1] = points[(i + 1) % points.length];
+
+        if (y0 === y1 || ![x0, y0, x1, y1].every(Number.isFinite)) continue;
+
+        edges.push({ x0, y0, x1, y1, dir: y1 > y0 ? 1 : -1 });
+        minY = Math.min(minY, y0, y1);
+        maxY = Math.max(maxY, y0, y1);
+      }
+    }
+
+    if (edges.length === 0) return;
+
+    const rowStart = Math.max(0, firstPixel(minY));
+    const rowEnd = Math.min(this.canvas.height, firstPixel(maxY));
+
+    for (let row = rowStart; row < rowEnd; row++) {
+      const y = row + 0.5;
+      const crossings = [];
+
+      for (const { x0, y0, x1, y1, dir } of edges) {
+        if (y < Math.min(y0, y1) || y >= Math.max(y0, y1)) continue;
+
+        crossings.push({ x: x0 + ((y - y0) / (y1 - y0)) * (x1 - x0), dir });
+      }
+
+      crossings.sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+
+      for (let i = 0; i < crossings.length - 1; i++) {
+        winding += crossings[i].dir;
+
+        if (winding === 0) continue;
+
+        const x0 = Math.max(0, firstPixel(crossings[i].x));
+        const x1 = Math.min(this.canvas.width, firstPixel(crossings[i + 1].x));
+
+        if (x1 > x0) this.#blendSpan(row, x0, x1, paint);
+      }
+    }
+  }
+
+  // Strokes each segment as a quad; quads share an orientation so the
+  // non-zero fill unions them instead of cancelling overlaps.
+  #strokePolylines(paths) {
+    const m = this._matrix;
+    const half = (this._lineWidth * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]))) / 2;
+    const quads = [];
+
+    for (const { points, closed } of paths) {
+      const count = closed ? points.length : points.length - 1;
+
+      for (let i = 0; i < count; i++) {
+        const [x0, y0] = points[i];
+        const [x1, y1] = points[(i + 1) % points.length];
+        const length = Math.hypot(x1 - x0, y1 - y0);
+
+        if (length === 0) continue;
+
+        const nx = (-(y1 - y0) / length) * half;
+        const ny = ((x1 - x0) / length) * half;
+        const quad = [
+          [x0 + nx, y0 + ny],
+          [x1 + nx, y1 + ny],
+          [x1 - nx, y1 - ny],
+          [x0 - nx, y0 - ny],
+        ];
+
+        quads.push(signedArea(quad) < 0 ? quad.reverse() : quad);
+      }
+    }
+
+    this.#fillPolygons(quads, this._stroke);
+  }
+}
+
+function resolveImageSource(image) {
+  if (image instanceof SoftwareCanvas) {
+    return { width: image.width, height: image.height, data: image.pixels };
+  }
+
+  if (
+    image &&
+    Number.isInteger(image.width) &&
+    Number.isInteger(image.height) &&
+    image.data?.length === image.width * image.height * 4
+  ) {
+    return image;
+  }
+
+  return null;
+}
+
+/**
+ * Canvas-compatible RGBA surface. Resizing clears the pixels and the context
+ * state, as it does for DOM canvases.
+ */
+export default class SoftwareCanvas {
+  /**
+   * @param {number} [width=300]
+   * @param {number} [height=150]
+   */
+  constructor(width = 300, height = 150) {
+    this._width = 0;
+    this._height = 0;
+    this._context = null;
+    this.#resize(width, height);
+  }
+
+  get width() {
+    return this._width;
+  }
+
+  set width(value) {
+    this.#resize(value, this._height);
+  }
+
+  get height() {
+    return this._height;
+  }
+
+  set height(value) {
+    this.#resize(this._width, value);
+  }
+
+  /** Row-major RGBA bytes, not premultiplied. */
+  get pixels() {
+    return this._pixels;
+  }
+
+  /**
+   * @param {string} type - Only `"2d"` is supported.
+   * @returns {CanvasRenderingContext2D|null}
+   */
+  getContext(type) {
+    if (type !== "2d") return null;
+
+    this._context ??= new SoftwareContext2D(this);
+
+    return this._context;
+  }
+
+  /**
+   * Encodes the current pixels as a PNG.
+   *
+   * @param {{deflate?: (data: Uint8Array) => Uint8Array}} [options] - See
+   *   `encodePng`; pass `zlib.deflateSync` in Node for compressed output.
+   * @returns {Uint8Array}
+   */
+  toPng(options) {
+    return encodePng(
+      { width: this._width, height: this._height, data: this._pixels },
+      options,
+    );
+  }
+
+  #resize(width, height) {
+    const w = Math.floor(Number(width));
+    const h = Math.floor(Number(height));
+
+    if (!(w >= 1) || !(h >= 1)) {
+      throw new RangeError("SoftwareCanvas dimensions must be at least 1×1.");
+    }
+
+    this._width = w;
+    this._height = h;
+    this._pixels = new Uint8ClampedArray(w * h * 4);
+    this._context?._reset();
+  }
+}
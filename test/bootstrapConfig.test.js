@@ -92,3 +92,71 @@ test("resolveBootstrapOptions filters prototype pollution keys from config overr
   assert.is(Object.getPrototypeOf(options.config), Object.prototype);
   assert.not.ok("polluted" in options.config, "config should not expose polluted keys");
 });
+
+test("resolveBootstrapOptions seeds sessions that bring no seed or rng", () => {
+  const seeded = resolveBootstrapOptions();
+
+  assert.ok(Number.isInteger(seeded.seed) && seeded.seed >= 0);
+  assert.is(resolveBootstrapOptions({ globalOptions: { seed: "demo" } }).seed, "demo");
+
+  const rng = () => 0.5;
+  const custom = resolveBootstrapOptions({ globalOptions: { rng } });
+
+  assert.is(custom.rng, rng);
+  assert.not.ok("seed" in custom, "custom random sources stay unseeded");
+});
+
+test("resolveBootstrapOptions layers stored settings and settings links", () => {
+  const stored = {
+    version: 1,
+    settings: { mutationMultiplier: 2, showDensity: true },
+    geometry: { rows: 40, cols: 60, cellSize: 6 },
+    obstaclePreset: "corridor",
+    selection: { activePatterns: ["eastHalf"], customZones: null },
+  };
+  const storage = {
+    getItem: (key) =>
+      key === "colourful-life/settings" ? JSON.stringify(stored) : null,
+  };
+  const fromStorage = resolveBootstrapOptions({
+    globalOptions: { config: { cellSize: 8, updatesPerSecond: 90 } },
+    storage,
+  });
+
+  assert.equal(fromStorage.config, {
+    cellSize: 6,
+    updatesPerSecond: 90,
+    mutationMultiplier: 2,
+    showDensity: true,
+    rows: 40,
+    cols: 60,
+    width: 360,
+    height: 240,
+    initialObstaclePreset: "corridor",
+    selection: stored.selection,
+  });
+
+  const linked = resolveBootstrapOptions({
+    globalOptions: { seed: 3 },
+    storage,
+    location: { hash: "#v=1&mutationMultiplier=0.5&topology=torus&seed=%22shared%22" },
+  });
+
+  assert.is(linked.config.mutationMultiplier, 0.5);
+  assert.is(linked.config.showDensity, true, "stored settings the link omits remain");
+  assert.is(linked.config.topology, "torus");
+  assert.is(linked.seed, "shared");
+
+  const broken = resolveBootstrapOptions({
+    globalOptions: { seed: 3 },
+    location: { hash: "#v=99&seed=4" },
+    storage: { getItem: () => "{" },
+  });
+
+  assert.equal(broken.config, { cellSize: __test__.DEFAULT_BOOT_CONFIG.cellSize });
+  assert.is(broken.seed, 3, "unreadable links and saves are ignored");
+  assert.is(
+    resolveBootstrapOptions({ location: { hash: "#about" } }).config.cellSize,
+    __test__.DEFAULT_BOOT_CONFIG.cellSize,
+  );
+});
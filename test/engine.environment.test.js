@@ -3,6 +3,7 @@ import {
   buildHeadlessCanvasOverrides,
   createHeadlessCanvas,
   resolveCanvas,
+  resolveGridGeometry,
   resolveHeadlessCanvasSize,
   resolveTimingProviders,
 } from "../src/engine/environment.js";
@@ -246,6 +247,16 @@ test("resolveHeadlessCanvasSize applies layout overrides", () => {
   assert.equal(result, { width: 600, height: 420 });
 });
 
+test("resolveGridGeometry keeps configured grids larger than the controls allow", () => {
+  assert.equal(
+    resolveGridGeometry(
+      { width: 1200, height: 1500 },
+      { rows: 300, cols: 400, cellSize: 3 },
+    ),
+    { width: 1200, height: 1500, cellSize: 3, rows: 300, cols: 400 },
+  );
+});
+
 test("buildHeadlessCanvasOverrides merges derived dimensions into config", () => {
   const overrides = buildHeadlessCanvasOverrides(
     { canvasSize: { width: 200 } },
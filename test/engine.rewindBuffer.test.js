@@ -0,0 +1,96 @@
+import { assert, test } from "#tests/harness";
+import RewindBuffer from "../src/engine/rewindBuffer.js";
+
+const genes = (seed) =>
+  Array.from({ length: 40 }, (_, index) => (seed * 31 + index) % 256);
+
+function makeWorld(tick) {
+  return {
+    grid: {
+      tickCount: tick,
+      energy: Array.from({ length: 64 }, (_, index) =>
+        index === tick % 64 ? tick : 1,
+      ),
+      cells: [
+        { id: 1, row: 0, col: tick, genes: genes(1) },
+        ...(tick % 2 === 0 ? [{ id: 2, row: 3, col: 3, genes: genes(2) }] : []),
+      ],
+    },
+    stats: { history: { population: Array.from({ length: tick }, (_, i) => i) } },
+    events: tick > 2 ? [{ type: "flood", remaining: 10 - tick }] : [],
+  };
+}
+
+test("frames restore exactly what was recorded across keyframes and deltas", () => {
+  const buffer = new RewindBuffer({ capacityBytes: 1 << 20, keyframeInterval: 3 });
+
+  for (let tick = 1; tick <= 8; tick++) buffer.record(tick, makeWorld(tick));
+
+  assert.is(buffer.size, 8);
+
+  for (let index = 0; index < buffer.size; index++) {
+    assert.equal(buffer.materialize(index), makeWorld(index + 1));
+  }
+
+  assert.is(buffer.findFrame(4.5), 3);
+  assert.is(buffer.findFrame(0), -1);
+  assert.throws(() => buffer.materialize(8), RangeError);
+});
+
+test("deltas store less than keyframes", () => {
+  const buffer = new RewindBuffer({ capacityBytes: 1 << 20, keyframeInterval: 2 });
+
+  buffer.record(1, makeWorld(2));
+  const keyframeBytes = buffer.bytes;
+
+  buffer.record(2, makeWorld(4));
+
+  assert.ok(buffer.bytes - keyframeBytes < keyframeBytes / 2);
+});
+
+test("the memory cap evicts the oldest frames and keeps the rest restorable", () => {
+  const probe = new RewindBuffer({ capacityBytes: 1 << 20, keyframeInterval: 4 });
+
+  for (let tick = 1; tick <= 4; tick++) probe.record(tick, makeWorld(tick));
+
+  const buffer = new RewindBuffer({
+    capacityBytes: probe.bytes,
+    keyframeInterval: 4,
+  });
+
+  for (let tick = 1; tick <= 10; tick++) buffer.record(tick, makeWorld(tick));
+
+  const { frames, oldestTick, newestTick, bytes, capacityBytes } = buffer.getStatus();
+
+  assert.ok(frames > 0 && frames < 10);
+  assert.is(newestTick, 10);
+  assert.ok(bytes <= capacityBytes);
+
+  for (let index = 0; index < frames; index++) {
+    assert.equal(buffer.materialize(index), makeWorld(oldestTick + index));
+  }
+
+  buffer.setCapacity(0);
+  assert.is(buffer.size, 0);
+  buffer.record(11, makeWorld(11));
+  assert.is(buffer.size, 0, "a zero cap disables recording");
+});
+
+test("recording after a restore point discards the abandoned future", () => {
+  const buffer = new RewindBuffer({ capacityBytes: 1 << 20, keyframeInterval: 3 });
+
+  for (let tick = 1; tick <= 6; tick++) buffer.record(tick, makeWorld(tick));
+
+  buffer.discardAfter(3);
+  assert.is(buffer.getStatus().newestTick, 3);
+
+  const branch = { ...makeWorld(4), branch: true };
+
+  buffer.record(4, branch);
+  buffer.record(5, makeWorld(5));
+
+  assert.equal(buffer.materialize(3), branch);
+  assert.equal(buffer.materialize(4), makeWorld(5));
+  buffer.record(2, makeWorld(2));
+  assert.is(buffer.size, 2);
+});
@@ -0,0 +1,112 @@
+import { assert, test } from "#tests/harness";
+import {
+  RUN_RECORDING_FORMAT,
+  RUN_RECORDING_VERSION,
+  RunRecorder,
+  buildReplayScript,
+  parseRunRecording,
+} from "../src/engine/runRecording.js";
+import {
+  WORLD_SNAPSHOT_FORMAT,
+  WORLD_SNAPSHOT_VERSION,
+} from "../src/engine/worldSnapshot.js";
+import { CUSTOM_ZONE_FORMAT, CUSTOM_ZONE_VERSION } from "../src/grid/zoneMask.js";
+
+const WORLD = {
+  format: WORLD_SNAPSHOT_FORMAT,
+  version: WORLD_SNAPSHOT_VERSION,
+  grid: { rows: 4, cols: 4, tickCount: 12 },
+  scenario: [{ atTick: 30, action: "pause" }],
+};
+
+test("recorders log interventions and zone toggles as scenario entries", () => {
+  const recorder = new RunRecorder({
+    seed: 3,
+    world: WORLD,
+    settings: { mutationMultiplier: 1.5 },
+    activeZones: ["eastHalf"],
+  });
+
+  recorder.log(14, "burst", { count: 5 });
+  recorder.syncZones(15, ["cornerPatches"]);
+  recorder.syncZones(16, ["cornerPatches", "centralCore"], { log: false });
+  recorder.syncZones(17, ["cornerPatches", "centralCore"]);
+
+  assert.is(recorder.actionCount, 3);
+
+  const recording = recorder.finish(20);
+
+  assert.is(recording.format, RUN_RECORDING_FORMAT);
+  assert.is(recording.version, RUN_RECORDING_VERSION);
+  assert.is(recording.startTick, 12);
+  assert.is(recording.endTick, 20);
+  assert.equal(recording.actions, [
+    { atTick: 14, action: "burst", params: { count: 5 } },
+    { atTick: 15, action: "toggleZone", params: { id: "eastHalf", active: false } },
+    { atTick: 15, action: "toggleZone", params: { id: "cornerPatches", active: true } },
+  ]);
+});
+
+test("recorders log custom zone edits but not their toggles", () => {
+  const zones = (runs, active = true) => ({
+    format: CUSTOM_ZONE_FORMAT,
+    version: CUSTOM_ZONE_VERSION,
+    rows: 4,
+    cols: 4,
+    zones: [{ id: "custom-1", name: "Nest", color: "#fff", active, runs }],
+  });
+  const recorder = new RunRecorder({
+    seed: 3,
+    world: WORLD,
+    settings: {},
+    customZones: zones([0, 2]),
+  });
+
+  recorder.syncCustomZones(13, zones([0, 2], false));
+  recorder.syncCustomZones(14, zones([0, 4]));
+  recorder.syncCustomZones(15, zones([0, 6]), { log: false });
+  recorder.syncCustomZones(16, zones([0, 6]));
+
+  assert.equal(recorder.finish(20).actions, [
+    { atTick: 14, action: "setCustomZones", params: { zones: zones([0, 4]) } },
+  ]);
+});
+
+test("parseRunRecording validates recordings and builds the replay script", () => {
+  const recording = new RunRecorder({
+    seed: 3,
+    world: WORLD,
+    settings: { mutationMultiplier: 1.5, speedMultiplier: 4 },
+  });
+
+  recording.log(20, "pause");
+
+  const parsed = parseRunRecording(JSON.stringify(recording.finish(25)));
+
+  assert.equal(parsed.settings, { mutationMultiplier: 1.5 }, "playback keys drop");
+  assert.equal(
+    buildReplayScript(parsed).map((entry) => entry.atTick),
+    [20, 30],
+  );
+  assert.throws(() => parseRunRecording({ actions: [] }), TypeError);
+  assert.throws(
+    () =>
+      parseRunRecording({
+        ...recording.finish(25),
+        version: RUN_RECORDING_VERSION + 1,
+      }),
+    RangeError,
+  );
+  assert.throws(
+    () => parseRunRecording({ ...recording.finish(25), endTick: 3 }),
+    RangeError,
+  );
+  assert.throws(
+    () =>
+      parseRunRecording({
+        ...recording.finish(25),
+        actions: [{ atTick: 1, action: "explode" }],
+      }),
+    TypeError,
+  );
+});
@@ -0,0 +1,168 @@
+import { assert, test } from "#tests/harness";
+import {
+  SAVED_SETTINGS_VERSION,
+  SETTINGS_STORAGE_KEY,
+  attachSettingsPersistence,
+  encodeSettingsHash,
+  isSettingsHash,
+  loadStoredSettings,
+  parseSavedSettings,
+  parseSettingsHash,
+  settingsToConfig,
+} from "../src/engine/savedSettings.js";
+
+const CONFIG = { rows: 40, cols: 48, cellSize: 4 };
+
+async function createHeadless(config = CONFIG) {
+  const { createSimulation } = await import("../src/main.js");
+
+  return createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    seed: 5,
+    config,
+  });
+}
+
+function createStorage() {
+  const items = new Map();
+
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+test(
+  "exported settings recreate sliders, geometry, obstacles, and zones",
+  { concurrency: false },
+  async () => {
+    const source = await createHeadless({
+      ...CONFIG,
+      topology: "torus",
+      initialObstaclePreset: "midline",
+    });
+
+    source.engine.updateSetting("mutationMultiplier", 1.75);
+    source.engine.updateSetting("showEnergy", true);
+    source.selectionManager.togglePattern("eastHalf", true);
+    source.selectionManager.createCustomZone({ name: "Nursery", tiles: [[2, 2]] });
+
+    const saved = JSON.parse(JSON.stringify(source.exportSettings()));
+
+    assert.is(saved.version, SAVED_SETTINGS_VERSION);
+    assert.not.ok("paused" in saved.settings);
+    assert.equal(saved.geometry, {
+      rows: 40,
+      cols: 48,
+      cellSize: 4,
+      lattice: "square",
+      topology: "torus",
+    });
+
+    const target = await createHeadless(settingsToConfig(parseSavedSettings(saved)));
+
+    try {
+      assert.is(target.engine.state.mutationMultiplier, 1.75);
+      assert.is(target.engine.state.showEnergy, true);
+      assert.is(target.engine.getTopology(), "torus");
+      assert.is(target.engine.getCurrentObstaclePreset(), "midline");
+      assert.equal(
+        target.selectionManager.getActiveZones().map((zone) => zone.name),
+        source.selectionManager.getActiveZones().map((zone) => zone.name),
+      );
+      assert.equal(target.exportSettings(), saved);
+      assert.equal(parseSettingsHash(encodeSettingsHash(saved)).settings, saved);
+    } finally {
+      source.destroy();
+      target.destroy();
+    }
+  },
+);
+
+test("settings hashes round-trip with typed values and an optional seed", () => {
+  const saved = {
+    version: SAVED_SETTINGS_VERSION,
+    settings: { societySimilarity: 0.6, showDensity: true, trophicMode: false },
+    geometry: { rows: 60, cols: 80, cellSize: 6, lattice: "hex", topology: "bounded" },
+    obstaclePreset: "none",
+    selection: { activePatterns: ["eastHalf", "custom-1"], customZones: null },
+  };
+  const hash = encodeSettingsHash(saved, { seed: 42 });
+
+  assert.ok(isSettingsHash(hash));
+  assert.not.ok(isSettingsHash("#section-2"));
+  assert.is(parseSettingsHash("#section-2"), null);
+  assert.equal(parseSettingsHash(hash), {
+    settings: saved,
+    seed: 42,
+  });
+  assert.is(parseSettingsHash(encodeSettingsHash(saved, { seed: "42" })).seed, "42");
+  assert.not.ok("seed" in parseSettingsHash(encodeSettingsHash(saved)));
+  assert.is(parseSettingsHash("v=1&seed=alpha").seed, "alpha");
+
+  const loose = parseSettingsHash(
+    "#v=1&societySimilarity=oops&showDensity=off&rows=-3",
+  );
+
+  assert.equal(loose.settings.settings, { showDensity: false });
+  assert.equal(loose.settings.geometry, {});
+});
+
+test("out-of-range links are clamped to the control ranges", () => {
+  const huge = parseSettingsHash(
+    "#v=1&rows=100000&cols=100000&cellSize=500&societySimilarity=7&mutationMultiplier=-2&updatesPerSecond=1e9",
+  ).settings;
+
+  assert.equal(huge.geometry, { rows: 240, cols: 240, cellSize: 20 });
+  assert.is(huge.settings.societySimilarity, 1);
+  assert.is(huge.settings.mutationMultiplier, 0);
+  assert.is(huge.settings.updatesPerSecond, 6000);
+
+  const config = settingsToConfig(huge);
+
+  assert.is(config.width, 240 * 20);
+  assert.is(config.height, 240 * 20);
+  assert.equal(
+    parseSavedSettings({ version: 1, geometry: { rows: 3, cols: 3, cellSize: 1 } })
+      .geometry,
+    { rows: 40, cols: 40, cellSize: 2 },
+  );
+});
+
+test("parseSavedSettings rejects foreign or future settings", () => {
+  assert.throws(() => parseSavedSettings("[]"), TypeError);
+  assert.throws(() => parseSavedSettings({ version: "x" }), RangeError);
+  assert.throws(
+    () => parseSavedSettings({ version: SAVED_SETTINGS_VERSION + 1 }),
+    RangeError,
+  );
+  assert.throws(() => parseSettingsHash("#v=99"), RangeError);
+});
+
+test("stored settings load defensively and persistence saves on change", async () => {
+  const storage = createStorage();
+
+  storage.setItem(SETTINGS_STORAGE_KEY, "{not json");
+  assert.is(loadStoredSettings(storage), null);
+  assert.is(loadStoredSettings(null), null);
+
+  const simulation = await createHeadless();
+  const detach = attachSettingsPersistence(simulation.engine, { storage, delayMs: 0 });
+
+  try {
+    simulation.engine.updateSetting("energyRegenRate", 0.02);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    assert.is(loadStoredSettings(storage).settings.energyRegenRate, 0.02);
+
+    detach();
+    simulation.engine.updateSetting("energyRegenRate", 0.03);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    assert.is(loadStoredSettings(storage).settings.energyRegenRate, 0.02);
+  } finally {
+    simulation.destroy();
+  }
+});
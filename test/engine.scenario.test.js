@@ -0,0 +1,126 @@
+import { assert, test } from "#tests/harness";
+import {
+  describeScenarioEntry,
+  findNextScenarioIndex,
+  parseScenario,
+} from "../src/engine/scenario.js";
+import { createSimulation } from "../src/main.js";
+
+const SCENARIO = [
+  { atTick: 4, action: "pause" },
+  {
+    atTick: 2,
+    action: "spawnEvent",
+    params: {
+      eventType: "flood",
+      duration: 50,
+      affectedArea: { x: 0, y: 0, width: 5, height: 5 },
+    },
+  },
+  {
+    atTick: 2,
+    action: "updateSetting",
+    params: { key: "energyRegenRate", value: 0.2 },
+  },
+  { atTick: 3, action: "toggleZone", params: { id: "eastHalf", active: true } },
+];
+
+test("parseScenario sorts entries by tick and rejects malformed ones", () => {
+  const entries = parseScenario(JSON.stringify({ entries: SCENARIO }));
+
+  assert.equal(
+    entries.map((entry) => entry.action),
+    ["spawnEvent", "updateSetting", "toggleZone", "pause"],
+  );
+  assert.is(findNextScenarioIndex(entries, 3), 2);
+  assert.is(findNextScenarioIndex(entries, 5), 4);
+  assert.is(describeScenarioEntry(entries[0]), "Spawn flood event");
+  assert.is(
+    describeScenarioEntry({
+      action: "paintObstacles",
+      params: { tiles: [[1, 2]], blocked: false },
+    }),
+    "Clear 1 obstacle tiles",
+  );
+  assert.is(
+    describeScenarioEntry({ action: "cancelEvent", params: { index: 0 } }),
+    "Cancel event 0",
+  );
+  assert.is(
+    describeScenarioEntry({
+      action: "setCustomZones",
+      params: { zones: { zones: [{ id: "custom-1" }] } },
+    }),
+    "Redraw 1 custom zones",
+  );
+  assert.throws(() => parseScenario({}), TypeError);
+  assert.throws(() => parseScenario([{ atTick: -1, action: "pause" }]), RangeError);
+  assert.throws(() => parseScenario([{ atTick: 1, action: "explode" }]), TypeError);
+  assert.throws(
+    () => parseScenario([{ atTick: 1, action: "updateSetting" }]),
+    TypeError,
+  );
+});
+
+test("engines run scenario entries as ticks elapse", () => {
+  const simulation = createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    seed: 5,
+    scenario: SCENARIO,
+    config: { rows: 20, cols: 20, cellSize: 4 },
+  });
+  const { engine } = simulation;
+
+  try {
+    engine.eventManager.reset();
+    simulation.step();
+    simulation.step();
+
+    assert.is(engine.getScenarioStatus().completed, 0);
+
+    simulation.step();
+
+    assert.is(engine.getScenarioStatus().completed, 2);
+    assert.is(engine.state.energyRegenRate, 0.2);
+    assert.ok(
+      engine.eventManager.activeEvents.some((event) => event.eventType === "flood"),
+    );
+
+    simulation.step();
+
+    assert.ok(
+      engine.selectionManager.getActiveZones().some((zone) => zone.id === "eastHalf"),
+    );
+    assert.is(engine.isPaused(), false);
+
+    simulation.step();
+
+    assert.is(engine.isPaused(), true);
+    assert.equal(engine.getScenarioStatus(), {
+      tick: 5,
+      total: 4,
+      completed: 4,
+      upcoming: [],
+    });
+
+    const snapshot = engine.exportWorld();
+
+    engine.loadScenario([{ atTick: 1, action: "pause" }]);
+
+    assert.is(engine.getScenarioStatus().completed, 1, "past entries are skipped");
+
+    engine.importWorld(snapshot);
+
+    assert.is(engine.getScenarioStatus().total, 4);
+    assert.is(engine.getScenarioStatus().completed, 4);
+
+    engine.resetWorld();
+
+    assert.is(engine.getScenarioStatus().completed, 0);
+    assert.is(engine.getScenarioStatus().upcoming[0].action, "spawnEvent");
+  } finally {
+    simulation.destroy();
+  }
+});
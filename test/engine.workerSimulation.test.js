@@ -0,0 +1,301 @@
+import { assert, test } from "#tests/harness";
+
+const CONFIG = { rows: 16, cols: 16, cellSize: 4 };
+
+async function createWorkerSimulation(seed) {
+  const { createSimulation, attachSimulationWorkerHost } = await import(
+    "../src/main.js"
+  );
+  const channel = new MessageChannel();
+  const detachHost = attachSimulationWorkerHost(channel.port2);
+  const simulation = createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    seed,
+    worker: channel.port1,
+    config: CONFIG,
+  });
+
+  return {
+    simulation,
+    close() {
+      simulation.destroy();
+      detachHost();
+      channel.port2.close();
+    },
+  };
+}
+
+// Frames beyond the two buffers in flight wait for the main thread to release
+// one, so a second round trip guarantees the newest frame has arrived.
+async function settle(engine) {
+  await engine.call("getStateSnapshot");
+
+  return engine.call("getStateSnapshot");
+}
+
+test(
+  "worker-backed engines mirror a seeded in-thread run over a MessageChannel",
+  { concurrency: false },
+  async () => {
+    const { createSimulation } = await import("../src/main.js");
+    const reference = createSimulation({
+      headless: true,
+      autoStart: false,
+      performanceNow: () => 0,
+      seed: 31,
+      config: CONFIG,
+    });
+    const { simulation, close } = await createWorkerSimulation(31);
+    const { engine } = simulation;
+
+    try {
+      const ticks = [];
+
+      engine.on("tick", ({ tick }) => ticks.push(tick));
+
+      for (let i = 0; i < 5; i++) {
+        simulation.step();
+        reference.step();
+      }
+
+      const state = await settle(engine);
+
+      assert.equal(ticks, [1, 2, 3, 4, 5]);
+      assert.is(state.gridRows, CONFIG.rows);
+      assert.is(engine.grid, null);
+
+      const frame = engine.getLastFrame();
+
+      assert.is(frame.rows, CONFIG.rows);
+      assert.is(frame.cols, CONFIG.cols);
+      assert.equal(
+        Array.from(frame.data),
+        Array.from(reference.grid.writeRgbaFrame()),
+        "transferred frame should match the in-thread grid",
+      );
+
+      const world = await simulation.exportWorld();
+
+      assert.is(world.grid.rows, CONFIG.rows);
+      assert.ok(
+        engine.stats.totals.ticks >= 1,
+        "stats mirror follows throttled metrics messages",
+      );
+    } finally {
+      close();
+      reference.destroy();
+    }
+  },
+);
+
+test(
+  "worker engine forwards settings, pause state, and geometry through commands",
+  { concurrency: false },
+  async () => {
+    const { simulation, close } = await createWorkerSimulation(5);
+    const { engine } = simulation;
+
+    try {
+      const changes = [];
+
+      engine.on("state", (event) => changes.push(event.changes));
+
+      engine.updateSetting("eventStrengthMultiplier", 1.5);
+      assert.is(engine.togglePause(), true);
+      assert.equal(engine.setWorldGeometry({ rows: 12, cols: 10 }), {
+        cellSize: CONFIG.cellSize,
+        rows: 12,
+        cols: 10,
+      });
+
+      const state = await settle(engine);
+
+      assert.is(state.eventStrengthMultiplier, 1.5);
+      assert.is(state.paused, true);
+      assert.is(state.gridCols, 10);
+      assert.is(engine.state.eventStrengthMultiplier, 1.5);
+      assert.ok(changes.some((change) => change.eventStrengthMultiplier === 1.5));
+      assert.is(engine.getLastFrame().data.length, 12 * 10 * 4);
+
+      const error = await engine.call("grid").catch((reason) => reason);
+
+      assert.match(error.message, /Unknown simulation worker command "grid"/);
+    } finally {
+      close();
+    }
+  },
+);
+
+test(
+  "worker engine runs skipAhead in the worker and relays its progress",
+  { concurrency: false },
+  async () => {
+    const { simulation, close } = await createWorkerSimulation(9);
+    const { engine } = simulation;
+
+    try {
+      const progress = [];
+
+      engine.on("skipAhead", (entry) => progress.push(entry));
+
+      assert.is(await simulation.skipAhead(300), 300);
+      await settle(engine);
+
+      assert.ok(progress.length >= 2, "start and finish are both reported");
+      assert.equal(progress.at(-1), {
+        completed: 300,
+        total: 300,
+        done: true,
+        cancelled: false,
+      });
+    } finally {
+      close();
+    }
+  },
+);
+
+test(
+  "worker engine steps back through the worker's rewind history",
+  { concurrency: false },
+  async () => {
+    const { simulation, close } = await createWorkerSimulation(9);
+    const { engine } = simulation;
+
+    try {
+      engine.updateSetting("rewindInterval", 5);
+      await simulation.skipAhead(12);
+      await settle(engine);
+
+      assert.is(engine.getRewindStatus().newestTick, 10);
+      assert.is(await simulation.stepBack(), 10);
+      assert.is(await simulation.scrubTo(7), 5);
+      await settle(engine);
+      assert.is(engine.getRewindStatus().tick, 5);
+      await assert.rejects(() => simulation.scrubTo(Number.NaN), /finite tick/);
+    } finally {
+      close();
+    }
+  },
+);
+
+test(
+  "worker engine records a run and replays it in the worker",
+  { concurrency: false },
+  async () => {
+    const { simulation, close } = await createWorkerSimulation(9);
+    const { engine } = simulation;
+
+    try {
+      await simulation.startRecording();
+      engine.burstRandomCells({ count: 4 });
+      await simulation.skipAhead(6);
+
+      const recording = await simulation.stopRecording();
+      const recorded = await simulation.exportWorld();
+
+      assert.is(recording.endTick, 6);
+      assert.is(recording.actions[0].action, "burst");
+
+      assert.is((await simulation.loadReplay(recording)).tick, 0);
+      assert.is(await simulation.seekReplay(6), 6);
+      await settle(engine);
+
+      assert.equal(engine.getReplayStatus().finished, true);
+      assert.equal((await simulation.exportWorld()).grid, recorded.grid);
+      assert.is(await simulation.forkReplay(), 6);
+      await settle(engine);
+      assert.is(engine.getReplayStatus(), null);
+    } finally {
+      close();
+    }
+  },
+);
+
+test(
+  "worker engine exports settings synchronously from its mirrored state",
+  { concurrency: false },
+  async () => {
+    const { createSimulation } = await import("../src/main.js");
+    const reference = createSimulation({
+      headless: true,
+      autoStart: false,
+      performanceNow: () => 0,
+      seed: 4,
+      config: CONFIG,
+    });
+    const { simulation, close } = await createWorkerSimulation(4);
+    const { engine } = simulation;
+
+    try {
+      engine.updateSetting("energyRegenRate", 0.025);
+      reference.engine.updateSetting("energyRegenRate", 0.025);
+      await settle(engine);
+
+      const exported = simulation.exportSettings();
+      const expected = reference.exportSettings();
+
+      assert.equal(exported.settings, expected.settings);
+      assert.equal(exported.geometry, expected.geometry);
+      assert.is(exported.obstaclePreset, expected.obstaclePreset);
+    } finally {
+      reference.destroy();
+      close();
+    }
+  },
+);
+
+test(
+  "zones edited on the main thread gate breeding in the worker",
+  { concurrency: false },
+  async () => {
+    const { createSimulation } = await import("../src/main.js");
+    const createReference = () =>
+      createSimulation({
+        headless: true,
+        autoStart: false,
+        performanceNow: () => 0,
+        seed: 13,
+        config: CONFIG,
+      });
+    const zoned = createReference();
+    const unzoned = createReference();
+    const { simulation, close } = await createWorkerSimulation(13);
+    const zone = {
+      name: "Corner",
+      tiles: [
+        [0, 0],
+        [0, 1],
+      ],
+    };
+
+    try {
+      assert.is(simulation.selectionManager.createCustomZone(zone), "custom-1");
+      zoned.selectionManager.createCustomZone(zone);
+
+      for (let i = 0; i < 30; i++) {
+        simulation.step();
+        zoned.step();
+        unzoned.step();
+      }
+
+      const world = await simulation.exportWorld();
+      const expected = zoned.exportWorld();
+
+      assert.equal(world.selection, expected.selection);
+      assert.equal(world.stats.totals, expected.stats.totals);
+      assert.ok(
+        world.stats.totals.births < unzoned.stats.totals.births,
+        "the corner zone should block most matings",
+      );
+
+      simulation.selectionManager.togglePattern("custom-1", false);
+      assert.equal((await simulation.exportWorld()).selection.activePatterns, []);
+    } finally {
+      close();
+      zoned.destroy();
+      unzoned.destroy();
+    }
+  },
+);
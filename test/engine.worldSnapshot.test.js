@@ -0,0 +1,152 @@
+import { assert, test } from "#tests/harness";
+import { createRNG } from "../src/utils/math.js";
+import {
+  WORLD_SNAPSHOT_VERSION,
+  migrateWorldSnapshot,
+  registerWorldSnapshotMigration,
+} from "../src/engine/worldSnapshot.js";
+
+const CONFIG = { rows: 16, cols: 16, cellSize: 4 };
+
+async function createHeadless(seed, config = CONFIG) {
+  const { createSimulation } = await import("../src/main.js");
+
+  return createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    rng: createRNG(seed),
+    config,
+  });
+}
+
+test(
+  "exportWorld snapshots round-trip through JSON into a fresh simulation",
+  { concurrency: false },
+  async () => {
+    const source = await createHeadless(42);
+    const target = await createHeadless(7);
+
+    try {
+      for (let i = 0; i < 6; i++) source.step();
+      source.selectionManager.createCustomZone({
+        name: "Nursery",
+        tiles: [
+          [2, 2],
+          [2, 3],
+        ],
+      });
+
+      const exported = source.exportWorld();
+      const snapshot = JSON.parse(JSON.stringify(exported));
+
+      assert.is(snapshot.version, WORLD_SNAPSHOT_VERSION);
+      assert.ok(snapshot.grid.cells.length > 0);
+
+      const result = target.importWorld(snapshot);
+
+      assert.is(result.rows, CONFIG.rows);
+      assert.is(result.cols, CONFIG.cols);
+      assert.is(result.population, snapshot.grid.cells.length);
+      assert.is(target.stats.totals.ticks, source.stats.totals.ticks);
+      assert.is(target.engine.rng.getState(), source.engine.rng.getState());
+      assert.equal(JSON.parse(JSON.stringify(target.exportWorld())), snapshot);
+      assert.equal(
+        target.selectionManager.getCustomZones().map((zone) => zone.name),
+        ["Nursery"],
+      );
+
+      const [first] = snapshot.grid.cells;
+      const restoredCell = target.grid.grid[first.row][first.col];
+
+      assert.is(restoredCell.age, first.age);
+      assert.equal(Array.from(restoredCell.dna.genes), first.genes);
+    } finally {
+      source.destroy();
+      target.destroy();
+    }
+  },
+);
+
+test(
+  "an imported world steps exactly like the run it was exported from",
+  { concurrency: false },
+  async () => {
+    const config = { rows: 24, cols: 24, cellSize: 4 };
+    const source = await createHeadless(42, config);
+    const target = await createHeadless(7, config);
+
+    try {
+      for (let i = 0; i < 40; i++) source.step();
+
+      const snapshot = JSON.parse(JSON.stringify(source.exportWorld()));
+
+      assert.ok(snapshot.grid.decay.length > 0);
+
+      target.importWorld(snapshot);
+
+      for (let i = 0; i < 30; i++) {
+        source.step();
+        target.step();
+      }
+
+      assert.is(
+        JSON.stringify(target.exportWorld()),
+        JSON.stringify(source.exportWorld()),
+      );
+    } finally {
+      source.destroy();
+      target.destroy();
+    }
+  },
+);
+
+test("migrateWorldSnapshot applies registered migrations in order", () => {
+  const legacy = {
+    format: "colourful-life/world",
+    version: 0,
+    legacyField: true,
+    grid: { cells: [{ genes: Array.from({ length: 40 }, (_, index) => index + 1) }] },
+  };
+  const unregister = registerWorldSnapshotMigration(0, (snapshot) => {
+    const { legacyField, ...rest } = snapshot;
+
+    return { ...rest, migrated: legacyField };
+  });
+
+  try {
+    const migrated = migrateWorldSnapshot(JSON.stringify(legacy));
+
+    assert.is(migrated.version, WORLD_SNAPSHOT_VERSION);
+    assert.is(migrated.migrated, true);
+    assert.is(migrated.grid.cells[0].genes.length, 41, "v1 → v2 still ran");
+    assert.is(legacy.version, 0);
+    assert.throws(
+      () => registerWorldSnapshotMigration(1, (snapshot) => snapshot),
+      /already registered/,
+    );
+  } finally {
+    unregister();
+  }
+
+  assert.throws(() => migrateWorldSnapshot(legacy), RangeError);
+
+  for (const version of [1, 2]) {
+    const upgraded = migrateWorldSnapshot({ ...legacy, version });
+
+    assert.is(upgraded.version, WORLD_SNAPSHOT_VERSION, `v${version} → v3`);
+    assert.is(upgraded.grid.cells[0].genes.length, version === 1 ? 41 : 40);
+  }
+});
+
+test("migrateWorldSnapshot rejects foreign or future snapshots", () => {
+  assert.throws(() => migrateWorldSnapshot({ version: 1 }), TypeError);
+  assert.throws(
+    () =>
+      migrateWorldSnapshot({
+        format: "colourful-life/world",
+        version: WORLD_SNAPSHOT_VERSION + 1,
+      }),
+    RangeError,
+  );
+});
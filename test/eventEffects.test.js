@@ -59,3 +59,58 @@ test("getEventEffect returns descriptors or null for unknown events", () => {
   assert.is(getEventEffect("solar-flare"), null);
   assert.is(getEventEffect(undefined), null);
 });
+
+test("registerEventType plugs custom events into effects, pools, and colours", async () => {
+  const { registerEventType, getEventTypes, getEventColor, resolveEventResistance } =
+    await import("../src/events/eventEffects.js");
+  const { accumulateEventModifiers } = await import("../src/events/eventModifiers.js");
+  const { default: EventManager } = await import("../src/events/eventManager.js");
+  const { default: DNA } = await import("../src/genome.js");
+  let resistanceLevel = 0;
+  const unregister = registerEventType("toxicBloom", {
+    regenScale: { change: -0.5 },
+    drainAdd: 0.2,
+    cell: { energyLoss: 0.4 },
+    color: "rgba(120, 200, 40, 0.5)",
+    resistance: () => resistanceLevel,
+  });
+
+  try {
+    assert.equal(getEventTypes(), [...EVENT_TYPES, "toxicBloom"]);
+    assert.is(getEventEffect("toxicBloom").cell.energyLoss, 0.4);
+    assert.is(getEventColor("toxicBloom"), "rgba(120, 200, 40, 0.5)");
+    assert.throws(() => registerEventType("toxicBloom", {}), RangeError);
+    assert.throws(() => registerEventType("flood", {}), RangeError);
+    assert.throws(() => registerEventType("", {}), TypeError);
+
+    const modifiers = accumulateEventModifiers({
+      events: [{ eventType: "toxicBloom", strength: 1 }],
+      row: 0,
+      col: 0,
+      getEventEffect,
+      collectAppliedEvents: false,
+    });
+
+    assert.is(modifiers.regenMultiplier, 0.5);
+    assert.is(modifiers.drainAdd, 0.2);
+
+    const manager = new EventManager(10, 10, () => 0.99);
+
+    assert.is(EventManager.DEFAULT_EVENT_TYPES.at(-1), "toxicBloom");
+    assert.is(manager.pickEventType(), "toxicBloom");
+    assert.is(manager.getColor({ eventType: "toxicBloom" }), "rgba(120, 200, 40, 0.5)");
+
+    const dna = new DNA(120, 120, 120);
+    const exposed = dna.eventEnergyLossMultiplier("toxicBloom");
+
+    resistanceLevel = 1;
+    assert.is(resolveEventResistance(getEventEffect("toxicBloom"), dna), 1);
+    assert.ok(dna.eventEnergyLossMultiplier("toxicBloom") < exposed);
+    assert.is(resolveEventResistance(getEventEffect("flood"), dna), dna.floodResist());
+  } finally {
+    unregister();
+  }
+
+  assert.is(getEventEffect("toxicBloom"), null);
+  assert.is(getEventTypes(), EVENT_TYPES);
+});
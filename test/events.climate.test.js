@@ -0,0 +1,108 @@
+import { assert, test } from "#tests/harness";
+import {
+  CLIMATE_SEASONS,
+  resolveClimateConfig,
+  sampleClimate,
+} from "../src/events/climate.js";
+import EventManager from "../src/events/eventManager.js";
+import { SENSOR_KEYS } from "../src/brain.js";
+import { createSimulation } from "../src/main.js";
+
+test("climate clock cycles day, night and seasons", () => {
+  const config = resolveClimateConfig({ dayLength: 10, yearLength: 400 });
+
+  assert.is(resolveClimateConfig(false), null);
+  assert.is(resolveClimateConfig(true).yearLength, 2400);
+
+  const midnight = sampleClimate(0, config);
+  const noon = sampleClimate(5, config);
+
+  assert.is(midnight.daylight, 0);
+  assert.is(noon.daylight, 1);
+  assert.ok(noon.regenMultiplier > midnight.regenMultiplier);
+
+  const midsummer = sampleClimate(150, config);
+  const midwinter = sampleClimate(350, config);
+
+  assert.is(midsummer.season, "summer");
+  assert.is(midwinter.season, "winter");
+  assert.ok(Math.abs(midsummer.phase - 1) < 1e-9);
+  assert.ok(Math.abs(midwinter.phase + 1) < 1e-9);
+  assert.is(midsummer.eventWeights.heatwave, CLIMATE_SEASONS[1].eventWeights.heatwave);
+  assert.ok(midwinter.eventWeights.coldwave > midwinter.eventWeights.heatwave);
+  assert.ok(midwinter.diffusionMultiplier < midsummer.diffusionMultiplier);
+});
+
+test("season overrides replace individual multipliers", () => {
+  const config = resolveClimateConfig({
+    yearLength: 4,
+    seasons: { winter: { regen: 0, eventWeights: { flood: 9 } } },
+  });
+  const winter = config.seasons.find((season) => season.id === "winter");
+
+  assert.is(winter.regen, 0);
+  assert.is(winter.diffusion, CLIMATE_SEASONS[3].diffusion);
+  assert.is(winter.eventWeights.flood, 9);
+  assert.is(winter.eventWeights.coldwave, CLIMATE_SEASONS[3].eventWeights.coldwave);
+});
+
+test("event weights bias random event types", () => {
+  const manager = new EventManager(10, 10, () => 0.5);
+
+  manager.setEventWeights({ heatwave: 1, flood: 0, drought: 0, coldwave: 0 });
+
+  for (let i = 0; i < 5; i++) {
+    assert.is(manager.pickEventType(), "heatwave");
+  }
+
+  manager.setEventWeights(null);
+
+  assert.is(manager.eventWeights, null);
+});
+
+test("engines feed the season to regeneration, events and the climatePhase sensor", () => {
+  assert.ok(SENSOR_KEYS.includes("climatePhase"));
+
+  const simulation = createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    seed: 3,
+    config: {
+      rows: 20,
+      cols: 20,
+      cellSize: 4,
+      climate: { dayLength: 20, yearLength: 80 },
+    },
+  });
+
+  try {
+    for (let i = 0; i < 30; i++) simulation.step();
+
+    const state = simulation.engine.getClimateState();
+
+    assert.is(state.tick, 30);
+    assert.is(state.season, "summer");
+    assert.equal(simulation.engine.eventManager.eventWeights, state.eventWeights);
+
+    const resident = [...simulation.engine.grid.activeCells][0];
+
+    assert.ok(resident, "the world still has residents");
+    assert.is(resident.climatePhase, state.phase);
+
+    const snapshot = simulation.engine.exportWorld();
+
+    assert.is(snapshot.climate.yearLength, 80);
+
+    simulation.engine.setClimate(null);
+
+    assert.is(simulation.engine.getClimateState(), null);
+    assert.is(simulation.engine.eventManager.eventWeights, null);
+
+    simulation.engine.importWorld(snapshot);
+
+    assert.is(simulation.engine.getClimate().yearLength, 80);
+  } finally {
+    simulation.destroy();
+  }
+});
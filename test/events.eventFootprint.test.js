@@ -0,0 +1,196 @@
+import { assert, test } from "#tests/harness";
+import { approxEqual } from "./helpers/assertions.js";
+import {
+  advanceEventFootprint,
+  collectFootprintRowSpans,
+  isTileInFootprint,
+  normalizeEventFootprint,
+  syncEventArea,
+} from "../src/events/eventFootprint.js";
+import { defaultIsEventAffecting } from "../src/events/eventContext.js";
+import EventManager from "../src/events/eventManager.js";
+
+if (typeof globalThis.window === "undefined") {
+  globalThis.window = {};
+}
+
+const ROWS = 12;
+const COLS = 14;
+
+function coveredBySpans(footprint) {
+  const tiles = new Set();
+
+  for (let row = 0; row < ROWS; row += 1) {
+    const spans = collectFootprintRowSpans(footprint, row, COLS);
+
+    for (let k = 0; k < spans.length; k += 2) {
+      for (let col = spans[k]; col < spans[k + 1]; col += 1) tiles.add(`${row}:${col}`);
+    }
+  }
+
+  return tiles;
+}
+
+test("row spans agree with per-tile tests for circles and concave polygons", () => {
+  const footprints = [
+    normalizeEventFootprint({ shape: "circle", x: 6.3, y: 5.1, radius: 4.2 }),
+    normalizeEventFootprint({
+      shape: "polygon",
+      points: [
+        [1, 1],
+        [12, 1],
+        [12, 10],
+        [8, 10],
+        [8, 4],
+        [5, 4],
+        [5, 10],
+        [1, 10],
+      ],
+    }),
+    normalizeEventFootprint({ shape: "rect", x: -2.4, y: 3.7, width: 6.1, height: 2 }),
+  ];
+
+  for (const footprint of footprints) {
+    const event = { footprint };
+    const fromSpans = coveredBySpans(footprint);
+    let counted = 0;
+
+    assert.ok(syncEventArea(event, ROWS, COLS));
+
+    for (let row = 0; row < ROWS; row += 1) {
+      for (let col = 0; col < COLS; col += 1) {
+        const inside = isTileInFootprint(footprint, row, col);
+
+        assert.is(
+          fromSpans.has(`${row}:${col}`),
+          inside,
+          `${footprint.shape} ${row},${col}`,
+        );
+        assert.is(defaultIsEventAffecting(event, row, col), inside);
+        counted += inside ? 1 : 0;
+      }
+    }
+
+    assert.ok(counted > 0, `${footprint.shape} covers tiles`);
+  }
+
+  // The notch between the polygon's two legs splits row 6 into two spans.
+  assert.equal(collectFootprintRowSpans(footprints[1], 6, COLS), [1, 5, 8, 12]);
+  assert.is(normalizeEventFootprint({ shape: "polygon", points: [[0, 0]] }), null);
+});
+
+test("moving events drift, grow, and expire once they leave the grid", () => {
+  const manager = new EventManager(ROWS, COLS, () => 0.5);
+  const front = manager.spawnEvent({
+    eventType: "drought",
+    duration: 500,
+    footprint: { shape: "rect", x: 0, y: 0, width: 2, height: ROWS },
+    motion: { speed: 1, heading: 0 },
+  });
+  const bloom = manager.spawnEvent({
+    eventType: "flood",
+    duration: 5,
+    footprint: { shape: "circle", x: 7, y: 6, radius: 1 },
+    motion: { growth: 0.25 },
+  });
+
+  assert.equal(front.affectedArea, { x: 0, y: 0, width: 2, height: ROWS });
+
+  manager.updateEvent(0, 2);
+
+  assert.equal(front.affectedArea, { x: 1, y: 0, width: 2, height: ROWS });
+  approxEqual(bloom.footprint.radius, 1.25, 1e-12);
+
+  for (let tick = 0; tick < COLS; tick += 1) manager.updateEvent(0, 2);
+
+  assert.equal(manager.activeEvents, [], "front left the map and bloom expired");
+
+  const event = { footprint: { shape: "circle", x: 0, y: 0, radius: 1 }, motion: null };
+
+  assert.is(advanceEventFootprint(event), false, "events without motion stay put");
+});
+
+test("random events honour shape and motion settings and survive snapshots", () => {
+  const manager = new EventManager(ROWS, COLS, () => 0.25, {
+    randomEventConfig: {
+      span: { min: 4, ratio: 0.5 },
+      shapes: ["circle", "rect"],
+      motion: { chance: 1, speedRange: [0.5, 0.5], growthRange: [0, 0] },
+    },
+  });
+  const event = manager.generateRandomEvent();
+
+  assert.is(event.footprint.shape, "circle");
+  approxEqual(event.motion.speed, 0.5, 1e-12);
+  approxEqual(event.motion.heading, Math.PI / 2, 1e-12);
+
+  manager.activeEvents = [event];
+
+  const restored = new EventManager(ROWS, COLS, () => 0.25);
+
+  restored.importState(manager.exportState());
+
+  assert.equal(restored.activeEvents[0].footprint, event.footprint);
+  assert.not.ok(restored.activeEvents[0].footprint === event.footprint);
+  assert.equal(restored.activeEvents[0].motion, event.motion);
+});
+
+test("segmented energy regeneration matches the per-tile path for shaped events", async () => {
+  const { default: GridManager } = await import("../src/grid/gridManager.js");
+
+  class TestGridManager extends GridManager {
+    init() {}
+    consumeEnergy() {}
+  }
+
+  const events = [
+    {
+      eventType: "drought",
+      strength: 0.8,
+      footprint: normalizeEventFootprint({ shape: "circle", x: 5, y: 4, radius: 3.5 }),
+    },
+    {
+      eventType: "flood",
+      strength: 0.6,
+      footprint: normalizeEventFootprint({
+        shape: "polygon",
+        points: [
+          [2, 9],
+          [13, 2],
+          [13, 5],
+          [3, 11],
+        ],
+      }),
+    },
+  ];
+
+  events.forEach((event) => syncEventArea(event, ROWS, COLS));
+
+  const run = (eventContext) => {
+    const grid = new TestGridManager(ROWS, COLS, {
+      stats: {},
+      maxTileEnergy: 10,
+      eventContext,
+    });
+
+    for (let r = 0; r < ROWS; r += 1) {
+      for (let c = 0; c < COLS; c += 1) grid.energyGrid[r][c] = ((r * 7 + c) % 9) + 0.5;
+    }
+
+    grid.regenerateEnergyGrid(events, 1, 0.2, 0.05);
+
+    return grid.energyGrid.map((row) => Array.from(row));
+  };
+
+  const segmented = run(undefined);
+  // A wrapper predicate opts out of the segmented fast path.
+  const perTile = run({
+    isEventAffecting: (event, row, col) => defaultIsEventAffecting(event, row, col),
+  });
+
+  for (let r = 0; r < ROWS; r += 1) {
+    for (let c = 0; c < COLS; c += 1) {
+      approxEqual(segmented[r][c], perTile[r][c], 1e-9, `energy at (${r}, ${c})`);
+    }
+  }
+});
@@ -0,0 +1,84 @@
+import { assert, test } from "#tests/harness";
+import { createRNG } from "../src/utils/math.js";
+
+let DNA;
+let DNA_ENCODING_VERSION;
+
+test.before(async () => {
+  ({ default: DNA, DNA_ENCODING_VERSION } = await import("../src/genome.js"));
+});
+
+const decodeBytes = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+const encodeBytes = (bytes) => btoa(String.fromCharCode(...bytes));
+
+test("DNA.encode round-trips through DNA.fromEncoded", () => {
+  const dna = DNA.random(createRNG(1234));
+  const encoded = dna.encode();
+  const decoded = DNA.fromEncoded(encoded);
+
+  assert.type(encoded, "string");
+  assert.is(decodeBytes(encoded)[0], DNA_ENCODING_VERSION);
+  assert.is(decoded.length, dna.length);
+  assert.equal(Array.from(decoded.genes), Array.from(dna.genes));
+  assert.is(decoded.seed(), dna.seed());
+});
+
+test("DNA.fromEncoded keeps legacy lengths and can resize through adapters", () => {
+  const legacy = new DNA({ genes: [10, 20, 30, 40], geneCount: 4 });
+  const encoded = legacy.encode();
+
+  const restored = DNA.fromEncoded(encoded);
+
+  assert.is(restored.length, 4);
+  assert.ok(restored.isLegacyGenome());
+
+  const padded = DNA.fromEncoded(encoded, { geneCount: 6 });
+
+  assert.equal(Array.from(padded.genes), [10, 20, 30, 40, 0, 0]);
+
+  const truncated = DNA.fromEncoded(encoded, { geneCount: 2 });
+
+  assert.equal(Array.from(truncated.genes), [10, 20]);
+});
+
+test("DNA.fromEncoded rejects corrupted, truncated, or future payloads", () => {
+  const bytes = decodeBytes(new DNA({ genes: [1, 2, 3], geneCount: 3 }).encode());
+
+  const corrupted = bytes.slice();
+
+  corrupted[4] ^= 0xff;
+  assert.throws(() => DNA.fromEncoded(encodeBytes(corrupted)), /checksum/);
+  assert.throws(() => DNA.fromEncoded(encodeBytes(bytes.slice(0, 5))), TypeError);
+  assert.throws(() => DNA.fromEncoded("not base64!"), TypeError);
+  assert.throws(() => DNA.fromEncoded(""), TypeError);
+
+  const future = bytes.slice();
+
+  future[0] = DNA_ENCODING_VERSION + 1;
+  assert.throws(() => DNA.fromEncoded(encodeBytes(future)), RangeError);
+});
+
+test("DNA.fromEncoded upgrades version 1 payloads with a zero carnivory gene", async () => {
+  const { GENE_LOCI } = await import("../src/genome.js");
+  const legacyGenes = Array.from({ length: 40 }, (_, index) => index + 1);
+  const bytes = new Uint8Array(3 + legacyGenes.length + 4);
+
+  bytes[0] = 1;
+  bytes[2] = legacyGenes.length;
+  bytes.set(legacyGenes, 3);
+
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < bytes.length - 4; i++) {
+    hash = Math.imul(hash ^ bytes[i], 0x01000193);
+  }
+  new DataView(bytes.buffer).setUint32(bytes.length - 4, hash >>> 0);
+
+  const decoded = Array.from(DNA.fromEncoded(encodeBytes(bytes)).genes);
+  const locus = GENE_LOCI.CARNIVORY;
+
+  assert.is(decoded.length, legacyGenes.length + 1);
+  assert.is(decoded[locus], 0);
+  assert.equal(decoded.slice(0, locus), legacyGenes.slice(0, locus));
+  assert.equal(decoded.slice(locus + 1), legacyGenes.slice(locus));
+});
@@ -0,0 +1,232 @@
+import { assert, test } from "#tests/harness";
+import {
+  hexDistance,
+  hexNeighborOffsets,
+  hexSpanSegments,
+  hexTileAt,
+  hexTileCenter,
+  resolveGridLattice,
+  snapHexStep,
+} from "../src/grid/lattice.js";
+
+if (typeof globalThis.window === "undefined") {
+  globalThis.window = {};
+}
+
+const baseOptions = {
+  eventManager: { activeEvents: [] },
+  stats: {
+    onDeath() {},
+    onBirth() {},
+  },
+  ctx: {},
+  cellSize: 1,
+};
+
+async function createHexGrid(rows, cols, options = {}) {
+  const [{ default: GridManager }, { default: Cell }, { default: DNA }] =
+    await Promise.all([
+      import("../src/grid/gridManager.js"),
+      import("../src/cell.js"),
+      import("../src/genome.js"),
+    ]);
+
+  class TestGridManager extends GridManager {
+    init() {}
+    consumeEnergy() {}
+  }
+
+  const gm = new TestGridManager(rows, cols, {
+    ...baseOptions,
+    lattice: "hex",
+    ...options,
+  });
+  const place = (row, col) => {
+    const cell = new Cell(row, col, new DNA(7, 11, 13), 10);
+
+    gm.setCell(row, col, cell);
+
+    return cell;
+  };
+
+  return { gm, place };
+}
+
+test("hex helpers agree on neighbours, distances and spans", () => {
+  assert.is(resolveGridLattice("HEX"), "hex");
+  assert.is(resolveGridLattice("triangle"), "square");
+
+  for (const row of [2, 3]) {
+    for (const [dr, dc] of hexNeighborOffsets(row)) {
+      assert.is(hexDistance(row, 4, row + dr, 4 + dc), 1);
+    }
+  }
+
+  assert.is(hexDistance(2, 4, 3, 3), 1, "even rows reach down-left");
+  assert.is(hexDistance(2, 4, 3, 5), 2, "but not down-right");
+  assert.is(hexDistance(0, 0, 0, 7, { cols: 8, wrapCols: true }), 1);
+
+  assert.is(snapHexStep(2, 1, 1), 0);
+  assert.is(snapHexStep(3, 1, 1), 1);
+  assert.is(snapHexStep(3, 0, -1), -1);
+
+  assert.equal(hexSpanSegments(2, 4, 0, 1, 10, false), [3, 6]);
+  assert.equal(hexSpanSegments(2, 4, 1, 1, 10, false), [3, 5]);
+  assert.equal(hexSpanSegments(3, 4, -1, 1, 10, false), [4, 6]);
+  assert.equal(hexSpanSegments(3, 9, 1, 1, 10, true), [9, 10, 0, 1]);
+
+  for (const [row, col] of [
+    [0, 0],
+    [3, 5],
+    [4, 2],
+  ]) {
+    const { x, y } = hexTileCenter(row, col, 6);
+
+    assert.equal(hexTileAt(x + 1, y - 2, 6), { row, col });
+  }
+});
+
+test("hex grids count six neighbours for density and target scans", async () => {
+  const { gm, place } = await createHexGrid(6, 6);
+
+  assert.is(gm.lattice, "hex");
+  assert.is(gm.densityTotals[2][2], 6);
+  assert.is(gm.densityTotals[0][0], 2);
+  assert.is(gm.tileDistance(2, 2, 3, 1), 1);
+  assert.is(gm.tileDistance(2, 2, 3, 3), 2);
+
+  const origin = place(2, 2);
+
+  place(3, 1);
+  place(3, 3);
+
+  assert.is(gm.densityCounts[2][2], 1, "only the hex neighbour is counted");
+
+  origin.sight = 1;
+  origin.dna.allyThreshold = () => 2;
+  origin.dna.enemyThreshold = () => -1;
+
+  const { mates, enemies, society } = gm.findTargets(2, 2, origin);
+  const seen = [...mates, ...enemies, ...society];
+
+  assert.is(seen.length, 1);
+  assert.is(seen[0].col, 1);
+
+  gm.setLattice("square");
+
+  assert.is(gm.densityTotals[2][2], 8);
+  assert.is(gm.densityCounts[2][2], 2);
+});
+
+test("hex moves snap diagonals and relocation needs a shared edge", async () => {
+  const { gm, place } = await createHexGrid(6, 6);
+  const mover = place(2, 2);
+
+  assert.ok(gm.boundTryMove(gm.grid, 2, 2, 1, 1, 6, 6));
+  assert.is(gm.grid[3][2], mover, "a down-right step from an even row lands below");
+  assert.not.ok(gm.relocateCell(3, 2, 2, 2 - 1), "(2, 1) does not touch (3, 2)");
+  assert.ok(gm.relocateCell(3, 2, 2, 3));
+  assert.is(gm.grid[2][3], mover);
+});
+
+test("energy diffuses into the six hex neighbours", async () => {
+  const { gm } = await createHexGrid(5, 5);
+
+  for (const row of gm.energyGrid) row.fill(0);
+  gm.energyGrid[2][2] = gm.maxTileEnergy;
+  gm.markEnergyDirty(2, 2, { radius: 1 });
+
+  gm.regenerateEnergyGrid([], 0, 0, 0.5);
+
+  for (const [dr, dc] of hexNeighborOffsets(2)) {
+    assert.ok(gm.energyGrid[2 + dr][2 + dc] > 0);
+  }
+
+  // Rows are swept in place, so only tiles above the source see it first-hand.
+  assert.ok(gm.energyGrid[1][1] > 0.1, "the up-left tile shares an edge on even rows");
+  assert.ok(
+    gm.energyGrid[1][3] < gm.energyGrid[1][1] * 0.2,
+    "the up-right tile only receives energy second-hand",
+  );
+});
+
+test("hex tori only wrap rows when row parity survives the seam", async () => {
+  const { gm } = await createHexGrid(5, 6, { topology: "torus" });
+  const neighboursOf = (row, col) =>
+    hexNeighborOffsets(row)
+      .map(([dr, dc]) => gm.wrapTile(row + dr, col + dc))
+      .filter(Boolean);
+
+  for (let row = 0; row < gm.rows; row++) {
+    for (let col = 0; col < gm.cols; col++) {
+      for (const neighbour of neighboursOf(row, col)) {
+        assert.ok(
+          neighboursOf(neighbour.row, neighbour.col).some(
+            (tile) => tile.row === row && tile.col === col,
+          ),
+          `(${neighbour.row}, ${neighbour.col}) lists (${row}, ${col}) back`,
+        );
+      }
+    }
+  }
+
+  assert.is(gm.wrapTile(-1, 0), null, "odd row counts keep the top edge");
+  assert.equal(gm.wrapTile(0, -1), { row: 0, col: 5 });
+  assert.is(gm.densityTotals[0][0], 4);
+
+  gm.resize(6, 6);
+
+  assert.equal(gm.wrapTile(-1, 0), { row: 5, col: 0 });
+  assert.is(gm.densityTotals[0][0], 6);
+
+  gm.resize(5, 6);
+  gm.setLattice("square");
+
+  assert.equal(gm.wrapTile(-1, 0), { row: 4, col: 0 }, "square tori still wrap");
+});
+
+test("overlays trace hexagons on hex grids", async () => {
+  const { drawGridLines, drawSelectionZones } = await import("../src/ui/overlays.js");
+  const calls = { moveTo: 0, lineTo: 0, fillRect: 0, strokeRect: 0, stroke: 0 };
+  const ctx = {
+    save() {},
+    restore() {},
+    beginPath() {},
+    closePath() {},
+    fill() {},
+    stroke() {
+      calls.stroke += 1;
+    },
+    moveTo() {
+      calls.moveTo += 1;
+    },
+    lineTo() {
+      calls.lineTo += 1;
+    },
+    fillRect() {
+      calls.fillRect += 1;
+    },
+    strokeRect() {
+      calls.strokeRect += 1;
+    },
+  };
+
+  drawGridLines(ctx, 4, 2, 3, { lattice: "hex" });
+
+  assert.is(calls.moveTo, 6, "one hexagon per tile");
+  assert.is(calls.lineTo, 30);
+
+  calls.moveTo = 0;
+  calls.lineTo = 0;
+
+  drawSelectionZones(
+    ctx,
+    4,
+    [{ zone: {}, geometry: { rects: [{ row: 0, col: 0, rowSpan: 1, colSpan: 2 }] } }],
+    { lattice: "hex" },
+  );
+
+  assert.is(calls.fillRect, 0);
+  assert.is(calls.strokeRect, 0);
+  assert.is(calls.moveTo, 2 + 10, "two filled tiles, then ten outer edges");
+});
@@ -0,0 +1,173 @@
+import { assert, test } from "#tests/harness";
+import { collectBrushTiles, traceTileLine } from "../src/ui/obstacleBrush.js";
+
+const CONFIG = { rows: 12, cols: 12, cellSize: 4 };
+
+async function createHeadlessSimulation() {
+  const { createSimulation } = await import("../src/main.js");
+
+  return createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    seed: 5,
+    config: CONFIG,
+  });
+}
+
+function countObstacles(grid) {
+  let count = 0;
+
+  for (let row = 0; row < grid.rows; row += 1) {
+    for (let col = 0; col < grid.cols; col += 1) {
+      if (grid.isObstacle(row, col)) count += 1;
+    }
+  }
+
+  return count;
+}
+
+function findResident(grid) {
+  for (let row = 0; row < grid.rows; row += 1) {
+    for (let col = 0; col < grid.cols; col += 1) {
+      if (grid.getCell(row, col)) return { row, col };
+    }
+  }
+
+  return null;
+}
+
+test("brush geometry traces lines, discs, and rectangle outlines inside the grid", () => {
+  assert.equal(
+    traceTileLine({ row: 0, col: 0 }, { row: 2, col: 4 }).map(({ row, col }) => [
+      row,
+      col,
+    ]),
+    [
+      [0, 0],
+      [0, 1],
+      [1, 2],
+      [1, 3],
+      [2, 4],
+    ],
+  );
+
+  const disc = collectBrushTiles(
+    "paint",
+    { row: 5, col: 5 },
+    { row: 5, col: 5 },
+    {
+      radius: 1,
+      rows: 12,
+      cols: 12,
+    },
+  );
+
+  assert.is(disc.length, 9, "radius 1 covers the 3x3 block");
+
+  const clipped = collectBrushTiles(
+    "paint",
+    { row: 0, col: 0 },
+    { row: 0, col: 0 },
+    {
+      radius: 1,
+      rows: 12,
+      cols: 12,
+    },
+  );
+
+  assert.is(clipped.length, 4, "stamps are clipped to the grid");
+
+  const outline = collectBrushTiles(
+    "rect",
+    { row: 2, col: 2 },
+    { row: 5, col: 6 },
+    {
+      rows: 12,
+      cols: 12,
+    },
+  );
+
+  assert.is(outline.length, 14, "4x5 outline has 14 distinct tiles");
+  assert.not.ok(
+    outline.some(([row, col]) => row === 3 && col === 4),
+    "interior stays open",
+  );
+  assert.equal(
+    collectBrushTiles("off", { row: 1, col: 1 }, { row: 1, col: 1 }, CONFIG),
+    [],
+  );
+});
+
+test("obstacle strokes merge per stroke id and undo/redo as one edit", async () => {
+  const simulation = await createHeadlessSimulation();
+
+  try {
+    const { engine, grid } = simulation;
+
+    engine.applyObstaclePreset("none");
+
+    assert.is(engine.paintObstacles([[1, 1]], { strokeId: "a" }), 1);
+    assert.is(
+      engine.paintObstacles(
+        [
+          [1, 2],
+          [1, 1],
+        ],
+        { strokeId: "a" },
+      ),
+      1,
+    );
+    assert.is(engine.paintObstacles([[4, 4]]), 1);
+    assert.equal(engine.getObstacleEditStatus(), {
+      canUndo: true,
+      canRedo: false,
+      undoDepth: 2,
+      redoDepth: 0,
+    });
+
+    assert.ok(engine.undoObstacleEdit());
+    assert.not.ok(grid.isObstacle(4, 4));
+    assert.ok(engine.undoObstacleEdit());
+    assert.is(countObstacles(grid), 0, "the merged stroke undoes in one step");
+    assert.not.ok(engine.undoObstacleEdit());
+
+    assert.ok(engine.redoObstacleEdit());
+    assert.ok(grid.isObstacle(1, 1) && grid.isObstacle(1, 2));
+
+    engine.paintObstacles([[1, 1]], { blocked: false });
+    assert.not.ok(engine.getObstacleEditStatus().canRedo, "new edits clear redo");
+
+    engine.applyObstaclePreset("none");
+    assert.not.ok(engine.getObstacleEditStatus().canUndo, "presets clear history");
+  } finally {
+    simulation.destroy();
+  }
+});
+
+test("stamping without eviction keeps residents and replays the same way", async () => {
+  const simulation = await createHeadlessSimulation();
+
+  try {
+    const { engine, grid } = simulation;
+    const resident = findResident(grid);
+
+    assert.ok(resident, "expected the seeded world to contain a resident");
+
+    const cell = grid.getCell(resident.row, resident.col);
+
+    engine.paintObstacles([[resident.row, resident.col]], { evict: false });
+    assert.ok(grid.isObstacle(resident.row, resident.col));
+    assert.is(grid.getCell(resident.row, resident.col), cell);
+
+    engine.undoObstacleEdit();
+    engine.redoObstacleEdit();
+    assert.is(grid.getCell(resident.row, resident.col), cell);
+
+    engine.undoObstacleEdit();
+    engine.paintObstacles([[resident.row, resident.col]]);
+    assert.is(grid.getCell(resident.row, resident.col), null, "default stamps evict");
+  } finally {
+    simulation.destroy();
+  }
+});
@@ -0,0 +1,191 @@
+import { assert, test } from "#tests/harness";
+import { deflateSync, inflateSync } from "node:zlib";
+
+const obstacleMapsModulePromise = import("../src/grid/obstacleMaps.js");
+
+function encodeTestPng(width, height, colorType, scanlines, extraChunks = []) {
+  const chunk = (type, data) => {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint32(0, data.length);
+    bytes.set(
+      Array.from(type, (char) => char.charCodeAt(0)),
+      4,
+    );
+    bytes.set(data, 8);
+
+    return bytes;
+  };
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = 8;
+  header[9] = colorType;
+
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    ...extraChunks.map(([type, data]) => chunk(type, new Uint8Array(data))),
+    chunk("IDAT", deflateSync(Uint8Array.from(scanlines.flat()))),
+    chunk("IEND", new Uint8Array(0)),
+  ];
+
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+test("ASCII and pixel maps mark walls and scale to the grid", async () => {
+  const { parseAsciiObstacleMap, obstacleMapFromPixels, sampleObstacleMap } =
+    await obstacleMapsModulePromise;
+  const ascii = parseAsciiObstacleMap("#.#\n.\n##.\n\n");
+
+  assert.is(ascii.width, 3);
+  assert.is(ascii.height, 3);
+  assert.equal(Array.from(ascii.walls), [1, 0, 1, 0, 0, 0, 1, 1, 0]);
+  assert.throws(() => parseAsciiObstacleMap("\n  \n"), TypeError);
+
+  const pixels = obstacleMapFromPixels({
+    width: 3,
+    height: 1,
+    data: [0, 0, 0, 255, 255, 255, 255, 255, 10, 10, 10, 0],
+  });
+
+  assert.equal(Array.from(pixels.walls), [1, 0, 0], "transparent pixels stay open");
+
+  const doubled = sampleObstacleMap({ width: 2, height: 1, walls: [1, 0] }, 2, 4);
+
+  assert.equal(Array.from(doubled), [1, 1, 0, 0, 1, 1, 0, 0]);
+});
+
+test("decodePng unfilters RGB scanlines and expands palettes", async () => {
+  const { decodePng } = await import("../src/utils/png.js");
+  const rgb = decodePng(
+    encodeTestPng(2, 2, 2, [
+      [1, 10, 20, 30, 5, 5, 5],
+      [2, 1, 1, 1, 2, 2, 2],
+    ]),
+    { inflate: inflateSync },
+  );
+
+  assert.is(rgb.width, 2);
+  assert.equal(
+    Array.from(rgb.data),
+    [10, 20, 30, 255, 15, 25, 35, 255, 11, 21, 31, 255, 17, 27, 37, 255],
+  );
+
+  const palette = decodePng(
+    encodeTestPng(
+      2,
+      1,
+      3,
+      [[0, 1, 0]],
+      [
+        ["PLTE", [0, 0, 0, 200, 100, 50]],
+        ["tRNS", [0]],
+      ],
+    ),
+    { inflate: inflateSync },
+  );
+
+  assert.equal(Array.from(palette.data), [200, 100, 50, 255, 0, 0, 0, 0]);
+  assert.throws(
+    () => decodePng(new Uint8Array(8), { inflate: inflateSync }),
+    TypeError,
+  );
+});
+
+test("GridManager applies registered map presets and rescales them on resize", async () => {
+  const originalWindow = global.window;
+
+  if (typeof global.window === "undefined") {
+    global.window = {};
+  }
+
+  const { createObstacleMapPreset, parseAsciiObstacleMap } =
+    await obstacleMapsModulePromise;
+  const { default: GridManager } = await import("../src/grid/gridManager.js");
+
+  class TestGridManager extends GridManager {
+    init() {}
+  }
+
+  try {
+    const gm = new TestGridManager(4, 4, {
+      eventManager: { activeEvents: [] },
+      stats: {},
+      ctx: {},
+      cellSize: 1,
+    });
+    const preset = gm.registerObstaclePreset(
+      createObstacleMapPreset({
+        name: "Left Wall.txt",
+        map: parseAsciiObstacleMap("#.\n#."),
+      }),
+    );
+
+    assert.is(preset.id, "map-left-wall");
+    assert.is(preset.label, "Left Wall");
+    assert.is(gm.registerObstaclePreset({ id: "broken", map: { width: 2 } }), null);
+
+    gm.applyObstaclePreset(preset.id);
+
+    assert.is(gm.currentObstaclePreset, "map-left-wall");
+    assert.equal(
+      gm.obstacles.map((row) => row.map(Number)),
+      [
+        [1, 1, 0, 0],
+        [1, 1, 0, 0],
+        [1, 1, 0, 0],
+        [1, 1, 0, 0],
+      ],
+    );
+
+    gm.resize(2, 6);
+
+    assert.equal(
+      gm.obstacles.map((row) => row.map(Number)),
+      [
+        [1, 1, 1, 0, 0, 0],
+        [1, 1, 1, 0, 0, 0],
+      ],
+    );
+  } finally {
+    if (originalWindow === undefined) {
+      delete global.window;
+    } else {
+      global.window = originalWindow;
+    }
+  }
+});
+
+test("headless runs load obstacle maps from a file path", async () => {
+  const { loadObstacleMapPreset } = await import("../scripts/obstacle-maps.mjs");
+  const { createSimulation } = await import("../src/main.js");
+  const preset = await loadObstacleMapPreset(
+    "scripts/experiments/maps/twin-basins.txt",
+  );
+  const simulation = createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    seed: 3,
+    config: {
+      rows: 12,
+      cols: 20,
+      cellSize: 2,
+      obstaclePresets: [preset],
+      initialObstaclePreset: preset.id,
+    },
+  });
+
+  try {
+    assert.is(simulation.engine.getCurrentObstaclePreset(), "map-twin-basins");
+    assert.ok(simulation.grid.isObstacle(0, 0));
+    assert.ok(simulation.grid.isObstacle(1, 9), "the dividing wall is blocked");
+    assert.not.ok(simulation.grid.isObstacle(3, 9), "the gap stays open");
+  } finally {
+    simulation.destroy();
+  }
+});
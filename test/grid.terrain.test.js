@@ -0,0 +1,133 @@
+import { assert, test } from "#tests/harness";
+import {
+  TERRAIN_BIOMES,
+  generateTerrain,
+  getTerrainBiome,
+  parseAsciiTerrainMap,
+  resolveTerrainSpec,
+} from "../src/grid/terrain.js";
+import { computeTileEnergyUpdate } from "../src/energySystem.js";
+
+if (typeof globalThis.window === "undefined") {
+  globalThis.window = {};
+}
+
+const baseOptions = {
+  eventManager: { activeEvents: [] },
+  stats: {
+    onDeath() {},
+    onBirth() {},
+  },
+  ctx: {},
+  cellSize: 1,
+};
+
+async function createGrid(rows, cols, terrain) {
+  const [{ default: GridManager }, { default: Cell }, { default: DNA }] =
+    await Promise.all([
+      import("../src/grid/gridManager.js"),
+      import("../src/cell.js"),
+      import("../src/genome.js"),
+    ]);
+
+  class TestGridManager extends GridManager {
+    init() {}
+    consumeEnergy() {}
+  }
+
+  const gm = new TestGridManager(rows, cols, { ...baseOptions, terrain });
+  const place = (row, col) => {
+    const cell = new Cell(row, col, new DNA(7, 11, 13), 10);
+
+    gm.setCell(row, col, cell);
+
+    return cell;
+  };
+
+  return { gm, place };
+}
+
+test("terrain maps parse symbols and noise terrain is reproducible", () => {
+  const map = parseAsciiTerrainMap(".:~^\nPDMR\n");
+
+  assert.is(map.width, 4);
+  assert.is(map.height, 2);
+  assert.equal(Array.from(map.biomes), [0, 1, 2, 3, 0, 1, 2, 3]);
+  assert.throws(() => parseAsciiTerrainMap("\n\n"), TypeError);
+
+  const first = generateTerrain(20, 30, { seed: 9 });
+
+  assert.equal(first, generateTerrain(20, 30, { seed: 9 }));
+  assert.ok(new Set(first).size > 1, "generated terrain mixes more than one biome");
+
+  assert.is(resolveTerrainSpec("none"), null);
+  assert.equal(resolveTerrainSpec("noise", () => 0.5).type, "noise");
+  assert.throws(() => resolveTerrainSpec({ width: 2, height: 2 }), TypeError);
+  assert.is(getTerrainBiome("marsh"), TERRAIN_BIOMES[2]);
+});
+
+test("biomes scale regeneration and cap tile energy", async () => {
+  const { gm } = await createGrid(2, 2, { map: parseAsciiTerrainMap("..\n::") });
+  const desert = getTerrainBiome("desert");
+
+  assert.is(gm.getTerrainAt(1, 0), desert);
+
+  for (const row of gm.energyGrid) row.fill(0);
+  gm.markEnergyDirty(0, 0, { radius: 2 });
+  gm.regenerateEnergyGrid([], 1, 0.1, 0);
+
+  assert.ok(
+    gm.energyGrid[0][0] > gm.energyGrid[1][0] * 2,
+    "plains regrow faster than desert",
+  );
+
+  for (const row of gm.energyGrid) row.fill(gm.maxTileEnergy);
+  gm.setTerrain({ map: parseAsciiTerrainMap("::\n::") });
+
+  assert.is(gm.energyGrid[0][0], gm.maxTileEnergy * desert.energyCap);
+
+  gm.setTerrain(null);
+
+  assert.is(gm.terrain, null);
+  assert.is(gm.getTerrainAt(0, 0), null);
+});
+
+test("stepping onto costly terrain drains more energy", async () => {
+  const { gm, place } = await createGrid(1, 4, { map: parseAsciiTerrainMap("..~~") });
+  const plainsWalker = place(0, 0);
+  const marshWalker = place(0, 2);
+  const plainsStart = plainsWalker.energy;
+  const marshStart = marshWalker.energy;
+
+  assert.ok(gm.boundTryMove(gm.grid, 0, 0, 0, 1, 1, 4));
+  assert.ok(gm.boundTryMove(gm.grid, 0, 2, 0, 1, 1, 4));
+
+  const plainsCost = plainsStart - plainsWalker.energy;
+  const marshCost = marshStart - marshWalker.energy;
+
+  assert.ok(plainsCost > 0);
+  assert.ok(Math.abs(marshCost - plainsCost * 2) < 1e-9, "marsh costs double");
+});
+
+test("computeTileEnergyUpdate applies biome multipliers", () => {
+  const config = { maxTileEnergy: 10, regenRate: 0.5, diffusionRate: 0.5 };
+  const base = { currentEnergy: 5, neighborEnergies: [9], row: 0, col: 0, config };
+  const plain = computeTileEnergyUpdate(base);
+  const rock = computeTileEnergyUpdate({ ...base, terrain: getTerrainBiome("rock") });
+
+  assert.ok(rock.nextEnergy <= 10 * getTerrainBiome("rock").energyCap);
+  assert.ok(rock.nextEnergy < plain.nextEnergy);
+});
+
+test("terrain survives world export and import", async () => {
+  const { gm } = await createGrid(4, 4, { type: "noise", seed: 21 });
+  const state = gm.exportWorldState();
+
+  assert.equal(state.terrain, { type: "noise", seed: 21, scale: 4 });
+
+  const { gm: restored } = await createGrid(4, 4, null);
+
+  restored.importWorldState(JSON.parse(JSON.stringify(state)));
+
+  assert.equal(Array.from(restored.terrain), Array.from(gm.terrain));
+});
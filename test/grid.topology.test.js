@@ -0,0 +1,199 @@
+import { assert, test } from "#tests/harness";
+import {
+  resolveWorldTopology,
+  windowSegments,
+  wrapIndex,
+  wrappedDelta,
+} from "../src/grid/topology.js";
+import {
+  isTileInFootprint,
+  isTileInWrappedFootprint,
+  normalizeEventFootprint,
+  syncEventArea,
+} from "../src/events/eventFootprint.js";
+import EventManager from "../src/events/eventManager.js";
+
+if (typeof globalThis.window === "undefined") {
+  globalThis.window = {};
+}
+
+const baseOptions = {
+  eventManager: { activeEvents: [] },
+  stats: {
+    onDeath() {},
+    onBirth() {},
+  },
+  ctx: {},
+  cellSize: 1,
+};
+
+async function createGrid(rows, cols, topology) {
+  const [{ default: GridManager }, { default: Cell }, { default: DNA }] =
+    await Promise.all([
+      import("../src/grid/gridManager.js"),
+      import("../src/cell.js"),
+      import("../src/genome.js"),
+    ]);
+
+  class TestGridManager extends GridManager {
+    init() {}
+    consumeEnergy() {}
+  }
+
+  const gm = new TestGridManager(rows, cols, { ...baseOptions, topology });
+  const place = (row, col) => {
+    const cell = new Cell(row, col, new DNA(7, 11, 13), 10);
+
+    gm.setCell(row, col, cell);
+
+    return cell;
+  };
+
+  return { gm, place };
+}
+
+test("topology helpers wrap indices, deltas and windows", () => {
+  assert.is(resolveWorldTopology("Torus"), "torus");
+  assert.is(resolveWorldTopology("klein"), "bounded");
+
+  assert.is(wrapIndex(-1, 5, true), 4);
+  assert.is(wrapIndex(5, 5, true), 0);
+  assert.is(wrapIndex(-1, 5, false), -1);
+
+  assert.is(wrappedDelta(0, 4, 5, true), -1, "the short way round crosses the edge");
+  assert.is(wrappedDelta(0, 4, 5, false), 4);
+
+  assert.equal(windowSegments(0, 1, 5, false), [0, 2]);
+  assert.equal(windowSegments(0, 1, 5, true), [4, 5, 0, 2]);
+  assert.equal(
+    windowSegments(2, 3, 5, true),
+    [0, 5],
+    "wide windows cover the axis once",
+  );
+});
+
+test("cells step across wrapping edges only on wrapping axes", async () => {
+  const torus = await createGrid(4, 4, "torus");
+  const mover = torus.place(0, 0);
+
+  assert.ok(torus.gm.boundTryMove(torus.gm.grid, 0, 0, -1, 0, 4, 4));
+  assert.is(torus.gm.grid[3][0], mover);
+  assert.is(mover.row, 3);
+  assert.ok(torus.gm.relocateCell(3, 0, 3, -1), "relocation wraps too");
+  assert.is(torus.gm.grid[3][3], mover);
+
+  const cylinder = await createGrid(4, 4, "cylinder");
+
+  cylinder.place(0, 0);
+
+  assert.not.ok(cylinder.gm.boundTryMove(cylinder.gm.grid, 0, 0, -1, 0, 4, 4));
+  assert.ok(cylinder.gm.boundTryMove(cylinder.gm.grid, 0, 0, 0, -1, 4, 4));
+  assert.ok(cylinder.gm.grid[0][3]);
+  assert.is(cylinder.gm.tileDistance(0, 0, 0, 3), 1);
+  assert.is(cylinder.gm.tileDistance(0, 0, 3, 0), 3);
+});
+
+test("density and target scans see neighbours across the seam", async () => {
+  const { gm, place } = await createGrid(6, 6, "bounded");
+  const origin = place(0, 0);
+
+  place(5, 5);
+
+  assert.is(gm.densityCounts[0][0], 0);
+  assert.is(gm.densityTotals[0][0], 3);
+
+  gm.setTopology("torus");
+
+  assert.is(gm.topology, "torus");
+  assert.is(gm.densityCounts[0][0], 1, "the opposite corner is a neighbour");
+  assert.is(gm.densityTotals[0][0], 8);
+  assert.is(gm.localDensity(0, 0, 2), 1 / 24);
+
+  origin.sight = 1;
+  origin.dna.allyThreshold = () => 2;
+  origin.dna.enemyThreshold = () => -1;
+
+  const { mates, enemies, society } = gm.findTargets(0, 0, origin);
+
+  assert.is(mates.length + enemies.length + society.length, 1);
+  assert.is((mates[0] ?? enemies[0] ?? society[0]).row, 5);
+});
+
+test("energy diffuses across the cylinder seam", async () => {
+  const { gm } = await createGrid(3, 4, "cylinder");
+
+  for (const row of gm.energyGrid) row.fill(0);
+  gm.energyGrid[1][0] = gm.maxTileEnergy;
+  gm.markEnergyDirty(1, 0, { radius: 1 });
+
+  gm.regenerateEnergyGrid([], 1, 0, 0.5);
+
+  assert.ok(
+    gm.energyGrid[1][3] > gm.energyGrid[1][2] * 2,
+    "the east edge is fed directly from the west edge",
+  );
+});
+
+test("events wrap their footprints and re-enter from the opposite edge", async () => {
+  const footprint = normalizeEventFootprint({
+    shape: "circle",
+    x: 0.5,
+    y: 2,
+    radius: 1.5,
+  });
+  const wrap = { wrapRows: false, wrapCols: true };
+
+  assert.not.ok(isTileInFootprint(footprint, 1, 5));
+  assert.ok(isTileInWrappedFootprint(footprint, 1, 5, 4, 6, wrap));
+
+  const manager = new EventManager(4, 6, () => 0.5, { topology: "cylinder" });
+  const drifting = manager.spawnEvent({
+    eventType: "flood",
+    duration: 10,
+    footprint: { shape: "rect", x: 4.5, y: 1, width: 1, height: 2 },
+    motion: { speed: 1, heading: 0 },
+  });
+
+  manager.activeEvents = [drifting];
+  manager.updateEvent(0, 1);
+  manager.updateEvent(0, 1);
+
+  assert.is(manager.activeEvents.length, 1, "the event survives crossing the edge");
+  assert.is(drifting.footprint.x, 0.5);
+  assert.is(drifting.affectedArea.x, 0);
+
+  const { gm } = await createGrid(4, 6, "cylinder");
+  const edgeEvent = {
+    eventType: "flood",
+    strength: 1,
+    remaining: 5,
+    footprint: normalizeEventFootprint({
+      shape: "rect",
+      x: 5,
+      y: 0,
+      width: 2,
+      height: 4,
+    }),
+  };
+
+  syncEventArea(edgeEvent, 4, 6);
+  for (const row of gm.energyGrid) row.fill(1);
+  gm.regenerateEnergyGrid([edgeEvent], 1, 0, 0);
+
+  assert.ok(gm.energyGrid[0][0] !== 1, "the part past the east edge lands on column 0");
+  assert.is(gm.energyGrid[0][2], 1);
+});
+
+test("selection zones resolve wrapped coordinates", async () => {
+  const { default: SelectionManager } = await import("../src/grid/selectionManager.js");
+  const manager = new SelectionManager(4, 8);
+
+  manager.togglePattern("eastHalf", true);
+
+  assert.not.ok(manager.isInActiveZone(0, -1));
+
+  manager.setTopology("cylinder");
+
+  assert.ok(manager.isInActiveZone(0, -1), "column -1 wraps onto the east half");
+  assert.not.ok(manager.isInActiveZone(0, 8));
+});
@@ -0,0 +1,120 @@
+import { assert, test } from "#tests/harness";
+import { approxEqual } from "./helpers/assertions.js";
+import {
+  countTrophicRoles,
+  grazingEfficiency,
+  resolvePredation,
+  resolveTrophicRole,
+} from "../src/grid/trophic.js";
+import DNA, { GENE_LOCI } from "../src/genome.js";
+import { migrateWorldSnapshot } from "../src/engine/worldSnapshot.js";
+import { createSimulation } from "../src/main.js";
+
+const withCarnivory = (byte) => {
+  const dna = DNA.random(() => 0.5);
+
+  dna.genes[GENE_LOCI.CARNIVORY] = byte;
+
+  return { dna };
+};
+
+test("the carnivory gene maps cells onto trophic roles", () => {
+  assert.is(resolveTrophicRole(withCarnivory(0)), "herbivore");
+  assert.is(resolveTrophicRole(withCarnivory(128)), "omnivore");
+  assert.is(resolveTrophicRole(withCarnivory(255)), "predator");
+  assert.is(resolveTrophicRole(null), "herbivore");
+  assert.equal(
+    countTrophicRoles([
+      withCarnivory(0),
+      { cell: withCarnivory(255) },
+      withCarnivory(240),
+      null,
+    ]),
+    { herbivore: 1, omnivore: 0, predator: 2 },
+  );
+
+  assert.is(grazingEfficiency(0), 1);
+  approxEqual(grazingEfficiency(1), 0.15);
+  assert.equal(resolvePredation(0, 10), { eaten: 0, gained: 0 });
+  assert.equal(resolvePredation(1, -3), { eaten: 0, gained: 0 });
+});
+
+test("trophic mode scales grazing by carnivory", async () => {
+  const [{ default: GridManager }, { default: Cell }] = await Promise.all([
+    import("../src/grid/gridManager.js"),
+    import("../src/cell.js"),
+  ]);
+
+  class TestGridManager extends GridManager {
+    init() {}
+  }
+
+  const harvest = (carnivory, trophicMode) => {
+    const gm = new TestGridManager(1, 1, {
+      eventManager: { activeEvents: [] },
+      stats: { onDeath() {}, onBirth() {} },
+      ctx: {},
+      cellSize: 1,
+    });
+    const cell = new Cell(0, 0, withCarnivory(carnivory).dna, 0);
+
+    gm.trophicMode = trophicMode;
+    gm.energyGrid[0][0] = gm.maxTileEnergy;
+    gm.consumeEnergy(cell, 0, 0, [[0]]);
+
+    return cell.energy;
+  };
+
+  const grazer = harvest(0, true);
+  const hunter = harvest(255, true);
+
+  assert.ok(grazer > 0);
+  approxEqual(hunter, grazer * 0.15, 1e-9);
+  assert.is(harvest(255, false), grazer, "grazing is unchanged outside trophic mode");
+});
+
+test("version 1 world snapshots gain a zero carnivory gene", () => {
+  const legacyGenes = Array.from({ length: 40 }, (_, index) => index + 1);
+  const migrated = migrateWorldSnapshot({
+    format: "colourful-life/world",
+    version: 1,
+    grid: { cells: [{ row: 0, col: 0, genes: legacyGenes }] },
+  });
+  const [{ genes }] = migrated.grid.cells;
+
+  assert.is(genes.length, legacyGenes.length + 1);
+  assert.is(genes[GENE_LOCI.CARNIVORY], 0);
+  assert.is(genes[GENE_LOCI.CARNIVORY + 1], legacyGenes[GENE_LOCI.CARNIVORY]);
+});
+
+test("stats record per-role population series", () => {
+  const simulation = createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    seed: 11,
+    config: { rows: 16, cols: 16, cellSize: 4, trophicMode: true },
+  });
+
+  try {
+    assert.is(simulation.engine.state.trophicMode, true);
+
+    simulation.step();
+    simulation.step();
+
+    const { history } = simulation.engine.stats;
+    const roles = countTrophicRoles(
+      simulation.engine.grid.grid.flat().filter((cell) => cell),
+    );
+
+    assert.is(history.herbivores.length, 2);
+    assert.is(history.herbivores.at(-1), roles.herbivore);
+    assert.is(history.omnivores.at(-1), roles.omnivore);
+    assert.is(history.predators.at(-1), roles.predator);
+
+    simulation.engine.updateSetting("trophicMode", false);
+    assert.is(simulation.engine.state.trophicMode, false);
+  } finally {
+    simulation.destroy();
+  }
+});
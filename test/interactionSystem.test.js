@@ -212,6 +212,51 @@ test("fight victory removes defender, relocates attacker, and consumes tile ener
   });
 });
 
+test("trophic mode lets fight winners feed on their prey", () => {
+  const fight = (carnivory, options) => {
+    const adapter = new FakeAdapter();
+    const interaction = new InteractionSystem({ adapter });
+    const combatant = (energy) => ({
+      energy,
+      dna: {
+        fightCost: () => 0,
+        combatPower: () => 1,
+        carnivory: () => carnivory,
+      },
+      ageEnergyMultiplier: () => 1,
+    });
+    const attacker = adapter.place(combatant(5), 0, 0);
+    const defender = adapter.place(combatant(10), 0, 1);
+
+    withFixedRandom(0, () =>
+      interaction.resolveIntent(
+        {
+          type: "fight",
+          initiator: { cell: attacker, row: 0, col: 0 },
+          target: { row: 0, col: 1 },
+        },
+        options,
+      ),
+    );
+
+    return { attacker, defender };
+  };
+
+  const predator = fight(1, { trophicMode: true });
+
+  approxEqual(predator.attacker.energy, 9.8, 1e-9, "predator assimilates its kill");
+  approxEqual(predator.defender.energy, 2, 1e-9, "uneaten energy is left to decay");
+
+  const herbivore = fight(0, { trophicMode: true });
+
+  assert.is(herbivore.attacker.energy, 5, "herbivores do not eat what they kill");
+
+  const classic = fight(1, {});
+
+  assert.is(classic.attacker.energy, 5, "trophic mode is opt-in");
+  assert.is(classic.defender.energy, 10);
+});
+
 test("ranged fight victory leaves attacker in place", () => {
   const adapter = new FakeAdapter();
   const interaction = new InteractionSystem({ adapter });
@@ -0,0 +1,168 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { inflateSync } from "node:zlib";
+import {
+  expandExperimentRuns,
+  loadExperimentSpec,
+  parseExperimentArgs,
+  runExperiments,
+  toCsv,
+} from "../scripts/run-experiments.mjs";
+import { SIMULATION_DEFAULTS } from "../src/config.js";
+import { decodePng } from "../src/utils/png.js";
+
+test("expandExperimentRuns crosses the override matrix with every seed", () => {
+  const { runs } = expandExperimentRuns(
+    {
+      rows: 10,
+      cols: 12,
+      ticks: 4,
+      seeds: [1, 2],
+      overrides: { eventFrequencyMultiplier: 0 },
+      matrix: { mutationMultiplier: [0.5, 1], matingDiversityThreshold: [0.4] },
+    },
+    SIMULATION_DEFAULTS,
+  );
+
+  assert.deepEqual(
+    runs.map(({ id, seed, overrides }) => [id, seed, overrides.mutationMultiplier]),
+    [
+      ["run-1", 1, 0.5],
+      ["run-2", 2, 0.5],
+      ["run-3", 1, 1],
+      ["run-4", 2, 1],
+    ],
+  );
+  assert.equal(runs[0].overrides.eventFrequencyMultiplier, 0);
+  assert.deepEqual(runs[0].parameters, {
+    mutationMultiplier: 0.5,
+    matingDiversityThreshold: 0.4,
+  });
+  assert.throws(
+    () => expandExperimentRuns({ matrix: { warpDrive: [1] } }, SIMULATION_DEFAULTS),
+    /"warpDrive" is not a SIMULATION_DEFAULTS setting/,
+  );
+});
+
+test("parseExperimentArgs and toCsv handle options and quoting", () => {
+  assert.deepEqual(parseExperimentArgs(["spec.json", "--workers=2", "--out", "tmp"]), {
+    specPath: "spec.json",
+    help: false,
+    workers: 2,
+    out: "tmp",
+  });
+  assert.equal(parseExperimentArgs(["spec.json", "--frames", "5"]).frameEvery, 5);
+  assert.equal(toCsv([{ a: 1, b: "x,y" }, { a: 2 }]), 'a,b\n1,"x,y"\n2,\n');
+});
+
+test("loadExperimentSpec parses YAML and JSON specs by extension", async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "colourful-life-specs-"));
+
+  try {
+    const yamlPath = path.join(dir, "probe.yml");
+    const jsonPath = path.join(dir, "probe.json");
+
+    await writeFile(
+      yamlPath,
+      "ticks: 5\nseeds: [1, 2]\nmatrix:\n  mutationMultiplier: [0.5]\n",
+    );
+    await writeFile(jsonPath, JSON.stringify({ ticks: 5, seeds: [1, 2] }));
+
+    assert.deepEqual(await loadExperimentSpec(yamlPath), {
+      ticks: 5,
+      seeds: [1, 2],
+      matrix: { mutationMultiplier: [0.5] },
+    });
+    assert.deepEqual(await loadExperimentSpec(jsonPath), { ticks: 5, seeds: [1, 2] });
+
+    await writeFile(jsonPath, JSON.stringify({ obstacleMap: "maps/walls.txt" }));
+
+    assert.equal(
+      (await loadExperimentSpec(path.relative(process.cwd(), jsonPath))).obstacleMap,
+      path.join(dir, "maps", "walls.txt"),
+      "relative maps resolve against the spec, not the working directory",
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("runExperiments writes per-run series and a summary table", async () => {
+  const outDir = await mkdtemp(path.join(os.tmpdir(), "colourful-life-experiments-"));
+
+  try {
+    const spec = {
+      name: "tiny",
+      rows: 8,
+      cols: 8,
+      cellSize: 4,
+      ticks: 3,
+      seeds: [7],
+      matrix: { mutationMultiplier: [0.5, 1.5] },
+      series: ["population", "diversity"],
+    };
+    const summaries = await runExperiments(spec, { outDir, workers: 2 });
+
+    assert.equal(summaries.length, 2);
+    assert.deepEqual(
+      summaries.map(({ id, mutationMultiplier, ticks }) => [
+        id,
+        mutationMultiplier,
+        ticks,
+      ]),
+      [
+        ["run-1", 0.5, 3],
+        ["run-2", 1.5, 3],
+      ],
+    );
+
+    const csv = await readFile(path.join(outDir, "run-1.csv"), "utf8");
+    const json = JSON.parse(await readFile(path.join(outDir, "run-2.json"), "utf8"));
+    const summaryCsv = await readFile(path.join(outDir, "summary.csv"), "utf8");
+
+    assert.match(csv, /^sample,population,diversity\n0,/);
+    assert.equal(json.series.population.length, 3);
+    assert.match(summaryCsv, /^id,seed,mutationMultiplier,ticks,finalPopulation/);
+  } finally {
+    await rm(outDir, { recursive: true, force: true });
+  }
+});
+
+test("runExperiments writes PNG frames every frameEvery ticks", async () => {
+  const outDir = await mkdtemp(path.join(os.tmpdir(), "colourful-life-frames-"));
+
+  try {
+    const [summary] = await runExperiments(
+      {
+        rows: 6,
+        cols: 8,
+        cellSize: 2,
+        ticks: 5,
+        seeds: [3],
+        overrides: { showDensity: true },
+        format: "json",
+      },
+      { outDir, workers: 1, frameEvery: 2 },
+    );
+    const framesDir = path.join(outDir, "run-1-frames");
+
+    assert.equal(summary.frames, 2);
+    assert.deepEqual((await readdir(framesDir)).sort(), [
+      "frame-000002.png",
+      "frame-000004.png",
+    ]);
+
+    const frame = decodePng(await readFile(path.join(framesDir, "frame-000004.png")), {
+      inflate: inflateSync,
+    });
+
+    assert.equal(frame.width, 16);
+    assert.equal(frame.height, 12);
+    assert.ok(frame.data.some((value) => value > 0));
+  } finally {
+    await rm(outDir, { recursive: true, force: true });
+  }
+});
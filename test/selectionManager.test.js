@@ -480,3 +480,88 @@ test("definePatterns hook re-runs when the grid dimensions change", () => {
     "interior remains excluded after resize",
   );
 });
+
+test("custom zones paint bitmask tiles and ignore reproduction checks while empty", () => {
+  const manager = createManager(8, 8);
+  const id = manager.createCustomZone({ name: "Pocket" });
+
+  assert.is(id, "custom-1");
+  assert.is(manager.hasActiveZones(), false, "empty custom zones do not restrict");
+
+  assert.is(
+    manager.paintCustomZone(id, {
+      shape: "rect",
+      row: 1,
+      col: 1,
+      rowSpan: 2,
+      colSpan: 3,
+    }),
+    6,
+  );
+  assert.is(
+    manager.paintCustomZone(id, [
+      [1, 1],
+      [5, 5],
+    ]),
+    1,
+    "only new tiles count",
+  );
+  assert.ok(manager.hasActiveZones());
+  assert.ok(manager.isInActiveZone(2, 3));
+  assert.ok(manager.isInActiveZone(5, 5));
+  assert.not.ok(manager.isInActiveZone(0, 0));
+  assert.is(manager.describeActiveZones(), "Pocket");
+  assert.equal(manager.getActiveZoneRenderData()[0].geometry.bounds, {
+    startRow: 1,
+    endRow: 5,
+    startCol: 1,
+    endCol: 5,
+  });
+
+  manager.paintCustomZone(id, [[5, 5]], { erase: true });
+  assert.not.ok(manager.isInActiveZone(5, 5));
+
+  const circle = manager.createCustomZone({
+    shapes: [{ shape: "circle", row: 6, col: 6, radius: 1 }],
+    active: false,
+  });
+
+  assert.is(manager.getCustomZones().find((zone) => zone.id === circle).tileCount, 9);
+  assert.throws(() => manager.createCustomZone({ id: "eastHalf" }), RangeError);
+  assert.ok(manager.removeCustomZone(id));
+  assert.is(manager.hasActiveZones(), false);
+  assert.ok(
+    manager.getPatterns().every((pattern) => pattern.id !== id),
+    "deleted zones leave the pattern list",
+  );
+});
+
+test("custom zones round-trip through JSON and survive resizes", () => {
+  const manager = createManager(6, 6);
+  const id = manager.createCustomZone({
+    name: "Ring",
+    color: "rgba(10, 20, 30, 0.24)",
+    tiles: [
+      [0, 0],
+      [0, 1],
+      [4, 5],
+    ],
+  });
+  const exported = JSON.stringify(manager.exportCustomZones());
+  const restored = createManager(4, 4);
+
+  assert.equal(restored.importCustomZones(exported), [id]);
+  assert.equal(restored.getCustomZones(), [
+    { id, name: "Ring", color: "rgba(10, 20, 30, 0.24)", active: true, tileCount: 2 },
+  ]);
+  assert.ok(restored.isInActiveZone(0, 1));
+  assert.throws(() => restored.importCustomZones({ zones: [] }), TypeError);
+
+  manager.setDimensions(8, 8);
+  assert.ok(manager.isInActiveZone(4, 5), "tiles keep their coordinates");
+  assert.not.ok(manager.isInActiveZone(4, 6));
+  assert.is(manager.getCustomZones()[0].active, true);
+
+  manager.setDimensions(3, 3);
+  assert.is(manager.getCustomZones()[0].tileCount, 2, "tiles beyond the grid drop");
+});
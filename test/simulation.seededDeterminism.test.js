@@ -0,0 +1,67 @@
+import { assert, test } from "#tests/harness";
+import { createRngStreams, deriveStreamSeed } from "../src/utils/math.js";
+
+const TICKS = 40;
+
+async function recordHistory(seed) {
+  const { createSimulation } = await import("../src/main.js");
+  const simulation = createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    seed,
+    config: {
+      rows: 20,
+      cols: 20,
+      cellSize: 4,
+      eventFrequencyMultiplier: 2,
+    },
+  });
+
+  try {
+    for (let i = 0; i < TICKS; i++) simulation.step();
+
+    return JSON.stringify({
+      population: simulation.stats.getHistorySeries("population"),
+      diversity: simulation.stats.getHistorySeries("diversity"),
+      totals: simulation.stats.totals,
+      world: simulation.exportWorld(),
+    });
+  } finally {
+    simulation.destroy();
+  }
+}
+
+test(
+  "headless runs with the same seed produce byte-identical histories",
+  { concurrency: false },
+  async () => {
+    const originalRandom = Math.random;
+
+    Math.random = () => {
+      throw new Error("Seeded runs must not fall back to Math.random.");
+    };
+
+    try {
+      const first = await recordHistory(2024);
+      const second = await recordHistory(2024);
+      const other = await recordHistory("another-seed");
+
+      assert.is(first, second);
+      assert.is.not(first, other);
+    } finally {
+      Math.random = originalRandom;
+    }
+  },
+);
+
+test("createRngStreams derives independent named streams", () => {
+  const streams = createRngStreams(7);
+  const again = createRngStreams(7);
+
+  assert.equal(Object.keys(streams), ["grid", "events", "stats", "breeding"]);
+  assert.is(streams.grid(), again.grid());
+  assert.is.not(streams.events(), streams.stats());
+  assert.is(deriveStreamSeed("7", "grid"), deriveStreamSeed(7, "grid"));
+  assert.is.not(deriveStreamSeed(7, "grid"), deriveStreamSeed(8, "grid"));
+});
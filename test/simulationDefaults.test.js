@@ -584,6 +584,8 @@ test("UIManager constructor seeds settings from resolveSimulationDefaults", asyn
   assert.is(uiManager.showLifeEventMarkers, defaults.showLifeEventMarkers);
   assert.is(uiManager.showSelectionZones, defaults.showSelectionZones);
   assert.is(uiManager.showGridLines, defaults.showGridLines);
+  assert.is(uiManager.showTerrain, defaults.showTerrain);
+  assert.is(uiManager.showTrophicRoles, defaults.showTrophicRoles);
   assert.is(uiManager.autoPauseOnBlur, defaults.autoPauseOnBlur);
 
   if (originalDocument === undefined) delete global.document;
@@ -619,6 +621,7 @@ test("SimulationEngine state initialization mirrors resolveSimulationDefaults",
     energyDiffusionRate: defaults.energyDiffusionRate,
     combatEdgeSharpness: defaults.combatEdgeSharpness,
     combatTerritoryEdgeFactor: defaults.combatTerritoryEdgeFactor,
+    trophicMode: defaults.trophicMode,
     showObstacles: defaults.showObstacles,
     showEnergy: defaults.showEnergy,
     showDensity: defaults.showDensity,
@@ -627,6 +630,8 @@ test("SimulationEngine state initialization mirrors resolveSimulationDefaults",
     showLifeEventMarkers: defaults.showLifeEventMarkers,
     showSelectionZones: defaults.showSelectionZones,
     showGridLines: defaults.showGridLines,
+    showTerrain: defaults.showTerrain,
+    showTrophicRoles: defaults.showTrophicRoles,
     lifeEventFadeTicks: defaults.lifeEventFadeTicks,
     lifeEventLimit: defaults.lifeEventLimit,
     leaderboardIntervalMs: defaults.leaderboardIntervalMs,
@@ -634,6 +639,10 @@ test("SimulationEngine state initialization mirrors resolveSimulationDefaults",
     matingDiversityThreshold: defaults.matingDiversityThreshold,
     lowDiversityReproMultiplier: defaults.lowDiversityReproMultiplier,
     initialTileEnergyFraction: defaults.initialTileEnergyFraction,
+    fastForward: defaults.fastForward,
+    fastForwardBudgetMs: defaults.fastForwardBudgetMs,
+    rewindMemoryMiB: defaults.rewindMemoryMiB,
+    rewindInterval: defaults.rewindInterval,
     autoPauseOnBlur: defaults.autoPauseOnBlur,
     autoPausePending: false,
   };
@@ -641,6 +650,8 @@ test("SimulationEngine state initialization mirrors resolveSimulationDefaults",
   expectedState.gridRows = engine.rows;
   expectedState.gridCols = engine.cols;
   expectedState.cellSize = engine.cellSize;
+  expectedState.topology = "bounded";
+  expectedState.lattice = "square";
 
   assert.equal(engine.state, expectedState);
 });
@@ -681,6 +692,9 @@ test("createHeadlessUiManager exposes resolveSimulationDefaults-derived values",
   assert.is(ui.getShowLifeEventMarkers(), defaults.showLifeEventMarkers);
   assert.is(ui.getShowSelectionZones(), defaults.showSelectionZones);
   assert.is(ui.getShowGridLines(), defaults.showGridLines);
+  assert.is(ui.getShowTerrain(), defaults.showTerrain);
+  assert.is(ui.getShowTrophicRoles(), defaults.showTrophicRoles);
+  assert.is(ui.getTrophicMode(), defaults.trophicMode);
   assert.is(ui.getAutoPauseOnBlur(), defaults.autoPauseOnBlur);
   assert.ok(ui.shouldRenderSlowUi(0));
   assert.ok(!ui.shouldRenderSlowUi(defaults.leaderboardIntervalMs - 1));
@@ -927,6 +927,7 @@ test("overlay visibility coercion handles string inputs", async () => {
       showLifeEventMarkers: "on",
       showSelectionZones: "true",
       showGridLines: "true",
+      showTerrain: "yes",
     });
 
     assert.is(engine.state.showObstacles, false);
@@ -941,6 +942,7 @@ test("overlay visibility coercion handles string inputs", async () => {
     assert.is(engine.state.showLifeEventMarkers, true);
     assert.is(engine.state.showSelectionZones, true);
     assert.is(engine.state.showGridLines, true);
+    assert.is(engine.state.showTerrain, true);
   } finally {
     restore();
   }
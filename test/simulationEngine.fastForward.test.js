@@ -0,0 +1,146 @@
+import { assert, test } from "#tests/harness";
+import { createSimulation } from "../src/main.js";
+
+function createFrameQueue() {
+  const callbacks = [];
+
+  return {
+    raf(cb) {
+      callbacks.push(cb);
+
+      return callbacks.length;
+    },
+    flush(timestamp) {
+      const pending = callbacks.splice(0);
+
+      pending.forEach((cb) => cb(timestamp));
+    },
+  };
+}
+
+function createHeadlessSimulation(config = {}, options = {}) {
+  return createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    requestAnimationFrame: (cb) => setTimeout(() => cb(0), 0),
+    cancelAnimationFrame: (handle) => clearTimeout(handle),
+    seed: 21,
+    config: { rows: 8, cols: 8, cellSize: 4, ...config },
+    ...options,
+  });
+}
+
+function countDraws(engine) {
+  const draw = engine.grid.draw.bind(engine.grid);
+  const counter = { draws: 0 };
+
+  engine.grid.draw = (...args) => {
+    counter.draws += 1;
+
+    return draw(...args);
+  };
+
+  return counter;
+}
+
+test("fast-forward frames run ticks until the per-frame cap and draw once", () => {
+  const frames = createFrameQueue();
+  const simulation = createHeadlessSimulation(
+    { fastForward: true },
+    { requestAnimationFrame: frames.raf, cancelAnimationFrame: () => {} },
+  );
+  const { engine } = simulation;
+
+  try {
+    const counter = countDraws(engine);
+    let ticks = 0;
+
+    engine.on("tick", () => {
+      ticks += 1;
+    });
+
+    assert.is(engine.state.fastForward, true);
+
+    engine.start();
+    frames.flush(1000);
+
+    // The frozen clock never spends the budget, so the tick cap ends the frame.
+    assert.is(ticks, 1000);
+    assert.is(engine.grid.tickCount, 1000);
+    assert.is(engine.stats.totals.ticks, 1000);
+    assert.is(counter.draws, 1, "intermediate ticks are not drawn");
+
+    engine.stop();
+    engine.tick(2000);
+    assert.is(ticks, 1001, "manual ticks stay single updates");
+
+    engine.updateSetting("fastForward", false);
+    engine.updateSetting("fastForwardBudgetMs", 9999);
+    assert.is(engine.state.fastForward, false);
+    assert.is(engine.state.fastForwardBudgetMs, 250);
+  } finally {
+    simulation.destroy();
+  }
+});
+
+test("skipAhead runs the requested ticks in chunks and reports progress", async () => {
+  const simulation = createHeadlessSimulation();
+  const { engine } = simulation;
+  const progress = [];
+
+  try {
+    engine.on("skipAhead", (entry) => progress.push(entry));
+
+    const counter = countDraws(engine);
+    const completed = await simulation.skipAhead(2500);
+
+    assert.is(completed, 2500);
+    assert.is(engine.grid.tickCount, 2500);
+    assert.is(engine.stats.totals.ticks, 2500);
+    assert.is(engine.getSkipAheadStatus(), null);
+    assert.equal(
+      progress.map(({ completed: done }) => done),
+      [0, 1000, 2000, 2500],
+    );
+    assert.equal(progress.at(-1), {
+      completed: 2500,
+      total: 2500,
+      done: true,
+      cancelled: false,
+    });
+    assert.is(counter.draws, 3, "the canvas redraws once per chunk");
+
+    await assert.rejects(() => engine.skipAhead(0), RangeError);
+  } finally {
+    simulation.destroy();
+  }
+});
+
+test("cancelSkipAhead stops after the current chunk and the loop resumes", async () => {
+  const simulation = createHeadlessSimulation();
+  const { engine } = simulation;
+  const progress = [];
+
+  try {
+    engine.on("skipAhead", (entry) => {
+      progress.push(entry);
+      if (entry.completed > 0) engine.cancelSkipAhead();
+    });
+
+    const run = engine.skipAhead(5000);
+
+    assert.equal(engine.getSkipAheadStatus(), { completed: 1000, total: 5000 });
+    assert.is(engine.tick(10), false, "the loop holds while a skip runs");
+    await assert.rejects(() => engine.skipAhead(10), /already running/);
+
+    assert.is(await run, 1000);
+    assert.is(progress.at(-1).cancelled, true);
+    assert.is(progress.at(-1).done, true);
+    assert.is(engine.cancelSkipAhead(), false);
+    assert.is(engine.tick(20), true);
+    assert.is(engine.grid.tickCount, 1001);
+  } finally {
+    simulation.destroy();
+  }
+});
@@ -92,11 +92,13 @@ test("start schedules a frame and ticking through RAF uses sanitized defaults",
       eventStrengthMultiplier: 1,
       energyRegenRate: ENERGY_REGEN_RATE_DEFAULT,
       energyDiffusionRate: ENERGY_DIFFUSION_RATE_DEFAULT,
+      climatePhase: 0,
       mutationMultiplier: 1,
       matingDiversityThreshold: 0.42,
       lowDiversityReproMultiplier: SIMULATION_DEFAULTS.lowDiversityReproMultiplier,
       combatEdgeSharpness: 3.2,
       combatTerritoryEdgeFactor: SIMULATION_DEFAULTS.combatTerritoryEdgeFactor,
+      trophicMode: false,
     });
 
     assert.is(engine.lastSnapshot, snapshot, "snapshot from update stored on engine");
@@ -0,0 +1,250 @@
+import { assert, test } from "#tests/harness";
+import { createSimulation } from "../src/main.js";
+
+function createHeadlessSimulation(seed = 9, options = {}) {
+  return createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    seed,
+    config: { rows: 16, cols: 16, cellSize: 4 },
+    ...options,
+  });
+}
+
+function run(simulation, ticks) {
+  for (let i = 0; i < ticks; i++) simulation.step();
+}
+
+const gridOf = (engine) => JSON.stringify(engine.exportWorld().grid);
+const worldOf = (engine) => JSON.parse(JSON.stringify(engine.exportWorld()));
+
+function recordRun() {
+  const simulation = createHeadlessSimulation();
+  const { engine } = simulation;
+
+  try {
+    run(simulation, 5);
+    simulation.startRecording();
+    run(simulation, 5);
+    engine.updateSetting("mutationMultiplier", 2.5);
+    engine.updateSetting("speedMultiplier", 3);
+    engine.burstRandomCells({ count: 10, radius: 2 });
+    run(simulation, 4);
+    engine.selectionManager.togglePattern("eastHalf", true);
+    run(simulation, 3);
+    engine.applyObstaclePreset("midline");
+    engine.paintObstacles(
+      [
+        [3, 3],
+        [3, 4],
+      ],
+      { blocked: true },
+    );
+    run(simulation, 3);
+    engine.spawnEvent({
+      eventType: "flood",
+      duration: 40,
+      affectedArea: { x: 0, y: 0, width: 6, height: 6 },
+    });
+    run(simulation, 2);
+    engine.cancelEvent(
+      engine.eventManager.getEventId(engine.eventManager.activeEvents[0]),
+    );
+    run(simulation, 2);
+
+    assert.equal(simulation.getRecordingStatus(), {
+      recording: true,
+      startTick: 5,
+      actions: 7,
+      tick: 24,
+      seeded: true,
+      pending: false,
+    });
+
+    const recording = simulation.stopRecording();
+
+    return { recording, grid: gridOf(engine), world: worldOf(engine) };
+  } finally {
+    simulation.destroy();
+  }
+}
+
+test("replays re-simulate a recorded run tick for tick", async () => {
+  const { recording, grid } = recordRun();
+
+  assert.equal(
+    recording.actions.map((entry) => `${entry.action}@${entry.atTick}`),
+    [
+      "updateSetting@10",
+      "burst@10",
+      "toggleZone@14",
+      "applyObstaclePreset@17",
+      "paintObstacles@17",
+      "spawnEvent@20",
+      "cancelEvent@22",
+    ],
+  );
+
+  // A different engine seed must not matter: the recording carries the RNG.
+  const simulation = createHeadlessSimulation(123);
+  const { engine } = simulation;
+  const statuses = [];
+
+  try {
+    engine.on("replay", (status) => statuses.push(status));
+
+    assert.equal(simulation.loadReplay(JSON.stringify(recording)), {
+      startTick: 5,
+      endTick: 24,
+      tick: 5,
+      seed: 9,
+      finished: false,
+    });
+    assert.is(engine.isPaused(), true);
+
+    run(simulation, 19);
+
+    assert.is(gridOf(engine), grid);
+    assert.is(engine.state.mutationMultiplier, 2.5);
+    assert.is(statuses.at(-1).finished, true);
+
+    assert.is(await simulation.seekReplay(12), 12, "seeking back restarts the replay");
+    assert.is(await simulation.seekReplay(24), 24);
+    assert.is(gridOf(engine), grid);
+    await assert.rejects(() => simulation.seekReplay(25), RangeError);
+  } finally {
+    simulation.destroy();
+  }
+});
+
+test("replays end on the recorded run's exact world", async () => {
+  const { recording, world } = recordRun();
+  const simulation = createHeadlessSimulation(123);
+  const { engine } = simulation;
+
+  try {
+    simulation.loadReplay(JSON.stringify(recording));
+    run(simulation, 19);
+
+    assert.equal(worldOf(engine), world, "stats, scenario, and RNG streams included");
+
+    await simulation.seekReplay(12);
+    await simulation.seekReplay(24);
+
+    assert.equal(worldOf(engine), world);
+  } finally {
+    simulation.destroy();
+  }
+});
+
+test("zones drawn mid-recording are replayed before they switch on", () => {
+  const config = { rows: 20, cols: 20, cellSize: 4 };
+  const live = createHeadlessSimulation(9, { config });
+  let recording;
+  let grid;
+
+  try {
+    run(live, 5);
+    live.startRecording();
+    run(live, 3);
+
+    const { selectionManager } = live.engine;
+    const id = selectionManager.createCustomZone();
+
+    selectionManager.paintCustomZone(id, [
+      [2, 2],
+      [2, 3],
+    ]);
+    run(live, 1);
+    selectionManager.paintCustomZone(id, {
+      shape: "rect",
+      row: 2,
+      col: 2,
+      rowSpan: 8,
+      colSpan: 8,
+    });
+    run(live, 19);
+
+    recording = live.stopRecording();
+    grid = gridOf(live.engine);
+  } finally {
+    live.destroy();
+  }
+
+  assert.equal(
+    recording.actions.map((entry) => `${entry.action}@${entry.atTick}`),
+    ["setCustomZones@8", "toggleZone@8", "setCustomZones@9"],
+  );
+
+  const replay = createHeadlessSimulation(123, { config });
+
+  try {
+    replay.loadReplay(JSON.stringify(recording));
+    run(replay, 23);
+
+    assert.is(replay.engine.grid.tickCount, 28);
+    assert.is(gridOf(replay.engine), grid);
+    assert.equal(replay.engine.selectionManager.getCustomZones()[0].tileCount, 64);
+  } finally {
+    replay.destroy();
+  }
+});
+
+test("interventions and running past the end fork replays", () => {
+  const { recording } = recordRun();
+  const simulation = createHeadlessSimulation();
+  const { engine } = simulation;
+
+  try {
+    simulation.loadReplay(recording);
+    run(simulation, 3);
+    engine.burstRandomCells({ count: 2 });
+
+    assert.is(simulation.getReplayStatus(), null);
+    assert.is(engine.getScenario(), null, "the recorded world ran no scenario");
+    assert.is(engine.loadScenario([]), null, "an empty scenario is no scenario");
+    assert.is(engine.exportWorld().scenario, null);
+
+    simulation.loadReplay(recording);
+    run(simulation, 20);
+
+    assert.is(simulation.getReplayStatus(), null, "ticking past endTick forks");
+    assert.is(simulation.forkReplay(), null);
+  } finally {
+    simulation.destroy();
+  }
+});
+
+test("world changes end recordings and unseeded engines cannot record", () => {
+  const simulation = createHeadlessSimulation();
+  const { engine } = simulation;
+
+  try {
+    simulation.startRecording();
+    assert.throws(() => simulation.startRecording(), /already in progress/);
+    run(simulation, 3);
+    engine.resetWorld();
+
+    assert.equal(simulation.getRecordingStatus(), {
+      recording: false,
+      startTick: null,
+      actions: 0,
+      tick: 0,
+      seeded: true,
+      pending: true,
+    });
+    assert.is(simulation.stopRecording().endTick, 3);
+    assert.is(simulation.stopRecording(), null);
+  } finally {
+    simulation.destroy();
+  }
+
+  const unseeded = createHeadlessSimulation(null);
+
+  try {
+    assert.throws(() => unseeded.startRecording(), /seeded simulation/);
+  } finally {
+    unseeded.destroy();
+  }
+});
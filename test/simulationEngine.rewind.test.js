@@ -0,0 +1,116 @@
+import { assert, test } from "#tests/harness";
+import { createSimulation } from "../src/main.js";
+
+function createHeadlessSimulation(config = {}, seed = 17) {
+  return createSimulation({
+    headless: true,
+    autoStart: false,
+    performanceNow: () => 0,
+    seed,
+    config: { rows: 12, cols: 12, cellSize: 4, rewindInterval: 5, ...config },
+  });
+}
+
+function run(simulation, ticks) {
+  for (let i = 0; i < ticks; i++) simulation.step();
+}
+
+test("stepBack restores recorded frames into the grid and stats", () => {
+  const simulation = createHeadlessSimulation();
+  const { engine } = simulation;
+  const statuses = [];
+
+  try {
+    engine.on("rewind", (status) => statuses.push(status));
+    run(simulation, 10);
+
+    const atFive = engine.getRewindStatus();
+
+    assert.is(atFive.frames, 2);
+    assert.is(statuses.at(-1).newestTick, 10);
+
+    run(simulation, 3);
+    assert.is(simulation.stepBack(), 10);
+    assert.is(engine.grid.tickCount, 10);
+    assert.is(engine.stats.totals.ticks, 10);
+    assert.is(engine.stats.history.population.length, 10);
+    assert.is(simulation.stepBack(), 5);
+    assert.is(simulation.stepBack(), null, "nothing older than the first frame");
+    assert.is(simulation.scrubTo(12), 10, "later frames survive until ticking");
+    assert.throws(() => simulation.scrubTo("soon"), RangeError);
+  } finally {
+    simulation.destroy();
+  }
+});
+
+test("resuming from a restored frame reproduces the original future", () => {
+  const simulation = createHeadlessSimulation();
+  const { engine } = simulation;
+
+  try {
+    run(simulation, 20);
+
+    const original = JSON.stringify(engine.exportWorld());
+
+    assert.is(simulation.scrubTo(10), 10);
+    run(simulation, 7);
+    assert.is(engine.getRewindStatus().newestTick, 15, "the old future is discarded");
+
+    run(simulation, 3);
+    assert.is(JSON.stringify(engine.exportWorld()), original);
+
+    simulation.scrubTo(10);
+    run(simulation, 10);
+
+    assert.is(JSON.stringify(engine.exportWorld()), original);
+  } finally {
+    simulation.destroy();
+  }
+});
+
+test("restored frames keep the brain activity stats read between evaluations", () => {
+  const simulation = createHeadlessSimulation({ rows: 20, cols: 20 }, 21);
+  const { engine } = simulation;
+
+  try {
+    run(simulation, 30);
+
+    const original = JSON.stringify(engine.exportWorld());
+
+    simulation.scrubTo(15);
+    run(simulation, 15);
+
+    assert.is(JSON.stringify(engine.exportWorld()), original);
+  } finally {
+    simulation.destroy();
+  }
+});
+
+test("world resets clear the history and a zero cap disables recording", () => {
+  const simulation = createHeadlessSimulation();
+  const { engine } = simulation;
+
+  try {
+    run(simulation, 5);
+    assert.is(engine.getRewindStatus().frames, 1);
+
+    engine.resetWorld();
+    assert.is(engine.getRewindStatus().frames, 0);
+
+    engine.updateSetting("rewindMemoryMiB", 0);
+    run(simulation, 5);
+    assert.equal(engine.getRewindStatus(), {
+      frames: 0,
+      oldestTick: null,
+      newestTick: null,
+      bytes: 0,
+      capacityBytes: 0,
+      tick: 5,
+    });
+
+    engine.updateSetting("rewindMemoryMiB", 9999);
+    assert.is(engine.state.rewindMemoryMiB, 512);
+  } finally {
+    simulation.destroy();
+  }
+});
@@ -0,0 +1,35 @@
+import { assert, test } from "#tests/harness";
+
+const statsModulePromise = import("../src/stats/index.js");
+
+test("exportChanges sends ring tails that keep a mirror in step", async () => {
+  const { default: Stats } = await statsModulePromise;
+  const source = new Stats(4);
+  const mirror = new Stats(4);
+
+  source.pushHistory("population", 1);
+  source.totals.ticks = 1;
+
+  const first = source.exportChanges();
+
+  assert.is(first.full, true);
+  mirror.applyChanges(first);
+  assert.equal(mirror.history.population, [1]);
+
+  [2, 3, 4, 5, 6].forEach((value) => source.pushHistory("population", value));
+  source.totals.ticks = 6;
+
+  const second = source.exportChanges(first.cursor);
+
+  assert.is(second.full, false);
+  assert.equal(second.state.appended, { "history.population": [3, 4, 5, 6] });
+  mirror.applyChanges(JSON.parse(JSON.stringify(second)));
+  assert.equal(mirror.history.population, [3, 4, 5, 6]);
+  assert.is(mirror.totals.ticks, 6);
+
+  assert.equal(source.exportChanges(second.cursor).state.appended, {});
+
+  source.resetAll();
+  assert.is(source.exportChanges(second.cursor).full, true);
+  assert.is(new Stats(4).exportChanges(second.cursor).full, true);
+});
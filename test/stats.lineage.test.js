@@ -0,0 +1,86 @@
+import { assert, test } from "#tests/harness";
+import { LineageRegistry } from "../src/stats/lineageRegistry.js";
+import { computeLeaderboard } from "../src/stats/leaderboard.js";
+
+const founder = (id) => ({ id, parentIds: [], generation: 0, cladeId: id });
+
+test("LineageRegistry prunes dead ancestors beyond the configured depth", () => {
+  const registry = new LineageRegistry({ maxDepth: 1 });
+  const a = founder(1);
+  const b = founder(2);
+  const child = { id: 3, parentIds: [1, 2], generation: 1, cladeId: 1 };
+  const grandchild = { id: 4, parentIds: [3], generation: 2, cladeId: 1 };
+  const loner = founder(5);
+
+  registry.sync([a, b, child, grandchild, loner], 1);
+  registry.sync([grandchild], 2);
+
+  assert.is(registry.livingCount, 1);
+  assert.ok(registry.getNode(3), "parent within depth survives");
+  assert.is(registry.getNode(3).deathTick, 2);
+  assert.is(registry.getNode(1), null, "grandparents beyond depth are dropped");
+  assert.is(registry.getNode(5), null, "dead lineages without descendants are dropped");
+  assert.equal(
+    registry.getAncestors(4).map((node) => node.id),
+    [3],
+  );
+  assert.equal(Array.from(registry.getCladeCounts()), [[1, 1]]);
+
+  const restored = new LineageRegistry();
+
+  restored.importState(JSON.parse(JSON.stringify(registry.exportState())));
+  assert.equal(restored.exportState(), registry.exportState());
+});
+
+test(
+  "simulated births carry stable IDs, parent links, generations, and clades",
+  { concurrency: false },
+  async () => {
+    const { createSimulation } = await import("../src/main.js");
+    const simulation = createSimulation({
+      headless: true,
+      autoStart: false,
+      performanceNow: () => 0,
+      seed: 99,
+      config: { rows: 20, cols: 20, cellSize: 4 },
+    });
+
+    try {
+      for (let i = 0; i < 40; i++) simulation.step();
+
+      const cells = Array.from(simulation.grid.activeCells);
+      const ids = cells.map((cell) => cell.id);
+
+      assert.ok(cells.length > 0);
+      assert.ok(ids.every(Number.isInteger));
+      assert.is(new Set(ids).size, ids.length);
+
+      for (const cell of cells) {
+        const node = simulation.stats.lineage.getNode(cell.id);
+
+        assert.ok(node?.alive);
+        assert.is(node.cladeId, cell.cladeId);
+        assert.ok(cell.parentIds.every((parentId) => parentId < cell.id));
+      }
+
+      const births = simulation.stats.lifeEventLog
+        .values()
+        .filter((event) => event.type === "birth" && event.cause === "reproduction");
+
+      assert.ok(births.length > 0, "expected reproduction during the run");
+
+      for (const birth of births) {
+        assert.ok(Number.isInteger(birth.cellId));
+        assert.is(birth.parentIds.length, 2);
+        assert.ok(birth.generation >= 1);
+      }
+
+      const [leader] = computeLeaderboard(simulation.grid.getLastSnapshot(), 1);
+
+      assert.ok(Number.isInteger(leader.cellId));
+      assert.ok(Number.isInteger(leader.cladeId));
+    } finally {
+      simulation.destroy();
+    }
+  },
+);
@@ -0,0 +1,182 @@
+import { assert, suite } from "#tests/harness";
+import { MockCanvas, setupDom } from "./helpers/mockDom.js";
+import { createRNG } from "../src/utils/math.js";
+
+const test = suite("ui cell inspector");
+
+const CONFIG = { rows: 10, cols: 10, cellSize: 5 };
+
+async function createInspectableSimulation() {
+  const { createSimulation } = await import("../src/main.js");
+  const canvas = new MockCanvas(50, 50);
+  const simulation = createSimulation({
+    canvas,
+    autoStart: false,
+    rng: createRNG(11),
+    config: CONFIG,
+  });
+
+  canvas.boundingRect = { left: 10, top: 20, width: 100, height: 100 };
+
+  return { simulation, canvas };
+}
+
+function findResident(grid) {
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.cols; col++) {
+      const cell = grid.getCell(row, col);
+
+      if (cell) return { cell, row, col };
+    }
+  }
+
+  return null;
+}
+
+test("clicking the canvas inspects and follows the organism under the cursor", async () => {
+  const restore = setupDom();
+
+  try {
+    const { simulation, canvas } = await createInspectableSimulation();
+    const { uiManager, grid } = simulation;
+    const resident = findResident(grid);
+
+    assert.ok(resident, "expected the seeded world to contain a resident");
+
+    canvas.trigger("click", {
+      clientX: 10 + resident.col * 10 + 5,
+      clientY: 20 + resident.row * 10 + 5,
+    });
+
+    assert.is(uiManager.getInspectedCell(), resident.cell);
+    assert.is(
+      uiManager.cellInspectorStatus.textContent,
+      `Following organism at row ${resident.row}, col ${resident.col}.`,
+    );
+
+    const content = uiManager.cellInspectorContent.textContent;
+
+    assert.match(content, /Vitals/);
+    assert.match(content, /Risk tolerance/);
+    assert.match(content, /Recent Decisions/);
+
+    simulation.destroy();
+  } finally {
+    restore();
+  }
+});
+
+test("worker-backed runs report the inspector as unavailable", async () => {
+  const restore = setupDom();
+  const { createSimulation, attachSimulationWorkerHost } = await import(
+    "../src/main.js"
+  );
+  const channel = new MessageChannel();
+  const detachHost = attachSimulationWorkerHost(channel.port2);
+  const canvas = new MockCanvas(50, 50);
+  const simulation = createSimulation({
+    canvas,
+    autoStart: false,
+    seed: 11,
+    worker: channel.port1,
+    config: CONFIG,
+  });
+
+  try {
+    const { uiManager } = simulation;
+
+    // Let the UI's first worker calls answer before the worker is destroyed.
+    await simulation.engine.call("getStateSnapshot");
+
+    const status = uiManager.cellInspectorStatus.textContent;
+
+    assert.match(status, /unavailable while the simulation runs in a worker/);
+
+    canvas.boundingRect = { left: 10, top: 20, width: 100, height: 100 };
+    canvas.trigger("click", { clientX: 35, clientY: 45 });
+
+    assert.is(uiManager.inspectCell(2, 2), null);
+    assert.is(uiManager.getInspectedCell(), null);
+    assert.is(uiManager.cellInspectorStatus.textContent, status);
+  } finally {
+    simulation.destroy();
+    detachHost();
+    channel.port2.close();
+    restore();
+  }
+});
+
+test("inspector reports the death cause once the organism dies", async () => {
+  const restore = setupDom();
+
+  try {
+    const { simulation } = await createInspectableSimulation();
+    const { uiManager, grid } = simulation;
+    const { cell, row, col } = findResident(grid);
+
+    uiManager.inspectCell(row, col);
+    grid.registerDeath(cell, { row, col, cause: "starvation" });
+    grid.removeCell(row, col);
+    uiManager.refreshCellInspector();
+
+    assert.match(
+      uiManager.cellInspectorStatus.textContent,
+      new RegExp(`^Deceased at row ${row}, col ${col} — Starvation`),
+    );
+    assert.ok(
+      uiManager.cellInspectorStatus.classList.contains(
+        "cell-inspector__status--deceased",
+      ),
+    );
+
+    simulation.destroy();
+  } finally {
+    restore();
+  }
+});
+
+test("refreshing the inspector updates rows in place", async () => {
+  const restore = setupDom();
+
+  try {
+    const { simulation } = await createInspectableSimulation();
+    const { uiManager, grid } = simulation;
+    const { cell, row, col } = findResident(grid);
+
+    uiManager.inspectCell(row, col);
+
+    const content = uiManager.cellInspectorContent;
+
+    cell.energy = 1.25;
+    uiManager.refreshCellInspector();
+
+    assert.is(uiManager.cellInspectorContent, content, "panel should not be rebuilt");
+    assert.match(content.textContent, /Energy1\.25/);
+
+    simulation.destroy();
+  } finally {
+    restore();
+  }
+});
+
+test("describeCellForInspector exposes traits, sensors, and output probabilities", async () => {
+  const { describeCellForInspector } = await import("../src/ui/cellInspector.js");
+  const { default: Cell } = await import("../src/cell.js");
+  const { default: DNA } = await import("../src/genome.js");
+  const cell = new Cell(2, 3, DNA.random(createRNG(5)), 4);
+
+  const details = describeCellForInspector(cell, { position: { row: 2, col: 3 } });
+
+  assert.is(details.status, "alive");
+  assert.equal(details.position, { row: 2, col: 3 });
+  assert.ok(details.dnaTraits.every(({ value }) => Number.isFinite(value)));
+
+  for (const { entries } of details.outputGroups) {
+    const total = entries.reduce((sum, entry) => sum + entry.probability, 0);
+
+    assert.ok(Math.abs(total - 1) < 1e-9, "output probabilities should sum to one");
+  }
+
+  assert.is(describeCellForInspector(null), null);
+});
+test.run();
@@ -0,0 +1,108 @@
+import { assert, suite } from "#tests/harness";
+import { MockCanvas, setupDom } from "./helpers/mockDom.js";
+import { buildCladeStreamLayout, findCladeAt } from "../src/ui/cladeStream.js";
+
+const test = suite("ui clade stream");
+
+test("buildCladeStreamLayout stacks clade shares in a stable order", () => {
+  const layout = buildCladeStreamLayout([
+    {
+      tick: 1,
+      total: 4,
+      clades: [
+        { cladeId: 7, count: 3, color: "rgb(1,2,3)" },
+        { cladeId: 2, count: 1, color: "rgb(9,9,9)" },
+      ],
+      otherCount: 0,
+    },
+    {
+      tick: 2,
+      total: 4,
+      clades: [{ cladeId: 7, count: 2, color: "rgb(4,5,6)" }],
+      otherCount: 2,
+    },
+  ]);
+
+  assert.equal(
+    layout.bands.map(({ cladeId }) => cladeId),
+    [2, 7, null],
+  );
+  assert.is(layout.bands[1].color, "rgb(4,5,6)");
+  assert.equal(Array.from(layout.columns[0]), [0, 0.25, 1, 1]);
+  assert.equal(Array.from(layout.columns[1]), [0, 0, 0.5, 1]);
+  assert.is(findCladeAt(layout, 0, 0.9), 2);
+  assert.is(findCladeAt(layout, 1, 0.9), 7);
+  assert.is(findCladeAt(layout, 1, 0.1), null);
+  assert.is(findCladeAt(layout, 2, 0.5), null);
+});
+
+test("clicking a clade band requests a canvas highlight for that clade", async () => {
+  const restore = setupDom();
+  const originalCreateElement = document.createElement.bind(document);
+
+  document.createElement = (tagName) => {
+    if (String(tagName).toLowerCase() === "canvas") return new MockCanvas(200, 100);
+
+    const element = originalCreateElement(tagName);
+
+    element.style.setProperty = () => {};
+
+    return element;
+  };
+
+  try {
+    const { createSimulation } = await import("../src/main.js");
+    const { default: UIManager } = await import("../src/ui/uiManager.js");
+    const simulation = createSimulation({
+      headless: true,
+      autoStart: false,
+      performanceNow: () => 0,
+      seed: 3,
+      config: { rows: 20, cols: 20, cellSize: 5 },
+    });
+    const highlights = [];
+    const uiManager = new UIManager(
+      { requestFrame: () => {} },
+      "#app",
+      { highlightClade: (cladeId) => highlights.push(cladeId) },
+      { canvasElement: new MockCanvas(100, 100) },
+    );
+
+    for (let i = 0; i < 12; i++) simulation.step();
+
+    uiManager.insightsPanel.querySelector(".panel-header").trigger("click");
+    uiManager.renderMetrics(
+      simulation.stats,
+      { population: simulation.grid.activeCells.size },
+      {},
+    );
+    simulation.destroy();
+
+    const layout = uiManager._cladeStreamLayout;
+
+    assert.ok(layout.columns.length >= 2, "expected several clade samples");
+
+    const last = layout.columns.at(-1);
+    const band = layout.bands.findIndex((_, k) => last[k + 1] > last[k]);
+    const { cladeId } = layout.bands[band];
+    const click = {
+      clientX: 200,
+      clientY: (1 - (last[band] + last[band + 1]) / 2) * 100,
+    };
+
+    uiManager.cladeStreamCanvas.trigger("click", click);
+
+    assert.equal(highlights, [cladeId]);
+    assert.match(uiManager.cladeStreamStatus.textContent, /^Highlighting clade #/);
+
+    uiManager.cladeStreamCanvas.trigger("click", click);
+
+    assert.equal(highlights, [cladeId, null]);
+    uiManager.destroy();
+  } finally {
+    document.createElement = originalCreateElement;
+    restore();
+  }
+});
+
+test.run();
@@ -0,0 +1,107 @@
+import { assert, suite } from "#tests/harness";
+import { MockCanvas, setupDom } from "./helpers/mockDom.js";
+import { findSelectByLabel } from "./helpers/controlQueries.js";
+
+const test = suite("ui custom zones");
+
+function findButton(node, text) {
+  if (!node || typeof node !== "object") return null;
+  if (node.tagName === "BUTTON" && node.textContent === text) return node;
+  if (!Array.isArray(node.children)) return null;
+
+  for (const child of node.children) {
+    const match = findButton(child, text);
+
+    if (match) return match;
+  }
+
+  return null;
+}
+
+test("drawing on the canvas creates, edits, and deletes custom zones", async () => {
+  const restore = setupDom();
+  const originalCreateElement = document.createElement.bind(document);
+
+  // Frame redraws cache an offscreen obstacle canvas.
+  document.createElement = (tagName) => {
+    if (String(tagName).toLowerCase() === "canvas") return new MockCanvas(40, 40);
+
+    return originalCreateElement(tagName);
+  };
+
+  try {
+    const { createSimulation } = await import("../src/main.js");
+    const canvas = new MockCanvas(40, 40);
+    const simulation = createSimulation({
+      canvas,
+      autoStart: false,
+      seed: 9,
+      config: { rows: 10, cols: 10, cellSize: 4 },
+    });
+    const { uiManager, selectionManager } = simulation;
+    const at = (row, col) => ({
+      button: 0,
+      clientX: col * 10 + 5,
+      clientY: row * 10 + 5,
+    });
+
+    canvas.boundingRect = { left: 0, top: 0, width: 100, height: 100 };
+
+    const toolSelect = findSelectByLabel(uiManager.controlsPanel, "Zone Tool");
+
+    assert.ok(toolSelect, "zone tool select should render");
+    toolSelect.value = "rect";
+    toolSelect.trigger("change");
+
+    canvas.trigger("pointerdown", at(1, 1));
+    canvas.trigger("pointermove", at(3, 4));
+    canvas.trigger("pointerup", at(3, 4));
+
+    const [zone] = selectionManager.getCustomZones();
+
+    assert.is(zone.tileCount, 12, "a 3x4 rectangle fills the new zone");
+    assert.ok(zone.active);
+    assert.ok(selectionManager.isInActiveZone(2, 2));
+    assert.not.ok(selectionManager.isInActiveZone(6, 6));
+    assert.match(uiManager.zoneSummaryTextEl.textContent, /Custom Zone 1/);
+    assert.is(uiManager.zoneTargetSelect.value, zone.id, "new zones become the target");
+
+    uiManager.setZoneDrawTool("erase");
+    uiManager.zoneDraw.radius = 0;
+    canvas.trigger("pointerdown", at(1, 1));
+    canvas.trigger("pointermove", at(1, 4));
+    canvas.trigger("pointerup", at(1, 4));
+
+    assert.is(selectionManager.getCustomZones()[0].tileCount, 8);
+    assert.is(uiManager.obstacleBrush.tool, "off");
+
+    uiManager.setObstacleBrushTool("paint");
+    assert.is(uiManager.zoneDraw.tool, "off", "brush tools are mutually exclusive");
+    assert.is(toolSelect.value, "off");
+
+    findButton(uiManager.customZoneList, "Delete").trigger("click");
+    assert.equal(selectionManager.getCustomZones(), []);
+    assert.is(selectionManager.hasActiveZones(), false);
+
+    const imported = uiManager.importCustomZones({
+      format: "colourful-life/zones",
+      version: 1,
+      rows: 10,
+      cols: 10,
+      zones: [{ id: "moat", name: "Moat", runs: [0, 10] }],
+    });
+
+    assert.ok(imported);
+    assert.ok(findButton(uiManager.customZoneList, "Delete"));
+    assert.is(uiManager.customZoneStatus.textContent, "Imported 1 zone.");
+    assert.not.ok(uiManager.importCustomZones("{"), "invalid JSON is reported");
+    assert.match(uiManager.customZoneStatus.textContent, /Could not import zones/);
+
+    simulation.destroy();
+  } finally {
+    document.createElement = originalCreateElement;
+    restore();
+  }
+});
+
+test.run();
@@ -0,0 +1,106 @@
+import { assert, suite } from "#tests/harness";
+import { MockCanvas, setupDom } from "./helpers/mockDom.js";
+import { findSelectByLabel } from "./helpers/controlQueries.js";
+
+const test = suite("ui event drawing");
+
+function findButton(node, text) {
+  if (!node || typeof node !== "object") return null;
+  if (node.tagName === "BUTTON" && node.textContent === text) return node;
+  if (!Array.isArray(node.children)) return null;
+
+  for (const child of node.children) {
+    const match = findButton(child, text);
+
+    if (match) return match;
+  }
+
+  return null;
+}
+
+test("dragging on the canvas spawns the chosen event and the list cancels it", async () => {
+  const restore = setupDom();
+  const originalCreateElement = document.createElement.bind(document);
+
+  // Frame redraws cache an offscreen obstacle canvas.
+  document.createElement = (tagName) => {
+    if (String(tagName).toLowerCase() === "canvas") return new MockCanvas(40, 40);
+
+    return originalCreateElement(tagName);
+  };
+
+  try {
+    const { createSimulation } = await import("../src/main.js");
+    const canvas = new MockCanvas(40, 40);
+    const simulation = createSimulation({
+      canvas,
+      autoStart: false,
+      seed: 4,
+      config: { rows: 10, cols: 10, cellSize: 4, maxConcurrentEvents: 1 },
+    });
+    const { uiManager, engine } = simulation;
+    const at = (row, col) => ({
+      button: 0,
+      clientX: col * 10 + 5,
+      clientY: row * 10 + 5,
+    });
+    const drag = (from, to) => {
+      canvas.trigger("pointerdown", at(...from));
+      canvas.trigger("pointermove", at(...to));
+      canvas.trigger("pointerup", at(...to));
+    };
+
+    canvas.boundingRect = { left: 0, top: 0, width: 100, height: 100 };
+    engine.eventManager.reset();
+
+    const toolSelect = findSelectByLabel(uiManager.controlsPanel, "Event Tool");
+
+    assert.ok(toolSelect, "event tool select should render");
+    toolSelect.value = "heatwave";
+    toolSelect.trigger("change");
+    uiManager.eventDraw.duration = 120;
+    drag([2, 1], [4, 5]);
+
+    const [event] = engine.eventManager.activeEvents;
+
+    assert.is(event.eventType, "heatwave");
+    assert.is(event.duration, 120);
+    assert.equal(event.affectedArea, { x: 1, y: 2, width: 5, height: 3 });
+
+    drag([0, 0], [1, 1]);
+    assert.is(engine.eventManager.activeEvents.length, 1, "the event cap holds");
+    assert.match(uiManager.eventDrawStatus.textContent, /Event cap reached/);
+
+    uiManager.eventDraw.bypassLimit = true;
+    drag([0, 0], [1, 1]);
+    assert.is(engine.eventManager.activeEvents.length, 2, "the cap can be bypassed");
+
+    uiManager.setZoneDrawTool("rect");
+    assert.is(toolSelect.value, "off", "canvas tools are mutually exclusive");
+
+    uiManager.renderMetrics(
+      null,
+      {},
+      {
+        activeEvents: [
+          {
+            id: engine.eventManager.getEventId(event),
+            type: "heatwave",
+            remainingTicks: 120,
+          },
+        ],
+      },
+    );
+    findButton(uiManager.activeEventList, "Cancel").trigger("click");
+
+    assert.not.ok(engine.eventManager.activeEvents.includes(event));
+    assert.is(engine.eventManager.activeEvents.length, 1);
+
+    simulation.destroy();
+  } finally {
+    document.createElement = originalCreateElement;
+    restore();
+  }
+});
+
+test.run();
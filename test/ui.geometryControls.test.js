@@ -1,5 +1,6 @@
 import { assert, suite } from "#tests/harness";
 import { MockCanvas, setupDom } from "./helpers/mockDom.js";
+import { findSelectByLabel } from "./helpers/controlQueries.js";
 
 const test = suite("ui geometry controls");
 
@@ -616,4 +617,92 @@ test("geometry controls stay in sync with engine-driven resizes", async () => {
   }
 });
 
+test("Topology select switches the world topology immediately", async () => {
+  const restore = setupDom();
+
+  try {
+    const { default: UIManager } = await import("../src/ui/uiManager.js");
+    const topologyCalls = [];
+
+    const uiManager = new UIManager(
+      {
+        requestFrame: () => {},
+        togglePause: () => false,
+        step: () => {},
+        onSettingChange: () => {},
+      },
+      "#app",
+      {
+        setWorldGeometry: (options) => options,
+        getTopology: () => "cylinder",
+        setTopology: (topology) => {
+          topologyCalls.push(topology);
+
+          return topology;
+        },
+        getCellSize: () => 5,
+        getGridDimensions: () => ({ rows: 60, cols: 60, cellSize: 5 }),
+      },
+      { canvasElement: new MockCanvas(300, 300) },
+    );
+
+    const select = findSelectByLabel(uiManager.controlsPanel, "Topology");
+
+    assert.ok(select, "topology select should render with the geometry controls");
+    assert.is(select.value, "cylinder", "select should start from the engine topology");
+
+    select.value = "torus";
+    select.dispatchEvent({ type: "change" });
+
+    assert.equal(topologyCalls, ["torus"]);
+    assert.is(uiManager.worldTopology, "torus");
+  } finally {
+    restore();
+  }
+});
+
+test("Tiles select switches the grid lattice immediately", async () => {
+  const restore = setupDom();
+
+  try {
+    const { default: UIManager } = await import("../src/ui/uiManager.js");
+    const latticeCalls = [];
+
+    const uiManager = new UIManager(
+      {
+        requestFrame: () => {},
+        togglePause: () => false,
+        step: () => {},
+        onSettingChange: () => {},
+      },
+      "#app",
+      {
+        setWorldGeometry: (options) => options,
+        getLattice: () => "square",
+        setLattice: (lattice) => {
+          latticeCalls.push(lattice);
+
+          return lattice;
+        },
+        getCellSize: () => 5,
+        getGridDimensions: () => ({ rows: 60, cols: 60, cellSize: 5 }),
+      },
+      { canvasElement: new MockCanvas(300, 300) },
+    );
+
+    const select = findSelectByLabel(uiManager.controlsPanel, "Tiles");
+
+    assert.ok(select, "lattice select should render with the geometry controls");
+    assert.is(select.value, "square");
+
+    select.value = "hex";
+    select.dispatchEvent({ type: "change" });
+
+    assert.equal(latticeCalls, ["hex"]);
+    assert.is(uiManager.gridLattice, "hex");
+  } finally {
+    restore();
+  }
+});
+
 test.run();
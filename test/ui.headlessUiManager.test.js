@@ -398,6 +398,7 @@ test("createHeadlessUiManager exposes overlay visibility toggles", () => {
     showLifeEventMarkers: true,
     showSelectionZones: false,
     showGridLines: true,
+    showTerrain: false,
     onSettingChange: (key, value) => notifications.push([key, value]),
   });
 
@@ -409,6 +410,7 @@ test("createHeadlessUiManager exposes overlay visibility toggles", () => {
   assert.is(manager.getShowLifeEventMarkers(), true);
   assert.is(manager.getShowSelectionZones(), false);
   assert.is(manager.getShowGridLines(), true);
+  assert.is(manager.getShowTerrain(), false);
 
   manager.setShowObstacles("true");
   manager.setShowObstacles(true); // should not notify again
@@ -429,6 +431,8 @@ test("createHeadlessUiManager exposes overlay visibility toggles", () => {
   manager.setShowGridLines(0);
   manager.setShowGridLines("yes");
 
+  manager.setShowTerrain("on");
+
   manager.setShowSelectionZones("yes");
   manager.setShowSelectionZones(true); // no change
   manager.setShowSelectionZones("0");
@@ -442,6 +446,7 @@ test("createHeadlessUiManager exposes overlay visibility toggles", () => {
     ["showLifeEventMarkers", false],
     ["showGridLines", false],
     ["showGridLines", true],
+    ["showTerrain", true],
     ["showSelectionZones", true],
     ["showSelectionZones", false],
   ]);
@@ -20,6 +20,7 @@ test("createSimulation aligns UI controls with config defaults", async () => {
       showLifeEventMarkers: true,
       showSelectionZones: true,
       showGridLines: true,
+      showTerrain: true,
     };
 
     const simulation = createSimulation({
@@ -38,6 +39,7 @@ test("createSimulation aligns UI controls with config defaults", async () => {
     assert.is(uiManager.showLifeEventMarkers, true);
     assert.is(uiManager.showSelectionZones, true);
     assert.is(uiManager.showGridLines, true);
+    assert.is(uiManager.showTerrain, true);
     assert.is(uiManager.autoPauseOnBlur, false);
 
     const obstaclesInput = findCheckboxByLabel(
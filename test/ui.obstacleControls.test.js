@@ -241,4 +241,134 @@ test("shuffle layout button applies a random preset", async () => {
   }
 });
 
+test("brush tools paint freehand strokes and rectangles that undo as single edits", async () => {
+  const restore = setupDom();
+  const originalCreateElement = document.createElement.bind(document);
+
+  // Obstacle redraws cache an offscreen canvas.
+  document.createElement = (tagName) => {
+    if (String(tagName).toLowerCase() === "canvas") return new MockCanvas(40, 40);
+
+    return originalCreateElement(tagName);
+  };
+
+  try {
+    const { createSimulation } = await import("../src/main.js");
+    const canvas = new MockCanvas(40, 40);
+    const simulation = createSimulation({
+      canvas,
+      autoStart: false,
+      seed: 3,
+      config: { rows: 10, cols: 10, cellSize: 4 },
+    });
+    const { uiManager, grid } = simulation;
+    const at = (row, col) => ({ clientX: col * 10 + 5, clientY: row * 10 + 5 });
+
+    canvas.boundingRect = { left: 0, top: 0, width: 100, height: 100 };
+    simulation.engine.applyObstaclePreset("none");
+
+    const toolSelect = findSelectByLabel(uiManager.controlsPanel, "Brush Tool");
+
+    assert.ok(toolSelect, "brush tool select should render");
+    assert.ok(uiManager.obstacleUndoButton.disabled, "undo starts disabled");
+
+    toolSelect.value = "paint";
+    toolSelect.trigger("change");
+    uiManager.obstacleBrush.radius = 0;
+
+    canvas.trigger("pointerdown", { button: 0, ...at(1, 1) });
+    canvas.trigger("pointermove", at(1, 4));
+    canvas.trigger("pointerup", at(1, 4));
+    canvas.trigger("click", at(1, 4));
+
+    for (let col = 1; col <= 4; col += 1) assert.ok(grid.isObstacle(1, col));
+    assert.is(uiManager.getInspectedCell(), null, "brush clicks skip the inspector");
+    assert.not.ok(uiManager.obstacleUndoButton.disabled);
+
+    uiManager.setObstacleBrushTool("rect");
+    canvas.trigger("pointerdown", { button: 0, ...at(5, 5) });
+    canvas.trigger("pointermove", at(7, 8));
+    assert.not.ok(grid.isObstacle(5, 5), "rectangles wait for pointerup");
+    canvas.trigger("pointerup", at(7, 8));
+
+    assert.ok(grid.isObstacle(5, 5) && grid.isObstacle(7, 8) && grid.isObstacle(6, 5));
+    assert.not.ok(grid.isObstacle(6, 6), "rectangle interior stays open");
+
+    uiManager.obstacleUndoButton.trigger("click");
+    assert.not.ok(grid.isObstacle(5, 5));
+    assert.ok(grid.isObstacle(1, 2));
+
+    uiManager.obstacleUndoButton.trigger("click");
+    assert.not.ok(grid.isObstacle(1, 2), "the freehand drag undoes in one step");
+    assert.ok(uiManager.obstacleUndoButton.disabled);
+    assert.not.ok(uiManager.obstacleRedoButton.disabled);
+
+    uiManager.obstacleRedoButton.trigger("click");
+    assert.ok(grid.isObstacle(1, 1) && grid.isObstacle(1, 4));
+
+    simulation.destroy();
+  } finally {
+    document.createElement = originalCreateElement;
+    restore();
+  }
+});
+
+test("dropping an ASCII map on the canvas adds and applies a layout preset", async () => {
+  const restore = setupDom();
+  const originalCreateElement = document.createElement.bind(document);
+
+  document.createElement = (tagName) => {
+    if (String(tagName).toLowerCase() === "canvas") return new MockCanvas(40, 40);
+
+    return originalCreateElement(tagName);
+  };
+
+  try {
+    const { createSimulation } = await import("../src/main.js");
+    const canvas = new MockCanvas(40, 40);
+    const simulation = createSimulation({
+      canvas,
+      autoStart: false,
+      seed: 3,
+      config: { rows: 4, cols: 4, cellSize: 10 },
+    });
+    const { uiManager, grid } = simulation;
+    const file = {
+      name: "split.txt",
+      type: "text/plain",
+      text: async () => "..#.\n..#.",
+    };
+    const dragover = { dataTransfer: { types: ["Files"] } };
+
+    canvas.trigger("dragover", dragover);
+    canvas.trigger("drop", { dataTransfer: { files: [file] } });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const presetSelect = findSelectByLabel(uiManager.controlsPanel, "Layout Preset");
+
+    assert.is(presetSelect.value, "map-split");
+    assert.ok(
+      presetSelect.children.some((option) => option.value === "map-split"),
+      "the map is listed in the preset menu",
+    );
+    assert.is(simulation.engine.getCurrentObstaclePreset(), "map-split");
+    assert.ok(grid.isObstacle(0, 2) && grid.isObstacle(3, 2));
+    assert.not.ok(grid.isObstacle(0, 0));
+    assert.match(uiManager.obstacleMapStatus.textContent, /Loaded "split"/);
+
+    const failed = await uiManager.loadObstacleMapFile({
+      name: "empty.txt",
+      text: async () => "",
+    });
+
+    assert.is(failed, null);
+    assert.match(uiManager.obstacleMapStatus.textContent, /Could not load map/);
+
+    simulation.destroy();
+  } finally {
+    document.createElement = originalCreateElement;
+    restore();
+  }
+});
+
 test.run();
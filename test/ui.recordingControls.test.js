@@ -0,0 +1,93 @@
+import { assert, suite } from "#tests/harness";
+import { MockCanvas, MockElement, setupDom } from "./helpers/mockDom.js";
+
+const test = suite("ui recording controls");
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test("record, save, load, and fork controls drive the engine", async () => {
+  const restore = setupDom();
+  const originalCreateElement = document.createElement.bind(document);
+  const anchors = [];
+
+  // Frame redraws cache an offscreen obstacle canvas; downloads use anchors.
+  document.createElement = (tagName) => {
+    const tag = String(tagName).toLowerCase();
+
+    if (tag === "canvas") return new MockCanvas(40, 40);
+    if (tag === "a") {
+      const anchor = new MockElement("a");
+
+      anchors.push(anchor);
+
+      return anchor;
+    }
+
+    return originalCreateElement(tagName);
+  };
+
+  try {
+    const { createSimulation } = await import("../src/main.js");
+    const simulation = createSimulation({
+      canvas: new MockCanvas(40, 40),
+      autoStart: false,
+      seed: 6,
+      performanceNow: () => 0,
+      requestAnimationFrame: (cb) => setTimeout(() => cb(0), 0),
+      cancelAnimationFrame: (handle) => clearTimeout(handle),
+      config: { rows: 8, cols: 8, cellSize: 4 },
+    });
+    const { uiManager, engine } = simulation;
+
+    assert.is(uiManager.recordButton.textContent, "Record");
+    assert.is(uiManager.replayStatus.textContent, "No replay loaded.");
+    assert.is(uiManager.replayForkButton.disabled, true);
+
+    uiManager.recordButton.trigger("click");
+    await flush();
+    assert.is(uiManager.recordButton.textContent, "Stop & Save");
+
+    engine.burstRandomCells({ count: 3 });
+    for (let i = 0; i < 4; i++) simulation.step();
+    engine.updateSetting("mutationMultiplier", 2);
+    assert.match(uiManager.recordingStatus.textContent, /2 interventions logged/);
+
+    uiManager.recordButton.trigger("click");
+    await flush();
+    assert.is(uiManager.recordButton.textContent, "Record");
+    assert.is(anchors.length, 1, "stopping downloads the recording");
+    assert.match(anchors[0].getAttribute("download"), /^colourful-life-run-/);
+
+    const json = decodeURIComponent(anchors[0].href.split(",").slice(1).join(","));
+
+    assert.ok(await uiManager.loadReplay(json));
+    assert.is(engine.grid.tickCount, 0);
+    assert.is(uiManager.replayTimeline.max, "4");
+    assert.is(uiManager.replayForkButton.disabled, false);
+
+    uiManager.replayTimeline.value = "3";
+    uiManager.replayTimeline.trigger("input");
+    await uiManager.seekReplay(3);
+    assert.is(engine.grid.tickCount, 3);
+    assert.match(uiManager.replayStatus.textContent, /^Replaying tick 3 of 0–4/);
+
+    uiManager.replaySpeedSelect.value = "4";
+    uiManager.replaySpeedSelect.trigger("change");
+    assert.is(engine.state.speedMultiplier, 4);
+
+    uiManager.replayForkButton.trigger("click");
+    await flush();
+    assert.is(simulation.getReplayStatus(), null);
+    assert.is(uiManager.replayStatus.textContent, "No replay loaded.");
+
+    assert.not.ok(await uiManager.loadReplay("{}"));
+    assert.match(uiManager.recordingStatus.textContent, /^Could not load replay/);
+
+    simulation.destroy();
+  } finally {
+    document.createElement = originalCreateElement;
+    restore();
+  }
+});
+
+test.run();
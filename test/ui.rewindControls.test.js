@@ -0,0 +1,61 @@
+import { assert, suite } from "#tests/harness";
+import { MockCanvas, setupDom } from "./helpers/mockDom.js";
+
+const test = suite("ui rewind controls");
+
+test("step back and scrub controls follow the engine's rewind history", async () => {
+  const restore = setupDom();
+  const originalCreateElement = document.createElement.bind(document);
+
+  // Frame redraws cache an offscreen obstacle canvas.
+  document.createElement = (tagName) => {
+    if (String(tagName).toLowerCase() === "canvas") return new MockCanvas(40, 40);
+
+    return originalCreateElement(tagName);
+  };
+
+  try {
+    const { createSimulation } = await import("../src/main.js");
+    const simulation = createSimulation({
+      canvas: new MockCanvas(40, 40),
+      autoStart: false,
+      seed: 6,
+      performanceNow: () => 0,
+      requestAnimationFrame: (cb) => setTimeout(() => cb(0), 0),
+      cancelAnimationFrame: (handle) => clearTimeout(handle),
+      config: { rows: 8, cols: 8, cellSize: 4, rewindInterval: 2 },
+    });
+    const { uiManager, engine } = simulation;
+
+    assert.is(uiManager.rewindStepButton.disabled, true, "no history yet");
+    assert.match(uiManager.rewindStatus.textContent, /No rewind history/);
+
+    for (let i = 0; i < 6; i++) simulation.step();
+
+    assert.is(uiManager.rewindStepButton.disabled, false);
+    assert.is(uiManager.rewindScrubber.max, "6");
+    assert.match(uiManager.rewindStatus.textContent, /^3 frames from tick 2 to 6/);
+
+    uiManager.rewindStepButton.trigger("click");
+    await Promise.resolve();
+    assert.is(engine.grid.tickCount, 4);
+
+    uiManager.rewindScrubber.value = "3";
+    uiManager.rewindScrubber.trigger("input");
+    await Promise.resolve();
+    assert.is(engine.grid.tickCount, 2);
+    assert.is(uiManager.rewindStepButton.disabled, true);
+
+    engine.updateSetting("rewindMemoryMiB", 0);
+    assert.is(uiManager.rewindMemoryMiB, 0, "engine changes sync back to the slider");
+    assert.is(uiManager.rewindStatus.textContent, "Rewind history is off.");
+    assert.is(uiManager.rewindScrubber.disabled, true);
+
+    simulation.destroy();
+  } finally {
+    document.createElement = originalCreateElement;
+    restore();
+  }
+});
+
+test.run();
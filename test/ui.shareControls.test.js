@@ -0,0 +1,77 @@
+import { assert, suite } from "#tests/harness";
+import { MockCanvas, setupDom } from "./helpers/mockDom.js";
+import { parseSettingsHash } from "../src/engine/savedSettings.js";
+
+const test = suite("ui share controls");
+
+test("copy link encodes the settings and optional seed into the page URL", async () => {
+  const restore = setupDom();
+  const originalCreateElement = document.createElement.bind(document);
+  const copied = [];
+
+  document.createElement = (tagName) =>
+    String(tagName).toLowerCase() === "canvas"
+      ? new MockCanvas(40, 40)
+      : originalCreateElement(tagName);
+  window.location = { href: "https://example.test/life/?mode=demo#old" };
+  window.navigator = {
+    clipboard: {
+      writeText: async (text) => {
+        copied.push(text);
+      },
+    },
+  };
+
+  try {
+    const { createSimulation } = await import("../src/main.js");
+    const simulation = createSimulation({
+      canvas: new MockCanvas(40, 40),
+      autoStart: false,
+      seed: 11,
+      performanceNow: () => 0,
+      requestAnimationFrame: (cb) => setTimeout(() => cb(0), 0),
+      cancelAnimationFrame: (handle) => clearTimeout(handle),
+      config: { rows: 40, cols: 44, cellSize: 4 },
+    });
+    const { uiManager, engine } = simulation;
+
+    assert.is(uiManager.shareIncludeSeedInput.checked, true);
+
+    engine.updateSetting("societySimilarity", 0.55);
+    simulation.selectionManager.togglePattern("eastHalf", true);
+
+    const link = await uiManager.copySettingsLink();
+
+    assert.equal(copied, [link]);
+    assert.is(uiManager.shareStatus.textContent, "Link copied.");
+    assert.ok(link.startsWith("https://example.test/life/?mode=demo#v=1&"));
+
+    const parsed = parseSettingsHash(link.slice(link.indexOf("#")));
+
+    assert.is(parsed.seed, 11);
+    assert.is(parsed.settings.settings.societySimilarity, 0.55);
+    assert.equal(parsed.settings.geometry, {
+      rows: 40,
+      cols: 44,
+      cellSize: 4,
+      lattice: "square",
+      topology: "bounded",
+    });
+    assert.equal(parsed.settings.selection.activePatterns, ["eastHalf"]);
+
+    uiManager.shareIncludeSeedInput.checked = false;
+    window.navigator = {};
+
+    const unseeded = await uiManager.copySettingsLink();
+
+    assert.not.ok("seed" in parseSettingsHash(unseeded.slice(unseeded.indexOf("#"))));
+    assert.is(uiManager.shareStatus.textContent, `Copy this link: ${unseeded}`);
+
+    simulation.destroy();
+  } finally {
+    document.createElement = originalCreateElement;
+    restore();
+  }
+});
+
+test.run();
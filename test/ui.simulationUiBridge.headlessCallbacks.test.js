@@ -64,4 +64,39 @@ test("headless bridge ignores engine-driven max concurrent syncs", async () => {
   assert.is(uiManager.getMaxConcurrentEvents(), 5);
 });
 
+test("batched ticks refresh the cell inspector once", async () => {
+  const { bindSimulationToUi } = await import("../src/ui/simulationUiBridge.js");
+
+  const tickHandlers = [];
+  const engineStub = {
+    on(eventName, handler) {
+      if (eventName === "tick") tickHandlers.push(handler);
+
+      return () => {};
+    },
+  };
+  const { uiManager, unsubscribers } = bindSimulationToUi({
+    engine: engineStub,
+    headless: true,
+  });
+  let refreshes = 0;
+  const emitTicks = (count) => {
+    for (let i = 0; i < count; i++) tickHandlers.forEach((handler) => handler({}));
+  };
+
+  uiManager.refreshCellInspector = () => {
+    refreshes += 1;
+  };
+
+  emitTicks(5);
+  assert.is(refreshes, 0);
+  await Promise.resolve();
+  assert.is(refreshes, 1);
+
+  emitTicks(3);
+  unsubscribers.forEach((unsubscribe) => unsubscribe());
+  await Promise.resolve();
+  assert.is(refreshes, 1, "no refresh after the bridge is torn down");
+});
+
 test.run();
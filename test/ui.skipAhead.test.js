@@ -0,0 +1,66 @@
+import { assert, suite } from "#tests/harness";
+import { MockCanvas, setupDom } from "./helpers/mockDom.js";
+import { findCheckboxByLabel, findSelectByLabel } from "./helpers/controlQueries.js";
+
+const test = suite("ui skip ahead");
+
+test("playback controls toggle fast-forward and run a skip with progress", async () => {
+  const restore = setupDom();
+  const originalCreateElement = document.createElement.bind(document);
+
+  // Frame redraws cache an offscreen obstacle canvas.
+  document.createElement = (tagName) => {
+    if (String(tagName).toLowerCase() === "canvas") return new MockCanvas(40, 40);
+
+    return originalCreateElement(tagName);
+  };
+
+  try {
+    const { createSimulation } = await import("../src/main.js");
+    let clock = 0;
+    const simulation = createSimulation({
+      canvas: new MockCanvas(40, 40),
+      autoStart: false,
+      seed: 6,
+      // Every clock read costs a millisecond so the skip spans several chunks.
+      performanceNow: () => (clock += 1),
+      requestAnimationFrame: (cb) => setTimeout(() => cb(0), 0),
+      cancelAnimationFrame: (handle) => clearTimeout(handle),
+      config: { rows: 8, cols: 8, cellSize: 4, fastForwardBudgetMs: 100 },
+    });
+    const { uiManager, engine } = simulation;
+
+    const fastForward = findCheckboxByLabel(uiManager.controlsPanel, "Fast Forward");
+
+    assert.ok(fastForward, "fast-forward toggle should render");
+    fastForward.checked = true;
+    fastForward.trigger("input");
+    fastForward.trigger("change");
+    assert.is(engine.state.fastForward, true);
+
+    engine.updateSetting("fastForward", false);
+    assert.is(fastForward.checked, false, "engine changes sync back to the toggle");
+
+    const lengthSelect = findSelectByLabel(uiManager.controlsPanel, "Skip Ahead");
+
+    lengthSelect.value = "1000";
+    lengthSelect.trigger("change");
+
+    const run = uiManager.skipAhead();
+
+    assert.is(uiManager.skipAheadButton.textContent, "Cancel Skip");
+    assert.is(uiManager.skipAheadProgress.hidden, false);
+    assert.is(await run, 1000);
+    assert.is(uiManager.skipAheadButton.textContent, "Skip Ahead");
+    assert.is(uiManager.skipAheadProgress.hidden, true);
+    assert.match(uiManager.skipAheadStatus.textContent, /^Skipped /);
+    assert.is(engine.grid.tickCount, 1000);
+
+    simulation.destroy();
+  } finally {
+    document.createElement = originalCreateElement;
+    restore();
+  }
+});
+
+test.run();
@@ -0,0 +1,49 @@
+import { assert, test } from "#tests/harness";
+import { deflateSync, inflateSync } from "node:zlib";
+import { decodePng, encodePng } from "../src/utils/png.js";
+
+function gradientImage(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let index = 0; index < width * height; index++) {
+    data.set(
+      [index % 251, (index * 7) % 256, 255 - (index % 256), index % 3 ? 255 : 90],
+      index * 4,
+    );
+  }
+
+  return { width, height, data };
+}
+
+test("encodePng round-trips RGBA pixels through decodePng", () => {
+  const image = gradientImage(13, 9);
+  const decoded = decodePng(encodePng(image, { deflate: deflateSync }), {
+    inflate: inflateSync,
+  });
+
+  assert.is(decoded.width, 13);
+  assert.is(decoded.height, 9);
+  assert.equal(Array.from(decoded.data), Array.from(image.data));
+});
+
+test("encodePng stores data uncompressed when no deflate is supplied", () => {
+  // Wide enough that the filtered rows span several stored blocks.
+  const image = gradientImage(300, 60);
+  const stored = encodePng(image);
+  const compressed = encodePng(image, { deflate: deflateSync });
+
+  assert.ok(stored.length > image.data.length);
+  assert.ok(compressed.length < stored.length);
+  assert.equal(
+    Array.from(decodePng(stored, { inflate: inflateSync }).data),
+    Array.from(image.data),
+  );
+});
+
+test("encodePng rejects mismatched buffers", () => {
+  assert.throws(() => encodePng({ width: 0, height: 2, data: [] }), RangeError);
+  assert.throws(
+    () => encodePng({ width: 2, height: 2, data: new Uint8Array(12) }),
+    TypeError,
+  );
+});
@@ -0,0 +1,122 @@
+import { assert, test } from "#tests/harness";
+import { inflateSync } from "node:zlib";
+import SoftwareCanvas from "../src/utils/softwareCanvas.js";
+import { decodePng } from "../src/utils/png.js";
+
+const pixelAt = (canvas, x, y) =>
+  Array.from(
+    canvas.pixels.subarray((y * canvas.width + x) * 4, (y * canvas.width + x) * 4 + 4),
+  );
+
+test("fillRect covers pixel centres and blends translucent paint", () => {
+  const canvas = new SoftwareCanvas(8, 4);
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = "#ff0000";
+  ctx.fillRect(1, 0, 2, 2);
+  ctx.fillStyle = "rgba(0, 0, 255, 0.5)";
+  ctx.fillRect(2, 0, 2, 1);
+
+  assert.equal(pixelAt(canvas, 0, 0), [0, 0, 0, 0]);
+  assert.equal(pixelAt(canvas, 1, 1), [255, 0, 0, 255]);
+  assert.equal(pixelAt(canvas, 2, 0), [127, 0, 128, 255]);
+  assert.equal(pixelAt(canvas, 3, 0), [0, 0, 255, 128]);
+
+  ctx.fillStyle = "not a colour";
+  assert.is(ctx.fillStyle, "rgba(0, 0, 255, 0.5)", "invalid colours are ignored");
+
+  ctx.clearRect(0, 0, 8, 4);
+  assert.ok(canvas.pixels.every((value) => value === 0));
+});
+
+test("transforms, hsl colours, paths, and gradients rasterise", () => {
+  const canvas = new SoftwareCanvas(10, 10);
+  const ctx = canvas.getContext("2d");
+
+  ctx.save();
+  ctx.scale(2, 2);
+  ctx.fillStyle = "hsl(120, 100%, 50%)";
+  ctx.fillRect(0, 0, 1, 1);
+  ctx.restore();
+  ctx.fillRect(4, 0, 1, 1);
+
+  assert.equal(pixelAt(canvas, 1, 1), [0, 255, 0, 255]);
+  assert.equal(pixelAt(canvas, 2, 2), [0, 0, 0, 0]);
+  assert.equal(pixelAt(canvas, 4, 0), [0, 0, 0, 255], "restore resets the fillStyle");
+
+  ctx.fillStyle = "#ffffff";
+  ctx.beginPath();
+  ctx.arc(5, 6, 3, 0, Math.PI * 2);
+  ctx.fill();
+
+  assert.equal(pixelAt(canvas, 5, 6), [255, 255, 255, 255]);
+  assert.equal(pixelAt(canvas, 0, 9), [0, 0, 0, 0]);
+
+  const gradient = ctx.createLinearGradient(0, 0, 10, 0);
+
+  gradient.addColorStop(0, "#000000");
+  gradient.addColorStop(1, "#ffffff");
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 9, 10, 1);
+
+  assert.ok(pixelAt(canvas, 1, 9)[0] < pixelAt(canvas, 8, 9)[0]);
+});
+
+test("drawImage scales sources and toPng encodes the frame", () => {
+  const source = new SoftwareCanvas(2, 1);
+  const sourceCtx = source.getContext("2d");
+
+  sourceCtx.fillStyle = "#ff0000";
+  sourceCtx.fillRect(0, 0, 1, 1);
+  sourceCtx.putImageData(
+    { width: 1, height: 1, data: new Uint8ClampedArray([0, 0, 255, 255]) },
+    1,
+    0,
+  );
+
+  const canvas = new SoftwareCanvas(4, 2);
+
+  canvas.getContext("2d").drawImage(source, 0, 0, 2, 1, 0, 0, 4, 2);
+
+  assert.equal(pixelAt(canvas, 1, 1), [255, 0, 0, 255]);
+  assert.equal(pixelAt(canvas, 2, 0), [0, 0, 255, 255]);
+
+  const decoded = decodePng(canvas.toPng(), { inflate: inflateSync });
+
+  assert.is(decoded.width, 4);
+  assert.equal(Array.from(decoded.data), Array.from(canvas.pixels));
+  assert.throws(() => {
+    canvas.width = 0;
+  }, RangeError);
+});
+
+test("headless simulations render cells and overlays into a software canvas", async () => {
+  const { createSimulation, createSoftwareCanvas } = await import("../src/main.js");
+  const config = { rows: 12, cols: 12, cellSize: 3, showEnergy: true };
+  const canvas = createSoftwareCanvas(config);
+  const simulation = createSimulation({
+    headless: true,
+    autoStart: false,
+    seed: 5,
+    performanceNow: () => 0,
+    canvas,
+    config,
+  });
+
+  try {
+    simulation.step();
+
+    assert.is(canvas.width, 36);
+    assert.is(simulation.engine.grid.renderStats.mode, "image-data");
+
+    let green = 0;
+
+    for (let index = 0; index < canvas.pixels.length; index += 4) {
+      if (canvas.pixels[index + 1] > canvas.pixels[index] + 40) green += 1;
+    }
+
+    assert.ok(green > 0, "the energy heatmap tints tiles green");
+  } finally {
+    simulation.destroy();
+  }
+});